@@ -1,5 +1,6 @@
 // Container state and Docker operations
 import Docker from "dockerode";
+import { recordInjectedFiles, takeInjectedFiles, SECRETS_TMPFS_PATH } from "./secret-refs.js";
 import { ensureContainerSetup, readGatewayToken } from "./setup.js";
 
 const docker = new Docker({ socketPath: "/var/run/docker.sock" });
@@ -82,6 +83,8 @@ export async function pauseContainer(userId) {
     const inspection = await container.inspect();
 
     if (inspection.State.Running && !inspection.State.Paused) {
+      // Paused containers keep their memory, so resolved secrets go first
+      await scrubSecretFiles(userId);
       await container.pause();
       info.hibernationState = "paused";
       info.pausedAt = Date.now();
@@ -111,6 +114,7 @@ export async function stopContainer(userId) {
       if (inspection.State.Paused) {
         await container.unpause();
       }
+      await scrubSecretFiles(userId);
       await container.stop({ t: 10 });
       info.hibernationState = "stopped";
       info.stoppedAt = Date.now();
@@ -167,11 +171,13 @@ export async function checkHibernation() {
 
 /**
  * Execute command in container with timeout
+ * env (["NAME=value"]) is set for this exec only and never written to disk
  */
-export async function execInContainer(containerId, cmd, timeoutMs = 30000) {
+export async function execInContainer(containerId, cmd, timeoutMs = 30000, env = undefined) {
   const container = docker.getContainer(containerId);
   const exec = await container.exec({
     Cmd: cmd,
+    Env: env,
     AttachStdout: true,
     AttachStderr: true,
   });
@@ -210,6 +216,72 @@ export async function execInContainer(containerId, cmd, timeoutMs = 30000) {
   });
 }
 
+/**
+ * Write resolved secret files into the container's in-memory tmpfs
+ * Refuses to write when the tmpfs is not mounted (containers provisioned before it existed),
+ * so secrets never land on the container's disk.
+ * @param {string} userId - Container owner
+ * @param {{ path: string, value: string }[]} files - Files from prepareSecretInjection
+ * @returns {Promise<number>} Files written
+ */
+export async function writeSecretFiles(userId, files) {
+  const info = containers.get(userId);
+  if (!info || files.length === 0) {
+    return 0;
+  }
+
+  let written = 0;
+  for (const file of files) {
+    // The value travels as exec env, not as an argument visible in the process list
+    const result = await execInContainer(
+      info.containerId,
+      [
+        "sh",
+        "-c",
+        'grep -q " $1 tmpfs " /proc/mounts || { echo NO_TMPFS; exit 1; }; ' +
+          'umask 077; printf "%s" "$OCMT_SECRET_VALUE" > "$2" && echo OK',
+        "sh",
+        SECRETS_TMPFS_PATH,
+        file.path,
+      ],
+      10000,
+      [`OCMT_SECRET_VALUE=${file.value}`],
+    );
+
+    if (result.output !== "OK") {
+      const reason =
+        result.output === "NO_TMPFS"
+          ? "no secrets tmpfs, reprovision to enable file secrets"
+          : result.error;
+      console.warn(`[secret-refs] ${info.containerName}: ${reason}`);
+      break;
+    }
+    recordInjectedFiles(userId, [file.path]);
+    written++;
+  }
+  return written;
+}
+
+/**
+ * Remove secret files from the container's tmpfs (on hibernate or on request)
+ * @returns {Promise<number>} Files removed
+ */
+export async function scrubSecretFiles(userId) {
+  const info = containers.get(userId);
+  const files = takeInjectedFiles(userId);
+  if (!info || files.length === 0) {
+    return 0;
+  }
+
+  try {
+    await execInContainer(info.containerId, ["rm", "-f", ...files], 10000);
+    console.log(`[secret-refs] Scrubbed ${files.length} secret file(s) from ${info.containerName}`);
+  } catch (error) {
+    console.error(`[secret-refs] Failed to scrub ${info.containerName}:`, error.message);
+  }
+  return files.length;
+}
+
 /**
  * Scan for existing containers on startup
  */
@@ -0,0 +1,149 @@
+// Secret references (vault://) in agent config, resolved just-in-time at call time
+// The user's openclaw.json keeps references in `env`, never plaintext. Before each call
+// the values are fetched from the management server and handed to that one exec as
+// process env, or written to an in-memory tmpfs for variables named *_FILE.
+import fs from "fs";
+import path from "path";
+import { DATA_DIR } from "./setup.js";
+
+const MANAGEMENT_SERVER_URL = process.env.MANAGEMENT_SERVER_URL || "http://localhost:3000";
+const AUTH_TOKEN = process.env.AUTH_TOKEN;
+
+export const SECRET_REF_PREFIX = "vault://";
+
+// tmpfs mounted into agent containers for file secrets (memory only, gone on stop)
+export const SECRETS_TMPFS_PATH = "/run/ocmt-secrets";
+export const SECRETS_TMPFS_OPTIONS = "rw,noexec,nosuid,nodev,size=1m,mode=0700,uid=1000,gid=1000";
+
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Secret files currently in each container's tmpfs: userId -> Set of paths
+const injectedFiles = new Map();
+
+/**
+ * Check whether a config value is a vault:// reference
+ */
+export function isSecretRef(value) {
+  return typeof value === "string" && value.startsWith(SECRET_REF_PREFIX);
+}
+
+/**
+ * Collect vault:// references from the `env` section of the user's openclaw.json
+ * Both `env.vars` and top-level `env` string entries are read.
+ * @returns {Record<string, string>} Env var name -> reference
+ */
+export function collectSecretRefs(userId) {
+  const configPath = path.join(DATA_DIR, userId, "openclaw.json");
+  let env;
+  try {
+    if (!fs.existsSync(configPath)) {
+      return {};
+    }
+    env = JSON.parse(fs.readFileSync(configPath, "utf-8")).env;
+  } catch (e) {
+    console.warn(`[secret-refs] Unreadable config for ${userId.slice(0, 8)}: ${e.message}`);
+    return {};
+  }
+  if (!env || typeof env !== "object") {
+    return {};
+  }
+
+  const refs = {};
+  const entries = [...Object.entries(env), ...Object.entries(env.vars || {})];
+  for (const [name, value] of entries) {
+    if (isSecretRef(value) && ENV_NAME_PATTERN.test(name)) {
+      refs[name] = value;
+    }
+  }
+  return refs;
+}
+
+async function resolveRefs(userId, refs, purpose) {
+  const response = await fetch(`${MANAGEMENT_SERVER_URL}/api/internal/secret-refs/resolve`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${AUTH_TOKEN}`,
+    },
+    body: JSON.stringify({ userId, refs, purpose }),
+    signal: AbortSignal.timeout(15000),
+  });
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error || `Management server returned ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Resolve the user's secret references for one call
+ * Variables named *_FILE get a tmpfs path and the value goes in `files`; the rest go in `env`.
+ * Never throws: references that cannot be resolved are listed in `errors` and left unset.
+ * @param {string} userId - Container owner
+ * @param {string} purpose - Why the values are needed (audited)
+ * @returns {Promise<{ env: string[], files: { path: string, value: string }[],
+ *   errors: { name: string, ref: string, code: string, error: string }[] }>}
+ */
+export async function prepareSecretInjection(userId, purpose) {
+  const refsByName = collectSecretRefs(userId);
+  const names = Object.keys(refsByName);
+  const injection = { env: [], files: [], errors: [] };
+  if (names.length === 0) {
+    return injection;
+  }
+
+  let result;
+  try {
+    result = await resolveRefs(userId, Object.values(refsByName), purpose);
+  } catch (error) {
+    console.error(`[secret-refs] Resolve failed for ${userId.slice(0, 8)}:`, error.message);
+    result = { values: {}, errors: {} };
+    for (const ref of Object.values(refsByName)) {
+      result.errors[ref] = { code: "RESOLVE_FAILED", error: error.message };
+    }
+  }
+
+  for (const name of names) {
+    const ref = refsByName[name];
+    const value = result.values?.[ref];
+    if (value === undefined) {
+      injection.errors.push({ name, ref, ...(result.errors?.[ref] || { code: "RESOLVE_FAILED" }) });
+      continue;
+    }
+
+    if (name.endsWith("_FILE")) {
+      const filePath = `${SECRETS_TMPFS_PATH}/${name.toLowerCase()}`;
+      injection.files.push({ path: filePath, value });
+      injection.env.push(`${name}=${filePath}`);
+    } else {
+      injection.env.push(`${name}=${value}`);
+    }
+  }
+
+  console.log(
+    `[secret-refs] Resolved ${names.length - injection.errors.length}/${names.length} ref(s) for ${userId.slice(0, 8)} (${purpose})`,
+  );
+  return injection;
+}
+
+/**
+ * Remember secret files written to a container's tmpfs so they can be scrubbed
+ */
+export function recordInjectedFiles(userId, paths) {
+  const files = injectedFiles.get(userId) || new Set();
+  for (const filePath of paths) {
+    files.add(filePath);
+  }
+  injectedFiles.set(userId, files);
+}
+
+/**
+ * Take (and forget) the secret files written to a container's tmpfs
+ * @returns {string[]} Paths to remove
+ */
+export function takeInjectedFiles(userId) {
+  const files = injectedFiles.get(userId);
+  injectedFiles.delete(userId);
+  return files ? [...files] : [];
+}
@@ -0,0 +1,194 @@
+// agent-server/lib/secret-refs.test.js
+// Tests for vault:// references in agent config
+
+import fs from "fs";
+import path from "path";
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+
+const dataDir = vi.hoisted(() => `/tmp/ocmt-secret-refs-test-${process.pid}`);
+
+vi.mock("./setup.js", () => ({ DATA_DIR: dataDir }));
+
+const {
+  SECRETS_TMPFS_PATH,
+  isSecretRef,
+  collectSecretRefs,
+  prepareSecretInjection,
+  recordInjectedFiles,
+  takeInjectedFiles,
+} = await import("./secret-refs.js");
+
+const userId = "0b7c6d1e-2f3a-4b5c-8d9e-0f1a2b3c4d5e";
+const groupRef = "vault://group/11111111-2222-4333-8444-555555555555/stripe_key";
+
+function writeConfig(config) {
+  fs.mkdirSync(path.join(dataDir, userId), { recursive: true });
+  fs.writeFileSync(path.join(dataDir, userId, "openclaw.json"), JSON.stringify(config));
+}
+
+function resolveResponse(body, { ok = true, status = 200 } = {}) {
+  return { ok, status, json: async () => body };
+}
+
+describe("secret refs", () => {
+  beforeEach(() => {
+    vi.stubGlobal("fetch", vi.fn());
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe("isSecretRef", () => {
+    it("should only match vault:// strings", () => {
+      expect(isSecretRef("vault://me/github")).toBe(true);
+      expect(isSecretRef("sk_live_123")).toBe(false);
+      expect(isSecretRef(undefined)).toBe(false);
+      expect(isSecretRef({ ref: "vault://me/github" })).toBe(false);
+    });
+  });
+
+  describe("collectSecretRefs", () => {
+    it("should read references from env and env.vars", () => {
+      writeConfig({
+        env: {
+          GITHUB_TOKEN: "vault://me/github",
+          PLAIN: "not-a-secret",
+          vars: { STRIPE_API_KEY: groupRef },
+        },
+      });
+
+      expect(collectSecretRefs(userId)).toEqual({
+        GITHUB_TOKEN: "vault://me/github",
+        STRIPE_API_KEY: groupRef,
+      });
+    });
+
+    it("should skip names that are not valid env var names", () => {
+      writeConfig({ env: { vars: { "BAD-NAME": groupRef, "1ST": groupRef } } });
+
+      expect(collectSecretRefs(userId)).toEqual({});
+    });
+
+    it("should return nothing without a config", () => {
+      expect(collectSecretRefs(userId)).toEqual({});
+    });
+
+    it("should return nothing for an unreadable config", () => {
+      vi.spyOn(console, "warn").mockImplementation(() => {});
+      fs.mkdirSync(path.join(dataDir, userId), { recursive: true });
+      fs.writeFileSync(path.join(dataDir, userId, "openclaw.json"), "{ not json");
+
+      expect(collectSecretRefs(userId)).toEqual({});
+      expect(console.warn).toHaveBeenCalled();
+    });
+  });
+
+  describe("prepareSecretInjection", () => {
+    it("should not call the management server without references", async () => {
+      writeConfig({ env: { PLAIN: "value" } });
+
+      const injection = await prepareSecretInjection(userId, "chat");
+
+      expect(injection).toEqual({ env: [], files: [], errors: [] });
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it("should pass values as env and *_FILE values as tmpfs files", async () => {
+      const fileRef = "vault://group/11111111-2222-4333-8444-555555555555/gcp_service_account";
+      writeConfig({ env: { vars: { STRIPE_API_KEY: groupRef, GCP_CREDENTIALS_FILE: fileRef } } });
+      fetch.mockResolvedValue(
+        resolveResponse({ values: { [groupRef]: "sk_live_123", [fileRef]: "{}" }, errors: {} }),
+      );
+
+      const injection = await prepareSecretInjection(userId, "chat");
+
+      const filePath = `${SECRETS_TMPFS_PATH}/gcp_credentials_file`;
+      expect(injection).toEqual({
+        env: ["STRIPE_API_KEY=sk_live_123", `GCP_CREDENTIALS_FILE=${filePath}`],
+        files: [{ path: filePath, value: "{}" }],
+        errors: [],
+      });
+
+      const [url, request] = fetch.mock.calls[0];
+      expect(url).toMatch(/\/api\/internal\/secret-refs\/resolve$/);
+      expect(JSON.parse(request.body)).toEqual({
+        userId,
+        refs: [groupRef, fileRef],
+        purpose: "chat",
+      });
+    });
+
+    it("should leave unresolved references unset and report them", async () => {
+      writeConfig({
+        env: { vars: { STRIPE_API_KEY: groupRef, GITHUB_TOKEN: "vault://me/github" } },
+      });
+      fetch.mockResolvedValue(
+        resolveResponse({
+          values: { "vault://me/github": "gho_abc" },
+          errors: { [groupRef]: { code: "ACCESS_DENIED", error: "No active vault token" } },
+        }),
+      );
+
+      const injection = await prepareSecretInjection(userId, "chat");
+
+      expect(injection.env).toEqual(["GITHUB_TOKEN=gho_abc"]);
+      expect(injection.errors).toEqual([
+        {
+          name: "STRIPE_API_KEY",
+          ref: groupRef,
+          code: "ACCESS_DENIED",
+          error: "No active vault token",
+        },
+      ]);
+    });
+
+    it("should report every reference when the management server refuses", async () => {
+      vi.spyOn(console, "error").mockImplementation(() => {});
+      writeConfig({ env: { vars: { STRIPE_API_KEY: groupRef } } });
+      fetch.mockResolvedValue(
+        resolveResponse({ error: "Unauthorized" }, { ok: false, status: 401 }),
+      );
+
+      const injection = await prepareSecretInjection(userId, "chat");
+
+      expect(injection.env).toEqual([]);
+      expect(injection.errors).toEqual([
+        { name: "STRIPE_API_KEY", ref: groupRef, code: "RESOLVE_FAILED", error: "Unauthorized" },
+      ]);
+    });
+
+    it("should never throw when the management server is unreachable", async () => {
+      vi.spyOn(console, "error").mockImplementation(() => {});
+      writeConfig({ env: { vars: { STRIPE_API_KEY: groupRef } } });
+      fetch.mockRejectedValue(new Error("connect ECONNREFUSED"));
+
+      const injection = await prepareSecretInjection(userId, "chat");
+
+      expect(injection.errors).toEqual([
+        {
+          name: "STRIPE_API_KEY",
+          ref: groupRef,
+          code: "RESOLVE_FAILED",
+          error: "connect ECONNREFUSED",
+        },
+      ]);
+    });
+  });
+
+  describe("injected files", () => {
+    it("should hand back recorded files once", () => {
+      recordInjectedFiles(userId, ["/run/ocmt-secrets/a_file", "/run/ocmt-secrets/b_file"]);
+      recordInjectedFiles(userId, ["/run/ocmt-secrets/a_file"]);
+
+      expect(takeInjectedFiles(userId)).toEqual([
+        "/run/ocmt-secrets/a_file",
+        "/run/ocmt-secrets/b_file",
+      ]);
+      expect(takeInjectedFiles(userId)).toEqual([]);
+    });
+  });
+});
@@ -15,7 +15,14 @@ import {
   isContainerReady,
   wakeContainerWithQueue,
   getWakeMetrics,
+  writeSecretFiles,
+  scrubSecretFiles,
 } from "../lib/containers.js";
+import {
+  prepareSecretInjection,
+  SECRETS_TMPFS_PATH,
+  SECRETS_TMPFS_OPTIONS,
+} from "../lib/secret-refs.js";
 import { ensureContainerSetup, writeGatewayConfig, DATA_DIR } from "../lib/setup.js";
 
 const router = Router();
@@ -104,6 +111,8 @@ router.post("/provision", async (req, res) => {
       HostConfig: {
         PortBindings: { "18789/tcp": [{ HostPort: String(port) }] },
         Binds: [userDataDir + ":/home/node/.openclaw:rw", "/opt/ocmt/skills:/opt/ocmt/skills:ro"],
+        // In-memory only: file secrets resolved from vault:// refs
+        Tmpfs: { [SECRETS_TMPFS_PATH]: SECRETS_TMPFS_OPTIONS },
         Memory: 2048 * 1024 * 1024,
         MemorySwap: 3072 * 1024 * 1024,
         CpuShares: 512,
@@ -450,6 +459,22 @@ router.post("/:userId/auth-profiles", async (req, res) => {
   }
 });
 
+// ============================================================
+// SECRET REFS (vault:// injection)
+// ============================================================
+
+// Scrub resolved secret files from the container (e.g. when the user's vault locks)
+router.delete("/:userId/secret-refs", async (req, res) => {
+  const { userId } = req.params;
+
+  if (!containers.has(userId)) {
+    return res.status(404).json({ error: "Container not found" });
+  }
+
+  const scrubbed = await scrubSecretFiles(userId);
+  res.json({ success: true, scrubbed });
+});
+
 // Chat proxy
 router.post("/:userId/chat", async (req, res) => {
   const { userId } = req.params;
@@ -470,15 +495,25 @@ router.post("/:userId/chat", async (req, res) => {
   }
 
   try {
+    // Resolve vault:// refs from the agent config for this call only
+    const secrets = await prepareSecretInjection(userId, "chat");
+    await writeSecretFiles(userId, secrets.files);
+
     const result = await execInContainer(
       info.containerId,
       ["openclaw", "agent", "--agent", "main", "--message", message, "--local"],
       120000,
+      secrets.env,
     );
 
     touchActivity(userId);
     console.log("Chat response for", userId.slice(0, 8), ":", result.output.slice(0, 100));
-    res.json({ response: result.output });
+    res.json({
+      response: result.output,
+      ...(secrets.errors.length > 0 && {
+        secretRefErrors: secrets.errors.map(({ name, ref, code }) => ({ name, ref, code })),
+      }),
+    });
   } catch (error) {
     console.error("Chat exec error:", error);
     res.status(502).json({ error: "Container communication failed: " + error.message });
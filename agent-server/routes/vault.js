@@ -174,6 +174,30 @@ router.post("/:userId/vault/session/migrate", async (req, res) => {
   res.json(result);
 });
 
+// Change session vault password
+// Browser derives both keys (the new one with a fresh salt); the container
+// re-encrypts sessions, revokes biometric devices and locks the vault
+router.post("/:userId/vault/session/password", async (req, res) => {
+  const { userId } = req.params;
+  const { currentKey, newKey, newSalt } = req.body;
+
+  if (!currentKey || !newKey || !newSalt) {
+    return res.status(400).json({ error: "currentKey, newKey and newSalt required" });
+  }
+
+  const result = await proxyToContainer(userId, "POST", "/vault/session/password", {
+    currentKey,
+    newKey,
+    newSalt,
+  });
+
+  if (result.error) {
+    return res.status(result.error === "Container not found" ? 404 : 503).json(result);
+  }
+
+  res.json(result);
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Biometric Routes (device-based vault unlock)
 // Allows users to unlock vault using FaceID/TouchID instead of password
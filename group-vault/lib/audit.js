@@ -58,6 +58,13 @@ const MESH_EVENT_TYPES = {
   "secret.created": "group_vault.secret_created",
   "secret.updated": "group_vault.secret_updated",
   "secret.deleted": "group_vault.secret_deleted",
+  "secret.versions.listed": "group_vault.secret_versions_listed",
+  "secret.version.read": "group_vault.secret_version_read",
+  "secret.rolled_back": "group_vault.secret_rolled_back",
+  "secret.rotated": "group_vault.secret_rotated",
+  "secret.rotation_failed": "group_vault.secret_rotation_failed",
+  "secret.rotation_policy.set": "group_vault.secret_rotation_policy_set",
+  "secret.rotation_policy.removed": "group_vault.secret_rotation_policy_removed",
 };
 
 /**
@@ -3,9 +3,18 @@
 //
 // SECURITY: Token revocations are persisted to PostgreSQL to survive server restarts.
 // An in-memory Set is used for fast revocation checks, loaded from DB at startup.
+//
+// Tokens are signed with Ed25519 so verifiers only need the public key (see
+// getPublicSigningKeys). Each token names its key with a `kid` header, which lets
+// the key be rotated while tokens signed by the previous key stay valid.
+// Holders can attenuate a token offline (attenuateCapabilityToken): caveats are
+// chained macaroon-style with HMAC, keyed by the root token's signature.
+// Tokens signed with the old shared HMAC key are still accepted until the
+// compatibility window closes.
 
 import crypto from "crypto";
-import { groupTokenRevocations } from "../../management-server/db/index.js";
+import { groupTokenRevocations, groupVaultSigningKeys } from "../../management-server/db/index.js";
+import { consumeCapabilityCall, releaseCapabilityCall } from "./capability-usage.js";
 
 /**
  * Capability token for scoped secret access
@@ -15,9 +24,39 @@ import { groupTokenRevocations } from "../../management-server/db/index.js";
  * @property {string[]} allowedSecrets - List of allowed secret keys (or ['*'] for all)
  * @property {string[]} permissions - ['read', 'write', 'delete']
  * @property {number} expiresAt - Expiration timestamp
- * @property {string} signature - HMAC signature
+ * @property {number} [maxCalls] - Calls allowed across the token and its attenuations
+ * @property {string} [budgetId] - Token whose call budget this token draws from
+ * @property {number} [budgetExpiresAt] - Expiration of that token
+ * @property {string|null} kid - Signing key ID (null for legacy HMAC tokens)
+ * @property {string} [rootId] - ID of the issued token (attenuated tokens only)
+ * @property {number} [rootExpiresAt] - Expiration of the issued token (attenuated tokens only)
+ * @property {string} [parentId] - ID of the token this one was attenuated from
+ * @property {string[]} [chain] - Token IDs from the root down to this token
+ * @property {string[]|null} [audience] - Verifiers that accept the token (null for any)
+ * @property {Object[]} [caveats] - Caveats added by holders, in order
+ */
+
+/**
+ * Public half of a token signing key
+ * @typedef {Object} PublicSigningKey
+ * @property {string} kid - Key ID
+ * @property {string} alg - Always "EdDSA"
+ * @property {string} publicKey - Raw 32-byte Ed25519 public key, base64
+ * @property {string} status - "active" or "retired"
+ * @property {string} createdAt - ISO timestamp
+ * @property {string|null} retiresAt - When the key stops verifying tokens
  */
 
+// Longest TTL a token can be issued with (see issueTokenSchema). A retired key is
+// kept this long so every token it signed can still be verified.
+export const MAX_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const TOKEN_ALG = "EdDSA";
+const TOKEN_TYPE = "ocmt-cap";
+
+// Ed25519 SPKI prefix for DER-encoded public keys (same as relay-server)
+const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+
 // In-memory token tracking (for fast lookup)
 // Maps tokenId -> { groupId, userId, expiresAt }
 const issuedTokens = new Map();
@@ -29,30 +68,252 @@ const revokedTokens = new Set();
 // Group ID for this vault instance
 let currentGroupId = null;
 
-// Token signing key (should be from env in production)
+// Legacy HMAC key, only used to verify tokens issued before Ed25519 signing
 let signingKey = null;
 
+// Wraps Ed25519 private keys before they are stored in the database
+let keyWrapKey = null;
+
+// Ed25519 keyring: kid -> { kid, privateKey, publicKey, publicKeyRaw, createdAt, retiresAt }
+const signingKeys = new Map();
+let activeKid = null;
+
+// Legacy HMAC tokens are accepted until this timestamp
+let legacyHmacUntil = 0;
+
 // Flag to track if revocations have been loaded from DB
 let revocationsLoaded = false;
 
 /**
- * Initialize auth with signing key and load revocations from database.
- * @param {string} key - Signing key
- * @param {string} groupId - Group ID (optional, for loading revocations)
+ * Initialize auth with signing key, load the Ed25519 keyring and revocations from database.
+ * @param {string} key - Signing key (secret that wraps the Ed25519 keys; legacy HMAC key)
+ * @param {string} groupId - Group ID (optional, for persisting keys and revocations)
+ * @param {Object} options - Options
+ * @param {number} options.legacyHmacUntil - Accept legacy HMAC tokens until this timestamp
+ *   (default: MAX_TOKEN_TTL_MS after the group's first Ed25519 key was created)
  */
-export async function initAuth(key, groupId = null) {
+export async function initAuth(key, groupId = null, options = {}) {
   if (!key || key.length < 32) {
     throw new Error("Signing key must be at least 32 characters");
   }
   signingKey = crypto.createHash("sha256").update(key).digest();
+  keyWrapKey = Buffer.from(
+    crypto.hkdfSync("sha256", key, Buffer.alloc(0), "ocmt-group-vault-token-keys", 32),
+  );
   currentGroupId = groupId;
 
+  signingKeys.clear();
+  activeKid = null;
+  let firstKeyCreatedAt = null;
+  if (groupId) {
+    firstKeyCreatedAt = await loadSigningKeysFromDb(groupId);
+  }
+  if (!activeKid) {
+    const created = await createSigningKey();
+    firstKeyCreatedAt = firstKeyCreatedAt || created.createdAt;
+  }
+  // Keys that could not be unwrapped only verify the tokens they already signed
+  for (const entry of signingKeys.values()) {
+    if (entry.kid !== activeKid && !entry.retiresAt) {
+      await retireSigningKey(entry, new Date(Date.now() + MAX_TOKEN_TTL_MS));
+    }
+  }
+
+  legacyHmacUntil =
+    options.legacyHmacUntil ?? new Date(firstKeyCreatedAt).getTime() + MAX_TOKEN_TTL_MS;
+
   // Load revocations from database if group ID is provided
   if (groupId && !revocationsLoaded) {
     await loadRevocationsFromDb(groupId);
   }
 }
 
+// ============================================================
+// SIGNING KEYS
+// ============================================================
+
+function wrapPrivateKey(privateKey) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", keyWrapKey, iv);
+  const der = privateKey.export({ format: "der", type: "pkcs8" });
+  const data = Buffer.concat([cipher.update(der), cipher.final()]);
+  return JSON.stringify({
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  });
+}
+
+function unwrapPrivateKey(wrapped) {
+  const { iv, tag, data } = JSON.parse(wrapped);
+  const decipher = crypto.createDecipheriv("aes-256-gcm", keyWrapKey, Buffer.from(iv, "base64"));
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  const der = Buffer.concat([decipher.update(Buffer.from(data, "base64")), decipher.final()]);
+  return crypto.createPrivateKey({ key: der, format: "der", type: "pkcs8" });
+}
+
+function publicKeyFromRaw(publicKeyRaw) {
+  const spkiDer = Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKeyRaw, "base64")]);
+  return crypto.createPublicKey({ key: spkiDer, format: "der", type: "spki" });
+}
+
+/**
+ * Generate a new Ed25519 key, make it the active signing key and persist it.
+ * @returns {Promise<{ kid: string, createdAt: Date }>}
+ */
+async function createSigningKey() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+  const rawPublicKey = publicKey
+    .export({ format: "der", type: "spki" })
+    .subarray(ED25519_SPKI_PREFIX.length);
+  const kid = crypto.createHash("sha256").update(rawPublicKey).digest("hex").slice(0, 16);
+  const publicKeyRaw = rawPublicKey.toString("base64");
+  let createdAt = new Date();
+
+  if (currentGroupId) {
+    try {
+      const row = await groupVaultSigningKeys.create({
+        groupId: currentGroupId,
+        kid,
+        publicKey: publicKeyRaw,
+        privateKeyEncrypted: wrapPrivateKey(privateKey),
+      });
+      createdAt = new Date(row.created_at);
+    } catch (err) {
+      console.error("[auth] Failed to persist signing key:", err);
+      // Continue - key is usable until restart
+    }
+  }
+
+  signingKeys.set(kid, { kid, privateKey, publicKey, publicKeyRaw, createdAt, retiresAt: null });
+  activeKid = kid;
+  return { kid, createdAt };
+}
+
+/**
+ * Load the keyring from database. The newest active key that can be unwrapped signs tokens;
+ * keys that cannot be unwrapped (SIGNING_KEY changed) are kept for verification only.
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Date|null>} When the group's first key was created
+ */
+async function loadSigningKeysFromDb(groupId) {
+  try {
+    const rows = await groupVaultSigningKeys.listForGroup(groupId);
+    for (const row of rows) {
+      let privateKey = null;
+      try {
+        privateKey = unwrapPrivateKey(row.private_key_encrypted);
+      } catch {
+        console.warn(`[auth] Signing key ${row.kid} cannot be unwrapped, verify-only`);
+      }
+
+      signingKeys.set(row.kid, {
+        kid: row.kid,
+        privateKey,
+        publicKey: publicKeyFromRaw(row.public_key),
+        publicKeyRaw: row.public_key,
+        createdAt: new Date(row.created_at),
+        retiresAt: row.retires_at ? new Date(row.retires_at) : null,
+      });
+      if (row.status === "active" && privateKey) {
+        activeKid = row.kid;
+      }
+    }
+
+    console.log(`[auth] Loaded ${rows.length} signing keys from database`);
+    return groupVaultSigningKeys.getFirstCreatedAt(groupId);
+  } catch (err) {
+    console.error("[auth] Failed to load signing keys from database:", err);
+    // Continue without persistence - a fresh in-memory key will be used
+    return null;
+  }
+}
+
+// Drop retired keys whose tokens have all expired
+function pruneSigningKeys(now = Date.now()) {
+  for (const [kid, key] of signingKeys) {
+    if (key.retiresAt && key.retiresAt.getTime() <= now) {
+      signingKeys.delete(kid);
+    }
+  }
+}
+
+/**
+ * Stop a key from signing; it verifies tokens until retiresAt
+ * @param {Object} key - Keyring entry
+ * @param {Date} retiresAt - When the key stops verifying tokens
+ */
+async function retireSigningKey(key, retiresAt) {
+  key.retiresAt = retiresAt;
+  if (currentGroupId) {
+    try {
+      await groupVaultSigningKeys.retire(currentGroupId, key.kid, retiresAt);
+    } catch (err) {
+      console.error("[auth] Failed to persist signing key retirement:", err);
+      // Continue - key is retired in memory
+    }
+  }
+}
+
+/**
+ * Rotate the token signing key. The previous key keeps verifying the tokens it signed
+ * for MAX_TOKEN_TTL_MS, unless revokePrevious is set (e.g. after a key compromise).
+ * @param {Object} options - Options
+ * @param {boolean} options.revokePrevious - Stop accepting tokens signed by any older key now
+ * @returns {Promise<{ kid: string, previousKid: string|null, previousRetiresAt: Date|null }>}
+ */
+export async function rotateSigningKey({ revokePrevious = false } = {}) {
+  if (!keyWrapKey) {
+    throw new Error("Auth not initialized");
+  }
+
+  const previous = activeKid ? signingKeys.get(activeKid) : null;
+  const { kid } = await createSigningKey();
+
+  let previousRetiresAt = null;
+  if (revokePrevious) {
+    // Every older key, including ones already retired, stops verifying now
+    const now = new Date();
+    for (const key of signingKeys.values()) {
+      if (key.kid !== kid) {
+        await retireSigningKey(key, now);
+        signingKeys.delete(key.kid);
+      }
+    }
+    previousRetiresAt = previous ? now : null;
+  } else if (previous) {
+    previousRetiresAt = new Date(Date.now() + MAX_TOKEN_TTL_MS);
+    await retireSigningKey(previous, previousRetiresAt);
+  }
+
+  console.log(`[auth] Rotated signing key to ${kid}`);
+  return { kid, previousKid: previous?.kid || null, previousRetiresAt };
+}
+
+/**
+ * Public keys that verify capability tokens (safe to publish)
+ * @returns {PublicSigningKey[]}
+ */
+export function getPublicSigningKeys() {
+  pruneSigningKeys();
+  return [...signingKeys.values()].map((key) => ({
+    kid: key.kid,
+    alg: TOKEN_ALG,
+    publicKey: key.publicKeyRaw,
+    status: key.kid === activeKid ? "active" : "retired",
+    createdAt: key.createdAt.toISOString(),
+    retiresAt: key.retiresAt ? key.retiresAt.toISOString() : null,
+  }));
+}
+
+/**
+ * When legacy HMAC tokens stop being accepted
+ * @returns {Date|null} Null if auth is not initialized
+ */
+export function getLegacyHmacDeadline() {
+  return signingKey ? new Date(legacyHmacUntil) : null;
+}
+
 /**
  * Load revoked tokens from database into memory for fast checks.
  * @param {string} groupId - Group ID
@@ -84,7 +345,11 @@ async function loadRevocationsFromDb(groupId) {
  * @param {string[]} params.allowedSecrets - Allowed secret keys
  * @param {string[]} params.permissions - Permissions
  * @param {number} params.ttlSeconds - Time to live in seconds
- * @returns {string} Token string
+ * @param {number} [params.maxCalls] - Call budget, enforced by the vault (unlimited if omitted)
+ * @param {number} [params.notAfter] - Expire no later than this (ms timestamp)
+ * @param {string} [params.budgetId] - Draw calls from this token's budget instead of a new one
+ *   (needs maxCalls, and notAfter set to that token's expiration)
+ * @returns {string} Token string (header.payload.signature, base64url segments)
  */
 export function issueCapabilityToken({
   groupId,
@@ -92,13 +357,16 @@ export function issueCapabilityToken({
   allowedSecrets = ["*"],
   permissions = ["read"],
   ttlSeconds = 3600,
+  maxCalls,
+  notAfter,
+  budgetId,
 }) {
   if (!signingKey) {
     throw new Error("Auth not initialized");
   }
 
   const tokenId = crypto.randomBytes(16).toString("hex");
-  const expiresAt = Date.now() + ttlSeconds * 1000;
+  const expiresAt = Math.min(Date.now() + ttlSeconds * 1000, notAfter ?? Infinity);
 
   const payload = {
     id: tokenId,
@@ -108,16 +376,21 @@ export function issueCapabilityToken({
     permissions,
     expiresAt,
   };
+  if (maxCalls) {
+    payload.maxCalls = maxCalls;
+  }
+  if (budgetId) {
+    payload.budgetId = budgetId;
+    payload.budgetExpiresAt = notAfter;
+  }
 
-  const signature = crypto
-    .createHmac("sha256", signingKey)
-    .update(JSON.stringify(payload))
-    .digest("hex");
-
-  const token = {
-    ...payload,
-    signature,
-  };
+  const header = { alg: TOKEN_ALG, typ: TOKEN_TYPE, kid: activeKid };
+  const signingInput = `${encodeSegment(header)}.${encodeSegment(payload)}`;
+  const signature = crypto.sign(
+    null,
+    Buffer.from(signingInput),
+    signingKeys.get(activeKid).privateKey,
+  );
 
   // Store for revocation capability
   issuedTokens.set(tokenId, {
@@ -126,44 +399,345 @@ export function issueCapabilityToken({
     expiresAt,
   });
 
-  return Buffer.from(JSON.stringify(token)).toString("base64url");
+  return `${signingInput}.${signature.toString("base64url")}`;
+}
+
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, "base64url").toString());
+}
+
+// Keyring entry for a token header, or null if the header is not ours
+function getTokenSigningKey(headerSegment) {
+  const header = decodeSegment(headerSegment);
+  if (header.alg !== TOKEN_ALG || header.typ !== TOKEN_TYPE) {
+    return null;
+  }
+
+  pruneSigningKeys();
+  return signingKeys.get(header.kid) || null;
+}
+
+/**
+ * Check an Ed25519 token (header.payload.signature) against the keyring
+ * @param {string[]} parts - Token segments
+ * @returns {Object|null} Payload with kid, or null if the signature is invalid
+ */
+function verifySignedToken(parts) {
+  const key = getTokenSigningKey(parts[0]);
+  if (!key) {
+    return null;
+  }
+
+  const valid = crypto.verify(
+    null,
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    key.publicKey,
+    Buffer.from(parts[2], "base64url"),
+  );
+  if (!valid) {
+    return null;
+  }
+
+  return { ...decodeSegment(parts[1]), kid: key.kid };
+}
+
+/**
+ * Check a token issued before Ed25519 signing (base64url JSON with an HMAC signature)
+ * @returns {Object|null} Payload, or null if invalid or the compatibility window has closed
+ */
+function verifyLegacyHmacToken(tokenString) {
+  if (Date.now() >= legacyHmacUntil) {
+    return null;
+  }
+
+  const { signature, ...payload } = decodeSegment(tokenString);
+  if (typeof signature !== "string") {
+    return null;
+  }
+
+  const expectedSignature = crypto
+    .createHmac("sha256", signingKey)
+    .update(JSON.stringify(payload))
+    .digest();
+  const actualSignature = Buffer.from(signature, "hex");
+  if (
+    actualSignature.length !== expectedSignature.length ||
+    !crypto.timingSafeEqual(actualSignature, expectedSignature)
+  ) {
+    return null;
+  }
+
+  return { ...payload, kid: null };
+}
+
+// ============================================================
+// ATTENUATION
+// ============================================================
+
+const TOKEN_PERMISSIONS = ["read", "write", "delete", "admin"];
+
+// Max-use caveats are counted next to call budgets, under their own namespace
+const CAVEAT_USES_PREFIX = "caveat:";
+
+function caveatError(message) {
+  const error = new Error(message);
+  error.code = "INVALID_CAVEAT";
+  return error;
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.length > 0 && value.every((v) => typeof v === "string");
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+// Restrictions a holder can add when attenuating a token, with the check for each value
+const CAVEAT_FIELDS = new Map([
+  ["secrets", isStringList],
+  ["permissions", isStringList],
+  ["expiresAt", isPositiveInteger],
+  ["maxUses", isPositiveInteger],
+  ["audience", isStringList],
+]);
+
+// Caveats are minted offline, so verification checks them as strictly as buildCaveat
+function isValidCaveat(caveat) {
+  return (
+    typeof caveat?.id === "string" &&
+    Object.entries(caveat).every(
+      ([field, value]) => field === "id" || CAVEAT_FIELDS.get(field)?.(value) === true,
+    )
+  );
+}
+
+// Next link of the caveat chain
+function chainTag(key, caveat) {
+  return crypto.createHmac("sha256", key).update(JSON.stringify(caveat)).digest();
+}
+
+/**
+ * Validate restrictions and turn them into a caveat
+ * @returns {Object} Caveat with a fresh token ID
+ */
+function buildCaveat({ secrets, permissions, ttlSeconds, maxUses, audience }) {
+  const caveat = { id: crypto.randomBytes(16).toString("hex") };
+
+  if (secrets !== undefined) {
+    if (!isStringList(secrets)) {
+      throw caveatError("secrets must be a non-empty list of secret keys");
+    }
+    caveat.secrets = secrets;
+  }
+  if (permissions !== undefined) {
+    if (!isStringList(permissions) || !permissions.every((p) => TOKEN_PERMISSIONS.includes(p))) {
+      throw caveatError(`permissions must be a non-empty list of ${TOKEN_PERMISSIONS.join(", ")}`);
+    }
+    caveat.permissions = permissions;
+  }
+  if (ttlSeconds !== undefined) {
+    if (!Number.isInteger(ttlSeconds) || ttlSeconds <= 0) {
+      throw caveatError("ttlSeconds must be a positive whole number");
+    }
+    caveat.expiresAt = Date.now() + ttlSeconds * 1000;
+  }
+  if (maxUses !== undefined) {
+    if (!Number.isInteger(maxUses) || maxUses <= 0) {
+      throw caveatError("maxUses must be a positive whole number");
+    }
+    caveat.maxUses = maxUses;
+  }
+  if (audience !== undefined) {
+    const audiences = typeof audience === "string" ? [audience] : audience;
+    if (!isStringList(audiences)) {
+      throw caveatError("audience must be a string or a non-empty list of strings");
+    }
+    caveat.audience = audiences;
+  }
+
+  if (Object.keys(caveat).length === 1) {
+    throw caveatError("At least one restriction is required");
+  }
+  return caveat;
 }
 
 /**
- * Verify and decode a capability token
- * @param {string} tokenString - Base64url encoded token
+ * Derive a narrower token from a capability token. Needs no keys, so a holder can mint
+ * tokens for sub-agents offline. Caveats only ever narrow what the parent token allows,
+ * and the parent cannot be recovered from the derived token.
+ * @param {string} tokenString - Signed or already attenuated token
+ * @param {Object} restrictions - Restrictions (at least one)
+ * @param {string[]} restrictions.secrets - Only these secret keys
+ * @param {string[]} restrictions.permissions - Only these permissions
+ * @param {number} restrictions.ttlSeconds - Expire this many seconds from now
+ * @param {number} restrictions.maxUses - Accept at most this many verifications
+ * @param {string|string[]} restrictions.audience - Only accepted by these verifiers
+ * @returns {string} Attenuated token (header.payload.caveats.tag, base64url segments)
+ */
+export function attenuateCapabilityToken(tokenString, restrictions = {}) {
+  const parts = typeof tokenString === "string" ? tokenString.split(".") : [];
+  let caveats;
+  let tag;
+  if (parts.length === 3) {
+    caveats = [];
+    tag = Buffer.from(parts[2], "base64url");
+  } else if (parts.length === 4) {
+    caveats = decodeSegment(parts[2]);
+    tag = Buffer.from(parts[3], "base64url");
+  } else {
+    throw caveatError("Only signed capability tokens can be attenuated");
+  }
+
+  const caveat = buildCaveat(restrictions);
+  const nextTag = chainTag(tag, caveat).toString("base64url");
+  const caveatsSegment = encodeSegment([...caveats, caveat]);
+  return `${parts[0]}.${parts[1]}.${caveatsSegment}.${nextTag}`;
+}
+
+// Secrets allowed by both the parent and a caveat
+function narrowSecrets(allowed, requested) {
+  if (requested.includes("*")) {
+    return allowed;
+  }
+  if (allowed.includes("*")) {
+    return requested;
+  }
+  return allowed.filter((secret) => requested.includes(secret));
+}
+
+/**
+ * Check an attenuated token (header.payload.caveats.tag). The root signature is
+ * recomputed with the private key (Ed25519 signatures are deterministic), so only
+ * the group vault can verify attenuated tokens.
+ * @param {string[]} parts - Token segments
+ * @returns {Object|null} Payload narrowed by the caveats, or null if invalid
+ */
+function verifyAttenuatedToken(parts) {
+  const key = getTokenSigningKey(parts[0]);
+  if (!key?.privateKey) {
+    return null;
+  }
+
+  const caveats = decodeSegment(parts[2]);
+  if (!Array.isArray(caveats) || caveats.length === 0 || !caveats.every(isValidCaveat)) {
+    return null;
+  }
+
+  let tag = crypto.sign(null, Buffer.from(`${parts[0]}.${parts[1]}`), key.privateKey);
+  for (const caveat of caveats) {
+    tag = chainTag(tag, caveat);
+  }
+  const actualTag = Buffer.from(parts[3], "base64url");
+  if (actualTag.length !== tag.length || !crypto.timingSafeEqual(actualTag, tag)) {
+    return null;
+  }
+
+  const root = decodeSegment(parts[1]);
+  const token = {
+    ...root,
+    kid: key.kid,
+    rootId: root.id,
+    rootExpiresAt: root.expiresAt,
+    chain: [root.id],
+    audience: null,
+  };
+  for (const caveat of caveats) {
+    if (caveat.secrets) {
+      token.allowedSecrets = narrowSecrets(token.allowedSecrets, caveat.secrets);
+    }
+    if (caveat.permissions) {
+      token.permissions = token.permissions.filter((p) => caveat.permissions.includes(p));
+    }
+    if (caveat.expiresAt) {
+      token.expiresAt = Math.min(token.expiresAt, caveat.expiresAt);
+    }
+    if (caveat.audience) {
+      token.audience = token.audience
+        ? token.audience.filter((a) => caveat.audience.includes(a))
+        : caveat.audience;
+    }
+    token.chain.push(caveat.id);
+  }
+
+  token.id = token.chain[token.chain.length - 1];
+  token.parentId = token.chain[token.chain.length - 2];
+  token.caveats = caveats;
+  return token;
+}
+
+/**
+ * Count a use against every max-use caveat in the chain
+ * Counters are shared between replicas (Redis) and live as long as the root token.
+ * @param {CapabilityToken} token - Token returned by verifyCapabilityToken
+ * @returns {Promise<boolean>} False if any limit is already reached (nothing is counted)
+ */
+export async function consumeCaveatUses(token) {
+  const limited = (token.caveats || []).filter((c) => c.maxUses);
+  const counted = [];
+
+  for (const caveat of limited) {
+    const { allowed } = await consumeCapabilityCall(
+      CAVEAT_USES_PREFIX + caveat.id,
+      caveat.maxUses,
+      token.rootExpiresAt || token.expiresAt,
+    );
+    if (!allowed) {
+      for (const caveatId of counted) {
+        await releaseCapabilityCall(CAVEAT_USES_PREFIX + caveatId);
+      }
+      return false;
+    }
+    counted.push(caveat.id);
+  }
+  return true;
+}
+
+/**
+ * Verify and decode a capability token.
+ * Max-use caveats are not counted here; callers count a use with consumeCaveatUses.
+ * @param {string} tokenString - Signed, attenuated or legacy HMAC token
+ * @param {Object} options - Options
+ * @param {string} options.audience - Identity of the verifier, checked against audience caveats
  * @returns {CapabilityToken|null} Token or null if invalid
  */
-export function verifyCapabilityToken(tokenString) {
+export function verifyCapabilityToken(tokenString, options = {}) {
   if (!signingKey) {
     throw new Error("Auth not initialized");
   }
 
   try {
-    const token = JSON.parse(Buffer.from(tokenString, "base64url").toString());
-
-    // Check expiration
-    if (token.expiresAt < Date.now()) {
+    const parts = tokenString.split(".");
+    let token = null;
+    if (parts.length === 4) {
+      token = verifyAttenuatedToken(parts);
+    } else if (parts.length === 3) {
+      token = verifySignedToken(parts);
+    } else if (parts.length === 1) {
+      token = verifyLegacyHmacToken(tokenString);
+    }
+    if (!token) {
       return null;
     }
 
-    // Check if revoked (check persistent revocation set first, then issued tokens)
-    if (revokedTokens.has(token.id)) {
+    // Check expiration (a missing or non-numeric expiry never compares as expired)
+    if (!Number.isFinite(token.expiresAt) || token.expiresAt < Date.now()) {
       return null;
     }
 
-    // For backward compatibility, also check issued tokens map
-    // New tokens will be tracked, old tokens validated by signature only
-    // (This allows tokens issued before server restart to still work if not revoked)
+    // Check if revoked - revoking a token also revokes every token attenuated from it
+    if ((token.chain || [token.id]).some((id) => revokedTokens.has(id))) {
+      return null;
+    }
 
-    // Verify signature
-    const { signature, ...payload } = token;
-    const expectedSignature = crypto
-      .createHmac("sha256", signingKey)
-      .update(JSON.stringify(payload))
-      .digest("hex");
+    // Tokens issued before a restart are not in the issued tokens map;
+    // they are validated by signature and the persistent revocation set only
 
-    if (signature !== expectedSignature) {
+    if (token.audience && !token.audience.includes(options.audience)) {
       return null;
     }
 
@@ -174,7 +748,7 @@ export function verifyCapabilityToken(tokenString) {
 }
 
 /**
- * Revoke a capability token
+ * Revoke a capability token and every token attenuated from it
  * @param {string} tokenId - Token ID
  * @param {Object} options - Options
  * @param {string} options.userId - User ID who owned the token
@@ -318,8 +892,13 @@ export async function reloadRevocations(groupId = null) {
 
 export default {
   initAuth,
+  rotateSigningKey,
+  getPublicSigningKeys,
+  getLegacyHmacDeadline,
   issueCapabilityToken,
+  attenuateCapabilityToken,
   verifyCapabilityToken,
+  consumeCaveatUses,
   revokeToken,
   revokeUserTokens,
   checkAccess,
@@ -1,16 +1,35 @@
 // group-vault/lib/auth.test.js
 // Tests for group vault auth and capability tokens
 
+import crypto from "crypto";
 import { describe, it, expect, beforeEach, afterEach } from "vitest";
 import {
   initAuth,
   issueCapabilityToken,
   verifyCapabilityToken,
+  consumeCaveatUses,
   checkAccess,
   revokeToken,
   revokeUserTokens,
+  rotateSigningKey,
+  getPublicSigningKeys,
+  attenuateCapabilityToken,
+  MAX_TOKEN_TTL_MS,
 } from "./auth.js";
 
+// Ed25519 SPKI prefix for DER-encoded public keys
+const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+
+// Token in the format issued before Ed25519 signing
+function legacyHmacToken(key, payload) {
+  const hmacKey = crypto.createHash("sha256").update(key).digest();
+  const signature = crypto
+    .createHmac("sha256", hmacKey)
+    .update(JSON.stringify(payload))
+    .digest("hex");
+  return Buffer.from(JSON.stringify({ ...payload, signature })).toString("base64url");
+}
+
 describe("GroupVaultAuth", () => {
   const signingKey = "test-signing-key-that-is-at-least-32-characters";
   const groupId = "test-group-123";
@@ -54,6 +73,40 @@ describe("GroupVaultAuth", () => {
       expect(verified.allowedSecrets).toEqual(["api-key", "db-password"]);
       expect(verified.permissions).toEqual(["read", "write"]);
     });
+
+    it("should carry a call budget into the token and its attenuations", () => {
+      const token = issueCapabilityToken({ groupId, userId, maxCalls: 3 });
+      const root = verifyCapabilityToken(token);
+      const child = verifyCapabilityToken(attenuateCapabilityToken(token, { ttlSeconds: 60 }));
+
+      expect(root.maxCalls).toBe(3);
+      expect(child.maxCalls).toBe(3);
+      expect(child.rootId).toBe(root.id);
+      expect(verifyCapabilityToken(issueCapabilityToken({ groupId, userId })).maxCalls).toBe(
+        undefined,
+      );
+    });
+
+    it("should expire no later than notAfter", () => {
+      const notAfter = Date.now() + 30_000;
+      const token = verifyCapabilityToken(
+        issueCapabilityToken({ groupId, userId, ttlSeconds: 60, notAfter }),
+      );
+
+      expect(token.expiresAt).toBe(notAfter);
+      expect(token.budgetId).toBeUndefined();
+    });
+
+    it("should draw from another token's budget", () => {
+      const notAfter = Date.now() + 30_000;
+      const budgetId = "a".repeat(32);
+      const token = verifyCapabilityToken(
+        issueCapabilityToken({ groupId, userId, maxCalls: 5, notAfter, budgetId }),
+      );
+
+      expect(token.budgetId).toBe(budgetId);
+      expect(token.budgetExpiresAt).toBe(notAfter);
+    });
   });
 
   describe("verifyCapabilityToken", () => {
@@ -151,4 +204,305 @@ describe("GroupVaultAuth", () => {
       expect(verifyCapabilityToken(otherToken)).toBeTruthy();
     });
   });
+
+  describe("signed tokens", () => {
+    it("should sign with the active key and name it in the header", () => {
+      const token = issueCapabilityToken({ groupId, userId });
+      const [headerSegment] = token.split(".");
+      const header = JSON.parse(Buffer.from(headerSegment, "base64url").toString());
+
+      const [activeKey] = getPublicSigningKeys();
+      expect(header).toEqual({ alg: "EdDSA", typ: "ocmt-cap", kid: activeKey.kid });
+      expect(verifyCapabilityToken(token).kid).toBe(activeKey.kid);
+    });
+
+    it("should be verifiable with only the published public key", () => {
+      const token = issueCapabilityToken({ groupId, userId });
+      const [headerSegment, payloadSegment, signatureSegment] = token.split(".");
+      const [{ publicKey }] = getPublicSigningKeys();
+
+      const key = crypto.createPublicKey({
+        key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKey, "base64")]),
+        format: "der",
+        type: "spki",
+      });
+      const valid = crypto.verify(
+        null,
+        Buffer.from(`${headerSegment}.${payloadSegment}`),
+        key,
+        Buffer.from(signatureSegment, "base64url"),
+      );
+      expect(valid).toBe(true);
+    });
+
+    it("should reject a token with a modified payload", () => {
+      const token = issueCapabilityToken({ groupId, userId, permissions: ["read"] });
+      const [headerSegment, payloadSegment, signatureSegment] = token.split(".");
+      const payload = JSON.parse(Buffer.from(payloadSegment, "base64url").toString());
+      payload.permissions = ["read", "write", "delete"];
+      const forged = [
+        headerSegment,
+        Buffer.from(JSON.stringify(payload)).toString("base64url"),
+        signatureSegment,
+      ].join(".");
+
+      expect(verifyCapabilityToken(forged)).toBeNull();
+    });
+
+    it("should reject a token signed by an unknown key", async () => {
+      const token = issueCapabilityToken({ groupId, userId });
+      await initAuth(signingKey);
+
+      expect(verifyCapabilityToken(token)).toBeNull();
+    });
+  });
+
+  describe("rotateSigningKey", () => {
+    it("should keep tokens signed by the previous key valid", async () => {
+      const before = issueCapabilityToken({ groupId, userId });
+      const [{ kid: oldKid }] = getPublicSigningKeys();
+
+      const result = await rotateSigningKey();
+      const after = issueCapabilityToken({ groupId, userId });
+
+      expect(result.previousKid).toBe(oldKid);
+      expect(result.kid).not.toBe(oldKid);
+      expect(result.previousRetiresAt.getTime()).toBeGreaterThan(
+        Date.now() + MAX_TOKEN_TTL_MS - 60000,
+      );
+      expect(verifyCapabilityToken(before).kid).toBe(oldKid);
+      expect(verifyCapabilityToken(after).kid).toBe(result.kid);
+
+      const keys = getPublicSigningKeys();
+      expect(keys.map((k) => [k.kid, k.status])).toEqual([
+        [oldKid, "retired"],
+        [result.kid, "active"],
+      ]);
+    });
+
+    it("should stop accepting the previous key's tokens when revoked", async () => {
+      const before = issueCapabilityToken({ groupId, userId });
+
+      await rotateSigningKey({ revokePrevious: true });
+
+      expect(verifyCapabilityToken(before)).toBeNull();
+      expect(getPublicSigningKeys()).toHaveLength(1);
+    });
+  });
+
+  describe("legacy HMAC tokens", () => {
+    const payload = () => ({
+      id: crypto.randomBytes(16).toString("hex"),
+      groupId,
+      userId,
+      allowedSecrets: ["*"],
+      permissions: ["read"],
+      expiresAt: Date.now() + 60000,
+    });
+
+    it("should be accepted during the compatibility window", () => {
+      const verified = verifyCapabilityToken(legacyHmacToken(signingKey, payload()));
+
+      expect(verified).toMatchObject({ groupId, userId, kid: null });
+    });
+
+    it("should be rejected with the wrong key", () => {
+      const token = legacyHmacToken("another-signing-key-that-is-at-least-32-chars", payload());
+
+      expect(verifyCapabilityToken(token)).toBeNull();
+    });
+
+    it("should be rejected after the compatibility window", async () => {
+      await initAuth(signingKey, null, { legacyHmacUntil: Date.now() - 1 });
+
+      expect(verifyCapabilityToken(legacyHmacToken(signingKey, payload()))).toBeNull();
+    });
+  });
+
+  describe("attenuateCapabilityToken", () => {
+    const rootToken = () =>
+      issueCapabilityToken({
+        groupId,
+        userId,
+        allowedSecrets: ["api-key", "db-password"],
+        permissions: ["read", "write"],
+      });
+
+    it("should narrow secrets and permissions", () => {
+      const token = attenuateCapabilityToken(rootToken(), {
+        secrets: ["api-key", "other-secret"],
+        permissions: ["read", "delete"],
+      });
+
+      const verified = verifyCapabilityToken(token);
+      expect(verified.allowedSecrets).toEqual(["api-key"]);
+      expect(verified.permissions).toEqual(["read"]);
+      expect(verified.userId).toBe(userId);
+    });
+
+    it("should narrow a wildcard token to the listed secrets", () => {
+      const token = attenuateCapabilityToken(issueCapabilityToken({ groupId, userId }), {
+        secrets: ["api-key"],
+      });
+
+      expect(verifyCapabilityToken(token).allowedSecrets).toEqual(["api-key"]);
+    });
+
+    it("should apply caveats cumulatively", () => {
+      const child = attenuateCapabilityToken(rootToken(), { permissions: ["read"] });
+      const grandchild = attenuateCapabilityToken(child, { secrets: ["db-password"] });
+
+      const verified = verifyCapabilityToken(grandchild);
+      expect(verified.permissions).toEqual(["read"]);
+      expect(verified.allowedSecrets).toEqual(["db-password"]);
+      expect(verified.chain).toHaveLength(3);
+      expect(verified.parentId).toBe(verifyCapabilityToken(child).id);
+    });
+
+    it("should shorten but never extend the TTL", () => {
+      const root = issueCapabilityToken({ groupId, userId, ttlSeconds: 60 });
+      const rootExpiresAt = verifyCapabilityToken(root).expiresAt;
+
+      const shorter = verifyCapabilityToken(attenuateCapabilityToken(root, { ttlSeconds: 10 }));
+      const longer = verifyCapabilityToken(attenuateCapabilityToken(root, { ttlSeconds: 3600 }));
+
+      expect(shorter.expiresAt).toBeLessThan(rootExpiresAt);
+      expect(longer.expiresAt).toBe(rootExpiresAt);
+    });
+
+    it("should keep the issued token's expiry for the shared call budget", () => {
+      const root = issueCapabilityToken({ groupId, userId, ttlSeconds: 60 });
+      const rootExpiresAt = verifyCapabilityToken(root).expiresAt;
+
+      const shorter = verifyCapabilityToken(attenuateCapabilityToken(root, { ttlSeconds: 10 }));
+
+      expect(shorter.rootExpiresAt).toBe(rootExpiresAt);
+    });
+
+    it("should enforce a max-use count", async () => {
+      const token = verifyCapabilityToken(attenuateCapabilityToken(rootToken(), { maxUses: 2 }));
+
+      expect(await consumeCaveatUses(token)).toBe(true);
+      expect(await consumeCaveatUses(token)).toBe(true);
+      expect(await consumeCaveatUses(token)).toBe(false);
+    });
+
+    it("should not count uses when verifying", async () => {
+      const tokenString = attenuateCapabilityToken(rootToken(), { maxUses: 1 });
+
+      expect(verifyCapabilityToken(tokenString)).toBeTruthy();
+      expect(verifyCapabilityToken(tokenString)).toBeTruthy();
+      expect(await consumeCaveatUses(verifyCapabilityToken(tokenString))).toBe(true);
+    });
+
+    it("should count uses of derived tokens against the parent's limit", async () => {
+      const parent = attenuateCapabilityToken(rootToken(), { maxUses: 1 });
+      const child = attenuateCapabilityToken(parent, { permissions: ["read"] });
+
+      expect(await consumeCaveatUses(verifyCapabilityToken(child))).toBe(true);
+      expect(await consumeCaveatUses(verifyCapabilityToken(parent))).toBe(false);
+    });
+
+    it("should not count a use against caveats when a later caveat refuses", async () => {
+      const parent = attenuateCapabilityToken(rootToken(), { maxUses: 2 });
+      const child = attenuateCapabilityToken(parent, { maxUses: 1 });
+
+      expect(await consumeCaveatUses(verifyCapabilityToken(child))).toBe(true);
+      expect(await consumeCaveatUses(verifyCapabilityToken(child))).toBe(false);
+      expect(await consumeCaveatUses(verifyCapabilityToken(parent))).toBe(true);
+      expect(await consumeCaveatUses(verifyCapabilityToken(parent))).toBe(false);
+    });
+
+    it("should only be accepted by the bound audience", () => {
+      const token = attenuateCapabilityToken(rootToken(), { audience: "group-vault:test" });
+
+      expect(verifyCapabilityToken(token)).toBeNull();
+      expect(verifyCapabilityToken(token, { audience: "relay" })).toBeNull();
+      expect(verifyCapabilityToken(token, { audience: "group-vault:test" })).toBeTruthy();
+    });
+
+    it("should reject a token with a caveat removed", () => {
+      const child = attenuateCapabilityToken(rootToken(), { permissions: ["read"] });
+      const grandchild = attenuateCapabilityToken(child, { secrets: ["api-key"] });
+      const [header, payload, caveatsSegment, tag] = grandchild.split(".");
+      const caveats = JSON.parse(Buffer.from(caveatsSegment, "base64url").toString());
+      const stripped = [
+        header,
+        payload,
+        Buffer.from(JSON.stringify(caveats.slice(1))).toString("base64url"),
+        tag,
+      ].join(".");
+
+      expect(verifyCapabilityToken(stripped)).toBeNull();
+    });
+
+    it("should reject a widened caveat", () => {
+      const token = attenuateCapabilityToken(rootToken(), { permissions: ["read"] });
+      const [header, payload, caveatsSegment, tag] = token.split(".");
+      const [caveat] = JSON.parse(Buffer.from(caveatsSegment, "base64url").toString());
+      caveat.permissions = ["read", "write"];
+      const widened = [
+        header,
+        payload,
+        Buffer.from(JSON.stringify([caveat])).toString("base64url"),
+        tag,
+      ].join(".");
+
+      expect(verifyCapabilityToken(widened)).toBeNull();
+    });
+
+    it("should reject caveats with malformed values", () => {
+      // Holders mint caveats offline: the chain tag only needs the parent's signature
+      const mint = (caveat) => {
+        const [header, payload, signature] = rootToken().split(".");
+        const tag = crypto
+          .createHmac("sha256", Buffer.from(signature, "base64url"))
+          .update(JSON.stringify(caveat))
+          .digest("base64url");
+        return [
+          header,
+          payload,
+          Buffer.from(JSON.stringify([caveat])).toString("base64url"),
+          tag,
+        ].join(".");
+      };
+      const id = crypto.randomBytes(16).toString("hex");
+
+      expect(verifyCapabilityToken(mint({ id, permissions: ["read"] }))).toBeTruthy();
+      expect(verifyCapabilityToken(mint({ id, expiresAt: "never" }))).toBeNull();
+      expect(verifyCapabilityToken(mint({ id, expiresAt: Date.now() + 0.5 }))).toBeNull();
+      expect(verifyCapabilityToken(mint({ id, maxUses: "1" }))).toBeNull();
+      expect(verifyCapabilityToken(mint({ id, maxUses: -1 }))).toBeNull();
+      expect(verifyCapabilityToken(mint({ id, permissions: "read" }))).toBeNull();
+      expect(verifyCapabilityToken(mint({ id, secrets: [{ key: "api-key" }] }))).toBeNull();
+      expect(verifyCapabilityToken(mint({ id, audience: [] }))).toBeNull();
+    });
+
+    it("should revoke derived tokens with their parent", async () => {
+      const root = rootToken();
+      const child = attenuateCapabilityToken(root, { permissions: ["read"] });
+      const grandchild = attenuateCapabilityToken(child, { secrets: ["api-key"] });
+      const sibling = attenuateCapabilityToken(root, { secrets: ["db-password"] });
+
+      await revokeToken(verifyCapabilityToken(child).id);
+
+      expect(verifyCapabilityToken(child)).toBeNull();
+      expect(verifyCapabilityToken(grandchild)).toBeNull();
+      expect(verifyCapabilityToken(sibling)).toBeTruthy();
+
+      await revokeToken(verifyCapabilityToken(root).id);
+      expect(verifyCapabilityToken(sibling)).toBeNull();
+    });
+
+    it("should reject invalid restrictions", () => {
+      const token = rootToken();
+
+      expect(() => attenuateCapabilityToken(token, {})).toThrow("At least one restriction");
+      expect(() => attenuateCapabilityToken(token, { permissions: ["root"] })).toThrow();
+      expect(() => attenuateCapabilityToken(token, { maxUses: 0 })).toThrow();
+      expect(() => attenuateCapabilityToken("legacy-token", { maxUses: 1 })).toThrow(
+        "Only signed capability tokens can be attenuated",
+      );
+    });
+  });
 });
@@ -0,0 +1,84 @@
+// group-vault/lib/break-glass.js
+// Break-glass escrow: the vault key sealed so the vault can be opened without its password
+//
+// The escrow is sealed with a key derived from SIGNING_KEY and stored by the
+// management server, which only hands it back once enough group admins have
+// approved a break-glass request. The approvals are enforced by the management
+// server, not by this seal: it holds both the escrow and GROUP_VAULT_AUTH_TOKEN,
+// so a compromised management server can open a locked vault. A copy of the
+// database alone cannot (the seal key stays in the container).
+
+import crypto from "crypto";
+
+// Longest break-glass access window (4 hours)
+export const MAX_BREAK_GLASS_TTL_SECONDS = 4 * 60 * 60;
+
+let escrowKey = null;
+
+/**
+ * Initialize break-glass escrow sealing
+ * @param {string} key - Container SIGNING_KEY (at least 32 characters)
+ */
+export function initBreakGlass(key) {
+  if (!key || key.length < 32) {
+    throw new Error("Signing key must be at least 32 characters");
+  }
+  escrowKey = Buffer.from(
+    crypto.hkdfSync("sha256", key, Buffer.alloc(0), "ocmt-group-vault-break-glass", 32),
+  );
+}
+
+/**
+ * Seal the vault key into a break-glass escrow
+ * @param {Buffer} vaultKey - Key the vault is encrypted with
+ * @param {string} groupId - Group the vault belongs to (bound as AAD)
+ * @returns {string} Escrow (JSON, base64 fields)
+ */
+export function sealVaultKey(vaultKey, groupId) {
+  if (!escrowKey) {
+    throw new Error("Break-glass not initialized");
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", escrowKey, iv);
+  cipher.setAAD(Buffer.from(groupId));
+  const data = Buffer.concat([cipher.update(vaultKey), cipher.final()]);
+  return JSON.stringify({
+    v: 1,
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  });
+}
+
+/**
+ * Open a break-glass escrow
+ * @param {string} escrow - Escrow from sealVaultKey
+ * @param {string} groupId - Group the vault belongs to
+ * @returns {Buffer} Vault key
+ * @throws {Error} code INVALID_ESCROW if the escrow was sealed by another key or group
+ */
+export function openVaultKey(escrow, groupId) {
+  if (!escrowKey) {
+    throw new Error("Break-glass not initialized");
+  }
+
+  try {
+    const { iv, tag, data } = JSON.parse(escrow);
+    const decipher = crypto.createDecipheriv("aes-256-gcm", escrowKey, Buffer.from(iv, "base64"));
+    decipher.setAAD(Buffer.from(groupId));
+    decipher.setAuthTag(Buffer.from(tag, "base64"));
+    return Buffer.concat([decipher.update(Buffer.from(data, "base64")), decipher.final()]);
+  } catch {
+    const error = new Error("Break-glass escrow cannot be opened by this vault");
+    error.code = "INVALID_ESCROW";
+    throw error;
+  }
+}
+
+export default {
+  initBreakGlass,
+  sealVaultKey,
+  openVaultKey,
+  MAX_BREAK_GLASS_TTL_SECONDS,
+};
@@ -0,0 +1,44 @@
+// group-vault/lib/break-glass.test.js
+// Tests for break-glass escrow sealing
+
+import crypto from "crypto";
+import { describe, it, expect, beforeEach } from "vitest";
+import { initBreakGlass, sealVaultKey, openVaultKey } from "./break-glass.js";
+
+const signingKey = "a".repeat(64);
+const groupId = "group-1";
+
+describe("break-glass escrow", () => {
+  beforeEach(() => {
+    initBreakGlass(signingKey);
+  });
+
+  it("should round-trip the vault key", () => {
+    const vaultKey = crypto.randomBytes(32);
+    const escrow = sealVaultKey(vaultKey, groupId);
+
+    expect(escrow).not.toContain(vaultKey.toString("base64"));
+    expect(openVaultKey(escrow, groupId).equals(vaultKey)).toBe(true);
+  });
+
+  it("should not open an escrow sealed for another group", () => {
+    const escrow = sealVaultKey(crypto.randomBytes(32), groupId);
+
+    expect(() => openVaultKey(escrow, "group-2")).toThrow(
+      expect.objectContaining({ code: "INVALID_ESCROW" }),
+    );
+  });
+
+  it("should not open an escrow after SIGNING_KEY changes", () => {
+    const escrow = sealVaultKey(crypto.randomBytes(32), groupId);
+    initBreakGlass("b".repeat(64));
+
+    expect(() => openVaultKey(escrow, groupId)).toThrow(
+      expect.objectContaining({ code: "INVALID_ESCROW" }),
+    );
+  });
+
+  it("should reject short signing keys", () => {
+    expect(() => initBreakGlass("short")).toThrow("at least 32 characters");
+  });
+});
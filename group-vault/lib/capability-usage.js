@@ -0,0 +1,110 @@
+// group-vault/lib/capability-usage.js
+// Call counting for usage-limited capability tokens
+// Uses Redis when available so every replica shares a budget, falls back to in-memory
+import { getRedisClient, isRedisConnected } from "../../management-server/lib/redis.js";
+
+// In-memory fallback when Redis is unavailable
+const memoryStore = new Map();
+
+// Redis key prefix for per-capability call counters
+const REDIS_PREFIX = "capability:uses:";
+
+// Clean up expired counters from memory store periodically
+setInterval(() => {
+  const now = Date.now();
+  for (const [capabilityId, entry] of memoryStore) {
+    if (entry.expiresAt < now) {
+      memoryStore.delete(capabilityId);
+    }
+  }
+}, 60000).unref();
+
+function usage(used, maxCalls) {
+  return { used, remaining: Math.max(0, maxCalls - used), maxCalls };
+}
+
+/**
+ * Count one call against a capability's budget
+ * Calls beyond the budget are rejected and not counted.
+ * @param {string} capabilityId - Capability (root token) ID
+ * @param {number} maxCalls - Calls allowed over the capability's lifetime
+ * @param {number} expiresAt - When the counter can be dropped (ms timestamp)
+ * @returns {Promise<{ allowed: boolean, used: number, remaining: number, maxCalls: number }>}
+ */
+export async function consumeCapabilityCall(capabilityId, maxCalls, expiresAt) {
+  const redis = getRedisClient();
+  if (redis && isRedisConnected()) {
+    try {
+      const key = REDIS_PREFIX + capabilityId;
+      const used = await redis.incr(key);
+      if (used === 1) {
+        await redis.pexpireat(key, expiresAt);
+      }
+      if (used > maxCalls) {
+        await redis.decr(key);
+        return { allowed: false, ...usage(maxCalls, maxCalls) };
+      }
+      return { allowed: true, ...usage(used, maxCalls) };
+    } catch (err) {
+      console.warn("[capability-usage] Redis write failed, using memory:", err.message);
+    }
+  }
+
+  // Fallback to memory
+  const entry = memoryStore.get(capabilityId) || { used: 0, expiresAt };
+  if (entry.used >= maxCalls) {
+    return { allowed: false, ...usage(entry.used, maxCalls) };
+  }
+  entry.used++;
+  memoryStore.set(capabilityId, entry);
+  return { allowed: true, ...usage(entry.used, maxCalls) };
+}
+
+/**
+ * Give back a call counted by consumeCapabilityCall
+ * Used when a request counted against several budgets is refused by a later one.
+ * @param {string} capabilityId - Capability (root token) ID
+ * @returns {Promise<void>}
+ */
+export async function releaseCapabilityCall(capabilityId) {
+  const redis = getRedisClient();
+  if (redis && isRedisConnected()) {
+    try {
+      await redis.decr(REDIS_PREFIX + capabilityId);
+      return;
+    } catch (err) {
+      console.warn("[capability-usage] Redis write failed, using memory:", err.message);
+    }
+  }
+
+  const entry = memoryStore.get(capabilityId);
+  if (entry && entry.used > 0) {
+    entry.used--;
+  }
+}
+
+/**
+ * Get a capability's usage without counting a call
+ * @param {string} capabilityId - Capability (root token) ID
+ * @param {number} maxCalls - Calls allowed over the capability's lifetime
+ * @returns {Promise<{ used: number, remaining: number, maxCalls: number }>}
+ */
+export async function getCapabilityUsage(capabilityId, maxCalls) {
+  const redis = getRedisClient();
+  if (redis && isRedisConnected()) {
+    try {
+      const data = await redis.get(REDIS_PREFIX + capabilityId);
+      return usage(Math.min(parseInt(data || "0", 10), maxCalls), maxCalls);
+    } catch (err) {
+      console.warn("[capability-usage] Redis read failed, checking memory:", err.message);
+    }
+  }
+
+  return usage(memoryStore.get(capabilityId)?.used || 0, maxCalls);
+}
+
+export default {
+  consumeCapabilityCall,
+  releaseCapabilityCall,
+  getCapabilityUsage,
+};
@@ -0,0 +1,101 @@
+// group-vault/lib/capability-usage.test.js
+// Tests for capability call counting
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("../../management-server/lib/redis.js", () => ({
+  getRedisClient: vi.fn(() => null),
+  isRedisConnected: vi.fn(() => false),
+}));
+
+import { getRedisClient, isRedisConnected } from "../../management-server/lib/redis.js";
+import {
+  consumeCapabilityCall,
+  getCapabilityUsage,
+  releaseCapabilityCall,
+} from "./capability-usage.js";
+
+const expiresAt = Date.now() + 60_000;
+
+describe("consumeCapabilityCall (memory)", () => {
+  it("should allow calls up to the budget and reject the rest", async () => {
+    expect(await consumeCapabilityCall("cap-mem-1", 2, expiresAt)).toEqual({
+      allowed: true,
+      used: 1,
+      remaining: 1,
+      maxCalls: 2,
+    });
+    expect((await consumeCapabilityCall("cap-mem-1", 2, expiresAt)).remaining).toBe(0);
+
+    const rejected = await consumeCapabilityCall("cap-mem-1", 2, expiresAt);
+    expect(rejected).toMatchObject({ allowed: false, used: 2, remaining: 0 });
+    expect(await getCapabilityUsage("cap-mem-1", 2)).toEqual({
+      used: 2,
+      remaining: 0,
+      maxCalls: 2,
+    });
+  });
+
+  it("should count capabilities independently", async () => {
+    await consumeCapabilityCall("cap-mem-2", 5, expiresAt);
+
+    expect(await getCapabilityUsage("cap-mem-2", 5)).toMatchObject({ used: 1, remaining: 4 });
+    expect(await getCapabilityUsage("cap-mem-3", 5)).toMatchObject({ used: 0, remaining: 5 });
+  });
+
+  it("should give back a released call", async () => {
+    await consumeCapabilityCall("cap-mem-4", 1, expiresAt);
+    await releaseCapabilityCall("cap-mem-4");
+
+    expect((await consumeCapabilityCall("cap-mem-4", 1, expiresAt)).allowed).toBe(true);
+  });
+});
+
+describe("consumeCapabilityCall (redis)", () => {
+  let counters;
+  const redis = {
+    incr: vi.fn(async (key) => {
+      counters.set(key, (counters.get(key) || 0) + 1);
+      return counters.get(key);
+    }),
+    decr: vi.fn(async (key) => {
+      counters.set(key, counters.get(key) - 1);
+      return counters.get(key);
+    }),
+    pexpireat: vi.fn(),
+    get: vi.fn(async (key) => (counters.has(key) ? String(counters.get(key)) : null)),
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    counters = new Map();
+    getRedisClient.mockReturnValue(redis);
+    isRedisConnected.mockReturnValue(true);
+  });
+
+  it("should expire the counter with the capability and undo rejected calls", async () => {
+    await consumeCapabilityCall("cap-redis-1", 1, expiresAt);
+    expect(redis.pexpireat).toHaveBeenCalledWith("capability:uses:cap-redis-1", expiresAt);
+
+    const rejected = await consumeCapabilityCall("cap-redis-1", 1, expiresAt);
+    expect(rejected).toMatchObject({ allowed: false, remaining: 0 });
+    expect(redis.decr).toHaveBeenCalledTimes(1);
+    expect(counters.get("capability:uses:cap-redis-1")).toBe(1);
+  });
+
+  it("should release a call in the shared counter", async () => {
+    await consumeCapabilityCall("cap-redis-3", 2, expiresAt);
+    await releaseCapabilityCall("cap-redis-3");
+
+    expect(counters.get("capability:uses:cap-redis-3")).toBe(0);
+  });
+
+  it("should fall back to memory when Redis fails", async () => {
+    redis.incr.mockRejectedValueOnce(new Error("connection reset"));
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    const result = await consumeCapabilityCall("cap-redis-2", 3, expiresAt);
+
+    expect(result).toMatchObject({ allowed: true, used: 1, remaining: 2 });
+  });
+});
@@ -0,0 +1,412 @@
+// group-vault/lib/importers.js
+// Bulk import of secrets from .env files and password manager exports
+//
+// Supported formats:
+//   dotenv         - KEY=value lines (export prefix, quotes and comments allowed)
+//   1password_csv  - 1Password CSV export (Title, Password, Username, URL/Website, Notes)
+//   bitwarden_json - Bitwarden unencrypted JSON export (logins and secure notes)
+//
+// Parsing only produces entries. planImport decides per entry what happens against
+// the current vault data, and applyImport writes the plan; a dry run stops after the plan.
+
+import { secretKeySchema } from "./schemas.js";
+import { writeSecretVersion } from "./vault.js";
+
+export const IMPORT_FORMATS = ["dotenv", "1password_csv", "bitwarden_json"];
+
+// How existing secrets with the same key are handled
+export const IMPORT_CONFLICT_MODES = ["skip", "overwrite", "version"];
+
+// Most secrets accepted in one import
+export const MAX_IMPORT_SECRETS = 1000;
+
+const MAX_KEY_LENGTH = 255;
+
+function importError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// ============================================================
+// KEY NORMALIZATION
+// ============================================================
+
+/**
+ * Turn a name from an import source into a valid secret key
+ * Runs of invalid characters become "_", and leading/trailing separators are trimmed.
+ * @param {string} name - Source name (env var, item title)
+ * @returns {string|null} Key matching secretKeySchema, or null if nothing usable is left
+ */
+export function normalizeSecretKey(name) {
+  if (typeof name !== "string") {
+    return null;
+  }
+
+  const key = name
+    .trim()
+    .replace(/[^a-zA-Z0-9_.-]+/g, "_")
+    .replace(/^[_.-]+|[_.-]+$/g, "")
+    .slice(0, MAX_KEY_LENGTH);
+
+  return secretKeySchema.safeParse(key).success ? key : null;
+}
+
+// ============================================================
+// PARSERS
+// ============================================================
+
+function unescapeDoubleQuoted(value) {
+  return value.replace(/\\([nrt"\\])/g, (_, ch) => {
+    switch (ch) {
+      case "n":
+        return "\n";
+      case "r":
+        return "\r";
+      case "t":
+        return "\t";
+      default:
+        return ch;
+    }
+  });
+}
+
+/**
+ * Parse a .env file
+ * Double-quoted values may span lines and use \n escapes; single-quoted values are literal;
+ * unquoted values end at an inline " #" comment.
+ * @param {string} content - File contents
+ * @returns {{ name: string, value: string, metadata: object }[]}
+ */
+export function parseDotenv(content) {
+  const entries = [];
+  const lines = content.replace(/\r\n?/g, "\n").split("\n");
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line || line.startsWith("#")) {
+      continue;
+    }
+
+    const match = /^(?:export\s+)?([^=\s]+)\s*=\s*(.*)$/.exec(line);
+    if (!match) {
+      throw importError(`Line ${i + 1} is not KEY=value`, "INVALID_IMPORT");
+    }
+
+    const [, name, rest] = match;
+    let value;
+
+    if (rest.startsWith('"')) {
+      // Collect lines until the closing unescaped quote
+      let raw = rest.slice(1);
+      let end = raw.search(/(?<!\\)"/);
+      while (end === -1 && i + 1 < lines.length) {
+        raw += "\n" + lines[++i];
+        end = raw.search(/(?<!\\)"/);
+      }
+      if (end === -1) {
+        throw importError(`Unterminated quote for ${name}`, "INVALID_IMPORT");
+      }
+      value = unescapeDoubleQuoted(raw.slice(0, end));
+    } else if (rest.startsWith("'")) {
+      const end = rest.indexOf("'", 1);
+      if (end === -1) {
+        throw importError(`Unterminated quote for ${name}`, "INVALID_IMPORT");
+      }
+      value = rest.slice(1, end);
+    } else {
+      value = rest.replace(/\s+#.*$/, "").trim();
+    }
+
+    entries.push({ name, value, metadata: { source: "dotenv" } });
+  }
+
+  return entries;
+}
+
+// RFC 4180 CSV: quoted fields may contain commas, newlines and "" escapes
+function parseCsvRows(content) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const ch = content[i];
+
+    if (quoted) {
+      if (ch === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && content[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+
+  if (quoted) {
+    throw importError("Unterminated quoted field in CSV", "INVALID_IMPORT");
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((cell) => cell.trim()));
+}
+
+/**
+ * Parse a 1Password CSV export
+ * Columns are found by header name, so both the current (Title, Website, ...) and
+ * older (title, url, ...) layouts work. Each row's password becomes a secret.
+ * @param {string} content - CSV contents
+ * @returns {{ name: string, value: string, metadata: object }[]}
+ */
+export function parseOnePasswordCsv(content) {
+  const [header, ...rows] = parseCsvRows(content.replace(/^\uFEFF/, ""));
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map((h) => h.trim().toLowerCase());
+  const column = (...names) => columns.findIndex((c) => names.includes(c));
+  const title = column("title", "name");
+  const password = column("password");
+  if (title === -1 || password === -1) {
+    throw importError("CSV must have Title and Password columns", "INVALID_IMPORT");
+  }
+  const username = column("username");
+  const url = column("website", "url", "urls");
+
+  return rows.map((row) => ({
+    name: row[title] || "",
+    value: row[password] || "",
+    metadata: {
+      source: "1password",
+      ...(username !== -1 && row[username] ? { username: row[username] } : {}),
+      ...(url !== -1 && row[url] ? { url: row[url] } : {}),
+    },
+  }));
+}
+
+// Bitwarden item types
+const BITWARDEN_LOGIN = 1;
+const BITWARDEN_SECURE_NOTE = 2;
+
+/**
+ * Parse a Bitwarden unencrypted JSON export
+ * Logins import their password and secure notes their notes; cards and identities
+ * are returned without a value so they are reported as invalid.
+ * @param {string} content - JSON contents
+ * @returns {{ name: string, value: string, metadata: object }[]}
+ */
+export function parseBitwardenJson(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch {
+    throw importError("Bitwarden export is not valid JSON", "INVALID_IMPORT");
+  }
+
+  if (data?.encrypted) {
+    throw importError(
+      "Encrypted Bitwarden exports are not supported, export as unencrypted JSON",
+      "INVALID_IMPORT",
+    );
+  }
+  if (!Array.isArray(data?.items)) {
+    throw importError("Bitwarden export has no items", "INVALID_IMPORT");
+  }
+
+  return data.items.map((item) => {
+    const metadata = { source: "bitwarden" };
+    let value = "";
+
+    if (item.type === BITWARDEN_LOGIN) {
+      value = item.login?.password || "";
+      if (item.login?.username) {
+        metadata.username = item.login.username;
+      }
+      if (item.login?.uris?.[0]?.uri) {
+        metadata.url = item.login.uris[0].uri;
+      }
+    } else if (item.type === BITWARDEN_SECURE_NOTE) {
+      value = item.notes || "";
+    }
+
+    return { name: item.name || "", value, metadata };
+  });
+}
+
+/**
+ * Parse import content in one of IMPORT_FORMATS
+ * @param {string} format - Import format
+ * @param {string} content - Raw file contents
+ * @returns {{ name: string, value: string, metadata: object }[]}
+ * @throws {Error} code INVALID_IMPORT or TOO_MANY_SECRETS
+ */
+export function parseImport(format, content) {
+  let entries;
+  switch (format) {
+    case "dotenv":
+      entries = parseDotenv(content);
+      break;
+    case "1password_csv":
+      entries = parseOnePasswordCsv(content);
+      break;
+    case "bitwarden_json":
+      entries = parseBitwardenJson(content);
+      break;
+    default:
+      throw importError(`Unknown import format: ${format}`, "INVALID_IMPORT");
+  }
+
+  if (entries.length > MAX_IMPORT_SECRETS) {
+    throw importError(
+      `Import has ${entries.length} entries, the limit is ${MAX_IMPORT_SECRETS}`,
+      "TOO_MANY_SECRETS",
+    );
+  }
+  return entries;
+}
+
+// ============================================================
+// PLAN AND APPLY
+// ============================================================
+
+/**
+ * Decide what happens to each parsed entry. Does not touch the vault.
+ * Names that normalize to the same key get _2, _3, ... suffixes.
+ * @param {object} data - Decrypted vault data
+ * @param {{ name: string, value: string, metadata: object }[]} entries - Parsed entries
+ * @param {object} [options]
+ * @param {"skip"|"overwrite"|"version"} [options.conflict] - Handling of existing keys
+ * @param {string} [options.prefix] - Prepended to every key (e.g. "prod.")
+ * @returns {{ items: object[], summary: Record<string, number> }} Items carry the value
+ *   under `value`; strip it before returning a preview.
+ */
+export function planImport(data, entries, { conflict = "skip", prefix = "" } = {}) {
+  const existing = data.secrets || {};
+  const seen = new Set();
+  const items = [];
+  const summary = {
+    total: entries.length,
+    create: 0,
+    overwrite: 0,
+    version: 0,
+    skip: 0,
+    invalid: 0,
+  };
+
+  for (const entry of entries) {
+    const name = `${prefix}${entry.name}`;
+    const base = normalizeSecretKey(name);
+    if (!base) {
+      items.push({ source: entry.name, action: "invalid", reason: "No usable key name" });
+      summary.invalid++;
+      continue;
+    }
+
+    let key = base;
+    for (let n = 2; seen.has(key); n++) {
+      key = `${base.slice(0, MAX_KEY_LENGTH - String(n).length - 1)}_${n}`;
+    }
+    seen.add(key);
+
+    const item = { key, source: entry.name };
+    if (key !== name) {
+      item.renamed = true;
+    }
+
+    if (!entry.value) {
+      items.push({ ...item, action: "invalid", reason: "No secret value" });
+      summary.invalid++;
+      continue;
+    }
+
+    if (existing[key]) {
+      item.action = conflict;
+      if (conflict === "skip") {
+        item.reason = "Secret already exists";
+      }
+    } else {
+      item.action = "create";
+    }
+    summary[item.action]++;
+    items.push({ ...item, value: entry.value, metadata: entry.metadata });
+  }
+
+  return { items, summary };
+}
+
+/**
+ * Write a plan from planImport into decrypted vault data
+ * "version" keeps the existing value as a prior version; "overwrite" replaces the secret
+ * and discards its version history.
+ * @param {object} data - Decrypted vault data (mutated)
+ * @param {object[]} items - Items from planImport
+ * @param {string} userId - User running the import
+ * @returns {string[]} Keys written
+ */
+export function applyImport(data, items, userId) {
+  const written = [];
+
+  for (const item of items) {
+    if (!["create", "overwrite", "version"].includes(item.action)) {
+      continue;
+    }
+
+    if (item.action === "overwrite") {
+      delete data.secrets[item.key];
+      if (data.versions) {
+        delete data.versions[item.key];
+      }
+    }
+
+    writeSecretVersion(data, item.key, {
+      value: item.value,
+      metadata: { ...item.metadata, importedAt: new Date().toISOString() },
+      userId,
+    });
+    written.push(item.key);
+  }
+
+  return written;
+}
+
+/**
+ * Strip values from plan items for a preview or response
+ * @param {object[]} items - Items from planImport
+ * @returns {object[]}
+ */
+export function redactImportItems(items) {
+  return items.map(({ value: _value, metadata: _metadata, ...item }) => item);
+}
+
+export default {
+  IMPORT_FORMATS,
+  IMPORT_CONFLICT_MODES,
+  MAX_IMPORT_SECRETS,
+  normalizeSecretKey,
+  parseImport,
+  planImport,
+  applyImport,
+  redactImportItems,
+};
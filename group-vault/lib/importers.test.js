@@ -0,0 +1,235 @@
+// group-vault/lib/importers.test.js
+// Tests for bulk secret import parsers and planning
+
+import { describe, it, expect } from "vitest";
+import {
+  normalizeSecretKey,
+  parseDotenv,
+  parseOnePasswordCsv,
+  parseBitwardenJson,
+  parseImport,
+  planImport,
+  applyImport,
+  redactImportItems,
+  MAX_IMPORT_SECRETS,
+} from "./importers.js";
+
+describe("normalizeSecretKey", () => {
+  it("should keep valid keys unchanged", () => {
+    expect(normalizeSecretKey("STRIPE_API_KEY")).toBe("STRIPE_API_KEY");
+    expect(normalizeSecretKey("prod.db-password")).toBe("prod.db-password");
+  });
+
+  it("should replace invalid characters", () => {
+    expect(normalizeSecretKey("  Stripe Live Key (prod) ")).toBe("Stripe_Live_Key_prod");
+    expect(normalizeSecretKey("AWS / Root")).toBe("AWS_Root");
+  });
+
+  it("should return null when nothing usable is left", () => {
+    expect(normalizeSecretKey("!!!")).toBeNull();
+    expect(normalizeSecretKey("")).toBeNull();
+    expect(normalizeSecretKey(undefined)).toBeNull();
+  });
+
+  it("should truncate long names", () => {
+    expect(normalizeSecretKey("a".repeat(300))).toHaveLength(255);
+  });
+});
+
+describe("parseDotenv", () => {
+  it("should parse plain, quoted and exported values", () => {
+    const entries = parseDotenv(
+      [
+        "# comment",
+        "",
+        "PLAIN=abc123 # trailing comment",
+        "export EXPORTED=yes",
+        "SINGLE='literal $HOME \\n'",
+        'DOUBLE="line1\\nline2"',
+        "EMPTY=",
+      ].join("\n"),
+    );
+
+    expect(Object.fromEntries(entries.map((e) => [e.name, e.value]))).toEqual({
+      PLAIN: "abc123",
+      EXPORTED: "yes",
+      SINGLE: "literal $HOME \\n",
+      DOUBLE: "line1\nline2",
+      EMPTY: "",
+    });
+  });
+
+  it("should parse multi-line double-quoted values", () => {
+    const entries = parseDotenv('KEY="-----BEGIN KEY-----\nabc\n-----END KEY-----"\nNEXT=1\r\n');
+
+    expect(entries).toHaveLength(2);
+    expect(entries[0].value).toBe("-----BEGIN KEY-----\nabc\n-----END KEY-----");
+    expect(entries[1]).toMatchObject({ name: "NEXT", value: "1" });
+  });
+
+  it("should reject malformed lines", () => {
+    expect(() => parseDotenv("NOT A VARIABLE")).toThrow(
+      expect.objectContaining({ code: "INVALID_IMPORT" }),
+    );
+    expect(() => parseDotenv('KEY="unterminated')).toThrow("Unterminated quote");
+  });
+});
+
+describe("parseOnePasswordCsv", () => {
+  it("should parse the current 1Password layout", () => {
+    const csv = [
+      "Title,Website,Username,Password,OTPAuth,Favorite,Archived,Tags,Notes",
+      'GitHub,https://github.com,octocat,"p,ass""word",,false,false,,',
+      '"Multi\nline",,,secret,,false,false,,"note"',
+    ].join("\n");
+
+    const entries = parseOnePasswordCsv("﻿" + csv);
+
+    expect(entries).toEqual([
+      {
+        name: "GitHub",
+        value: 'p,ass"word',
+        metadata: { source: "1password", username: "octocat", url: "https://github.com" },
+      },
+      { name: "Multi\nline", value: "secret", metadata: { source: "1password" } },
+    ]);
+  });
+
+  it("should parse the older lowercase layout", () => {
+    const entries = parseOnePasswordCsv("title,url,username,password,notes\nDB,,admin,pw,\n");
+
+    expect(entries[0]).toMatchObject({ name: "DB", value: "pw" });
+  });
+
+  it("should require Title and Password columns", () => {
+    expect(() => parseOnePasswordCsv("name,value\na,b")).toThrow("Title and Password");
+  });
+});
+
+describe("parseBitwardenJson", () => {
+  it("should import logins and secure notes", () => {
+    const entries = parseBitwardenJson(
+      JSON.stringify({
+        encrypted: false,
+        items: [
+          {
+            type: 1,
+            name: "AWS",
+            login: { username: "root", password: "pw", uris: [{ uri: "https://aws.amazon.com" }] },
+          },
+          { type: 2, name: "Deploy key", notes: "ssh-ed25519 AAAA" },
+          { type: 3, name: "Card", card: { number: "4111" } },
+        ],
+      }),
+    );
+
+    expect(entries).toEqual([
+      {
+        name: "AWS",
+        value: "pw",
+        metadata: { source: "bitwarden", username: "root", url: "https://aws.amazon.com" },
+      },
+      { name: "Deploy key", value: "ssh-ed25519 AAAA", metadata: { source: "bitwarden" } },
+      { name: "Card", value: "", metadata: { source: "bitwarden" } },
+    ]);
+  });
+
+  it("should reject encrypted exports", () => {
+    expect(() => parseBitwardenJson(JSON.stringify({ encrypted: true, data: "x" }))).toThrow(
+      "Encrypted Bitwarden exports",
+    );
+  });
+
+  it("should reject invalid JSON", () => {
+    expect(() => parseBitwardenJson("{")).toThrow(
+      expect.objectContaining({ code: "INVALID_IMPORT" }),
+    );
+  });
+});
+
+describe("parseImport", () => {
+  it("should reject unknown formats", () => {
+    expect(() => parseImport("keepass", "x")).toThrow("Unknown import format");
+  });
+
+  it("should cap the number of entries", () => {
+    const content = Array.from({ length: MAX_IMPORT_SECRETS + 1 }, (_, i) => `K${i}=v`).join("\n");
+
+    expect(() => parseImport("dotenv", content)).toThrow(
+      expect.objectContaining({ code: "TOO_MANY_SECRETS" }),
+    );
+  });
+});
+
+describe("planImport and applyImport", () => {
+  const entries = [
+    { name: "API_KEY", value: "new", metadata: { source: "dotenv" } },
+    { name: "Fresh Key", value: "fresh", metadata: { source: "dotenv" } },
+    { name: "Fresh_Key", value: "dupe", metadata: { source: "dotenv" } },
+    { name: "EMPTY", value: "", metadata: { source: "dotenv" } },
+    { name: "???", value: "x", metadata: { source: "dotenv" } },
+  ];
+
+  function vaultData() {
+    return { secrets: { API_KEY: { value: "old", metadata: {}, version: 1 } }, versions: {} };
+  }
+
+  it("should plan creates, conflicts, renames and invalid entries", () => {
+    const { items, summary } = planImport(vaultData(), entries, { conflict: "skip" });
+
+    expect(summary).toEqual({
+      total: 5,
+      create: 2,
+      overwrite: 0,
+      version: 0,
+      skip: 1,
+      invalid: 2,
+    });
+    expect(redactImportItems(items)).toEqual([
+      { key: "API_KEY", source: "API_KEY", action: "skip", reason: "Secret already exists" },
+      { key: "Fresh_Key", source: "Fresh Key", renamed: true, action: "create" },
+      { key: "Fresh_Key_2", source: "Fresh_Key", renamed: true, action: "create" },
+      { key: "EMPTY", source: "EMPTY", action: "invalid", reason: "No secret value" },
+      { source: "???", action: "invalid", reason: "No usable key name" },
+    ]);
+  });
+
+  it("should apply a prefix", () => {
+    const { items } = planImport(vaultData(), entries.slice(0, 1), { prefix: "prod." });
+
+    expect(items[0]).toMatchObject({ key: "prod.API_KEY", action: "create" });
+  });
+
+  it("should not change data when skipping conflicts", () => {
+    const data = vaultData();
+    const { items } = planImport(data, entries, { conflict: "skip" });
+
+    const written = applyImport(data, items, "user-1");
+
+    expect(written).toEqual(["Fresh_Key", "Fresh_Key_2"]);
+    expect(data.secrets.API_KEY.value).toBe("old");
+    expect(data.secrets.Fresh_Key.metadata).toMatchObject({ source: "dotenv" });
+  });
+
+  it("should keep the previous value as a version", () => {
+    const data = vaultData();
+    const { items } = planImport(data, entries.slice(0, 1), { conflict: "version" });
+
+    applyImport(data, items, "user-1");
+
+    expect(data.secrets.API_KEY).toMatchObject({ value: "new", version: 2 });
+    expect(data.versions.API_KEY).toHaveLength(1);
+    expect(data.versions.API_KEY[0].value).toBe("old");
+  });
+
+  it("should discard history when overwriting", () => {
+    const data = vaultData();
+    data.versions.API_KEY = [{ version: 0, value: "older" }];
+    const { items } = planImport(data, entries.slice(0, 1), { conflict: "overwrite" });
+
+    applyImport(data, items, "user-1");
+
+    expect(data.secrets.API_KEY).toMatchObject({ value: "new", version: 1 });
+    expect(data.versions.API_KEY).toBeUndefined();
+  });
+});
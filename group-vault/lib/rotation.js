@@ -0,0 +1,402 @@
+// group-vault/lib/rotation.js
+// Rotation policies and the rotation scheduler for group vault secrets
+//
+// Policies live in data.rotation inside the encrypted vault blob, next to the
+// secrets they rotate. Because of that the scheduler can only see and act on
+// policies while the vault is unlocked.
+
+import { triggerAlert, ALERT_EVENTS } from "../../management-server/lib/alerting.js";
+import audit from "./audit.js";
+import { checkAccess } from "./auth.js";
+import { getRotator, validateRotatorConfig, redactRotatorConfig } from "./rotators.js";
+import { unlockGroupVault, updateGroupVault, writeSecretVersion } from "./vault.js";
+
+// How often the scheduler looks for due rotations
+const ROTATION_CHECK_INTERVAL_MS = 60 * 1000;
+
+// First retry delay after a failed rotation (doubles per failure, capped at the interval)
+const ROTATION_RETRY_BASE_MS = 15 * 60 * 1000;
+
+function toIso(ms) {
+  return new Date(ms).toISOString();
+}
+
+function rotationError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// ============================================================
+// POLICIES
+// ============================================================
+
+/**
+ * Check that a capability may set a rotation policy on a secret
+ * Rotators that send data off the vault (webhooks can include the current value)
+ * also need read access, so a writer cannot exfiltrate a value they cannot read.
+ * @param {object} token - Verified capability token
+ * @param {string} key - Secret key
+ * @param {object} policy - Validated rotationPolicySchema input
+ * @returns {boolean}
+ */
+export function canSetRotationPolicy(token, key, policy) {
+  const permissions = getRotator(policy.rotator.type)?.requiresRead ? ["write", "read"] : ["write"];
+  return permissions.every((permission) => checkAccess(token, key, permission));
+}
+
+/**
+ * Set the rotation policy for a secret
+ * @param {object} data - Decrypted vault data (mutated)
+ * @param {string} key - Secret key (must exist)
+ * @param {object} policy - Validated rotationPolicySchema input
+ * @param {string} userId - User setting the policy (default owner)
+ * @param {number} [now] - Current time in ms
+ * @returns {object} Stored policy
+ */
+export function setRotationPolicy(data, key, policy, userId, now = Date.now()) {
+  const secret = data.secrets?.[key];
+  if (!secret) {
+    throw rotationError("Secret not found", "SECRET_NOT_FOUND");
+  }
+
+  const config = validateRotatorConfig(policy.rotator.type, policy.rotator.config);
+  const lastRotated = secret.updatedAt ? Date.parse(secret.updatedAt) : now;
+
+  data.rotation = data.rotation || {};
+  data.rotation[key] = {
+    intervalSeconds: policy.intervalSeconds,
+    ownerId: policy.ownerId || userId,
+    notifyBeforeSeconds: policy.notifyBeforeSeconds || 0,
+    rotator: { type: policy.rotator.type, config },
+    updatedBy: userId,
+    updatedAt: toIso(now),
+    lastRotatedAt: null,
+    nextRotationAt: toIso(Math.max(lastRotated + policy.intervalSeconds * 1000, now)),
+    lastNotifiedFor: null,
+    failureCount: 0,
+    lastError: null,
+    retryAt: null,
+  };
+
+  return data.rotation[key];
+}
+
+/**
+ * Get the rotation policy for a secret
+ * @param {object} data - Decrypted vault data
+ * @param {string} key - Secret key
+ * @returns {object|null}
+ */
+export function getRotationPolicy(data, key) {
+  return data.rotation?.[key] || null;
+}
+
+/**
+ * Remove the rotation policy for a secret
+ * @param {object} data - Decrypted vault data (mutated)
+ * @param {string} key - Secret key
+ * @returns {boolean} False if there was no policy
+ */
+export function removeRotationPolicy(data, key) {
+  if (!data.rotation?.[key]) {
+    return false;
+  }
+  delete data.rotation[key];
+  return true;
+}
+
+/**
+ * Policy as returned by the API (rotator secrets such as webhook headers removed)
+ * @param {object} policy - Stored policy
+ * @returns {object}
+ */
+export function describeRotationPolicy(policy) {
+  return {
+    ...policy,
+    rotator: {
+      type: policy.rotator.type,
+      config: redactRotatorConfig(policy.rotator.type, policy.rotator.config),
+    },
+  };
+}
+
+/**
+ * Restart the rotation clock after a secret was written outside the scheduler
+ * (manual update or rollback), since that write already replaced the value.
+ * @param {object} data - Decrypted vault data (mutated)
+ * @param {string} key - Secret key
+ * @param {number} [now] - Current time in ms
+ */
+export function rescheduleRotation(data, key, now = Date.now()) {
+  const policy = data.rotation?.[key];
+  if (!policy) {
+    return;
+  }
+  policy.nextRotationAt = toIso(now + policy.intervalSeconds * 1000);
+  policy.lastNotifiedFor = null;
+  policy.failureCount = 0;
+  policy.lastError = null;
+  policy.retryAt = null;
+}
+
+/**
+ * Find secrets that are due for rotation or for a notify-before alert
+ * @param {object} data - Decrypted vault data
+ * @param {number} [now] - Current time in ms
+ * @returns {{ due: string[], notify: string[] }}
+ */
+export function findDueRotations(data, now = Date.now()) {
+  const due = [];
+  const notify = [];
+
+  for (const [key, policy] of Object.entries(data.rotation || {})) {
+    if (!data.secrets?.[key]) {
+      continue;
+    }
+
+    const nextAt = Date.parse(policy.nextRotationAt);
+    const retryAt = policy.retryAt ? Date.parse(policy.retryAt) : 0;
+
+    if (now >= Math.max(nextAt, retryAt)) {
+      due.push(key);
+    } else if (
+      policy.notifyBeforeSeconds > 0 &&
+      now >= nextAt - policy.notifyBeforeSeconds * 1000 &&
+      policy.lastNotifiedFor !== policy.nextRotationAt
+    ) {
+      notify.push(key);
+    }
+  }
+
+  return { due, notify };
+}
+
+// ============================================================
+// SCHEDULER
+// ============================================================
+
+/**
+ * Create the rotation scheduler for this vault instance
+ * @param {object} options
+ * @param {string} options.groupId - Group ID
+ * @param {() => object|null} options.getVault - Returns the current encrypted vault
+ * @param {(vault: object) => void} options.setVault - Replaces the encrypted vault
+ * @param {() => Buffer|null} options.getKey - Returns the session key, or null when locked
+ * @param {number} [options.checkIntervalMs] - Scheduler tick interval
+ */
+export function createRotationScheduler({
+  groupId,
+  getVault,
+  setVault,
+  getKey,
+  checkIntervalMs = ROTATION_CHECK_INTERVAL_MS,
+}) {
+  let timer = null;
+  let running = false;
+
+  async function loadData(vaultKey) {
+    const { data } = await unlockGroupVault(getVault(), null, vaultKey);
+    return data;
+  }
+
+  /**
+   * Rotate one secret now using its policy's rotator
+   * @param {string} secretKey - Secret key
+   * @param {object} [options]
+   * @param {string} [options.triggeredBy] - User ID, or "system" for scheduled rotations
+   * @param {number} [options.now] - Current time in ms
+   * @returns {Promise<{ rotated: boolean, version?: number, error?: string }>}
+   */
+  async function rotate(secretKey, { triggeredBy = "system", now = Date.now() } = {}) {
+    const vaultKey = getKey();
+    if (!vaultKey || !getVault()) {
+      throw rotationError("Vault is locked", "VAULT_LOCKED");
+    }
+
+    const data = await loadData(vaultKey);
+    const policy = data.rotation?.[secretKey];
+    const secret = data.secrets?.[secretKey];
+    if (!policy || !secret) {
+      throw rotationError("No rotation policy for this secret", "NO_ROTATION_POLICY");
+    }
+
+    let result = null;
+    let failure = null;
+    try {
+      const rotator = getRotator(policy.rotator.type);
+      if (!rotator) {
+        throw new Error(`Unknown rotator: ${policy.rotator.type}`);
+      }
+      result = await rotator.rotate({
+        groupId,
+        key: secretKey,
+        currentValue: secret.value,
+        metadata: secret.metadata || {},
+        config: policy.rotator.config,
+      });
+      if (typeof result?.value !== "string" || result.value.length === 0) {
+        throw new Error("Rotator returned an empty value");
+      }
+    } catch (err) {
+      failure = err;
+    }
+
+    // Re-read: the vault may have been written while the rotator was running
+    const latest = await loadData(vaultKey);
+    const latestPolicy = latest.rotation?.[secretKey];
+    if (!latestPolicy || !latest.secrets?.[secretKey]) {
+      throw rotationError("No rotation policy for this secret", "NO_ROTATION_POLICY");
+    }
+
+    if (failure) {
+      latestPolicy.failureCount = (latestPolicy.failureCount || 0) + 1;
+      latestPolicy.lastError = failure.message;
+      latestPolicy.retryAt = toIso(
+        now +
+          Math.min(
+            ROTATION_RETRY_BASE_MS * 2 ** (latestPolicy.failureCount - 1),
+            latestPolicy.intervalSeconds * 1000,
+          ),
+      );
+      setVault(updateGroupVault(getVault(), vaultKey, latest));
+
+      await audit.log(groupId, {
+        action: "secret.rotation_failed",
+        userId: triggeredBy,
+        secretKey,
+        success: false,
+        error: failure.message,
+        metadata: { rotator: policy.rotator.type, failureCount: latestPolicy.failureCount },
+      });
+
+      await triggerAlert({
+        eventType: ALERT_EVENTS.GROUP_VAULT_ROTATION_FAILED,
+        userId: latestPolicy.ownerId,
+        groupId,
+        title: "Secret rotation failed",
+        message: `Rotating group vault secret "${secretKey}" failed: ${failure.message}`,
+        metadata: {
+          secretKey,
+          rotator: policy.rotator.type,
+          failureCount: latestPolicy.failureCount,
+          retryAt: latestPolicy.retryAt,
+        },
+      });
+
+      return { rotated: false, error: failure.message };
+    }
+
+    const resultMetadata =
+      result.metadata && typeof result.metadata === "object" ? result.metadata : {};
+    const { version } = writeSecretVersion(latest, secretKey, {
+      value: result.value,
+      metadata: { ...latest.secrets[secretKey].metadata, ...resultMetadata },
+      userId: triggeredBy,
+    });
+    rescheduleRotation(latest, secretKey, now);
+    latestPolicy.lastRotatedAt = toIso(now);
+    setVault(updateGroupVault(getVault(), vaultKey, latest));
+
+    await audit.log(groupId, {
+      action: "secret.rotated",
+      userId: triggeredBy,
+      secretKey,
+      success: true,
+      metadata: { rotator: policy.rotator.type, version },
+    });
+
+    return { rotated: true, version };
+  }
+
+  /**
+   * Send notify-before alerts and rotate every due secret
+   * @param {number} [now] - Current time in ms
+   * @returns {Promise<{ rotated: string[], failed: string[], notified: string[] }>}
+   */
+  async function runOnce(now = Date.now()) {
+    const summary = { rotated: [], failed: [], notified: [] };
+    const vaultKey = getKey();
+    if (running || !vaultKey || !getVault()) {
+      return summary;
+    }
+
+    running = true;
+    try {
+      const data = await loadData(vaultKey);
+      const { due, notify } = findDueRotations(data, now);
+
+      for (const secretKey of notify) {
+        const { ownerId, nextRotationAt } = data.rotation[secretKey];
+        await triggerAlert({
+          eventType: ALERT_EVENTS.GROUP_VAULT_ROTATION_DUE,
+          userId: ownerId,
+          groupId,
+          title: "Secret rotation scheduled",
+          message: `Group vault secret "${secretKey}" will be rotated at ${nextRotationAt}`,
+          metadata: { secretKey, nextRotationAt },
+        });
+        summary.notified.push(secretKey);
+      }
+
+      if (notify.length > 0) {
+        // Record notifications on fresh data so writes made meanwhile are kept
+        const latest = await loadData(vaultKey);
+        for (const secretKey of notify) {
+          const policy = latest.rotation?.[secretKey];
+          if (policy && policy.nextRotationAt === data.rotation[secretKey].nextRotationAt) {
+            policy.lastNotifiedFor = policy.nextRotationAt;
+          }
+        }
+        setVault(updateGroupVault(getVault(), vaultKey, latest));
+      }
+
+      for (const secretKey of due) {
+        try {
+          const result = await rotate(secretKey, { now });
+          (result.rotated ? summary.rotated : summary.failed).push(secretKey);
+        } catch (err) {
+          console.error(`[rotation] Failed to rotate ${secretKey}:`, err.message);
+          summary.failed.push(secretKey);
+        }
+      }
+    } finally {
+      running = false;
+    }
+
+    return summary;
+  }
+
+  function start() {
+    if (timer) {
+      return;
+    }
+    timer = setInterval(() => {
+      runOnce().catch((err) => {
+        console.error("[rotation] Scheduler error:", err.message);
+      });
+    }, checkIntervalMs);
+  }
+
+  function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  return { rotate, runOnce, start, stop };
+}
+
+export { ROTATION_CHECK_INTERVAL_MS };
+
+export default {
+  canSetRotationPolicy,
+  setRotationPolicy,
+  getRotationPolicy,
+  removeRotationPolicy,
+  describeRotationPolicy,
+  rescheduleRotation,
+  findDueRotations,
+  createRotationScheduler,
+};
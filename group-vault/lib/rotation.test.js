@@ -0,0 +1,304 @@
+// group-vault/lib/rotation.test.js
+// Tests for rotation policies and the rotation scheduler
+
+import { describe, it, expect, beforeAll, beforeEach, vi } from "vitest";
+
+vi.hoisted(() => {
+  process.env.ROTATION_WEBHOOK_HOSTS = "rotate.example.com";
+});
+
+vi.mock("./audit.js", () => ({
+  default: { log: vi.fn() },
+}));
+
+vi.mock("../../management-server/lib/alerting.js", () => ({
+  triggerAlert: vi.fn(),
+  ALERT_EVENTS: {
+    GROUP_VAULT_ROTATION_DUE: "group.vault_rotation_due",
+    GROUP_VAULT_ROTATION_FAILED: "group.vault_rotation_failed",
+  },
+}));
+
+import { triggerAlert } from "../../management-server/lib/alerting.js";
+import audit from "./audit.js";
+import {
+  canSetRotationPolicy,
+  setRotationPolicy,
+  removeRotationPolicy,
+  describeRotationPolicy,
+  rescheduleRotation,
+  findDueRotations,
+  createRotationScheduler,
+} from "./rotation.js";
+import { registerRotator } from "./rotators.js";
+import {
+  createGroupVault,
+  unlockGroupVault,
+  updateGroupVault,
+  writeSecretVersion,
+  getSecretVersion,
+} from "./vault.js";
+
+const DAY_MS = 86400 * 1000;
+const groupId = "group-1";
+const ownerId = "11111111-1111-4111-8111-111111111111";
+
+const failingRotator = {
+  type: "failing-test",
+  description: "Always fails",
+  validateConfig: (config) => config,
+  rotate: vi.fn(async () => {
+    throw new Error("provider unavailable");
+  }),
+};
+registerRotator(failingRotator);
+
+function policy(overrides = {}) {
+  return {
+    intervalSeconds: 86400,
+    ownerId,
+    notifyBeforeSeconds: 3600,
+    rotator: { type: "random_token", config: {} },
+    ...overrides,
+  };
+}
+
+describe("rotation policies", () => {
+  const now = Date.parse("2026-01-01T00:00:00.000Z");
+
+  function dataWithSecret() {
+    const data = { secrets: {} };
+    writeSecretVersion(data, "api-key", { value: "v1", userId: ownerId });
+    data.secrets["api-key"].updatedAt = new Date(now).toISOString();
+    return data;
+  }
+
+  it("should schedule the first rotation one interval after the last write", () => {
+    const data = dataWithSecret();
+    const stored = setRotationPolicy(data, "api-key", policy(), "user-2", now);
+
+    expect(stored).toMatchObject({
+      ownerId,
+      updatedBy: "user-2",
+      nextRotationAt: new Date(now + DAY_MS).toISOString(),
+      rotator: { type: "random_token", config: { bytes: 32, encoding: "base64url" } },
+    });
+  });
+
+  it("should default the owner to the user setting the policy", () => {
+    const data = dataWithSecret();
+    const stored = setRotationPolicy(data, "api-key", policy({ ownerId: undefined }), "user-2");
+
+    expect(stored.ownerId).toBe("user-2");
+  });
+
+  it("should reject missing secrets and invalid rotator config", () => {
+    const data = dataWithSecret();
+
+    expect(() => setRotationPolicy(data, "missing", policy(), ownerId)).toThrow(
+      expect.objectContaining({ code: "SECRET_NOT_FOUND" }),
+    );
+    const webhook = policy({ rotator: { type: "webhook", config: {} } });
+    expect(() => setRotationPolicy(data, "api-key", webhook, ownerId)).toThrow(
+      expect.objectContaining({ code: "INVALID_ROTATOR_CONFIG" }),
+    );
+  });
+
+  it("should require read access to set a webhook rotator", () => {
+    const webhook = policy({
+      rotator: { type: "webhook", config: { url: "https://rotate.example.com" } },
+    });
+    const writeOnly = { permissions: ["write"], allowedSecrets: ["api-key"] };
+    const readWrite = { permissions: ["read", "write"], allowedSecrets: ["*"] };
+
+    expect(canSetRotationPolicy(writeOnly, "api-key", webhook)).toBe(false);
+    expect(canSetRotationPolicy(writeOnly, "api-key", policy())).toBe(true);
+    expect(canSetRotationPolicy(readWrite, "api-key", webhook)).toBe(true);
+    expect(
+      canSetRotationPolicy({ permissions: ["read"], allowedSecrets: ["*"] }, "api-key", policy()),
+    ).toBe(false);
+  });
+
+  it("should redact rotator secrets when described", () => {
+    const data = dataWithSecret();
+    const stored = setRotationPolicy(
+      data,
+      "api-key",
+      policy({
+        rotator: {
+          type: "webhook",
+          config: { url: "https://rotate.example.com", headers: { "X-Key": "hook-secret" } },
+        },
+      }),
+      ownerId,
+      now,
+    );
+
+    expect(JSON.stringify(describeRotationPolicy(stored))).not.toContain("hook-secret");
+    expect(stored.rotator.config.headers["X-Key"]).toBe("hook-secret");
+  });
+
+  it("should find due rotations and notify-before windows", () => {
+    const data = dataWithSecret();
+    setRotationPolicy(data, "api-key", policy(), ownerId, now);
+
+    expect(findDueRotations(data, now)).toEqual({ due: [], notify: [] });
+    expect(findDueRotations(data, now + DAY_MS - 1000)).toEqual({ due: [], notify: ["api-key"] });
+    expect(findDueRotations(data, now + DAY_MS)).toEqual({ due: ["api-key"], notify: [] });
+
+    data.rotation["api-key"].lastNotifiedFor = data.rotation["api-key"].nextRotationAt;
+    expect(findDueRotations(data, now + DAY_MS - 1000).notify).toEqual([]);
+  });
+
+  it("should push the schedule out after a manual write", () => {
+    const data = dataWithSecret();
+    setRotationPolicy(data, "api-key", policy(), ownerId, now);
+    data.rotation["api-key"].failureCount = 2;
+
+    rescheduleRotation(data, "api-key", now + DAY_MS);
+
+    expect(data.rotation["api-key"]).toMatchObject({
+      nextRotationAt: new Date(now + 2 * DAY_MS).toISOString(),
+      failureCount: 0,
+    });
+  });
+
+  it("should remove policies", () => {
+    const data = dataWithSecret();
+    setRotationPolicy(data, "api-key", policy(), ownerId, now);
+
+    expect(removeRotationPolicy(data, "api-key")).toBe(true);
+    expect(removeRotationPolicy(data, "api-key")).toBe(false);
+  });
+});
+
+describe("rotation scheduler", () => {
+  let vault;
+  let key;
+  let sessionKey;
+  const start = Date.parse("2026-01-01T00:00:00.000Z");
+
+  beforeAll(async () => {
+    ({ vault } = await createGroupVault("rotation-test-password-123!"));
+    ({ key } = await unlockGroupVault(vault, "rotation-test-password-123!"));
+  });
+
+  function setup(rotator = { type: "random_token", config: {} }) {
+    const data = { secrets: {} };
+    writeSecretVersion(data, "api-key", {
+      value: "initial",
+      metadata: { env: "prod" },
+      userId: ownerId,
+    });
+    data.secrets["api-key"].updatedAt = new Date(start).toISOString();
+    setRotationPolicy(data, "api-key", policy({ rotator }), ownerId, start);
+
+    let current = updateGroupVault(vault, key, data);
+    sessionKey = key;
+    const scheduler = createRotationScheduler({
+      groupId,
+      getVault: () => current,
+      setVault: (next) => {
+        current = next;
+      },
+      getKey: () => sessionKey,
+    });
+    const read = async () => (await unlockGroupVault(current, null, key)).data;
+    return { scheduler, read };
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("should rotate due secrets and keep the old value as a version", async () => {
+    const { scheduler, read } = setup();
+
+    const summary = await scheduler.runOnce(start + DAY_MS);
+    const data = await read();
+
+    expect(summary.rotated).toEqual(["api-key"]);
+    expect(data.secrets["api-key"]).toMatchObject({
+      version: 2,
+      updatedBy: "system",
+      metadata: { env: "prod" },
+    });
+    expect(data.secrets["api-key"].value).not.toBe("initial");
+    expect(getSecretVersion(data, "api-key", 1).value).toBe("initial");
+    expect(data.rotation["api-key"]).toMatchObject({
+      lastRotatedAt: new Date(start + DAY_MS).toISOString(),
+      nextRotationAt: new Date(start + 2 * DAY_MS).toISOString(),
+    });
+    expect(audit.log).toHaveBeenCalledWith(
+      groupId,
+      expect.objectContaining({ action: "secret.rotated", secretKey: "api-key" }),
+    );
+  });
+
+  it("should alert the owner before a rotation is due", async () => {
+    const { scheduler, read } = setup();
+
+    const summary = await scheduler.runOnce(start + DAY_MS - 1000);
+
+    expect(summary.notified).toEqual(["api-key"]);
+    expect(triggerAlert).toHaveBeenCalledWith(
+      expect.objectContaining({ eventType: "group.vault_rotation_due", userId: ownerId, groupId }),
+    );
+    expect((await read()).rotation["api-key"].lastNotifiedFor).toBe(
+      new Date(start + DAY_MS).toISOString(),
+    );
+
+    await scheduler.runOnce(start + DAY_MS - 500);
+    expect(triggerAlert).toHaveBeenCalledTimes(1);
+  });
+
+  it("should alert and back off when rotation fails", async () => {
+    const { scheduler, read } = setup({ type: "failing-test", config: {} });
+
+    const summary = await scheduler.runOnce(start + DAY_MS);
+    const data = await read();
+
+    expect(summary.failed).toEqual(["api-key"]);
+    expect(data.secrets["api-key"]).toMatchObject({ value: "initial", version: 1 });
+    expect(data.rotation["api-key"]).toMatchObject({
+      failureCount: 1,
+      lastError: "provider unavailable",
+      retryAt: new Date(start + DAY_MS + 15 * 60 * 1000).toISOString(),
+    });
+    expect(triggerAlert).toHaveBeenCalledWith(
+      expect.objectContaining({
+        eventType: "group.vault_rotation_failed",
+        userId: ownerId,
+        metadata: expect.objectContaining({ secretKey: "api-key", failureCount: 1 }),
+      }),
+    );
+
+    // Not retried before the backoff expires
+    await scheduler.runOnce(start + DAY_MS + 60 * 1000);
+    expect(failingRotator.rotate).toHaveBeenCalledTimes(1);
+  });
+
+  it("should do nothing while the vault is locked", async () => {
+    const { scheduler } = setup();
+    sessionKey = null;
+
+    expect(await scheduler.runOnce(start + DAY_MS)).toEqual({
+      rotated: [],
+      failed: [],
+      notified: [],
+    });
+    await expect(scheduler.rotate("api-key")).rejects.toMatchObject({ code: "VAULT_LOCKED" });
+  });
+
+  it("should rotate on demand and credit the requesting user", async () => {
+    const { scheduler, read } = setup();
+
+    const result = await scheduler.rotate("api-key", { triggeredBy: ownerId, now: start });
+
+    expect(result).toEqual({ rotated: true, version: 2 });
+    expect((await read()).secrets["api-key"].updatedBy).toBe(ownerId);
+    await expect(scheduler.rotate("missing")).rejects.toMatchObject({
+      code: "NO_ROTATION_POLICY",
+    });
+  });
+});
@@ -0,0 +1,226 @@
+// group-vault/lib/rotators.js
+// Rotator plugins for scheduled secret rotation
+//
+// A rotator produces the next value for a secret. The scheduler in rotation.js
+// decides when to call it and writes the result as a new secret version.
+
+import crypto from "crypto";
+
+/**
+ * Rotator plugin
+ * @typedef {Object} Rotator
+ * @property {string} type - Unique rotator type (referenced by rotation policies)
+ * @property {string} description - Human-readable description
+ * @property {(config: object) => object} validateConfig - Normalizes config, throws if invalid
+ * @property {(config: object) => object} [redactConfig] - Config safe to show to secret readers
+ * @property {boolean} [requiresRead] - Setting a policy also needs read access, because the
+ *   rotator sends data off the vault
+ * @property {(ctx: RotationContext) => Promise<{ value: string, metadata?: object }>} rotate
+ */
+
+/**
+ * Context passed to Rotator.rotate
+ * @typedef {Object} RotationContext
+ * @property {string} groupId - Group ID
+ * @property {string} key - Secret key being rotated
+ * @property {string} currentValue - Current secret value
+ * @property {object} metadata - Current secret metadata
+ * @property {object} config - Validated rotator config from the policy
+ */
+
+const rotators = new Map();
+
+function invalidConfig(message) {
+  const error = new Error(message);
+  error.code = "INVALID_ROTATOR_CONFIG";
+  return error;
+}
+
+/**
+ * Register a rotator plugin
+ * @param {Rotator} rotator
+ */
+export function registerRotator(rotator) {
+  if (!rotator?.type || typeof rotator.rotate !== "function") {
+    throw new Error("Rotator must have a type and a rotate function");
+  }
+  if (typeof rotator.validateConfig !== "function") {
+    throw new Error(`Rotator ${rotator.type} must implement validateConfig`);
+  }
+  rotators.set(rotator.type, rotator);
+}
+
+/**
+ * Get a registered rotator
+ * @param {string} type - Rotator type
+ * @returns {Rotator|null}
+ */
+export function getRotator(type) {
+  return rotators.get(type) || null;
+}
+
+/**
+ * List registered rotators
+ * @returns {{ type: string, description: string }[]}
+ */
+export function listRotators() {
+  return [...rotators.values()].map(({ type, description }) => ({ type, description }));
+}
+
+/**
+ * Validate and normalize a policy's rotator config
+ * @param {string} type - Rotator type
+ * @param {object} [config] - Raw config
+ * @returns {object} Normalized config
+ */
+export function validateRotatorConfig(type, config = {}) {
+  const rotator = getRotator(type);
+  if (!rotator) {
+    const error = new Error(`Unknown rotator: ${type}`);
+    error.code = "UNKNOWN_ROTATOR";
+    throw error;
+  }
+  return rotator.validateConfig(config);
+}
+
+/**
+ * Return a rotator config with sensitive fields removed
+ * @param {string} type - Rotator type
+ * @param {object} config - Validated config
+ * @returns {object}
+ */
+export function redactRotatorConfig(type, config) {
+  const rotator = getRotator(type);
+  return rotator?.redactConfig ? rotator.redactConfig(config) : config;
+}
+
+// ============================================================
+// BUILT-IN ROTATORS
+// ============================================================
+
+const TOKEN_ENCODINGS = ["hex", "base64url"];
+
+/** Generate a random token locally */
+export const randomTokenRotator = {
+  type: "random_token",
+  description: "Generate a new random token",
+
+  validateConfig(config) {
+    const { bytes = 32, encoding = "base64url", prefix = "" } = config;
+    if (!Number.isInteger(bytes) || bytes < 16 || bytes > 128) {
+      throw invalidConfig("bytes must be a whole number between 16 and 128");
+    }
+    if (!TOKEN_ENCODINGS.includes(encoding)) {
+      throw invalidConfig(`encoding must be one of: ${TOKEN_ENCODINGS.join(", ")}`);
+    }
+    if (typeof prefix !== "string" || prefix.length > 32) {
+      throw invalidConfig("prefix must be a string of at most 32 characters");
+    }
+    return { bytes, encoding, prefix };
+  },
+
+  async rotate({ config }) {
+    return { value: config.prefix + crypto.randomBytes(config.bytes).toString(config.encoding) };
+  },
+};
+
+const WEBHOOK_DEFAULT_TIMEOUT_MS = 10000;
+
+// Hosts webhook rotators may call (ROTATION_WEBHOOK_HOSTS, comma-separated).
+// Read on every use so a host removed from the list stops being called.
+function isAllowedWebhookHost(hostname) {
+  const allowed = (process.env.ROTATION_WEBHOOK_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+  return allowed.includes(hostname.toLowerCase());
+}
+
+/**
+ * Call an external endpoint that rotates the credential at the provider
+ * and returns the new value as JSON: { "value": "...", "metadata": { ... } }
+ */
+export const webhookRotator = {
+  type: "webhook",
+  description: "Call a webhook that rotates the credential and returns the new value",
+  requiresRead: true,
+
+  validateConfig(config) {
+    const {
+      url,
+      headers = {},
+      timeoutMs = WEBHOOK_DEFAULT_TIMEOUT_MS,
+      includeCurrentValue = false,
+    } = config;
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw invalidConfig("url must be a valid URL");
+    }
+    if (parsed.protocol !== "https:") {
+      throw invalidConfig("url must use https");
+    }
+    if (!isAllowedWebhookHost(parsed.hostname)) {
+      throw invalidConfig(`url host ${parsed.hostname} is not in ROTATION_WEBHOOK_HOSTS`);
+    }
+    if (
+      typeof headers !== "object" ||
+      Array.isArray(headers) ||
+      Object.values(headers).some((v) => typeof v !== "string")
+    ) {
+      throw invalidConfig("headers must be an object of strings");
+    }
+    if (!Number.isInteger(timeoutMs) || timeoutMs < 1000 || timeoutMs > 60000) {
+      throw invalidConfig("timeoutMs must be between 1000 and 60000");
+    }
+    return { url, headers, timeoutMs, includeCurrentValue: Boolean(includeCurrentValue) };
+  },
+
+  // Header values usually carry credentials for the rotation endpoint
+  redactConfig(config) {
+    return { ...config, headers: Object.keys(config.headers) };
+  },
+
+  async rotate({ groupId, key, currentValue, metadata, config }) {
+    // The policy may predate a change to the allowlist
+    if (!isAllowedWebhookHost(new URL(config.url).hostname)) {
+      throw new Error("Rotation webhook host is no longer allowed");
+    }
+
+    const response = await fetch(config.url, {
+      method: "POST",
+      headers: { ...config.headers, "Content-Type": "application/json" },
+      body: JSON.stringify({
+        groupId,
+        key,
+        metadata,
+        ...(config.includeCurrentValue ? { currentValue } : {}),
+      }),
+      signal: AbortSignal.timeout(config.timeoutMs),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Rotation webhook returned ${response.status}`);
+    }
+
+    const body = await response.json().catch(() => null);
+    if (typeof body?.value !== "string" || body.value.length === 0) {
+      throw new Error("Rotation webhook response must include a non-empty value");
+    }
+
+    return { value: body.value, metadata: body.metadata };
+  },
+};
+
+registerRotator(randomTokenRotator);
+registerRotator(webhookRotator);
+
+export default {
+  registerRotator,
+  getRotator,
+  listRotators,
+  validateRotatorConfig,
+  redactRotatorConfig,
+};
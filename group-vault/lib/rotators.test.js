@@ -0,0 +1,157 @@
+// group-vault/lib/rotators.test.js
+// Tests for rotator plugins
+
+import { describe, it, expect, afterEach, vi } from "vitest";
+import {
+  registerRotator,
+  getRotator,
+  listRotators,
+  validateRotatorConfig,
+  redactRotatorConfig,
+  randomTokenRotator,
+  webhookRotator,
+} from "./rotators.js";
+
+vi.hoisted(() => {
+  process.env.ROTATION_WEBHOOK_HOSTS = "rotate.example.com, hooks.example.org";
+});
+
+describe("rotators", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.unstubAllEnvs();
+  });
+
+  describe("registry", () => {
+    it("should register built-in rotators", () => {
+      expect(listRotators().map((r) => r.type)).toEqual(
+        expect.arrayContaining(["random_token", "webhook"]),
+      );
+    });
+
+    it("should register custom rotators", () => {
+      registerRotator({
+        type: "static-test",
+        description: "Test rotator",
+        validateConfig: (config) => config,
+        rotate: async () => ({ value: "next" }),
+      });
+
+      expect(getRotator("static-test")).toBeTruthy();
+    });
+
+    it("should reject rotators without required hooks", () => {
+      expect(() => registerRotator({ type: "broken" })).toThrow("rotate function");
+      expect(() => registerRotator({ type: "broken", rotate: async () => ({}) })).toThrow(
+        "validateConfig",
+      );
+    });
+
+    it("should reject unknown rotator types", () => {
+      expect(() => validateRotatorConfig("nope", {})).toThrow(
+        expect.objectContaining({ code: "UNKNOWN_ROTATOR" }),
+      );
+    });
+  });
+
+  describe("random_token", () => {
+    it("should apply defaults and generate tokens", async () => {
+      const config = validateRotatorConfig("random_token", { prefix: "sk_" });
+      expect(config).toEqual({ bytes: 32, encoding: "base64url", prefix: "sk_" });
+
+      const first = await randomTokenRotator.rotate({ config });
+      const second = await randomTokenRotator.rotate({ config });
+      expect(first.value).toMatch(/^sk_[A-Za-z0-9_-]{43}$/);
+      expect(first.value).not.toBe(second.value);
+    });
+
+    it("should reject weak token sizes", () => {
+      expect(() => validateRotatorConfig("random_token", { bytes: 8 })).toThrow(
+        expect.objectContaining({ code: "INVALID_ROTATOR_CONFIG" }),
+      );
+    });
+  });
+
+  describe("webhook", () => {
+    const config = validateRotatorConfig("webhook", {
+      url: "https://rotate.example.com/keys",
+      headers: { Authorization: "Bearer hook-secret" },
+    });
+
+    it("should require an https url", () => {
+      expect(() => validateRotatorConfig("webhook", { url: "http://example.com" })).toThrow(
+        "https",
+      );
+    });
+
+    it("should only accept hosts in ROTATION_WEBHOOK_HOSTS", () => {
+      expect(validateRotatorConfig("webhook", { url: "https://HOOKS.example.org/r" }).url).toBe(
+        "https://HOOKS.example.org/r",
+      );
+      expect(() => validateRotatorConfig("webhook", { url: "https://attacker.example" })).toThrow(
+        expect.objectContaining({ code: "INVALID_ROTATOR_CONFIG" }),
+      );
+      expect(() =>
+        validateRotatorConfig("webhook", { url: "https://rotate.example.com.attacker.example" }),
+      ).toThrow("ROTATION_WEBHOOK_HOSTS");
+    });
+
+    it("should accept no webhook without an allowlist", () => {
+      vi.stubEnv("ROTATION_WEBHOOK_HOSTS", "");
+
+      expect(() => validateRotatorConfig("webhook", { url: "https://rotate.example.com" })).toThrow(
+        "ROTATION_WEBHOOK_HOSTS",
+      );
+    });
+
+    it("should not call a host removed from the allowlist", async () => {
+      const fetchMock = vi.fn();
+      vi.stubGlobal("fetch", fetchMock);
+      vi.stubEnv("ROTATION_WEBHOOK_HOSTS", "hooks.example.org");
+
+      await expect(webhookRotator.rotate({ config, metadata: {} })).rejects.toThrow(
+        "no longer allowed",
+      );
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it("should hide header values when redacted", () => {
+      expect(redactRotatorConfig("webhook", config).headers).toEqual(["Authorization"]);
+    });
+
+    it("should post to the webhook and return the new value", async () => {
+      const fetchMock = vi.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({ value: "rotated-value", metadata: { keyId: "k2" } }),
+      });
+      vi.stubGlobal("fetch", fetchMock);
+
+      const result = await webhookRotator.rotate({
+        groupId: "group-1",
+        key: "api-key",
+        currentValue: "old-value",
+        metadata: {},
+        config,
+      });
+
+      expect(result).toEqual({ value: "rotated-value", metadata: { keyId: "k2" } });
+      const [url, init] = fetchMock.mock.calls[0];
+      expect(url).toBe(config.url);
+      expect(init.headers.Authorization).toBe("Bearer hook-secret");
+      expect(JSON.parse(init.body)).toEqual({ groupId: "group-1", key: "api-key", metadata: {} });
+    });
+
+    it("should fail on error responses and missing values", async () => {
+      vi.stubGlobal("fetch", vi.fn().mockResolvedValue({ ok: false, status: 503 }));
+      await expect(webhookRotator.rotate({ config, metadata: {} })).rejects.toThrow("503");
+
+      vi.stubGlobal(
+        "fetch",
+        vi.fn().mockResolvedValue({ ok: true, json: async () => ({ value: "" }) }),
+      );
+      await expect(webhookRotator.rotate({ config, metadata: {} })).rejects.toThrow(
+        "non-empty value",
+      );
+    });
+  });
+});
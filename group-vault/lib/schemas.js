@@ -71,33 +71,123 @@ export const allowedSecretsSchema = z
   .default(["*"]);
 
 /** Issue capability token */
-export const issueTokenSchema = z.object({
+export const issueTokenSchema = z
+  .object({
+    userId: uuidSchema,
+    allowedSecrets: allowedSecretsSchema.optional(),
+    permissions: capabilityPermissionsSchema.optional(),
+    ttlSeconds: z
+      .number()
+      .int("TTL must be a whole number")
+      .min(60, "TTL must be at least 60 seconds")
+      .max(86400 * 30, "TTL cannot exceed 30 days")
+      .optional()
+      .default(3600),
+    maxCalls: z
+      .number()
+      .int("Call limit must be a whole number")
+      .min(1, "Call limit must be at least 1")
+      .optional(),
+    // Expire no later than this (ms timestamp), even if the TTL is longer
+    notAfter: z.number().int().positive().optional(),
+    // Count calls against another token's budget (which expires at notAfter)
+    budgetId: z
+      .string()
+      .regex(/^[0-9a-f]{32}$/, "Invalid token ID")
+      .optional(),
+  })
+  .refine((body) => !body.budgetId || (body.maxCalls && body.notAfter), {
+    message: "A shared budget needs a call limit and notAfter",
+    path: ["budgetId"],
+  });
+
+/** Revoke token */
+export const revokeTokenSchema = z.object({
+  revokedBy: uuidSchema.optional(),
+  reason: z.string().max(500).optional(),
+});
+
+/** Rotate the token signing key */
+export const rotateSigningKeySchema = z.object({
+  rotatedBy: uuidSchema.optional(),
+  revokePrevious: z.boolean().optional().default(false),
+});
+
+/** Seal the vault key into a break-glass escrow */
+export const breakGlassEscrowSchema = z.object({
+  enabledBy: uuidSchema.optional(),
+});
+
+/** Grant approved break-glass access */
+export const breakGlassAccessSchema = z.object({
+  requestId: uuidSchema,
   userId: uuidSchema,
+  escrow: z.string().min(1, "Escrow is required"),
   allowedSecrets: allowedSecretsSchema.optional(),
   permissions: capabilityPermissionsSchema.optional(),
   ttlSeconds: z
     .number()
     .int("TTL must be a whole number")
     .min(60, "TTL must be at least 60 seconds")
-    .max(86400 * 30, "TTL cannot exceed 30 days")
-    .optional()
-    .default(3600),
-});
-
-/** Revoke token */
-export const revokeTokenSchema = z.object({
-  revokedBy: uuidSchema.optional(),
-  reason: z.string().max(500).optional(),
+    .max(4 * 60 * 60, "Break-glass access cannot exceed 4 hours"),
 });
 
 // ============================================================
 // SECRET SCHEMAS
 // ============================================================
 
+/** Rotation policy for a secret (rotator config is validated by the rotator plugin) */
+export const rotationPolicySchema = z.object({
+  intervalSeconds: z
+    .number()
+    .int("Interval must be a whole number")
+    .min(3600, "Rotation interval must be at least 1 hour")
+    .max(86400 * 365, "Rotation interval cannot exceed 365 days"),
+  ownerId: uuidSchema.optional(),
+  notifyBeforeSeconds: z
+    .number()
+    .int("Notify-before must be a whole number")
+    .min(0)
+    .max(86400 * 30, "Notify-before cannot exceed 30 days")
+    .optional()
+    .default(0),
+  rotator: z.object({
+    type: z.string().min(1, "Rotator type is required"),
+    config: z.record(z.unknown()).optional().default({}),
+  }),
+});
+
 /** Store secret */
 export const storeSecretSchema = z.object({
   value: z.string().min(1, "Value is required"),
   metadata: z.record(z.unknown()).optional(),
+  rotation: rotationPolicySchema.optional(),
+});
+
+/** Bulk import secrets from a .env file or password manager export */
+export const importSecretsSchema = z.object({
+  format: z.enum(["dotenv", "1password_csv", "bitwarden_json"]),
+  content: z.string().min(1, "Content is required"),
+  conflict: z.enum(["skip", "overwrite", "version"]).optional().default("skip"),
+  prefix: z
+    .string()
+    .max(64)
+    .regex(/^[a-zA-Z0-9_.-]*$/, "Prefix must be a valid secret key prefix")
+    .optional()
+    .default(""),
+  dryRun: z.boolean().optional().default(false),
+  userId: uuidSchema.optional(),
+});
+
+/** Secret version number */
+export const secretVersionSchema = z
+  .number()
+  .int("Version must be a whole number")
+  .min(1, "Version must be at least 1");
+
+/** Roll a secret back to a prior version */
+export const rollbackSecretSchema = z.object({
+  version: secretVersionSchema,
 });
 
 /** Secret key URL parameter */
@@ -105,6 +195,16 @@ export const secretKeyParamSchema = z.object({
   key: secretKeySchema,
 });
 
+/** Secret key and version URL parameters */
+export const secretVersionParamSchema = z.object({
+  key: secretKeySchema,
+  version: z
+    .string()
+    .regex(/^\d+$/, "Version must be a whole number")
+    .transform((val) => parseInt(val, 10))
+    .pipe(secretVersionSchema),
+});
+
 /** Token ID URL parameter */
 export const tokenIdParamSchema = z.object({
   tokenId: z.string().min(1, "Token ID is required"),
@@ -237,10 +337,18 @@ export default {
   allowedSecretsSchema,
   issueTokenSchema,
   revokeTokenSchema,
+  rotateSigningKeySchema,
+  breakGlassEscrowSchema,
+  breakGlassAccessSchema,
 
   // Secrets
+  rotationPolicySchema,
   storeSecretSchema,
+  importSecretsSchema,
+  secretVersionSchema,
+  rollbackSecretSchema,
   secretKeyParamSchema,
+  secretVersionParamSchema,
   tokenIdParamSchema,
   userIdParamSchema,
 
@@ -172,6 +172,140 @@ export function isValidGroupVault(vault) {
   );
 }
 
+// Maximum number of prior versions kept per secret (oldest are dropped first)
+const MAX_SECRET_VERSIONS = 20;
+
+function versionEntry(secret) {
+  return {
+    version: secret.version || 1,
+    value: secret.value,
+    metadata: secret.metadata || {},
+    updatedAt: secret.updatedAt || null,
+    updatedBy: secret.updatedBy || null,
+    ...(secret.rolledBackFrom ? { rolledBackFrom: secret.rolledBackFrom } : {}),
+  };
+}
+
+/**
+ * Write a secret into decrypted vault data, keeping the previous value as a version.
+ * Prior versions live in data.versions inside the encrypted blob, so they are
+ * protected by the same key as current values.
+ * @param {object} data - Decrypted vault data (mutated)
+ * @param {string} key - Secret key
+ * @param {object} params
+ * @param {string} params.value - New secret value
+ * @param {object} [params.metadata] - Secret metadata
+ * @param {string} params.userId - Author of the change
+ * @param {number} [params.rolledBackFrom] - Version this write restores, if a rollback
+ * @returns {{ created: boolean, version: number }}
+ */
+export function writeSecretVersion(data, key, { value, metadata, userId, rolledBackFrom }) {
+  data.secrets = data.secrets || {};
+  data.versions = data.versions || {};
+
+  const current = data.secrets[key];
+  let version = 1;
+  if (current) {
+    const history = data.versions[key] || [];
+    history.push(versionEntry(current));
+    if (history.length > MAX_SECRET_VERSIONS) {
+      history.splice(0, history.length - MAX_SECRET_VERSIONS);
+    }
+    data.versions[key] = history;
+    version = (current.version || 1) + 1;
+  }
+
+  data.secrets[key] = {
+    value,
+    metadata: metadata || {},
+    version,
+    updatedAt: new Date().toISOString(),
+    updatedBy: userId,
+    ...(rolledBackFrom ? { rolledBackFrom } : {}),
+  };
+
+  return { created: !current, version };
+}
+
+/**
+ * List versions of a secret, newest first, without values
+ * @param {object} data - Decrypted vault data
+ * @param {string} key - Secret key
+ * @returns {object[]|null} Version summaries, or null if the secret does not exist
+ */
+export function listSecretVersions(data, key) {
+  const current = data.secrets?.[key];
+  if (!current) {
+    return null;
+  }
+
+  const entries = [versionEntry(current), ...(data.versions?.[key] || []).toReversed()];
+  return entries.map(({ value: _value, ...summary }, index) => ({
+    ...summary,
+    current: index === 0,
+  }));
+}
+
+/**
+ * Get a specific version of a secret (including the current one)
+ * @param {object} data - Decrypted vault data
+ * @param {string} key - Secret key
+ * @param {number} version - Version number
+ * @returns {object|null} Version entry with value, or null if not found
+ */
+export function getSecretVersion(data, key, version) {
+  const current = data.secrets?.[key];
+  if (!current) {
+    return null;
+  }
+  if ((current.version || 1) === version) {
+    return versionEntry(current);
+  }
+  return (data.versions?.[key] || []).find((entry) => entry.version === version) || null;
+}
+
+/**
+ * Roll a secret back to a prior version.
+ * History is append-only: the restored value is written as a new version.
+ * @param {object} data - Decrypted vault data (mutated)
+ * @param {string} key - Secret key
+ * @param {number} version - Version to restore
+ * @param {string} userId - User performing the rollback
+ * @returns {{ created: boolean, version: number }|null} Null if the version does not exist
+ */
+export function rollbackSecret(data, key, version, userId) {
+  const target = getSecretVersion(data, key, version);
+  if (!target) {
+    return null;
+  }
+  return writeSecretVersion(data, key, {
+    value: target.value,
+    metadata: target.metadata,
+    userId,
+    rolledBackFrom: version,
+  });
+}
+
+/**
+ * Remove a secret, all of its prior versions and its rotation policy
+ * @param {object} data - Decrypted vault data (mutated)
+ * @param {string} key - Secret key
+ * @returns {boolean} False if the secret did not exist
+ */
+export function deleteSecret(data, key) {
+  if (!data.secrets?.[key]) {
+    return false;
+  }
+  delete data.secrets[key];
+  if (data.versions) {
+    delete data.versions[key];
+  }
+  if (data.rotation) {
+    delete data.rotation[key];
+  }
+  return true;
+}
+
 /**
  * In-memory session store for unlocked vaults
  * Key: groupId, Value: { key: Buffer, expiresAt: number }
@@ -182,11 +316,14 @@ const VAULT_SESSION_TIMEOUT_MS = 30 * 60 * 1000; // 30 minutes
 
 /**
  * Create vault session (after unlock)
+ * @param {string} groupId - Group ID
+ * @param {Buffer} key - Vault key
+ * @param {number} [timeoutMs] - Session length (default: VAULT_SESSION_TIMEOUT_MS)
  */
-export function createVaultSession(groupId, key) {
+export function createVaultSession(groupId, key, timeoutMs = VAULT_SESSION_TIMEOUT_MS) {
   vaultSessions.set(groupId, {
     key,
-    expiresAt: Date.now() + VAULT_SESSION_TIMEOUT_MS,
+    expiresAt: Date.now() + timeoutMs,
   });
 }
 
@@ -234,4 +371,4 @@ setInterval(() => {
   }
 }, 60000);
 
-export { vaultSessions, VAULT_SESSION_TIMEOUT_MS };
+export { vaultSessions, VAULT_SESSION_TIMEOUT_MS, MAX_SECRET_VERSIONS };
@@ -11,7 +11,13 @@ import {
   getVaultSession,
   deleteVaultSession,
   extendVaultSession,
+  writeSecretVersion,
+  listSecretVersions,
+  getSecretVersion,
+  rollbackSecret,
+  deleteSecret,
   vaultSessions,
+  MAX_SECRET_VERSIONS,
 } from "./vault.js";
 
 describe("GroupVault", () => {
@@ -91,6 +97,110 @@ describe("GroupVault", () => {
     });
   });
 
+  describe("secret versions", () => {
+    const userA = "user-a";
+    const userB = "user-b";
+
+    function dataWithHistory() {
+      const data = { secrets: {} };
+      writeSecretVersion(data, "api-key", { value: "v1", metadata: { env: "a" }, userId: userA });
+      writeSecretVersion(data, "api-key", { value: "v2", metadata: { env: "b" }, userId: userB });
+      return data;
+    }
+
+    it("should number writes and keep prior versions", () => {
+      const data = { secrets: {} };
+
+      expect(writeSecretVersion(data, "api-key", { value: "v1", userId: userA })).toEqual({
+        created: true,
+        version: 1,
+      });
+      expect(writeSecretVersion(data, "api-key", { value: "v2", userId: userB })).toEqual({
+        created: false,
+        version: 2,
+      });
+
+      expect(data.secrets["api-key"]).toMatchObject({ value: "v2", version: 2, updatedBy: userB });
+      expect(data.versions["api-key"]).toEqual([
+        expect.objectContaining({ version: 1, value: "v1", updatedBy: userA }),
+      ]);
+    });
+
+    it("should treat secrets written before versioning as version 1", () => {
+      const data = { secrets: { legacy: { value: "old", metadata: {}, updatedBy: userA } } };
+
+      expect(writeSecretVersion(data, "legacy", { value: "new", userId: userB }).version).toBe(2);
+      expect(getSecretVersion(data, "legacy", 1).value).toBe("old");
+    });
+
+    it("should cap the number of prior versions", () => {
+      const data = { secrets: {} };
+      for (let i = 0; i < MAX_SECRET_VERSIONS + 5; i++) {
+        writeSecretVersion(data, "api-key", { value: `v${i}`, userId: userA });
+      }
+
+      expect(data.versions["api-key"]).toHaveLength(MAX_SECRET_VERSIONS);
+      expect(getSecretVersion(data, "api-key", 1)).toBeNull();
+    });
+
+    it("should list versions newest first without values", () => {
+      const versions = listSecretVersions(dataWithHistory(), "api-key");
+
+      expect(versions.map((v) => [v.version, v.current])).toEqual([
+        [2, true],
+        [1, false],
+      ]);
+      expect(versions[1]).toMatchObject({ updatedBy: userA, metadata: { env: "a" } });
+      expect(versions.every((v) => !("value" in v))).toBe(true);
+      expect(listSecretVersions(dataWithHistory(), "missing")).toBeNull();
+    });
+
+    it("should read current and prior versions", () => {
+      const data = dataWithHistory();
+
+      expect(getSecretVersion(data, "api-key", 2).value).toBe("v2");
+      expect(getSecretVersion(data, "api-key", 1).value).toBe("v1");
+      expect(getSecretVersion(data, "api-key", 7)).toBeNull();
+    });
+
+    it("should roll back by writing the old value as a new version", () => {
+      const data = dataWithHistory();
+
+      expect(rollbackSecret(data, "api-key", 1, userB)).toEqual({ created: false, version: 3 });
+      expect(data.secrets["api-key"]).toMatchObject({
+        value: "v1",
+        metadata: { env: "a" },
+        version: 3,
+        updatedBy: userB,
+        rolledBackFrom: 1,
+      });
+      expect(getSecretVersion(data, "api-key", 2).value).toBe("v2");
+      expect(rollbackSecret(data, "api-key", 9, userB)).toBeNull();
+    });
+
+    it("should remove versions when a secret is deleted", () => {
+      const data = dataWithHistory();
+
+      expect(deleteSecret(data, "api-key")).toBe(true);
+      expect(data.secrets["api-key"]).toBeUndefined();
+      expect(data.versions["api-key"]).toBeUndefined();
+      expect(deleteSecret(data, "api-key")).toBe(false);
+    });
+
+    it("should keep prior versions encrypted in the vault blob", async () => {
+      const { vault } = await createGroupVault(password);
+      const { data, key } = await unlockGroupVault(vault, password);
+      writeSecretVersion(data, "api-key", { value: "first-value", userId: userA });
+      writeSecretVersion(data, "api-key", { value: "second-value", userId: userB });
+
+      const updatedVault = updateGroupVault(vault, key, data);
+      expect(JSON.stringify(updatedVault)).not.toContain("first-value");
+
+      const { data: reopened } = await unlockGroupVault(updatedVault, null, key);
+      expect(getSecretVersion(reopened, "api-key", 1).value).toBe("first-value");
+    });
+  });
+
   describe("isValidGroupVault", () => {
     it("should validate correct vault structure", async () => {
       const { vault } = await createGroupVault(password);
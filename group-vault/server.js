@@ -9,11 +9,28 @@ import {
   initAuth,
   issueCapabilityToken,
   verifyCapabilityToken,
+  consumeCaveatUses,
   checkAccess,
   revokeToken,
   revokeUserTokens,
+  rotateSigningKey,
+  getPublicSigningKeys,
+  getLegacyHmacDeadline,
 } from "./lib/auth.js";
+import { initBreakGlass, sealVaultKey, openVaultKey } from "./lib/break-glass.js";
+import { consumeCapabilityCall } from "./lib/capability-usage.js";
+import { parseImport, planImport, applyImport, redactImportItems } from "./lib/importers.js";
 import { vaultUnlockLimiter, tokenIssuanceLimiter } from "./lib/rate-limit.js";
+import {
+  canSetRotationPolicy,
+  setRotationPolicy,
+  getRotationPolicy,
+  removeRotationPolicy,
+  describeRotationPolicy,
+  rescheduleRotation,
+  createRotationScheduler,
+} from "./lib/rotation.js";
+import { listRotators } from "./lib/rotators.js";
 import {
   validate,
   initGroupVaultSchema,
@@ -21,8 +38,15 @@ import {
   lockVaultSchema,
   issueTokenSchema,
   revokeTokenSchema,
+  rotateSigningKeySchema,
+  breakGlassEscrowSchema,
+  breakGlassAccessSchema,
   storeSecretSchema,
+  importSecretsSchema,
+  rollbackSecretSchema,
+  rotationPolicySchema,
   secretKeyParamSchema,
+  secretVersionParamSchema,
   tokenIdParamSchema,
   userIdParamSchema,
 } from "./lib/schemas.js";
@@ -31,6 +55,11 @@ import {
   unlockGroupVault,
   updateGroupVault,
   isValidGroupVault,
+  writeSecretVersion,
+  listSecretVersions,
+  getSecretVersion,
+  rollbackSecret,
+  deleteSecret,
   createVaultSession,
   getVaultSession,
   deleteVaultSession,
@@ -39,6 +68,8 @@ import {
 } from "./lib/vault.js";
 
 const app = express();
+// Bulk imports carry whole .env files and password manager exports
+app.use("/import/secrets", express.json({ limit: "5mb" }));
 app.use(express.json());
 
 // Configuration
@@ -46,6 +77,11 @@ const PORT = process.env.PORT || 18790;
 const GROUP_ID = process.env.GROUP_ID;
 const AUTH_TOKEN = process.env.AUTH_TOKEN; // For management API auth
 const SIGNING_KEY = process.env.SIGNING_KEY || crypto.randomBytes(32).toString("hex");
+const ROTATION_CHECK_INTERVAL_MS = parseInt(process.env.ROTATION_CHECK_INTERVAL_MS) || 60000;
+// Optional end of the legacy HMAC token window (ISO date); defaults to 30 days after upgrade
+const HMAC_TOKEN_COMPAT_UNTIL = process.env.HMAC_TOKEN_COMPAT_UNTIL
+  ? Date.parse(process.env.HMAC_TOKEN_COMPAT_UNTIL)
+  : undefined;
 
 if (!GROUP_ID) {
   console.error("GROUP_ID environment variable is required");
@@ -57,26 +93,35 @@ if (!AUTH_TOKEN) {
   process.exit(1);
 }
 
+// Audience attenuated tokens must name to be accepted here
+const TOKEN_AUDIENCE = `group-vault:${GROUP_ID}`;
+
+if (Number.isNaN(HMAC_TOKEN_COMPAT_UNTIL)) {
+  console.error("HMAC_TOKEN_COMPAT_UNTIL must be an ISO date");
+  process.exit(1);
+}
+
 // Initialize auth with org ID for persistent revocations
 // Note: initAuth is now async - we handle startup initialization
 let authInitialized = false;
 
 async function initializeAuth() {
   try {
-    await initAuth(SIGNING_KEY, GROUP_ID);
+    await initAuth(SIGNING_KEY, GROUP_ID, { legacyHmacUntil: HMAC_TOKEN_COMPAT_UNTIL });
     authInitialized = true;
     console.log("Auth initialized with persistent revocations");
   } catch (err) {
     console.error("Warning: Failed to initialize persistent revocations:", err.message);
     console.error("Falling back to in-memory revocation tracking");
     // Fall back to sync initialization without persistence
-    await initAuth(SIGNING_KEY);
+    await initAuth(SIGNING_KEY, null, { legacyHmacUntil: HMAC_TOKEN_COMPAT_UNTIL });
     authInitialized = true;
   }
 }
 
 // Start auth initialization (non-blocking)
 initializeAuth();
+initBreakGlass(SIGNING_KEY);
 
 // Initialize audit logging database connection
 audit.initDb();
@@ -85,6 +130,34 @@ audit.initDb();
 let vaultData = null;
 let vaultKey = null;
 
+// Rotates secrets with a rotation policy while the vault is unlocked
+const rotationScheduler = createRotationScheduler({
+  groupId: GROUP_ID,
+  getVault: () => vaultData,
+  setVault: (vault) => {
+    vaultData = vault;
+  },
+  getKey: () => getVaultSession(GROUP_ID)?.key || null,
+  checkIntervalMs: ROTATION_CHECK_INTERVAL_MS,
+});
+
+// Rotator config errors are client errors
+function isRotatorConfigError(err) {
+  return err.code === "INVALID_ROTATOR_CONFIG" || err.code === "UNKNOWN_ROTATOR";
+}
+
+// Refuse a rotation policy the capability may not set (see canSetRotationPolicy)
+async function denyRotationPolicy(req, res, key) {
+  await audit.log(GROUP_ID, {
+    action: "secret.rotation_policy.denied",
+    userId: req.capability.userId,
+    secretKey: key,
+    success: false,
+    error: "Rotator requires read access",
+  });
+  return res.status(403).json({ error: "This rotator also requires read access to the secret" });
+}
+
 // Middleware: verify management API token - timing-safe comparison
 function requireManagementAuth(req, res, next) {
   const token = req.headers["x-auth-token"];
@@ -101,13 +174,13 @@ function requireManagementAuth(req, res, next) {
 
 // Middleware: verify capability token for secret access
 function requireCapability(permission) {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     const tokenString = req.headers["x-capability-token"];
     if (!tokenString) {
       return res.status(401).json({ error: "Capability token required" });
     }
 
-    const token = verifyCapabilityToken(tokenString);
+    const token = verifyCapabilityToken(tokenString, { audience: TOKEN_AUDIENCE });
     if (!token) {
       return res.status(401).json({ error: "Invalid or expired capability token" });
     }
@@ -116,6 +189,36 @@ function requireCapability(permission) {
       return res.status(403).json({ error: "Token not valid for this org" });
     }
 
+    if (!(await consumeCaveatUses(token))) {
+      return res.status(401).json({ error: "Invalid or expired capability token" });
+    }
+
+    // Attenuated tokens share the call budget of the token they were derived from,
+    // so the counter lives as long as that token (a caveat may shorten ours).
+    // Tokens issued against another token's budget count there.
+    if (token.maxCalls) {
+      const budgetId = token.budgetId || token.rootId || token.id;
+      const usage = await consumeCapabilityCall(
+        budgetId,
+        token.maxCalls,
+        token.budgetExpiresAt || token.rootExpiresAt || token.expiresAt,
+      );
+      res.set("X-Capability-Remaining", String(usage.remaining));
+      if (!usage.allowed) {
+        await audit.log(GROUP_ID, {
+          action: "token.call_limit_exceeded",
+          userId: token.userId,
+          success: false,
+          metadata: { tokenId: budgetId, maxCalls: token.maxCalls },
+        });
+        return res.status(429).json({
+          error: "Capability call limit exceeded",
+          code: "CALL_LIMIT_EXCEEDED",
+          maxCalls: token.maxCalls,
+        });
+      }
+    }
+
     req.capability = token;
     req.requiredPermission = permission;
     next();
@@ -194,6 +297,52 @@ app.post("/import", requireManagementAuth, async (req, res) => {
   res.json({ success: true, message: "Vault imported" });
 });
 
+// Bulk import secrets from a .env file or password manager export (management API)
+// dryRun returns the plan without writing; values are never echoed back
+app.post(
+  "/import/secrets",
+  requireManagementAuth,
+  validate({ body: importSecretsSchema }),
+  requireVaultUnlocked,
+  async (req, res) => {
+    const { format, content, conflict, prefix, dryRun, userId } = req.validatedBody;
+
+    let entries;
+    try {
+      entries = parseImport(format, content);
+    } catch (err) {
+      return res.status(400).json({ error: err.message, code: err.code });
+    }
+
+    try {
+      const { data } = await unlockGroupVault(vaultData, null, req.vaultKey);
+      const { items, summary } = planImport(data, entries, { conflict, prefix });
+
+      if (dryRun) {
+        return res.json({ dryRun: true, summary, items: redactImportItems(items) });
+      }
+
+      const written = applyImport(data, items, userId || "system");
+      for (const key of written) {
+        rescheduleRotation(data, key);
+      }
+      vaultData = updateGroupVault(vaultData, req.vaultKey, data);
+
+      await audit.log(GROUP_ID, {
+        action: "secrets.imported",
+        userId: userId || "system",
+        success: true,
+        metadata: { format, conflict, summary },
+      });
+
+      res.json({ dryRun: false, summary, items: redactImportItems(items) });
+    } catch (err) {
+      console.error("Import secrets error:", err);
+      res.status(500).json({ error: "Failed to import secrets" });
+    }
+  },
+);
+
 // Export vault (management API)
 app.get("/export", requireManagementAuth, async (req, res) => {
   if (!vaultData) {
@@ -289,7 +438,8 @@ app.post(
   validate({ body: issueTokenSchema }),
   requireVaultUnlocked,
   async (req, res) => {
-    const { userId, allowedSecrets, permissions, ttlSeconds } = req.validatedBody;
+    const { userId, allowedSecrets, permissions, ttlSeconds, maxCalls, notAfter, budgetId } =
+      req.validatedBody;
 
     try {
       const token = issueCapabilityToken({
@@ -298,15 +448,20 @@ app.post(
         allowedSecrets: allowedSecrets || ["*"],
         permissions: permissions || ["read"],
         ttlSeconds: ttlSeconds || 3600,
+        maxCalls,
+        notAfter,
+        budgetId,
       });
+      const { id: tokenId } = verifyCapabilityToken(token);
 
       await audit.log(GROUP_ID, {
         action: "token.issued",
         userId,
         success: true,
+        metadata: maxCalls ? { maxCalls, budgetId } : undefined,
       });
 
-      res.json({ token, expiresIn: ttlSeconds || 3600 });
+      res.json({ token, tokenId, expiresIn: ttlSeconds || 3600, maxCalls: maxCalls || null });
     } catch (err) {
       console.error("Token issue error:", err);
       res.status(500).json({ error: "Failed to issue token" });
@@ -367,6 +522,138 @@ app.delete(
   },
 );
 
+// Public keys that verify capability tokens (no auth - verifiers need them)
+app.get("/keys", (req, res) => {
+  if (!authInitialized) {
+    return res.status(503).json({ error: "Auth not initialized" });
+  }
+  const legacyHmacUntil = getLegacyHmacDeadline();
+  res.json({
+    groupId: GROUP_ID,
+    keys: getPublicSigningKeys(),
+    legacyHmacUntil: legacyHmacUntil > new Date() ? legacyHmacUntil.toISOString() : null,
+  });
+});
+
+// Rotate the token signing key (management API)
+app.post(
+  "/keys/rotate",
+  requireManagementAuth,
+  validate({ body: rotateSigningKeySchema }),
+  async (req, res) => {
+    const { rotatedBy, revokePrevious } = req.validatedBody;
+
+    try {
+      const result = await rotateSigningKey({ revokePrevious });
+
+      await audit.log(GROUP_ID, {
+        action: "signing_key.rotated",
+        userId: rotatedBy || "system",
+        success: true,
+        metadata: { kid: result.kid, previousKid: result.previousKid, revokePrevious },
+      });
+
+      res.json({
+        success: true,
+        kid: result.kid,
+        previousKid: result.previousKid,
+        previousRetiresAt: result.previousRetiresAt?.toISOString() || null,
+      });
+    } catch (err) {
+      console.error("Signing key rotation error:", err);
+      res.status(500).json({ error: "Failed to rotate signing key" });
+    }
+  },
+);
+
+// Seal the vault key into a break-glass escrow (management API)
+// The management server stores the escrow and only returns it after M-of-N admin approval
+app.post(
+  "/break-glass/escrow",
+  requireManagementAuth,
+  validate({ body: breakGlassEscrowSchema }),
+  requireVaultUnlocked,
+  async (req, res) => {
+    const { enabledBy } = req.validatedBody;
+
+    try {
+      const escrow = sealVaultKey(req.vaultKey, GROUP_ID);
+
+      await audit.log(GROUP_ID, {
+        action: "break_glass.escrow_created",
+        userId: enabledBy || "system",
+        success: true,
+      });
+
+      res.json({ success: true, escrow });
+    } catch (err) {
+      console.error("Break-glass escrow error:", err);
+      res.status(500).json({ error: "Failed to create break-glass escrow" });
+    }
+  },
+);
+
+// Grant approved break-glass access (management API)
+// Opens the vault from the escrow if it is locked and issues a time-boxed token
+app.post(
+  "/break-glass/access",
+  requireManagementAuth,
+  validate({ body: breakGlassAccessSchema }),
+  async (req, res) => {
+    const { requestId, userId, escrow, allowedSecrets, permissions, ttlSeconds } =
+      req.validatedBody;
+
+    if (!vaultData) {
+      return res.status(400).json({ error: "Vault not initialized" });
+    }
+
+    try {
+      let unlockedVault = false;
+      if (!getVaultSession(GROUP_ID)) {
+        const { key } = await unlockGroupVault(vaultData, null, openVaultKey(escrow, GROUP_ID));
+        vaultKey = key;
+        createVaultSession(GROUP_ID, key, ttlSeconds * 1000);
+        unlockedVault = true;
+      }
+
+      const token = issueCapabilityToken({
+        groupId: GROUP_ID,
+        userId,
+        allowedSecrets: allowedSecrets || ["*"],
+        permissions: permissions || ["read"],
+        ttlSeconds,
+      });
+      const { id: tokenId } = JSON.parse(Buffer.from(token.split(".")[1], "base64url"));
+
+      await audit.log(GROUP_ID, {
+        action: "break_glass.access_granted",
+        userId,
+        success: true,
+        metadata: { requestId, tokenId, ttlSeconds, unlockedVault },
+      });
+
+      res.json({ success: true, token, tokenId, expiresIn: ttlSeconds, unlockedVault });
+    } catch (err) {
+      await audit.log(GROUP_ID, {
+        action: "break_glass.access_failed",
+        userId,
+        success: false,
+        error: err.message,
+        metadata: { requestId },
+      });
+
+      if (err.code === "INVALID_ESCROW" || err.message === "Invalid password or key") {
+        return res.status(409).json({
+          error: "Break-glass escrow is out of date, re-enable break-glass",
+          code: "STALE_ESCROW",
+        });
+      }
+      console.error("Break-glass access error:", err);
+      res.status(500).json({ error: "Failed to grant break-glass access" });
+    }
+  },
+);
+
 // Get vault status
 app.get("/status", requireManagementAuth, (req, res) => {
   const session = getVaultSession(GROUP_ID);
@@ -467,7 +754,7 @@ app.post(
   requireVaultUnlocked,
   async (req, res) => {
     const { key } = req.validatedParams;
-    const { value, metadata } = req.validatedBody;
+    const { value, metadata, rotation } = req.validatedBody;
 
     if (!checkAccess(req.capability, key, "write")) {
       await audit.log(GROUP_ID, {
@@ -479,32 +766,46 @@ app.post(
       });
       return res.status(403).json({ error: "Access denied for this secret" });
     }
+    if (rotation && !canSetRotationPolicy(req.capability, key, rotation)) {
+      return denyRotationPolicy(req, res, key);
+    }
 
     try {
       const session = getVaultSession(GROUP_ID);
       const { data } = await unlockGroupVault(vaultData, null, session.key);
 
-      // Update secrets
-      data.secrets = data.secrets || {};
-      const isNew = !data.secrets[key];
-      data.secrets[key] = {
+      // Update secret, keeping the previous value as a prior version
+      const { created, version } = writeSecretVersion(data, key, {
         value,
-        metadata: metadata || {},
-        updatedAt: new Date().toISOString(),
-        updatedBy: req.capability.userId,
-      };
+        metadata,
+        userId: req.capability.userId,
+      });
+
+      if (rotation) {
+        try {
+          setRotationPolicy(data, key, rotation, req.capability.userId);
+        } catch (err) {
+          if (isRotatorConfigError(err)) {
+            return res.status(400).json({ error: err.message, code: err.code });
+          }
+          throw err;
+        }
+      } else {
+        rescheduleRotation(data, key);
+      }
 
       // Re-encrypt vault
       vaultData = updateGroupVault(vaultData, session.key, data);
 
       await audit.log(GROUP_ID, {
-        action: isNew ? "secret.created" : "secret.updated",
+        action: created ? "secret.created" : "secret.updated",
         userId: req.capability.userId,
         secretKey: key,
         success: true,
+        metadata: { version },
       });
 
-      res.json({ success: true, created: isNew });
+      res.json({ success: true, created, version });
     } catch (err) {
       console.error("Store secret error:", err);
       res.status(500).json({ error: "Failed to store secret" });
@@ -512,6 +813,335 @@ app.post(
   },
 );
 
+// List versions of a secret (capability token required, metadata only)
+app.get(
+  "/secrets/:key/versions",
+  validate({ params: secretKeyParamSchema }),
+  requireCapability("read"),
+  requireVaultUnlocked,
+  async (req, res) => {
+    const { key } = req.validatedParams;
+
+    if (!checkAccess(req.capability, key, "read")) {
+      await audit.log(GROUP_ID, {
+        action: "secret.read.denied",
+        userId: req.capability.userId,
+        secretKey: key,
+        success: false,
+        error: "Access denied",
+      });
+      return res.status(403).json({ error: "Access denied for this secret" });
+    }
+
+    try {
+      const { data } = await unlockGroupVault(vaultData, null, req.vaultKey);
+      const versions = listSecretVersions(data, key);
+
+      if (!versions) {
+        return res.status(404).json({ error: "Secret not found" });
+      }
+
+      await audit.log(GROUP_ID, {
+        action: "secret.versions.listed",
+        userId: req.capability.userId,
+        secretKey: key,
+        success: true,
+      });
+
+      res.json({ key, versions });
+    } catch (err) {
+      console.error("List secret versions error:", err);
+      res.status(500).json({ error: "Failed to list secret versions" });
+    }
+  },
+);
+
+// Get a specific version of a secret (capability token required)
+app.get(
+  "/secrets/:key/versions/:version",
+  validate({ params: secretVersionParamSchema }),
+  requireCapability("read"),
+  requireVaultUnlocked,
+  async (req, res) => {
+    const { key, version } = req.validatedParams;
+
+    if (!checkAccess(req.capability, key, "read")) {
+      await audit.log(GROUP_ID, {
+        action: "secret.read.denied",
+        userId: req.capability.userId,
+        secretKey: key,
+        success: false,
+        error: "Access denied",
+      });
+      return res.status(403).json({ error: "Access denied for this secret" });
+    }
+
+    try {
+      const { data } = await unlockGroupVault(vaultData, null, req.vaultKey);
+      const entry = getSecretVersion(data, key, version);
+
+      if (!entry) {
+        return res.status(404).json({ error: "Secret version not found" });
+      }
+
+      await audit.log(GROUP_ID, {
+        action: "secret.version.read",
+        userId: req.capability.userId,
+        secretKey: key,
+        success: true,
+        metadata: { version },
+      });
+
+      res.json({ key, ...entry });
+    } catch (err) {
+      console.error("Get secret version error:", err);
+      res.status(500).json({ error: "Failed to get secret version" });
+    }
+  },
+);
+
+// Roll a secret back to a prior version (capability token required)
+app.post(
+  "/secrets/:key/rollback",
+  validate({ params: secretKeyParamSchema, body: rollbackSecretSchema }),
+  requireCapability("write"),
+  requireVaultUnlocked,
+  async (req, res) => {
+    const { key } = req.validatedParams;
+    const { version } = req.validatedBody;
+
+    if (!checkAccess(req.capability, key, "write")) {
+      await audit.log(GROUP_ID, {
+        action: "secret.write.denied",
+        userId: req.capability.userId,
+        secretKey: key,
+        success: false,
+        error: "Access denied",
+      });
+      return res.status(403).json({ error: "Access denied for this secret" });
+    }
+
+    try {
+      const session = getVaultSession(GROUP_ID);
+      const { data } = await unlockGroupVault(vaultData, null, session.key);
+      const result = rollbackSecret(data, key, version, req.capability.userId);
+
+      if (!result) {
+        return res.status(404).json({ error: "Secret version not found" });
+      }
+      rescheduleRotation(data, key);
+
+      // Re-encrypt vault
+      vaultData = updateGroupVault(vaultData, session.key, data);
+
+      await audit.log(GROUP_ID, {
+        action: "secret.rolled_back",
+        userId: req.capability.userId,
+        secretKey: key,
+        success: true,
+        metadata: { rolledBackFrom: version, version: result.version },
+      });
+
+      res.json({ success: true, version: result.version, rolledBackFrom: version });
+    } catch (err) {
+      console.error("Rollback secret error:", err);
+      res.status(500).json({ error: "Failed to roll back secret" });
+    }
+  },
+);
+
+// List available rotators (capability token required)
+app.get("/rotators", requireCapability("read"), (req, res) => {
+  res.json({ rotators: listRotators() });
+});
+
+// Get rotation policy for a secret (capability token required)
+app.get(
+  "/secrets/:key/rotation",
+  validate({ params: secretKeyParamSchema }),
+  requireCapability("read"),
+  requireVaultUnlocked,
+  async (req, res) => {
+    const { key } = req.validatedParams;
+
+    if (!checkAccess(req.capability, key, "read")) {
+      await audit.log(GROUP_ID, {
+        action: "secret.read.denied",
+        userId: req.capability.userId,
+        secretKey: key,
+        success: false,
+        error: "Access denied",
+      });
+      return res.status(403).json({ error: "Access denied for this secret" });
+    }
+
+    try {
+      const { data } = await unlockGroupVault(vaultData, null, req.vaultKey);
+      const policy = getRotationPolicy(data, key);
+
+      if (!policy) {
+        return res.status(404).json({ error: "No rotation policy for this secret" });
+      }
+
+      res.json({ key, rotation: describeRotationPolicy(policy) });
+    } catch (err) {
+      console.error("Get rotation policy error:", err);
+      res.status(500).json({ error: "Failed to get rotation policy" });
+    }
+  },
+);
+
+// Set rotation policy for a secret (capability token required)
+app.put(
+  "/secrets/:key/rotation",
+  validate({ params: secretKeyParamSchema, body: rotationPolicySchema }),
+  requireCapability("write"),
+  requireVaultUnlocked,
+  async (req, res) => {
+    const { key } = req.validatedParams;
+
+    if (!checkAccess(req.capability, key, "write")) {
+      await audit.log(GROUP_ID, {
+        action: "secret.write.denied",
+        userId: req.capability.userId,
+        secretKey: key,
+        success: false,
+        error: "Access denied",
+      });
+      return res.status(403).json({ error: "Access denied for this secret" });
+    }
+    if (!canSetRotationPolicy(req.capability, key, req.validatedBody)) {
+      return denyRotationPolicy(req, res, key);
+    }
+
+    try {
+      const session = getVaultSession(GROUP_ID);
+      const { data } = await unlockGroupVault(vaultData, null, session.key);
+
+      if (!data.secrets?.[key]) {
+        return res.status(404).json({ error: "Secret not found" });
+      }
+
+      let policy;
+      try {
+        policy = setRotationPolicy(data, key, req.validatedBody, req.capability.userId);
+      } catch (err) {
+        if (isRotatorConfigError(err)) {
+          return res.status(400).json({ error: err.message, code: err.code });
+        }
+        throw err;
+      }
+
+      // Re-encrypt vault
+      vaultData = updateGroupVault(vaultData, session.key, data);
+
+      await audit.log(GROUP_ID, {
+        action: "secret.rotation_policy.set",
+        userId: req.capability.userId,
+        secretKey: key,
+        success: true,
+        metadata: {
+          rotator: policy.rotator.type,
+          intervalSeconds: policy.intervalSeconds,
+          ownerId: policy.ownerId,
+        },
+      });
+
+      res.json({ success: true, rotation: describeRotationPolicy(policy) });
+    } catch (err) {
+      console.error("Set rotation policy error:", err);
+      res.status(500).json({ error: "Failed to set rotation policy" });
+    }
+  },
+);
+
+// Remove rotation policy for a secret (capability token required)
+app.delete(
+  "/secrets/:key/rotation",
+  validate({ params: secretKeyParamSchema }),
+  requireCapability("write"),
+  requireVaultUnlocked,
+  async (req, res) => {
+    const { key } = req.validatedParams;
+
+    if (!checkAccess(req.capability, key, "write")) {
+      await audit.log(GROUP_ID, {
+        action: "secret.write.denied",
+        userId: req.capability.userId,
+        secretKey: key,
+        success: false,
+        error: "Access denied",
+      });
+      return res.status(403).json({ error: "Access denied for this secret" });
+    }
+
+    try {
+      const session = getVaultSession(GROUP_ID);
+      const { data } = await unlockGroupVault(vaultData, null, session.key);
+
+      if (!removeRotationPolicy(data, key)) {
+        return res.status(404).json({ error: "No rotation policy for this secret" });
+      }
+
+      // Re-encrypt vault
+      vaultData = updateGroupVault(vaultData, session.key, data);
+
+      await audit.log(GROUP_ID, {
+        action: "secret.rotation_policy.removed",
+        userId: req.capability.userId,
+        secretKey: key,
+        success: true,
+      });
+
+      res.json({ success: true });
+    } catch (err) {
+      console.error("Remove rotation policy error:", err);
+      res.status(500).json({ error: "Failed to remove rotation policy" });
+    }
+  },
+);
+
+// Rotate a secret now using its rotation policy (capability token required)
+app.post(
+  "/secrets/:key/rotate",
+  validate({ params: secretKeyParamSchema }),
+  requireCapability("write"),
+  requireVaultUnlocked,
+  async (req, res) => {
+    const { key } = req.validatedParams;
+
+    if (!checkAccess(req.capability, key, "write")) {
+      await audit.log(GROUP_ID, {
+        action: "secret.write.denied",
+        userId: req.capability.userId,
+        secretKey: key,
+        success: false,
+        error: "Access denied",
+      });
+      return res.status(403).json({ error: "Access denied for this secret" });
+    }
+
+    try {
+      const result = await rotationScheduler.rotate(key, { triggeredBy: req.capability.userId });
+
+      if (!result.rotated) {
+        return res.status(502).json({ error: result.error, code: "ROTATION_FAILED" });
+      }
+
+      res.json({ success: true, version: result.version });
+    } catch (err) {
+      if (err.code === "NO_ROTATION_POLICY") {
+        return res.status(404).json({ error: err.message, code: err.code });
+      }
+      if (err.code === "VAULT_LOCKED") {
+        return res.status(423).json({ error: "Vault is locked", code: err.code });
+      }
+      console.error("Rotate secret error:", err);
+      res.status(500).json({ error: "Failed to rotate secret" });
+    }
+  },
+);
+
 // Delete a secret (capability token required)
 app.delete(
   "/secrets/:key",
@@ -536,12 +1166,11 @@ app.delete(
       const session = getVaultSession(GROUP_ID);
       const { data } = await unlockGroupVault(vaultData, null, session.key);
 
-      if (!data.secrets?.[key]) {
+      // Prior versions are removed along with the secret
+      if (!deleteSecret(data, key)) {
         return res.status(404).json({ error: "Secret not found" });
       }
 
-      delete data.secrets[key];
-
       // Re-encrypt vault
       vaultData = updateGroupVault(vaultData, session.key, data);
 
@@ -580,6 +1209,7 @@ app.get(
 );
 
 // Start server
+rotationScheduler.start();
 app.listen(PORT, () => {
   console.log(`Org vault server running on port ${PORT}`);
   console.log(`Organization: ${GROUP_ID}`);
@@ -16,6 +16,11 @@ const SCOPE_HIERARCHY = {
   "*": ["read", "write", "admin", "*"],
 };
 
+/**
+ * Scopes that may be assigned to a key
+ */
+export const API_KEY_SCOPES = Object.keys(SCOPE_HIERARCHY);
+
 /**
  * Generate a secure API key
  * @returns {{ rawKey: string, keyHash: string, keyPrefix: string }}
@@ -47,16 +52,36 @@ export const apiKeys = {
    * @param {string} name - Human-readable name for the key
    * @param {string[]} scopes - Array of scopes (default: ['read'])
    * @param {Date|null} expiresAt - Expiration date or null for no expiration
+   * @param {string|null} description - Optional free-form description
+   * @param {string[]|null} permissions - Explicit RBAC permissions, or null to inherit the user's role
    * @returns {Promise<{ key: object, rawKey: string }>}
    */
-  async create(tenantId, userId, name, scopes = ["read"], expiresAt = null) {
+  async create(
+    tenantId,
+    userId,
+    name,
+    scopes = ["read"],
+    expiresAt = null,
+    description = null,
+    permissions = null,
+  ) {
     const { rawKey, keyHash, keyPrefix } = generateKey();
 
     const res = await query(
-      `INSERT INTO api_keys (tenant_id, user_id, name, key_hash, key_prefix, scopes, expires_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
-       RETURNING id, tenant_id, user_id, name, key_prefix, scopes, expires_at, created_at`,
-      [tenantId, userId, name, keyHash, keyPrefix, JSON.stringify(scopes), expiresAt],
+      `INSERT INTO api_keys (tenant_id, user_id, name, description, key_hash, key_prefix, scopes, permissions, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING id, tenant_id, user_id, name, description, key_prefix, scopes, permissions, expires_at, created_at`,
+      [
+        tenantId,
+        userId,
+        name,
+        description,
+        keyHash,
+        keyPrefix,
+        JSON.stringify(scopes),
+        permissions ? JSON.stringify(permissions) : null,
+        expiresAt,
+      ],
     );
 
     return {
@@ -72,8 +97,8 @@ export const apiKeys = {
    */
   async findById(id) {
     const res = await query(
-      `SELECT id, tenant_id, user_id, name, key_prefix, scopes, rate_limit_override,
-              last_used_at, expires_at, revoked_at, created_at
+      `SELECT id, tenant_id, user_id, name, description, key_prefix, scopes, permissions, rate_limit_override,
+              last_used_at, last_used_ip, expires_at, rotated_at, revoked_at, revoked_by, created_at
        FROM api_keys
        WHERE id = $1`,
       [id],
@@ -88,8 +113,8 @@ export const apiKeys = {
    */
   async findByTenantId(tenantId) {
     const res = await query(
-      `SELECT id, tenant_id, user_id, name, key_prefix, scopes, rate_limit_override,
-              last_used_at, expires_at, revoked_at, created_at
+      `SELECT id, tenant_id, user_id, name, description, key_prefix, scopes, permissions, rate_limit_override,
+              last_used_at, last_used_ip, expires_at, rotated_at, revoked_at, revoked_by, created_at
        FROM api_keys
        WHERE tenant_id = $1
        ORDER BY created_at DESC`,
@@ -105,8 +130,8 @@ export const apiKeys = {
    */
   async findByUserId(userId) {
     const res = await query(
-      `SELECT id, tenant_id, user_id, name, key_prefix, scopes, rate_limit_override,
-              last_used_at, expires_at, revoked_at, created_at
+      `SELECT id, tenant_id, user_id, name, description, key_prefix, scopes, permissions, rate_limit_override,
+              last_used_at, last_used_ip, expires_at, rotated_at, revoked_at, revoked_by, created_at
        FROM api_keys
        WHERE user_id = $1
        ORDER BY created_at DESC`,
@@ -115,22 +140,123 @@ export const apiKeys = {
     return res.rows;
   },
 
+  /**
+   * Find an API key by its UUID, scoped to a tenant
+   * @param {string} tenantId - UUID of the tenant
+   * @param {string} id - UUID of the key
+   * @returns {Promise<object|undefined>}
+   */
+  async findByIdForTenant(tenantId, id) {
+    const key = await this.findById(id);
+    return key && key.tenant_id === tenantId ? key : undefined;
+  },
+
+  /**
+   * Update a key's label, description, scopes or permissions
+   * @param {string} id - UUID of the key
+   * @param {object} updates - { name?, description?, scopes?, permissions? } (permissions: null clears)
+   * @returns {Promise<object|undefined>}
+   */
+  async update(id, updates) {
+    const setClauses = [];
+    const params = [id];
+
+    if (updates.name !== undefined) {
+      params.push(updates.name);
+      setClauses.push(`name = $${params.length}`);
+    }
+    if (updates.description !== undefined) {
+      params.push(updates.description);
+      setClauses.push(`description = $${params.length}`);
+    }
+    if (updates.scopes !== undefined) {
+      params.push(JSON.stringify(updates.scopes));
+      setClauses.push(`scopes = $${params.length}`);
+    }
+    if (updates.permissions !== undefined) {
+      params.push(updates.permissions ? JSON.stringify(updates.permissions) : null);
+      setClauses.push(`permissions = $${params.length}`);
+    }
+
+    if (setClauses.length === 0) {
+      return this.findById(id);
+    }
+
+    const res = await query(
+      `UPDATE api_keys
+       SET ${setClauses.join(", ")}
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING id, tenant_id, user_id, name, description, key_prefix, scopes, permissions,
+                 rate_limit_override, last_used_at, last_used_ip, expires_at, rotated_at,
+                 revoked_at, created_at`,
+      params,
+    );
+    return res.rows[0];
+  },
+
+  /**
+   * Rotate an API key - replaces the secret, keeping id, name, scopes and expiry
+   * The previous secret stops working immediately.
+   * Returns the new raw key only once.
+   * @param {string} id - UUID of the key
+   * @returns {Promise<{ key: object, rawKey: string }|null>} Null if key not found or revoked
+   */
+  async rotate(id) {
+    const { rawKey, keyHash, keyPrefix } = generateKey();
+
+    const res = await query(
+      `UPDATE api_keys
+       SET key_hash = $2, key_prefix = $3, rotated_at = NOW()
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING id, tenant_id, user_id, name, description, key_prefix, scopes, permissions,
+                 expires_at, rotated_at, created_at`,
+      [id, keyHash, keyPrefix],
+    );
+
+    if (!res.rows[0]) {
+      return null;
+    }
+
+    return {
+      key: res.rows[0],
+      rawKey, // Only returned at rotation time
+    };
+  },
+
   /**
    * Revoke an API key (soft delete - sets revoked_at)
    * @param {string} id - UUID of the key
+   * @param {string|null} revokedBy - UUID of the user revoking the key
    * @returns {Promise<object|undefined>}
    */
-  async revoke(id) {
+  async revoke(id, revokedBy = null) {
     const res = await query(
       `UPDATE api_keys
-       SET revoked_at = NOW()
+       SET revoked_at = NOW(), revoked_by = $2
        WHERE id = $1 AND revoked_at IS NULL
        RETURNING *`,
-      [id],
+      [id, revokedBy],
     );
     return res.rows[0];
   },
 
+  /**
+   * Revoke every active API key created by a user (deprovisioning)
+   * @param {string} userId - UUID of the user
+   * @param {string|null} revokedBy - UUID of the user revoking the keys
+   * @returns {Promise<object[]>} Revoked keys
+   */
+  async revokeAllForUser(userId, revokedBy = null) {
+    const res = await query(
+      `UPDATE api_keys
+       SET revoked_at = NOW(), revoked_by = $2
+       WHERE user_id = $1 AND revoked_at IS NULL
+       RETURNING id, tenant_id, key_prefix`,
+      [userId, revokedBy],
+    );
+    return res.rows;
+  },
+
   /**
    * Hard delete an API key
    * @param {string} id - UUID of the key
@@ -144,11 +270,12 @@ export const apiKeys = {
   /**
    * Validate an API key
    * Checks: exists, not expired, not revoked
-   * Updates last_used_at on successful validation
+   * Updates last_used_at (and last_used_ip when known) on successful validation
    * @param {string} rawKey - The raw API key to validate
+   * @param {string|null} ipAddress - Client IP address for last-used tracking
    * @returns {Promise<object|null>} Key data with tenant info, or null if invalid
    */
-  async validateKey(rawKey) {
+  async validateKey(rawKey, ipAddress = null) {
     // Check format
     if (!rawKey || !rawKey.startsWith(KEY_PREFIX)) {
       return null;
@@ -158,7 +285,7 @@ export const apiKeys = {
 
     // Look up key and join with tenant
     const res = await query(
-      `SELECT ak.id, ak.tenant_id, ak.user_id, ak.name, ak.key_prefix, ak.scopes,
+      `SELECT ak.id, ak.tenant_id, ak.user_id, ak.name, ak.key_prefix, ak.scopes, ak.permissions,
               ak.rate_limit_override, ak.last_used_at, ak.expires_at, ak.revoked_at, ak.created_at,
               t.id as "tenant.id", t.name as "tenant.name", t.slug as "tenant.slug",
               t.status as "tenant.status", t.settings as "tenant.settings"
@@ -189,7 +316,10 @@ export const apiKeys = {
     }
 
     // Update last_used_at (fire and forget for performance)
-    query("UPDATE api_keys SET last_used_at = NOW() WHERE id = $1", [row.id]).catch(() => {
+    query(
+      "UPDATE api_keys SET last_used_at = NOW(), last_used_ip = COALESCE($2, last_used_ip) WHERE id = $1",
+      [row.id, ipAddress],
+    ).catch(() => {
       // Ignore errors updating last_used_at
     });
 
@@ -201,6 +331,7 @@ export const apiKeys = {
       name: row.name,
       keyPrefix: row.key_prefix,
       scopes: row.scopes,
+      permissions: row.permissions ?? null,
       rateLimitOverride: row.rate_limit_override,
       lastUsedAt: row.last_used_at,
       expiresAt: row.expires_at,
@@ -270,7 +401,7 @@ export const apiKeys = {
    */
   async listActiveByTenantId(tenantId) {
     const res = await query(
-      `SELECT id, tenant_id, user_id, name, key_prefix, scopes, rate_limit_override,
+      `SELECT id, tenant_id, user_id, name, key_prefix, scopes, permissions, rate_limit_override,
               last_used_at, expires_at, created_at
        FROM api_keys
        WHERE tenant_id = $1
@@ -1,5 +1,5 @@
 // Group vault threshold unlock (renamed from org vault)
-import { query } from "./core.js";
+import { query, encrypt, decrypt } from "./core.js";
 
 // Group unlock requests (renamed from orgUnlockRequests)
 export const groupUnlockRequests = {
@@ -322,17 +322,29 @@ export const groupVaultAudit = {
 
 // Group Vault Capability Tokens (renamed from orgVaultTokens)
 export const groupVaultTokens = {
-  async create({ groupId, userId, tokenHash, allowedSecrets, permissions, issuedBy, expiresAt }) {
+  async create({
+    groupId,
+    userId,
+    tokenHash,
+    tokenId,
+    allowedSecrets,
+    permissions,
+    maxCalls,
+    issuedBy,
+    expiresAt,
+  }) {
     const res = await query(
-      `INSERT INTO group_vault_tokens (group_id, user_id, token_hash, allowed_secrets, permissions, issued_by, expires_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `INSERT INTO group_vault_tokens (group_id, user_id, token_hash, token_id, allowed_secrets, permissions, max_calls, issued_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
        RETURNING *`,
       [
         groupId,
         userId,
         tokenHash,
+        tokenId || null,
         allowedSecrets || ["*"],
         permissions || ["read"],
+        maxCalls || null,
         issuedBy,
         expiresAt,
       ],
@@ -402,3 +414,249 @@ export const groupVaultTokens = {
     await query("DELETE FROM group_vault_tokens WHERE expires_at < NOW() - INTERVAL '7 days'");
   },
 };
+
+// Break-glass escrow and approval policy per group
+export const groupBreakGlass = {
+  async upsert({ groupId, escrow, requiredApprovals, maxDurationMinutes, enabledBy }) {
+    const res = await query(
+      `INSERT INTO group_break_glass_config
+         (group_id, escrow_encrypted, required_approvals, max_duration_minutes, enabled_by)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (group_id) DO UPDATE SET
+         escrow_encrypted = $2,
+         required_approvals = $3,
+         max_duration_minutes = $4,
+         enabled_by = $5,
+         updated_at = NOW()
+       RETURNING group_id, required_approvals, max_duration_minutes, enabled_by, created_at, updated_at`,
+      [groupId, encrypt(escrow), requiredApprovals, maxDurationMinutes, enabledBy],
+    );
+    return res.rows[0];
+  },
+
+  // Policy only - the escrow is read with getEscrow when access is granted
+  async get(groupId) {
+    const res = await query(
+      `SELECT group_id, required_approvals, max_duration_minutes, enabled_by, created_at, updated_at
+       FROM group_break_glass_config WHERE group_id = $1`,
+      [groupId],
+    );
+    return res.rows[0];
+  },
+
+  async getEscrow(groupId) {
+    const res = await query(
+      "SELECT escrow_encrypted FROM group_break_glass_config WHERE group_id = $1",
+      [groupId],
+    );
+    return res.rows[0] ? decrypt(res.rows[0].escrow_encrypted) : null;
+  },
+
+  async remove(groupId) {
+    const res = await query(
+      "DELETE FROM group_break_glass_config WHERE group_id = $1 RETURNING group_id",
+      [groupId],
+    );
+    return res.rows.length > 0;
+  },
+};
+
+// Break-glass requests, admin decisions and post-incident reviews
+export const groupBreakGlassRequests = {
+  async create({
+    groupId,
+    requestedBy,
+    justification,
+    incidentRef,
+    allowedSecrets,
+    permissions,
+    durationMinutes,
+    requiredApprovals,
+    expiresAt,
+  }) {
+    const res = await query(
+      `INSERT INTO group_break_glass_requests
+         (group_id, requested_by, justification, incident_ref, allowed_secrets, permissions,
+          duration_minutes, required_approvals, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        groupId,
+        requestedBy,
+        justification,
+        incidentRef || null,
+        JSON.stringify(allowedSecrets),
+        JSON.stringify(permissions),
+        durationMinutes,
+        requiredApprovals,
+        expiresAt,
+      ],
+    );
+    return res.rows[0];
+  },
+
+  async findById(id) {
+    const res = await query(
+      `SELECT r.*, u.name as requester_name, u.email as requester_email
+       FROM group_break_glass_requests r
+       JOIN users u ON r.requested_by = u.id
+       WHERE r.id = $1`,
+      [id],
+    );
+    return res.rows[0];
+  },
+
+  // A requester's request that has not finished yet
+  async findOpenForUser(groupId, userId) {
+    const res = await query(
+      `SELECT * FROM group_break_glass_requests
+       WHERE group_id = $1 AND requested_by = $2
+         AND status IN ('pending', 'approved', 'activating', 'active')
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [groupId, userId],
+    );
+    return res.rows[0];
+  },
+
+  async listForGroup(groupId, limit = 50) {
+    const res = await query(
+      `SELECT r.*, u.name as requester_name, u.email as requester_email,
+              (SELECT COUNT(*) FROM group_break_glass_decisions d
+               WHERE d.request_id = r.id AND d.decision = 'approve') as approval_count
+       FROM group_break_glass_requests r
+       JOIN users u ON r.requested_by = u.id
+       WHERE r.group_id = $1
+       ORDER BY r.created_at DESC
+       LIMIT $2`,
+      [groupId, limit],
+    );
+    return res.rows;
+  },
+
+  async addDecision(requestId, adminId, decision, comment) {
+    const res = await query(
+      `INSERT INTO group_break_glass_decisions (request_id, admin_id, decision, comment)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (request_id, admin_id) DO NOTHING
+       RETURNING *`,
+      [requestId, adminId, decision, comment || null],
+    );
+    return res.rows[0];
+  },
+
+  async listDecisions(requestId) {
+    const res = await query(
+      `SELECT d.*, u.name as admin_name, u.email as admin_email
+       FROM group_break_glass_decisions d
+       JOIN users u ON d.admin_id = u.id
+       WHERE d.request_id = $1
+       ORDER BY d.created_at`,
+      [requestId],
+    );
+    return res.rows;
+  },
+
+  async countApprovals(requestId) {
+    const res = await query(
+      `SELECT COUNT(*) as count FROM group_break_glass_decisions
+       WHERE request_id = $1 AND decision = 'approve'`,
+      [requestId],
+    );
+    return parseInt(res.rows[0].count, 10);
+  },
+
+  // Move a request between states; returns undefined if it was no longer in a from-state
+  async transition(id, fromStatuses, status) {
+    const res = await query(
+      `UPDATE group_break_glass_requests SET status = $3
+       WHERE id = $1 AND status = ANY($2)
+       RETURNING *`,
+      [id, fromStatuses, status],
+    );
+    return res.rows[0];
+  },
+
+  async activate(id, { tokenId, unlockedVault, accessExpiresAt }) {
+    const res = await query(
+      `UPDATE group_break_glass_requests
+       SET status = 'active', activated_at = NOW(), token_id = $2, unlocked_vault = $3,
+           access_expires_at = $4
+       WHERE id = $1 AND status = 'activating'
+       RETURNING *`,
+      [id, tokenId, unlockedVault, accessExpiresAt],
+    );
+    return res.rows[0];
+  },
+
+  async end(id, endedBy, reviewDueAt) {
+    const res = await query(
+      `UPDATE group_break_glass_requests
+       SET status = 'ended', ended_at = NOW(), ended_by = $2, review_due_at = $3
+       WHERE id = $1 AND status = 'active'
+       RETURNING *`,
+      [id, endedBy, reviewDueAt],
+    );
+    return res.rows[0];
+  },
+
+  // Requests whose approval window lapsed before access was activated
+  // ('activating' only stays set if activation was interrupted)
+  async expireOld() {
+    const res = await query(
+      `UPDATE group_break_glass_requests
+       SET status = 'expired'
+       WHERE status IN ('pending', 'approved', 'activating') AND expires_at < NOW()
+       RETURNING *`,
+    );
+    return res.rows;
+  },
+
+  async listAccessExpired() {
+    const res = await query(
+      `SELECT * FROM group_break_glass_requests
+       WHERE status = 'active' AND access_expires_at < NOW()`,
+    );
+    return res.rows;
+  },
+
+  async listOverdueReviews() {
+    const res = await query(
+      `SELECT * FROM group_break_glass_requests
+       WHERE status = 'ended' AND review_due_at < NOW() AND review_reminded_at IS NULL`,
+    );
+    return res.rows;
+  },
+
+  async markReviewReminded(id) {
+    await query("UPDATE group_break_glass_requests SET review_reminded_at = NOW() WHERE id = $1", [
+      id,
+    ]);
+  },
+
+  async addReview({ requestId, reviewedBy, summary, actionsTaken, secretsRotated, followUp }) {
+    const res = await query(
+      `INSERT INTO group_break_glass_reviews
+         (request_id, reviewed_by, summary, actions_taken, secrets_rotated, follow_up)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [requestId, reviewedBy, summary, actionsTaken || null, secretsRotated, followUp || null],
+    );
+    await query(
+      "UPDATE group_break_glass_requests SET status = 'reviewed' WHERE id = $1 AND status = 'ended'",
+      [requestId],
+    );
+    return res.rows[0];
+  },
+
+  async getReview(requestId) {
+    const res = await query(
+      `SELECT v.*, u.name as reviewer_name
+       FROM group_break_glass_reviews v
+       JOIN users u ON v.reviewed_by = u.id
+       WHERE v.request_id = $1`,
+      [requestId],
+    );
+    return res.rows[0];
+  },
+};
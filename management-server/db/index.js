@@ -31,6 +31,9 @@ export { integrations } from "./integrations.js";
 // Device keys (WebAuthn/biometrics)
 export { deviceKeys } from "./device-keys.js";
 
+// WebAuthn credentials (passkeys for MFA and passwordless login)
+export { webauthnCredentials, webauthnChallenges } from "./webauthn.js";
+
 // Permissions
 export {
   PERMISSION_LEVELS,
@@ -65,7 +68,13 @@ export { agentActivity, agentBaselines, anomalyAlerts } from "./agent.js";
 export { notifications } from "./notifications.js";
 
 // Recovery methods
-export { recoveryMethods, recoveryContacts, recoveryRequests, recoveryShards } from "./recovery.js";
+export {
+  recoveryMethods,
+  recoveryContacts,
+  recoveryRequests,
+  recoveryShards,
+  recoveryDrills,
+} from "./recovery.js";
 
 // Group vault and threshold unlock (renamed from org vault)
 export {
@@ -74,10 +83,16 @@ export {
   groupVaults,
   groupVaultAudit,
   groupVaultTokens,
+  groupBreakGlass,
+  groupBreakGlassRequests,
 } from "./group-vault.js";
 
 // Revocations
-export { capabilityRevocations, groupTokenRevocations } from "./revocations.js";
+export {
+  capabilityRevocations,
+  groupTokenRevocations,
+  groupVaultSigningKeys,
+} from "./revocations.js";
 
 // Mesh audit logs
 export { MESH_AUDIT_EVENTS, meshAuditLogs } from "./mesh-audit.js";
@@ -110,8 +125,11 @@ export {
 // Tenants (multi-tenant SaaS)
 export { tenants, tenantMemberships } from "./tenants.js";
 
+// SCIM provisioning (tenant-scoped user and group sync)
+export { scimUsers, scimGroups } from "./scim.js";
+
 // API keys for multi-tenant authentication
-export { apiKeys } from "./api-keys.js";
+export { apiKeys, API_KEY_SCOPES } from "./api-keys.js";
 
 // Subscriptions and billing (multi-tenant SaaS)
 export { subscriptions, SUBSCRIPTION_PLANS, SUBSCRIPTION_STATUSES } from "./subscriptions.js";
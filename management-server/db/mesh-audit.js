@@ -47,6 +47,16 @@ export const MESH_AUDIT_EVENTS = {
   RELAY_MESSAGE_FORWARDED: "relay.message_forwarded",
   RELAY_MESSAGE_DENIED: "relay.message_denied",
   RELAY_REVOCATION_SUBMITTED: "relay.revocation_submitted",
+  RELAY_MESSAGE_QUEUED: "relay.message_queued",
+  RELAY_MESSAGE_DELIVERED: "relay.message_delivered",
+  RELAY_MESSAGE_ACKED: "relay.message_acked",
+  RELAY_MESSAGE_EXPIRED: "relay.message_expired",
+  RELAY_MESSAGE_DEAD_LETTERED: "relay.message_dead_lettered",
+  RELAY_MESSAGE_REPLAYED: "relay.message_replayed",
+  RELAY_GROUP_BROADCAST: "relay.group_broadcast",
+  RELAY_GROUP_BROADCAST_DENIED: "relay.group_broadcast_denied",
+  RELAY_KEY_ROTATED: "relay.key_rotated",
+  RELAY_KEY_REVOKED: "relay.key_revoked",
 
   // Integration events
   INTEGRATION_CONNECTED: "integration.connected",
@@ -2,6 +2,7 @@
 // Provides CRUD for user_mfa, mfa_backup_codes, mfa_attempts, pending_mfa_sessions
 
 import { query } from "./core.js";
+import { webauthnCredentials } from "./webauthn.js";
 
 /**
  * User MFA configuration operations
@@ -51,16 +52,19 @@ export const userMfa = {
 
   /**
    * Get MFA status for a user
-   * Returns enabled state and backup code count
+   * Returns enabled state, backup code count and registered passkeys
    * @param {string} userId - User UUID
    * @returns {Promise<Object>}
    */
   async getStatus(userId) {
     const mfaConfig = await this.findByUserId(userId);
     const backupCodesRemaining = await mfaBackupCodes.countUnused(userId);
+    const webauthnCredentialCount = await webauthnCredentials.countForUser(userId);
 
     return {
       totpEnabled: mfaConfig?.totp_enabled || false,
+      webauthnEnabled: webauthnCredentialCount > 0,
+      webauthnCredentialCount,
       mfaEnforced: mfaConfig?.mfa_enforced || false,
       preferredMethod: mfaConfig?.preferred_method || "totp",
       backupCodesRemaining,
@@ -116,6 +120,26 @@ export const userMfa = {
   async delete(userId) {
     await query("DELETE FROM user_mfa WHERE user_id = $1", [userId]);
   },
+
+  /**
+   * List MFA enrollment for every user in a tenant (for policy compliance)
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<Array>} Users with totp_enabled and webauthn_count
+   */
+  async listTenantEnrollment(tenantId) {
+    const res = await query(
+      `SELECT u.id, u.email, u.name, u.tenant_role, u.created_at,
+              COALESCE(m.totp_enabled, FALSE) AS totp_enabled,
+              (SELECT COUNT(*) FROM webauthn_credentials w WHERE w.user_id = u.id)::int
+                AS webauthn_count
+       FROM users u
+       LEFT JOIN user_mfa m ON m.user_id = u.id
+       WHERE u.tenant_id = $1
+       ORDER BY u.email`,
+      [tenantId],
+    );
+    return res.rows;
+  },
 };
 
 /**
@@ -0,0 +1,29 @@
+-- ============================================================
+-- OCMT API Key Management Migration
+-- Self-service API key management for tenant admins
+--
+-- This migration extends api_keys with:
+-- - Free-form description alongside the key name (label)
+-- - Last-used IP tracking
+-- - Rotation and revocation attribution
+--
+-- Run with: psql -d ocmt -f 006_api_key_management.sql
+-- ============================================================
+
+BEGIN;
+
+-- ============================================================
+-- API KEYS COLUMNS
+-- ============================================================
+
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS description TEXT;
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS last_used_ip INET;
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS rotated_at TIMESTAMPTZ;
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS revoked_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN api_keys.description IS 'Optional free-form description (e.g., which CI pipeline uses the key)';
+COMMENT ON COLUMN api_keys.last_used_ip IS 'Client IP of the most recent successful authentication';
+COMMENT ON COLUMN api_keys.rotated_at IS 'When the key secret was last regenerated';
+COMMENT ON COLUMN api_keys.revoked_by IS 'User who revoked the key';
+
+COMMIT;
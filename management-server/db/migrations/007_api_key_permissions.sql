@@ -0,0 +1,24 @@
+-- ============================================================
+-- OCMT API Key Permissions Migration
+-- Fine-grained RBAC permissions on API keys
+--
+-- This migration extends api_keys with:
+-- - An optional explicit permission list drawn from the RBAC catalog
+--   (lib/rbac.js ALL_PERMISSIONS). When set, the key can only exercise
+--   permissions in the list, intersected with the owning user's role.
+--   When NULL, the key inherits the owning user's role permissions.
+--
+-- Run with: psql -d ocmt -f 007_api_key_permissions.sql
+-- ============================================================
+
+BEGIN;
+
+-- ============================================================
+-- API KEYS COLUMNS
+-- ============================================================
+
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS permissions JSONB;
+
+COMMENT ON COLUMN api_keys.permissions IS 'Explicit RBAC permissions (e.g. ["audit.export", "groups.view"]); NULL inherits the owner''s role';
+
+COMMIT;
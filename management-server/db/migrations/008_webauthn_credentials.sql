@@ -0,0 +1,68 @@
+-- ============================================================
+-- OCMT WebAuthn Credentials Migration
+-- Passkeys / security keys for MFA and passwordless login
+--
+-- This migration adds:
+-- - webauthn_credentials: registered authenticators with their public
+--   key, signature counter and stored attestation
+-- - webauthn_challenges: single-use ceremony challenges
+--
+-- device_keys keeps serving the biometric vault-unlock shortcut;
+-- these tables back standard WebAuthn authentication.
+--
+-- Run with: psql -d ocmt -f 008_webauthn_credentials.sql
+-- ============================================================
+
+BEGIN;
+
+-- ============================================================
+-- WEBAUTHN CREDENTIALS
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS webauthn_credentials (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  credential_id TEXT NOT NULL UNIQUE,
+  public_key TEXT NOT NULL,
+  algorithm INTEGER NOT NULL,
+  sign_count BIGINT NOT NULL DEFAULT 0,
+  transports JSONB DEFAULT '[]',
+  aaguid UUID,
+  device_name VARCHAR(255),
+  attestation_format VARCHAR(32),
+  attestation_object TEXT,
+  attestation_verified BOOLEAN DEFAULT FALSE,
+  backup_eligible BOOLEAN DEFAULT FALSE,
+  backed_up BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_webauthn_credentials_user ON webauthn_credentials(user_id);
+
+COMMENT ON TABLE webauthn_credentials IS 'WebAuthn authenticators (passkeys, security keys) registered by users';
+COMMENT ON COLUMN webauthn_credentials.credential_id IS 'base64url credential ID returned by the authenticator';
+COMMENT ON COLUMN webauthn_credentials.public_key IS 'base64url SPKI DER public key';
+COMMENT ON COLUMN webauthn_credentials.algorithm IS 'COSE algorithm identifier (-7 ES256, -8 EdDSA, -257 RS256)';
+COMMENT ON COLUMN webauthn_credentials.sign_count IS 'Last seen signature counter, used to detect cloned authenticators';
+COMMENT ON COLUMN webauthn_credentials.attestation_object IS 'Raw base64url attestation object from registration';
+
+-- ============================================================
+-- WEBAUTHN CHALLENGES
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS webauthn_challenges (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  challenge TEXT NOT NULL UNIQUE,
+  ceremony VARCHAR(20) NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webauthn_challenges_expires ON webauthn_challenges(expires_at);
+
+COMMENT ON COLUMN webauthn_challenges.user_id IS 'NULL for passwordless (discoverable credential) sign-in';
+COMMENT ON COLUMN webauthn_challenges.ceremony IS 'registration or authentication';
+
+COMMIT;
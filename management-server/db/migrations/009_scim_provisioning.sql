@@ -0,0 +1,41 @@
+-- ============================================================
+-- OCMT SCIM Provisioning Migration
+-- Identity provider sync for enterprise tenants (SCIM 2.0)
+--
+-- This migration adds:
+-- - users.scim_external_id: the IdP's identifier for a provisioned user
+-- - groups.scim_external_id: the IdP's identifier for a provisioned group
+--
+-- External IDs are unique per tenant so an IdP can look resources up
+-- by its own identifier (filter=externalId eq "...").
+--
+-- Run with: psql -d ocmt -f 009_scim_provisioning.sql
+-- ============================================================
+
+BEGIN;
+
+-- ============================================================
+-- USERS
+-- ============================================================
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS scim_external_id TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_tenant_scim_external_id
+  ON users(tenant_id, scim_external_id)
+  WHERE scim_external_id IS NOT NULL;
+
+COMMENT ON COLUMN users.scim_external_id IS 'Identity provider ID for SCIM-provisioned users';
+
+-- ============================================================
+-- GROUPS
+-- ============================================================
+
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS scim_external_id TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_groups_tenant_scim_external_id
+  ON groups(tenant_id, scim_external_id)
+  WHERE scim_external_id IS NOT NULL;
+
+COMMENT ON COLUMN groups.scim_external_id IS 'Identity provider ID for SCIM-provisioned groups';
+
+COMMIT;
@@ -0,0 +1,36 @@
+-- ============================================================
+-- OCMT SAML Session Tracking Migration
+-- Single Logout support for SAML SSO tenants
+--
+-- This migration adds:
+-- - sessions.saml_tenant_id: tenant whose IdP issued the login
+-- - sessions.saml_name_id / saml_name_id_format: subject of the assertion
+-- - sessions.saml_session_index: IdP session (AuthnStatement SessionIndex)
+--
+-- An IdP LogoutRequest names a NameID and optionally a SessionIndex;
+-- every OCMT session created from that IdP session is revoked.
+--
+-- Run with: psql -d ocmt -f 010_saml_sessions.sql
+-- ============================================================
+
+BEGIN;
+
+-- ============================================================
+-- SESSIONS
+-- ============================================================
+
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS saml_tenant_id UUID REFERENCES tenants(id) ON DELETE SET NULL;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS saml_name_id TEXT;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS saml_name_id_format TEXT;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS saml_session_index TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_sessions_saml_subject
+  ON sessions(saml_tenant_id, saml_name_id)
+  WHERE saml_tenant_id IS NOT NULL;
+
+COMMENT ON COLUMN sessions.saml_tenant_id IS 'Tenant whose SAML IdP authenticated this session';
+COMMENT ON COLUMN sessions.saml_name_id IS 'NameID from the SAML assertion, used to match LogoutRequests';
+COMMENT ON COLUMN sessions.saml_name_id_format IS 'NameID format echoed back in SP-initiated LogoutRequests';
+COMMENT ON COLUMN sessions.saml_session_index IS 'IdP SessionIndex from the AuthnStatement';
+
+COMMIT;
@@ -0,0 +1,28 @@
+-- ============================================================
+-- OCMT RBAC Access Conditions Migration
+-- Attribute-based conditions on custom roles
+--
+-- This migration adds:
+-- - tenant_roles.conditions: JSON object of conditions that must hold
+--   for the role's own permissions to apply
+--
+-- Supported conditions (all optional, every one present must pass):
+-- - timeWindows: [{ days, start, end, timezone }]
+-- - ipRanges: ["10.0.0.0/8", "2001:db8::/32"]
+-- - mfaMaxAgeMinutes: 15
+-- - regions: ["eu-west", "eu-central"]
+--
+-- Run with: psql -d ocmt -f 011_rbac_conditions.sql
+-- ============================================================
+
+BEGIN;
+
+-- ============================================================
+-- TENANT_ROLES
+-- ============================================================
+
+ALTER TABLE tenant_roles ADD COLUMN IF NOT EXISTS conditions JSONB;
+
+COMMENT ON COLUMN tenant_roles.conditions IS 'Access conditions (time windows, IP ranges, MFA freshness, regions) gating the role''s own permissions';
+
+COMMIT;
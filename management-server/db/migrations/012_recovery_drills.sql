@@ -0,0 +1,63 @@
+-- ============================================================
+-- OCMT Recovery Drills Migration
+-- Periodic checks that social recovery and hardware backups still work
+--
+-- This migration adds:
+-- - recovery_drills: a drill asking every social recovery contact to
+--   confirm they can still help, without collecting or combining shards
+-- - recovery_drill_responses: per-contact confirmation token and delivery state
+-- - recovery_contacts.contact_user_id / last_confirmed_at / bounced_at:
+--   contact health (deleted accounts, bounced emails, last confirmation)
+-- - recovery_methods.last_verified_at / drill_reminded_at
+--
+-- Run with: psql -d ocmt -f 012_recovery_drills.sql
+-- ============================================================
+
+BEGIN;
+
+-- ============================================================
+-- RECOVERY_DRILLS
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS recovery_drills (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    recovery_id VARCHAR(64) NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending',
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    completed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_recovery_drills_user ON recovery_drills(user_id);
+
+CREATE TABLE IF NOT EXISTS recovery_drill_responses (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    drill_id UUID NOT NULL REFERENCES recovery_drills(id) ON DELETE CASCADE,
+    contact_email VARCHAR(255) NOT NULL,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    delivery_status VARCHAR(20) DEFAULT 'pending',
+    delivery_error TEXT,
+    confirmed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(drill_id, contact_email)
+);
+
+CREATE INDEX IF NOT EXISTS idx_recovery_drill_responses_drill ON recovery_drill_responses(drill_id);
+
+-- ============================================================
+-- RECOVERY_CONTACTS / RECOVERY_METHODS
+-- ============================================================
+
+-- No foreign key: the id must survive account deletion so the drill can report it
+ALTER TABLE recovery_contacts ADD COLUMN IF NOT EXISTS contact_user_id UUID;
+ALTER TABLE recovery_contacts ADD COLUMN IF NOT EXISTS last_confirmed_at TIMESTAMP;
+ALTER TABLE recovery_contacts ADD COLUMN IF NOT EXISTS bounced_at TIMESTAMP;
+
+ALTER TABLE recovery_methods ADD COLUMN IF NOT EXISTS last_verified_at TIMESTAMP;
+ALTER TABLE recovery_methods ADD COLUMN IF NOT EXISTS drill_reminded_at TIMESTAMP;
+
+COMMENT ON COLUMN recovery_contacts.contact_user_id IS 'OCMT account of the contact when the shard was issued (kept after the account is deleted)';
+COMMENT ON COLUMN recovery_contacts.bounced_at IS 'Last time an email to the contact could not be delivered';
+
+COMMIT;
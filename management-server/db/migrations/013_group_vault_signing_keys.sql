@@ -0,0 +1,39 @@
+-- ============================================================
+-- OCMT Group Vault Signing Keys Migration
+-- Ed25519 keys used by group vault containers to sign capability tokens
+--
+-- This migration adds:
+-- - group_vault_signing_keys: one row per key, identified by its kid.
+--   The private key is wrapped by the container with a key derived from
+--   its SIGNING_KEY, so the database alone cannot mint tokens.
+--
+-- A key is 'active' (signs new tokens) or 'retired' (verifies tokens it
+-- signed until retires_at, then dropped).
+--
+-- Run with: psql -d ocmt -f 013_group_vault_signing_keys.sql
+-- ============================================================
+
+BEGIN;
+
+-- ============================================================
+-- GROUP_VAULT_SIGNING_KEYS
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS group_vault_signing_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+    kid VARCHAR(64) NOT NULL,
+    public_key TEXT NOT NULL,
+    private_key_encrypted TEXT NOT NULL,
+    status VARCHAR(20) DEFAULT 'active',
+    created_at TIMESTAMP DEFAULT NOW(),
+    retires_at TIMESTAMP,
+    UNIQUE(group_id, kid)
+);
+
+CREATE INDEX IF NOT EXISTS idx_group_vault_signing_keys_group ON group_vault_signing_keys(group_id);
+
+COMMENT ON COLUMN group_vault_signing_keys.public_key IS 'Raw 32-byte Ed25519 public key, base64';
+COMMENT ON COLUMN group_vault_signing_keys.retires_at IS 'After this time the key no longer verifies tokens';
+
+COMMIT;
@@ -0,0 +1,97 @@
+-- ============================================================
+-- OCMT Group Vault Break-Glass Migration
+-- Time-boxed emergency access to a locked group vault
+--
+-- This migration adds:
+-- - group_break_glass_config: per-group escrow of the vault key (sealed by
+--   the vault container, then encrypted at rest) and approval policy
+-- - group_break_glass_requests: a request with justification, moving
+--   pending -> approved -> active -> ended -> reviewed
+--   (or denied / cancelled / expired)
+-- - group_break_glass_decisions: one approve/deny decision per group admin
+-- - group_break_glass_reviews: mandatory post-incident review of used access
+--
+-- Run with: psql -d ocmt -f 014_group_break_glass.sql
+-- ============================================================
+
+BEGIN;
+
+-- ============================================================
+-- GROUP_BREAK_GLASS_CONFIG
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS group_break_glass_config (
+    group_id UUID PRIMARY KEY REFERENCES groups(id) ON DELETE CASCADE,
+    escrow_encrypted TEXT NOT NULL,
+    required_approvals INTEGER NOT NULL DEFAULT 2,
+    max_duration_minutes INTEGER NOT NULL DEFAULT 60,
+    enabled_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON COLUMN group_break_glass_config.escrow_encrypted IS 'Vault key sealed by the container (SIGNING_KEY), encrypted again with the server key';
+
+-- ============================================================
+-- GROUP_BREAK_GLASS_REQUESTS
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS group_break_glass_requests (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+    requested_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    justification TEXT NOT NULL,
+    incident_ref VARCHAR(255),
+    allowed_secrets JSONB NOT NULL DEFAULT '["*"]',
+    permissions JSONB NOT NULL DEFAULT '["read"]',
+    duration_minutes INTEGER NOT NULL,
+    required_approvals INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    expires_at TIMESTAMP NOT NULL,
+    activated_at TIMESTAMP,
+    access_expires_at TIMESTAMP,
+    token_id VARCHAR(64),
+    unlocked_vault BOOLEAN DEFAULT FALSE,
+    ended_at TIMESTAMP,
+    ended_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    review_due_at TIMESTAMP,
+    review_reminded_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_break_glass_requests_group ON group_break_glass_requests(group_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_break_glass_requests_status ON group_break_glass_requests(status);
+
+COMMENT ON COLUMN group_break_glass_requests.expires_at IS 'Approvals must be collected and access activated before this time';
+COMMENT ON COLUMN group_break_glass_requests.access_expires_at IS 'Access is revoked and the vault relocked at this time';
+
+-- ============================================================
+-- GROUP_BREAK_GLASS_DECISIONS
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS group_break_glass_decisions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    request_id UUID NOT NULL REFERENCES group_break_glass_requests(id) ON DELETE CASCADE,
+    admin_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    decision VARCHAR(10) NOT NULL,
+    comment TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(request_id, admin_id)
+);
+
+-- ============================================================
+-- GROUP_BREAK_GLASS_REVIEWS
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS group_break_glass_reviews (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    request_id UUID NOT NULL UNIQUE REFERENCES group_break_glass_requests(id) ON DELETE CASCADE,
+    reviewed_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    summary TEXT NOT NULL,
+    actions_taken TEXT,
+    secrets_rotated BOOLEAN NOT NULL DEFAULT FALSE,
+    follow_up TEXT,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+COMMIT;
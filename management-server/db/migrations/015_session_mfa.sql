@@ -0,0 +1,25 @@
+-- ============================================================
+-- OCMT Session MFA Migration
+-- Record which sessions completed multi-factor authentication
+--
+-- This migration adds:
+-- - sessions.mfa_verified_at: when the session passed a second factor
+--   (TOTP, backup code or passkey), at sign-in or later in the session
+--
+-- A tenant MFA policy needs both an enrolled factor and a session that
+-- used it; sessions opened by email link or SSO start unverified.
+--
+-- Run with: psql -d ocmt -f 015_session_mfa.sql
+-- ============================================================
+
+BEGIN;
+
+-- ============================================================
+-- SESSIONS
+-- ============================================================
+
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS mfa_verified_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN sessions.mfa_verified_at IS 'When this session completed MFA (NULL if it never did)';
+
+COMMIT;
@@ -0,0 +1,27 @@
+-- ============================================================
+-- OCMT Group Vault Token Budgets Migration
+-- Track the vault-side ID and call budget of issued vault tokens
+--
+-- This migration adds:
+-- - group_vault_tokens.token_id: ID the vault container gave the token
+-- - group_vault_tokens.max_calls: the token's call budget (NULL for unlimited)
+--
+-- Secret references resolve through a short-lived token that draws from
+-- the member's own token budget, so both are needed to resolve one.
+--
+-- Run with: psql -d ocmt -f 016_group_vault_token_budgets.sql
+-- ============================================================
+
+BEGIN;
+
+-- ============================================================
+-- GROUP_VAULT_TOKENS
+-- ============================================================
+
+ALTER TABLE group_vault_tokens ADD COLUMN IF NOT EXISTS token_id TEXT;
+ALTER TABLE group_vault_tokens ADD COLUMN IF NOT EXISTS max_calls INTEGER;
+
+COMMENT ON COLUMN group_vault_tokens.token_id IS 'Token ID in the vault container (NULL for tokens issued before it was recorded)';
+COMMENT ON COLUMN group_vault_tokens.max_calls IS 'Calls the token allows over its lifetime (NULL for unlimited)';
+
+COMMIT;
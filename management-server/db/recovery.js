@@ -55,6 +55,39 @@ export const recoveryMethods = {
     ]);
   },
 
+  async markVerified(userId, methodType) {
+    const res = await query(
+      `UPDATE recovery_methods
+       SET last_verified_at = NOW()
+       WHERE user_id = $1 AND method_type = $2
+       RETURNING *`,
+      [userId, methodType],
+    );
+    return res.rows[0];
+  },
+
+  // Methods whose last drill (or setup) is older than the cutoff and not reminded since
+  async listDueForDrill(methodType, cutoff) {
+    const res = await query(
+      `SELECT rm.user_id, rm.created_at, rm.last_verified_at, rm.drill_reminded_at
+       FROM recovery_methods rm
+       WHERE rm.method_type = $1
+         AND rm.enabled = true
+         AND COALESCE(rm.last_verified_at, rm.created_at) < $2
+         AND (rm.drill_reminded_at IS NULL OR rm.drill_reminded_at < $2)`,
+      [methodType, cutoff],
+    );
+    return res.rows;
+  },
+
+  async markDrillReminded(userId, methodType) {
+    await query(
+      `UPDATE recovery_methods SET drill_reminded_at = NOW()
+       WHERE user_id = $1 AND method_type = $2`,
+      [userId, methodType],
+    );
+  },
+
   async getDecryptedConfig(userId, methodType) {
     const res = await query(
       "SELECT config_encrypted FROM recovery_methods WHERE user_id = $1 AND method_type = $2 AND enabled = true",
@@ -67,26 +100,45 @@ export const recoveryMethods = {
 
 // Recovery contacts for social recovery
 export const recoveryContacts = {
-  async create({ userId, recoveryId, contactEmail, contactName, shareIndex, shardEncrypted }) {
+  async create({
+    userId,
+    recoveryId,
+    contactEmail,
+    contactName,
+    shareIndex,
+    shardEncrypted,
+    contactUserId = null,
+  }) {
     const res = await query(
-      `INSERT INTO recovery_contacts (user_id, recovery_id, contact_email, contact_name, share_index, shard_encrypted)
-       VALUES ($1, $2, $3, $4, $5, $6)
+      `INSERT INTO recovery_contacts (user_id, recovery_id, contact_email, contact_name, share_index, shard_encrypted, contact_user_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
        ON CONFLICT (user_id, contact_email)
        DO UPDATE SET
          recovery_id = $2,
          contact_name = $4,
          share_index = $5,
          shard_encrypted = $6,
+         contact_user_id = $7,
+         bounced_at = NULL,
          created_at = NOW()
        RETURNING *`,
-      [userId, recoveryId, contactEmail.toLowerCase(), contactName, shareIndex, shardEncrypted],
+      [
+        userId,
+        recoveryId,
+        contactEmail.toLowerCase(),
+        contactName,
+        shareIndex,
+        shardEncrypted,
+        contactUserId,
+      ],
     );
     return res.rows[0];
   },
 
   async listForUser(userId) {
     const res = await query(
-      `SELECT id, contact_email, contact_name, share_index, notified_at, created_at
+      `SELECT id, contact_email, contact_name, share_index, notified_at, created_at,
+              contact_user_id, last_confirmed_at, bounced_at
        FROM recovery_contacts
        WHERE user_id = $1
        ORDER BY share_index`,
@@ -95,6 +147,35 @@ export const recoveryContacts = {
     return res.rows;
   },
 
+  // Includes encrypted shards and whether the contact's account still exists
+  async listForHealthCheck(userId) {
+    const res = await query(
+      `SELECT rc.*, (rc.contact_user_id IS NOT NULL AND u.id IS NULL) AS account_deleted
+       FROM recovery_contacts rc
+       LEFT JOIN users u ON u.id = rc.contact_user_id
+       WHERE rc.user_id = $1
+       ORDER BY rc.share_index`,
+      [userId],
+    );
+    return res.rows;
+  },
+
+  async markConfirmed(userId, contactEmail) {
+    await query(
+      `UPDATE recovery_contacts SET last_confirmed_at = NOW(), bounced_at = NULL
+       WHERE user_id = $1 AND contact_email = $2`,
+      [userId, contactEmail.toLowerCase()],
+    );
+  },
+
+  async markBounced(userId, contactEmail) {
+    await query(
+      `UPDATE recovery_contacts SET bounced_at = NOW()
+       WHERE user_id = $1 AND contact_email = $2`,
+      [userId, contactEmail.toLowerCase()],
+    );
+  },
+
   async findByUserAndEmail(userId, contactEmail) {
     const res = await query(
       "SELECT * FROM recovery_contacts WHERE user_id = $1 AND contact_email = $2",
@@ -239,3 +320,131 @@ export const recoveryShards = {
     await query("DELETE FROM recovery_shards WHERE request_id = $1", [requestId]);
   },
 };
+
+// Recovery drills (contacts confirm they can still help, no shards are collected)
+export const recoveryDrills = {
+  async create({ userId, recoveryId, expiresAt, contacts }) {
+    const res = await query(
+      `INSERT INTO recovery_drills (user_id, recovery_id, expires_at)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [userId, recoveryId, expiresAt],
+    );
+    const drill = res.rows[0];
+
+    for (const { contactEmail, tokenHash } of contacts) {
+      await query(
+        `INSERT INTO recovery_drill_responses (drill_id, contact_email, token_hash)
+         VALUES ($1, $2, $3)`,
+        [drill.id, contactEmail.toLowerCase(), tokenHash],
+      );
+    }
+
+    return drill;
+  },
+
+  async findActiveForUser(userId) {
+    const res = await query(
+      `SELECT * FROM recovery_drills
+       WHERE user_id = $1 AND status = 'pending' AND expires_at > NOW()
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [userId],
+    );
+    return res.rows[0];
+  },
+
+  async findLatestForUser(userId) {
+    const res = await query(
+      `SELECT * FROM recovery_drills
+       WHERE user_id = $1
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [userId],
+    );
+    return res.rows[0];
+  },
+
+  async listResponses(drillId) {
+    const res = await query(
+      `SELECT contact_email, delivery_status, delivery_error, confirmed_at
+       FROM recovery_drill_responses
+       WHERE drill_id = $1
+       ORDER BY contact_email`,
+      [drillId],
+    );
+    return res.rows;
+  },
+
+  async findResponseByTokenHash(tokenHash) {
+    const res = await query(
+      `SELECT r.*, d.user_id, d.status AS drill_status, d.expires_at,
+              u.name AS user_name, u.email AS user_email
+       FROM recovery_drill_responses r
+       JOIN recovery_drills d ON d.id = r.drill_id
+       JOIN users u ON u.id = d.user_id
+       WHERE r.token_hash = $1`,
+      [tokenHash],
+    );
+    return res.rows[0];
+  },
+
+  async setDeliveryStatus(drillId, contactEmail, status, error = null) {
+    await query(
+      `UPDATE recovery_drill_responses
+       SET delivery_status = $3, delivery_error = $4
+       WHERE drill_id = $1 AND contact_email = $2`,
+      [drillId, contactEmail.toLowerCase(), status, error],
+    );
+  },
+
+  async confirmResponse(id) {
+    const res = await query(
+      `UPDATE recovery_drill_responses
+       SET confirmed_at = NOW()
+       WHERE id = $1 AND confirmed_at IS NULL
+       RETURNING *`,
+      [id],
+    );
+    return res.rows[0];
+  },
+
+  async countUnconfirmed(drillId) {
+    const res = await query(
+      `SELECT COUNT(*) as count FROM recovery_drill_responses
+       WHERE drill_id = $1 AND confirmed_at IS NULL`,
+      [drillId],
+    );
+    return parseInt(res.rows[0].count, 10);
+  },
+
+  async complete(id) {
+    const res = await query(
+      `UPDATE recovery_drills
+       SET status = 'completed', completed_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id],
+    );
+    return res.rows[0];
+  },
+
+  async cancelForUser(userId) {
+    await query(
+      `UPDATE recovery_drills
+       SET status = 'cancelled', completed_at = NOW()
+       WHERE user_id = $1 AND status = 'pending'`,
+      [userId],
+    );
+  },
+
+  async expireOld() {
+    const res = await query(
+      `UPDATE recovery_drills
+       SET status = 'expired', completed_at = NOW()
+       WHERE status = 'pending' AND expires_at < NOW()
+       RETURNING *`,
+    );
+    return res.rows;
+  },
+};
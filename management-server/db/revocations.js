@@ -176,3 +176,47 @@ export const groupTokenRevocations = {
     return res.rows.map((r) => r.token_id);
   },
 };
+
+// Ed25519 keys group vault containers sign capability tokens with
+export const groupVaultSigningKeys = {
+  async create({ groupId, kid, publicKey, privateKeyEncrypted }) {
+    const res = await query(
+      `INSERT INTO group_vault_signing_keys (group_id, kid, public_key, private_key_encrypted)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [groupId, kid, publicKey, privateKeyEncrypted],
+    );
+    return res.rows[0];
+  },
+
+  // Active key plus retired keys that still verify, oldest first
+  async listForGroup(groupId) {
+    const res = await query(
+      `SELECT * FROM group_vault_signing_keys
+       WHERE group_id = $1 AND (retires_at IS NULL OR retires_at > NOW())
+       ORDER BY created_at ASC`,
+      [groupId],
+    );
+    return res.rows;
+  },
+
+  // When the group first got a signing key (start of the HMAC compatibility window)
+  async getFirstCreatedAt(groupId) {
+    const res = await query(
+      `SELECT MIN(created_at) AS first_created_at FROM group_vault_signing_keys
+       WHERE group_id = $1`,
+      [groupId],
+    );
+    return res.rows[0]?.first_created_at || null;
+  },
+
+  async retire(groupId, kid, retiresAt) {
+    const res = await query(
+      `UPDATE group_vault_signing_keys SET status = 'retired', retires_at = $3
+       WHERE group_id = $1 AND kid = $2
+       RETURNING *`,
+      [groupId, kid, retiresAt],
+    );
+    return res.rows[0];
+  },
+};
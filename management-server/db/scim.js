@@ -0,0 +1,231 @@
+// SCIM provisioning lookups
+// Tenant-scoped user and group queries backing the /scim/v2 API
+
+import { query } from "./core.js";
+
+// Filterable SCIM attributes mapped to SQL expressions (see lib/scim.js parseFilter)
+const USER_FILTER_COLUMNS = {
+  id: "u.id::text",
+  userName: "LOWER(u.email)",
+  "emails.value": "LOWER(u.email)",
+  externalId: "u.scim_external_id",
+};
+
+const GROUP_FILTER_COLUMNS = {
+  id: "g.id::text",
+  displayName: "LOWER(g.name)",
+  externalId: "g.scim_external_id",
+};
+
+// Attributes compared case-insensitively, per the SCIM core schema
+const CASE_INSENSITIVE = new Set(["userName", "emails.value", "displayName"]);
+
+/**
+ * Build a WHERE fragment for an optional parsed filter
+ * @param {Object<string,string>} columns - Allowed attribute to column map
+ * @param {{ attribute: string, value: string }|null} filter
+ * @param {Array} params - Query params (filter value is appended)
+ * @returns {string}
+ */
+function filterClause(columns, filter, params) {
+  if (!filter || !columns[filter.attribute]) {
+    return "";
+  }
+  const value = CASE_INSENSITIVE.has(filter.attribute)
+    ? String(filter.value).toLowerCase()
+    : String(filter.value);
+  params.push(value);
+  return ` AND ${columns[filter.attribute]} = $${params.length}`;
+}
+
+/**
+ * Users as seen by a tenant's identity provider
+ */
+export const scimUsers = {
+  /**
+   * List tenant users, optionally filtered
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} options
+   * @param {{ attribute: string, value: string }|null} [options.filter]
+   * @param {number} [options.offset=0]
+   * @param {number} [options.limit=100]
+   * @returns {Promise<{ users: Object[], total: number }>}
+   */
+  async list(tenantId, { filter = null, offset = 0, limit = 100 } = {}) {
+    const params = [tenantId];
+    const where = `WHERE u.tenant_id = $1${filterClause(USER_FILTER_COLUMNS, filter, params)}`;
+
+    const countRes = await query(`SELECT COUNT(*) FROM users u ${where}`, params);
+    const res = await query(
+      `SELECT u.* FROM users u ${where}
+       ORDER BY u.created_at, u.id
+       OFFSET $${params.length + 1} LIMIT $${params.length + 2}`,
+      [...params, offset, limit],
+    );
+
+    return { users: res.rows, total: parseInt(countRes.rows[0].count, 10) };
+  },
+
+  /**
+   * Find a user within a tenant
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} userId - User UUID
+   * @returns {Promise<Object|undefined>}
+   */
+  async findById(tenantId, userId) {
+    const res = await query("SELECT * FROM users WHERE id = $1 AND tenant_id = $2", [
+      userId,
+      tenantId,
+    ]);
+    return res.rows[0];
+  },
+
+  /**
+   * Update profile fields pushed by the identity provider
+   * Omitted (undefined) fields are left unchanged.
+   * @param {string} userId - User UUID
+   * @param {{ name?: string, email?: string, externalId?: string|null }} changes
+   * @returns {Promise<Object|undefined>}
+   */
+  async update(userId, { name, email, externalId }) {
+    const res = await query(
+      `UPDATE users
+       SET name = COALESCE($2, name),
+           email = COALESCE($3, email),
+           scim_external_id = CASE WHEN $4 THEN $5 ELSE scim_external_id END,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [userId, name ?? null, email ?? null, externalId !== undefined, externalId ?? null],
+    );
+    return res.rows[0];
+  },
+};
+
+/**
+ * Tenant groups managed by the identity provider
+ */
+export const scimGroups = {
+  /**
+   * Create a group owned by a tenant
+   * @param {string} tenantId - Tenant UUID
+   * @param {{ name: string, slug: string, externalId?: string|null }} data
+   * @returns {Promise<Object>}
+   */
+  async create(tenantId, { name, slug, externalId }) {
+    const res = await query(
+      `INSERT INTO groups (name, slug, tenant_id, scim_external_id)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [name, slug, tenantId, externalId ?? null],
+    );
+    return res.rows[0];
+  },
+
+  /**
+   * List tenant groups, optionally filtered
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} options - Same as scimUsers.list
+   * @returns {Promise<{ groups: Object[], total: number }>}
+   */
+  async list(tenantId, { filter = null, offset = 0, limit = 100 } = {}) {
+    const params = [tenantId];
+    const where = `WHERE g.tenant_id = $1${filterClause(GROUP_FILTER_COLUMNS, filter, params)}`;
+
+    const countRes = await query(`SELECT COUNT(*) FROM groups g ${where}`, params);
+    const res = await query(
+      `SELECT g.* FROM groups g ${where}
+       ORDER BY g.created_at, g.id
+       OFFSET $${params.length + 1} LIMIT $${params.length + 2}`,
+      [...params, offset, limit],
+    );
+
+    return { groups: res.rows, total: parseInt(countRes.rows[0].count, 10) };
+  },
+
+  /**
+   * Find a group within a tenant
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} groupId - Group UUID
+   * @returns {Promise<Object|undefined>}
+   */
+  async findById(tenantId, groupId) {
+    const res = await query("SELECT * FROM groups WHERE id = $1 AND tenant_id = $2", [
+      groupId,
+      tenantId,
+    ]);
+    return res.rows[0];
+  },
+
+  /**
+   * Update a group's display name or external ID
+   * @param {string} groupId - Group UUID
+   * @param {{ name?: string, externalId?: string|null }} changes
+   * @returns {Promise<Object|undefined>}
+   */
+  async update(groupId, { name, externalId }) {
+    const res = await query(
+      `UPDATE groups
+       SET name = COALESCE($2, name),
+           scim_external_id = CASE WHEN $3 THEN $4 ELSE scim_external_id END,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [groupId, name ?? null, externalId !== undefined, externalId ?? null],
+    );
+    return res.rows[0];
+  },
+
+  /**
+   * List member user IDs, names and emails of a group
+   * @param {string} groupId - Group UUID
+   * @returns {Promise<Object[]>}
+   */
+  async listMembers(groupId) {
+    const res = await query(
+      `SELECT u.id, u.name, u.email
+       FROM group_memberships gm
+       JOIN users u ON u.id = gm.user_id
+       WHERE gm.group_id = $1
+       ORDER BY u.name`,
+      [groupId],
+    );
+    return res.rows;
+  },
+
+  /**
+   * List the tenant groups a user belongs to
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} userId - User UUID
+   * @returns {Promise<Object[]>} Groups with id and name
+   */
+  async listForUser(tenantId, userId) {
+    const res = await query(
+      `SELECT g.id, g.name
+       FROM group_memberships gm
+       JOIN groups g ON g.id = gm.group_id
+       WHERE gm.user_id = $1 AND g.tenant_id = $2
+       ORDER BY g.name`,
+      [userId, tenantId],
+    );
+    return res.rows;
+  },
+
+  /**
+   * Add a user to a group, keeping an existing membership (and its role) as is
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} groupId - Group UUID
+   * @param {string} userId - User UUID
+   * @returns {Promise<boolean>} True if the user was newly added
+   */
+  async addMember(tenantId, groupId, userId) {
+    const res = await query(
+      `INSERT INTO group_memberships (user_id, group_id, role, tenant_id)
+       VALUES ($1, $2, 'member', $3)
+       ON CONFLICT (user_id, group_id) DO NOTHING
+       RETURNING user_id`,
+      [userId, groupId, tenantId],
+    );
+    return res.rows.length > 0;
+  },
+};
@@ -22,11 +22,13 @@ export const sessions = {
    * @param {string} userId
    * @param {string} token - Raw token (will be hashed before storage)
    * @param {Date} expiresAt
-   * @param {object} metadata - Optional { ipAddress, userAgent, deviceInfo }
+   * @param {object} metadata - Optional { ipAddress, userAgent, deviceInfo, saml, mfaVerified }
+   *   saml: { tenantId, nameId, nameIdFormat, sessionIndex } for SAML logins (Single Logout)
+   *   mfaVerified: true when the login passed a second factor
    * @returns {Promise<{session: object, rawToken: string}>} Session data and raw token (only available at creation)
    */
   async create(userId, token, expiresAt, metadata = {}) {
-    const { ipAddress, userAgent, deviceInfo } = metadata;
+    const { ipAddress, userAgent, deviceInfo, saml, mfaVerified } = metadata;
 
     // Enforce session limit before creating new session
     await this.enforceSessionLimit(userId);
@@ -35,8 +37,10 @@ export const sessions = {
     const hashedToken = hashToken(token);
 
     const res = await query(
-      `INSERT INTO sessions (user_id, token, expires_at, ip_address, user_agent, device_info, last_activity_at)
-       VALUES ($1, $2, $3, $4, $5, $6, NOW())
+      `INSERT INTO sessions (user_id, token, expires_at, ip_address, user_agent, device_info, last_activity_at,
+                             saml_tenant_id, saml_name_id, saml_name_id_format, saml_session_index,
+                             mfa_verified_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW(), $7, $8, $9, $10, CASE WHEN $11::boolean THEN NOW() END)
        RETURNING *`,
       [
         userId,
@@ -45,6 +49,11 @@ export const sessions = {
         ipAddress || null,
         userAgent || null,
         deviceInfo ? JSON.stringify(deviceInfo) : "{}",
+        saml?.tenantId || null,
+        saml?.nameId || null,
+        saml?.nameIdFormat || null,
+        saml?.sessionIndex || null,
+        Boolean(mfaVerified),
       ],
     );
 
@@ -65,10 +74,16 @@ export const sessions = {
       `SELECT s.*,
               u.id AS user_id, u.email, u.name, u.status,
               u.container_id, u.container_port, u.gateway_token,
-              u.tenant_id, u.is_platform_admin,
+              u.tenant_id, u.tenant_role, u.is_platform_admin, u.mfa_last_verified_at,
+              u.created_at AS user_created_at,
+              t.settings->'mfaPolicy' AS tenant_mfa_policy,
+              (EXISTS (SELECT 1 FROM user_mfa m WHERE m.user_id = u.id AND m.totp_enabled)
+                OR EXISTS (SELECT 1 FROM webauthn_credentials w WHERE w.user_id = u.id)
+              ) AS mfa_enrolled,
               s.created_at AS created_at
        FROM sessions s
        JOIN users u ON s.user_id = u.id
+       LEFT JOIN tenants t ON t.id = u.tenant_id
        WHERE s.token = $1
          AND s.expires_at > NOW()
          AND s.revoked_at IS NULL`,
@@ -113,6 +128,13 @@ export const sessions = {
     );
   },
 
+  /**
+   * Record that a session completed MFA
+   */
+  async markMfaVerified(sessionId) {
+    await query(`UPDATE sessions SET mfa_verified_at = NOW() WHERE id = $1`, [sessionId]);
+  },
+
   /**
    * Revoke a specific session
    */
@@ -148,6 +170,29 @@ export const sessions = {
     return res.rows.length;
   },
 
+  /**
+   * Revoke every session created from a SAML IdP session (Single Logout)
+   * Without a session index, all sessions for the NameID in that tenant are revoked.
+   * @param {string} tenantId - Tenant whose IdP issued the logout
+   * @param {string} nameId - NameID from the LogoutRequest
+   * @param {string|null} sessionIndex - SessionIndex from the LogoutRequest
+   * @returns {Promise<Array<{id: string, user_id: string}>>} Revoked sessions
+   */
+  async revokeBySamlSession(tenantId, nameId, sessionIndex = null, reason = "saml_slo") {
+    const res = await query(
+      `UPDATE sessions
+       SET revoked_at = NOW(), revoke_reason = $4
+       WHERE saml_tenant_id = $1
+         AND saml_name_id = $2
+         AND ($3::text IS NULL OR saml_session_index = $3)
+         AND revoked_at IS NULL
+         AND expires_at > NOW()
+       RETURNING id, user_id`,
+      [tenantId, nameId, sessionIndex, reason],
+    );
+    return res.rows;
+  },
+
   /**
    * Enforce maximum session limit by revoking oldest sessions
    */
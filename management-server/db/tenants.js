@@ -182,7 +182,7 @@ export const tenantMemberships = {
    */
   async getMembers(tenantId) {
     const res = await query(
-      `SELECT u.id, u.name, u.email, u.status, u.created_at, u.updated_at
+      `SELECT u.id, u.name, u.email, u.status, u.tenant_role, u.created_at, u.updated_at
        FROM users u
        WHERE u.tenant_id = $1
        ORDER BY u.name`,
@@ -0,0 +1,191 @@
+// WebAuthn credentials and ceremony challenges
+// Provides CRUD for webauthn_credentials and webauthn_challenges
+
+import { query } from "./core.js";
+
+// Columns safe to return to clients (no public key or attestation blob)
+const CREDENTIAL_SUMMARY_COLUMNS = `id, user_id, credential_id, device_name, transports, aaguid,
+  attestation_format, attestation_verified, backup_eligible, backed_up, created_at, last_used_at`;
+
+/**
+ * Registered WebAuthn credentials (passkeys, security keys)
+ */
+export const webauthnCredentials = {
+  /**
+   * Store a newly registered credential
+   * @param {string} userId - User UUID
+   * @param {Object} data - Verified registration data (see lib/webauthn.js)
+   * @returns {Promise<Object>}
+   */
+  async create(userId, data) {
+    const res = await query(
+      `INSERT INTO webauthn_credentials
+         (user_id, credential_id, public_key, algorithm, sign_count, transports, aaguid,
+          device_name, attestation_format, attestation_object, attestation_verified,
+          backup_eligible, backed_up)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       RETURNING ${CREDENTIAL_SUMMARY_COLUMNS}`,
+      [
+        userId,
+        data.credentialId,
+        data.publicKey,
+        data.algorithm,
+        data.signCount || 0,
+        JSON.stringify(data.transports || []),
+        data.aaguid || null,
+        data.deviceName || null,
+        data.attestationFormat || null,
+        data.attestationObject || null,
+        data.attestationVerified || false,
+        data.backupEligible || false,
+        data.backedUp || false,
+      ],
+    );
+    return res.rows[0];
+  },
+
+  /**
+   * Find a credential (including its public key) by credential ID
+   * @param {string} credentialId - base64url credential ID
+   * @returns {Promise<Object|null>}
+   */
+  async findByCredentialId(credentialId) {
+    const res = await query("SELECT * FROM webauthn_credentials WHERE credential_id = $1", [
+      credentialId,
+    ]);
+    return res.rows[0] || null;
+  },
+
+  /**
+   * List a user's credentials (summary columns only)
+   * @param {string} userId - User UUID
+   * @returns {Promise<Array>}
+   */
+  async listForUser(userId) {
+    const res = await query(
+      `SELECT ${CREDENTIAL_SUMMARY_COLUMNS}
+       FROM webauthn_credentials
+       WHERE user_id = $1
+       ORDER BY created_at`,
+      [userId],
+    );
+    return res.rows;
+  },
+
+  /**
+   * Count a user's credentials
+   * @param {string} userId - User UUID
+   * @returns {Promise<number>}
+   */
+  async countForUser(userId) {
+    const res = await query(
+      "SELECT COUNT(*) as count FROM webauthn_credentials WHERE user_id = $1",
+      [userId],
+    );
+    return parseInt(res.rows[0]?.count || 0, 10);
+  },
+
+  /**
+   * Record a successful assertion
+   * @param {string} id - Credential UUID
+   * @param {number} signCount - New signature counter
+   * @param {boolean} backedUp - Current backup state reported by the authenticator
+   */
+  async recordUse(id, signCount, backedUp) {
+    await query(
+      `UPDATE webauthn_credentials
+       SET sign_count = $2, backed_up = $3, last_used_at = NOW()
+       WHERE id = $1`,
+      [id, signCount, backedUp],
+    );
+  },
+
+  /**
+   * Rename a credential
+   * @param {string} id - Credential UUID
+   * @param {string} userId - Owning user UUID
+   * @param {string} deviceName - New display name
+   * @returns {Promise<Object|null>}
+   */
+  async rename(id, userId, deviceName) {
+    const res = await query(
+      `UPDATE webauthn_credentials SET device_name = $3
+       WHERE id = $1 AND user_id = $2
+       RETURNING ${CREDENTIAL_SUMMARY_COLUMNS}`,
+      [id, userId, deviceName],
+    );
+    return res.rows[0] || null;
+  },
+
+  /**
+   * Delete a credential
+   * @param {string} id - Credential UUID
+   * @param {string} userId - Owning user UUID
+   * @returns {Promise<Object|null>} Deleted credential summary
+   */
+  async delete(id, userId) {
+    const res = await query(
+      `DELETE FROM webauthn_credentials WHERE id = $1 AND user_id = $2
+       RETURNING ${CREDENTIAL_SUMMARY_COLUMNS}`,
+      [id, userId],
+    );
+    return res.rows[0] || null;
+  },
+
+  /**
+   * Delete all credentials for a user
+   * @param {string} userId - User UUID
+   */
+  async deleteAllForUser(userId) {
+    await query("DELETE FROM webauthn_credentials WHERE user_id = $1", [userId]);
+  },
+};
+
+/**
+ * Single-use WebAuthn ceremony challenges
+ */
+export const webauthnChallenges = {
+  /**
+   * Store an issued challenge
+   * @param {Object} data - { userId (null for passwordless), challenge, ceremony, expiresAt }
+   * @returns {Promise<Object>}
+   */
+  async create(data) {
+    const { userId, challenge, ceremony, expiresAt } = data;
+    const res = await query(
+      `INSERT INTO webauthn_challenges (user_id, challenge, ceremony, expires_at)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [userId || null, challenge, ceremony, expiresAt],
+    );
+    return res.rows[0];
+  },
+
+  /**
+   * Atomically consume a valid challenge (prevents replay)
+   * @param {string} challenge - base64url challenge from clientDataJSON
+   * @param {string} ceremony - "registration" or "authentication"
+   * @returns {Promise<Object|null>} The challenge row, or null if unknown/expired/used
+   */
+  async consume(challenge, ceremony) {
+    const res = await query(
+      `DELETE FROM webauthn_challenges
+       WHERE challenge = $1 AND ceremony = $2 AND expires_at > NOW()
+       RETURNING *`,
+      [challenge, ceremony],
+    );
+    return res.rows[0] || null;
+  },
+
+  /**
+   * Delete expired challenges (cleanup)
+   */
+  async deleteExpired() {
+    await query("DELETE FROM webauthn_challenges WHERE expires_at < NOW()");
+  },
+};
+
+export default {
+  webauthnCredentials,
+  webauthnChallenges,
+};
@@ -0,0 +1,286 @@
+/**
+ * Access explanation ("why can't I?")
+ *
+ * Reproduces the checks behind requirePermission and ocmt_call_resource for a
+ * given user, and returns every step with its outcome so tenant admins can see
+ * which role, custom role, group membership or share decided the result.
+ *
+ * Nothing here grants or changes access - it only reads state.
+ */
+
+import {
+  users,
+  groups,
+  groupMemberships,
+  groupResources,
+  shares,
+  resourceShares,
+} from "../db/index.js";
+import { CURRENT_REGION } from "./data-residency.js";
+import { explainPermission, listCustomRoles } from "./rbac.js";
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+/**
+ * Load the tenant's custom roles in the shape getAllPermissions expects
+ */
+async function loadCustomRoleMap(tenantId) {
+  const roles = await listCustomRoles(tenantId);
+  const customRoles = {};
+  for (const role of roles) {
+    customRoles[role.name] = {
+      permissions: role.permissions || [],
+      inherits: role.inherits || [],
+      conditions: role.conditions || null,
+    };
+  }
+  return customRoles;
+}
+
+function parsePermissions(permissions) {
+  return typeof permissions === "string" ? JSON.parse(permissions) : permissions || {};
+}
+
+function grantedPermissions(permissions) {
+  return Object.entries(parsePermissions(permissions))
+    .filter(([, granted]) => granted)
+    .map(([name]) => name);
+}
+
+// ============================================================
+// RESOURCE TRACES
+// ============================================================
+
+/**
+ * Trace a group resource call the way ocmt_call_resource checks it
+ *
+ * @returns {Promise<{ allowed: boolean, decidedBy: string, steps: object[] }>}
+ */
+async function explainGroupResource(user, resource, method) {
+  const requiredPermission = shares.getRequiredPermissionForMethod(method);
+  const steps = [];
+  const decide = (allowed, decidedBy) => ({
+    type: "group_resource",
+    resourceId: resource.id,
+    resourceName: resource.name,
+    groupId: resource.group_id,
+    method,
+    requiredPermission,
+    allowed,
+    decidedBy,
+    steps,
+  });
+
+  const membership = await groupMemberships.findByUserAndGroup(user.id, resource.group_id);
+  steps.push({
+    check: "group_membership",
+    result: membership ? "pass" : "info",
+    groupRole: membership?.role || null,
+    detail: membership
+      ? `Member of the owning group as ${membership.role}`
+      : "Not a member of the owning group (a direct share is still honored)",
+  });
+
+  const grant = await shares.findByResourceAndUser(resource.id, user.id);
+  if (!grant || grant.status === "revoked") {
+    steps.push({
+      check: "share",
+      result: "deny",
+      status: grant?.status || null,
+      detail: grant ? "Share was revoked" : "Resource has not been shared with this user",
+    });
+    return decide(false, "share");
+  }
+
+  steps.push({
+    check: "share",
+    result: "pass",
+    shareId: grant.id,
+    status: grant.status,
+    detail: `Shared by the group (status: ${grant.status})`,
+  });
+
+  if (grant.status !== "connected") {
+    steps.push({
+      check: "connection",
+      result: "deny",
+      detail: "Share is granted but not connected - the user must connect it in the UI",
+    });
+    return decide(false, "connection");
+  }
+
+  const allowed = shares.hasPermission(grant, requiredPermission);
+  steps.push({
+    check: "share_permissions",
+    result: allowed ? "pass" : "deny",
+    granted: grantedPermissions(grant.permissions),
+    detail: allowed
+      ? `Share includes '${requiredPermission}'`
+      : `${method} requests require '${requiredPermission}'`,
+  });
+  if (!allowed) {
+    return decide(false, "share_permissions");
+  }
+
+  const active = resource.status === "active";
+  steps.push({
+    check: "resource_status",
+    result: active ? "allow" : "deny",
+    status: resource.status,
+    detail: active ? "Resource is active" : `Resource is ${resource.status}`,
+  });
+
+  return decide(active, "resource_status");
+}
+
+/**
+ * Trace a peer-to-peer integration share (resource_shares)
+ *
+ * @returns {Promise<object|null>} Trace, or null when no share exists
+ */
+async function explainIntegrationShare(user, integrationId, requiredPermission) {
+  const share = await resourceShares.findByIntegrationAndRecipient(integrationId, user.email);
+  if (!share) {
+    return null;
+  }
+
+  // Shares created by users outside the tenant are not visible to its admins
+  const owner = await users.findById(share.owner_id);
+  if (!owner || owner.tenant_id !== user.tenant_id) {
+    return null;
+  }
+
+  const steps = [];
+  const decide = (allowed, decidedBy) => ({
+    type: "integration_share",
+    resourceId: integrationId,
+    shareId: share.id,
+    ownerId: share.owner_id,
+    requiredPermission,
+    allowed,
+    decidedBy,
+    steps,
+  });
+
+  const expired = share.expires_at && new Date(share.expires_at) <= new Date();
+  const active = share.status === "active" && !expired;
+  steps.push({
+    check: "integration_share",
+    result: active ? "pass" : "deny",
+    status: expired ? "expired" : share.status,
+    detail: active
+      ? `Shared by ${owner.email}`
+      : expired
+        ? "Share has expired"
+        : `Share is ${share.status}`,
+  });
+  if (!active) {
+    return decide(false, "integration_share");
+  }
+
+  const allowed = shares.hasPermission(share, requiredPermission);
+  steps.push({
+    check: "share_permissions",
+    result: allowed ? "allow" : "deny",
+    granted: grantedPermissions(share.permissions),
+    detail: allowed
+      ? `Share includes '${requiredPermission}'`
+      : `Share does not include '${requiredPermission}'`,
+  });
+
+  return decide(allowed, "share_permissions");
+}
+
+// ============================================================
+// ENTRY POINT
+// ============================================================
+
+/**
+ * Explain whether a tenant member can use a permission and/or resource
+ *
+ * @param {object} params
+ * @param {string} params.tenantId - Tenant the check is scoped to
+ * @param {string} params.userId - User to evaluate
+ * @param {string} [params.permission] - RBAC permission (e.g. "resources.write")
+ * @param {string} [params.resourceId] - Group resource or shared integration ID
+ * @param {string} [params.method] - HTTP method for resource calls (default GET)
+ * @param {object} [params.context] - Simulated request attributes ({ ip, at })
+ * @returns {Promise<object|null>} Evaluation trace, or null if the user is not in the tenant
+ */
+export async function explainAccess({
+  tenantId,
+  userId,
+  permission,
+  resourceId,
+  method = "GET",
+  context = {},
+}) {
+  const user = await users.findById(userId);
+  if (!user || user.tenant_id !== tenantId) {
+    return null;
+  }
+
+  const result = {
+    user: {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      role: user.tenant_role || "member",
+      isPlatformAdmin: Boolean(user.is_platform_admin),
+    },
+    context: {
+      at: (context.at ? new Date(context.at) : new Date()).toISOString(),
+      ip: context.ip || null,
+      mfaVerifiedAt: user.mfa_last_verified_at || null,
+      region: CURRENT_REGION,
+    },
+    permission: null,
+    resource: null,
+  };
+
+  if (permission) {
+    const customRoles = await loadCustomRoleMap(tenantId);
+    result.permission = explainPermission(
+      { ...user, tenant_role: result.user.role },
+      permission,
+      resourceId ? { id: resourceId } : null,
+      customRoles,
+      { ...result.context, now: new Date(result.context.at) },
+    );
+  }
+
+  if (resourceId) {
+    const requiredPermission = shares.getRequiredPermissionForMethod(method);
+    const resource = await groupResources.findById(resourceId);
+    const group = resource ? await groups.findById(resource.group_id) : null;
+
+    if (group && group.tenant_id === tenantId) {
+      result.resource = await explainGroupResource(user, resource, method.toUpperCase());
+    } else {
+      result.resource = (await explainIntegrationShare(user, resourceId, requiredPermission)) || {
+        type: "unknown",
+        resourceId,
+        allowed: false,
+        decidedBy: "not_found",
+        steps: [
+          {
+            check: "resource",
+            result: "deny",
+            detail: "No group resource or integration share with this ID in the tenant",
+          },
+        ],
+      };
+    }
+  }
+
+  const decisions = [result.permission, result.resource].filter(Boolean);
+  result.allowed = decisions.length > 0 && decisions.every((d) => d.allowed);
+
+  return result;
+}
+
+export default {
+  explainAccess,
+};
@@ -0,0 +1,207 @@
+// Tests for the access explanation trace
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("../db/index.js", async () => {
+  const permissions = await import("../db/permissions.js");
+  return {
+    users: { findById: vi.fn() },
+    groups: { findById: vi.fn() },
+    groupMemberships: { findByUserAndGroup: vi.fn() },
+    groupResources: { findById: vi.fn() },
+    shares: {
+      findByResourceAndUser: vi.fn(),
+      hasPermission: permissions.hasPermission,
+      getRequiredPermissionForMethod: permissions.getRequiredPermissionForMethod,
+    },
+    resourceShares: { findByIntegrationAndRecipient: vi.fn() },
+    tenants: {},
+    subscriptions: {},
+    audit: { log: vi.fn() },
+  };
+});
+
+vi.mock("./rbac.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  listCustomRoles: vi.fn(),
+}));
+
+import {
+  users,
+  groups,
+  groupMemberships,
+  groupResources,
+  shares,
+  resourceShares,
+} from "../db/index.js";
+import { explainAccess } from "./access-explain.js";
+import { listCustomRoles } from "./rbac.js";
+
+const TENANT_ID = "tenant-1";
+const USER_ID = "user-1";
+
+const member = {
+  id: USER_ID,
+  email: "alice@example.com",
+  name: "Alice",
+  tenant_id: TENANT_ID,
+  tenant_role: "member",
+  is_platform_admin: false,
+};
+
+const resource = {
+  id: "resource-1",
+  name: "CRM",
+  group_id: "group-1",
+  status: "active",
+};
+
+describe("explainAccess", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    users.findById.mockResolvedValue(member);
+    listCustomRoles.mockResolvedValue([]);
+    groups.findById.mockResolvedValue({ id: "group-1", tenant_id: TENANT_ID });
+    groupResources.findById.mockResolvedValue(resource);
+    groupMemberships.findByUserAndGroup.mockResolvedValue({ role: "member" });
+  });
+
+  it("should return null for users outside the tenant", async () => {
+    users.findById.mockResolvedValue({ ...member, tenant_id: "other" });
+    expect(await explainAccess({ tenantId: TENANT_ID, userId: USER_ID })).toBeNull();
+  });
+
+  it("should trace a permission to the built-in role that grants it", async () => {
+    const result = await explainAccess({
+      tenantId: TENANT_ID,
+      userId: USER_ID,
+      permission: "resources.read",
+    });
+
+    expect(result.allowed).toBe(true);
+    expect(result.permission.decidedBy).toBe("role");
+    expect(result.permission.steps[0]).toMatchObject({
+      check: "role",
+      result: "allow",
+      grantedBy: "observer",
+      inheritancePath: ["member", "observer"],
+    });
+  });
+
+  it("should report the failed condition of a custom role", async () => {
+    users.findById.mockResolvedValue({ ...member, tenant_role: "auditor" });
+    listCustomRoles.mockResolvedValue([
+      {
+        name: "auditor",
+        permissions: ["audit.export"],
+        inherits: ["observer"],
+        conditions: { ipRanges: ["10.0.0.0/8"] },
+      },
+    ]);
+
+    const result = await explainAccess({
+      tenantId: TENANT_ID,
+      userId: USER_ID,
+      permission: "audit.export",
+      context: { ip: "203.0.113.5" },
+    });
+
+    expect(result.allowed).toBe(false);
+    expect(result.permission.decidedBy).toBe("conditions");
+    expect(result.permission.steps[1]).toMatchObject({
+      check: "conditions",
+      result: "deny",
+      condition: "IP_RANGE",
+    });
+  });
+
+  it("should deny group resources that are shared but not connected", async () => {
+    shares.findByResourceAndUser.mockResolvedValue({
+      id: "share-1",
+      status: "granted",
+      permissions: { read: true },
+    });
+
+    const result = await explainAccess({
+      tenantId: TENANT_ID,
+      userId: USER_ID,
+      resourceId: resource.id,
+    });
+
+    expect(result.allowed).toBe(false);
+    expect(result.resource).toMatchObject({ type: "group_resource", decidedBy: "connection" });
+    expect(result.resource.steps.map((s) => s.check)).toEqual([
+      "group_membership",
+      "share",
+      "connection",
+    ]);
+  });
+
+  it("should check the share permission required by the HTTP method", async () => {
+    shares.findByResourceAndUser.mockResolvedValue({
+      id: "share-1",
+      status: "connected",
+      permissions: JSON.stringify({ read: true, write: false }),
+    });
+
+    const read = await explainAccess({
+      tenantId: TENANT_ID,
+      userId: USER_ID,
+      resourceId: resource.id,
+    });
+    const write = await explainAccess({
+      tenantId: TENANT_ID,
+      userId: USER_ID,
+      resourceId: resource.id,
+      method: "post",
+    });
+
+    expect(read.resource.allowed).toBe(true);
+    expect(write.resource).toMatchObject({
+      allowed: false,
+      decidedBy: "share_permissions",
+      requiredPermission: "write",
+    });
+    expect(write.resource.steps.at(-1).granted).toEqual(["read"]);
+  });
+
+  it("should not trace group resources owned by another tenant", async () => {
+    groups.findById.mockResolvedValue({ id: "group-1", tenant_id: "other" });
+    resourceShares.findByIntegrationAndRecipient.mockResolvedValue(null);
+
+    const result = await explainAccess({
+      tenantId: TENANT_ID,
+      userId: USER_ID,
+      resourceId: resource.id,
+    });
+
+    expect(result.resource.decidedBy).toBe("not_found");
+    expect(shares.findByResourceAndUser).not.toHaveBeenCalled();
+  });
+
+  it("should trace peer integration shares", async () => {
+    groupResources.findById.mockResolvedValue(null);
+    resourceShares.findByIntegrationAndRecipient.mockResolvedValue({
+      id: "rs-1",
+      owner_id: "owner-1",
+      status: "active",
+      expires_at: new Date(Date.now() - 1000).toISOString(),
+      permissions: { read: true },
+    });
+    users.findById.mockImplementation(async (id) =>
+      id === "owner-1" ? { id, email: "bob@example.com", tenant_id: TENANT_ID } : member,
+    );
+
+    const result = await explainAccess({
+      tenantId: TENANT_ID,
+      userId: USER_ID,
+      resourceId: "integration-1",
+    });
+
+    expect(result.resource).toMatchObject({
+      type: "integration_share",
+      allowed: false,
+      decidedBy: "integration_share",
+    });
+    expect(result.resource.steps[0].status).toBe("expired");
+  });
+});
@@ -20,6 +20,10 @@ export const ALERT_EVENTS = {
   VAULT_LOCKED_BY_ANOMALY: "vault.locked_by_anomaly",
   VAULT_PASSWORD_CHANGED: "vault.password_changed",
 
+  // Recovery
+  RECOVERY_DRILL_DUE: "recovery.drill_due",
+  RECOVERY_AT_RISK: "recovery.at_risk",
+
   // Rate Limits
   RATE_LIMIT_AUTH: "rate_limit.auth",
   RATE_LIMIT_VAULT: "rate_limit.vault",
@@ -36,6 +40,9 @@ export const ALERT_EVENTS = {
   // Group Security
   GROUP_ADMIN_CHANGED: "group.admin_changed",
   GROUP_VAULT_UNLOCKED: "group.vault_unlocked",
+  GROUP_VAULT_ROTATION_DUE: "group.vault_rotation_due",
+  GROUP_VAULT_ROTATION_FAILED: "group.vault_rotation_failed",
+  GROUP_VAULT_BREAK_GLASS: "group.vault_break_glass",
 
   // Tokens
   TOKEN_REVOKED_ALL: "token.revoked_all",
@@ -49,6 +56,8 @@ const DEFAULT_SEVERITY = {
   [ALERT_EVENTS.VAULT_UNLOCK_FAILED_THRESHOLD]: "critical",
   [ALERT_EVENTS.VAULT_LOCKED_BY_ANOMALY]: "critical",
   [ALERT_EVENTS.VAULT_PASSWORD_CHANGED]: "warning",
+  [ALERT_EVENTS.RECOVERY_DRILL_DUE]: "info",
+  [ALERT_EVENTS.RECOVERY_AT_RISK]: "warning",
   [ALERT_EVENTS.RATE_LIMIT_AUTH]: "warning",
   [ALERT_EVENTS.RATE_LIMIT_VAULT]: "critical",
   [ALERT_EVENTS.RATE_LIMIT_API]: "warning",
@@ -58,6 +67,9 @@ const DEFAULT_SEVERITY = {
   [ALERT_EVENTS.ADMIN_SETTINGS_CHANGED]: "warning",
   [ALERT_EVENTS.GROUP_ADMIN_CHANGED]: "warning",
   [ALERT_EVENTS.GROUP_VAULT_UNLOCKED]: "info",
+  [ALERT_EVENTS.GROUP_VAULT_ROTATION_DUE]: "warning",
+  [ALERT_EVENTS.GROUP_VAULT_ROTATION_FAILED]: "critical",
+  [ALERT_EVENTS.GROUP_VAULT_BREAK_GLASS]: "critical",
   [ALERT_EVENTS.TOKEN_REVOKED_ALL]: "critical",
 };
 
@@ -115,9 +127,13 @@ function recordAlertSent(channelKey) {
 
 /**
  * Generate a deduplication key for an alert
+ * metadata.dedupScope keeps alerts about different subjects (e.g. requests) apart
  */
 function generateDedupKey(eventType, userId, groupId, metadata = {}) {
   const components = [eventType, userId || "system", groupId || "none", metadata.ipAddress || ""];
+  if (metadata.dedupScope) {
+    components.push(metadata.dedupScope);
+  }
   return crypto.createHash("sha256").update(components.join(":")).digest("hex").slice(0, 32);
 }
 
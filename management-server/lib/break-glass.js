@@ -0,0 +1,738 @@
+// Break-glass emergency access to group vaults
+// An on-call member asks for time-boxed access with a justification. Once enough
+// group admins approve, the vault container opens the vault from an escrow of its
+// key and issues a short-lived token. Access ends on its own and must be reviewed.
+import axios from "axios";
+import {
+  groupBreakGlass,
+  groupBreakGlassRequests,
+  groupThreshold,
+  groupVaults,
+  groupVaultAudit,
+} from "../db/index.js";
+import { triggerAlert, ALERT_EVENTS } from "./alerting.js";
+import { logSecurityEvent, SECURITY_EVENT_TYPES } from "./security-events.js";
+
+const GROUP_VAULT_AUTH_TOKEN = process.env.GROUP_VAULT_AUTH_TOKEN;
+
+// How long a request has to collect approvals and be activated
+export const BREAK_GLASS_REQUEST_EXPIRY_MS = 60 * 60 * 1000;
+
+// Access window bounds (the vault container caps access at 4 hours too)
+export const BREAK_GLASS_DEFAULT_DURATION_MINUTES = 60;
+export const BREAK_GLASS_MAX_DURATION_MINUTES = 4 * 60;
+
+// Post-incident review is due this long after access ends
+export const BREAK_GLASS_REVIEW_DUE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// How often the expiry job runs
+const BREAK_GLASS_CHECK_INTERVAL_MS = 60 * 1000;
+
+let expiryInterval = null;
+
+function breakGlassError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+async function callVaultContainer(groupId, method, path, data) {
+  const vault = await groupVaults.findByGroup(groupId);
+  if (!vault || vault.status !== "active") {
+    throw breakGlassError("Vault container not provisioned or not active", "VAULT_NOT_ACTIVE");
+  }
+
+  const url = `http://localhost:${vault.container_port}${path}`;
+  const options = { headers: { "x-auth-token": GROUP_VAULT_AUTH_TOKEN }, timeout: 10000 };
+  const response =
+    method === "delete" ? await axios.delete(url, options) : await axios.post(url, data, options);
+  return response.data;
+}
+
+function logBreakGlassEvent(type, userId, request, details = {}, ipAddress = null) {
+  return logSecurityEvent(type, userId, { requestId: request.id, ...details }, null, {
+    groupId: request.group_id,
+    ipAddress,
+  });
+}
+
+// Alert each user separately; dedupScope keeps one request's steps from suppressing each other
+async function notifyUsers(userIds, request, step, title, message) {
+  for (const userId of userIds) {
+    await triggerAlert({
+      eventType: ALERT_EVENTS.GROUP_VAULT_BREAK_GLASS,
+      userId,
+      groupId: request.group_id,
+      title,
+      message,
+      metadata: { requestId: request.id, step, dedupScope: `${request.id}:${step}` },
+    });
+  }
+}
+
+async function notifyAdmins(request, step, title, message) {
+  const admins = await groupThreshold.listAdmins(request.group_id);
+  await notifyUsers(
+    admins.map((a) => a.id),
+    request,
+    step,
+    title,
+    message,
+  );
+}
+
+async function findGroupRequest(requestId, groupId) {
+  const request = await groupBreakGlassRequests.findById(requestId);
+  if (!request || request.group_id !== groupId) {
+    throw breakGlassError("Break-glass request not found", "REQUEST_NOT_FOUND");
+  }
+  return request;
+}
+
+function isExpired(request, now = Date.now()) {
+  return new Date(request.expires_at).getTime() < now;
+}
+
+// ============================================================
+// CONFIGURATION
+// ============================================================
+
+/**
+ * Enable break-glass for a group, or refresh its escrow and policy.
+ * The vault must be unlocked so the container can seal its key.
+ * @param {Object} params
+ * @param {string} params.groupId - Group ID
+ * @param {Object} params.user - Admin enabling break-glass
+ * @param {number} params.requiredApprovals - Admin approvals needed per request (M)
+ * @param {number} params.maxDurationMinutes - Longest access window a request can ask for
+ * @param {string} [params.ipAddress] - Client IP
+ * @returns {Promise<Object>} Stored policy (without the escrow)
+ */
+export async function enableBreakGlass({
+  groupId,
+  user,
+  requiredApprovals,
+  maxDurationMinutes,
+  ipAddress,
+}) {
+  const adminCount = await groupThreshold.getAdminCount(groupId);
+  if (requiredApprovals > adminCount) {
+    throw breakGlassError(
+      `Required approvals cannot exceed admin count (${adminCount})`,
+      "THRESHOLD_UNREACHABLE",
+    );
+  }
+
+  let escrow;
+  try {
+    ({ escrow } = await callVaultContainer(groupId, "post", "/break-glass/escrow", {
+      enabledBy: user.id,
+    }));
+  } catch (err) {
+    if (err.response?.status === 423) {
+      throw breakGlassError("Unlock the vault to enable break-glass", "VAULT_LOCKED");
+    }
+    throw err;
+  }
+
+  const config = await groupBreakGlass.upsert({
+    groupId,
+    escrow,
+    requiredApprovals,
+    maxDurationMinutes,
+    enabledBy: user.id,
+  });
+
+  await groupVaultAudit.log({
+    groupId,
+    userId: user.id,
+    action: "break_glass.enabled",
+    ipAddress,
+    success: true,
+    metadata: { requiredApprovals, maxDurationMinutes },
+  });
+  await logSecurityEvent(
+    SECURITY_EVENT_TYPES.BREAK_GLASS_ENABLED,
+    user.id,
+    { requiredApprovals, maxDurationMinutes },
+    null,
+    { groupId, ipAddress },
+  );
+
+  return config;
+}
+
+/**
+ * Disable break-glass for a group and discard its escrow
+ * @returns {Promise<boolean>} False if break-glass was not enabled
+ */
+export async function disableBreakGlass({ groupId, user, ipAddress }) {
+  const removed = await groupBreakGlass.remove(groupId);
+  if (removed) {
+    await groupVaultAudit.log({
+      groupId,
+      userId: user.id,
+      action: "break_glass.disabled",
+      ipAddress,
+      success: true,
+    });
+    await logSecurityEvent(SECURITY_EVENT_TYPES.BREAK_GLASS_DISABLED, user.id, {}, null, {
+      groupId,
+      ipAddress,
+    });
+  }
+  return removed;
+}
+
+/**
+ * Break-glass policy and recent requests for a group
+ * @param {string} groupId - Group ID
+ * @param {number} [limit] - Number of requests
+ * @returns {Promise<{ enabled: boolean, requiredApprovals: number|null,
+ *   maxDurationMinutes: number|null, requests: Object[] }>}
+ */
+export async function describeBreakGlass(groupId, limit = 50) {
+  const config = await groupBreakGlass.get(groupId);
+  const requests = await groupBreakGlassRequests.listForGroup(groupId, limit);
+
+  return {
+    enabled: !!config,
+    requiredApprovals: config?.required_approvals ?? null,
+    maxDurationMinutes: config?.max_duration_minutes ?? null,
+    requests: await Promise.all(
+      requests.map(async (request) => ({
+        ...request,
+        approval_count: parseInt(request.approval_count, 10),
+        reviewRequired: request.status === "ended",
+        decisions: await groupBreakGlassRequests.listDecisions(request.id),
+        review:
+          request.status === "reviewed"
+            ? await groupBreakGlassRequests.getReview(request.id)
+            : null,
+      })),
+    ),
+  };
+}
+
+// ============================================================
+// REQUEST LIFECYCLE
+// ============================================================
+
+/**
+ * Ask for break-glass access to a group vault
+ * @param {Object} params
+ * @param {string} params.groupId - Group ID
+ * @param {Object} params.user - Requesting group member
+ * @param {string} params.justification - Why access is needed
+ * @param {string} [params.incidentRef] - Incident ticket or page
+ * @param {string[]} [params.allowedSecrets] - Secrets to access (default: all)
+ * @param {string[]} [params.permissions] - Token permissions (default: read)
+ * @param {number} [params.durationMinutes] - Access window
+ * @param {string} [params.ipAddress] - Client IP
+ * @returns {Promise<Object>} Created request
+ */
+export async function requestBreakGlass({
+  groupId,
+  user,
+  justification,
+  incidentRef,
+  allowedSecrets = ["*"],
+  permissions = ["read"],
+  durationMinutes = BREAK_GLASS_DEFAULT_DURATION_MINUTES,
+  ipAddress,
+}) {
+  const config = await groupBreakGlass.get(groupId);
+  if (!config) {
+    throw breakGlassError("Break-glass is not enabled for this group", "BREAK_GLASS_NOT_ENABLED");
+  }
+  if (durationMinutes > config.max_duration_minutes) {
+    throw breakGlassError(
+      `Access cannot exceed ${config.max_duration_minutes} minutes`,
+      "DURATION_TOO_LONG",
+    );
+  }
+  if (await groupBreakGlassRequests.findOpenForUser(groupId, user.id)) {
+    throw breakGlassError("You already have an open break-glass request", "REQUEST_IN_PROGRESS");
+  }
+
+  // Requesters never approve their own access
+  const approvers = (await groupThreshold.listAdmins(groupId)).filter((a) => a.id !== user.id);
+  if (approvers.length < config.required_approvals) {
+    throw breakGlassError(
+      `Need ${config.required_approvals} admins other than the requester to approve`,
+      "THRESHOLD_UNREACHABLE",
+    );
+  }
+
+  const request = await groupBreakGlassRequests.create({
+    groupId,
+    requestedBy: user.id,
+    justification,
+    incidentRef,
+    allowedSecrets,
+    permissions,
+    durationMinutes,
+    requiredApprovals: config.required_approvals,
+    expiresAt: new Date(Date.now() + BREAK_GLASS_REQUEST_EXPIRY_MS),
+  });
+
+  await logBreakGlassEvent(
+    SECURITY_EVENT_TYPES.BREAK_GLASS_REQUESTED,
+    user.id,
+    request,
+    { justification, incidentRef, durationMinutes, allowedSecrets, permissions },
+    ipAddress,
+  );
+  await notifyUsers(
+    approvers.map((a) => a.id),
+    request,
+    "requested",
+    "Break-glass access requested",
+    `${user.name || user.email} requested ${durationMinutes} minutes of emergency vault access: ${justification}`,
+  );
+
+  return request;
+}
+
+/**
+ * Record an admin's decision on a pending request.
+ * Any denial ends the request; it is approved once required_approvals admins approve.
+ * @param {Object} params
+ * @param {string} params.requestId - Request ID
+ * @param {string} params.groupId - Group ID
+ * @param {Object} params.admin - Deciding group admin
+ * @param {"approve"|"deny"} params.decision - Decision
+ * @param {string} [params.comment] - Comment shown to the requester
+ * @param {string} [params.ipAddress] - Client IP
+ * @returns {Promise<{ status: string, approvalCount: number, requiredApprovals: number }>}
+ */
+export async function decideBreakGlass({
+  requestId,
+  groupId,
+  admin,
+  decision,
+  comment,
+  ipAddress,
+}) {
+  const request = await findGroupRequest(requestId, groupId);
+  if (request.requested_by === admin.id) {
+    throw breakGlassError("You cannot approve your own request", "SELF_APPROVAL");
+  }
+  if (request.status !== "pending") {
+    throw breakGlassError(`Request is ${request.status}, not pending`, "REQUEST_NOT_PENDING");
+  }
+  if (isExpired(request)) {
+    throw breakGlassError("Break-glass request has expired", "REQUEST_EXPIRED");
+  }
+
+  const recorded = await groupBreakGlassRequests.addDecision(
+    requestId,
+    admin.id,
+    decision,
+    comment,
+  );
+  if (!recorded) {
+    throw breakGlassError("You have already decided on this request", "ALREADY_DECIDED");
+  }
+
+  const approvalCount = await groupBreakGlassRequests.countApprovals(requestId);
+  const result = {
+    status: "pending",
+    approvalCount,
+    requiredApprovals: request.required_approvals,
+  };
+
+  if (decision === "deny") {
+    await groupBreakGlassRequests.transition(requestId, ["pending"], "denied");
+    result.status = "denied";
+    await logBreakGlassEvent(
+      SECURITY_EVENT_TYPES.BREAK_GLASS_DENIED,
+      admin.id,
+      request,
+      { comment },
+      ipAddress,
+    );
+    await notifyUsers(
+      [request.requested_by],
+      request,
+      "denied",
+      "Break-glass access denied",
+      `${admin.name || admin.email} denied your break-glass request.${comment ? ` ${comment}` : ""}`,
+    );
+    return result;
+  }
+
+  if (approvalCount >= request.required_approvals) {
+    await groupBreakGlassRequests.transition(requestId, ["pending"], "approved");
+    result.status = "approved";
+  }
+
+  await logBreakGlassEvent(
+    SECURITY_EVENT_TYPES.BREAK_GLASS_APPROVED,
+    admin.id,
+    request,
+    { approvalCount, requiredApprovals: request.required_approvals, comment },
+    ipAddress,
+  );
+  if (result.status === "approved") {
+    await notifyUsers(
+      [request.requested_by],
+      request,
+      "approved",
+      "Break-glass access approved",
+      "Your break-glass request was approved. Activate it before it expires.",
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Activate an approved request: the vault container opens the vault if needed and
+ * issues the requester a token that expires with the access window.
+ * @param {Object} params
+ * @param {string} params.requestId - Request ID
+ * @param {string} params.groupId - Group ID
+ * @param {Object} params.user - Requester
+ * @param {string} [params.ipAddress] - Client IP
+ * @returns {Promise<{ token: string, expiresAt: Date, unlockedVault: boolean }>}
+ */
+export async function activateBreakGlass({ requestId, groupId, user, ipAddress }) {
+  const request = await findGroupRequest(requestId, groupId);
+  if (request.requested_by !== user.id) {
+    throw breakGlassError("Only the requester can activate access", "NOT_REQUESTER");
+  }
+  if (request.status !== "approved") {
+    throw breakGlassError(`Request is ${request.status}, not approved`, "REQUEST_NOT_APPROVED");
+  }
+  if (isExpired(request)) {
+    throw breakGlassError("Break-glass request has expired", "REQUEST_EXPIRED");
+  }
+
+  const escrow = await groupBreakGlass.getEscrow(groupId);
+  if (!escrow) {
+    throw breakGlassError("Break-glass is not enabled for this group", "BREAK_GLASS_NOT_ENABLED");
+  }
+
+  // Claim the request before a token exists, so concurrent activations of the
+  // same approval cannot each get one
+  const claimed = await groupBreakGlassRequests.transition(requestId, ["approved"], "activating");
+  if (!claimed) {
+    throw breakGlassError("Request is no longer approved", "REQUEST_NOT_APPROVED");
+  }
+
+  let access;
+  try {
+    access = await callVaultContainer(groupId, "post", "/break-glass/access", {
+      requestId,
+      userId: user.id,
+      escrow,
+      allowedSecrets: request.allowed_secrets,
+      permissions: request.permissions,
+      ttlSeconds: request.duration_minutes * 60,
+    });
+  } catch (err) {
+    // No token was issued; the approval can be used again
+    await groupBreakGlassRequests.transition(requestId, ["activating"], "approved");
+    if (err.response?.status === 409) {
+      throw breakGlassError(
+        "Break-glass escrow is out of date, an admin must re-enable break-glass",
+        "STALE_ESCROW",
+      );
+    }
+    throw err;
+  }
+
+  const expiresAt = new Date(Date.now() + request.duration_minutes * 60 * 1000);
+  const activated = await groupBreakGlassRequests.activate(requestId, {
+    tokenId: access.tokenId,
+    unlockedVault: access.unlockedVault,
+    accessExpiresAt: expiresAt,
+  });
+  if (!activated) {
+    // The request expired or was cancelled while the token was issued
+    await revokeAccess(groupId, requestId, access, user.id);
+    throw breakGlassError("Request is no longer approved", "REQUEST_NOT_APPROVED");
+  }
+
+  await groupVaultAudit.log({
+    groupId,
+    userId: user.id,
+    action: "break_glass.activated",
+    ipAddress,
+    success: true,
+    metadata: { requestId, expiresAt, unlockedVault: access.unlockedVault },
+  });
+  await logBreakGlassEvent(
+    SECURITY_EVENT_TYPES.BREAK_GLASS_ACTIVATED,
+    user.id,
+    request,
+    { expiresAt, unlockedVault: access.unlockedVault },
+    ipAddress,
+  );
+  await notifyAdmins(
+    request,
+    "activated",
+    "Break-glass access in use",
+    `${request.requester_name || request.requester_email} is using emergency vault access until ${expiresAt.toISOString()}.`,
+  );
+
+  return { token: access.token, expiresAt, unlockedVault: access.unlockedVault };
+}
+
+/**
+ * Revoke a break-glass token and relock the vault if break-glass opened it
+ * The token still expires on its own if the vault cannot be reached.
+ */
+async function revokeAccess(groupId, requestId, { tokenId, unlockedVault }, endedBy) {
+  try {
+    if (tokenId) {
+      await callVaultContainer(groupId, "delete", `/tokens/${tokenId}`);
+    }
+    if (unlockedVault) {
+      await callVaultContainer(groupId, "post", "/lock", endedBy ? { userId: endedBy } : {});
+    }
+  } catch (err) {
+    console.error(`[break-glass] Failed to revoke access for ${requestId}:`, err.message);
+  }
+}
+
+/**
+ * Revoke a request's token, relock the vault if break-glass opened it and
+ * mark the request as awaiting review
+ */
+async function closeAccess(request, endedBy, reason, ipAddress = null) {
+  // The request is closed even if revoking fails
+  await revokeAccess(
+    request.group_id,
+    request.id,
+    { tokenId: request.token_id, unlockedVault: request.unlocked_vault },
+    endedBy,
+  );
+
+  const reviewDueAt = new Date(Date.now() + BREAK_GLASS_REVIEW_DUE_MS);
+  const ended = await groupBreakGlassRequests.end(request.id, endedBy, reviewDueAt);
+  if (!ended) {
+    return null;
+  }
+
+  await logBreakGlassEvent(
+    SECURITY_EVENT_TYPES.BREAK_GLASS_ENDED,
+    endedBy,
+    request,
+    { reason, reviewDueAt },
+    ipAddress,
+  );
+  await notifyAdmins(
+    request,
+    "ended",
+    "Break-glass access ended - review required",
+    `Emergency vault access for ${request.requester_name || request.requester_email || "a member"} has ended. Record a post-incident review by ${reviewDueAt.toISOString()}.`,
+  );
+
+  return ended;
+}
+
+/**
+ * End active access early
+ * @param {Object} params
+ * @param {string} params.requestId - Request ID
+ * @param {string} params.groupId - Group ID
+ * @param {Object} params.user - Requester or group admin
+ * @param {boolean} params.isAdmin - Whether the user is a group admin
+ * @param {string} [params.ipAddress] - Client IP
+ * @returns {Promise<Object>} Ended request
+ */
+export async function endBreakGlass({ requestId, groupId, user, isAdmin, ipAddress }) {
+  const request = await findGroupRequest(requestId, groupId);
+  if (request.requested_by !== user.id && !isAdmin) {
+    throw breakGlassError("Only the requester or an admin can end access", "NOT_REQUESTER");
+  }
+  if (request.status !== "active") {
+    throw breakGlassError(`Request is ${request.status}, not active`, "REQUEST_NOT_ACTIVE");
+  }
+
+  const ended = await closeAccess(request, user.id, "ended_early", ipAddress);
+  if (!ended) {
+    throw breakGlassError("Request is no longer active", "REQUEST_NOT_ACTIVE");
+  }
+  return ended;
+}
+
+/**
+ * Cancel a request before it is activated (requester only)
+ * @returns {Promise<Object>} Cancelled request
+ */
+export async function cancelBreakGlass({ requestId, groupId, user, ipAddress }) {
+  const request = await findGroupRequest(requestId, groupId);
+  if (request.requested_by !== user.id) {
+    throw breakGlassError("Only the requester can cancel the request", "NOT_REQUESTER");
+  }
+
+  const cancelled = await groupBreakGlassRequests.transition(
+    requestId,
+    ["pending", "approved"],
+    "cancelled",
+  );
+  if (!cancelled) {
+    throw breakGlassError(`Request is ${request.status}, cannot cancel`, "REQUEST_NOT_PENDING");
+  }
+
+  await logBreakGlassEvent(
+    SECURITY_EVENT_TYPES.BREAK_GLASS_ENDED,
+    user.id,
+    request,
+    { reason: "cancelled" },
+    ipAddress,
+  );
+  return cancelled;
+}
+
+/**
+ * Record the mandatory post-incident review of used access.
+ * The reviewer must be a group admin other than the requester.
+ * @param {Object} params
+ * @param {string} params.requestId - Request ID
+ * @param {string} params.groupId - Group ID
+ * @param {Object} params.reviewer - Reviewing group admin
+ * @param {string} params.summary - What happened and why access was needed
+ * @param {string} [params.actionsTaken] - What was done with the access
+ * @param {boolean} params.secretsRotated - Whether exposed secrets were rotated
+ * @param {string} [params.followUp] - Follow-up actions
+ * @param {string} [params.ipAddress] - Client IP
+ * @returns {Promise<Object>} Stored review
+ */
+export async function submitBreakGlassReview({
+  requestId,
+  groupId,
+  reviewer,
+  summary,
+  actionsTaken,
+  secretsRotated,
+  followUp,
+  ipAddress,
+}) {
+  const request = await findGroupRequest(requestId, groupId);
+  if (request.status === "reviewed") {
+    throw breakGlassError("Request has already been reviewed", "ALREADY_REVIEWED");
+  }
+  if (request.status !== "ended") {
+    throw breakGlassError("Only ended access can be reviewed", "REVIEW_NOT_DUE");
+  }
+  if (request.requested_by === reviewer.id) {
+    throw breakGlassError("You cannot review your own access", "SELF_REVIEW");
+  }
+
+  const review = await groupBreakGlassRequests.addReview({
+    requestId,
+    reviewedBy: reviewer.id,
+    summary,
+    actionsTaken,
+    secretsRotated,
+    followUp,
+  });
+
+  await groupVaultAudit.log({
+    groupId,
+    userId: reviewer.id,
+    action: "break_glass.reviewed",
+    ipAddress,
+    success: true,
+    metadata: { requestId, secretsRotated },
+  });
+  await logBreakGlassEvent(
+    SECURITY_EVENT_TYPES.BREAK_GLASS_REVIEWED,
+    reviewer.id,
+    request,
+    { secretsRotated },
+    ipAddress,
+  );
+
+  return review;
+}
+
+// ============================================================
+// EXPIRY
+// ============================================================
+
+/**
+ * Expire unused requests, end access whose window has passed and flag overdue reviews
+ * @returns {Promise<{ expired: number, ended: number, overdueReviews: number }>}
+ */
+export async function runBreakGlassExpiry() {
+  const expired = await groupBreakGlassRequests.expireOld();
+  for (const request of expired) {
+    await logBreakGlassEvent(SECURITY_EVENT_TYPES.BREAK_GLASS_ENDED, null, request, {
+      reason: "request_expired",
+    });
+  }
+
+  let ended = 0;
+  for (const request of await groupBreakGlassRequests.listAccessExpired()) {
+    try {
+      if (await closeAccess(request, null, "access_expired")) {
+        ended++;
+      }
+    } catch (err) {
+      console.error(`[break-glass] Failed to end access for ${request.id}:`, err.message);
+    }
+  }
+
+  const overdue = await groupBreakGlassRequests.listOverdueReviews();
+  for (const request of overdue) {
+    await logBreakGlassEvent(SECURITY_EVENT_TYPES.BREAK_GLASS_REVIEW_OVERDUE, null, request, {
+      reviewDueAt: request.review_due_at,
+    });
+    await notifyAdmins(
+      request,
+      "review_overdue",
+      "Break-glass review overdue",
+      "Emergency vault access was used and its post-incident review is overdue.",
+    );
+    await groupBreakGlassRequests.markReviewReminded(request.id);
+  }
+
+  return { expired: expired.length, ended, overdueReviews: overdue.length };
+}
+
+/**
+ * Start the periodic break-glass expiry job
+ * @param {number} [intervalMs] - Check interval
+ */
+export function startBreakGlassExpiry(intervalMs = BREAK_GLASS_CHECK_INTERVAL_MS) {
+  if (expiryInterval) {
+    return;
+  }
+
+  expiryInterval = setInterval(() => {
+    runBreakGlassExpiry().catch((err) => {
+      console.error("[break-glass] Expiry run failed:", err.message);
+    });
+  }, intervalMs);
+  expiryInterval.unref(); // Don't prevent process exit
+}
+
+/**
+ * Stop the periodic break-glass expiry job
+ */
+export function stopBreakGlassExpiry() {
+  if (expiryInterval) {
+    clearInterval(expiryInterval);
+    expiryInterval = null;
+  }
+}
+
+export default {
+  enableBreakGlass,
+  disableBreakGlass,
+  describeBreakGlass,
+  requestBreakGlass,
+  decideBreakGlass,
+  activateBreakGlass,
+  endBreakGlass,
+  cancelBreakGlass,
+  submitBreakGlassReview,
+  runBreakGlassExpiry,
+  startBreakGlassExpiry,
+  stopBreakGlassExpiry,
+};
@@ -0,0 +1,443 @@
+// Tests for break-glass emergency vault access
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("axios", () => ({
+  default: { post: vi.fn(), delete: vi.fn() },
+}));
+
+vi.mock("../db/index.js", () => ({
+  groupBreakGlass: {
+    upsert: vi.fn(),
+    get: vi.fn(),
+    getEscrow: vi.fn(),
+    remove: vi.fn(),
+  },
+  groupBreakGlassRequests: {
+    create: vi.fn(),
+    findById: vi.fn(),
+    findOpenForUser: vi.fn(),
+    addDecision: vi.fn(),
+    countApprovals: vi.fn(),
+    transition: vi.fn(),
+    activate: vi.fn(),
+    end: vi.fn(),
+    expireOld: vi.fn(),
+    listAccessExpired: vi.fn(),
+    listOverdueReviews: vi.fn(),
+    markReviewReminded: vi.fn(),
+    addReview: vi.fn(),
+  },
+  groupThreshold: {
+    listAdmins: vi.fn(),
+    getAdminCount: vi.fn(),
+  },
+  groupVaults: {
+    findByGroup: vi.fn(),
+  },
+  groupVaultAudit: {
+    log: vi.fn(),
+  },
+}));
+
+vi.mock("./alerting.js", () => ({
+  triggerAlert: vi.fn(),
+  ALERT_EVENTS: { GROUP_VAULT_BREAK_GLASS: "group.vault_break_glass" },
+}));
+
+vi.mock("./security-events.js", () => ({
+  logSecurityEvent: vi.fn(),
+  SECURITY_EVENT_TYPES: {
+    BREAK_GLASS_ENABLED: "break_glass_enabled",
+    BREAK_GLASS_REQUESTED: "break_glass_requested",
+    BREAK_GLASS_APPROVED: "break_glass_approved",
+    BREAK_GLASS_DENIED: "break_glass_denied",
+    BREAK_GLASS_ACTIVATED: "break_glass_activated",
+    BREAK_GLASS_ENDED: "break_glass_ended",
+    BREAK_GLASS_REVIEW_OVERDUE: "break_glass_review_overdue",
+    BREAK_GLASS_REVIEWED: "break_glass_reviewed",
+  },
+}));
+
+import axios from "axios";
+import {
+  groupBreakGlass,
+  groupBreakGlassRequests,
+  groupThreshold,
+  groupVaults,
+} from "../db/index.js";
+import { triggerAlert } from "./alerting.js";
+import {
+  enableBreakGlass,
+  requestBreakGlass,
+  decideBreakGlass,
+  activateBreakGlass,
+  submitBreakGlassReview,
+  runBreakGlassExpiry,
+} from "./break-glass.js";
+
+const groupId = "group-1";
+const requester = { id: "member-1", name: "On-call", email: "oncall@example.com" };
+const admins = [
+  { id: "admin-1", name: "A", email: "a@example.com" },
+  { id: "admin-2", name: "B", email: "b@example.com" },
+];
+
+function pendingRequest(overrides = {}) {
+  return {
+    id: "req-1",
+    group_id: groupId,
+    requested_by: requester.id,
+    status: "pending",
+    required_approvals: 2,
+    duration_minutes: 30,
+    allowed_secrets: ["*"],
+    permissions: ["read"],
+    expires_at: new Date(Date.now() + 60000),
+    ...overrides,
+  };
+}
+
+describe("break-glass", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    groupVaults.findByGroup.mockResolvedValue({ status: "active", container_port: 4100 });
+    groupThreshold.listAdmins.mockResolvedValue(admins);
+    groupThreshold.getAdminCount.mockResolvedValue(admins.length);
+    groupBreakGlass.get.mockResolvedValue({ required_approvals: 2, max_duration_minutes: 60 });
+  });
+
+  describe("enableBreakGlass", () => {
+    it("should store the escrow sealed by the vault container", async () => {
+      axios.post.mockResolvedValue({ data: { success: true, escrow: "sealed" } });
+      groupBreakGlass.upsert.mockResolvedValue({ required_approvals: 2 });
+
+      await enableBreakGlass({
+        groupId,
+        user: admins[0],
+        requiredApprovals: 2,
+        maxDurationMinutes: 60,
+      });
+
+      expect(axios.post).toHaveBeenCalledWith(
+        "http://localhost:4100/break-glass/escrow",
+        { enabledBy: "admin-1" },
+        expect.any(Object),
+      );
+      expect(groupBreakGlass.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({ groupId, escrow: "sealed", requiredApprovals: 2 }),
+      );
+    });
+
+    it("should reject a threshold above the admin count", async () => {
+      await expect(
+        enableBreakGlass({
+          groupId,
+          user: admins[0],
+          requiredApprovals: 3,
+          maxDurationMinutes: 60,
+        }),
+      ).rejects.toMatchObject({ code: "THRESHOLD_UNREACHABLE" });
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    it("should require an unlocked vault", async () => {
+      axios.post.mockRejectedValue({ response: { status: 423 } });
+
+      await expect(
+        enableBreakGlass({
+          groupId,
+          user: admins[0],
+          requiredApprovals: 2,
+          maxDurationMinutes: 60,
+        }),
+      ).rejects.toMatchObject({ code: "VAULT_LOCKED" });
+      expect(groupBreakGlass.upsert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("requestBreakGlass", () => {
+    const params = {
+      groupId,
+      user: requester,
+      justification: "Production database credentials rotated during outage",
+      durationMinutes: 30,
+    };
+
+    it("should create a request and notify every approver", async () => {
+      groupBreakGlassRequests.create.mockResolvedValue(pendingRequest());
+
+      await requestBreakGlass(params);
+
+      expect(groupBreakGlassRequests.create).toHaveBeenCalledWith(
+        expect.objectContaining({ requestedBy: requester.id, requiredApprovals: 2 }),
+      );
+      expect(triggerAlert).toHaveBeenCalledTimes(2);
+      expect(triggerAlert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId: "admin-1",
+          metadata: expect.objectContaining({ dedupScope: "req-1:requested" }),
+        }),
+      );
+    });
+
+    it("should not count the requester as an approver", async () => {
+      groupThreshold.listAdmins.mockResolvedValue([admins[0], { id: requester.id }]);
+
+      await expect(requestBreakGlass(params)).rejects.toMatchObject({
+        code: "THRESHOLD_UNREACHABLE",
+      });
+    });
+
+    it("should reject durations beyond the group policy", async () => {
+      await expect(requestBreakGlass({ ...params, durationMinutes: 90 })).rejects.toMatchObject({
+        code: "DURATION_TOO_LONG",
+      });
+    });
+
+    it("should require break-glass to be enabled", async () => {
+      groupBreakGlass.get.mockResolvedValue(undefined);
+
+      await expect(requestBreakGlass(params)).rejects.toMatchObject({
+        code: "BREAK_GLASS_NOT_ENABLED",
+      });
+    });
+  });
+
+  describe("decideBreakGlass", () => {
+    it("should approve once enough admins approve", async () => {
+      groupBreakGlassRequests.findById.mockResolvedValue(pendingRequest());
+      groupBreakGlassRequests.addDecision.mockResolvedValue({ id: "d1" });
+      groupBreakGlassRequests.countApprovals.mockResolvedValue(2);
+
+      const result = await decideBreakGlass({
+        requestId: "req-1",
+        groupId,
+        admin: admins[1],
+        decision: "approve",
+      });
+
+      expect(result.status).toBe("approved");
+      expect(groupBreakGlassRequests.transition).toHaveBeenCalledWith(
+        "req-1",
+        ["pending"],
+        "approved",
+      );
+    });
+
+    it("should stay pending below the threshold", async () => {
+      groupBreakGlassRequests.findById.mockResolvedValue(pendingRequest());
+      groupBreakGlassRequests.addDecision.mockResolvedValue({ id: "d1" });
+      groupBreakGlassRequests.countApprovals.mockResolvedValue(1);
+
+      const result = await decideBreakGlass({
+        requestId: "req-1",
+        groupId,
+        admin: admins[0],
+        decision: "approve",
+      });
+
+      expect(result).toEqual({ status: "pending", approvalCount: 1, requiredApprovals: 2 });
+      expect(groupBreakGlassRequests.transition).not.toHaveBeenCalled();
+    });
+
+    it("should end the request on a single denial", async () => {
+      groupBreakGlassRequests.findById.mockResolvedValue(pendingRequest());
+      groupBreakGlassRequests.addDecision.mockResolvedValue({ id: "d1" });
+      groupBreakGlassRequests.countApprovals.mockResolvedValue(1);
+
+      const result = await decideBreakGlass({
+        requestId: "req-1",
+        groupId,
+        admin: admins[0],
+        decision: "deny",
+      });
+
+      expect(result.status).toBe("denied");
+      expect(groupBreakGlassRequests.transition).toHaveBeenCalledWith(
+        "req-1",
+        ["pending"],
+        "denied",
+      );
+    });
+
+    it("should reject self-approval", async () => {
+      groupBreakGlassRequests.findById.mockResolvedValue(
+        pendingRequest({ requested_by: "admin-1" }),
+      );
+
+      await expect(
+        decideBreakGlass({ requestId: "req-1", groupId, admin: admins[0], decision: "approve" }),
+      ).rejects.toMatchObject({ code: "SELF_APPROVAL" });
+    });
+
+    it("should reject requests from another group", async () => {
+      groupBreakGlassRequests.findById.mockResolvedValue(pendingRequest({ group_id: "other" }));
+
+      await expect(
+        decideBreakGlass({ requestId: "req-1", groupId, admin: admins[0], decision: "approve" }),
+      ).rejects.toMatchObject({ code: "REQUEST_NOT_FOUND" });
+    });
+
+    it("should reject a second decision from the same admin", async () => {
+      groupBreakGlassRequests.findById.mockResolvedValue(pendingRequest());
+      groupBreakGlassRequests.addDecision.mockResolvedValue(undefined);
+
+      await expect(
+        decideBreakGlass({ requestId: "req-1", groupId, admin: admins[0], decision: "approve" }),
+      ).rejects.toMatchObject({ code: "ALREADY_DECIDED" });
+    });
+  });
+
+  describe("activateBreakGlass", () => {
+    it("should open the escrow through the vault container", async () => {
+      groupBreakGlassRequests.findById.mockResolvedValue(pendingRequest({ status: "approved" }));
+      groupBreakGlassRequests.transition.mockResolvedValue({ id: "req-1", status: "activating" });
+      groupBreakGlassRequests.activate.mockResolvedValue({ id: "req-1", status: "active" });
+      groupBreakGlass.getEscrow.mockResolvedValue("sealed");
+      axios.post.mockResolvedValue({
+        data: { success: true, token: "tok", tokenId: "tid", unlockedVault: true },
+      });
+
+      const access = await activateBreakGlass({ requestId: "req-1", groupId, user: requester });
+
+      expect(groupBreakGlassRequests.transition).toHaveBeenCalledWith(
+        "req-1",
+        ["approved"],
+        "activating",
+      );
+      expect(axios.post).toHaveBeenCalledWith(
+        "http://localhost:4100/break-glass/access",
+        expect.objectContaining({ escrow: "sealed", userId: requester.id, ttlSeconds: 1800 }),
+        expect.any(Object),
+      );
+      expect(groupBreakGlassRequests.activate).toHaveBeenCalledWith(
+        "req-1",
+        expect.objectContaining({ tokenId: "tid", unlockedVault: true }),
+      );
+      expect(access.token).toBe("tok");
+    });
+
+    it("should only let the requester activate", async () => {
+      groupBreakGlassRequests.findById.mockResolvedValue(pendingRequest({ status: "approved" }));
+
+      await expect(
+        activateBreakGlass({ requestId: "req-1", groupId, user: admins[0] }),
+      ).rejects.toMatchObject({ code: "NOT_REQUESTER" });
+    });
+
+    it("should report a stale escrow and release the claim", async () => {
+      groupBreakGlassRequests.findById.mockResolvedValue(pendingRequest({ status: "approved" }));
+      groupBreakGlassRequests.transition.mockResolvedValue({ id: "req-1", status: "activating" });
+      groupBreakGlass.getEscrow.mockResolvedValue("sealed");
+      axios.post.mockRejectedValue({ response: { status: 409 } });
+
+      await expect(
+        activateBreakGlass({ requestId: "req-1", groupId, user: requester }),
+      ).rejects.toMatchObject({ code: "STALE_ESCROW" });
+      expect(groupBreakGlassRequests.activate).not.toHaveBeenCalled();
+      expect(groupBreakGlassRequests.transition).toHaveBeenLastCalledWith(
+        "req-1",
+        ["activating"],
+        "approved",
+      );
+    });
+
+    it("should not issue a token when another activation claimed the request", async () => {
+      groupBreakGlassRequests.findById.mockResolvedValue(pendingRequest({ status: "approved" }));
+      groupBreakGlassRequests.transition.mockResolvedValue(undefined);
+      groupBreakGlass.getEscrow.mockResolvedValue("sealed");
+
+      await expect(
+        activateBreakGlass({ requestId: "req-1", groupId, user: requester }),
+      ).rejects.toMatchObject({ code: "REQUEST_NOT_APPROVED" });
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    it("should revoke the token if the request closed while it was issued", async () => {
+      groupBreakGlassRequests.findById.mockResolvedValue(pendingRequest({ status: "approved" }));
+      groupBreakGlassRequests.transition.mockResolvedValue({ id: "req-1", status: "activating" });
+      groupBreakGlassRequests.activate.mockResolvedValue(undefined);
+      groupBreakGlass.getEscrow.mockResolvedValue("sealed");
+      axios.post.mockResolvedValue({
+        data: { success: true, token: "tok", tokenId: "tid", unlockedVault: false },
+      });
+      axios.delete.mockResolvedValue({ data: { success: true } });
+
+      await expect(
+        activateBreakGlass({ requestId: "req-1", groupId, user: requester }),
+      ).rejects.toMatchObject({ code: "REQUEST_NOT_APPROVED" });
+      expect(axios.delete).toHaveBeenCalledWith(
+        "http://localhost:4100/tokens/tid",
+        expect.any(Object),
+      );
+    });
+  });
+
+  describe("submitBreakGlassReview", () => {
+    it("should not let the requester review their own access", async () => {
+      groupBreakGlassRequests.findById.mockResolvedValue(
+        pendingRequest({ status: "ended", requested_by: "admin-1" }),
+      );
+
+      await expect(
+        submitBreakGlassReview({
+          requestId: "req-1",
+          groupId,
+          reviewer: admins[0],
+          summary: "Restored service",
+          secretsRotated: true,
+        }),
+      ).rejects.toMatchObject({ code: "SELF_REVIEW" });
+    });
+
+    it("should only review ended access", async () => {
+      groupBreakGlassRequests.findById.mockResolvedValue(pendingRequest({ status: "active" }));
+
+      await expect(
+        submitBreakGlassReview({
+          requestId: "req-1",
+          groupId,
+          reviewer: admins[0],
+          summary: "Restored service",
+          secretsRotated: true,
+        }),
+      ).rejects.toMatchObject({ code: "REVIEW_NOT_DUE" });
+    });
+  });
+
+  describe("runBreakGlassExpiry", () => {
+    it("should revoke expired access and relock the vault", async () => {
+      const active = pendingRequest({ status: "active", token_id: "tid", unlocked_vault: true });
+      groupBreakGlassRequests.expireOld.mockResolvedValue([]);
+      groupBreakGlassRequests.listAccessExpired.mockResolvedValue([active]);
+      groupBreakGlassRequests.listOverdueReviews.mockResolvedValue([]);
+      groupBreakGlassRequests.end.mockResolvedValue({ ...active, status: "ended" });
+      axios.delete.mockResolvedValue({ data: { success: true } });
+      axios.post.mockResolvedValue({ data: { success: true } });
+
+      const result = await runBreakGlassExpiry();
+
+      expect(axios.delete).toHaveBeenCalledWith(
+        "http://localhost:4100/tokens/tid",
+        expect.any(Object),
+      );
+      expect(axios.post).toHaveBeenCalledWith("http://localhost:4100/lock", {}, expect.any(Object));
+      expect(groupBreakGlassRequests.end).toHaveBeenCalledWith("req-1", null, expect.any(Date));
+      expect(result).toEqual({ expired: 0, ended: 1, overdueReviews: 0 });
+    });
+
+    it("should alert admins once about overdue reviews", async () => {
+      groupBreakGlassRequests.expireOld.mockResolvedValue([]);
+      groupBreakGlassRequests.listAccessExpired.mockResolvedValue([]);
+      groupBreakGlassRequests.listOverdueReviews.mockResolvedValue([
+        pendingRequest({ status: "ended" }),
+      ]);
+
+      const result = await runBreakGlassExpiry();
+
+      expect(triggerAlert).toHaveBeenCalledTimes(2);
+      expect(groupBreakGlassRequests.markReviewReminded).toHaveBeenCalledWith("req-1");
+      expect(result.overdueReviews).toBe(1);
+    });
+  });
+});
@@ -132,6 +132,61 @@ export async function sendSecurityAlertEmail({
   }
 }
 
+/**
+ * Send a recovery drill email asking a contact to confirm they can still help
+ * @returns {Promise<{ sent: boolean, rejected?: boolean, error?: string }>} rejected is true when
+ *   the provider refused the address (as opposed to a transient failure)
+ */
+export async function sendRecoveryDrillEmail({
+  to,
+  contactName,
+  userName,
+  confirmToken,
+  expiresAt,
+}) {
+  if (!resend) {
+    console.warn(`[email] No email service configured - cannot send recovery drill to ${to}`);
+    return { sent: false };
+  }
+
+  const confirmUrl = `${USER_UI_URL}/recovery/drill?token=${confirmToken}`;
+
+  try {
+    const { error } = await resend.emails.send({
+      from: EMAIL_FROM,
+      to,
+      subject: `${userName} is checking their account recovery setup`,
+      html: `
+        <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 500px; margin: 0 auto; padding: 40px 20px;">
+          <h1 style="color: #1a1a2e; margin-bottom: 24px;">Are you still a recovery contact?</h1>
+          <p style="color: #666; font-size: 16px; line-height: 1.6;">
+            Hi ${escapeHtml(contactName)}, ${escapeHtml(userName)} listed you as a trusted contact for recovering their OCMT vault.
+            This is a routine check that you can still be reached. Nothing is being recovered.
+          </p>
+          <a href="${confirmUrl}" style="display: inline-block; background: #6366f1; color: white; padding: 14px 28px; text-decoration: none; border-radius: 8px; font-weight: 600; margin: 16px 0;">
+            Confirm I can help
+          </a>
+          <p style="color: #999; font-size: 14px; margin-top: 32px;">
+            Or copy this link: ${confirmUrl}
+          </p>
+          <p style="color: #999; font-size: 14px;">
+            This check expires on ${new Date(expiresAt).toUTCString()}. If you no longer want to be a recovery contact, let ${escapeHtml(userName)} know.
+          </p>
+        </div>
+      `,
+    });
+    if (error) {
+      console.error(`[email] Recovery drill to ${to} rejected:`, error.message);
+      return { sent: false, rejected: true, error: error.message };
+    }
+    console.log(`[email] Recovery drill sent to ${to}`);
+    return { sent: true };
+  } catch (err) {
+    console.error(`[email] Failed to send recovery drill to ${to}:`, err.message);
+    return { sent: false, error: err.message };
+  }
+}
+
 /**
  * Escape HTML entities for safe email content
  */
@@ -76,6 +76,16 @@ vi.mock("../db/index.js", async (importOriginal) => {
       RELAY_MESSAGE_FORWARDED: "relay.message_forwarded",
       RELAY_MESSAGE_DENIED: "relay.message_denied",
       RELAY_REVOCATION_SUBMITTED: "relay.revocation_submitted",
+      RELAY_MESSAGE_QUEUED: "relay.message_queued",
+      RELAY_MESSAGE_DELIVERED: "relay.message_delivered",
+      RELAY_MESSAGE_ACKED: "relay.message_acked",
+      RELAY_MESSAGE_EXPIRED: "relay.message_expired",
+      RELAY_MESSAGE_DEAD_LETTERED: "relay.message_dead_lettered",
+      RELAY_MESSAGE_REPLAYED: "relay.message_replayed",
+      RELAY_GROUP_BROADCAST: "relay.group_broadcast",
+      RELAY_GROUP_BROADCAST_DENIED: "relay.group_broadcast_denied",
+      RELAY_KEY_ROTATED: "relay.key_rotated",
+      RELAY_KEY_REVOKED: "relay.key_revoked",
 
       // Integration events
       INTEGRATION_CONNECTED: "integration.connected",
@@ -645,7 +655,11 @@ describe("Audit Log Event Type Categories", () => {
     expect(relayEvents).toContain("relay.message_forwarded");
     expect(relayEvents).toContain("relay.message_denied");
     expect(relayEvents).toContain("relay.revocation_submitted");
-    expect(relayEvents).toHaveLength(3);
+    expect(relayEvents).toContain("relay.message_acked");
+    expect(relayEvents).toContain("relay.message_dead_lettered");
+    expect(relayEvents).toContain("relay.group_broadcast");
+    expect(relayEvents).toContain("relay.key_rotated");
+    expect(relayEvents).toHaveLength(13);
   });
 
   it("should categorize integration events correctly", () => {
@@ -0,0 +1,190 @@
+/**
+ * Tenant MFA policy
+ *
+ * A tenant can require MFA for all members, for admins only, or for a
+ * specific set of roles. Users covered by the policy who have not enrolled
+ * a factor (TOTP or passkey) get a grace period; once it runs out, every
+ * authenticated request except MFA enrollment is refused. Enrolled users
+ * must also have completed MFA in the current session; until they do,
+ * only session verification is allowed.
+ *
+ * The policy lives in tenants.settings.mfaPolicy:
+ *   { mode, roles, gracePeriodDays, enforcedAt, updatedBy }
+ */
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+export const MFA_POLICY_MODES = {
+  OFF: "off",
+  ALL: "all",
+  ADMINS: "admins",
+  ROLES: "roles",
+};
+
+export const MFA_POLICY_STATUS = {
+  NOT_REQUIRED: "not_required",
+  ENROLLED: "enrolled",
+  GRACE: "grace",
+  BLOCKED: "blocked",
+  VERIFICATION_REQUIRED: "verification_required",
+};
+
+export const DEFAULT_GRACE_PERIOD_DAYS = 7;
+export const MAX_GRACE_PERIOD_DAYS = 90;
+
+// Tenant roles treated as administrators by the "admins" mode
+const ADMIN_ROLES = new Set(["owner", "admin"]);
+
+// Requests a user held by the policy can always make (as "METHOD path")
+const ALWAYS_ALLOWED_REQUESTS = [
+  "GET /api/auth/me",
+  "POST /api/auth/logout",
+  "GET /api/mfa/status",
+];
+
+// Requests still allowed per status: enrolling a first factor, or verifying the session
+const ALLOWED_REQUESTS = {
+  [MFA_POLICY_STATUS.BLOCKED]: new Set([
+    ...ALWAYS_ALLOWED_REQUESTS,
+    "POST /api/mfa/setup",
+    "POST /api/mfa/verify",
+    "GET /api/webauthn/credentials",
+    "POST /api/webauthn/register/options",
+    "POST /api/webauthn/register/verify",
+  ]),
+  [MFA_POLICY_STATUS.VERIFICATION_REQUIRED]: new Set([
+    ...ALWAYS_ALLOWED_REQUESTS,
+    "POST /api/mfa/session/verify",
+    "POST /api/webauthn/session/options",
+    "POST /api/webauthn/session/verify",
+  ]),
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================
+// POLICY EVALUATION
+// ============================================================
+
+/**
+ * Normalize a stored policy, filling defaults
+ * @param {object|null|undefined} policy - Raw tenants.settings.mfaPolicy value
+ * @returns {object} Policy with mode, roles, gracePeriodDays and enforcedAt
+ */
+export function normalizeMfaPolicy(policy) {
+  if (!policy || !Object.values(MFA_POLICY_MODES).includes(policy.mode)) {
+    return {
+      mode: MFA_POLICY_MODES.OFF,
+      roles: [],
+      gracePeriodDays: DEFAULT_GRACE_PERIOD_DAYS,
+      enforcedAt: null,
+    };
+  }
+
+  return {
+    ...policy,
+    roles: Array.isArray(policy.roles) ? policy.roles : [],
+    gracePeriodDays: Number.isInteger(policy.gracePeriodDays)
+      ? policy.gracePeriodDays
+      : DEFAULT_GRACE_PERIOD_DAYS,
+    enforcedAt: policy.enforcedAt || null,
+  };
+}
+
+/**
+ * Check whether the policy requires MFA for a user
+ * @param {object} policy - Normalized policy
+ * @param {object} user - User with tenant_role
+ * @returns {boolean}
+ */
+export function isMfaRequiredForUser(policy, user) {
+  const role = user.tenant_role || "member";
+
+  switch (policy.mode) {
+    case MFA_POLICY_MODES.ALL:
+      return true;
+    case MFA_POLICY_MODES.ADMINS:
+      return ADMIN_ROLES.has(role);
+    case MFA_POLICY_MODES.ROLES:
+      return policy.roles.includes(role);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Compute when a user's enrollment grace period ends.
+ * The clock starts when the policy was enforced, or when the user joined
+ * if that was later, so new members get the full grace period too.
+ *
+ * @param {object} policy - Normalized policy
+ * @param {object} user - User with optional created_at
+ * @returns {Date}
+ */
+export function getGraceDeadline(policy, user) {
+  const starts = [policy.enforcedAt, user.created_at]
+    .filter(Boolean)
+    .map((value) => new Date(value).getTime());
+  const start = starts.length > 0 ? Math.max(...starts) : Date.now();
+  return new Date(start + policy.gracePeriodDays * DAY_MS);
+}
+
+/**
+ * Evaluate a user against their tenant's MFA policy
+ * @param {object|null} rawPolicy - tenants.settings.mfaPolicy
+ * @param {object} user - User with tenant_role and created_at
+ * @param {object} mfa
+ * @param {boolean} mfa.enrolled - Whether the user has an active MFA factor
+ * @param {boolean} [mfa.verified] - Whether the current session completed MFA
+ *   (omit when no session is involved, e.g. compliance reports)
+ * @param {Date} [now] - Evaluation time
+ * @returns {{ status: string, required: boolean, enrolled: boolean, graceEndsAt: string|null }}
+ */
+export function evaluateMfaPolicy(rawPolicy, user, { enrolled, verified }, now = new Date()) {
+  const policy = normalizeMfaPolicy(rawPolicy);
+  const required = isMfaRequiredForUser(policy, user);
+
+  if (!required) {
+    return { status: MFA_POLICY_STATUS.NOT_REQUIRED, required, enrolled, graceEndsAt: null };
+  }
+  if (enrolled) {
+    const status =
+      verified === false ? MFA_POLICY_STATUS.VERIFICATION_REQUIRED : MFA_POLICY_STATUS.ENROLLED;
+    return { status, required, enrolled, graceEndsAt: null };
+  }
+
+  const deadline = getGraceDeadline(policy, user);
+  return {
+    status: now < deadline ? MFA_POLICY_STATUS.GRACE : MFA_POLICY_STATUS.BLOCKED,
+    required,
+    enrolled,
+    graceEndsAt: deadline.toISOString(),
+  };
+}
+
+/**
+ * Check whether a request stays reachable for a user held by the policy
+ * Blocked users can only enroll a factor; enrolled users whose session has
+ * not completed MFA can only verify it. Both can check their status and sign out.
+ * @param {string} status - Policy status from evaluateMfaPolicy
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path (req.originalUrl without query string)
+ * @returns {boolean}
+ */
+export function isAllowedWhileHeld(status, method, path) {
+  return ALLOWED_REQUESTS[status]?.has(`${method} ${path}`) || false;
+}
+
+export default {
+  MFA_POLICY_MODES,
+  MFA_POLICY_STATUS,
+  DEFAULT_GRACE_PERIOD_DAYS,
+  MAX_GRACE_PERIOD_DAYS,
+  normalizeMfaPolicy,
+  isMfaRequiredForUser,
+  getGraceDeadline,
+  evaluateMfaPolicy,
+  isAllowedWhileHeld,
+};
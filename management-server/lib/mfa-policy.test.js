@@ -0,0 +1,164 @@
+// Tests for tenant MFA policy evaluation
+import { describe, it, expect } from "vitest";
+import {
+  MFA_POLICY_MODES,
+  MFA_POLICY_STATUS,
+  DEFAULT_GRACE_PERIOD_DAYS,
+  evaluateMfaPolicy,
+  getGraceDeadline,
+  isAllowedWhileHeld,
+  isMfaRequiredForUser,
+  normalizeMfaPolicy,
+} from "./mfa-policy.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("MFA Policy", () => {
+  describe("normalizeMfaPolicy", () => {
+    it("should default to off when no policy is stored", () => {
+      expect(normalizeMfaPolicy(null)).toEqual({
+        mode: MFA_POLICY_MODES.OFF,
+        roles: [],
+        gracePeriodDays: DEFAULT_GRACE_PERIOD_DAYS,
+        enforcedAt: null,
+      });
+    });
+
+    it("should treat unknown modes as off", () => {
+      expect(normalizeMfaPolicy({ mode: "sometimes" }).mode).toBe(MFA_POLICY_MODES.OFF);
+    });
+
+    it("should keep a zero-day grace period", () => {
+      expect(normalizeMfaPolicy({ mode: "all", gracePeriodDays: 0 }).gracePeriodDays).toBe(0);
+    });
+  });
+
+  describe("isMfaRequiredForUser", () => {
+    it("should require MFA for everyone in 'all' mode", () => {
+      const policy = normalizeMfaPolicy({ mode: "all" });
+      expect(isMfaRequiredForUser(policy, { tenant_role: "observer" })).toBe(true);
+    });
+
+    it("should only require MFA for owners and admins in 'admins' mode", () => {
+      const policy = normalizeMfaPolicy({ mode: "admins" });
+      expect(isMfaRequiredForUser(policy, { tenant_role: "owner" })).toBe(true);
+      expect(isMfaRequiredForUser(policy, { tenant_role: "admin" })).toBe(true);
+      expect(isMfaRequiredForUser(policy, { tenant_role: "member" })).toBe(false);
+    });
+
+    it("should match listed roles in 'roles' mode", () => {
+      const policy = normalizeMfaPolicy({ mode: "roles", roles: ["finance"] });
+      expect(isMfaRequiredForUser(policy, { tenant_role: "finance" })).toBe(true);
+      expect(isMfaRequiredForUser(policy, { tenant_role: "admin" })).toBe(false);
+    });
+
+    it("should never require MFA when the policy is off", () => {
+      const policy = normalizeMfaPolicy({ mode: "off" });
+      expect(isMfaRequiredForUser(policy, { tenant_role: "owner" })).toBe(false);
+    });
+  });
+
+  describe("getGraceDeadline", () => {
+    it("should start the grace period when the policy was enforced", () => {
+      const enforcedAt = "2026-01-01T00:00:00.000Z";
+      const policy = normalizeMfaPolicy({ mode: "all", gracePeriodDays: 7, enforcedAt });
+      const deadline = getGraceDeadline(policy, { created_at: "2025-01-01T00:00:00.000Z" });
+      expect(deadline.getTime()).toBe(new Date(enforcedAt).getTime() + 7 * DAY_MS);
+    });
+
+    it("should give users who join later their own grace period", () => {
+      const createdAt = "2026-03-01T00:00:00.000Z";
+      const policy = normalizeMfaPolicy({
+        mode: "all",
+        gracePeriodDays: 3,
+        enforcedAt: "2026-01-01T00:00:00.000Z",
+      });
+      const deadline = getGraceDeadline(policy, { created_at: createdAt });
+      expect(deadline.getTime()).toBe(new Date(createdAt).getTime() + 3 * DAY_MS);
+    });
+  });
+
+  describe("evaluateMfaPolicy", () => {
+    const enforcedAt = "2026-01-01T00:00:00.000Z";
+    const raw = { mode: "all", gracePeriodDays: 7, enforcedAt };
+    const user = { tenant_role: "member", created_at: "2025-06-01T00:00:00.000Z" };
+
+    it("should report not_required when the user is not covered", () => {
+      const result = evaluateMfaPolicy({ mode: "admins", enforcedAt }, user, { enrolled: false });
+      expect(result.status).toBe(MFA_POLICY_STATUS.NOT_REQUIRED);
+      expect(result.required).toBe(false);
+    });
+
+    it("should report enrolled users as compliant", () => {
+      const result = evaluateMfaPolicy(raw, user, { enrolled: true }, new Date("2026-02-01"));
+      expect(result.status).toBe(MFA_POLICY_STATUS.ENROLLED);
+      expect(result.graceEndsAt).toBeNull();
+    });
+
+    it("should require enrolled users to complete MFA in the session", () => {
+      const unverified = evaluateMfaPolicy(raw, user, { enrolled: true, verified: false });
+      expect(unverified.status).toBe(MFA_POLICY_STATUS.VERIFICATION_REQUIRED);
+
+      const verified = evaluateMfaPolicy(raw, user, { enrolled: true, verified: true });
+      expect(verified.status).toBe(MFA_POLICY_STATUS.ENROLLED);
+    });
+
+    it("should allow unenrolled users during the grace period", () => {
+      const result = evaluateMfaPolicy(raw, user, { enrolled: false }, new Date("2026-01-05"));
+      expect(result.status).toBe(MFA_POLICY_STATUS.GRACE);
+      expect(result.graceEndsAt).toBe("2026-01-08T00:00:00.000Z");
+    });
+
+    it("should block unenrolled users after the grace period", () => {
+      const result = evaluateMfaPolicy(raw, user, { enrolled: false }, new Date("2026-01-09"));
+      expect(result.status).toBe(MFA_POLICY_STATUS.BLOCKED);
+    });
+
+    it("should block immediately with a zero-day grace period", () => {
+      const result = evaluateMfaPolicy(
+        { ...raw, gracePeriodDays: 0 },
+        user,
+        { enrolled: false },
+        new Date(enforcedAt),
+      );
+      expect(result.status).toBe(MFA_POLICY_STATUS.BLOCKED);
+    });
+  });
+
+  describe("isAllowedWhileHeld", () => {
+    const { BLOCKED, VERIFICATION_REQUIRED } = MFA_POLICY_STATUS;
+
+    it("should let blocked users enroll a TOTP app or passkey", () => {
+      expect(isAllowedWhileHeld(BLOCKED, "POST", "/api/mfa/setup")).toBe(true);
+      expect(isAllowedWhileHeld(BLOCKED, "POST", "/api/mfa/verify")).toBe(true);
+      expect(isAllowedWhileHeld(BLOCKED, "POST", "/api/webauthn/register/options")).toBe(true);
+      expect(isAllowedWhileHeld(BLOCKED, "GET", "/api/auth/me")).toBe(true);
+      expect(isAllowedWhileHeld(BLOCKED, "POST", "/api/auth/logout")).toBe(true);
+    });
+
+    it("should not exempt the policy endpoints or other MFA routes", () => {
+      expect(isAllowedWhileHeld(BLOCKED, "PUT", "/api/mfa/policy")).toBe(false);
+      expect(isAllowedWhileHeld(BLOCKED, "GET", "/api/mfa/policy/compliance")).toBe(false);
+      expect(isAllowedWhileHeld(BLOCKED, "POST", "/api/mfa/disable")).toBe(false);
+      expect(isAllowedWhileHeld(BLOCKED, "DELETE", "/api/webauthn/credentials/abc")).toBe(false);
+      expect(isAllowedWhileHeld(BLOCKED, "POST", "/api/webauthn/session/verify")).toBe(false);
+      expect(isAllowedWhileHeld(BLOCKED, "GET", "/api/groups")).toBe(false);
+    });
+
+    it("should only let unverified sessions verify, not enroll new factors", () => {
+      expect(isAllowedWhileHeld(VERIFICATION_REQUIRED, "POST", "/api/mfa/session/verify")).toBe(
+        true,
+      );
+      expect(
+        isAllowedWhileHeld(VERIFICATION_REQUIRED, "POST", "/api/webauthn/session/options"),
+      ).toBe(true);
+      expect(
+        isAllowedWhileHeld(VERIFICATION_REQUIRED, "POST", "/api/webauthn/session/verify"),
+      ).toBe(true);
+      expect(isAllowedWhileHeld(VERIFICATION_REQUIRED, "POST", "/api/mfa/setup")).toBe(false);
+      expect(
+        isAllowedWhileHeld(VERIFICATION_REQUIRED, "POST", "/api/webauthn/register/options"),
+      ).toBe(false);
+    });
+  });
+});
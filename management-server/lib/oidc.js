@@ -0,0 +1,639 @@
+/**
+ * Generic OpenID Connect SSO for tenants
+ *
+ * Lets a tenant sign its members in through any OIDC provider (Okta,
+ * Auth0, Keycloak, Entra ID, ...) using the authorization code flow with
+ * PKCE. Provider endpoints come from the discovery document; ID tokens are
+ * verified against the provider's JWKS.
+ *
+ * The configuration lives in tenants.settings.oidc:
+ *   {
+ *     discoveryUrl, clientId, clientSecret (encrypted), scopes,
+ *     claimMapping: { email, name, groups, externalId },
+ *     roleMapping: { role: [groups] }, defaultRole,
+ *     jitProvisioning, allowAutoJoin, configuredAt, configuredBy
+ *   }
+ */
+
+import axios from "axios";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { decrypt } from "./encryption.js";
+import { getRedisClient, isRedisConnected } from "./redis.js";
+
+const BASE_URL = process.env.BASE_URL || "http://localhost:3000";
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+export const DEFAULT_SCOPES = ["openid", "email", "profile"];
+
+/**
+ * Default claim names for user attributes
+ * Values may be dotted paths into nested claims (e.g. "realm_access.roles")
+ */
+export const DEFAULT_CLAIM_MAPPING = {
+  email: "email",
+  name: "name",
+  groups: "groups",
+  externalId: "sub",
+};
+
+// Asymmetric algorithms only - HS* would let anyone with the client secret mint tokens
+export const SUPPORTED_ALGORITHMS = [
+  "RS256",
+  "RS384",
+  "RS512",
+  "PS256",
+  "PS384",
+  "PS512",
+  "ES256",
+  "ES384",
+  "ES512",
+];
+
+const DISCOVERY_PATH = "/.well-known/openid-configuration";
+const METADATA_CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+const HTTP_TIMEOUT_MS = 10000;
+
+// Login state (nonce + PKCE verifier) lives for the length of one sign-in
+const LOGIN_STATE_TTL_SECONDS = 600; // 10 minutes
+const LOGIN_STATE_PREFIX = "oidc:state:";
+
+// Discovery documents and signing keys, keyed by URL
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+// In-memory fallback when Redis is not configured
+const memoryLoginStates = new Map();
+
+// ============================================================
+// CONFIGURATION
+// ============================================================
+
+/**
+ * Validate URL format (must be HTTPS in production)
+ */
+function isValidUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (process.env.NODE_ENV === "production") {
+      return parsed.protocol === "https:";
+    }
+    return ["http:", "https:"].includes(parsed.protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate OIDC configuration before saving
+ *
+ * @param {object} oidcConfig - OIDC configuration object
+ * @param {object} [options]
+ * @param {boolean} [options.requireSecret=true] - False when keeping a stored secret
+ * @returns {{ valid: boolean, errors: string[] }} Validation result
+ */
+export function validateOidcConfig(oidcConfig, { requireSecret = true } = {}) {
+  const errors = [];
+
+  if (!oidcConfig || typeof oidcConfig !== "object") {
+    return { valid: false, errors: ["OIDC configuration is required"] };
+  }
+
+  if (!oidcConfig.discoveryUrl) {
+    errors.push("discoveryUrl (issuer or discovery document URL) is required");
+  } else if (!isValidUrl(oidcConfig.discoveryUrl)) {
+    errors.push("discoveryUrl must be a valid HTTPS URL");
+  }
+
+  if (!oidcConfig.clientId || typeof oidcConfig.clientId !== "string") {
+    errors.push("clientId is required");
+  }
+
+  if (requireSecret && (!oidcConfig.clientSecret || typeof oidcConfig.clientSecret !== "string")) {
+    errors.push("clientSecret is required");
+  }
+
+  if (oidcConfig.scopes !== undefined) {
+    if (!Array.isArray(oidcConfig.scopes) || oidcConfig.scopes.some((s) => typeof s !== "string")) {
+      errors.push("scopes must be an array of strings");
+    }
+  }
+
+  if (oidcConfig.claimMapping !== undefined) {
+    const mapping = oidcConfig.claimMapping;
+    if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+      errors.push("claimMapping must be an object");
+    } else {
+      for (const [field, claim] of Object.entries(mapping)) {
+        if (!(field in DEFAULT_CLAIM_MAPPING)) {
+          errors.push(`claimMapping.${field} is not a supported attribute`);
+        } else if (typeof claim !== "string" || claim.length === 0) {
+          errors.push(`claimMapping.${field} must be a claim name`);
+        }
+      }
+    }
+  }
+
+  if (oidcConfig.roleMapping !== undefined) {
+    const mapping = oidcConfig.roleMapping;
+    if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+      errors.push("roleMapping must be an object of role to group names");
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+}
+
+/**
+ * Scopes to request, always including openid
+ * @param {object} oidcConfig - tenants.settings.oidc
+ * @returns {string[]}
+ */
+export function getScopes(oidcConfig) {
+  const scopes = Array.isArray(oidcConfig?.scopes) ? oidcConfig.scopes : DEFAULT_SCOPES;
+  return scopes.includes("openid") ? scopes : ["openid", ...scopes];
+}
+
+/**
+ * Callback URL registered with the provider
+ * @param {object} tenant - Tenant with slug
+ * @returns {string}
+ */
+export function getRedirectUri(tenant) {
+  return `${BASE_URL}/api/auth/oidc/${tenant.slug}/callback`;
+}
+
+/**
+ * Check if JIT provisioning is enabled for OIDC logins
+ * @param {object} tenant - Tenant object
+ * @returns {boolean}
+ */
+export function isOidcJitProvisioningEnabled(tenant) {
+  return tenant.settings?.oidc?.jitProvisioning !== false;
+}
+
+/**
+ * Check if an existing user may be joined to the tenant on OIDC login
+ * Off unless the tenant opts in, and never for a user who belongs to another
+ * tenant: joining rewrites users.tenant_id, so it would move their account.
+ * @param {object} tenant - Tenant object
+ * @param {object} user - Existing user record
+ * @returns {boolean}
+ */
+export function canOidcAutoJoin(tenant, user) {
+  if (user.tenant_id && user.tenant_id !== tenant.id) {
+    return false;
+  }
+  return tenant.settings?.oidc?.allowAutoJoin === true;
+}
+
+// ============================================================
+// DISCOVERY & SIGNING KEYS
+// ============================================================
+
+/**
+ * Fetch (and cache) a provider's discovery document
+ * Accepts either the issuer URL or the full discovery document URL.
+ *
+ * @param {string} discoveryUrl
+ * @param {object} [options]
+ * @param {boolean} [options.refresh=false] - Bypass the cache
+ * @returns {Promise<object>} Provider metadata
+ * @throws {Error} If the document is unreachable or incomplete
+ */
+export async function discoverProvider(discoveryUrl, { refresh = false } = {}) {
+  const url = discoveryUrl.endsWith(DISCOVERY_PATH)
+    ? discoveryUrl
+    : `${discoveryUrl.replace(/\/+$/, "")}${DISCOVERY_PATH}`;
+
+  const cached = discoveryCache.get(url);
+  if (!refresh && cached && cached.expiresAt > Date.now()) {
+    return cached.metadata;
+  }
+
+  const response = await axios.get(url, { timeout: HTTP_TIMEOUT_MS });
+  const metadata = response.data;
+
+  const missing = ["issuer", "authorization_endpoint", "token_endpoint", "jwks_uri"].filter(
+    (field) => !metadata?.[field],
+  );
+  if (missing.length > 0) {
+    throw new Error(`Discovery document is missing: ${missing.join(", ")}`);
+  }
+
+  discoveryCache.set(url, { metadata, expiresAt: Date.now() + METADATA_CACHE_TTL_MS });
+  return metadata;
+}
+
+/**
+ * Fetch (and cache) a provider's signing keys
+ * @param {string} jwksUri
+ * @param {object} [options]
+ * @param {boolean} [options.refresh=false] - Bypass the cache (e.g. unknown kid after rotation)
+ * @returns {Promise<Array<{ kid?: string, key: crypto.KeyObject }>>}
+ */
+async function getSigningKeys(jwksUri, { refresh = false } = {}) {
+  const cached = jwksCache.get(jwksUri);
+  if (!refresh && cached && cached.expiresAt > Date.now()) {
+    return cached.keys;
+  }
+
+  const response = await axios.get(jwksUri, { timeout: HTTP_TIMEOUT_MS });
+  const keys = (response.data?.keys || [])
+    .filter((jwk) => !jwk.use || jwk.use === "sig")
+    .flatMap((jwk) => {
+      try {
+        return [{ kid: jwk.kid, key: crypto.createPublicKey({ key: jwk, format: "jwk" }) }];
+      } catch {
+        // Skip keys Node cannot import (unsupported curves, symmetric keys)
+        return [];
+      }
+    });
+
+  jwksCache.set(jwksUri, { keys, expiresAt: Date.now() + METADATA_CACHE_TTL_MS });
+  return keys;
+}
+
+/**
+ * Clear cached discovery documents and signing keys
+ */
+export function clearOidcCache() {
+  discoveryCache.clear();
+  jwksCache.clear();
+}
+
+// ============================================================
+// AUTHORIZATION CODE FLOW
+// ============================================================
+
+/**
+ * Generate a PKCE verifier and S256 challenge
+ * @returns {{ verifier: string, challenge: string }}
+ */
+export function generatePkce() {
+  const verifier = crypto.randomBytes(32).toString("base64url");
+  const challenge = crypto.createHash("sha256").update(verifier).digest("base64url");
+  return { verifier, challenge };
+}
+
+/**
+ * Build the provider authorization URL
+ *
+ * @param {object} tenant - Tenant with settings.oidc
+ * @param {object} metadata - Discovery document
+ * @param {{ state: string, nonce: string, codeChallenge: string }} params
+ * @returns {string}
+ */
+export function buildAuthorizationUrl(tenant, metadata, { state, nonce, codeChallenge }) {
+  const config = tenant.settings.oidc;
+  const url = new URL(metadata.authorization_endpoint);
+
+  url.searchParams.set("response_type", "code");
+  url.searchParams.set("client_id", config.clientId);
+  url.searchParams.set("redirect_uri", getRedirectUri(tenant));
+  url.searchParams.set("scope", getScopes(config).join(" "));
+  url.searchParams.set("state", state);
+  url.searchParams.set("nonce", nonce);
+  url.searchParams.set("code_challenge", codeChallenge);
+  url.searchParams.set("code_challenge_method", "S256");
+
+  return url.toString();
+}
+
+/**
+ * Exchange an authorization code for tokens
+ * Uses client_secret_basic when the provider supports it, else client_secret_post.
+ *
+ * @param {object} tenant - Tenant with settings.oidc (clientSecret encrypted)
+ * @param {object} metadata - Discovery document
+ * @param {{ code: string, codeVerifier: string }} params
+ * @returns {Promise<object>} Token response (id_token, access_token, ...)
+ */
+export async function exchangeCode(tenant, metadata, { code, codeVerifier }) {
+  const config = tenant.settings.oidc;
+  const clientSecret = decrypt(config.clientSecret);
+
+  const body = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: getRedirectUri(tenant),
+    code_verifier: codeVerifier,
+  });
+  const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+
+  const authMethods = metadata.token_endpoint_auth_methods_supported || ["client_secret_basic"];
+  if (authMethods.includes("client_secret_basic")) {
+    // RFC 6749 2.3.1: credentials are form-encoded before base64
+    const credentials = [config.clientId, clientSecret].map(encodeURIComponent).join(":");
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString("base64")}`;
+  } else {
+    body.set("client_id", config.clientId);
+    body.set("client_secret", clientSecret);
+  }
+
+  const response = await axios.post(metadata.token_endpoint, body.toString(), {
+    headers,
+    timeout: HTTP_TIMEOUT_MS,
+  });
+  return response.data;
+}
+
+/**
+ * Verify an ID token's signature, issuer, audience, expiry and nonce
+ *
+ * @param {string} idToken - Compact JWT
+ * @param {object} metadata - Discovery document
+ * @param {{ clientId: string, nonce: string }} expected
+ * @returns {Promise<object>} Verified claims
+ * @throws {Error} If the token is invalid
+ */
+export async function verifyIdToken(idToken, metadata, { clientId, nonce }) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded?.header) {
+    throw new Error("ID token is malformed");
+  }
+  if (!SUPPORTED_ALGORITHMS.includes(decoded.header.alg)) {
+    throw new Error(`ID token algorithm ${decoded.header.alg} is not allowed`);
+  }
+
+  const findKey = (keys) =>
+    decoded.header.kid ? keys.find((k) => k.kid === decoded.header.kid) : keys[0];
+
+  let signingKey = findKey(await getSigningKeys(metadata.jwks_uri));
+  if (!signingKey) {
+    // The provider may have rotated keys since we cached them
+    signingKey = findKey(await getSigningKeys(metadata.jwks_uri, { refresh: true }));
+  }
+  if (!signingKey) {
+    throw new Error("No matching signing key for ID token");
+  }
+
+  const claims = jwt.verify(idToken, signingKey.key, {
+    algorithms: SUPPORTED_ALGORITHMS,
+    issuer: metadata.issuer,
+    audience: clientId,
+    clockTolerance: 60,
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error("ID token nonce mismatch");
+  }
+
+  return claims;
+}
+
+// ============================================================
+// CLAIM MAPPING
+// ============================================================
+
+/**
+ * Read a claim by name or dotted path
+ * Exact keys win, so URL-style claim names containing dots still work.
+ *
+ * @param {object} claims
+ * @param {string} path
+ * @returns {unknown}
+ */
+export function getClaim(claims, path) {
+  if (!claims || !path) {
+    return undefined;
+  }
+  if (path in claims) {
+    return claims[path];
+  }
+  return path.split(".").reduce((value, key) => value?.[key], claims);
+}
+
+/**
+ * Map ID token / userinfo claims to user fields
+ *
+ * @param {object} claims - Verified claims
+ * @param {object} tenant - Tenant with settings.oidc.claimMapping
+ * @returns {{ email: string|null, name: string|null, externalId: string|null,
+ *   groups: string[], emailVerified: boolean|null }}
+ */
+export function mapOidcClaims(claims, tenant) {
+  const mapping = { ...DEFAULT_CLAIM_MAPPING, ...tenant.settings?.oidc?.claimMapping };
+
+  const email = getClaim(claims, mapping.email);
+  const name = getClaim(claims, mapping.name);
+  const externalId = getClaim(claims, mapping.externalId);
+  const rawGroups = getClaim(claims, mapping.groups);
+
+  let groups = [];
+  if (Array.isArray(rawGroups)) {
+    groups = rawGroups.map(String);
+  } else if (typeof rawGroups === "string" && rawGroups.length > 0) {
+    groups = rawGroups.split(",").map((g) => g.trim());
+  }
+
+  return {
+    email: typeof email === "string" ? email.toLowerCase() : null,
+    name: typeof name === "string" ? name : null,
+    externalId: externalId === undefined || externalId === null ? null : String(externalId),
+    groups,
+    emailVerified: typeof claims.email_verified === "boolean" ? claims.email_verified : null,
+  };
+}
+
+/**
+ * Resolve a tenant role from the user's OIDC groups
+ *
+ * @param {object} tenant - Tenant object
+ * @param {string[]} groups - Groups from the token
+ * @returns {string|null} Role, the default role, or null if no mapping is configured
+ */
+export function getOidcRole(tenant, groups = []) {
+  const roleMapping = tenant.settings?.oidc?.roleMapping || {};
+
+  if (Object.keys(roleMapping).length === 0) {
+    return null;
+  }
+
+  for (const [role, mappedGroups] of Object.entries(roleMapping)) {
+    const groupList = Array.isArray(mappedGroups) ? mappedGroups : [mappedGroups];
+    if (groups.some((g) => groupList.includes(g))) {
+      return role;
+    }
+  }
+
+  return tenant.settings?.oidc?.defaultRole || "member";
+}
+
+// ============================================================
+// LOGIN STATE
+// ============================================================
+
+// Cleanup expired states periodically (only needed for in-memory fallback)
+setInterval(() => {
+  if (isRedisConnected()) {
+    return;
+  }
+  const now = Date.now();
+  for (const [state, data] of memoryLoginStates.entries()) {
+    if (data.expiresAt < now) {
+      memoryLoginStates.delete(state);
+    }
+  }
+}, 60 * 1000).unref();
+
+/**
+ * Store the nonce, PKCE verifier and redirect for an in-flight login
+ * @param {string} state - Random state parameter
+ * @param {object} data - JSON-serializable login data
+ */
+export async function storeLoginState(state, data) {
+  const redis = getRedisClient();
+  if (redis && isRedisConnected()) {
+    try {
+      await redis.setex(
+        `${LOGIN_STATE_PREFIX}${state}`,
+        LOGIN_STATE_TTL_SECONDS,
+        JSON.stringify(data),
+      );
+      return;
+    } catch (err) {
+      console.warn("[oidc] Redis setex failed, falling back to memory:", err.message);
+    }
+  }
+  memoryLoginStates.set(state, { ...data, expiresAt: Date.now() + LOGIN_STATE_TTL_SECONDS * 1000 });
+}
+
+/**
+ * Get and delete login state (single use)
+ * @param {string} state - State parameter from the callback
+ * @returns {Promise<object|null>}
+ */
+export async function consumeLoginState(state) {
+  const redis = getRedisClient();
+  if (redis && isRedisConnected()) {
+    try {
+      const dataStr = await redis.getdel(`${LOGIN_STATE_PREFIX}${state}`);
+      if (dataStr) {
+        return JSON.parse(dataStr);
+      }
+      return null;
+    } catch (err) {
+      console.warn("[oidc] Redis getdel failed, checking memory fallback:", err.message);
+    }
+  }
+
+  const data = memoryLoginStates.get(state);
+  if (!data) {
+    return null;
+  }
+  memoryLoginStates.delete(state);
+  if (Date.now() > data.expiresAt) {
+    return null;
+  }
+  return data;
+}
+
+// ============================================================
+// CONNECTION TEST
+// ============================================================
+
+/**
+ * Test an OIDC configuration by fetching discovery and signing keys
+ * Nothing is saved; warnings flag settings the provider may not honour.
+ *
+ * @param {object} tenant - Tenant object (slug used for the redirect URI)
+ * @param {object} oidcConfig - Configuration to test
+ * @returns {Promise<{ success: boolean, error?: string, issuer?: string, warnings?: string[] }>}
+ */
+export async function testOidcConfig(tenant, oidcConfig) {
+  const validation = validateOidcConfig(oidcConfig, { requireSecret: false });
+  if (!validation.valid) {
+    return {
+      success: false,
+      error: `Configuration errors: ${validation.errors.join(", ")}`,
+    };
+  }
+
+  try {
+    const metadata = await discoverProvider(oidcConfig.discoveryUrl, { refresh: true });
+    const keys = await getSigningKeys(metadata.jwks_uri, { refresh: true });
+
+    if (keys.length === 0) {
+      return { success: false, error: "Provider publishes no usable signing keys" };
+    }
+
+    const warnings = [];
+    const scopesSupported = metadata.scopes_supported || [];
+    for (const scope of getScopes(oidcConfig)) {
+      if (scopesSupported.length > 0 && !scopesSupported.includes(scope)) {
+        warnings.push(`Scope '${scope}' is not advertised by the provider`);
+      }
+    }
+
+    const mapping = { ...DEFAULT_CLAIM_MAPPING, ...oidcConfig.claimMapping };
+    const claimsSupported = metadata.claims_supported || [];
+    if (claimsSupported.length > 0 && !claimsSupported.includes(mapping.email.split(".")[0])) {
+      warnings.push(`Email claim '${mapping.email}' is not advertised by the provider`);
+    }
+
+    const methods = metadata.code_challenge_methods_supported;
+    if (Array.isArray(methods) && !methods.includes("S256")) {
+      warnings.push("Provider does not advertise PKCE S256 support");
+    }
+
+    return {
+      success: true,
+      issuer: metadata.issuer,
+      authorizationEndpoint: metadata.authorization_endpoint,
+      tokenEndpoint: metadata.token_endpoint,
+      signingKeys: keys.length,
+      redirectUri: getRedirectUri(tenant),
+      warnings,
+    };
+  } catch (err) {
+    return {
+      success: false,
+      error: err.response ? `Provider returned HTTP ${err.response.status}` : err.message,
+    };
+  }
+}
+
+// ============================================================
+// EXPORTS
+// ============================================================
+
+export default {
+  // Configuration
+  DEFAULT_SCOPES,
+  DEFAULT_CLAIM_MAPPING,
+  SUPPORTED_ALGORITHMS,
+  validateOidcConfig,
+  getScopes,
+  getRedirectUri,
+  isOidcJitProvisioningEnabled,
+  canOidcAutoJoin,
+
+  // Discovery
+  discoverProvider,
+  clearOidcCache,
+
+  // Authorization code flow
+  generatePkce,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+
+  // Claim mapping
+  getClaim,
+  mapOidcClaims,
+  getOidcRole,
+
+  // Login state
+  storeLoginState,
+  consumeLoginState,
+
+  // Connection test
+  testOidcConfig,
+};
@@ -0,0 +1,259 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+// Tests for generic OIDC SSO helpers
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+vi.mock("axios", () => ({
+  default: {
+    get: vi.fn(),
+    post: vi.fn(),
+  },
+}));
+
+vi.mock("./redis.js", () => ({
+  getRedisClient: vi.fn(() => null),
+  isRedisConnected: vi.fn(() => false),
+}));
+
+import axios from "axios";
+import {
+  buildAuthorizationUrl,
+  canOidcAutoJoin,
+  clearOidcCache,
+  consumeLoginState,
+  generatePkce,
+  getClaim,
+  getOidcRole,
+  getScopes,
+  mapOidcClaims,
+  storeLoginState,
+  testOidcConfig,
+  validateOidcConfig,
+  verifyIdToken,
+} from "./oidc.js";
+
+const ISSUER = "https://idp.example.com";
+const CLIENT_ID = "client-123";
+
+const metadata = {
+  issuer: ISSUER,
+  authorization_endpoint: `${ISSUER}/authorize`,
+  token_endpoint: `${ISSUER}/token`,
+  jwks_uri: `${ISSUER}/jwks`,
+};
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const jwks = { keys: [{ ...publicKey.export({ format: "jwk" }), kid: "key-1", use: "sig" }] };
+
+function signIdToken(claims, { kid = "key-1", key = privateKey } = {}) {
+  return jwt.sign({ sub: "user-1", email: "alice@example.com", nonce: "n-1", ...claims }, key, {
+    algorithm: "RS256",
+    keyid: kid,
+    issuer: ISSUER,
+    audience: CLIENT_ID,
+    expiresIn: "5m",
+  });
+}
+
+describe("OIDC", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    clearOidcCache();
+  });
+
+  describe("validateOidcConfig", () => {
+    it("should require discovery URL, client id and secret", () => {
+      const result = validateOidcConfig({});
+      expect(result.valid).toBe(false);
+      expect(result.errors).toHaveLength(3);
+    });
+
+    it("should allow omitting the secret when keeping a stored one", () => {
+      const config = { discoveryUrl: ISSUER, clientId: CLIENT_ID };
+      expect(validateOidcConfig(config, { requireSecret: false }).valid).toBe(true);
+    });
+
+    it("should reject unknown claim mapping attributes", () => {
+      const result = validateOidcConfig({
+        discoveryUrl: ISSUER,
+        clientId: CLIENT_ID,
+        clientSecret: "s",
+        claimMapping: { phone: "phone_number" },
+      });
+      expect(result.errors).toContain("claimMapping.phone is not a supported attribute");
+    });
+  });
+
+  describe("getScopes", () => {
+    it("should default scopes and always include openid", () => {
+      expect(getScopes({})).toEqual(["openid", "email", "profile"]);
+      expect(getScopes({ scopes: ["email", "groups"] })).toEqual(["openid", "email", "groups"]);
+    });
+  });
+
+  describe("claim mapping", () => {
+    it("should read dotted paths and exact URL-style claim names", () => {
+      const claims = { realm_access: { roles: ["a"] }, "https://example.com/groups": ["b"] };
+      expect(getClaim(claims, "realm_access.roles")).toEqual(["a"]);
+      expect(getClaim(claims, "https://example.com/groups")).toEqual(["b"]);
+    });
+
+    it("should map claims using the tenant's claim mapping", () => {
+      const tenant = {
+        settings: { oidc: { claimMapping: { groups: "realm_access.roles", name: "nickname" } } },
+      };
+      const claims = {
+        sub: 42,
+        email: "Alice@Example.com",
+        email_verified: true,
+        nickname: "Ali",
+        realm_access: { roles: ["eng", "admins"] },
+      };
+      expect(mapOidcClaims(claims, tenant)).toEqual({
+        email: "alice@example.com",
+        name: "Ali",
+        externalId: "42",
+        groups: ["eng", "admins"],
+        emailVerified: true,
+      });
+    });
+
+    it("should split comma-separated group claims", () => {
+      const result = mapOidcClaims({ sub: "x", groups: "eng, ops" }, { settings: {} });
+      expect(result.groups).toEqual(["eng", "ops"]);
+      expect(result.emailVerified).toBeNull();
+    });
+  });
+
+  describe("canOidcAutoJoin", () => {
+    const tenant = { id: "tenant-1", settings: { oidc: { allowAutoJoin: true } } };
+
+    it("should be off unless the tenant opts in", () => {
+      expect(canOidcAutoJoin({ id: "tenant-1", settings: { oidc: {} } }, { tenant_id: null })).toBe(
+        false,
+      );
+      expect(canOidcAutoJoin(tenant, { tenant_id: null })).toBe(true);
+    });
+
+    it("should never join a user who belongs to another tenant", () => {
+      expect(canOidcAutoJoin(tenant, { tenant_id: "tenant-2" })).toBe(false);
+    });
+  });
+
+  describe("getOidcRole", () => {
+    it("should return null when no mapping is configured", () => {
+      expect(getOidcRole({ settings: {} }, ["admins"])).toBeNull();
+    });
+
+    it("should map groups to roles, falling back to the default", () => {
+      const tenant = {
+        settings: { oidc: { roleMapping: { admin: ["admins"] }, defaultRole: "observer" } },
+      };
+      expect(getOidcRole(tenant, ["eng", "admins"])).toBe("admin");
+      expect(getOidcRole(tenant, ["eng"])).toBe("observer");
+    });
+  });
+
+  describe("buildAuthorizationUrl", () => {
+    it("should include state, nonce and an S256 PKCE challenge", () => {
+      const { verifier, challenge } = generatePkce();
+      expect(challenge).toBe(crypto.createHash("sha256").update(verifier).digest("base64url"));
+
+      const tenant = { slug: "acme", settings: { oidc: { clientId: CLIENT_ID } } };
+      const url = new URL(
+        buildAuthorizationUrl(tenant, metadata, {
+          state: "s-1",
+          nonce: "n-1",
+          codeChallenge: challenge,
+        }),
+      );
+      expect(url.origin + url.pathname).toBe(metadata.authorization_endpoint);
+      expect(url.searchParams.get("client_id")).toBe(CLIENT_ID);
+      expect(url.searchParams.get("scope")).toBe("openid email profile");
+      expect(url.searchParams.get("redirect_uri")).toMatch(/\/api\/auth\/oidc\/acme\/callback$/);
+      expect(url.searchParams.get("code_challenge_method")).toBe("S256");
+    });
+  });
+
+  describe("verifyIdToken", () => {
+    beforeEach(() => {
+      axios.get.mockResolvedValue({ data: jwks });
+    });
+
+    it("should verify a token signed by a published key", async () => {
+      const claims = await verifyIdToken(signIdToken(), metadata, {
+        clientId: CLIENT_ID,
+        nonce: "n-1",
+      });
+      expect(claims.sub).toBe("user-1");
+      expect(axios.get).toHaveBeenCalledWith(metadata.jwks_uri, expect.any(Object));
+    });
+
+    it("should reject a nonce mismatch", async () => {
+      await expect(
+        verifyIdToken(signIdToken(), metadata, { clientId: CLIENT_ID, nonce: "other" }),
+      ).rejects.toThrow("nonce mismatch");
+    });
+
+    it("should reject the wrong audience", async () => {
+      await expect(
+        verifyIdToken(signIdToken(), metadata, { clientId: "someone-else", nonce: "n-1" }),
+      ).rejects.toThrow();
+    });
+
+    it("should reject tokens signed with an unknown key after refreshing once", async () => {
+      const other = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 }).privateKey;
+      const token = signIdToken({}, { kid: "key-2", key: other });
+
+      await expect(
+        verifyIdToken(token, metadata, { clientId: CLIENT_ID, nonce: "n-1" }),
+      ).rejects.toThrow("No matching signing key");
+      expect(axios.get).toHaveBeenCalledTimes(2);
+    });
+
+    it("should reject symmetric algorithms", async () => {
+      const token = jwt.sign({ nonce: "n-1" }, "secret", { algorithm: "HS256" });
+      await expect(
+        verifyIdToken(token, metadata, { clientId: CLIENT_ID, nonce: "n-1" }),
+      ).rejects.toThrow("not allowed");
+    });
+  });
+
+  describe("login state", () => {
+    it("should be single use", async () => {
+      await storeLoginState("state-1", { nonce: "n-1", codeVerifier: "v" });
+      expect(await consumeLoginState("state-1")).toMatchObject({ nonce: "n-1" });
+      expect(await consumeLoginState("state-1")).toBeNull();
+    });
+  });
+
+  describe("testOidcConfig", () => {
+    const tenant = { slug: "acme", settings: {} };
+    const config = { discoveryUrl: ISSUER, clientId: CLIENT_ID };
+
+    it("should report provider details and warnings", async () => {
+      axios.get.mockImplementation((url) =>
+        Promise.resolve({
+          data: url.endsWith("/jwks")
+            ? jwks
+            : { ...metadata, scopes_supported: ["openid", "email"] },
+        }),
+      );
+
+      const result = await testOidcConfig(tenant, config);
+      expect(axios.get).toHaveBeenCalledWith(
+        `${ISSUER}/.well-known/openid-configuration`,
+        expect.any(Object),
+      );
+      expect(result).toMatchObject({ success: true, issuer: ISSUER, signingKeys: 1 });
+      expect(result.warnings).toEqual(["Scope 'profile' is not advertised by the provider"]);
+    });
+
+    it("should fail on an incomplete discovery document", async () => {
+      axios.get.mockResolvedValue({ data: { issuer: ISSUER } });
+      const result = await testOidcConfig(tenant, config);
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/missing: authorization_endpoint/);
+    });
+  });
+});
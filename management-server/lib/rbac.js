@@ -6,11 +6,14 @@
  * - Role definitions with hierarchical inheritance
  * - Permission checking with resource-level overrides
  * - Custom roles for enterprise tenants
+ * - Attribute-based access conditions on custom roles
  * - Express middleware factories for permission enforcement
  */
 
 import { query } from "../db/core.js";
 import { tenants, subscriptions } from "../db/index.js";
+import { CURRENT_REGION, validateRegion } from "./data-residency.js";
+import { isIpInAllowlist, validateCidr, getClientIpSecure } from "./ip-utils.js";
 import { isAtLeastPlan } from "./quotas.js";
 
 // ============================================================
@@ -37,12 +40,15 @@ export const ROLES = {
       "users.manage",
       "users.invite",
       "users.remove",
+      "users.view",
       "groups.manage",
       "groups.create",
       "groups.delete",
       "settings.manage",
       "api_keys.manage",
       "audit.view",
+      "audit.export",
+      "rbac.view", // Can inspect custom roles and assignments
     ],
   },
   member: {
@@ -134,6 +140,27 @@ export const ALL_PERMISSIONS = [
   "*",
 ];
 
+/**
+ * Check if a permission string can be granted explicitly (e.g. on an API key)
+ * Accepts catalog permissions, category wildcards ("groups.*") and "*"
+ *
+ * @param {string} permission - Permission to validate
+ * @returns {boolean} True if the permission is known
+ */
+export function isValidPermission(permission) {
+  if (typeof permission !== "string") {
+    return false;
+  }
+  if (ALL_PERMISSIONS.includes(permission)) {
+    return true;
+  }
+  if (permission.endsWith(".*")) {
+    const category = permission.slice(0, -2);
+    return ALL_PERMISSIONS.some((p) => p.startsWith(`${category}.`));
+  }
+  return false;
+}
+
 /**
  * Role hierarchy order (lower index = lower privileges)
  */
@@ -207,6 +234,18 @@ function permissionMatches(permissionSet, permission) {
   return false;
 }
 
+/**
+ * Check if an API key's explicit permissions cover a permission
+ * Keys without explicit permissions (null) are only limited by the owner's role.
+ *
+ * @param {string[]|null} keyPermissions - Explicit permissions of the key
+ * @param {string} permission - Permission to check
+ * @returns {boolean} True if the key may use the permission
+ */
+export function apiKeyAllows(keyPermissions, permission) {
+  return !Array.isArray(keyPermissions) || permissionMatches(keyPermissions, permission);
+}
+
 // ============================================================
 // PERMISSION CHECKING
 // ============================================================
@@ -225,6 +264,12 @@ export function can(user, permission, resource = null, customRoles = {}) {
     return false;
   }
 
+  // API keys with explicit permissions can only narrow what the owning user's
+  // role grants - never widen it
+  if (!apiKeyAllows(user.api_key_permissions, permission)) {
+    return false;
+  }
+
   // Platform admins have all permissions
   if (user.is_platform_admin) {
     return true;
@@ -337,6 +382,429 @@ export function compareRoles(role1, role2) {
   return 0;
 }
 
+// ============================================================
+// ACCESS CONDITIONS (ABAC)
+// ============================================================
+
+/**
+ * Condition failure codes returned in 403 bodies
+ */
+export const CONDITION_CODES = {
+  TIME_WINDOW: "TIME_WINDOW",
+  IP_RANGE: "IP_RANGE",
+  MFA_FRESHNESS: "MFA_FRESHNESS",
+  REGION: "REGION",
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MAX_MFA_AGE_MINUTES = 24 * 60;
+
+function conditionError(message) {
+  const error = new Error(`Invalid conditions: ${message}`);
+  error.code = "INVALID_CONDITIONS";
+  return error;
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate and normalize access conditions for a custom role
+ *
+ * Conditions (all optional; every condition present must be satisfied):
+ * - timeWindows: [{ days?: number[] (0 = Sunday), start: "HH:MM", end: "HH:MM", timezone? }]
+ * - ipRanges: CIDR blocks the request must originate from
+ * - mfaMaxAgeMinutes: maximum minutes since the user last completed MFA
+ * - regions: data residency regions the request must be served from
+ *
+ * @param {object|null} conditions - Conditions to validate
+ * @returns {object|null} Normalized conditions, or null when none are set
+ * @throws {Error} INVALID_CONDITIONS
+ */
+export function validateConditions(conditions) {
+  if (conditions === null || conditions === undefined) {
+    return null;
+  }
+  if (typeof conditions !== "object" || Array.isArray(conditions)) {
+    throw conditionError("must be an object");
+  }
+
+  const unknown = Object.keys(conditions).filter(
+    (key) => !["timeWindows", "ipRanges", "mfaMaxAgeMinutes", "regions"].includes(key),
+  );
+  if (unknown.length > 0) {
+    throw conditionError(`unknown condition ${unknown.join(", ")}`);
+  }
+
+  const normalized = {};
+  const { timeWindows, ipRanges, mfaMaxAgeMinutes, regions } = conditions;
+
+  if (timeWindows !== undefined) {
+    if (!Array.isArray(timeWindows) || timeWindows.length === 0) {
+      throw conditionError("timeWindows must be a non-empty array");
+    }
+    normalized.timeWindows = timeWindows.map((window) => {
+      const { days, start, end, timezone = "UTC" } = window || {};
+      if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end)) {
+        throw conditionError("time window start and end must be HH:MM");
+      }
+      if (days !== undefined) {
+        const validDays =
+          Array.isArray(days) &&
+          days.length > 0 &&
+          days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6);
+        if (!validDays) {
+          throw conditionError("time window days must be 0-6 (Sunday = 0)");
+        }
+      }
+      if (!isValidTimezone(timezone)) {
+        throw conditionError(`unknown timezone ${timezone}`);
+      }
+      const normalizedWindow = { start, end, timezone };
+      if (days) {
+        normalizedWindow.days = [...new Set(days)].toSorted((a, b) => a - b);
+      }
+      return normalizedWindow;
+    });
+  }
+
+  if (ipRanges !== undefined) {
+    if (!Array.isArray(ipRanges) || ipRanges.length === 0) {
+      throw conditionError("ipRanges must be a non-empty array");
+    }
+    for (const cidr of ipRanges) {
+      const result = validateCidr(cidr);
+      if (!result.valid) {
+        throw conditionError(`${result.error}: ${cidr}`);
+      }
+    }
+    normalized.ipRanges = ipRanges.map((cidr) => cidr.trim());
+  }
+
+  if (mfaMaxAgeMinutes !== undefined) {
+    const valid =
+      Number.isInteger(mfaMaxAgeMinutes) &&
+      mfaMaxAgeMinutes > 0 &&
+      mfaMaxAgeMinutes <= MAX_MFA_AGE_MINUTES;
+    if (!valid) {
+      throw conditionError(`mfaMaxAgeMinutes must be 1-${MAX_MFA_AGE_MINUTES}`);
+    }
+    normalized.mfaMaxAgeMinutes = mfaMaxAgeMinutes;
+  }
+
+  if (regions !== undefined) {
+    if (!Array.isArray(regions) || regions.length === 0) {
+      throw conditionError("regions must be a non-empty array");
+    }
+    const invalid = regions.filter((region) => !validateRegion(region));
+    if (invalid.length > 0) {
+      throw conditionError(`unknown regions ${invalid.join(", ")}`);
+    }
+    normalized.regions = [...new Set(regions)];
+  }
+
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * Get the weekday (0 = Sunday) and minutes since midnight in a timezone
+ */
+function getLocalTime(date, timezone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+  const get = (type) => parts.find((part) => part.type === type)?.value;
+
+  return {
+    day: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(get("weekday")),
+    minutes: parseInt(get("hour"), 10) * 60 + parseInt(get("minute"), 10),
+  };
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check whether a moment falls inside a time window
+ * Windows whose end is before their start wrap past midnight.
+ */
+function isInTimeWindow(date, window) {
+  const { day, minutes } = getLocalTime(date, window.timezone || "UTC");
+  const start = toMinutes(window.start);
+  const end = toMinutes(window.end);
+
+  if (window.days && !window.days.includes(day)) {
+    return false;
+  }
+
+  return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+/**
+ * Evaluate access conditions against the request context
+ *
+ * @param {object|null} conditions - Normalized conditions from a custom role
+ * @param {object} context - { now, ip, mfaVerifiedAt, region }
+ * @returns {{ condition: string, reason: string }|null} The first failed condition, or null
+ */
+export function evaluateConditions(conditions, context = {}) {
+  if (!conditions) {
+    return null;
+  }
+
+  const now = context.now || new Date();
+
+  if (conditions.timeWindows) {
+    if (!conditions.timeWindows.some((window) => isInTimeWindow(now, window))) {
+      const windows = conditions.timeWindows
+        .map((w) => `${w.start}-${w.end} ${w.timezone || "UTC"}`)
+        .join(", ");
+      return {
+        condition: CONDITION_CODES.TIME_WINDOW,
+        reason: `Access is only allowed during ${windows}`,
+      };
+    }
+  }
+
+  if (conditions.ipRanges) {
+    if (!context.ip || !isIpInAllowlist(context.ip, conditions.ipRanges)) {
+      return {
+        condition: CONDITION_CODES.IP_RANGE,
+        reason: `Access is not allowed from ${context.ip || "an unknown address"}`,
+      };
+    }
+  }
+
+  if (conditions.mfaMaxAgeMinutes) {
+    const verifiedAt = context.mfaVerifiedAt ? new Date(context.mfaVerifiedAt).getTime() : 0;
+    if (now.getTime() - verifiedAt > conditions.mfaMaxAgeMinutes * 60 * 1000) {
+      const maxAge = conditions.mfaMaxAgeMinutes;
+      return {
+        condition: CONDITION_CODES.MFA_FRESHNESS,
+        reason: `MFA verification within the last ${maxAge} minutes is required`,
+      };
+    }
+  }
+
+  if (conditions.regions) {
+    if (!conditions.regions.includes(context.region)) {
+      return {
+        condition: CONDITION_CODES.REGION,
+        reason: `Access is only allowed in regions ${conditions.regions.join(", ")}`,
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check the conditions of the user's custom role for a permission
+ *
+ * Conditions gate the permissions a custom role grants itself. Permissions it
+ * inherits from built-in roles, and platform admins, are not affected.
+ *
+ * @param {object} user - User object with role
+ * @param {string} permission - Permission being exercised
+ * @param {object} customRoles - Custom role definitions from tenant
+ * @param {object} context - Request attributes (see evaluateConditions)
+ * @returns {{ condition: string, reason: string, role: string }|null} Denial, or null
+ */
+export function checkAccessConditions(user, permission, customRoles = {}, context = {}) {
+  if (!user || user.is_platform_admin) {
+    return null;
+  }
+
+  const roleName = user.tenant_role || user.role || "observer";
+  const role = customRoles[roleName];
+  if (!role?.conditions) {
+    return null;
+  }
+
+  // Built-in inherited grants are unconditional
+  for (const parentRole of role.inherits || []) {
+    if (permissionMatches(getAllPermissions(parentRole, customRoles), permission)) {
+      return null;
+    }
+  }
+
+  const failure = evaluateConditions(role.conditions, context);
+  return failure ? { ...failure, role: roleName } : null;
+}
+
+/**
+ * Collect the attributes access conditions are evaluated against
+ *
+ * @param {object} req - Express request
+ * @returns {object} Condition context
+ */
+export function getConditionContext(req) {
+  return {
+    now: new Date(),
+    ip: getClientIpSecure(req),
+    mfaVerifiedAt: req.user?.mfa_last_verified_at || null,
+    region: CURRENT_REGION,
+  };
+}
+
+// ============================================================
+// PERMISSION EXPLANATION
+// ============================================================
+
+/**
+ * Find the inheritance path to the role that grants a permission directly
+ *
+ * @param {string} roleName - Role to start from
+ * @param {string} permission - Permission to look for
+ * @param {object} customRoles - Custom role definitions from tenant
+ * @param {Set} visited - Internal: track visited roles to prevent cycles
+ * @returns {string[]|null} Role names from roleName to the granting role, or null
+ */
+function findGrantPath(roleName, permission, customRoles, visited = new Set()) {
+  if (visited.has(roleName)) {
+    return null;
+  }
+  visited.add(roleName);
+
+  const role = customRoles[roleName] || ROLES[roleName];
+  if (!role) {
+    return null;
+  }
+
+  if (permissionMatches(role.permissions || [], permission)) {
+    return [roleName];
+  }
+
+  for (const parentRole of role.inherits || []) {
+    const path = findGrantPath(parentRole, permission, customRoles, visited);
+    if (path) {
+      return [roleName, ...path];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Explain how a permission check is decided for a user
+ *
+ * Mirrors can() followed by the access-condition check in requirePermission,
+ * recording each step so admins can see which rule allowed or denied access.
+ *
+ * @param {object} user - User object with role and optional resource_permissions
+ * @param {string} permission - Permission to check
+ * @param {object} resource - Optional resource for resource-level permission check
+ * @param {object} customRoles - Custom role definitions from tenant
+ * @param {object} context - Request attributes for access conditions
+ * @returns {{ permission: string, allowed: boolean, decidedBy: string, steps: object[] }}
+ */
+export function explainPermission(
+  user,
+  permission,
+  resource = null,
+  customRoles = {},
+  context = {},
+) {
+  const steps = [];
+  const decide = (allowed, decidedBy) => ({ permission, allowed, decidedBy, steps });
+
+  if (Array.isArray(user.api_key_permissions)) {
+    const allowed = permissionMatches(user.api_key_permissions, permission);
+    steps.push({
+      check: "api_key",
+      result: allowed ? "pass" : "deny",
+      detail: allowed
+        ? "API key permissions include this permission"
+        : `API key is limited to ${user.api_key_permissions.join(", ") || "no permissions"}`,
+    });
+    if (!allowed) {
+      return decide(false, "api_key");
+    }
+  }
+
+  if (user.is_platform_admin) {
+    steps.push({
+      check: "platform_admin",
+      result: "allow",
+      detail: "Platform admins have all permissions",
+    });
+    return decide(true, "platform_admin");
+  }
+
+  const roleName = user.tenant_role || user.role || "observer";
+  const roleType = ROLES[roleName] ? "built-in" : customRoles[roleName] ? "custom" : "unknown";
+  const grantPath = findGrantPath(roleName, permission, customRoles);
+
+  steps.push({
+    check: "role",
+    result: grantPath ? "allow" : "skip",
+    role: roleName,
+    roleType,
+    grantedBy: grantPath ? grantPath[grantPath.length - 1] : null,
+    inheritancePath: grantPath,
+    detail: grantPath
+      ? `Granted by ${grantPath.join(" → ")}`
+      : roleType === "unknown"
+        ? `Role "${roleName}" is not defined in this tenant`
+        : `Role "${roleName}" does not grant ${permission}`,
+  });
+
+  if (grantPath) {
+    const denial = checkAccessConditions(user, permission, customRoles, context);
+    const conditions = customRoles[roleName]?.conditions;
+    if (conditions) {
+      steps.push({
+        check: "conditions",
+        result: denial ? "deny" : "pass",
+        role: roleName,
+        conditions,
+        condition: denial?.condition || null,
+        detail: denial
+          ? denial.reason
+          : grantPath.length > 1
+            ? "Inherited from a built-in role, conditions do not apply"
+            : "All conditions satisfied",
+      });
+    }
+    return denial ? decide(false, "conditions") : decide(true, "role");
+  }
+
+  if (resource) {
+    const resourcePerms = user.resource_permissions?.[resource.id];
+    const simplePerm = permission.split(".").pop();
+    const allowed =
+      Array.isArray(resourcePerms) &&
+      (resourcePerms.includes(simplePerm) || resourcePerms.includes(permission));
+
+    steps.push({
+      check: "resource_permissions",
+      result: allowed ? "allow" : "skip",
+      resourceId: resource.id,
+      granted: resourcePerms || [],
+      detail: allowed
+        ? `Resource-level grant includes ${simplePerm}`
+        : "No resource-level grant for this permission",
+    });
+    if (allowed) {
+      return decide(true, "resource_permissions");
+    }
+  }
+
+  return decide(false, "none");
+}
+
 // ============================================================
 // EXPRESS MIDDLEWARE FACTORIES
 // ============================================================
@@ -367,6 +835,23 @@ export function requirePermission(permission) {
       });
     }
 
+    const denial = checkAccessConditions(
+      req.user,
+      permission,
+      customRoles,
+      getConditionContext(req),
+    );
+    if (denial) {
+      return res.status(403).json({
+        error: `Permission denied: ${denial.reason}`,
+        code: "CONDITION_NOT_MET",
+        required: permission,
+        condition: denial.condition,
+        reason: denial.reason,
+        role: denial.role,
+      });
+    }
+
     // Attach custom roles to request for later use
     req.customRoles = customRoles;
     next();
@@ -398,6 +883,22 @@ export function requireAnyPermission(permissions) {
       });
     }
 
+    // At least one granted permission must also satisfy the role's conditions
+    const context = getConditionContext(req);
+    const denials = permissions
+      .filter((p) => can(req.user, p, null, customRoles))
+      .map((p) => checkAccessConditions(req.user, p, customRoles, context));
+    if (denials.every(Boolean)) {
+      return res.status(403).json({
+        error: `Permission denied: ${denials[0].reason}`,
+        code: "CONDITION_NOT_MET",
+        required: permissions,
+        condition: denials[0].condition,
+        reason: denials[0].reason,
+        role: denials[0].role,
+      });
+    }
+
     req.customRoles = customRoles;
     next();
   };
@@ -430,11 +931,50 @@ export function requireAllPermissions(permissions) {
       });
     }
 
+    const context = getConditionContext(req);
+    const denial = permissions
+      .map((p) => checkAccessConditions(req.user, p, customRoles, context))
+      .find(Boolean);
+    if (denial) {
+      return res.status(403).json({
+        error: `Permission denied: ${denial.reason}`,
+        code: "CONDITION_NOT_MET",
+        required: permissions,
+        condition: denial.condition,
+        reason: denial.reason,
+        role: denial.role,
+      });
+    }
+
     req.customRoles = customRoles;
     next();
   };
 }
 
+/**
+ * Middleware factory restricting API keys that carry explicit permissions
+ *
+ * Unlike requirePermission, requests authenticated by session (or by a key
+ * without explicit permissions) pass through unchanged, so this can guard
+ * routes whose access is otherwise decided by group membership or admin checks.
+ *
+ * @param {string} permission - Permission the key must carry
+ * @returns {Function} Express middleware
+ */
+export function requireApiKeyPermission(permission) {
+  return (req, res, next) => {
+    if (!apiKeyAllows(req.user?.api_key_permissions, permission)) {
+      return res.status(403).json({
+        error: `API key permission denied: ${permission} required`,
+        code: "API_KEY_PERMISSION_DENIED",
+        required: permission,
+      });
+    }
+
+    next();
+  };
+}
+
 /**
  * Middleware factory to require a specific role or higher
  *
@@ -480,7 +1020,7 @@ async function loadCustomRoles(tenantId) {
 
   try {
     const result = await query(
-      `SELECT name, permissions, inherits
+      `SELECT name, permissions, inherits, conditions
        FROM tenant_roles
        WHERE tenant_id = $1 AND deleted_at IS NULL`,
       [tenantId],
@@ -491,6 +1031,7 @@ async function loadCustomRoles(tenantId) {
       customRoles[row.name] = {
         permissions: row.permissions || [],
         inherits: row.inherits || [],
+        conditions: row.conditions || null,
       };
     }
 
@@ -521,6 +1062,22 @@ async function canUseCustomRoles(tenantId) {
   }
 }
 
+/**
+ * Validate the roles a custom role inherits from
+ * Custom roles can only inherit from built-in roles
+ *
+ * @param {string[]} inherits - Array of role names to inherit from
+ */
+function validateInherits(inherits) {
+  for (const inheritRole of inherits) {
+    if (!ROLES[inheritRole]) {
+      const error = new Error(`Cannot inherit from unknown role: ${inheritRole}`);
+      error.code = "INVALID_INHERITANCE";
+      throw error;
+    }
+  }
+}
+
 /**
  * Create a custom role for a tenant
  *
@@ -529,6 +1086,7 @@ async function canUseCustomRoles(tenantId) {
  * @param {string[]} permissions - Array of permission strings
  * @param {string[]} inherits - Array of role names to inherit from
  * @param {string} createdBy - User ID who created the role
+ * @param {object|null} conditions - Optional access conditions (see validateConditions)
  * @returns {Promise<object>} Created role
  */
 export async function createCustomRole(
@@ -537,6 +1095,7 @@ export async function createCustomRole(
   permissions,
   inherits = [],
   createdBy = null,
+  conditions = null,
 ) {
   // Validate enterprise plan
   if (!(await canUseCustomRoles(tenantId))) {
@@ -570,21 +1129,21 @@ export async function createCustomRole(
     throw error;
   }
 
-  // Validate inherits (must be valid role names)
-  for (const inheritRole of inherits) {
-    if (!ROLES[inheritRole] && inheritRole !== name) {
-      // Custom roles can only inherit from built-in roles
-      const error = new Error(`Cannot inherit from unknown role: ${inheritRole}`);
-      error.code = "INVALID_INHERITANCE";
-      throw error;
-    }
-  }
+  validateInherits(inherits);
+  const normalizedConditions = validateConditions(conditions);
 
   const result = await query(
-    `INSERT INTO tenant_roles (tenant_id, name, permissions, inherits, created_by)
-     VALUES ($1, $2, $3, $4, $5)
+    `INSERT INTO tenant_roles (tenant_id, name, permissions, inherits, conditions, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
      RETURNING *`,
-    [tenantId, name, JSON.stringify(permissions), JSON.stringify(inherits), createdBy],
+    [
+      tenantId,
+      name,
+      JSON.stringify(permissions),
+      JSON.stringify(inherits),
+      normalizedConditions && JSON.stringify(normalizedConditions),
+      createdBy,
+    ],
   );
 
   return result.rows[0];
@@ -607,7 +1166,7 @@ export async function updateCustomRole(tenantId, roleId, updates) {
     throw error;
   }
 
-  const { permissions, inherits, description } = updates;
+  const { permissions, inherits, description, conditions } = updates;
 
   // Validate permissions if provided
   if (permissions) {
@@ -619,6 +1178,10 @@ export async function updateCustomRole(tenantId, roleId, updates) {
     }
   }
 
+  if (inherits) {
+    validateInherits(inherits);
+  }
+
   // Build update query
   const setClauses = ["updated_at = NOW()"];
   const params = [tenantId, roleId];
@@ -642,6 +1205,14 @@ export async function updateCustomRole(tenantId, roleId, updates) {
     paramIndex++;
   }
 
+  // null clears the conditions
+  if (conditions !== undefined) {
+    const normalizedConditions = validateConditions(conditions);
+    setClauses.push(`conditions = $${paramIndex}`);
+    params.push(normalizedConditions && JSON.stringify(normalizedConditions));
+    paramIndex++;
+  }
+
   const result = await query(
     `UPDATE tenant_roles
      SET ${setClauses.join(", ")}
@@ -677,8 +1248,10 @@ export async function deleteCustomRole(tenantId, roleId) {
 
   // Check if any users have this role assigned
   const usageResult = await query(
-    `SELECT COUNT(*) as count FROM tenant_user_roles
-     WHERE tenant_id = $1 AND role_id = $2`,
+    `SELECT COUNT(*) as count
+     FROM users u
+     JOIN tenant_roles r ON r.tenant_id = u.tenant_id AND r.name = u.tenant_role
+     WHERE r.tenant_id = $1 AND r.id = $2 AND r.deleted_at IS NULL`,
     [tenantId, roleId],
   );
 
@@ -713,7 +1286,7 @@ export async function deleteCustomRole(tenantId, roleId) {
  */
 export async function listCustomRoles(tenantId) {
   const result = await query(
-    `SELECT id, name, description, permissions, inherits, created_at, updated_at
+    `SELECT id, name, description, permissions, inherits, conditions, created_at, updated_at
      FROM tenant_roles
      WHERE tenant_id = $1 AND deleted_at IS NULL
      ORDER BY name`,
@@ -732,7 +1305,7 @@ export async function listCustomRoles(tenantId) {
  */
 export async function getCustomRole(tenantId, roleId) {
   const result = await query(
-    `SELECT id, name, description, permissions, inherits, created_at, updated_at
+    `SELECT id, name, description, permissions, inherits, conditions, created_at, updated_at
      FROM tenant_roles
      WHERE tenant_id = $1 AND id = $2 AND deleted_at IS NULL`,
     [tenantId, roleId],
@@ -778,6 +1351,28 @@ export async function assignUserRole(tenantId, userId, role, assignedBy = null)
     throw error;
   }
 
+  // Record the assignment history, revoking whatever the user held before
+  await query(
+    `UPDATE tenant_user_roles
+     SET revoked_at = NOW()
+     WHERE tenant_id = $1 AND user_id = $2 AND role_name <> $3 AND revoked_at IS NULL`,
+    [tenantId, userId, role],
+  );
+  await query(
+    `INSERT INTO tenant_user_roles (tenant_id, user_id, role_id, role_name, assigned_by)
+     VALUES (
+       $1, $2,
+       (SELECT id FROM tenant_roles WHERE tenant_id = $1 AND name = $3 AND deleted_at IS NULL),
+       $3, $4
+     )
+     ON CONFLICT (tenant_id, user_id, role_name) DO UPDATE
+     SET role_id = EXCLUDED.role_id,
+         assigned_by = EXCLUDED.assigned_by,
+         assigned_at = NOW(),
+         revoked_at = NULL`,
+    [tenantId, userId, role, assignedBy],
+  );
+
   return result.rows[0];
 }
 
@@ -890,11 +1485,15 @@ export function getBuiltInRoles() {
  * Check if a user can manage another user's role
  * (Users cannot assign roles higher than their own)
  *
+ * Custom roles are assignable when the actor could assign every built-in role
+ * the custom role inherits and already holds every permission it grants.
+ *
  * @param {object} actor - User performing the action
  * @param {string} targetRole - Role to assign
+ * @param {object} customRoles - Optional custom role definitions from tenant
  * @returns {boolean} True if actor can assign the role
  */
-export function canAssignRole(actor, targetRole) {
+export function canAssignRole(actor, targetRole, customRoles = {}) {
   if (!actor) return false;
 
   // Platform admins can assign any role
@@ -902,6 +1501,22 @@ export function canAssignRole(actor, targetRole) {
 
   // Get actor's role level
   const actorRole = actor.tenant_role || actor.role || "member";
+
+  if (!ROLES[targetRole] && customRoles[targetRole]) {
+    if (targetRole === actorRole) {
+      return false;
+    }
+
+    const inherits = customRoles[targetRole].inherits || [];
+    if (!inherits.every((role) => canAssignRole(actor, role))) {
+      return false;
+    }
+
+    return getAllPermissions(targetRole, customRoles).every((perm) =>
+      can(actor, perm, null, customRoles),
+    );
+  }
+
   const actorIndex = ROLE_HIERARCHY.indexOf(actorRole);
   const targetIndex = ROLE_HIERARCHY.indexOf(targetRole);
 
@@ -925,6 +1540,7 @@ export default {
 
   // Permission computation
   getAllPermissions,
+  isValidPermission,
 
   // Permission checking
   can,
@@ -933,10 +1549,22 @@ export default {
   hasRole,
   compareRoles,
 
+  // Access conditions
+  CONDITION_CODES,
+  validateConditions,
+  evaluateConditions,
+  checkAccessConditions,
+  getConditionContext,
+
+  // Permission explanation
+  explainPermission,
+
   // Middleware
   requirePermission,
   requireAnyPermission,
   requireAllPermissions,
+  requireApiKeyPermission,
+  apiKeyAllows,
   requireRole,
 
   // Custom roles
@@ -13,6 +13,12 @@ import {
   compareRoles,
   getBuiltInRoles,
   canAssignRole,
+  isValidPermission,
+  requireApiKeyPermission,
+  validateConditions,
+  evaluateConditions,
+  checkAccessConditions,
+  CONDITION_CODES,
 } from "./rbac.js";
 
 describe("RBAC Module", () => {
@@ -159,6 +165,86 @@ describe("RBAC Module", () => {
       expect(can(user, "resources.read")).toBe(true);
       expect(can(user, "users.manage")).toBe(false);
     });
+
+    it("should restrict API key users to the key's explicit permissions", () => {
+      const user = { tenant_role: "admin", api_key_permissions: ["audit.export", "groups.view"] };
+      expect(can(user, "audit.export")).toBe(true);
+      expect(can(user, "groups.view")).toBe(true);
+      expect(can(user, "groups.delete")).toBe(false);
+      expect(can(user, "users.manage")).toBe(false);
+    });
+
+    it("should not let API key permissions exceed the user's role", () => {
+      const user = { tenant_role: "observer", api_key_permissions: ["groups.*"] };
+      expect(can(user, "groups.view")).toBe(true);
+      expect(can(user, "groups.manage")).toBe(false);
+    });
+
+    it("should apply API key permissions to resource-level grants", () => {
+      const user = {
+        tenant_role: "observer",
+        api_key_permissions: ["resources.read"],
+        resource_permissions: { "resource-123": ["write"] },
+      };
+      expect(can(user, "resources.write", { id: "resource-123" })).toBe(false);
+    });
+
+    it("should use role permissions when the key has no explicit permissions", () => {
+      const user = { tenant_role: "admin", api_key_permissions: null };
+      expect(can(user, "users.manage")).toBe(true);
+    });
+  });
+
+  describe("isValidPermission", () => {
+    it("should accept catalog permissions and wildcards", () => {
+      expect(isValidPermission("audit.export")).toBe(true);
+      expect(isValidPermission("groups.*")).toBe(true);
+      expect(isValidPermission("*")).toBe(true);
+    });
+
+    it("should reject unknown permissions", () => {
+      expect(isValidPermission("groups.destroy")).toBe(false);
+      expect(isValidPermission("nothing.*")).toBe(false);
+      expect(isValidPermission(null)).toBe(false);
+    });
+  });
+
+  describe("requireApiKeyPermission", () => {
+    function createRes() {
+      const res = {};
+      res.status = vi.fn().mockReturnValue(res);
+      res.json = vi.fn().mockReturnValue(res);
+      return res;
+    }
+
+    it("should pass through session-authenticated users", () => {
+      const next = vi.fn();
+      requireApiKeyPermission("audit.export")(
+        { user: { tenant_role: "member" } },
+        createRes(),
+        next,
+      );
+      expect(next).toHaveBeenCalled();
+    });
+
+    it("should allow keys carrying the permission", () => {
+      const next = vi.fn();
+      const req = { user: { api_key_permissions: ["audit.*"] } };
+      requireApiKeyPermission("audit.export")(req, createRes(), next);
+      expect(next).toHaveBeenCalled();
+    });
+
+    it("should reject keys without the permission", () => {
+      const next = vi.fn();
+      const res = createRes();
+      const req = { user: { api_key_permissions: ["audit.export"] } };
+      requireApiKeyPermission("groups.manage")(req, res, next);
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ code: "API_KEY_PERMISSION_DENIED", required: "groups.manage" }),
+      );
+    });
   });
 
   describe("canAny", () => {
@@ -287,6 +373,183 @@ describe("RBAC Module", () => {
       expect(canAssignRole(member, "member")).toBe(false);
       expect(canAssignRole(member, "admin")).toBe(false);
     });
+
+    describe("custom roles", () => {
+      const customRoles = {
+        auditor: { permissions: ["audit.view", "audit.export"], inherits: ["observer"] },
+        billing: { permissions: ["billing.manage"], inherits: ["member"] },
+        lead: { permissions: ["groups.manage"], inherits: ["admin"] },
+      };
+
+      it("should allow assigning custom roles within the actor's permissions", () => {
+        const admin = { tenant_role: "admin" };
+        expect(canAssignRole(admin, "auditor", customRoles)).toBe(true);
+      });
+
+      it("should not allow granting permissions the actor lacks", () => {
+        const admin = { tenant_role: "admin" };
+        expect(canAssignRole(admin, "billing", customRoles)).toBe(false);
+        expect(canAssignRole({ tenant_role: "owner" }, "billing", customRoles)).toBe(true);
+      });
+
+      it("should not allow inheriting a built-in role the actor cannot assign", () => {
+        const admin = { tenant_role: "admin" };
+        expect(canAssignRole(admin, "lead", customRoles)).toBe(false);
+        expect(canAssignRole({ tenant_role: "owner" }, "lead", customRoles)).toBe(true);
+      });
+
+      it("should not allow assigning the actor's own custom role", () => {
+        const auditor = { tenant_role: "auditor" };
+        expect(canAssignRole(auditor, "auditor", customRoles)).toBe(false);
+      });
+
+      it("should reject custom roles that are not defined", () => {
+        expect(canAssignRole({ tenant_role: "owner" }, "auditor")).toBe(false);
+      });
+    });
+  });
+
+  describe("access conditions", () => {
+    // Wednesday 2026-01-07 10:30 UTC
+    const wednesdayMorning = new Date("2026-01-07T10:30:00Z");
+
+    describe("validateConditions", () => {
+      it("should normalize valid conditions", () => {
+        expect(
+          validateConditions({
+            timeWindows: [{ days: [5, 1, 1], start: "09:00", end: "17:00" }],
+            ipRanges: [" 10.0.0.0/8 "],
+            mfaMaxAgeMinutes: 15,
+            regions: ["eu-west"],
+          }),
+        ).toEqual({
+          timeWindows: [{ days: [1, 5], start: "09:00", end: "17:00", timezone: "UTC" }],
+          ipRanges: ["10.0.0.0/8"],
+          mfaMaxAgeMinutes: 15,
+          regions: ["eu-west"],
+        });
+      });
+
+      it("should treat empty conditions as none", () => {
+        expect(validateConditions(null)).toBeNull();
+        expect(validateConditions({})).toBeNull();
+      });
+
+      it.each([
+        [{ timeWindows: [{ start: "9am", end: "17:00" }] }],
+        [{ timeWindows: [{ start: "09:00", end: "17:00", timezone: "Mars/Olympus" }] }],
+        [{ timeWindows: [{ days: [7], start: "09:00", end: "17:00" }] }],
+        [{ ipRanges: ["10.0.0.0/33"] }],
+        [{ mfaMaxAgeMinutes: 0 }],
+        [{ regions: ["moon-1"] }],
+        [{ deviceTrust: true }],
+      ])("should reject %j", (conditions) => {
+        expect(() => validateConditions(conditions)).toThrow(
+          expect.objectContaining({ code: "INVALID_CONDITIONS" }),
+        );
+      });
+    });
+
+    describe("evaluateConditions", () => {
+      it("should allow requests inside a time window", () => {
+        const conditions = validateConditions({
+          timeWindows: [{ days: [1, 2, 3, 4, 5], start: "09:00", end: "17:00" }],
+        });
+        expect(evaluateConditions(conditions, { now: wednesdayMorning })).toBeNull();
+      });
+
+      it("should evaluate time windows in their timezone", () => {
+        // 10:30 UTC is 05:30 in New York
+        const conditions = validateConditions({
+          timeWindows: [{ start: "09:00", end: "17:00", timezone: "America/New_York" }],
+        });
+        expect(evaluateConditions(conditions, { now: wednesdayMorning })).toMatchObject({
+          condition: CONDITION_CODES.TIME_WINDOW,
+        });
+      });
+
+      it("should support windows that wrap past midnight", () => {
+        const conditions = validateConditions({ timeWindows: [{ start: "22:00", end: "11:00" }] });
+        expect(evaluateConditions(conditions, { now: wednesdayMorning })).toBeNull();
+      });
+
+      it("should reject requests on excluded days", () => {
+        const conditions = validateConditions({
+          timeWindows: [{ days: [0, 6], start: "00:00", end: "23:59" }],
+        });
+        expect(evaluateConditions(conditions, { now: wednesdayMorning })).toMatchObject({
+          condition: CONDITION_CODES.TIME_WINDOW,
+        });
+      });
+
+      it("should match source IPs against CIDR ranges", () => {
+        const conditions = { ipRanges: ["10.0.0.0/8", "2001:db8::/32"] };
+        expect(evaluateConditions(conditions, { ip: "10.1.2.3" })).toBeNull();
+        expect(evaluateConditions(conditions, { ip: "2001:db8::1" })).toBeNull();
+
+        const denial = evaluateConditions(conditions, { ip: "203.0.113.5" });
+        expect(denial.condition).toBe(CONDITION_CODES.IP_RANGE);
+        expect(denial.reason).toContain("203.0.113.5");
+      });
+
+      it("should require recent MFA verification", () => {
+        const conditions = { mfaMaxAgeMinutes: 15 };
+        const recent = new Date(wednesdayMorning.getTime() - 5 * 60 * 1000);
+        const stale = new Date(wednesdayMorning.getTime() - 60 * 60 * 1000);
+
+        expect(
+          evaluateConditions(conditions, { now: wednesdayMorning, mfaVerifiedAt: recent }),
+        ).toBeNull();
+        expect(
+          evaluateConditions(conditions, { now: wednesdayMorning, mfaVerifiedAt: stale }),
+        ).toMatchObject({ condition: CONDITION_CODES.MFA_FRESHNESS });
+        expect(evaluateConditions(conditions, { now: wednesdayMorning })).toMatchObject({
+          condition: CONDITION_CODES.MFA_FRESHNESS,
+        });
+      });
+
+      it("should restrict the serving region", () => {
+        const conditions = { regions: ["eu-west", "eu-central"] };
+        expect(evaluateConditions(conditions, { region: "eu-west" })).toBeNull();
+        expect(evaluateConditions(conditions, { region: "us-east" })).toMatchObject({
+          condition: CONDITION_CODES.REGION,
+        });
+      });
+    });
+
+    describe("checkAccessConditions", () => {
+      const customRoles = {
+        auditor: {
+          permissions: ["audit.view", "audit.export"],
+          inherits: ["observer"],
+          conditions: { ipRanges: ["10.0.0.0/8"] },
+        },
+      };
+      const auditor = { tenant_role: "auditor" };
+      const outside = { ip: "203.0.113.5" };
+
+      it("should gate the role's own permissions", () => {
+        expect(checkAccessConditions(auditor, "audit.export", customRoles, outside)).toEqual(
+          expect.objectContaining({ condition: CONDITION_CODES.IP_RANGE, role: "auditor" }),
+        );
+        expect(
+          checkAccessConditions(auditor, "audit.export", customRoles, { ip: "10.0.0.1" }),
+        ).toBeNull();
+      });
+
+      it("should not gate permissions inherited from built-in roles", () => {
+        expect(checkAccessConditions(auditor, "resources.read", customRoles, outside)).toBeNull();
+      });
+
+      it("should ignore built-in roles and platform admins", () => {
+        const admin = { tenant_role: "admin" };
+        const platformAdmin = { tenant_role: "auditor", is_platform_admin: true };
+        expect(checkAccessConditions(admin, "audit.export", customRoles, outside)).toBeNull();
+        expect(
+          checkAccessConditions(platformAdmin, "audit.export", customRoles, outside),
+        ).toBeNull();
+      });
+    });
   });
 
   describe("ALL_PERMISSIONS", () => {
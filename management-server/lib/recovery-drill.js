@@ -0,0 +1,272 @@
+// Recovery drills and recovery-method health checks
+// A drill asks every social recovery contact to confirm they can still help.
+// Nothing is reconstructed: shards stay encrypted and are only checked to decrypt.
+import { recoveryMethods, recoveryContacts, recoveryDrills, decrypt } from "../db/index.js";
+import { triggerAlert, ALERT_EVENTS } from "./alerting.js";
+import { sendRecoveryDrillEmail } from "./email.js";
+import {
+  assessSocialRecoveryHealth,
+  createRecoveryToken,
+  hashRecoveryToken,
+  RecoveryMethodType,
+  RECOVERY_DRILL_INTERVAL_MS,
+} from "./recovery.js";
+
+// How long contacts have to confirm a drill
+export const RECOVERY_DRILL_EXPIRY_MS = 14 * 24 * 60 * 60 * 1000;
+
+// How often the reminder job looks for overdue drills
+const DRILL_REMINDER_CHECK_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+let reminderInterval = null;
+
+function drillError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Recovery health for a user: social contacts, hardware key and the latest drill
+ * @param {string} userId - User ID
+ * @returns {Promise<{ social: Object|null, hardware: Object|null, latestDrill: Object|null }>}
+ */
+export async function getRecoveryHealth(userId) {
+  const socialMethod = await recoveryMethods.findByUserAndType(userId, RecoveryMethodType.SOCIAL);
+  const hardwareMethod = await recoveryMethods.findByUserAndType(
+    userId,
+    RecoveryMethodType.HARDWARE,
+  );
+
+  let social = null;
+  if (socialMethod?.enabled) {
+    const config = JSON.parse(decrypt(socialMethod.config_encrypted));
+    const rows = await recoveryContacts.listForHealthCheck(userId);
+    social = assessSocialRecoveryHealth({
+      recoveryId: config.recoveryId,
+      threshold: config.threshold,
+      contacts: rows.map((row) => ({
+        email: row.contact_email,
+        name: row.contact_name,
+        encryptedShard: JSON.parse(decrypt(row.shard_encrypted)),
+        accountDeleted: row.account_deleted,
+        bouncedAt: row.bounced_at,
+        lastConfirmedAt: row.last_confirmed_at,
+      })),
+    });
+  }
+
+  let hardware = null;
+  if (hardwareMethod?.enabled) {
+    const verifiedAt = hardwareMethod.last_verified_at
+      ? new Date(hardwareMethod.last_verified_at)
+      : null;
+    hardware = {
+      configured: true,
+      lastVerifiedAt: verifiedAt ? verifiedAt.toISOString() : null,
+      verificationDue:
+        !verifiedAt || Date.now() - verifiedAt.getTime() > RECOVERY_DRILL_INTERVAL_MS,
+    };
+  }
+
+  const drill = await recoveryDrills.findLatestForUser(userId);
+  const latestDrill = drill
+    ? {
+        id: drill.id,
+        status: drill.status,
+        createdAt: drill.created_at,
+        expiresAt: drill.expires_at,
+        completedAt: drill.completed_at,
+        responses: (await recoveryDrills.listResponses(drill.id)).map((r) => ({
+          email: r.contact_email,
+          delivery: r.delivery_status,
+          confirmedAt: r.confirmed_at,
+        })),
+      }
+    : null;
+
+  return { social, hardware, latestDrill };
+}
+
+/**
+ * Start a recovery drill: email every social recovery contact a confirmation link.
+ * Contacts whose address is rejected by the email provider are marked as bounced.
+ * @param {Object} user - User running the drill ({ id, name, email })
+ * @returns {Promise<{ drillId: string, expiresAt: Date, sent: number, bounced: string[],
+ *   failed: string[] }>}
+ */
+export async function startRecoveryDrill(user) {
+  const config = await recoveryMethods.getDecryptedConfig(user.id, RecoveryMethodType.SOCIAL);
+  if (!config) {
+    throw drillError("Social recovery not configured", "SOCIAL_RECOVERY_NOT_CONFIGURED");
+  }
+  if (await recoveryDrills.findActiveForUser(user.id)) {
+    throw drillError("A recovery drill is already in progress", "DRILL_IN_PROGRESS");
+  }
+
+  const contacts = await recoveryContacts.listForUser(user.id);
+  const tokens = contacts.map((contact) => ({
+    contact,
+    token: createRecoveryToken(),
+  }));
+
+  const expiresAt = new Date(Date.now() + RECOVERY_DRILL_EXPIRY_MS);
+  const drill = await recoveryDrills.create({
+    userId: user.id,
+    recoveryId: config.recoveryId,
+    expiresAt,
+    contacts: tokens.map(({ contact, token }) => ({
+      contactEmail: contact.contact_email,
+      tokenHash: hashRecoveryToken(token),
+    })),
+  });
+
+  const summary = { drillId: drill.id, expiresAt, sent: 0, bounced: [], failed: [] };
+
+  for (const { contact, token } of tokens) {
+    const result = await sendRecoveryDrillEmail({
+      to: contact.contact_email,
+      contactName: contact.contact_name,
+      userName: user.name || user.email,
+      confirmToken: token,
+      expiresAt,
+    });
+
+    if (result.sent) {
+      summary.sent++;
+      await recoveryDrills.setDeliveryStatus(drill.id, contact.contact_email, "sent");
+      await recoveryContacts.markNotified(contact.id);
+    } else if (result.rejected) {
+      summary.bounced.push(contact.contact_email);
+      await recoveryDrills.setDeliveryStatus(
+        drill.id,
+        contact.contact_email,
+        "bounced",
+        result.error,
+      );
+      await recoveryContacts.markBounced(user.id, contact.contact_email);
+    } else {
+      summary.failed.push(contact.contact_email);
+      await recoveryDrills.setDeliveryStatus(
+        drill.id,
+        contact.contact_email,
+        "failed",
+        result.error || "Email not configured",
+      );
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Confirm a drill on behalf of a contact (from the emailed link)
+ * @param {string} token - Confirmation token
+ * @returns {Promise<{ userId: string, userName: string, contactEmail: string,
+ *   drillCompleted: boolean }>}
+ */
+export async function confirmRecoveryDrill(token) {
+  const response = await recoveryDrills.findResponseByTokenHash(hashRecoveryToken(token));
+  if (
+    !response ||
+    response.drill_status !== "pending" ||
+    new Date(response.expires_at).getTime() < Date.now()
+  ) {
+    throw drillError("Invalid or expired drill link", "DRILL_NOT_FOUND");
+  }
+
+  await recoveryDrills.confirmResponse(response.id);
+  await recoveryContacts.markConfirmed(response.user_id, response.contact_email);
+
+  const remaining = await recoveryDrills.countUnconfirmed(response.drill_id);
+  if (remaining === 0) {
+    await recoveryDrills.complete(response.drill_id);
+    await recoveryMethods.markVerified(response.user_id, RecoveryMethodType.SOCIAL);
+  }
+
+  return {
+    userId: response.user_id,
+    userName: response.user_name || response.user_email,
+    contactEmail: response.contact_email,
+    drillCompleted: remaining === 0,
+  };
+}
+
+// ============================================================
+// REMINDERS
+// ============================================================
+
+/**
+ * Expire stale drills and alert users whose social recovery has not been
+ * drilled within RECOVERY_DRILL_INTERVAL_MS
+ * @param {number} [now] - Current time in ms
+ * @returns {Promise<{ expired: number, reminded: number }>}
+ */
+export async function runRecoveryDrillReminders(now = Date.now()) {
+  const expired = await recoveryDrills.expireOld();
+  const cutoff = new Date(now - RECOVERY_DRILL_INTERVAL_MS);
+  const due = await recoveryMethods.listDueForDrill(RecoveryMethodType.SOCIAL, cutoff);
+
+  let reminded = 0;
+  for (const { user_id: userId } of due) {
+    try {
+      const health = await getRecoveryHealth(userId);
+      await triggerAlert({
+        eventType: health.social?.healthy
+          ? ALERT_EVENTS.RECOVERY_DRILL_DUE
+          : ALERT_EVENTS.RECOVERY_AT_RISK,
+        userId,
+        title: health.social?.healthy ? "Recovery check due" : "Social recovery at risk",
+        message: health.social?.healthy
+          ? "Run a recovery drill to confirm your trusted contacts can still help you recover."
+          : "Too few of your trusted contacts can still help you recover. Rotate your shards.",
+        metadata: {
+          usableContacts: health.social?.usableContacts,
+          threshold: health.social?.threshold,
+        },
+      });
+      await recoveryMethods.markDrillReminded(userId, RecoveryMethodType.SOCIAL);
+      reminded++;
+    } catch (err) {
+      console.error(`[recovery-drill] Reminder failed for ${userId}:`, err.message);
+    }
+  }
+
+  return { expired: expired.length, reminded };
+}
+
+/**
+ * Start the periodic drill reminder job
+ * @param {number} [intervalMs] - Check interval
+ */
+export function startRecoveryDrillReminders(intervalMs = DRILL_REMINDER_CHECK_INTERVAL_MS) {
+  if (reminderInterval) {
+    return;
+  }
+
+  reminderInterval = setInterval(() => {
+    runRecoveryDrillReminders().catch((err) => {
+      console.error("[recovery-drill] Reminder run failed:", err.message);
+    });
+  }, intervalMs);
+  reminderInterval.unref(); // Don't prevent process exit
+}
+
+/**
+ * Stop the periodic drill reminder job
+ */
+export function stopRecoveryDrillReminders() {
+  if (reminderInterval) {
+    clearInterval(reminderInterval);
+    reminderInterval = null;
+  }
+}
+
+export default {
+  getRecoveryHealth,
+  startRecoveryDrill,
+  confirmRecoveryDrill,
+  runRecoveryDrillReminders,
+  startRecoveryDrillReminders,
+  stopRecoveryDrillReminders,
+};
@@ -0,0 +1,243 @@
+// Tests for recovery drills and reminders
+import crypto from "crypto";
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("../db/index.js", () => ({
+  recoveryMethods: {
+    findByUserAndType: vi.fn(),
+    getDecryptedConfig: vi.fn(),
+    markVerified: vi.fn(),
+    listDueForDrill: vi.fn(),
+    markDrillReminded: vi.fn(),
+  },
+  recoveryContacts: {
+    listForUser: vi.fn(),
+    listForHealthCheck: vi.fn(),
+    markNotified: vi.fn(),
+    markBounced: vi.fn(),
+    markConfirmed: vi.fn(),
+  },
+  recoveryDrills: {
+    create: vi.fn(),
+    findActiveForUser: vi.fn(),
+    findLatestForUser: vi.fn(),
+    listResponses: vi.fn(),
+    findResponseByTokenHash: vi.fn(),
+    setDeliveryStatus: vi.fn(),
+    confirmResponse: vi.fn(),
+    countUnconfirmed: vi.fn(),
+    complete: vi.fn(),
+    expireOld: vi.fn(),
+  },
+  decrypt: (value) => value.replace(/^enc:/, ""),
+}));
+
+vi.mock("./email.js", () => ({
+  sendRecoveryDrillEmail: vi.fn(),
+}));
+
+vi.mock("./alerting.js", () => ({
+  triggerAlert: vi.fn(),
+  ALERT_EVENTS: {
+    RECOVERY_DRILL_DUE: "recovery.drill_due",
+    RECOVERY_AT_RISK: "recovery.at_risk",
+  },
+}));
+
+import { recoveryMethods, recoveryContacts, recoveryDrills } from "../db/index.js";
+import { triggerAlert, ALERT_EVENTS } from "./alerting.js";
+import { sendRecoveryDrillEmail } from "./email.js";
+import {
+  startRecoveryDrill,
+  confirmRecoveryDrill,
+  runRecoveryDrillReminders,
+} from "./recovery-drill.js";
+import { setupSocialRecovery, hashRecoveryToken, RecoveryMethodType } from "./recovery.js";
+
+const user = { id: "user-1", name: "Owner", email: "owner@example.com" };
+
+const contacts = [
+  { id: "c1", contact_email: "a@example.com", contact_name: "A" },
+  { id: "c2", contact_email: "b@example.com", contact_name: "B" },
+  { id: "c3", contact_email: "c@example.com", contact_name: "C" },
+];
+
+describe("startRecoveryDrill", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    recoveryMethods.getDecryptedConfig.mockResolvedValue({ recoveryId: "rec-1", threshold: 2 });
+    recoveryDrills.findActiveForUser.mockResolvedValue(null);
+    recoveryDrills.create.mockResolvedValue({ id: "drill-1" });
+    recoveryContacts.listForUser.mockResolvedValue(contacts);
+  });
+
+  it("should refuse when social recovery is not configured", async () => {
+    recoveryMethods.getDecryptedConfig.mockResolvedValue(null);
+
+    await expect(startRecoveryDrill(user)).rejects.toMatchObject({
+      code: "SOCIAL_RECOVERY_NOT_CONFIGURED",
+    });
+  });
+
+  it("should refuse while another drill is in progress", async () => {
+    recoveryDrills.findActiveForUser.mockResolvedValue({ id: "drill-0" });
+
+    await expect(startRecoveryDrill(user)).rejects.toMatchObject({ code: "DRILL_IN_PROGRESS" });
+    expect(recoveryDrills.create).not.toHaveBeenCalled();
+  });
+
+  it("should email each contact and record bounces", async () => {
+    sendRecoveryDrillEmail
+      .mockResolvedValueOnce({ sent: true })
+      .mockResolvedValueOnce({ sent: false, rejected: true, error: "Mailbox does not exist" })
+      .mockResolvedValueOnce({ sent: false });
+
+    const result = await startRecoveryDrill(user);
+
+    expect(result).toMatchObject({
+      drillId: "drill-1",
+      sent: 1,
+      bounced: ["b@example.com"],
+      failed: ["c@example.com"],
+    });
+
+    // Only hashes of the emailed tokens are stored
+    const [{ contacts: stored }] = recoveryDrills.create.mock.calls[0];
+    const emailedToken = sendRecoveryDrillEmail.mock.calls[0][0].confirmToken;
+    expect(stored[0].tokenHash).toBe(hashRecoveryToken(emailedToken));
+
+    expect(recoveryContacts.markNotified).toHaveBeenCalledWith("c1");
+    expect(recoveryContacts.markBounced).toHaveBeenCalledWith(user.id, "b@example.com");
+    expect(recoveryDrills.setDeliveryStatus).toHaveBeenCalledWith(
+      "drill-1",
+      "b@example.com",
+      "bounced",
+      "Mailbox does not exist",
+    );
+  });
+});
+
+describe("confirmRecoveryDrill", () => {
+  const response = {
+    id: "response-1",
+    drill_id: "drill-1",
+    user_id: user.id,
+    user_name: user.name,
+    contact_email: "a@example.com",
+    drill_status: "pending",
+    expires_at: new Date(Date.now() + 60_000),
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    recoveryDrills.findResponseByTokenHash.mockResolvedValue(response);
+  });
+
+  it("should reject unknown and expired tokens", async () => {
+    recoveryDrills.findResponseByTokenHash.mockResolvedValueOnce(null);
+    await expect(confirmRecoveryDrill("nope")).rejects.toMatchObject({ code: "DRILL_NOT_FOUND" });
+
+    recoveryDrills.findResponseByTokenHash.mockResolvedValueOnce({
+      ...response,
+      expires_at: new Date(Date.now() - 1000),
+    });
+    await expect(confirmRecoveryDrill("old")).rejects.toMatchObject({ code: "DRILL_NOT_FOUND" });
+    expect(recoveryDrills.confirmResponse).not.toHaveBeenCalled();
+  });
+
+  it("should record the confirmation without completing the drill", async () => {
+    recoveryDrills.countUnconfirmed.mockResolvedValue(2);
+
+    const result = await confirmRecoveryDrill("token");
+
+    expect(result).toEqual({
+      userId: user.id,
+      userName: user.name,
+      contactEmail: "a@example.com",
+      drillCompleted: false,
+    });
+    expect(recoveryContacts.markConfirmed).toHaveBeenCalledWith(user.id, "a@example.com");
+    expect(recoveryDrills.complete).not.toHaveBeenCalled();
+  });
+
+  it("should complete the drill and mark social recovery verified", async () => {
+    recoveryDrills.countUnconfirmed.mockResolvedValue(0);
+
+    const result = await confirmRecoveryDrill("token");
+
+    expect(result.drillCompleted).toBe(true);
+    expect(recoveryDrills.complete).toHaveBeenCalledWith("drill-1");
+    expect(recoveryMethods.markVerified).toHaveBeenCalledWith(user.id, RecoveryMethodType.SOCIAL);
+  });
+});
+
+describe("runRecoveryDrillReminders", () => {
+  const setup = setupSocialRecovery(
+    crypto.randomBytes(32),
+    contacts.map((c) => ({ email: c.contact_email, name: c.contact_name })),
+    2,
+  );
+
+  function healthRows(overrides = {}) {
+    return setup.contacts.map((c) => ({
+      contact_email: c.email,
+      contact_name: c.name,
+      shard_encrypted: `enc:${JSON.stringify(c.encryptedShard)}`,
+      account_deleted: false,
+      bounced_at: null,
+      last_confirmed_at: null,
+      ...overrides[c.email],
+    }));
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    recoveryDrills.expireOld.mockResolvedValue([]);
+    recoveryDrills.findLatestForUser.mockResolvedValue(null);
+    recoveryMethods.listDueForDrill.mockResolvedValue([{ user_id: user.id }]);
+    recoveryMethods.findByUserAndType.mockImplementation(async (_userId, type) =>
+      type === RecoveryMethodType.SOCIAL
+        ? {
+            enabled: true,
+            config_encrypted: `enc:${JSON.stringify({
+              recoveryId: setup.recoveryId,
+              threshold: 2,
+            })}`,
+          }
+        : null,
+    );
+  });
+
+  it("should remind users whose contacts are still usable", async () => {
+    recoveryContacts.listForHealthCheck.mockResolvedValue(healthRows());
+
+    const result = await runRecoveryDrillReminders();
+
+    expect(result).toEqual({ expired: 0, reminded: 1 });
+    expect(triggerAlert).toHaveBeenCalledWith(
+      expect.objectContaining({ eventType: ALERT_EVENTS.RECOVERY_DRILL_DUE, userId: user.id }),
+    );
+    expect(recoveryMethods.markDrillReminded).toHaveBeenCalledWith(
+      user.id,
+      RecoveryMethodType.SOCIAL,
+    );
+  });
+
+  it("should warn when too few contacts can still help", async () => {
+    recoveryContacts.listForHealthCheck.mockResolvedValue(
+      healthRows({
+        "a@example.com": { account_deleted: true },
+        "b@example.com": { bounced_at: new Date() },
+      }),
+    );
+
+    await runRecoveryDrillReminders();
+
+    expect(triggerAlert).toHaveBeenCalledWith(
+      expect.objectContaining({
+        eventType: ALERT_EVENTS.RECOVERY_AT_RISK,
+        metadata: { usableContacts: 1, threshold: 2 },
+      }),
+    );
+  });
+});
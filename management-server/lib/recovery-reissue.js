@@ -0,0 +1,148 @@
+// Store and re-issue recovery material
+// Social shards and the hardware backup key both wrap the vault seed, so when a
+// password change rotates the seed they are regenerated for the same setup.
+// Shard rotation to a new contact set goes through storeSocialRecovery as well.
+import {
+  users,
+  recoveryMethods,
+  recoveryContacts,
+  recoveryRequests,
+  recoveryDrills,
+  encrypt,
+} from "../db/index.js";
+import {
+  setupSocialRecovery,
+  generateHardwareBackupKey,
+  setupHardwareRecovery,
+  RecoveryMethodType,
+} from "./recovery.js";
+
+/**
+ * Split the seed for a contact set and replace the user's stored shards and config
+ * @param {string} userId - User ID
+ * @param {Buffer} seed - Vault seed
+ * @param {Array<{email: string, name: string}>} contacts - Trusted contacts
+ * @param {number} threshold - Shards needed to recover
+ * @returns {Promise<{ recoveryId: string, threshold: number, totalShares: number }>}
+ */
+export async function storeSocialRecovery(userId, seed, contacts, threshold) {
+  const socialSetup = setupSocialRecovery(seed, contacts, threshold);
+
+  await recoveryContacts.deleteForUser(userId);
+  for (const contact of socialSetup.contacts) {
+    // Remember the contact's account so drills can report it if it is deleted later
+    const contactUser = await users.findByEmail(contact.email);
+    await recoveryContacts.create({
+      userId,
+      recoveryId: socialSetup.recoveryId,
+      contactEmail: contact.email,
+      contactName: contact.name,
+      shareIndex: contact.shareIndex,
+      shardEncrypted: encrypt(JSON.stringify(contact.encryptedShard)),
+      contactUserId: contactUser?.id || null,
+    });
+  }
+
+  await recoveryMethods.create({
+    userId,
+    methodType: RecoveryMethodType.SOCIAL,
+    configEncrypted: encrypt(
+      JSON.stringify({
+        recoveryId: socialSetup.recoveryId,
+        threshold: socialSetup.threshold,
+        totalShares: socialSetup.totalShares,
+        createdAt: socialSetup.createdAt,
+      }),
+    ),
+    enabled: true,
+  });
+
+  // Drills in flight refer to the old shards
+  await recoveryDrills.cancelForUser(userId);
+
+  return {
+    recoveryId: socialSetup.recoveryId,
+    threshold: socialSetup.threshold,
+    totalShares: socialSetup.totalShares,
+  };
+}
+
+/**
+ * Re-split social recovery shards for the user's existing contacts and threshold
+ * @param {string} userId - User ID
+ * @param {Buffer} seed - New vault seed
+ * @returns {Promise<{ recoveryId: string, threshold: number, totalShares: number }|null>}
+ *   Null if social recovery is not configured
+ */
+async function reissueSocialRecovery(userId, seed) {
+  const config = await recoveryMethods.getDecryptedConfig(userId, RecoveryMethodType.SOCIAL);
+  if (!config) {
+    return null;
+  }
+
+  const contacts = (await recoveryContacts.listForUser(userId)).map((contact) => ({
+    email: contact.contact_email,
+    name: contact.contact_name,
+  }));
+  return storeSocialRecovery(userId, seed, contacts, config.threshold);
+}
+
+/**
+ * Generate a new hardware backup key wrapping the new seed
+ * @param {string} userId - User ID
+ * @param {Buffer} seed - New vault seed
+ * @returns {Promise<string|null>} New backup key (shown once), or null if not configured
+ */
+async function reissueHardwareRecovery(userId, seed) {
+  const config = await recoveryMethods.getDecryptedConfig(userId, RecoveryMethodType.HARDWARE);
+  if (!config) {
+    return null;
+  }
+
+  const { backupKey, keyBytes } = generateHardwareBackupKey();
+  const hardwareRecovery = await setupHardwareRecovery(seed, keyBytes);
+
+  await recoveryMethods.create({
+    userId,
+    methodType: RecoveryMethodType.HARDWARE,
+    configEncrypted: encrypt(
+      JSON.stringify({
+        encryptedSeed: hardwareRecovery.encryptedSeed,
+        keyHash: hardwareRecovery.keyHash,
+        createdAt: hardwareRecovery.createdAt,
+      }),
+    ),
+    enabled: true,
+  });
+
+  return backupKey;
+}
+
+/**
+ * Re-issue every configured recovery method for a new vault seed.
+ * Pending social recovery requests are cancelled because their shards no longer match.
+ * @param {string} userId - User ID
+ * @param {Buffer} seed - New vault seed
+ * @returns {Promise<{
+ *   social: { recoveryId: string, threshold: number, totalShares: number }|null,
+ *   hardwareBackupKey: string|null,
+ *   cancelledRequestId: string|null
+ * }>}
+ */
+export async function reissueRecoveryMaterial(userId, seed) {
+  const social = await reissueSocialRecovery(userId, seed);
+  const hardwareBackupKey = await reissueHardwareRecovery(userId, seed);
+
+  const activeRequest = await recoveryRequests.findActiveForUser(userId);
+  if (activeRequest) {
+    await recoveryRequests.cancel(activeRequest.id);
+  }
+
+  return {
+    social,
+    hardwareBackupKey,
+    cancelledRequestId: activeRequest?.id || null,
+  };
+}
+
+export default { storeSocialRecovery, reissueRecoveryMaterial };
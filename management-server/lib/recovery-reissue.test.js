@@ -0,0 +1,147 @@
+// Tests for re-issuing recovery material after a seed change
+import crypto from "crypto";
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("../db/index.js", () => ({
+  users: {
+    findByEmail: vi.fn(),
+  },
+  recoveryMethods: {
+    getDecryptedConfig: vi.fn(),
+    create: vi.fn(),
+  },
+  recoveryContacts: {
+    listForUser: vi.fn(),
+    deleteForUser: vi.fn(),
+    create: vi.fn(),
+  },
+  recoveryRequests: {
+    findActiveForUser: vi.fn(),
+    cancel: vi.fn(),
+  },
+  recoveryDrills: {
+    cancelForUser: vi.fn(),
+  },
+  encrypt: (value) => `enc:${value}`,
+}));
+
+import {
+  users,
+  recoveryMethods,
+  recoveryContacts,
+  recoveryRequests,
+  recoveryDrills,
+} from "../db/index.js";
+import { storeSocialRecovery, reissueRecoveryMaterial } from "./recovery-reissue.js";
+import {
+  decryptContactShard,
+  recoverSeedFromShards,
+  recoverWithHardwareKey,
+  RecoveryMethodType,
+} from "./recovery.js";
+
+const userId = "user-1";
+
+const contacts = [
+  { contact_email: "a@example.com", contact_name: "A" },
+  { contact_email: "b@example.com", contact_name: "B" },
+  { contact_email: "c@example.com", contact_name: "C" },
+];
+
+function decode(value) {
+  return JSON.parse(value.replace(/^enc:/, ""));
+}
+
+describe("reissueRecoveryMaterial", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    recoveryMethods.getDecryptedConfig.mockResolvedValue(null);
+    recoveryContacts.listForUser.mockResolvedValue(contacts);
+    recoveryRequests.findActiveForUser.mockResolvedValue(null);
+    users.findByEmail.mockResolvedValue(null);
+  });
+
+  it("should do nothing when no recovery methods are configured", async () => {
+    const result = await reissueRecoveryMaterial(userId, crypto.randomBytes(32));
+
+    expect(result).toEqual({ social: null, hardwareBackupKey: null, cancelledRequestId: null });
+    expect(recoveryContacts.deleteForUser).not.toHaveBeenCalled();
+    expect(recoveryMethods.create).not.toHaveBeenCalled();
+  });
+
+  it("should re-split social shards for the same contacts and threshold", async () => {
+    const seed = crypto.randomBytes(32);
+    recoveryMethods.getDecryptedConfig.mockImplementation(async (_userId, type) =>
+      type === RecoveryMethodType.SOCIAL ? { recoveryId: "old", threshold: 2 } : null,
+    );
+
+    const { social } = await reissueRecoveryMaterial(userId, seed);
+
+    expect(social).toMatchObject({ threshold: 2, totalShares: 3 });
+    expect(social.recoveryId).not.toBe("old");
+    expect(recoveryContacts.deleteForUser).toHaveBeenCalledWith(userId);
+    expect(recoveryContacts.create).toHaveBeenCalledTimes(3);
+
+    const shards = recoveryContacts.create.mock.calls.slice(0, 2).map(([row]) => ({
+      shard: decryptContactShard(social.recoveryId, row.contactEmail, decode(row.shardEncrypted)),
+    }));
+    expect(recoverSeedFromShards(shards).equals(seed)).toBe(true);
+  });
+
+  it("should issue a new hardware backup key for the new seed", async () => {
+    const seed = crypto.randomBytes(32);
+    recoveryMethods.getDecryptedConfig.mockImplementation(async (_userId, type) =>
+      type === RecoveryMethodType.HARDWARE ? { keyHash: "old" } : null,
+    );
+
+    const { hardwareBackupKey } = await reissueRecoveryMaterial(userId, seed);
+
+    expect(hardwareBackupKey).toBeTruthy();
+    const [{ methodType, configEncrypted }] = recoveryMethods.create.mock.calls[0];
+    expect(methodType).toBe(RecoveryMethodType.HARDWARE);
+
+    const config = decode(configEncrypted);
+    const recovered = await recoverWithHardwareKey(hardwareBackupKey, config.encryptedSeed);
+    expect(recovered.equals(seed)).toBe(true);
+  });
+
+  it("should cancel a pending recovery request", async () => {
+    recoveryRequests.findActiveForUser.mockResolvedValue({ id: "request-1" });
+
+    const result = await reissueRecoveryMaterial(userId, crypto.randomBytes(32));
+
+    expect(result.cancelledRequestId).toBe("request-1");
+    expect(recoveryRequests.cancel).toHaveBeenCalledWith("request-1");
+  });
+});
+
+describe("storeSocialRecovery", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("should link contacts to their accounts and cancel pending drills", async () => {
+    users.findByEmail.mockImplementation(async (email) =>
+      email === "b@example.com" ? { id: "contact-user-b" } : null,
+    );
+
+    const result = await storeSocialRecovery(
+      userId,
+      crypto.randomBytes(32),
+      [
+        { email: "a@example.com", name: "A" },
+        { email: "B@example.com", name: "B" },
+        { email: "c@example.com", name: "C" },
+      ],
+      2,
+    );
+
+    expect(result).toMatchObject({ threshold: 2, totalShares: 3 });
+    const rows = recoveryContacts.create.mock.calls.map(([row]) => row);
+    expect(rows.find((row) => row.contactEmail === "b@example.com").contactUserId).toBe(
+      "contact-user-b",
+    );
+    expect(rows.find((row) => row.contactEmail === "a@example.com").contactUserId).toBeNull();
+    expect(recoveryDrills.cancelForUser).toHaveBeenCalledWith(userId);
+  });
+});
@@ -113,6 +113,23 @@ export function decryptContactShard(recoveryId, contactEmail, encryptedShard) {
   return shardBuffer.toString("utf8");
 }
 
+/**
+ * Check that a stored contact shard still decrypts and decodes, without
+ * combining it with any other shard
+ * @param {string} recoveryId - Recovery setup ID
+ * @param {string} contactEmail - Contact email
+ * @param {Object} encryptedShard - Encrypted shard as stored
+ * @returns {boolean}
+ */
+export function verifyContactShard(recoveryId, contactEmail, encryptedShard) {
+  try {
+    const share = decodeShare(decryptContactShard(recoveryId, contactEmail, encryptedShard));
+    return Boolean(share && share.x > 0);
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Combine shards to recover the vault seed
  * @param {Array<{shard: string}>} shards - Array of decrypted shards (base64)
@@ -235,6 +252,24 @@ export async function recoverWithHardwareKey(backupKey, encryptedSeed) {
   return decrypt(encryptionKey, nonce, tag, ciphertext);
 }
 
+/**
+ * Check a hardware backup key against the stored key hash (the seed is not decrypted)
+ * @param {string} backupKey - The formatted backup key
+ * @param {string} keyHash - keyHash from setupHardwareRecovery
+ * @returns {boolean}
+ */
+export function verifyHardwareBackupKey(backupKey, keyHash) {
+  let keyBytes;
+  try {
+    keyBytes = base32Decode(backupKey.replace(/-/g, ""));
+  } catch {
+    return false;
+  }
+  const actual = crypto.createHash("sha256").update(keyBytes).digest();
+  const expected = Buffer.from(keyHash, "base64");
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
 // ============================================================
 // BASE32 ENCODING (RFC 4648)
 // ============================================================
@@ -287,6 +322,85 @@ function base32Decode(str) {
   return Buffer.from(bytes);
 }
 
+// ============================================================
+// RECOVERY HEALTH
+// ============================================================
+
+// Contacts should confirm they can still help at least this often
+export const RECOVERY_DRILL_INTERVAL_MS = 90 * 24 * 60 * 60 * 1000;
+
+/**
+ * Health of a single social recovery contact
+ */
+export const ContactHealth = {
+  OK: "ok", // Confirmed within the drill interval
+  STALE: "stale", // Confirmed, but not within the drill interval
+  UNCONFIRMED: "unconfirmed", // Never confirmed
+  BOUNCED: "bounced", // Email could not be delivered
+  ACCOUNT_DELETED: "account_deleted", // Contact's OCMT account no longer exists
+  SHARD_INVALID: "shard_invalid", // Stored shard no longer decrypts
+};
+
+const UNUSABLE_CONTACT_HEALTH = new Set([
+  ContactHealth.BOUNCED,
+  ContactHealth.ACCOUNT_DELETED,
+  ContactHealth.SHARD_INVALID,
+]);
+
+/**
+ * Assess whether social recovery can still succeed
+ * @param {Object} params
+ * @param {string} params.recoveryId - Recovery setup ID
+ * @param {number} params.threshold - Shards needed to recover
+ * @param {Array<{email: string, name: string, encryptedShard: Object, accountDeleted?: boolean,
+ *   bouncedAt?: Date|string|null, lastConfirmedAt?: Date|string|null}>} params.contacts
+ * @param {number} [params.now] - Current time in ms
+ * @returns {Object} Health summary; healthy is false once fewer than threshold contacts remain
+ */
+export function assessSocialRecoveryHealth({ recoveryId, threshold, contacts, now = Date.now() }) {
+  const assessed = contacts.map((contact) => {
+    const lastConfirmed = contact.lastConfirmedAt ? new Date(contact.lastConfirmedAt) : null;
+    let status;
+    if (!verifyContactShard(recoveryId, contact.email, contact.encryptedShard)) {
+      status = ContactHealth.SHARD_INVALID;
+    } else if (contact.accountDeleted) {
+      status = ContactHealth.ACCOUNT_DELETED;
+    } else if (contact.bouncedAt) {
+      status = ContactHealth.BOUNCED;
+    } else if (!lastConfirmed) {
+      status = ContactHealth.UNCONFIRMED;
+    } else if (now - lastConfirmed.getTime() > RECOVERY_DRILL_INTERVAL_MS) {
+      status = ContactHealth.STALE;
+    } else {
+      status = ContactHealth.OK;
+    }
+
+    return {
+      email: contact.email,
+      name: contact.name,
+      status,
+      lastConfirmedAt: lastConfirmed ? lastConfirmed.toISOString() : null,
+    };
+  });
+
+  const usable = assessed.filter((c) => !UNUSABLE_CONTACT_HEALTH.has(c.status)).length;
+  const confirmed = assessed.filter((c) => c.status === ContactHealth.OK).length;
+
+  return {
+    healthy: usable >= threshold,
+    // One more lost contact would make recovery impossible
+    atRisk: usable <= threshold,
+    threshold,
+    totalContacts: assessed.length,
+    usableContacts: usable,
+    confirmedContacts: confirmed,
+    drillDue: assessed.some(
+      (c) => c.status === ContactHealth.UNCONFIRMED || c.status === ContactHealth.STALE,
+    ),
+    contacts: assessed,
+  };
+}
+
 // ============================================================
 // RECOVERY SESSION MANAGEMENT
 // ============================================================
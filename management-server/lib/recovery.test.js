@@ -7,9 +7,14 @@ import {
   generateHardwareBackupKey,
   setupHardwareRecovery,
   recoverWithHardwareKey,
+  verifyContactShard,
+  verifyHardwareBackupKey,
+  assessSocialRecoveryHealth,
   createRecoveryToken,
   hashRecoveryToken,
-  RecoveryMethodType
+  ContactHealth,
+  RecoveryMethodType,
+  RECOVERY_DRILL_INTERVAL_MS
 } from './recovery.js';
 
 describe('Recovery Methods', () => {
@@ -302,4 +307,118 @@ describe('Recovery Methods', () => {
       });
     });
   });
+
+  describe('Recovery Health', () => {
+    const testSeed = crypto.randomBytes(32);
+    const setup = setupSocialRecovery(testSeed, [
+      { email: 'alice@example.com', name: 'Alice' },
+      { email: 'bob@example.com', name: 'Bob' },
+      { email: 'carol@example.com', name: 'Carol' }
+    ], 2);
+    const now = Date.now();
+
+    function contactsWith(overrides = {}) {
+      return setup.contacts.map((c) => ({
+        email: c.email,
+        name: c.name,
+        encryptedShard: c.encryptedShard,
+        lastConfirmedAt: new Date(now - 1000),
+        ...overrides[c.email]
+      }));
+    }
+
+    describe('verifyContactShard', () => {
+      it('should accept a shard that decrypts for the contact', () => {
+        const contact = setup.contacts[0];
+        const valid = verifyContactShard(setup.recoveryId, contact.email, contact.encryptedShard);
+        expect(valid).toBe(true);
+      });
+
+      it('should reject a shard checked against the wrong contact', () => {
+        const contact = setup.contacts[0];
+        const valid = verifyContactShard(setup.recoveryId, 'bob@example.com', contact.encryptedShard);
+        expect(valid).toBe(false);
+      });
+    });
+
+    describe('verifyHardwareBackupKey', () => {
+      it('should match the key it was generated with', async () => {
+        const { backupKey, keyBytes } = generateHardwareBackupKey();
+        const { keyHash } = await setupHardwareRecovery(testSeed, keyBytes);
+
+        expect(verifyHardwareBackupKey(backupKey, keyHash)).toBe(true);
+        expect(verifyHardwareBackupKey(generateHardwareBackupKey().backupKey, keyHash)).toBe(false);
+        expect(verifyHardwareBackupKey('not-a-key!', keyHash)).toBe(false);
+      });
+    });
+
+    describe('assessSocialRecoveryHealth', () => {
+      it('should report a recently confirmed contact set as healthy', () => {
+        const health = assessSocialRecoveryHealth({
+          recoveryId: setup.recoveryId,
+          threshold: 2,
+          contacts: contactsWith(),
+          now
+        });
+
+        expect(health.healthy).toBe(true);
+        expect(health.atRisk).toBe(false);
+        expect(health.usableContacts).toBe(3);
+        expect(health.confirmedContacts).toBe(3);
+        expect(health.drillDue).toBe(false);
+      });
+
+      it('should flag bounced and deleted contacts as unusable', () => {
+        const health = assessSocialRecoveryHealth({
+          recoveryId: setup.recoveryId,
+          threshold: 2,
+          contacts: contactsWith({
+            'alice@example.com': { bouncedAt: new Date(now) },
+            'bob@example.com': { accountDeleted: true }
+          }),
+          now
+        });
+
+        expect(health.contacts.map((c) => c.status)).toEqual([
+          ContactHealth.BOUNCED,
+          ContactHealth.ACCOUNT_DELETED,
+          ContactHealth.OK
+        ]);
+        expect(health.usableContacts).toBe(1);
+        expect(health.healthy).toBe(false);
+        expect(health.atRisk).toBe(true);
+      });
+
+      it('should mark unconfirmed and stale contacts as due for a drill', () => {
+        const health = assessSocialRecoveryHealth({
+          recoveryId: setup.recoveryId,
+          threshold: 2,
+          contacts: contactsWith({
+            'alice@example.com': { lastConfirmedAt: null },
+            'bob@example.com': {
+              lastConfirmedAt: new Date(now - RECOVERY_DRILL_INTERVAL_MS - 1000)
+            }
+          }),
+          now
+        });
+
+        expect(health.contacts[0].status).toBe(ContactHealth.UNCONFIRMED);
+        expect(health.contacts[1].status).toBe(ContactHealth.STALE);
+        expect(health.usableContacts).toBe(3);
+        expect(health.drillDue).toBe(true);
+      });
+
+      it('should detect shards stored under another recovery ID', () => {
+        const health = assessSocialRecoveryHealth({
+          recoveryId: 'other-recovery-id',
+          threshold: 2,
+          contacts: contactsWith(),
+          now
+        });
+
+        expect(health.contacts.every((c) => c.status === ContactHealth.SHARD_INVALID)).toBe(true);
+        expect(health.healthy).toBe(false);
+      });
+    });
+  });
 });
@@ -4,8 +4,9 @@
  *
  * Provides SAML 2.0 authentication for enterprise tenants:
  * - Per-tenant SAML strategy creation
- * - SP metadata generation
- * - SAML assertion validation
+ * - SP metadata generation (signing and encryption certificates)
+ * - SAML assertion validation (optionally requiring encrypted assertions)
+ * - Single Logout message validation and IdP session tracking
  * - Attribute mapping (SAML attributes to user fields)
  * - JIT (Just-In-Time) user provisioning
  * - Group membership from SAML assertions
@@ -26,26 +27,60 @@ const BASE_URL = process.env.BASE_URL || "http://localhost:3000";
 const SP_PRIVATE_KEY_PATH = process.env.SAML_PRIVATE_KEY_PATH;
 const SP_CERTIFICATE_PATH = process.env.SAML_CERTIFICATE_PATH;
 
-// Load SP credentials if available
-let spPrivateKey = null;
-let spCertificate = null;
+// Optional separate key pair for assertion encryption (defaults to the signing pair)
+const SP_ENCRYPTION_PRIVATE_KEY_PATH = process.env.SAML_ENCRYPTION_PRIVATE_KEY_PATH;
+const SP_ENCRYPTION_CERTIFICATE_PATH = process.env.SAML_ENCRYPTION_CERTIFICATE_PATH;
 
-if (SP_PRIVATE_KEY_PATH && fs.existsSync(SP_PRIVATE_KEY_PATH)) {
+/**
+ * Load a PEM file if configured, logging (not throwing) on failure
+ */
+function loadPem(filePath, label) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return null;
+  }
   try {
-    spPrivateKey = fs.readFileSync(SP_PRIVATE_KEY_PATH, "utf8");
-    console.log("[saml] Loaded SP private key");
+    const pem = fs.readFileSync(filePath, "utf8");
+    console.log(`[saml] Loaded ${label}`);
+    return pem;
   } catch (err) {
-    console.warn("[saml] Failed to load SP private key:", err.message);
+    console.warn(`[saml] Failed to load ${label}:`, err.message);
+    return null;
   }
 }
 
-if (SP_CERTIFICATE_PATH && fs.existsSync(SP_CERTIFICATE_PATH)) {
-  try {
-    spCertificate = fs.readFileSync(SP_CERTIFICATE_PATH, "utf8");
-    console.log("[saml] Loaded SP certificate");
-  } catch (err) {
-    console.warn("[saml] Failed to load SP certificate:", err.message);
-  }
+// Load SP credentials if available
+const spPrivateKey = loadPem(SP_PRIVATE_KEY_PATH, "SP private key");
+const spCertificate = loadPem(SP_CERTIFICATE_PATH, "SP certificate");
+const spEncryptionKey =
+  loadPem(SP_ENCRYPTION_PRIVATE_KEY_PATH, "SP encryption private key") || spPrivateKey;
+const spEncryptionCertificate =
+  loadPem(SP_ENCRYPTION_CERTIFICATE_PATH, "SP encryption certificate") || spCertificate;
+
+// Algorithms advertised in metadata for encrypted assertions
+const ENCRYPTION_METHODS = [
+  "http://www.w3.org/2009/xmlenc11#aes256-gcm",
+  "http://www.w3.org/2009/xmlenc11#aes128-gcm",
+  "http://www.w3.org/2001/04/xmlenc#aes256-cbc",
+  "http://www.w3.org/2001/04/xmlenc#rsa-oaep-mgf1p",
+];
+
+/**
+ * Whether AuthnRequests and LogoutRequests are signed for a tenant
+ * Requires the SP private key and tenant opt-in (settings.saml.signAuthnRequests).
+ *
+ * @param {object} samlConfig - tenant.settings.saml
+ * @returns {boolean}
+ */
+export function isRequestSigningEnabled(samlConfig = {}) {
+  return Boolean(spPrivateKey && samlConfig.signAuthnRequests);
+}
+
+/**
+ * Whether the SP can decrypt encrypted assertions
+ * @returns {boolean}
+ */
+export function isAssertionDecryptionAvailable() {
+  return Boolean(spEncryptionKey && spEncryptionCertificate);
 }
 
 // ============================================================
@@ -149,7 +184,7 @@ export function createSamlStrategy(tenant) {
     // Required settings
     entryPoint: samlConfig.entryPoint,
     issuer: samlConfig.issuer || `ocmt-${tenant.slug}`,
-    cert: samlConfig.cert || samlConfig.certificate,
+    idpCert: samlConfig.cert || samlConfig.certificate,
     callbackUrl: `${BASE_URL}/api/auth/saml/${tenant.slug}/callback`,
 
     // Optional security settings
@@ -158,9 +193,6 @@ export function createSamlStrategy(tenant) {
     signatureAlgorithm: samlConfig.signatureAlgorithm || "sha256",
     digestAlgorithm: samlConfig.digestAlgorithm || "sha256",
 
-    // Request signing (optional, requires SP private key)
-    authnRequestsSigned: Boolean(spPrivateKey && samlConfig.signAuthnRequests),
-
     // Logout settings
     logoutUrl: samlConfig.logoutUrl || null,
     logoutCallbackUrl: samlConfig.logoutUrl
@@ -179,15 +211,17 @@ export function createSamlStrategy(tenant) {
     audience: samlConfig.audience || samlConfig.issuer || `ocmt-${tenant.slug}`,
   };
 
-  // Add SP private key for signing if available
-  if (spPrivateKey) {
+  // node-saml signs AuthnRequests and LogoutRequests whenever a private key is set
+  if (isRequestSigningEnabled(samlConfig)) {
     config.privateKey = spPrivateKey;
+    if (spCertificate) {
+      config.publicCert = spCertificate;
+    }
   }
 
-  // Add SP certificate for metadata generation if available
-  if (spCertificate) {
-    config.decryptionPvk = spPrivateKey;
-    config.cert = samlConfig.cert || samlConfig.certificate;
+  // Decrypt EncryptedAssertion (and encrypted NameIDs in LogoutRequests)
+  if (isAssertionDecryptionAvailable()) {
+    config.decryptionPvk = spEncryptionKey;
   }
 
   // Add any extra configuration from tenant settings
@@ -210,7 +244,8 @@ export function createSamlStrategy(tenant) {
  * - ACS (Assertion Consumer Service) URL and binding
  * - SLO (Single Logout) URL if configured
  * - NameID format
- * - SP certificate for signature verification (if available)
+ * - SP signing certificate (when AuthnRequests are signed)
+ * - SP encryption certificate and algorithms (when assertions can be decrypted)
  *
  * @param {object} tenant - Tenant object
  * @returns {string} SP metadata XML
@@ -221,29 +256,20 @@ export function generateSpMetadata(tenant) {
   const acsUrl = `${BASE_URL}/api/auth/saml/${tenant.slug}/callback`;
   const sloUrl = samlConfig.logoutUrl ? `${BASE_URL}/api/auth/saml/${tenant.slug}/logout` : null;
 
-  // Build certificate element if available
+  // Advertise the signing cert when requests are signed, and the encryption
+  // cert (with supported algorithms) whenever the SP can decrypt assertions
   let certElement = "";
-  if (spCertificate) {
-    // Clean certificate (remove headers and newlines for XML embedding)
-    const cleanCert = spCertificate
-      .replace(/-----BEGIN CERTIFICATE-----/g, "")
-      .replace(/-----END CERTIFICATE-----/g, "")
-      .replace(/\s/g, "");
-
-    certElement = `
-    <md:KeyDescriptor use="signing">
-      <ds:KeyInfo xmlns:ds="http://www.w3.org/2000/09/xmldsig#">
-        <ds:X509Data>
-          <ds:X509Certificate>${cleanCert}</ds:X509Certificate>
-        </ds:X509Data>
-      </ds:KeyInfo>
-    </md:KeyDescriptor>
-    <md:KeyDescriptor use="encryption">
-      <ds:KeyInfo xmlns:ds="http://www.w3.org/2000/09/xmldsig#">
-        <ds:X509Data>
-          <ds:X509Certificate>${cleanCert}</ds:X509Certificate>
-        </ds:X509Data>
-      </ds:KeyInfo>
+  if (isRequestSigningEnabled(samlConfig) && spCertificate) {
+    certElement += `
+    <md:KeyDescriptor use="signing">${keyInfoXml(spCertificate)}
+    </md:KeyDescriptor>`;
+  }
+  if (isAssertionDecryptionAvailable()) {
+    const methods = ENCRYPTION_METHODS.map(
+      (algorithm) => `\n      <md:EncryptionMethod Algorithm="${algorithm}"/>`,
+    ).join("");
+    certElement += `
+    <md:KeyDescriptor use="encryption">${keyInfoXml(spEncryptionCertificate)}${methods}
     </md:KeyDescriptor>`;
   }
 
@@ -266,8 +292,8 @@ export function generateSpMetadata(tenant) {
   xmlns:md="urn:oasis:names:tc:SAML:2.0:metadata"
   entityID="${escapeXml(entityId)}">
   <md:SPSSODescriptor
-    AuthnRequestsSigned="${Boolean(spPrivateKey && samlConfig.signAuthnRequests)}"
-    WantAssertionsSigned="true"
+    AuthnRequestsSigned="${isRequestSigningEnabled(samlConfig)}"
+    WantAssertionsSigned="${samlConfig.wantAssertionsSigned !== false}"
     protocolSupportEnumeration="urn:oasis:names:tc:SAML:2.0:protocol">
     ${certElement}
     ${sloElement}
@@ -298,11 +324,21 @@ export function generateSpMetadata(tenant) {
  *
  * @param {SAML} samlStrategy - SAML instance for the tenant
  * @param {string} samlResponse - Base64-encoded SAML response
+ * @param {object} [options]
+ * @param {boolean} [options.requireEncryptedAssertion=false] - Reject plaintext assertions
  * @returns {Promise<object>} Validated profile with user attributes
  * @throws {Error} If validation fails
  */
-export async function validateSamlAssertion(samlStrategy, samlResponse) {
+export async function validateSamlAssertion(
+  samlStrategy,
+  samlResponse,
+  { requireEncryptedAssertion = false } = {},
+) {
   try {
+    if (requireEncryptedAssertion && !isAssertionEncrypted(samlResponse)) {
+      throw new Error("assertion is not encrypted");
+    }
+
     const result = await samlStrategy.validatePostResponseAsync({
       SAMLResponse: samlResponse,
     });
@@ -318,6 +354,80 @@ export async function validateSamlAssertion(samlStrategy, samlResponse) {
   }
 }
 
+/**
+ * Check that a SAML response carries its assertion only in encrypted form
+ *
+ * @param {string} samlResponse - Base64-encoded SAML response
+ * @returns {boolean} True if there is an EncryptedAssertion and no plaintext Assertion
+ */
+export function isAssertionEncrypted(samlResponse) {
+  const xml = Buffer.from(samlResponse, "base64").toString("utf8");
+  const hasEncrypted = /<(?:[\w-]+:)?EncryptedAssertion[\s>]/.test(xml);
+  const hasPlaintext = /<(?:[\w-]+:)?Assertion[\s>]/.test(xml);
+  return hasEncrypted && !hasPlaintext;
+}
+
+// ============================================================
+// SINGLE LOGOUT
+// ============================================================
+
+/**
+ * Extract the IdP session identifiers that Single Logout needs
+ * Stored on the OCMT session created from this login.
+ *
+ * @param {object} tenant - Tenant the assertion was issued for
+ * @param {object} samlProfile - Validated SAML profile
+ * @returns {{ tenantId: string, nameId: string, nameIdFormat: string|null,
+ *   sessionIndex: string|null }}
+ */
+export function getSamlSessionInfo(tenant, samlProfile) {
+  return {
+    tenantId: tenant.id,
+    nameId: samlProfile.nameID,
+    nameIdFormat: samlProfile.nameIDFormat || null,
+    sessionIndex: samlProfile.sessionIndex || null,
+  };
+}
+
+/**
+ * Validate an incoming logout message on either binding
+ *
+ * HTTP-Redirect messages carry their signature in the query string; node-saml
+ * accepts unsigned ones, so a LogoutRequest without a Signature is rejected
+ * here. HTTP-POST LogoutRequests must carry an enveloped XML signature.
+ *
+ * @param {SAML} samlStrategy - SAML instance for the tenant
+ * @param {object} message
+ * @param {"redirect"|"post"} message.binding
+ * @param {object} message.params - Query (redirect) or form body (post)
+ * @param {string} [message.originalQuery] - Raw query string (redirect binding)
+ * @returns {Promise<{ type: "request"|"response", profile: object|null }>}
+ * @throws {Error} If the message is missing, unsigned or invalid
+ */
+export async function validateLogoutMessage(samlStrategy, { binding, params, originalQuery }) {
+  const { SAMLRequest, SAMLResponse } = params;
+
+  if (!SAMLRequest && !SAMLResponse) {
+    throw new Error("Missing SAML logout data");
+  }
+
+  if (binding === "redirect") {
+    if (SAMLRequest && !params.Signature) {
+      throw new Error("Unsigned logout request");
+    }
+    const result = await samlStrategy.validateRedirectAsync(params, originalQuery || "");
+    return { type: SAMLRequest ? "request" : "response", profile: result.profile };
+  }
+
+  if (SAMLRequest) {
+    const result = await samlStrategy.validatePostRequestAsync({ SAMLRequest });
+    return { type: "request", profile: result.profile };
+  }
+
+  const result = await samlStrategy.validatePostResponseAsync({ SAMLResponse });
+  return { type: "response", profile: result.profile };
+}
+
 // ============================================================
 // ATTRIBUTE MAPPING
 // ============================================================
@@ -459,6 +569,17 @@ export function validateSamlConfig(samlConfig) {
     errors.push("logoutUrl must be a valid HTTPS URL");
   }
 
+  // Request signing and assertion encryption need SP credentials on this server
+  if (samlConfig.signAuthnRequests && !spPrivateKey) {
+    errors.push("signAuthnRequests requires an SP private key (SAML_PRIVATE_KEY_PATH)");
+  }
+  if (samlConfig.requireEncryptedAssertions && !isAssertionDecryptionAvailable()) {
+    errors.push(
+      "requireEncryptedAssertions requires an SP encryption key and certificate " +
+        "(SAML_ENCRYPTION_PRIVATE_KEY_PATH/SAML_ENCRYPTION_CERTIFICATE_PATH or the signing pair)",
+    );
+  }
+
   // Signature algorithm validation
   const validAlgorithms = ["sha1", "sha256", "sha512"];
   if (samlConfig.signatureAlgorithm && !validAlgorithms.includes(samlConfig.signatureAlgorithm)) {
@@ -503,6 +624,8 @@ export async function testSamlConfig(tenant) {
       authUrl,
       issuer: tenant.settings.saml.issuer || `ocmt-${tenant.slug}`,
       acsUrl: `${BASE_URL}/api/auth/saml/${tenant.slug}/callback`,
+      requestsSigned: isRequestSigningEnabled(tenant.settings.saml),
+      encryptionAvailable: isAssertionDecryptionAvailable(),
     };
   } catch (err) {
     return {
@@ -531,6 +654,24 @@ function escapeXml(str) {
     .replace(/'/g, "&apos;");
 }
 
+/**
+ * KeyInfo element for a PEM certificate in SP metadata
+ */
+function keyInfoXml(certificate) {
+  // Strip PEM headers and whitespace for XML embedding
+  const cleanCert = certificate
+    .replace(/-----BEGIN CERTIFICATE-----/g, "")
+    .replace(/-----END CERTIFICATE-----/g, "")
+    .replace(/\s/g, "");
+
+  return `
+      <ds:KeyInfo xmlns:ds="http://www.w3.org/2000/09/xmldsig#">
+        <ds:X509Data>
+          <ds:X509Certificate>${cleanCert}</ds:X509Certificate>
+        </ds:X509Data>
+      </ds:KeyInfo>`;
+}
+
 /**
  * Validate URL format (must be HTTPS in production)
  */
@@ -620,9 +761,18 @@ export default {
 
   // Validation
   validateSamlAssertion,
+  isAssertionEncrypted,
   validateSamlConfig,
   testSamlConfig,
 
+  // Signing and encryption
+  isRequestSigningEnabled,
+  isAssertionDecryptionAvailable,
+
+  // Single logout
+  getSamlSessionInfo,
+  validateLogoutMessage,
+
   // Attribute mapping
   mapSamlAttributes,
   DEFAULT_ATTRIBUTE_MAPPING,
@@ -0,0 +1,199 @@
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+// Tests for SAML SSO helpers (signing, encryption and Single Logout)
+import { describe, it, expect, vi, beforeAll, afterAll } from "vitest";
+
+// Not parsed by these tests; only embedded in metadata and passed to node-saml
+const FAKE_CERT = `-----BEGIN CERTIFICATE-----\nMIIC${"A".repeat(200)}\n-----END CERTIFICATE-----`;
+
+let saml;
+let tmpDir;
+
+const tenant = (samlSettings = {}) => ({
+  id: "11111111-1111-1111-1111-111111111111",
+  slug: "acme",
+  name: "Acme",
+  settings: {
+    saml: {
+      entryPoint: "https://idp.example.com/sso",
+      cert: FAKE_CERT,
+      logoutUrl: "https://idp.example.com/slo",
+      ...samlSettings,
+    },
+  },
+});
+
+const encode = (xml) => Buffer.from(xml).toString("base64");
+
+describe("SAML", () => {
+  beforeAll(async () => {
+    // SP credentials are loaded at import time, so write them before importing
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "saml-test-"));
+    const { privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+    const keyPath = path.join(tmpDir, "sp.key");
+    const certPath = path.join(tmpDir, "sp.crt");
+    fs.writeFileSync(keyPath, privateKey.export({ type: "pkcs8", format: "pem" }));
+    fs.writeFileSync(certPath, FAKE_CERT);
+
+    vi.stubEnv("SAML_PRIVATE_KEY_PATH", keyPath);
+    vi.stubEnv("SAML_CERTIFICATE_PATH", certPath);
+    saml = await import("./saml.js");
+  });
+
+  afterAll(() => {
+    vi.unstubAllEnvs();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe("generateSpMetadata", () => {
+    it("should advertise the signing cert only when AuthnRequests are signed", () => {
+      const unsigned = saml.generateSpMetadata(tenant());
+      expect(unsigned).toContain('AuthnRequestsSigned="false"');
+      expect(unsigned).not.toContain('use="signing"');
+
+      const signed = saml.generateSpMetadata(tenant({ signAuthnRequests: true }));
+      expect(signed).toContain('AuthnRequestsSigned="true"');
+      expect(signed).toContain('<md:KeyDescriptor use="signing">');
+    });
+
+    it("should advertise the encryption cert with supported algorithms", () => {
+      const metadata = saml.generateSpMetadata(tenant());
+      expect(metadata).toContain('<md:KeyDescriptor use="encryption">');
+      expect(metadata).toContain(
+        '<md:EncryptionMethod Algorithm="http://www.w3.org/2009/xmlenc11#aes256-gcm"/>',
+      );
+      expect(metadata).toContain(`<ds:X509Certificate>MIIC${"A".repeat(200)}<`);
+    });
+
+    it("should advertise SLO on both bindings when configured", () => {
+      const metadata = saml.generateSpMetadata(tenant());
+      expect(metadata.match(/<md:SingleLogoutService/g)).toHaveLength(2);
+      expect(saml.generateSpMetadata(tenant({ logoutUrl: undefined }))).not.toContain(
+        "SingleLogoutService",
+      );
+    });
+  });
+
+  describe("createSamlStrategy", () => {
+    it("should sign AuthnRequests when enabled", async () => {
+      const url = new URL(
+        await saml
+          .createSamlStrategy(tenant({ signAuthnRequests: true }))
+          .getAuthorizeUrlAsync("", null, {}),
+      );
+      expect(url.searchParams.get("Signature")).toBeTruthy();
+      expect(url.searchParams.get("SigAlg")).toMatch(/rsa-sha256$/);
+    });
+
+    it("should not sign AuthnRequests by default", async () => {
+      const url = new URL(
+        await saml.createSamlStrategy(tenant()).getAuthorizeUrlAsync("", null, {}),
+      );
+      expect(url.searchParams.get("Signature")).toBeNull();
+    });
+  });
+
+  describe("validateSamlConfig", () => {
+    it("should accept signing and encryption settings when SP keys are loaded", () => {
+      const config = tenant({ signAuthnRequests: true, requireEncryptedAssertions: true });
+      expect(saml.validateSamlConfig(config.settings.saml)).toEqual({ valid: true, errors: [] });
+    });
+  });
+
+  describe("encrypted assertions", () => {
+    const plaintext = encode(
+      '<samlp:Response><saml:Assertion ID="a1"><saml:Subject/></saml:Assertion></samlp:Response>',
+    );
+    const encrypted = encode(
+      "<samlp:Response><saml:EncryptedAssertion><xenc:EncryptedData/>" +
+        "</saml:EncryptedAssertion></samlp:Response>",
+    );
+
+    it("should detect whether the assertion is encrypted", () => {
+      expect(saml.isAssertionEncrypted(encrypted)).toBe(true);
+      expect(saml.isAssertionEncrypted(plaintext)).toBe(false);
+    });
+
+    it("should reject plaintext assertions when encryption is required", async () => {
+      const strategy = { validatePostResponseAsync: vi.fn() };
+      await expect(
+        saml.validateSamlAssertion(strategy, plaintext, { requireEncryptedAssertion: true }),
+      ).rejects.toThrow("assertion is not encrypted");
+      expect(strategy.validatePostResponseAsync).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Single Logout", () => {
+    it("should capture the IdP session from a validated profile", () => {
+      const profile = {
+        nameID: "alice@example.com",
+        nameIDFormat: "urn:oasis:names:tc:SAML:2.0:nameid-format:persistent",
+        sessionIndex: "_idx1",
+      };
+      expect(saml.getSamlSessionInfo(tenant(), profile)).toEqual({
+        tenantId: tenant().id,
+        nameId: "alice@example.com",
+        nameIdFormat: "urn:oasis:names:tc:SAML:2.0:nameid-format:persistent",
+        sessionIndex: "_idx1",
+      });
+    });
+
+    it("should reject unsigned Redirect-binding logout requests", async () => {
+      const strategy = { validateRedirectAsync: vi.fn() };
+      await expect(
+        saml.validateLogoutMessage(strategy, {
+          binding: "redirect",
+          params: { SAMLRequest: "abc" },
+          originalQuery: "SAMLRequest=abc",
+        }),
+      ).rejects.toThrow("Unsigned logout request");
+      expect(strategy.validateRedirectAsync).not.toHaveBeenCalled();
+    });
+
+    it("should validate signed Redirect-binding requests with the raw query", async () => {
+      const profile = { nameID: "alice@example.com", sessionIndex: "_idx1" };
+      const strategy = { validateRedirectAsync: vi.fn().mockResolvedValue({ profile }) };
+      const params = { SAMLRequest: "abc", SigAlg: "rsa-sha256", Signature: "sig" };
+
+      const result = await saml.validateLogoutMessage(strategy, {
+        binding: "redirect",
+        params,
+        originalQuery: "SAMLRequest=abc&SigAlg=rsa-sha256&Signature=sig",
+      });
+
+      expect(result).toEqual({ type: "request", profile });
+      expect(strategy.validateRedirectAsync).toHaveBeenCalledWith(
+        params,
+        "SAMLRequest=abc&SigAlg=rsa-sha256&Signature=sig",
+      );
+    });
+
+    it("should dispatch POST-binding requests and responses", async () => {
+      const strategy = {
+        validatePostRequestAsync: vi.fn().mockResolvedValue({ profile: { nameID: "a" } }),
+        validatePostResponseAsync: vi.fn().mockResolvedValue({ profile: null, loggedOut: true }),
+      };
+
+      const request = await saml.validateLogoutMessage(strategy, {
+        binding: "post",
+        params: { SAMLRequest: "req" },
+      });
+      const response = await saml.validateLogoutMessage(strategy, {
+        binding: "post",
+        params: { SAMLResponse: "res" },
+      });
+
+      expect(request.type).toBe("request");
+      expect(strategy.validatePostRequestAsync).toHaveBeenCalledWith({ SAMLRequest: "req" });
+      expect(response).toEqual({ type: "response", profile: null });
+    });
+
+    it("should reject messages without SAML data", async () => {
+      await expect(saml.validateLogoutMessage({}, { binding: "post", params: {} })).rejects.toThrow(
+        "Missing SAML logout data",
+      );
+    });
+  });
+});
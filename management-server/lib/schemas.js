@@ -173,6 +173,8 @@ export const vaultUnlockSchema = z.object({
 export const vaultChangePasswordSchema = z.object({
   currentPassword: z.string().min(1, "Current password is required"),
   newPassword: passwordSchema,
+  // Issue a new recovery phrase and re-issue social/hardware recovery for it
+  rotateRecovery: z.boolean().default(true),
 });
 
 /** Vault recovery */
@@ -338,6 +340,37 @@ export const storeSecretSchema = z.object({
   metadata: z.record(z.unknown()).optional(),
 });
 
+/** Enable break-glass access */
+export const enableBreakGlassSchema = z.object({
+  requiredApprovals: z.number().int().min(1).max(10),
+  maxDurationMinutes: z.number().int().min(15).max(240).optional().default(60),
+});
+
+/** Request break-glass access */
+export const breakGlassRequestSchema = z.object({
+  justification: z
+    .string()
+    .min(20, "Justification must be at least 20 characters")
+    .max(2000, "Justification must be less than 2000 characters"),
+  incidentRef: z.string().max(255).optional(),
+  allowedSecrets: allowedSecretsSchema.optional(),
+  permissions: capabilityPermissionsSchema.optional(),
+  durationMinutes: z.number().int().min(5).max(240).optional().default(60),
+});
+
+/** Approve or deny a break-glass request */
+export const breakGlassDecisionSchema = z.object({
+  comment: z.string().max(1000).optional(),
+});
+
+/** Post-incident review of break-glass access */
+export const breakGlassReviewSchema = z.object({
+  summary: z.string().min(1, "Summary is required").max(5000),
+  actionsTaken: z.string().max(5000).optional(),
+  secretsRotated: z.boolean(),
+  followUp: z.string().max(5000).optional(),
+});
+
 // ============================================================
 // OAUTH SCHEMAS
 // ============================================================
@@ -362,6 +395,12 @@ export const groupIdParamSchema = z.object({
   groupId: uuidSchema,
 });
 
+/** Group ID + break-glass request ID parameters */
+export const breakGlassRequestParamSchema = z.object({
+  groupId: uuidSchema,
+  requestId: uuidSchema,
+});
+
 /** User ID parameter */
 export const userIdParamSchema = z.object({
   userId: uuidSchema,
@@ -573,6 +612,10 @@ export default {
   unlockGroupVaultSchema,
   issueTokenSchema,
   storeSecretSchema,
+  enableBreakGlassSchema,
+  breakGlassRequestSchema,
+  breakGlassDecisionSchema,
+  breakGlassReviewSchema,
 
   // OAuth
   oauthScopeSchema,
@@ -581,6 +624,7 @@ export default {
   // Param schemas
   idParamSchema,
   groupIdParamSchema,
+  breakGlassRequestParamSchema,
   userIdParamSchema,
   resourceIdParamSchema,
   grantIdParamSchema,
@@ -0,0 +1,553 @@
+/**
+ * SCIM 2.0 protocol helpers (RFC 7643 / RFC 7644)
+ *
+ * Converts between OCMT users/groups and SCIM resources, and interprets the
+ * filters and PATCH operations identity providers send. Okta and Entra ID
+ * both speak a small subset of the protocol: equality filters on userName,
+ * externalId and displayName, and PATCH ops with or without a path.
+ *
+ * Role mapping reuses the SAML format, so one mapping serves both JIT and
+ * SCIM provisioning:
+ *   tenants.settings.scim.roleMapping = { admin: ["Engineering Leads"], ... }
+ * falling back to tenants.settings.saml.roleMapping when unset.
+ */
+
+import crypto from "crypto";
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+export const SCIM_SCHEMAS = {
+  USER: "urn:ietf:params:scim:schemas:core:2.0:User",
+  GROUP: "urn:ietf:params:scim:schemas:core:2.0:Group",
+  LIST_RESPONSE: "urn:ietf:params:scim:api:messages:2.0:ListResponse",
+  PATCH_OP: "urn:ietf:params:scim:api:messages:2.0:PatchOp",
+  ERROR: "urn:ietf:params:scim:api:messages:2.0:Error",
+  SERVICE_PROVIDER_CONFIG: "urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig",
+  RESOURCE_TYPE: "urn:ietf:params:scim:schemas:core:2.0:ResourceType",
+};
+
+export const SCIM_CONTENT_TYPE = "application/scim+json";
+
+export const DEFAULT_PAGE_SIZE = 100;
+export const MAX_PAGE_SIZE = 200;
+
+// Filterable attributes per resource type
+export const USER_FILTER_ATTRIBUTES = ["id", "userName", "emails.value", "externalId"];
+export const GROUP_FILTER_ATTRIBUTES = ["id", "displayName", "externalId"];
+
+// User status written when the IdP deactivates an account
+export const DEACTIVATED_STATUS = "suspended";
+
+// attr eq "value" (the only operator IdPs rely on for lookups)
+const EQ_FILTER_PATTERN = /^\s*([A-Za-z][\w.]*)\s+eq\s+"((?:[^"\\]|\\.)*)"\s*$/i;
+
+// members[value eq "id"] path used by Entra ID to remove a single member
+const MEMBER_VALUE_PATH_PATTERN = /^members\[\s*value\s+eq\s+"([^"]+)"\s*\]$/i;
+
+// ============================================================
+// ERRORS
+// ============================================================
+
+/**
+ * Create an error carrying a SCIM status and scimType
+ * @param {number} status - HTTP status
+ * @param {string} detail - Human-readable detail
+ * @param {string} [scimType] - RFC 7644 error type (invalidFilter, uniqueness, ...)
+ * @returns {Error}
+ */
+export function scimError(status, detail, scimType) {
+  const error = new Error(detail);
+  error.status = status;
+  error.scimType = scimType;
+  return error;
+}
+
+/**
+ * Build a SCIM error response body
+ * @param {number} status - HTTP status
+ * @param {string} detail - Human-readable detail
+ * @param {string} [scimType] - RFC 7644 error type
+ * @returns {object}
+ */
+export function formatError(status, detail, scimType) {
+  return {
+    schemas: [SCIM_SCHEMAS.ERROR],
+    status: String(status),
+    ...(scimType && { scimType }),
+    detail,
+  };
+}
+
+// ============================================================
+// QUERY PARSING
+// ============================================================
+
+/**
+ * Parse an equality filter
+ * @param {string|undefined} filter - Raw filter query parameter
+ * @param {string[]} allowedAttributes - Attributes that may be filtered on
+ * @returns {{ attribute: string, value: string }|null} Null when no filter was given
+ * @throws {Error} 400 invalidFilter for unsupported expressions
+ */
+export function parseFilter(filter, allowedAttributes) {
+  if (filter === undefined || filter === null || filter === "") {
+    return null;
+  }
+
+  const match = EQ_FILTER_PATTERN.exec(String(filter));
+  if (!match) {
+    throw scimError(400, "Only 'attribute eq \"value\"' filters are supported", "invalidFilter");
+  }
+
+  // Attribute names are case-insensitive in SCIM
+  const attribute = allowedAttributes.find((a) => a.toLowerCase() === match[1].toLowerCase());
+  if (!attribute) {
+    throw scimError(400, `Filtering on '${match[1]}' is not supported`, "invalidFilter");
+  }
+
+  return { attribute, value: match[2].replace(/\\(.)/g, "$1") };
+}
+
+/**
+ * Parse startIndex/count pagination (startIndex is 1-based)
+ * @param {object} query - Express req.query
+ * @returns {{ startIndex: number, offset: number, limit: number }}
+ */
+export function parsePagination(query = {}) {
+  const startIndex = Math.max(parseInt(query.startIndex, 10) || 1, 1);
+  const count = parseInt(query.count, 10);
+  const limit = Number.isNaN(count)
+    ? DEFAULT_PAGE_SIZE
+    : Math.min(Math.max(count, 0), MAX_PAGE_SIZE);
+
+  return { startIndex, offset: startIndex - 1, limit };
+}
+
+// ============================================================
+// USERS
+// ============================================================
+
+/**
+ * Coerce SCIM booleans (Entra ID sends "True"/"False" strings)
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function toBoolean(value) {
+  if (typeof value === "string") {
+    return value.toLowerCase() === "true";
+  }
+  return Boolean(value);
+}
+
+/**
+ * Pick the primary (or first) email from a SCIM emails array
+ * @param {Array<{ value: string, primary?: boolean }>|undefined} emails
+ * @returns {string|undefined}
+ */
+function primaryEmail(emails) {
+  if (!Array.isArray(emails) || emails.length === 0) {
+    return undefined;
+  }
+  return (emails.find((e) => toBoolean(e.primary)) || emails[0]).value;
+}
+
+/**
+ * Build a display name from SCIM name parts
+ * @param {object|undefined} name - SCIM name complex attribute
+ * @param {string|undefined} displayName
+ * @returns {string|undefined}
+ */
+function fullName(name, displayName) {
+  if (name?.formatted) {
+    return name.formatted;
+  }
+  const parts = [name?.givenName, name?.familyName].filter(Boolean);
+  if (parts.length > 0) {
+    return parts.join(" ");
+  }
+  return displayName || undefined;
+}
+
+/**
+ * Extract OCMT user fields from a SCIM User resource.
+ * OCMT identifies users by email, so userName must be an email address
+ * unless a primary email is supplied separately.
+ *
+ * @param {object} resource - SCIM User (POST/PUT body)
+ * @returns {{ email?: string, name?: string, externalId?: string|null, active?: boolean }}
+ */
+export function parseUserResource(resource = {}) {
+  const userName = typeof resource.userName === "string" ? resource.userName.trim() : undefined;
+  const email = userName?.includes("@") ? userName : primaryEmail(resource.emails) || userName;
+
+  return {
+    email: email ? email.toLowerCase() : undefined,
+    name: fullName(resource.name, resource.displayName),
+    externalId: resource.externalId === undefined ? undefined : resource.externalId || null,
+    active: resource.active === undefined ? undefined : toBoolean(resource.active),
+  };
+}
+
+/**
+ * Interpret PATCH operations against a User
+ * Unknown attributes (titles, enterprise extension, ...) are ignored.
+ *
+ * @param {Array<{ op: string, path?: string, value?: unknown }>} operations
+ * @returns {{ email?: string, name?: string, externalId?: string|null, active?: boolean }}
+ * @throws {Error} 400 invalidValue for malformed operations
+ */
+export function parseUserPatch(operations) {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw scimError(400, "PATCH requires at least one operation", "invalidValue");
+  }
+
+  const changes = {};
+  const nameParts = {};
+
+  for (const operation of operations) {
+    const op = String(operation.op || "").toLowerCase();
+    if (!["add", "replace", "remove"].includes(op)) {
+      throw scimError(400, `Unsupported PATCH op '${operation.op}'`, "invalidValue");
+    }
+
+    // Without a path the value is a partial resource, possibly with dotted keys
+    const entries = operation.path
+      ? [[operation.path, op === "remove" ? null : operation.value]]
+      : Object.entries(operation.value || {});
+
+    for (const [rawPath, value] of entries) {
+      const path = String(rawPath).toLowerCase();
+
+      if (path === "active") {
+        changes.active = value === null ? changes.active : toBoolean(value);
+      } else if (path === "username" && value) {
+        changes.email = String(value).trim().toLowerCase();
+      } else if (path === "externalid") {
+        changes.externalId = value || null;
+      } else if (path === "displayname" || path === "name.formatted") {
+        if (value) {
+          changes.name = String(value);
+        }
+      } else if (path === "name" && value) {
+        changes.name = fullName(value) || changes.name;
+      } else if (path === "name.givenname" || path === "name.familyname") {
+        nameParts[path === "name.givenname" ? "givenName" : "familyName"] = value;
+      } else if (path === "emails" || path.startsWith("emails[")) {
+        const email = Array.isArray(value) ? primaryEmail(value) : value;
+        if (email && !changes.email) {
+          changes.email = String(email).trim().toLowerCase();
+        }
+      }
+    }
+  }
+
+  if (!changes.name && (nameParts.givenName || nameParts.familyName)) {
+    changes.name = fullName(nameParts);
+  }
+
+  return changes;
+}
+
+/**
+ * Check whether a user counts as active for SCIM
+ * @param {object} user - User row
+ * @returns {boolean}
+ */
+export function isUserActive(user) {
+  return user.status !== DEACTIVATED_STATUS;
+}
+
+/**
+ * Format a user as a SCIM User resource
+ * @param {object} user - User row
+ * @param {Array<{ id: string, name: string }>} groups - Tenant groups the user belongs to
+ * @param {string} baseUrl - SCIM base URL (…/scim/v2)
+ * @returns {object}
+ */
+export function formatUser(user, groups, baseUrl) {
+  return {
+    schemas: [SCIM_SCHEMAS.USER],
+    id: user.id,
+    ...(user.scim_external_id && { externalId: user.scim_external_id }),
+    userName: user.email,
+    name: { formatted: user.name },
+    displayName: user.name,
+    emails: [{ value: user.email, type: "work", primary: true }],
+    active: isUserActive(user),
+    groups: groups.map((g) => ({
+      value: g.id,
+      display: g.name,
+      $ref: `${baseUrl}/Groups/${g.id}`,
+    })),
+    meta: {
+      resourceType: "User",
+      created: new Date(user.created_at).toISOString(),
+      lastModified: new Date(user.updated_at || user.created_at).toISOString(),
+      location: `${baseUrl}/Users/${user.id}`,
+    },
+  };
+}
+
+// ============================================================
+// GROUPS
+// ============================================================
+
+/**
+ * Extract member IDs from a SCIM members array
+ * @param {unknown} members
+ * @returns {string[]}
+ */
+function memberIds(members) {
+  if (!Array.isArray(members)) {
+    throw scimError(400, "members must be an array", "invalidValue");
+  }
+  return members.map((m) => m?.value).filter((id) => typeof id === "string" && id.length > 0);
+}
+
+/**
+ * Extract OCMT group fields from a SCIM Group resource
+ * @param {object} resource - SCIM Group (POST/PUT body)
+ * @returns {{ name?: string, externalId?: string|null, members?: string[] }}
+ */
+export function parseGroupResource(resource = {}) {
+  return {
+    name: typeof resource.displayName === "string" ? resource.displayName.trim() : undefined,
+    externalId: resource.externalId === undefined ? undefined : resource.externalId || null,
+    members: resource.members === undefined ? undefined : memberIds(resource.members),
+  };
+}
+
+/**
+ * Interpret PATCH operations against a Group
+ *
+ * @param {Array<{ op: string, path?: string, value?: unknown }>} operations
+ * @returns {{
+ *   name?: string,
+ *   externalId?: string|null,
+ *   replaceMembers: string[]|null,
+ *   addMembers: string[],
+ *   removeMembers: string[],
+ * }}
+ * @throws {Error} 400 invalidValue/invalidPath for malformed operations
+ */
+export function parseGroupPatch(operations) {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw scimError(400, "PATCH requires at least one operation", "invalidValue");
+  }
+
+  const changes = { replaceMembers: null, addMembers: [], removeMembers: [] };
+
+  for (const operation of operations) {
+    const op = String(operation.op || "").toLowerCase();
+    const path = operation.path ? String(operation.path) : null;
+    const lowerPath = path?.toLowerCase();
+
+    if (!["add", "replace", "remove"].includes(op)) {
+      throw scimError(400, `Unsupported PATCH op '${operation.op}'`, "invalidValue");
+    }
+
+    if (!path) {
+      // Partial resource: { displayName, externalId, members }
+      const parsed = parseGroupResource(operation.value || {});
+      if (parsed.name) {
+        changes.name = parsed.name;
+      }
+      if (parsed.externalId !== undefined) {
+        changes.externalId = parsed.externalId;
+      }
+      if (parsed.members) {
+        if (op === "add") {
+          changes.addMembers.push(...parsed.members);
+        } else {
+          changes.replaceMembers = parsed.members;
+        }
+      }
+    } else if (lowerPath === "displayname") {
+      if (op !== "remove" && operation.value) {
+        changes.name = String(operation.value).trim();
+      }
+    } else if (lowerPath === "externalid") {
+      changes.externalId = op === "remove" ? null : operation.value || null;
+    } else if (lowerPath === "members") {
+      if (op === "add") {
+        changes.addMembers.push(...memberIds(operation.value));
+      } else if (op === "replace") {
+        changes.replaceMembers = memberIds(operation.value);
+      } else if (operation.value === undefined) {
+        changes.replaceMembers = [];
+      } else {
+        changes.removeMembers.push(...memberIds(operation.value));
+      }
+    } else if (MEMBER_VALUE_PATH_PATTERN.test(path) && op === "remove") {
+      changes.removeMembers.push(MEMBER_VALUE_PATH_PATTERN.exec(path)[1]);
+    } else {
+      throw scimError(400, `Unsupported PATCH path '${path}'`, "invalidPath");
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Format a group as a SCIM Group resource
+ * @param {object} group - Group row
+ * @param {Array<{ id: string, name: string }>} members - Member users
+ * @param {string} baseUrl - SCIM base URL (…/scim/v2)
+ * @returns {object}
+ */
+export function formatGroup(group, members, baseUrl) {
+  return {
+    schemas: [SCIM_SCHEMAS.GROUP],
+    id: group.id,
+    ...(group.scim_external_id && { externalId: group.scim_external_id }),
+    displayName: group.name,
+    members: members.map((m) => ({
+      value: m.id,
+      display: m.name,
+      $ref: `${baseUrl}/Users/${m.id}`,
+    })),
+    meta: {
+      resourceType: "Group",
+      created: new Date(group.created_at).toISOString(),
+      lastModified: new Date(group.updated_at || group.created_at).toISOString(),
+      location: `${baseUrl}/Groups/${group.id}`,
+    },
+  };
+}
+
+/**
+ * Generate a unique slug for an IdP-provisioned group
+ * Group slugs are global, so a random suffix avoids clashes across tenants.
+ *
+ * @param {string} name - Group display name
+ * @returns {string}
+ */
+export function generateGroupSlug(name) {
+  const base = String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40);
+  const suffix = crypto.randomBytes(4).toString("hex");
+  return base ? `${base}-${suffix}` : `group-${suffix}`;
+}
+
+// ============================================================
+// ROLE MAPPING
+// ============================================================
+
+/**
+ * Resolve a user's tenant role from their SCIM group names
+ *
+ * @param {object} tenant - Tenant with settings
+ * @param {string[]} groupNames - Display names of the user's groups
+ * @returns {string|null} Mapped role, the default role, or null if no mapping is configured
+ */
+export function getScimRole(tenant, groupNames = []) {
+  const scim = tenant.settings?.scim || {};
+  const roleMapping = scim.roleMapping || tenant.settings?.saml?.roleMapping || {};
+
+  if (Object.keys(roleMapping).length === 0) {
+    return null;
+  }
+
+  for (const [role, groups] of Object.entries(roleMapping)) {
+    const groupList = Array.isArray(groups) ? groups : [groups];
+    if (groupNames.some((g) => groupList.includes(g))) {
+      return role;
+    }
+  }
+
+  return scim.defaultRole || tenant.settings?.saml?.defaultRole || "member";
+}
+
+// ============================================================
+// RESPONSES
+// ============================================================
+
+/**
+ * Build a ListResponse
+ * @param {object[]} resources - Page of formatted resources
+ * @param {number} totalResults - Total matching resources
+ * @param {number} startIndex - 1-based index of the first resource
+ * @returns {object}
+ */
+export function formatListResponse(resources, totalResults, startIndex) {
+  return {
+    schemas: [SCIM_SCHEMAS.LIST_RESPONSE],
+    totalResults,
+    startIndex,
+    itemsPerPage: resources.length,
+    Resources: resources,
+  };
+}
+
+/**
+ * Describe the features this service provider supports
+ * @param {string} baseUrl - SCIM base URL
+ * @returns {object}
+ */
+export function getServiceProviderConfig(baseUrl) {
+  return {
+    schemas: [SCIM_SCHEMAS.SERVICE_PROVIDER_CONFIG],
+    patch: { supported: true },
+    bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+    filter: { supported: true, maxResults: MAX_PAGE_SIZE },
+    changePassword: { supported: false },
+    sort: { supported: false },
+    etag: { supported: false },
+    authenticationSchemes: [
+      {
+        type: "oauthbearertoken",
+        name: "API key",
+        description: "Tenant API key with the admin scope, sent as a Bearer token",
+        primary: true,
+      },
+    ],
+    meta: { resourceType: "ServiceProviderConfig", location: `${baseUrl}/ServiceProviderConfig` },
+  };
+}
+
+/**
+ * Describe the User and Group resource types
+ * @param {string} baseUrl - SCIM base URL
+ * @returns {object[]}
+ */
+export function getResourceTypes(baseUrl) {
+  return [
+    { id: "User", name: "User", endpoint: "/Users", schema: SCIM_SCHEMAS.USER },
+    { id: "Group", name: "Group", endpoint: "/Groups", schema: SCIM_SCHEMAS.GROUP },
+  ].map((type) => ({
+    schemas: [SCIM_SCHEMAS.RESOURCE_TYPE],
+    ...type,
+    meta: { resourceType: "ResourceType", location: `${baseUrl}/ResourceTypes/${type.id}` },
+  }));
+}
+
+export default {
+  SCIM_SCHEMAS,
+  SCIM_CONTENT_TYPE,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  USER_FILTER_ATTRIBUTES,
+  GROUP_FILTER_ATTRIBUTES,
+  DEACTIVATED_STATUS,
+  scimError,
+  formatError,
+  parseFilter,
+  parsePagination,
+  parseUserResource,
+  parseUserPatch,
+  isUserActive,
+  formatUser,
+  parseGroupResource,
+  parseGroupPatch,
+  formatGroup,
+  generateGroupSlug,
+  getScimRole,
+  formatListResponse,
+  getServiceProviderConfig,
+  getResourceTypes,
+};
@@ -0,0 +1,239 @@
+// Tests for SCIM 2.0 protocol helpers
+import { describe, it, expect } from "vitest";
+import {
+  SCIM_SCHEMAS,
+  MAX_PAGE_SIZE,
+  USER_FILTER_ATTRIBUTES,
+  GROUP_FILTER_ATTRIBUTES,
+  formatError,
+  formatGroup,
+  formatListResponse,
+  formatUser,
+  generateGroupSlug,
+  getScimRole,
+  parseFilter,
+  parseGroupPatch,
+  parseGroupResource,
+  parsePagination,
+  parseUserPatch,
+  parseUserResource,
+} from "./scim.js";
+
+const BASE_URL = "https://api.example.com/scim/v2";
+
+describe("SCIM", () => {
+  describe("parseFilter", () => {
+    it("should return null without a filter", () => {
+      expect(parseFilter(undefined, USER_FILTER_ATTRIBUTES)).toBeNull();
+      expect(parseFilter("", USER_FILTER_ATTRIBUTES)).toBeNull();
+    });
+
+    it("should parse equality filters with case-insensitive attribute names", () => {
+      expect(parseFilter('username eq "alice@example.com"', USER_FILTER_ATTRIBUTES)).toEqual({
+        attribute: "userName",
+        value: "alice@example.com",
+      });
+      expect(parseFilter('displayName eq "Eng \\"Core\\""', GROUP_FILTER_ATTRIBUTES)).toEqual({
+        attribute: "displayName",
+        value: 'Eng "Core"',
+      });
+    });
+
+    it("should reject unsupported operators and attributes", () => {
+      expect(() => parseFilter('userName co "alice"', USER_FILTER_ATTRIBUTES)).toThrow(
+        expect.objectContaining({ status: 400, scimType: "invalidFilter" }),
+      );
+      expect(() => parseFilter('title eq "CTO"', USER_FILTER_ATTRIBUTES)).toThrow(
+        expect.objectContaining({ status: 400, scimType: "invalidFilter" }),
+      );
+    });
+  });
+
+  describe("parsePagination", () => {
+    it("should convert 1-based startIndex to an offset", () => {
+      expect(parsePagination({ startIndex: "11", count: "10" })).toEqual({
+        startIndex: 11,
+        offset: 10,
+        limit: 10,
+      });
+    });
+
+    it("should clamp count and default invalid values", () => {
+      expect(parsePagination({ count: "5000" }).limit).toBe(MAX_PAGE_SIZE);
+      expect(parsePagination({ startIndex: "0" }).startIndex).toBe(1);
+      expect(parsePagination({ count: "0" }).limit).toBe(0);
+    });
+  });
+
+  describe("parseUserResource", () => {
+    it("should map userName, name parts and externalId", () => {
+      expect(
+        parseUserResource({
+          userName: "Alice@Example.com",
+          name: { givenName: "Alice", familyName: "Smith" },
+          externalId: "00u1",
+          active: true,
+        }),
+      ).toEqual({
+        email: "alice@example.com",
+        name: "Alice Smith",
+        externalId: "00u1",
+        active: true,
+      });
+    });
+
+    it("should fall back to the primary email when userName is not an email", () => {
+      const fields = parseUserResource({
+        userName: "asmith",
+        emails: [{ value: "other@example.com" }, { value: "alice@example.com", primary: true }],
+      });
+      expect(fields.email).toBe("alice@example.com");
+    });
+  });
+
+  describe("parseUserPatch", () => {
+    it("should deactivate from a path-less Okta operation", () => {
+      expect(parseUserPatch([{ op: "replace", value: { active: false } }])).toEqual({
+        active: false,
+      });
+    });
+
+    it("should handle Entra ID string booleans and dotted name paths", () => {
+      expect(
+        parseUserPatch([
+          { op: "Replace", path: "active", value: "False" },
+          { op: "Replace", path: "name.givenName", value: "Alice" },
+          { op: "Replace", path: "name.familyName", value: "Jones" },
+        ]),
+      ).toEqual({ active: false, name: "Alice Jones" });
+    });
+
+    it("should ignore unknown attributes and reject unknown ops", () => {
+      expect(parseUserPatch([{ op: "add", path: "title", value: "CTO" }])).toEqual({});
+      expect(() => parseUserPatch([{ op: "move", path: "active" }])).toThrow(
+        expect.objectContaining({ status: 400 }),
+      );
+      expect(() => parseUserPatch([])).toThrow(expect.objectContaining({ status: 400 }));
+    });
+  });
+
+  describe("parseGroupPatch", () => {
+    it("should collect member additions and removals", () => {
+      const changes = parseGroupPatch([
+        { op: "add", path: "members", value: [{ value: "u1" }, { value: "u2" }] },
+        { op: "remove", path: 'members[value eq "u3"]' },
+        { op: "remove", path: "members", value: [{ value: "u4" }] },
+      ]);
+      expect(changes.addMembers).toEqual(["u1", "u2"]);
+      expect(changes.removeMembers).toEqual(["u3", "u4"]);
+      expect(changes.replaceMembers).toBeNull();
+    });
+
+    it("should treat replace and value-less remove as a full member replacement", () => {
+      expect(
+        parseGroupPatch([{ op: "replace", path: "members", value: [{ value: "u1" }] }])
+          .replaceMembers,
+      ).toEqual(["u1"]);
+      expect(parseGroupPatch([{ op: "remove", path: "members" }]).replaceMembers).toEqual([]);
+    });
+
+    it("should rename from a path-less operation", () => {
+      expect(parseGroupPatch([{ op: "replace", value: { displayName: "Admins" } }]).name).toBe(
+        "Admins",
+      );
+    });
+
+    it("should reject unsupported paths", () => {
+      expect(() => parseGroupPatch([{ op: "replace", path: "owner", value: "x" }])).toThrow(
+        expect.objectContaining({ status: 400, scimType: "invalidPath" }),
+      );
+    });
+  });
+
+  describe("parseGroupResource", () => {
+    it("should require members to be an array", () => {
+      expect(() => parseGroupResource({ displayName: "Eng", members: "u1" })).toThrow(
+        expect.objectContaining({ status: 400 }),
+      );
+    });
+  });
+
+  describe("getScimRole", () => {
+    it("should return null when no mapping is configured", () => {
+      expect(getScimRole({ settings: {} }, ["Admins"])).toBeNull();
+    });
+
+    it("should map group names to roles, falling back to the default", () => {
+      const tenant = {
+        settings: { scim: { roleMapping: { admin: ["Admins"] }, defaultRole: "observer" } },
+      };
+      expect(getScimRole(tenant, ["Staff", "Admins"])).toBe("admin");
+      expect(getScimRole(tenant, ["Staff"])).toBe("observer");
+    });
+
+    it("should reuse the SAML role mapping when SCIM has none", () => {
+      const tenant = { settings: { saml: { roleMapping: { admin: "IT" } } } };
+      expect(getScimRole(tenant, ["IT"])).toBe("admin");
+      expect(getScimRole(tenant, [])).toBe("member");
+    });
+  });
+
+  describe("formatters", () => {
+    const user = {
+      id: "11111111-1111-1111-1111-111111111111",
+      email: "alice@example.com",
+      name: "Alice Smith",
+      status: "suspended",
+      scim_external_id: "00u1",
+      created_at: "2026-01-01T00:00:00.000Z",
+      updated_at: "2026-02-01T00:00:00.000Z",
+    };
+
+    it("should format users as SCIM resources", () => {
+      const resource = formatUser(user, [{ id: "g1", name: "Eng" }], BASE_URL);
+      expect(resource.schemas).toEqual([SCIM_SCHEMAS.USER]);
+      expect(resource.userName).toBe("alice@example.com");
+      expect(resource.externalId).toBe("00u1");
+      expect(resource.active).toBe(false);
+      expect(resource.groups[0]).toEqual({
+        value: "g1",
+        display: "Eng",
+        $ref: `${BASE_URL}/Groups/g1`,
+      });
+      expect(resource.meta.location).toBe(`${BASE_URL}/Users/${user.id}`);
+    });
+
+    it("should format groups with members", () => {
+      const group = { id: "g1", name: "Eng", created_at: "2026-01-01T00:00:00.000Z" };
+      const resource = formatGroup(group, [{ id: user.id, name: user.name }], BASE_URL);
+      expect(resource.displayName).toBe("Eng");
+      expect(resource.externalId).toBeUndefined();
+      expect(resource.members[0].value).toBe(user.id);
+    });
+
+    it("should wrap list and error responses", () => {
+      expect(formatListResponse([{ id: "a" }], 5, 3)).toEqual({
+        schemas: [SCIM_SCHEMAS.LIST_RESPONSE],
+        totalResults: 5,
+        startIndex: 3,
+        itemsPerPage: 1,
+        Resources: [{ id: "a" }],
+      });
+      expect(formatError(409, "Exists", "uniqueness")).toEqual({
+        schemas: [SCIM_SCHEMAS.ERROR],
+        status: "409",
+        scimType: "uniqueness",
+        detail: "Exists",
+      });
+    });
+  });
+
+  describe("generateGroupSlug", () => {
+    it("should produce valid unique slugs", () => {
+      const slug = generateGroupSlug("Engineering & Ops!");
+      expect(slug).toMatch(/^engineering-ops-[0-9a-f]{8}$/);
+      expect(generateGroupSlug("Engineering & Ops!")).not.toBe(slug);
+      expect(generateGroupSlug("!!!")).toMatch(/^group-[0-9a-f]{8}$/);
+    });
+  });
+});
@@ -0,0 +1,205 @@
+// Secret references (vault://) resolved just-in-time for agent containers
+// Agent configs hold references instead of plaintext; the agent server asks for the
+// values at call time and every resolution is audited.
+//
+//   vault://group/<groupId>/<key>  - secret in a group vault (needs an active vault token,
+//                                    and counts as a call against that token's budget)
+//   vault://me/<provider>          - the user's own integration credential
+import axios from "axios";
+import {
+  audit,
+  groupMemberships,
+  groupVaults,
+  groupVaultAudit,
+  groupVaultTokens,
+  integrations,
+} from "../db/index.js";
+
+const GROUP_VAULT_AUTH_TOKEN = process.env.GROUP_VAULT_AUTH_TOKEN;
+
+// Most references resolved in one request
+export const MAX_SECRET_REFS = 50;
+
+const GROUP_REF_PATTERN =
+  /^vault:\/\/group\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\/([a-zA-Z0-9_.-]{1,255})$/i;
+const ME_REF_PATTERN = /^vault:\/\/me\/([a-z0-9_-]{1,64})$/;
+
+// Short-lived vault token used to read one group secret
+const RESOLVE_TOKEN_TTL_SECONDS = 60;
+
+function secretRefError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Parse a vault:// reference
+ * @param {string} ref - Reference
+ * @returns {{ scope: "group", groupId: string, key: string } | { scope: "me", provider: string }}
+ * @throws {Error} code INVALID_SECRET_REF
+ */
+export function parseSecretRef(ref) {
+  const group = GROUP_REF_PATTERN.exec(ref);
+  if (group) {
+    return { scope: "group", groupId: group[1].toLowerCase(), key: group[2] };
+  }
+
+  const me = ME_REF_PATTERN.exec(ref);
+  if (me) {
+    return { scope: "me", provider: me[1] };
+  }
+
+  throw secretRefError(`Invalid secret reference: ${ref}`, "INVALID_SECRET_REF");
+}
+
+function tokenCoversKey(token, key) {
+  const permissions = token.permissions || [];
+  const allowed = token.allowed_secrets || [];
+  return permissions.includes("read") && (allowed.includes("*") || allowed.includes(key));
+}
+
+/**
+ * Limits of the token minted to read a secret, copied from the member's grant
+ * The token expires with the grant, and a limited grant pays for the read.
+ */
+function resolveTokenLimits(grant) {
+  const notAfter = new Date(grant.expires_at).getTime();
+  if (!grant.max_calls) {
+    return { maxCalls: 1, notAfter };
+  }
+  return { maxCalls: grant.max_calls, notAfter, budgetId: grant.token_id };
+}
+
+async function resolveGroupSecret(userId, { groupId, key }) {
+  const membership = await groupMemberships.findByUserAndGroup(userId, groupId);
+  if (!membership) {
+    throw secretRefError("Not a member of this group", "ACCESS_DENIED");
+  }
+
+  // Members only get secrets an admin already granted them a vault token for
+  const tokens = await groupVaultTokens.listActiveByUser(groupId, userId);
+  const grant = tokens.find((token) => tokenCoversKey(token, key));
+  if (!grant) {
+    throw secretRefError("No active vault token grants this secret", "ACCESS_DENIED");
+  }
+
+  const vault = await groupVaults.findByGroup(groupId);
+  if (!vault || vault.status !== "active") {
+    throw secretRefError("Group vault is not active", "VAULT_NOT_ACTIVE");
+  }
+
+  const baseUrl = `http://localhost:${vault.container_port}`;
+  try {
+    const { data: issued } = await axios.post(
+      `${baseUrl}/tokens`,
+      {
+        userId,
+        allowedSecrets: [key],
+        permissions: ["read"],
+        ttlSeconds: RESOLVE_TOKEN_TTL_SECONDS,
+        ...resolveTokenLimits(grant),
+      },
+      { headers: { "x-auth-token": GROUP_VAULT_AUTH_TOKEN }, timeout: 10000 },
+    );
+
+    const { data: secret } = await axios.get(`${baseUrl}/secrets/${encodeURIComponent(key)}`, {
+      headers: { "x-capability-token": issued.token },
+      timeout: 10000,
+    });
+    return secret.value;
+  } catch (err) {
+    if (err.response?.status === 423) {
+      throw secretRefError("Group vault is locked", "VAULT_LOCKED");
+    }
+    if (err.response?.status === 404) {
+      throw secretRefError("Secret not found", "SECRET_NOT_FOUND");
+    }
+    if (err.response?.status === 429) {
+      throw secretRefError("Vault token call limit exceeded", "CALL_LIMIT_EXCEEDED");
+    }
+    console.error(`[secret-refs] Group vault ${groupId} error:`, err.response?.data || err.message);
+    throw secretRefError("Group vault unavailable", "VAULT_UNAVAILABLE");
+  }
+}
+
+async function resolveUserSecret(userId, { provider }) {
+  const integration = await integrations.getDecryptedTokens(userId, provider);
+  const value = integration?.apiKey || integration?.accessToken;
+  if (!value) {
+    throw secretRefError(`No ${provider} credential connected`, "SECRET_NOT_FOUND");
+  }
+  return value;
+}
+
+async function auditResolution(userId, parsed, { purpose, ipAddress, error }) {
+  const action = error ? "secret_ref.denied" : "secret_ref.resolved";
+
+  if (parsed.scope === "group") {
+    await groupVaultAudit.log({
+      groupId: parsed.groupId,
+      userId,
+      action,
+      ipAddress,
+      success: !error,
+      metadata: { key: parsed.key, purpose },
+      errorMessage: error?.message,
+    });
+  } else {
+    await audit.log(
+      userId,
+      action,
+      { provider: parsed.provider, purpose, ...(error ? { code: error.code } : {}) },
+      ipAddress,
+    );
+  }
+}
+
+/**
+ * Resolve vault:// references for a user. Each reference is audited separately.
+ * References that fail are reported per reference instead of failing the batch.
+ * @param {string} userId - User the agent runs for
+ * @param {string[]} refs - vault:// references
+ * @param {Object} [options]
+ * @param {string} [options.purpose] - Why the values are needed (e.g. "chat")
+ * @param {string} [options.ipAddress] - Caller IP
+ * @returns {Promise<{ values: Record<string, string>,
+ *   errors: Record<string, { code: string, error: string }> }>}
+ */
+export async function resolveSecretRefs(userId, refs, { purpose, ipAddress } = {}) {
+  const values = {};
+  const errors = {};
+
+  for (const ref of new Set(refs)) {
+    let parsed;
+    try {
+      parsed = parseSecretRef(ref);
+    } catch (err) {
+      errors[ref] = { code: err.code, error: err.message };
+      continue;
+    }
+
+    try {
+      values[ref] =
+        parsed.scope === "group"
+          ? await resolveGroupSecret(userId, parsed)
+          : await resolveUserSecret(userId, parsed);
+      await auditResolution(userId, parsed, { purpose, ipAddress });
+    } catch (err) {
+      if (!err.code) {
+        console.error(`[secret-refs] Failed to resolve ${ref}:`, err);
+        err.code = "RESOLVE_FAILED";
+      }
+      errors[ref] = { code: err.code, error: err.message };
+      await auditResolution(userId, parsed, { purpose, ipAddress, error: err });
+    }
+  }
+
+  return { values, errors };
+}
+
+export default {
+  MAX_SECRET_REFS,
+  parseSecretRef,
+  resolveSecretRefs,
+};
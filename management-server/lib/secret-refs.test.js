@@ -0,0 +1,187 @@
+// Tests for vault:// secret reference resolution
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("axios", () => ({
+  default: { post: vi.fn(), get: vi.fn() },
+}));
+
+vi.mock("../db/index.js", () => ({
+  audit: { log: vi.fn() },
+  groupMemberships: { findByUserAndGroup: vi.fn() },
+  groupVaults: { findByGroup: vi.fn() },
+  groupVaultAudit: { log: vi.fn() },
+  groupVaultTokens: { listActiveByUser: vi.fn() },
+  integrations: { getDecryptedTokens: vi.fn() },
+}));
+
+import axios from "axios";
+import {
+  audit,
+  groupMemberships,
+  groupVaults,
+  groupVaultAudit,
+  groupVaultTokens,
+  integrations,
+} from "../db/index.js";
+import { parseSecretRef, resolveSecretRefs } from "./secret-refs.js";
+
+const userId = "user-1";
+const groupId = "0b7c6d1e-2f3a-4b5c-8d9e-0f1a2b3c4d5e";
+const groupRef = `vault://group/${groupId}/stripe_key`;
+const grantExpiresAt = new Date("2030-01-01T00:00:00.000Z");
+
+describe("secret refs", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    groupMemberships.findByUserAndGroup.mockResolvedValue({ role: "member" });
+    groupVaultTokens.listActiveByUser.mockResolvedValue([
+      { allowed_secrets: ["stripe_key"], permissions: ["read"], expires_at: grantExpiresAt },
+    ]);
+    groupVaults.findByGroup.mockResolvedValue({ status: "active", container_port: 4100 });
+  });
+
+  describe("parseSecretRef", () => {
+    it("should parse group references", () => {
+      expect(parseSecretRef(groupRef)).toEqual({ scope: "group", groupId, key: "stripe_key" });
+    });
+
+    it("should parse user references", () => {
+      expect(parseSecretRef("vault://me/github")).toEqual({ scope: "me", provider: "github" });
+    });
+
+    it.each([
+      "vault://group/not-a-uuid/key",
+      `vault://group/${groupId}/../etc`,
+      "vault://me/",
+      "vault://other/thing",
+      "https://example.com",
+    ])("should reject %s", (ref) => {
+      expect(() => parseSecretRef(ref)).toThrow(
+        expect.objectContaining({ code: "INVALID_SECRET_REF" }),
+      );
+    });
+  });
+
+  describe("resolveSecretRefs", () => {
+    it("should read group secrets with a single-use token and audit it", async () => {
+      axios.post.mockResolvedValue({ data: { token: "cap-token" } });
+      axios.get.mockResolvedValue({ data: { key: "stripe_key", value: "sk_live_123" } });
+
+      const result = await resolveSecretRefs(userId, [groupRef], { purpose: "chat" });
+
+      expect(result).toEqual({ values: { [groupRef]: "sk_live_123" }, errors: {} });
+      expect(axios.post).toHaveBeenCalledWith(
+        "http://localhost:4100/tokens",
+        expect.objectContaining({
+          allowedSecrets: ["stripe_key"],
+          permissions: ["read"],
+          maxCalls: 1,
+          notAfter: grantExpiresAt.getTime(),
+        }),
+        expect.any(Object),
+      );
+      expect(axios.get).toHaveBeenCalledWith(
+        "http://localhost:4100/secrets/stripe_key",
+        expect.objectContaining({ headers: { "x-capability-token": "cap-token" } }),
+      );
+      expect(groupVaultAudit.log).toHaveBeenCalledWith(
+        expect.objectContaining({
+          groupId,
+          userId,
+          action: "secret_ref.resolved",
+          success: true,
+          metadata: { key: "stripe_key", purpose: "chat" },
+        }),
+      );
+    });
+
+    it("should charge the read to the budget of a limited vault token", async () => {
+      groupVaultTokens.listActiveByUser.mockResolvedValue([
+        {
+          token_id: "a".repeat(32),
+          allowed_secrets: ["*"],
+          permissions: ["read"],
+          max_calls: 10,
+          expires_at: grantExpiresAt,
+        },
+      ]);
+      axios.post.mockResolvedValue({ data: { token: "cap-token" } });
+      axios.get.mockResolvedValue({ data: { key: "stripe_key", value: "sk_live_123" } });
+
+      await resolveSecretRefs(userId, [groupRef]);
+
+      const [, body] = axios.post.mock.calls[0];
+      expect(body).toMatchObject({
+        allowedSecrets: ["stripe_key"],
+        permissions: ["read"],
+        maxCalls: 10,
+        notAfter: grantExpiresAt.getTime(),
+        budgetId: "a".repeat(32),
+      });
+    });
+
+    it("should report a vault token whose budget is spent", async () => {
+      axios.post.mockResolvedValue({ data: { token: "cap-token" } });
+      axios.get.mockRejectedValue({ response: { status: 429 } });
+
+      const result = await resolveSecretRefs(userId, [groupRef]);
+
+      expect(result.errors[groupRef].code).toBe("CALL_LIMIT_EXCEEDED");
+    });
+
+    it("should deny secrets the user holds no vault token for", async () => {
+      groupVaultTokens.listActiveByUser.mockResolvedValue([
+        { allowed_secrets: ["other_key"], permissions: ["read"] },
+      ]);
+
+      const result = await resolveSecretRefs(userId, [groupRef]);
+
+      expect(result.errors[groupRef].code).toBe("ACCESS_DENIED");
+      expect(axios.post).not.toHaveBeenCalled();
+      expect(groupVaultAudit.log).toHaveBeenCalledWith(
+        expect.objectContaining({ action: "secret_ref.denied", success: false }),
+      );
+    });
+
+    it("should deny non-members", async () => {
+      groupMemberships.findByUserAndGroup.mockResolvedValue(undefined);
+
+      const result = await resolveSecretRefs(userId, [groupRef]);
+
+      expect(result.errors[groupRef].code).toBe("ACCESS_DENIED");
+    });
+
+    it("should report a locked group vault", async () => {
+      axios.post.mockRejectedValue({ response: { status: 423 } });
+
+      const result = await resolveSecretRefs(userId, [groupRef]);
+
+      expect(result.errors[groupRef].code).toBe("VAULT_LOCKED");
+    });
+
+    it("should resolve the user's own credentials", async () => {
+      integrations.getDecryptedTokens.mockResolvedValue({ apiKey: null, accessToken: "gho_abc" });
+
+      const result = await resolveSecretRefs(userId, ["vault://me/github"], { purpose: "chat" });
+
+      expect(result.values["vault://me/github"]).toBe("gho_abc");
+      expect(audit.log).toHaveBeenCalledWith(
+        userId,
+        "secret_ref.resolved",
+        { provider: "github", purpose: "chat" },
+        undefined,
+      );
+    });
+
+    it("should resolve each reference independently", async () => {
+      integrations.getDecryptedTokens.mockResolvedValue(null);
+
+      const result = await resolveSecretRefs(userId, ["vault://me/slack", "bogus", "bogus"]);
+
+      expect(result.values).toEqual({});
+      expect(result.errors["vault://me/slack"].code).toBe("SECRET_NOT_FOUND");
+      expect(result.errors.bogus.code).toBe("INVALID_SECRET_REF");
+      expect(audit.log).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -21,6 +21,8 @@ export const SECURITY_EVENT_TYPES = {
   MFA_VERIFIED: "mfa_verified",
   MFA_FAILED: "mfa_failed",
   MFA_BACKUP_USED: "mfa_backup_used",
+  MFA_ENROLLMENT_REQUIRED: "mfa_enrollment_required",
+  MFA_POLICY_CHANGED: "mfa_policy_changed",
 
   // Vault events
   VAULT_CREATED: "vault_created",
@@ -54,6 +56,17 @@ export const SECURITY_EVENT_TYPES = {
   GROUP_INVITE_SENT: "group_invite_sent",
   GROUP_INVITE_ACCEPTED: "group_invite_accepted",
 
+  // Break-glass group vault access
+  BREAK_GLASS_ENABLED: "break_glass_enabled",
+  BREAK_GLASS_DISABLED: "break_glass_disabled",
+  BREAK_GLASS_REQUESTED: "break_glass_requested",
+  BREAK_GLASS_APPROVED: "break_glass_approved",
+  BREAK_GLASS_DENIED: "break_glass_denied",
+  BREAK_GLASS_ACTIVATED: "break_glass_activated",
+  BREAK_GLASS_ENDED: "break_glass_ended",
+  BREAK_GLASS_REVIEWED: "break_glass_reviewed",
+  BREAK_GLASS_REVIEW_OVERDUE: "break_glass_review_overdue",
+
   // Token events
   TOKEN_CREATED: "token_created",
   TOKEN_REVOKED: "token_revoked",
@@ -68,9 +81,14 @@ export const SECURITY_EVENT_TYPES = {
   ANOMALY_DETECTED: "anomaly_detected",
   ANOMALY_CRITICAL: "anomaly_critical",
 
+  // Provisioning events
+  SCIM_USER_PROVISIONED: "scim_user_provisioned",
+  SCIM_USER_DEPROVISIONED: "scim_user_deprovisioned",
+
   // API events
   API_KEY_CREATED: "api_key_created",
   API_KEY_REVOKED: "api_key_revoked",
+  API_KEY_ROTATED: "api_key_rotated",
   API_UNAUTHORIZED: "api_unauthorized",
 };
 
@@ -97,6 +115,8 @@ const EVENT_SEVERITY = {
   [SECURITY_EVENT_TYPES.MFA_VERIFIED]: SEVERITY.DEBUG,
   [SECURITY_EVENT_TYPES.MFA_FAILED]: SEVERITY.WARNING,
   [SECURITY_EVENT_TYPES.MFA_BACKUP_USED]: SEVERITY.WARNING,
+  [SECURITY_EVENT_TYPES.MFA_ENROLLMENT_REQUIRED]: SEVERITY.WARNING,
+  [SECURITY_EVENT_TYPES.MFA_POLICY_CHANGED]: SEVERITY.WARNING,
 
   [SECURITY_EVENT_TYPES.VAULT_CREATED]: SEVERITY.INFO,
   [SECURITY_EVENT_TYPES.VAULT_UNLOCKED]: SEVERITY.INFO,
@@ -126,6 +146,16 @@ const EVENT_SEVERITY = {
   [SECURITY_EVENT_TYPES.GROUP_INVITE_SENT]: SEVERITY.DEBUG,
   [SECURITY_EVENT_TYPES.GROUP_INVITE_ACCEPTED]: SEVERITY.INFO,
 
+  [SECURITY_EVENT_TYPES.BREAK_GLASS_ENABLED]: SEVERITY.WARNING,
+  [SECURITY_EVENT_TYPES.BREAK_GLASS_DISABLED]: SEVERITY.WARNING,
+  [SECURITY_EVENT_TYPES.BREAK_GLASS_REQUESTED]: SEVERITY.CRITICAL,
+  [SECURITY_EVENT_TYPES.BREAK_GLASS_APPROVED]: SEVERITY.CRITICAL,
+  [SECURITY_EVENT_TYPES.BREAK_GLASS_DENIED]: SEVERITY.CRITICAL,
+  [SECURITY_EVENT_TYPES.BREAK_GLASS_ACTIVATED]: SEVERITY.CRITICAL,
+  [SECURITY_EVENT_TYPES.BREAK_GLASS_ENDED]: SEVERITY.CRITICAL,
+  [SECURITY_EVENT_TYPES.BREAK_GLASS_REVIEWED]: SEVERITY.WARNING,
+  [SECURITY_EVENT_TYPES.BREAK_GLASS_REVIEW_OVERDUE]: SEVERITY.CRITICAL,
+
   [SECURITY_EVENT_TYPES.TOKEN_CREATED]: SEVERITY.INFO,
   [SECURITY_EVENT_TYPES.TOKEN_REVOKED]: SEVERITY.INFO,
   [SECURITY_EVENT_TYPES.TOKEN_REVOKED_ALL]: SEVERITY.CRITICAL,
@@ -137,8 +167,12 @@ const EVENT_SEVERITY = {
   [SECURITY_EVENT_TYPES.ANOMALY_DETECTED]: SEVERITY.WARNING,
   [SECURITY_EVENT_TYPES.ANOMALY_CRITICAL]: SEVERITY.CRITICAL,
 
+  [SECURITY_EVENT_TYPES.SCIM_USER_PROVISIONED]: SEVERITY.INFO,
+  [SECURITY_EVENT_TYPES.SCIM_USER_DEPROVISIONED]: SEVERITY.WARNING,
+
   [SECURITY_EVENT_TYPES.API_KEY_CREATED]: SEVERITY.INFO,
   [SECURITY_EVENT_TYPES.API_KEY_REVOKED]: SEVERITY.INFO,
+  [SECURITY_EVENT_TYPES.API_KEY_ROTATED]: SEVERITY.INFO,
   [SECURITY_EVENT_TYPES.API_UNAUTHORIZED]: SEVERITY.WARNING,
 };
 
@@ -124,12 +124,13 @@ export async function extractTenantFromRequest(req, options = {}) {
   if (apiKey && validateApiKey) {
     try {
       const keyData = await validateApiKey(apiKey);
-      if (keyData && keyData.tenant_id) {
+      const keyTenantId = keyData?.tenantId || keyData?.tenant_id;
+      if (keyTenantId) {
         const tenant =
-          keyData.tenant || (findTenantById ? await findTenantById(keyData.tenant_id) : null);
+          keyData.tenant || (findTenantById ? await findTenantById(keyTenantId) : null);
         return {
           source: TENANT_SOURCE.API_KEY,
-          tenantId: keyData.tenant_id,
+          tenantId: keyTenantId,
           tenant,
           apiKeyData: keyData,
         };
@@ -11,6 +11,9 @@ const memoryStore = new Map();
 // Redis key prefix for vault sessions
 const REDIS_PREFIX = "vault:session:";
 
+// Redis set of session tokens per user, so all of a user's sessions can be revoked
+const REDIS_USER_PREFIX = "vault:user-sessions:";
+
 // Clean up expired sessions from memory store periodically
 setInterval(() => {
   const now = Date.now();
@@ -21,6 +24,14 @@ setInterval(() => {
   }
 }, 60000);
 
+/**
+ * Track a session token under its user in Redis
+ */
+async function trackUserSession(redis, userId, token) {
+  await redis.sadd(REDIS_USER_PREFIX + userId, token);
+  await redis.expire(REDIS_USER_PREFIX + userId, VAULT_SESSION_TIMEOUT_SEC);
+}
+
 /**
  * Create a vault session after unlock
  * Uses Redis if available, otherwise in-memory
@@ -38,6 +49,7 @@ export async function createVaultSession(userId, vaultKey) {
   if (redis && isRedisConnected()) {
     try {
       await redis.setex(REDIS_PREFIX + token, VAULT_SESSION_TIMEOUT_SEC, JSON.stringify(session));
+      await trackUserSession(redis, userId, token);
       return token;
     } catch (err) {
       console.warn("[vault-sessions] Redis write failed, using memory:", err.message);
@@ -148,6 +160,40 @@ export async function deleteVaultSession(token) {
   memoryStore.delete(token);
 }
 
+/**
+ * Delete every vault session belonging to a user (password change, key re-wrap)
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of sessions removed
+ */
+export async function deleteUserVaultSessions(userId) {
+  const tokens = new Set();
+
+  const redis = getRedisClient();
+  if (redis && isRedisConnected()) {
+    try {
+      for (const token of await redis.smembers(REDIS_USER_PREFIX + userId)) {
+        tokens.add(token);
+      }
+      if (tokens.size > 0) {
+        await redis.del(...[...tokens].map((token) => REDIS_PREFIX + token));
+      }
+      await redis.del(REDIS_USER_PREFIX + userId);
+    } catch (err) {
+      console.warn("[vault-sessions] Redis user session delete failed:", err.message);
+    }
+  }
+
+  // Always clean from memory too
+  for (const [token, session] of memoryStore) {
+    if (session.userId === userId) {
+      tokens.add(token);
+      memoryStore.delete(token);
+    }
+  }
+
+  return tokens.size;
+}
+
 /**
  * Legacy sync interface for compatibility
  * @deprecated Use async versions instead
@@ -172,6 +218,7 @@ export const vaultSessions = {
     if (redis && isRedisConnected()) {
       redis
         .setex(REDIS_PREFIX + token, VAULT_SESSION_TIMEOUT_SEC, JSON.stringify(session))
+        .then(() => trackUserSession(redis, session.userId, token))
         .catch(() => {});
     }
   },
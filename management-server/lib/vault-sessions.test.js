@@ -0,0 +1,40 @@
+// Tests for vault session storage (in-memory fallback)
+import { describe, it, expect, vi } from "vitest";
+
+vi.mock("./redis.js", () => ({
+  getRedisClient: () => null,
+  isRedisConnected: () => false,
+}));
+
+import {
+  createVaultSession,
+  getVaultSession,
+  deleteUserVaultSessions,
+  vaultSessions,
+} from "./vault-sessions.js";
+
+describe("vault-sessions", () => {
+  describe("deleteUserVaultSessions", () => {
+    it("should revoke every session for the user and keep others", async () => {
+      const first = await createVaultSession("user-1", "key-1");
+      const second = await createVaultSession("user-1", "key-2");
+      const other = await createVaultSession("user-2", "key-3");
+      vaultSessions.set("legacy-token", {
+        userId: "user-1",
+        vaultKey: "key-4",
+        expiresAt: Date.now() + 60000,
+      });
+
+      expect(await deleteUserVaultSessions("user-1")).toBe(3);
+
+      expect(await getVaultSession(first)).toBeNull();
+      expect(await getVaultSession(second)).toBeNull();
+      expect(vaultSessions.get("legacy-token")).toBeUndefined();
+      expect((await getVaultSession(other)).userId).toBe("user-2");
+    });
+
+    it("should return zero when the user has no sessions", async () => {
+      expect(await deleteUserVaultSessions("user-3")).toBe(0);
+    });
+  });
+});
@@ -381,12 +381,26 @@ export async function createVaultWithData(password, data, seed) {
  * @param {object} vault - Current vault object
  * @param {string} oldPassword - Current password
  * @param {string} newPassword - New password
- * @returns {Promise<object>} Updated vault with new password
+ * @param {object} [options]
+ * @param {boolean} [options.rotateRecovery] - Issue a new recovery seed and phrase so recovery
+ *   material created for the old password (phrase, social shards, hardware key) stops working
+ * @returns {Promise<{ vault: object, seed: Buffer, recoveryPhrase?: string }>}
  */
-export async function changePassword(vault, oldPassword, newPassword) {
+export async function changePassword(
+  vault,
+  oldPassword,
+  newPassword,
+  { rotateRecovery = false } = {},
+) {
   // Unlock with old password to get data and seed
   const data = await unlockVault(vault, oldPassword);
 
+  if (rotateRecovery) {
+    const { phrase, seed } = generateRecoveryPhrase();
+    const { vault: newVault } = await createVaultWithData(newPassword, data, seed);
+    return { vault: newVault, seed, recoveryPhrase: phrase };
+  }
+
   // Get the seed
   const oldSalt = Buffer.from(vault.kdf.salt, "base64");
   const oldKey = await deriveKey(oldPassword, oldSalt);
@@ -396,7 +410,8 @@ export async function changePassword(vault, oldPassword, newPassword) {
   const seed = decrypt(oldKey, seedNonce, seedTag, seedCiphertext);
 
   // Re-create vault with new password (same data, same seed for recovery phrase)
-  return createVaultWithData(newPassword, data, seed);
+  const { vault: newVault } = await createVaultWithData(newPassword, data, seed);
+  return { vault: newVault, seed };
 }
 
 /**
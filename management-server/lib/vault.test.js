@@ -172,6 +172,22 @@ describe("vault crypto", () => {
     expect(recoveredData.credentials).toEqual([]);
   });
 
+  it("should rotate recovery material when changing password", async () => {
+    const { vault, recoveryPhrase } = await createVault("old-password");
+
+    const result = await changePassword(vault, "old-password", "new-password", {
+      rotateRecovery: true,
+    });
+
+    expect(result.recoveryPhrase).toBeTruthy();
+    expect(result.recoveryPhrase).not.toBe(recoveryPhrase);
+    expect(result.seed).toHaveLength(32);
+    expect(() => unlockVaultWithRecovery(result.vault, recoveryPhrase)).toThrow();
+
+    const { data } = unlockVaultWithRecovery(result.vault, result.recoveryPhrase);
+    expect(data.credentials).toEqual([]);
+  });
+
   it("should validate vault structure", async () => {
     const { vault } = await createVault("test-password");
     expect(isValidVault(vault)).toBe(true);
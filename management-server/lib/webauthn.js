@@ -0,0 +1,607 @@
+// management-server/lib/webauthn.js
+// WebAuthn (passkey) registration and assertion ceremonies
+// Implements the relying-party checks from the W3C WebAuthn Level 2 spec
+// without third-party libraries: CBOR/COSE parsing and signature verification
+// use Node's crypto module.
+
+import crypto from "crypto";
+
+// Relying party configuration
+const USER_UI_URL = process.env.USER_UI_URL || "http://localhost:5173";
+
+export const WEBAUTHN_CONFIG = {
+  rpName: process.env.WEBAUTHN_RP_NAME || "OCMT",
+  rpId: process.env.WEBAUTHN_RP_ID || new URL(USER_UI_URL).hostname,
+  origins: (process.env.WEBAUTHN_ORIGINS || new URL(USER_UI_URL).origin)
+    .split(",")
+    .map((o) => o.trim())
+    .filter(Boolean),
+  challengeBytes: 32,
+  challengeTtlMs: 5 * 60 * 1000, // 5 minutes
+  timeoutMs: 60 * 1000,
+};
+
+// COSE algorithm identifiers we accept (ES256, EdDSA, RS256)
+export const COSE_ALGORITHMS = {
+  ES256: -7,
+  EDDSA: -8,
+  RS256: -257,
+};
+
+// Authenticator data flags
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_BACKUP_ELIGIBLE = 0x08;
+const FLAG_BACKED_UP = 0x10;
+const FLAG_ATTESTED_CREDENTIAL_DATA = 0x40;
+
+/**
+ * Create a WebAuthn error with a machine-readable code
+ * @param {string} message
+ * @param {string} code
+ * @returns {Error}
+ */
+function webauthnError(message, code = "WEBAUTHN_INVALID") {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// ============================================================
+// ENCODING HELPERS
+// ============================================================
+
+/**
+ * Encode bytes as base64url (no padding)
+ * @param {Buffer|Uint8Array} buffer
+ * @returns {string}
+ */
+export function toBase64Url(buffer) {
+  return Buffer.from(buffer).toString("base64url");
+}
+
+/**
+ * Decode a base64url string
+ * @param {string} value
+ * @returns {Buffer}
+ */
+export function fromBase64Url(value) {
+  if (typeof value !== "string") {
+    throw webauthnError("Expected base64url string");
+  }
+  return Buffer.from(value, "base64url");
+}
+
+/**
+ * Generate a random challenge
+ * @returns {string} base64url-encoded challenge
+ */
+export function generateChallenge() {
+  return toBase64Url(crypto.randomBytes(WEBAUTHN_CONFIG.challengeBytes));
+}
+
+// ============================================================
+// CBOR DECODING (RFC 8949 subset used by WebAuthn)
+// ============================================================
+
+/**
+ * Decode a single CBOR item starting at offset
+ * Supports unsigned/negative integers, byte/text strings, arrays, maps
+ * and the simple values false/true/null.
+ *
+ * @param {Buffer} buffer - CBOR-encoded data
+ * @param {number} offset - Start offset
+ * @returns {{ value: any, offset: number }} Decoded value and next offset
+ */
+export function decodeCbor(buffer, offset = 0) {
+  if (offset >= buffer.length) {
+    throw webauthnError("Unexpected end of CBOR data");
+  }
+
+  const initial = buffer[offset++];
+  const majorType = initial >> 5;
+  const additional = initial & 0x1f;
+
+  let length;
+  if (additional < 24) {
+    length = additional;
+  } else if (additional === 24) {
+    length = buffer.readUInt8(offset);
+    offset += 1;
+  } else if (additional === 25) {
+    length = buffer.readUInt16BE(offset);
+    offset += 2;
+  } else if (additional === 26) {
+    length = buffer.readUInt32BE(offset);
+    offset += 4;
+  } else if (additional === 27) {
+    length = Number(buffer.readBigUInt64BE(offset));
+    offset += 8;
+  } else {
+    throw webauthnError("Unsupported CBOR length encoding");
+  }
+
+  switch (majorType) {
+    case 0:
+      return { value: length, offset };
+    case 1:
+      return { value: -1 - length, offset };
+    case 2: {
+      const end = offset + length;
+      if (end > buffer.length) {
+        throw webauthnError("Unexpected end of CBOR data");
+      }
+      return { value: buffer.subarray(offset, end), offset: end };
+    }
+    case 3: {
+      const end = offset + length;
+      if (end > buffer.length) {
+        throw webauthnError("Unexpected end of CBOR data");
+      }
+      return { value: buffer.subarray(offset, end).toString("utf8"), offset: end };
+    }
+    case 4: {
+      const items = [];
+      for (let i = 0; i < length; i++) {
+        const item = decodeCbor(buffer, offset);
+        items.push(item.value);
+        offset = item.offset;
+      }
+      return { value: items, offset };
+    }
+    case 5: {
+      const map = new Map();
+      for (let i = 0; i < length; i++) {
+        const key = decodeCbor(buffer, offset);
+        const val = decodeCbor(buffer, key.offset);
+        map.set(key.value, val.value);
+        offset = val.offset;
+      }
+      return { value: map, offset };
+    }
+    case 7:
+      if (additional === 20) {
+        return { value: false, offset };
+      }
+      if (additional === 21) {
+        return { value: true, offset };
+      }
+      if (additional === 22) {
+        return { value: null, offset };
+      }
+      throw webauthnError("Unsupported CBOR simple value");
+    default:
+      throw webauthnError("Unsupported CBOR major type");
+  }
+}
+
+// ============================================================
+// AUTHENTICATOR DATA AND COSE KEYS
+// ============================================================
+
+/**
+ * Parse authenticator data
+ * @param {Buffer} authData
+ * @returns {object} Parsed fields (rpIdHash, flags, signCount, attested credential)
+ */
+export function parseAuthenticatorData(authData) {
+  if (authData.length < 37) {
+    throw webauthnError("Authenticator data too short");
+  }
+
+  const flags = authData[32];
+  const result = {
+    rpIdHash: authData.subarray(0, 32),
+    flags,
+    userPresent: Boolean(flags & FLAG_USER_PRESENT),
+    userVerified: Boolean(flags & FLAG_USER_VERIFIED),
+    backupEligible: Boolean(flags & FLAG_BACKUP_ELIGIBLE),
+    backedUp: Boolean(flags & FLAG_BACKED_UP),
+    signCount: authData.readUInt32BE(33),
+    aaguid: null,
+    credentialId: null,
+    credentialPublicKey: null,
+  };
+
+  if (flags & FLAG_ATTESTED_CREDENTIAL_DATA) {
+    let offset = 37;
+    const aaguid = authData.subarray(offset, offset + 16).toString("hex");
+    offset += 16;
+    const credentialIdLength = authData.readUInt16BE(offset);
+    offset += 2;
+    result.credentialId = authData.subarray(offset, offset + credentialIdLength);
+    offset += credentialIdLength;
+    const { value } = decodeCbor(authData, offset);
+    result.credentialPublicKey = value;
+    result.aaguid = [
+      aaguid.slice(0, 8),
+      aaguid.slice(8, 12),
+      aaguid.slice(12, 16),
+      aaguid.slice(16, 20),
+      aaguid.slice(20),
+    ].join("-");
+  }
+
+  return result;
+}
+
+/**
+ * Convert a COSE_Key map into a Node KeyObject
+ * @param {Map} coseKey
+ * @returns {{ keyObject: crypto.KeyObject, algorithm: number }}
+ */
+export function coseKeyToPublicKey(coseKey) {
+  if (!(coseKey instanceof Map)) {
+    throw webauthnError("Invalid credential public key");
+  }
+
+  const kty = coseKey.get(1);
+  const alg = coseKey.get(3);
+
+  if (kty === 2 && alg === COSE_ALGORITHMS.ES256 && coseKey.get(-1) === 1) {
+    const jwk = {
+      kty: "EC",
+      crv: "P-256",
+      x: toBase64Url(coseKey.get(-2)),
+      y: toBase64Url(coseKey.get(-3)),
+    };
+    return { keyObject: crypto.createPublicKey({ key: jwk, format: "jwk" }), algorithm: alg };
+  }
+
+  if (kty === 1 && alg === COSE_ALGORITHMS.EDDSA && coseKey.get(-1) === 6) {
+    const jwk = { kty: "OKP", crv: "Ed25519", x: toBase64Url(coseKey.get(-2)) };
+    return { keyObject: crypto.createPublicKey({ key: jwk, format: "jwk" }), algorithm: alg };
+  }
+
+  if (kty === 3 && alg === COSE_ALGORITHMS.RS256) {
+    const jwk = { kty: "RSA", n: toBase64Url(coseKey.get(-1)), e: toBase64Url(coseKey.get(-2)) };
+    return { keyObject: crypto.createPublicKey({ key: jwk, format: "jwk" }), algorithm: alg };
+  }
+
+  throw webauthnError("Unsupported credential algorithm", "WEBAUTHN_UNSUPPORTED_ALGORITHM");
+}
+
+/**
+ * Verify a signature made by a credential key
+ * @param {number} algorithm - COSE algorithm identifier
+ * @param {crypto.KeyObject} publicKey
+ * @param {Buffer} data - Signed data
+ * @param {Buffer} signature - Signature (DER for ES256)
+ * @returns {boolean}
+ */
+function verifySignature(algorithm, publicKey, data, signature) {
+  const digest = algorithm === COSE_ALGORITHMS.EDDSA ? null : "sha256";
+  try {
+    return crypto.verify(digest, data, publicKey, signature);
+  } catch {
+    return false;
+  }
+}
+
+// ============================================================
+// CLIENT DATA CHECKS
+// ============================================================
+
+/**
+ * Parse and check clientDataJSON against the expected ceremony
+ * @param {string} clientDataJSON - base64url-encoded client data
+ * @param {string} expectedType - "webauthn.create" or "webauthn.get"
+ * @param {string} expectedChallenge - base64url challenge issued by the server
+ * @returns {Buffer} Raw client data bytes
+ */
+function checkClientData(clientDataJSON, expectedType, expectedChallenge) {
+  const raw = fromBase64Url(clientDataJSON);
+  let clientData;
+  try {
+    clientData = JSON.parse(raw.toString("utf8"));
+  } catch {
+    throw webauthnError("Invalid client data");
+  }
+
+  if (clientData.type !== expectedType) {
+    throw webauthnError("Unexpected ceremony type");
+  }
+
+  const received = Buffer.from(String(clientData.challenge || ""));
+  const expected = Buffer.from(expectedChallenge);
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    throw webauthnError("Challenge mismatch", "WEBAUTHN_CHALLENGE_MISMATCH");
+  }
+
+  if (!WEBAUTHN_CONFIG.origins.includes(clientData.origin)) {
+    throw webauthnError("Origin not allowed", "WEBAUTHN_ORIGIN_MISMATCH");
+  }
+
+  return raw;
+}
+
+/**
+ * Read the challenge echoed in a credential response's clientDataJSON
+ * Used to look up the server-side challenge record before full verification.
+ *
+ * @param {object} response - PublicKeyCredential JSON
+ * @returns {string|null} base64url challenge, or null if unreadable
+ */
+export function extractChallenge(response) {
+  try {
+    const clientData = JSON.parse(fromBase64Url(response.response.clientDataJSON).toString("utf8"));
+    return typeof clientData.challenge === "string" ? clientData.challenge : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check the rpIdHash in authenticator data matches our RP ID
+ * @param {Buffer} rpIdHash
+ */
+function checkRpIdHash(rpIdHash) {
+  const expected = crypto.createHash("sha256").update(WEBAUTHN_CONFIG.rpId).digest();
+  if (!crypto.timingSafeEqual(rpIdHash, expected)) {
+    throw webauthnError("Relying party mismatch", "WEBAUTHN_RP_MISMATCH");
+  }
+}
+
+// ============================================================
+// REGISTRATION CEREMONY
+// ============================================================
+
+/**
+ * Build PublicKeyCredentialCreationOptions (JSON form) for a user
+ *
+ * @param {object} params
+ * @param {object} params.user - { id, email, name }
+ * @param {string} params.challenge - base64url challenge
+ * @param {string[]} params.excludeCredentialIds - Already-registered credential IDs
+ * @returns {object} Options to pass to navigator.credentials.create()
+ */
+export function generateRegistrationOptions({ user, challenge, excludeCredentialIds = [] }) {
+  return {
+    challenge,
+    rp: { name: WEBAUTHN_CONFIG.rpName, id: WEBAUTHN_CONFIG.rpId },
+    user: {
+      id: toBase64Url(Buffer.from(user.id)),
+      name: user.email,
+      displayName: user.name || user.email,
+    },
+    pubKeyCredParams: Object.values(COSE_ALGORITHMS).map((alg) => ({ type: "public-key", alg })),
+    timeout: WEBAUTHN_CONFIG.timeoutMs,
+    attestation: "direct",
+    excludeCredentials: excludeCredentialIds.map((id) => ({ type: "public-key", id })),
+    authenticatorSelection: {
+      residentKey: "preferred",
+      userVerification: "preferred",
+    },
+  };
+}
+
+/**
+ * Verify an attestation statement
+ * "none" is accepted as-is; "packed" is verified against either the
+ * credential key (self attestation) or the leaf certificate in x5c.
+ * Other formats are stored but not cryptographically checked.
+ *
+ * @returns {boolean} True if the statement was verified
+ */
+function verifyAttestationStatement(fmt, attStmt, authData, clientDataHash, credential) {
+  if (fmt === "none") {
+    return false;
+  }
+
+  if (fmt !== "packed") {
+    return false;
+  }
+
+  const signedData = Buffer.concat([authData, clientDataHash]);
+  const sig = attStmt.get("sig");
+  const alg = attStmt.get("alg");
+  const x5c = attStmt.get("x5c");
+
+  if (Array.isArray(x5c) && x5c.length > 0) {
+    const cert = new crypto.X509Certificate(x5c[0]);
+    if (!verifySignature(alg, cert.publicKey, signedData, sig)) {
+      throw webauthnError("Invalid attestation signature");
+    }
+    return true;
+  }
+
+  if (alg !== credential.algorithm) {
+    throw webauthnError("Attestation algorithm mismatch");
+  }
+  if (!verifySignature(alg, credential.keyObject, signedData, sig)) {
+    throw webauthnError("Invalid attestation signature");
+  }
+  return true;
+}
+
+/**
+ * Verify a registration (attestation) response from the browser
+ *
+ * @param {object} params
+ * @param {object} params.response - PublicKeyCredential JSON
+ *   ({ id, rawId, type, response: { clientDataJSON, attestationObject, transports } })
+ * @param {string} params.expectedChallenge - Challenge issued for this ceremony
+ * @returns {object} Credential data to persist
+ */
+export function verifyRegistrationResponse({ response, expectedChallenge }) {
+  if (!response || response.type !== "public-key" || !response.response) {
+    throw webauthnError("Invalid credential response");
+  }
+
+  const clientData = checkClientData(
+    response.response.clientDataJSON,
+    "webauthn.create",
+    expectedChallenge,
+  );
+  const clientDataHash = crypto.createHash("sha256").update(clientData).digest();
+
+  const attestationObject = fromBase64Url(response.response.attestationObject);
+  const { value: attestation } = decodeCbor(attestationObject);
+  if (!(attestation instanceof Map)) {
+    throw webauthnError("Invalid attestation object");
+  }
+
+  const fmt = attestation.get("fmt");
+  const attStmt = attestation.get("attStmt") || new Map();
+  const authData = attestation.get("authData");
+  if (!Buffer.isBuffer(authData)) {
+    throw webauthnError("Invalid attestation object");
+  }
+
+  const parsed = parseAuthenticatorData(authData);
+  checkRpIdHash(parsed.rpIdHash);
+
+  if (!parsed.userPresent) {
+    throw webauthnError("User presence required");
+  }
+  if (!parsed.credentialId || !parsed.credentialPublicKey) {
+    throw webauthnError("Missing attested credential data");
+  }
+
+  const credentialId = toBase64Url(parsed.credentialId);
+  if (response.id && response.id !== credentialId) {
+    throw webauthnError("Credential ID mismatch");
+  }
+
+  const credential = coseKeyToPublicKey(parsed.credentialPublicKey);
+  const attestationVerified = verifyAttestationStatement(
+    fmt,
+    attStmt,
+    authData,
+    clientDataHash,
+    credential,
+  );
+
+  return {
+    credentialId,
+    publicKey: toBase64Url(credential.keyObject.export({ format: "der", type: "spki" })),
+    algorithm: credential.algorithm,
+    signCount: parsed.signCount,
+    aaguid: parsed.aaguid,
+    attestationFormat: fmt,
+    attestationObject: response.response.attestationObject,
+    attestationVerified,
+    transports: Array.isArray(response.response.transports) ? response.response.transports : [],
+    userVerified: parsed.userVerified,
+    backupEligible: parsed.backupEligible,
+    backedUp: parsed.backedUp,
+  };
+}
+
+// ============================================================
+// AUTHENTICATION CEREMONY
+// ============================================================
+
+/**
+ * Build PublicKeyCredentialRequestOptions (JSON form)
+ * An empty allow list lets the browser offer discoverable credentials (passkeys).
+ *
+ * @param {object} params
+ * @param {string} params.challenge - base64url challenge
+ * @param {object[]} params.allowCredentials - [{ credentialId, transports }]
+ * @param {string} params.userVerification - "required" | "preferred" | "discouraged"
+ * @returns {object} Options to pass to navigator.credentials.get()
+ */
+export function generateAuthenticationOptions({
+  challenge,
+  allowCredentials = [],
+  userVerification = "preferred",
+}) {
+  return {
+    challenge,
+    rpId: WEBAUTHN_CONFIG.rpId,
+    timeout: WEBAUTHN_CONFIG.timeoutMs,
+    userVerification,
+    allowCredentials: allowCredentials.map((c) => ({
+      type: "public-key",
+      id: c.credentialId,
+      transports: c.transports || undefined,
+    })),
+  };
+}
+
+/**
+ * Verify an authentication (assertion) response from the browser
+ *
+ * @param {object} params
+ * @param {object} params.response - PublicKeyCredential JSON
+ *   ({ id, type, response: { clientDataJSON, authenticatorData, signature, userHandle } })
+ * @param {string} params.expectedChallenge - Challenge issued for this ceremony
+ * @param {object} params.credential - Stored credential ({ publicKey, algorithm, signCount })
+ * @param {boolean} params.requireUserVerification - Reject assertions without UV
+ * @returns {{ signCount: number, userVerified: boolean, backedUp: boolean }}
+ */
+export function verifyAuthenticationResponse({
+  response,
+  expectedChallenge,
+  credential,
+  requireUserVerification = false,
+}) {
+  if (!response || response.type !== "public-key" || !response.response) {
+    throw webauthnError("Invalid credential response");
+  }
+
+  const clientData = checkClientData(
+    response.response.clientDataJSON,
+    "webauthn.get",
+    expectedChallenge,
+  );
+  const authData = fromBase64Url(response.response.authenticatorData);
+  const parsed = parseAuthenticatorData(authData);
+
+  checkRpIdHash(parsed.rpIdHash);
+
+  if (!parsed.userPresent) {
+    throw webauthnError("User presence required");
+  }
+  if (requireUserVerification && !parsed.userVerified) {
+    throw webauthnError("User verification required", "WEBAUTHN_UV_REQUIRED");
+  }
+
+  const publicKey = crypto.createPublicKey({
+    key: fromBase64Url(credential.publicKey),
+    format: "der",
+    type: "spki",
+  });
+  const clientDataHash = crypto.createHash("sha256").update(clientData).digest();
+  const signature = fromBase64Url(response.response.signature);
+
+  if (
+    !verifySignature(
+      credential.algorithm,
+      publicKey,
+      Buffer.concat([authData, clientDataHash]),
+      signature,
+    )
+  ) {
+    throw webauthnError("Invalid assertion signature", "WEBAUTHN_BAD_SIGNATURE");
+  }
+
+  // Signature counter must increase unless the authenticator does not implement one
+  const storedCount = Number(credential.signCount) || 0;
+  if ((parsed.signCount > 0 || storedCount > 0) && parsed.signCount <= storedCount) {
+    throw webauthnError("Signature counter did not increase", "WEBAUTHN_CLONED_AUTHENTICATOR");
+  }
+
+  return {
+    signCount: parsed.signCount,
+    userVerified: parsed.userVerified,
+    backedUp: parsed.backedUp,
+  };
+}
+
+export default {
+  WEBAUTHN_CONFIG,
+  COSE_ALGORITHMS,
+  toBase64Url,
+  fromBase64Url,
+  generateChallenge,
+  extractChallenge,
+  decodeCbor,
+  parseAuthenticatorData,
+  coseKeyToPublicKey,
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse,
+};
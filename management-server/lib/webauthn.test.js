@@ -0,0 +1,267 @@
+/**
+ * Tests for WebAuthn ceremony verification
+ * Uses a software authenticator built on Node crypto
+ */
+import crypto from "crypto";
+import { describe, it, expect } from "vitest";
+import {
+  WEBAUTHN_CONFIG,
+  decodeCbor,
+  extractChallenge,
+  generateChallenge,
+  generateRegistrationOptions,
+  toBase64Url,
+  verifyAuthenticationResponse,
+  verifyRegistrationResponse,
+} from "./webauthn.js";
+
+// Minimal CBOR encoder for building authenticator responses
+function encodeHead(majorType, length) {
+  if (length < 24) {
+    return Buffer.from([(majorType << 5) | length]);
+  }
+  if (length < 256) {
+    return Buffer.from([(majorType << 5) | 24, length]);
+  }
+  const buf = Buffer.alloc(3);
+  buf[0] = (majorType << 5) | 25;
+  buf.writeUInt16BE(length, 1);
+  return buf;
+}
+
+function encodeCbor(value) {
+  if (typeof value === "number") {
+    return value >= 0 ? encodeHead(0, value) : encodeHead(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([encodeHead(2, value.length), value]);
+  }
+  if (typeof value === "string") {
+    const bytes = Buffer.from(value, "utf8");
+    return Buffer.concat([encodeHead(3, bytes.length), bytes]);
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([encodeHead(4, value.length), ...value.map(encodeCbor)]);
+  }
+  const entries = value instanceof Map ? [...value.entries()] : Object.entries(value);
+  return Buffer.concat([
+    encodeHead(5, entries.length),
+    ...entries.flatMap(([k, v]) => [encodeCbor(k), encodeCbor(v)]),
+  ]);
+}
+
+const ORIGIN = WEBAUTHN_CONFIG.origins[0];
+const RP_ID_HASH = crypto.createHash("sha256").update(WEBAUTHN_CONFIG.rpId).digest();
+
+function createAuthenticator() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+  const jwk = publicKey.export({ format: "jwk" });
+  const credentialId = crypto.randomBytes(16);
+  const coseKey = new Map([
+    [1, 2],
+    [3, -7],
+    [-1, 1],
+    [-2, Buffer.from(jwk.x, "base64url")],
+    [-3, Buffer.from(jwk.y, "base64url")],
+  ]);
+  return { privateKey, credentialId, coseKey, counter: 0 };
+}
+
+function clientData(type, challenge, origin = ORIGIN) {
+  return Buffer.from(JSON.stringify({ type, challenge, origin }));
+}
+
+function register(authenticator, challenge, options = {}) {
+  const counter = Buffer.alloc(4);
+  const idLength = Buffer.alloc(2);
+  idLength.writeUInt16BE(authenticator.credentialId.length);
+  const authData = Buffer.concat([
+    options.rpIdHash || RP_ID_HASH,
+    Buffer.from([0x45]), // UP | UV | AT
+    counter,
+    Buffer.alloc(16), // AAGUID
+    idLength,
+    authenticator.credentialId,
+    encodeCbor(authenticator.coseKey),
+  ]);
+  const attestationObject = encodeCbor({ fmt: "none", attStmt: new Map(), authData });
+
+  return {
+    id: toBase64Url(authenticator.credentialId),
+    type: "public-key",
+    response: {
+      clientDataJSON: toBase64Url(clientData("webauthn.create", challenge, options.origin)),
+      attestationObject: toBase64Url(attestationObject),
+      transports: ["internal"],
+    },
+  };
+}
+
+function assert(authenticator, challenge, options = {}) {
+  authenticator.counter += 1;
+  const counter = Buffer.alloc(4);
+  counter.writeUInt32BE(options.counter ?? authenticator.counter);
+  const authData = Buffer.concat([RP_ID_HASH, Buffer.from([options.flags ?? 0x05]), counter]);
+  const cd = clientData("webauthn.get", challenge);
+  const clientDataHash = crypto.createHash("sha256").update(cd).digest();
+  const signature = crypto.sign(
+    "sha256",
+    Buffer.concat([authData, clientDataHash]),
+    authenticator.privateKey,
+  );
+
+  return {
+    id: toBase64Url(authenticator.credentialId),
+    type: "public-key",
+    response: {
+      clientDataJSON: toBase64Url(cd),
+      authenticatorData: toBase64Url(authData),
+      signature: toBase64Url(signature),
+      userHandle: null,
+    },
+  };
+}
+
+describe("WebAuthn", () => {
+  describe("decodeCbor", () => {
+    it("should decode maps with integer and string keys", () => {
+      const encoded = encodeCbor(
+        new Map([
+          [1, "a"],
+          ["key", -7],
+          [-2, Buffer.from([1, 2])],
+        ]),
+      );
+      const { value } = decodeCbor(encoded);
+      expect(value.get(1)).toBe("a");
+      expect(value.get("key")).toBe(-7);
+      expect(Buffer.from(value.get(-2))).toEqual(Buffer.from([1, 2]));
+    });
+  });
+
+  describe("generateRegistrationOptions", () => {
+    it("should include RP, user and excluded credentials", () => {
+      const options = generateRegistrationOptions({
+        user: { id: "user-1", email: "a@example.com", name: "Alice" },
+        challenge: "abc",
+        excludeCredentialIds: ["cred-1"],
+      });
+      expect(options.rp.id).toBe(WEBAUTHN_CONFIG.rpId);
+      expect(options.user.name).toBe("a@example.com");
+      expect(options.excludeCredentials).toEqual([{ type: "public-key", id: "cred-1" }]);
+      expect(options.pubKeyCredParams.map((p) => p.alg)).toContain(-7);
+    });
+  });
+
+  describe("registration", () => {
+    it("should verify a registration and return storable credential data", () => {
+      const authenticator = createAuthenticator();
+      const challenge = generateChallenge();
+      const response = register(authenticator, challenge);
+
+      expect(extractChallenge(response)).toBe(challenge);
+
+      const result = verifyRegistrationResponse({ response, expectedChallenge: challenge });
+      expect(result.credentialId).toBe(toBase64Url(authenticator.credentialId));
+      expect(result.algorithm).toBe(-7);
+      expect(result.attestationFormat).toBe("none");
+      expect(result.attestationVerified).toBe(false);
+      expect(result.transports).toEqual(["internal"]);
+      expect(result.userVerified).toBe(true);
+    });
+
+    it("should reject a mismatched challenge", () => {
+      const response = register(createAuthenticator(), generateChallenge());
+      expect(() =>
+        verifyRegistrationResponse({ response, expectedChallenge: generateChallenge() }),
+      ).toThrow(expect.objectContaining({ code: "WEBAUTHN_CHALLENGE_MISMATCH" }));
+    });
+
+    it("should reject an unexpected origin", () => {
+      const challenge = generateChallenge();
+      const response = register(createAuthenticator(), challenge, {
+        origin: "https://evil.example",
+      });
+      expect(() => verifyRegistrationResponse({ response, expectedChallenge: challenge })).toThrow(
+        expect.objectContaining({ code: "WEBAUTHN_ORIGIN_MISMATCH" }),
+      );
+    });
+
+    it("should reject credentials scoped to another relying party", () => {
+      const challenge = generateChallenge();
+      const response = register(createAuthenticator(), challenge, {
+        rpIdHash: crypto.createHash("sha256").update("evil.example").digest(),
+      });
+      expect(() => verifyRegistrationResponse({ response, expectedChallenge: challenge })).toThrow(
+        expect.objectContaining({ code: "WEBAUTHN_RP_MISMATCH" }),
+      );
+    });
+  });
+
+  describe("authentication", () => {
+    function setup() {
+      const authenticator = createAuthenticator();
+      const challenge = generateChallenge();
+      const registered = verifyRegistrationResponse({
+        response: register(authenticator, challenge),
+        expectedChallenge: challenge,
+      });
+      return { authenticator, credential: registered };
+    }
+
+    it("should verify a valid assertion and return the new counter", () => {
+      const { authenticator, credential } = setup();
+      const challenge = generateChallenge();
+
+      const result = verifyAuthenticationResponse({
+        response: assert(authenticator, challenge),
+        expectedChallenge: challenge,
+        credential,
+      });
+
+      expect(result.signCount).toBe(1);
+      expect(result.userVerified).toBe(true);
+    });
+
+    it("should reject an assertion signed by a different key", () => {
+      const { credential } = setup();
+      const other = createAuthenticator();
+      const challenge = generateChallenge();
+
+      expect(() =>
+        verifyAuthenticationResponse({
+          response: assert(other, challenge),
+          expectedChallenge: challenge,
+          credential,
+        }),
+      ).toThrow(expect.objectContaining({ code: "WEBAUTHN_BAD_SIGNATURE" }));
+    });
+
+    it("should detect a signature counter that did not increase", () => {
+      const { authenticator, credential } = setup();
+      const challenge = generateChallenge();
+
+      expect(() =>
+        verifyAuthenticationResponse({
+          response: assert(authenticator, challenge, { counter: 3 }),
+          expectedChallenge: challenge,
+          credential: { ...credential, signCount: 5 },
+        }),
+      ).toThrow(expect.objectContaining({ code: "WEBAUTHN_CLONED_AUTHENTICATOR" }));
+    });
+
+    it("should require user verification when requested", () => {
+      const { authenticator, credential } = setup();
+      const challenge = generateChallenge();
+
+      expect(() =>
+        verifyAuthenticationResponse({
+          response: assert(authenticator, challenge, { flags: 0x01 }),
+          expectedChallenge: challenge,
+          credential,
+          requireUserVerification: true,
+        }),
+      ).toThrow(expect.objectContaining({ code: "WEBAUTHN_UV_REQUIRED" }));
+    });
+  });
+});
@@ -1,6 +1,24 @@
 // API Key Authentication Middleware
 // Handles authentication via API keys for multi-tenant access
-import { apiKeys, users } from "../db/index.js";
+import { apiKeys, userMfa, users } from "../db/index.js";
+import { evaluateMfaPolicy, MFA_POLICY_STATUS } from "../lib/mfa-policy.js";
+import { getClientIp } from "../lib/rate-limit.js";
+import { apiKeyAllows } from "../lib/rbac.js";
+import { setTenantContext, TENANT_SOURCE } from "../lib/tenant-context.js";
+
+// HTTP methods that only read data (require 'read' scope); everything else requires 'write'
+const READ_ONLY_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+// Routers open to API keys with explicit permissions, by mount path, and the
+// permissions that let such a key in (the routes check the exact permission).
+// A restricted key is refused anywhere else, so a route that starts accepting
+// API keys stays closed to restricted keys until it is mapped here.
+export const API_KEY_ROUTE_PERMISSIONS = {
+  "/api/api-keys": ["api_keys.view", "api_keys.manage"],
+  "/api/audit": ["audit.export"],
+  "/api/groups": ["groups.view", "groups.create", "groups.manage"],
+  "/scim/v2": ["users.manage"],
+};
 
 /**
  * Extract API key from request headers
@@ -8,7 +26,7 @@ import { apiKeys, users } from "../db/index.js";
  * @param {import('express').Request} req
  * @returns {string|null}
  */
-function extractApiKey(req) {
+export function extractApiKey(req) {
   // Priority 1: x-api-key header
   const xApiKey = req.headers["x-api-key"];
   if (xApiKey) {
@@ -28,7 +46,7 @@ function extractApiKey(req) {
  * API Key Authentication Middleware
  *
  * Validates API keys and sets request context:
- * - req.apiKey: Key metadata (id, name, scopes, rateLimitOverride, etc.)
+ * - req.apiKey: Key metadata (id, name, scopes, permissions, rateLimitOverride, etc.)
  * - req.tenant: Tenant info from the key
  * - req.user: User info if key has associated user_id
  * - req.authMethod: 'api_key' when authenticated via API key
@@ -45,7 +63,7 @@ export async function apiKeyAuth(req, res, next) {
   }
 
   try {
-    const keyData = await apiKeys.validateKey(rawKey);
+    const keyData = await apiKeys.validateKey(rawKey, getClientIp(req));
 
     if (!keyData) {
       return res.status(401).json({
@@ -60,18 +78,21 @@ export async function apiKeyAuth(req, res, next) {
       name: keyData.name,
       keyPrefix: keyData.keyPrefix,
       scopes: keyData.scopes,
+      permissions: keyData.permissions ?? null,
       rateLimitOverride: keyData.rateLimitOverride,
       expiresAt: keyData.expiresAt,
       createdAt: keyData.createdAt,
     };
 
-    req.tenant = keyData.tenant;
+    setTenantContext(req, keyData.tenant, TENANT_SOURCE.API_KEY);
     req.authMethod = "api_key";
 
     // If key has associated user, fetch and set user context
+    // API keys never carry platform admin rights, even if the owning user has them,
+    // and keys with explicit permissions are restricted to them by lib/rbac.js can()
     if (keyData.userId) {
       const user = await users.findById(keyData.userId);
-      if (user) {
+      if (user && user.tenant_id === keyData.tenantId) {
         req.user = {
           id: user.id,
           email: user.email,
@@ -80,11 +101,16 @@ export async function apiKeyAuth(req, res, next) {
           containerId: user.container_id,
           containerPort: user.container_port,
           gatewayToken: user.gateway_token,
+          tenant_id: user.tenant_id,
+          tenant_role: user.tenant_role,
+          created_at: user.created_at,
+          is_platform_admin: false,
+          api_key_permissions: Array.isArray(keyData.permissions) ? keyData.permissions : null,
         };
       }
     }
 
-    next();
+    return next();
   } catch (err) {
     console.error("API key auth error:", err);
     return res.status(500).json({
@@ -94,6 +120,83 @@ export async function apiKeyAuth(req, res, next) {
   }
 }
 
+/**
+ * Authenticate a user-facing request via API key
+ *
+ * Used by requireUserOrApiKey when no session token is present, so programmatic
+ * clients (CI jobs, scripts) can call the routes that opt in.
+ * The key must belong to an active user in the key's tenant, and the
+ * request method must be allowed by the key's scopes:
+ * - GET/HEAD/OPTIONS require 'read'
+ * - all other methods require 'write'
+ * A key with explicit permissions must also hold one of the permissions mapped
+ * to the router in API_KEY_ROUTE_PERMISSIONS. The tenant MFA policy applies to
+ * the key's owner: once their enrollment grace period is over, their keys stop
+ * working until they enroll.
+ */
+export function authenticateApiKeyUser(req, res, next) {
+  return apiKeyAuth(req, res, async () => {
+    if (!req.apiKey || !req.user) {
+      return res.status(401).json({
+        error: "API key is not associated with an active user",
+        code: "INVALID_API_KEY",
+      });
+    }
+
+    if (req.user.status === "disabled" || req.user.status === "suspended") {
+      return res.status(403).json({
+        error: "Account disabled",
+        code: "ACCOUNT_DISABLED",
+      });
+    }
+
+    try {
+      const mfa = await userMfa.getStatus(req.user.id);
+      req.mfaPolicy = evaluateMfaPolicy(req.tenant?.settings?.mfaPolicy, req.user, {
+        enrolled: mfa.totpEnabled || mfa.webauthnEnabled,
+      });
+    } catch (err) {
+      console.error("API key MFA policy check error:", err);
+      return res.status(500).json({
+        error: "Authentication failed",
+        code: "AUTH_ERROR",
+      });
+    }
+
+    if (req.mfaPolicy.status === MFA_POLICY_STATUS.BLOCKED) {
+      return res.status(403).json({
+        error: "Your organization requires multi-factor authentication. Set up MFA to continue.",
+        code: "MFA_ENROLLMENT_REQUIRED",
+        graceEndsAt: req.mfaPolicy.graceEndsAt,
+      });
+    }
+
+    const scope = READ_ONLY_METHODS.has(req.method) ? "read" : "write";
+    if (!apiKeys.checkScope(req.apiKey, scope)) {
+      return res.status(403).json({
+        error: `Scope '${scope}' required`,
+        code: "INSUFFICIENT_SCOPE",
+        required: scope,
+        available: req.apiKey.scopes,
+      });
+    }
+
+    const keyPermissions = req.user.api_key_permissions;
+    if (Array.isArray(keyPermissions)) {
+      const routePermissions = API_KEY_ROUTE_PERMISSIONS[req.baseUrl] || [];
+      if (!routePermissions.some((permission) => apiKeyAllows(keyPermissions, permission))) {
+        return res.status(403).json({
+          error: "API key permission denied for this route",
+          code: "API_KEY_PERMISSION_DENIED",
+          required: routePermissions,
+        });
+      }
+    }
+
+    next();
+  });
+}
+
 /**
  * Require API Key Authentication
  *
@@ -205,7 +308,9 @@ export function getRateLimitOverride(req) {
 }
 
 export default {
+  extractApiKey,
   apiKeyAuth,
+  authenticateApiKeyUser,
   requireApiKey,
   requireScope,
   requireScopes,
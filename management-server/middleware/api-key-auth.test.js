@@ -0,0 +1,291 @@
+// Tests for API key authentication middleware
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+// Mock the database module
+vi.mock("../db/index.js", async () => {
+  const actual = await vi.importActual("../db/api-keys.js");
+  return {
+    apiKeys: {
+      validateKey: vi.fn(),
+      checkScope: actual.apiKeys.checkScope,
+    },
+    users: {
+      findById: vi.fn(),
+    },
+    userMfa: {
+      getStatus: vi.fn(),
+    },
+  };
+});
+
+import { apiKeys, userMfa, users } from "../db/index.js";
+import { authenticateApiKeyUser, extractApiKey } from "./api-key-auth.js";
+import { requireUser, requireUserOrApiKey } from "./auth.js";
+
+const TENANT = { id: "tenant-1", name: "Acme", slug: "acme", status: "active" };
+
+function createReq(overrides = {}) {
+  return {
+    method: "GET",
+    headers: { "x-api-key": "opw_live_0123456789abcdef0123456789abcdef" },
+    ip: "203.0.113.10",
+    socket: { remoteAddress: "203.0.113.10" },
+    ...overrides,
+  };
+}
+
+function createRes() {
+  const res = {};
+  res.status = vi.fn().mockReturnValue(res);
+  res.json = vi.fn().mockReturnValue(res);
+  return res;
+}
+
+function mockValidKey(scopes, userOverrides = {}, permissions = null, tenant = TENANT) {
+  userMfa.getStatus.mockResolvedValue({ totpEnabled: false, webauthnEnabled: false });
+  apiKeys.validateKey.mockResolvedValue({
+    id: "key-1",
+    tenantId: TENANT.id,
+    userId: "user-1",
+    name: "CI",
+    keyPrefix: "opw_live_012",
+    scopes,
+    permissions,
+    tenant,
+  });
+  users.findById.mockResolvedValue({
+    id: "user-1",
+    email: "ci@acme.test",
+    name: "CI Bot",
+    status: "active",
+    tenant_id: TENANT.id,
+    tenant_role: "admin",
+    is_platform_admin: true,
+    ...userOverrides,
+  });
+}
+
+describe("API Key Auth Middleware", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe("extractApiKey", () => {
+    it("should read the x-api-key header", () => {
+      expect(extractApiKey({ headers: { "x-api-key": "opw_live_abc" } })).toBe("opw_live_abc");
+    });
+
+    it("should read an API key from an Authorization Bearer header", () => {
+      expect(extractApiKey({ headers: { authorization: "Bearer opw_live_abc" } })).toBe(
+        "opw_live_abc",
+      );
+    });
+
+    it("should ignore non-API-key Bearer tokens", () => {
+      expect(extractApiKey({ headers: { authorization: "Bearer some-jwt" } })).toBeNull();
+    });
+  });
+
+  describe("authenticateApiKeyUser", () => {
+    it("should authenticate a read request with a read-scoped key", async () => {
+      mockValidKey(["read"]);
+      const req = createReq();
+      const res = createRes();
+      const next = vi.fn();
+
+      await authenticateApiKeyUser(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.authMethod).toBe("api_key");
+      expect(req.tenant).toEqual(TENANT);
+      expect(req.tenantId).toBe(TENANT.id);
+      expect(req.user.tenant_role).toBe("admin");
+      expect(apiKeys.validateKey).toHaveBeenCalledWith(expect.any(String), "203.0.113.10");
+    });
+
+    it("should never grant platform admin through an API key", async () => {
+      mockValidKey(["*"]);
+      const req = createReq();
+      const next = vi.fn();
+
+      await authenticateApiKeyUser(req, createRes(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user.is_platform_admin).toBe(false);
+    });
+
+    it("should carry explicit key permissions onto the user", async () => {
+      mockValidKey(["read"], {}, ["audit.export"]);
+      const req = createReq({ baseUrl: "/api/audit" });
+      const next = vi.fn();
+
+      await authenticateApiKeyUser(req, createRes(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.apiKey.permissions).toEqual(["audit.export"]);
+      expect(req.user.api_key_permissions).toEqual(["audit.export"]);
+    });
+
+    it("should refuse keys with explicit permissions on routes without a mapped permission", async () => {
+      mockValidKey(["read", "write"], {}, ["*"]);
+      const req = createReq({ baseUrl: "/api/vault" });
+      const res = createRes();
+      const next = vi.fn();
+
+      await authenticateApiKeyUser(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ code: "API_KEY_PERMISSION_DENIED" }),
+      );
+    });
+
+    it("should refuse keys lacking the permissions mapped to the route", async () => {
+      mockValidKey(["read"], {}, ["audit.export"]);
+      const req = createReq({ baseUrl: "/api/groups" });
+      const res = createRes();
+      const next = vi.fn();
+
+      await authenticateApiKeyUser(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it("should accept category wildcards for a mapped route", async () => {
+      mockValidKey(["read"], {}, ["groups.*"]);
+      const req = createReq({ baseUrl: "/api/groups" });
+      const next = vi.fn();
+
+      await authenticateApiKeyUser(req, createRes(), next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it("should not restrict keys without explicit permissions", async () => {
+      mockValidKey(["read"]);
+      const req = createReq();
+
+      await authenticateApiKeyUser(req, createRes(), vi.fn());
+
+      expect(req.user.api_key_permissions).toBeNull();
+    });
+
+    it("should reject write requests from a read-only key", async () => {
+      mockValidKey(["read"]);
+      const req = createReq({ method: "POST" });
+      const res = createRes();
+      const next = vi.fn();
+
+      await authenticateApiKeyUser(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ code: "INSUFFICIENT_SCOPE", required: "write" }),
+      );
+    });
+
+    it("should allow write requests from a write-scoped key", async () => {
+      mockValidKey(["write"]);
+      const next = vi.fn();
+
+      await authenticateApiKeyUser(createReq({ method: "DELETE" }), createRes(), next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it("should reject invalid keys", async () => {
+      apiKeys.validateKey.mockResolvedValue(null);
+      const res = createRes();
+      const next = vi.fn();
+
+      await authenticateApiKeyUser(createReq(), res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it("should reject keys whose user has left the tenant", async () => {
+      mockValidKey(["read"], { tenant_id: "other-tenant" });
+      const res = createRes();
+      const next = vi.fn();
+
+      await authenticateApiKeyUser(createReq(), res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it("should reject keys belonging to a disabled user", async () => {
+      mockValidKey(["read"], { status: "disabled" });
+      const res = createRes();
+      const next = vi.fn();
+
+      await authenticateApiKeyUser(createReq(), res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
+
+  describe("tenant MFA policy", () => {
+    const policyTenant = {
+      ...TENANT,
+      settings: { mfaPolicy: { mode: "all", gracePeriodDays: 0, enforcedAt: "2026-01-01" } },
+    };
+
+    it("should refuse keys of owners past their enrollment grace period", async () => {
+      mockValidKey(["read"], { created_at: "2025-01-01" }, null, policyTenant);
+      const req = createReq();
+      const res = createRes();
+      const next = vi.fn();
+
+      await authenticateApiKeyUser(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ code: "MFA_ENROLLMENT_REQUIRED" }),
+      );
+    });
+
+    it("should accept keys of enrolled owners", async () => {
+      mockValidKey(["read"], { created_at: "2025-01-01" }, null, policyTenant);
+      userMfa.getStatus.mockResolvedValue({ totpEnabled: true, webauthnEnabled: false });
+      const next = vi.fn();
+
+      await authenticateApiKeyUser(createReq(), createRes(), next);
+
+      expect(next).toHaveBeenCalled();
+    });
+  });
+
+  describe("requireUserOrApiKey", () => {
+    it("should authenticate API keys on routes that opt in", async () => {
+      mockValidKey(["read"]);
+      const req = createReq();
+      const res = createRes();
+      const next = vi.fn();
+
+      await requireUserOrApiKey(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.authMethod).toBe("api_key");
+    });
+
+    it("should leave session-only routes closed to API keys", async () => {
+      mockValidKey(["read", "write", "admin"]);
+      const req = createReq();
+      const res = createRes();
+      const next = vi.fn();
+
+      requireUser(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(apiKeys.validateKey).not.toHaveBeenCalled();
+    });
+  });
+});
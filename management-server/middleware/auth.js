@@ -1,7 +1,10 @@
 import crypto from "crypto";
 import { sessions, users, magicLinks, audit, userAllowlist } from "../db/index.js";
 import { generatePermanentToken, encryptGatewayToken } from "../lib/gateway-tokens.js";
+import { evaluateMfaPolicy, isAllowedWhileHeld, MFA_POLICY_STATUS } from "../lib/mfa-policy.js";
 import { getClientIp } from "../lib/rate-limit.js";
+import { logFromRequest, SECURITY_EVENT_TYPES } from "../lib/security-events.js";
+import { authenticateApiKeyUser, extractApiKey } from "./api-key-auth.js";
 
 // Session cookie configuration
 const SESSION_COOKIE = "ocmt_session";
@@ -14,6 +17,10 @@ const USER_SESSION_TIMEOUT_MS =
 // Magic link configuration
 const MAGIC_LINK_EXPIRY = 15 * 60 * 1000; // 15 minutes
 
+// Log at most one "blocked for missing MFA" event per user per hour
+const MFA_BLOCK_EVENT_INTERVAL = 60 * 60 * 1000;
+const lastMfaBlockEvent = new Map();
+
 /**
  * Check if user email is in the admin list
  */
@@ -24,6 +31,71 @@ function isSystemAdmin(user) {
   return adminEmails.includes(user?.email?.toLowerCase());
 }
 
+/**
+ * Apply the tenant MFA policy to an authenticated session request.
+ * Users inside their grace period are flagged via req.mfaPolicy and the
+ * X-MFA-Enrollment-Required header; users past it can only reach the
+ * enrollment endpoints. Enrolled users whose session has not completed MFA
+ * can only reach session verification.
+ *
+ * @returns {boolean} True if the request was rejected
+ */
+function enforceMfaPolicy(req, res, session) {
+  const evaluation = evaluateMfaPolicy(
+    session.tenant_mfa_policy,
+    { tenant_role: session.tenant_role, created_at: session.user_created_at },
+    { enrolled: session.mfa_enrolled, verified: Boolean(session.mfa_verified_at) },
+  );
+  req.mfaPolicy = evaluation;
+
+  if (evaluation.status === MFA_POLICY_STATUS.GRACE) {
+    res.set("X-MFA-Enrollment-Required", evaluation.graceEndsAt);
+    return false;
+  }
+
+  if (
+    evaluation.status !== MFA_POLICY_STATUS.BLOCKED &&
+    evaluation.status !== MFA_POLICY_STATUS.VERIFICATION_REQUIRED
+  ) {
+    return false;
+  }
+
+  const path = req.originalUrl.split("?")[0];
+  if (isAllowedWhileHeld(evaluation.status, req.method, path)) {
+    if (evaluation.status === MFA_POLICY_STATUS.BLOCKED) {
+      res.set("X-MFA-Enrollment-Required", evaluation.graceEndsAt);
+    }
+    return false;
+  }
+
+  if (evaluation.status === MFA_POLICY_STATUS.VERIFICATION_REQUIRED) {
+    res.status(403).json({
+      error:
+        "Your organization requires multi-factor authentication. Verify this session to continue.",
+      code: "MFA_VERIFICATION_REQUIRED",
+    });
+    return true;
+  }
+
+  const lastLogged = lastMfaBlockEvent.get(session.user_id) || 0;
+  if (Date.now() - lastLogged > MFA_BLOCK_EVENT_INTERVAL) {
+    lastMfaBlockEvent.set(session.user_id, Date.now());
+    logFromRequest(req, SECURITY_EVENT_TYPES.MFA_ENROLLMENT_REQUIRED, {
+      tenantId: session.tenant_id,
+      tenantRole: session.tenant_role,
+      graceEndedAt: evaluation.graceEndsAt,
+      path,
+    });
+  }
+
+  res.status(403).json({
+    error: "Your organization requires multi-factor authentication. Set up MFA to continue.",
+    code: "MFA_ENROLLMENT_REQUIRED",
+    graceEndsAt: evaluation.graceEndsAt,
+  });
+  return true;
+}
+
 /**
  * Middleware to require authenticated user session
  * Sets req.user if valid session exists
@@ -82,11 +154,17 @@ export function requireUser(req, res, next) {
         containerPort: session.container_port,
         gatewayToken: session.gateway_token,
         tenant_id: session.tenant_id,
+        tenant_role: session.tenant_role,
         is_platform_admin: session.is_platform_admin,
+        mfa_last_verified_at: session.mfa_last_verified_at,
       };
       req.sessionId = session.id;
       req.sessionToken = token;
 
+      if (enforceMfaPolicy(req, res, session)) {
+        return;
+      }
+
       // Update last activity asynchronously (don't block request)
       const clientIp = getClientIp(req);
       sessions.updateLastActivity(session.id, clientIp).catch((err) => {
@@ -101,6 +179,20 @@ export function requireUser(req, res, next) {
     });
 }
 
+/**
+ * Middleware to require a user session or a tenant API key
+ * For routes meant for programmatic access (CI jobs, scripts). Session-only
+ * routes (vault, MFA, password and session management) must keep requireUser,
+ * so a leaked integration key cannot reach them.
+ */
+export function requireUserOrApiKey(req, res, next) {
+  const token = req.cookies?.[SESSION_COOKIE] || req.headers["x-session-token"];
+  if (!token && extractApiKey(req)) {
+    return authenticateApiKeyUser(req, res, next);
+  }
+  return requireUser(req, res, next);
+}
+
 /**
  * Middleware to require system admin
  * Must be used after requireUser
@@ -262,6 +354,7 @@ export async function logout(req, res) {
 
 export default {
   requireUser,
+  requireUserOrApiKey,
   requireAdmin,
   optionalUser,
   generateMagicLink,
@@ -8,7 +8,14 @@ import { validateCsrfToken, getCsrfTokenFromRequest, generateCsrfToken } from ".
 const PROTECTED_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
 
 // Paths exempt from CSRF (webhooks use signature validation, health checks are read-only)
-const EXEMPT_PATHS = [/^\/api\/webhooks\//, /^\/api\/callbacks\//, /^\/health$/, /^\/api\/health$/];
+// SAML ACS and SLO endpoints receive cross-site POSTs from the IdP and verify XML signatures
+const EXEMPT_PATHS = [
+  /^\/api\/webhooks\//,
+  /^\/api\/callbacks\//,
+  /^\/health$/,
+  /^\/api\/health$/,
+  /^(\/api)?\/auth\/saml\/[^/]+\/(callback|logout)$/,
+];
 
 /**
  * CSRF protection middleware
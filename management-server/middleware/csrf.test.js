@@ -153,6 +153,24 @@ describe("CSRF Middleware", () => {
 
         expect(mockNext).toHaveBeenCalled();
       });
+
+      it("should skip CSRF for SAML ACS and Single Logout posts from the IdP", () => {
+        for (const path of ["/api/auth/saml/acme/callback", "/auth/saml/acme/logout"]) {
+          mockReq.path = path;
+          csrfProtection(mockReq, mockRes, mockNext);
+        }
+
+        expect(mockNext).toHaveBeenCalledTimes(2);
+      });
+
+      it("should not skip CSRF for SAML configuration routes", () => {
+        mockReq.path = "/auth/saml/config/tenant-1";
+        mockReq.headers.origin = "https://evil.com";
+
+        csrfProtection(mockReq, mockRes, mockNext);
+
+        expect(mockNext).not.toHaveBeenCalled();
+      });
     });
 
     describe("API key authentication", () => {
@@ -0,0 +1,575 @@
+// API key management routes
+// Self-service creation, listing, labelling, rotation and revocation of tenant API keys
+
+import { Router } from "express";
+import { z } from "zod";
+import { apiKeys, audit, API_KEY_SCOPES } from "../db/index.js";
+import { createRateLimiter } from "../lib/rate-limit.js";
+import {
+  ALL_PERMISSIONS,
+  apiKeyAllows,
+  can,
+  isValidPermission,
+  requirePermission,
+  requireAnyPermission,
+} from "../lib/rbac.js";
+import { logFromRequest, SECURITY_EVENT_TYPES } from "../lib/security-events.js";
+import { requireScope } from "../middleware/api-key-auth.js";
+import { requireUserOrApiKey } from "../middleware/auth.js";
+import { detectTenant, requireTenant } from "../middleware/tenant-context.js";
+
+const router = Router();
+
+// Maximum number of active (non-revoked, non-expired) keys per tenant
+const MAX_ACTIVE_KEYS_PER_TENANT = 50;
+
+// Maximum key lifetime when an expiry is requested
+const MAX_EXPIRY_DAYS = 730;
+
+// Rate limiter for key management (30 requests per 15 minutes)
+const apiKeyMgmtLimiter = createRateLimiter({
+  name: "api-key-management",
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  maxRequests: 30,
+  message: "Too many API key management requests. Please try again later.",
+});
+
+router.use(apiKeyMgmtLimiter);
+
+// ============================================================
+// VALIDATION SCHEMAS
+// ============================================================
+
+const uuidSchema = z.string().uuid();
+
+const scopesSchema = z
+  .array(z.enum(API_KEY_SCOPES))
+  .min(1)
+  .transform((scopes) => [...new Set(scopes)]);
+
+// Explicit RBAC permissions; "groups:view" is accepted as an alias for "groups.view"
+const permissionsSchema = z
+  .array(
+    z
+      .string()
+      .trim()
+      .transform((permission) => permission.replace(":", "."))
+      .refine(isValidPermission, { message: "Unknown permission" }),
+  )
+  .min(1)
+  .max(ALL_PERMISSIONS.length)
+  .transform((permissions) => [...new Set(permissions)]);
+
+const createKeySchema = z.object({
+  name: z.string().trim().min(1).max(255),
+  description: z.string().trim().max(1000).optional(),
+  scopes: scopesSchema.default(["read"]),
+  permissions: permissionsSchema.nullable().optional(),
+  expiresInDays: z.number().int().min(1).max(MAX_EXPIRY_DAYS).nullable().optional(),
+});
+
+const updateKeySchema = z
+  .object({
+    name: z.string().trim().min(1).max(255).optional(),
+    description: z.string().trim().max(1000).nullable().optional(),
+    scopes: scopesSchema.optional(),
+    permissions: permissionsSchema.nullable().optional(),
+  })
+  .refine((data) => Object.keys(data).length > 0, { message: "No updates provided" });
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+/**
+ * Keys used to manage other keys must carry the 'admin' scope.
+ * Session-authenticated requests pass through.
+ */
+function requireAdminScopeForApiKey(req, res, next) {
+  if (req.authMethod !== "api_key") {
+    return next();
+  }
+  return requireScope("admin")(req, res, next);
+}
+
+const viewKeys = [
+  requireUserOrApiKey,
+  detectTenant,
+  requireTenant,
+  requireAdminScopeForApiKey,
+  requireAnyPermission(["api_keys.view", "api_keys.manage"]),
+];
+
+const manageKeys = [
+  requireUserOrApiKey,
+  detectTenant,
+  requireTenant,
+  requireAdminScopeForApiKey,
+  requirePermission("api_keys.manage"),
+];
+
+/**
+ * Explicit permissions of the calling API key
+ * Null for session requests and for keys that only inherit their owner's role.
+ */
+function getCallerKeyPermissions(req) {
+  if (req.authMethod !== "api_key") {
+    return null;
+  }
+  return Array.isArray(req.user.api_key_permissions) ? req.user.api_key_permissions : null;
+}
+
+/**
+ * Find permissions the caller cannot delegate to a key
+ * A key may only be restricted to permissions the caller itself holds: its
+ * role's, and when calling with a restricted key, that key's own permissions.
+ * Wildcards are checked against every catalog permission they cover.
+ */
+function findUngrantablePermissions(req, permissions) {
+  const callerKeyPermissions = getCallerKeyPermissions(req);
+  return permissions.filter((permission) => {
+    const covered =
+      permission === "*"
+        ? ALL_PERMISSIONS.filter((p) => p !== "*")
+        : permission.endsWith(".*")
+          ? ALL_PERMISSIONS.filter((p) => p.startsWith(permission.slice(0, -1)))
+          : [permission];
+    return !covered.every(
+      (p) => apiKeyAllows(callerKeyPermissions, p) && can(req.user, p, null, req.customRoles),
+    );
+  });
+}
+
+/**
+ * Check if a stored key can do more than the API key calling the route
+ * A key may not update, rotate or revoke a broader key (rotation hands out its secret).
+ */
+function exceedsCallerKey(req, key) {
+  if (req.authMethod !== "api_key") {
+    return false;
+  }
+  if ((key.scopes || []).some((scope) => !apiKeys.checkScope(req.apiKey, scope))) {
+    return true;
+  }
+  if (!getCallerKeyPermissions(req)) {
+    return false;
+  }
+  return (
+    !Array.isArray(key.permissions) || findUngrantablePermissions(req, key.permissions).length > 0
+  );
+}
+
+/**
+ * Reject the request if the target key is broader than the calling key
+ * @returns {boolean} True if a response was sent
+ */
+function rejectBroaderKey(req, res, key) {
+  if (!exceedsCallerKey(req, key)) {
+    return false;
+  }
+  res.status(403).json({
+    error: "Cannot manage a key with more access than your own key",
+    code: "PERMISSION_ESCALATION",
+  });
+  return true;
+}
+
+/**
+ * Derive a display status for a key row
+ */
+function getKeyStatus(key) {
+  if (key.revoked_at) {
+    return "revoked";
+  }
+  if (key.expires_at && new Date(key.expires_at) < new Date()) {
+    return "expired";
+  }
+  return "active";
+}
+
+/**
+ * Format a key row for API responses (never includes the hash)
+ */
+function formatKey(key) {
+  return {
+    id: key.id,
+    name: key.name,
+    description: key.description || null,
+    keyPrefix: key.key_prefix,
+    scopes: key.scopes || [],
+    permissions: key.permissions || null,
+    status: getKeyStatus(key),
+    createdBy: key.user_id,
+    createdAt: key.created_at,
+    expiresAt: key.expires_at || null,
+    lastUsedAt: key.last_used_at || null,
+    lastUsedIp: key.last_used_ip || null,
+    rotatedAt: key.rotated_at || null,
+    revokedAt: key.revoked_at || null,
+  };
+}
+
+/**
+ * Load a key by route param, scoped to the request tenant
+ * Sends 400/404 and returns null when the key cannot be used
+ */
+async function loadTenantKey(req, res) {
+  const parseResult = uuidSchema.safeParse(req.params.id);
+  if (!parseResult.success) {
+    res.status(400).json({ error: "Invalid API key ID" });
+    return null;
+  }
+
+  const key = await apiKeys.findByIdForTenant(req.tenant.id, parseResult.data);
+  if (!key) {
+    res.status(404).json({ error: "API key not found" });
+    return null;
+  }
+
+  return key;
+}
+
+// ============================================================
+// ROUTES
+// ============================================================
+
+/**
+ * GET /api/api-keys
+ * List API keys for the tenant (metadata only)
+ */
+router.get("/", ...viewKeys, async (req, res) => {
+  try {
+    const includeRevoked = req.query.includeRevoked === "true";
+    const keys = await apiKeys.findByTenantId(req.tenant.id);
+
+    const visible = includeRevoked ? keys : keys.filter((key) => !key.revoked_at);
+
+    res.json({
+      keys: visible.map(formatKey),
+      availableScopes: API_KEY_SCOPES,
+      availablePermissions: ALL_PERMISSIONS,
+      limits: {
+        maxActiveKeys: MAX_ACTIVE_KEYS_PER_TENANT,
+        maxExpiryDays: MAX_EXPIRY_DAYS,
+      },
+    });
+  } catch (err) {
+    console.error("[api-keys] List keys error:", err);
+    res.status(500).json({ error: "Failed to list API keys" });
+  }
+});
+
+/**
+ * GET /api/api-keys/:id
+ * Get a single API key's metadata
+ */
+router.get("/:id", ...viewKeys, async (req, res) => {
+  try {
+    const key = await loadTenantKey(req, res);
+    if (!key) {
+      return;
+    }
+
+    res.json({ key: formatKey(key) });
+  } catch (err) {
+    console.error("[api-keys] Get key error:", err);
+    res.status(500).json({ error: "Failed to get API key" });
+  }
+});
+
+/**
+ * POST /api/api-keys
+ * Create a new API key. The raw key is returned once and cannot be retrieved later.
+ */
+router.post("/", ...manageKeys, async (req, res) => {
+  try {
+    const parseResult = createKeySchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return res.status(400).json({
+        error: "Invalid request body",
+        details: parseResult.error.issues,
+      });
+    }
+
+    const { name, description, scopes, expiresInDays } = parseResult.data;
+
+    // A restricted key cannot create an unrestricted one: omitted permissions inherit its own
+    const permissions = parseResult.data.permissions ?? getCallerKeyPermissions(req);
+
+    // A key cannot grant more than the key used to create it
+    if (req.authMethod === "api_key") {
+      const escalated = scopes.filter((scope) => !apiKeys.checkScope(req.apiKey, scope));
+      if (escalated.length > 0) {
+        return res.status(403).json({
+          error: "Cannot create a key with scopes beyond your own key",
+          code: "SCOPE_ESCALATION",
+          scopes: escalated,
+        });
+      }
+    }
+
+    if (permissions) {
+      const ungrantable = findUngrantablePermissions(req, permissions);
+      if (ungrantable.length > 0) {
+        return res.status(403).json({
+          error: "Cannot grant permissions you do not hold",
+          code: "PERMISSION_ESCALATION",
+          permissions: ungrantable,
+        });
+      }
+    }
+
+    const activeCount = await apiKeys.countActiveByTenantId(req.tenant.id);
+    if (activeCount >= MAX_ACTIVE_KEYS_PER_TENANT) {
+      return res.status(409).json({
+        error: `Tenant has reached the maximum of ${MAX_ACTIVE_KEYS_PER_TENANT} active API keys`,
+        code: "API_KEY_LIMIT_REACHED",
+      });
+    }
+
+    const expiresAt = expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      : null;
+
+    const { key, rawKey } = await apiKeys.create(
+      req.tenant.id,
+      req.user.id,
+      name,
+      scopes,
+      expiresAt,
+      description || null,
+      permissions || null,
+    );
+
+    await audit.log(
+      req.user.id,
+      "api_key.created",
+      {
+        tenantId: req.tenant.id,
+        keyId: key.id,
+        keyPrefix: key.key_prefix,
+        name,
+        scopes,
+        permissions: permissions || null,
+        expiresAt,
+      },
+      req.ip,
+    );
+    await logFromRequest(req, SECURITY_EVENT_TYPES.API_KEY_CREATED, {
+      tenantId: req.tenant.id,
+      keyId: key.id,
+      keyPrefix: key.key_prefix,
+      scopes,
+      permissions: permissions || null,
+    });
+
+    res.status(201).json({
+      success: true,
+      key: formatKey(key),
+      rawKey,
+      warning: "Store this key securely. It will not be shown again.",
+    });
+  } catch (err) {
+    console.error("[api-keys] Create key error:", err);
+    res.status(500).json({ error: "Failed to create API key" });
+  }
+});
+
+/**
+ * PATCH /api/api-keys/:id
+ * Update a key's label, description, scopes or permissions (null clears the restriction)
+ */
+router.patch("/:id", ...manageKeys, async (req, res) => {
+  try {
+    const bodyResult = updateKeySchema.safeParse(req.body);
+    if (!bodyResult.success) {
+      return res.status(400).json({
+        error: "Invalid request body",
+        details: bodyResult.error.issues,
+      });
+    }
+
+    const key = await loadTenantKey(req, res);
+    if (!key) {
+      return;
+    }
+
+    if (key.revoked_at) {
+      return res.status(409).json({
+        error: "Cannot update a revoked API key",
+        code: "API_KEY_REVOKED",
+      });
+    }
+
+    if (rejectBroaderKey(req, res, key)) {
+      return;
+    }
+
+    const updates = bodyResult.data;
+
+    // A restricted key cannot lift restrictions, its own or another key's
+    if (updates.permissions === null) {
+      updates.permissions = getCallerKeyPermissions(req);
+    }
+
+    if (req.authMethod === "api_key" && updates.scopes) {
+      const escalated = updates.scopes.filter((scope) => !apiKeys.checkScope(req.apiKey, scope));
+      if (escalated.length > 0) {
+        return res.status(403).json({
+          error: "Cannot grant scopes beyond your own key",
+          code: "SCOPE_ESCALATION",
+          scopes: escalated,
+        });
+      }
+    }
+
+    if (updates.permissions) {
+      const ungrantable = findUngrantablePermissions(req, updates.permissions);
+      if (ungrantable.length > 0) {
+        return res.status(403).json({
+          error: "Cannot grant permissions you do not hold",
+          code: "PERMISSION_ESCALATION",
+          permissions: ungrantable,
+        });
+      }
+    }
+
+    const updated = await apiKeys.update(key.id, updates);
+
+    await audit.log(
+      req.user.id,
+      "api_key.updated",
+      {
+        tenantId: req.tenant.id,
+        keyId: key.id,
+        keyPrefix: key.key_prefix,
+        changes: Object.keys(updates),
+        previousScopes: updates.scopes ? key.scopes : undefined,
+        scopes: updates.scopes,
+        previousPermissions: updates.permissions !== undefined ? key.permissions : undefined,
+        permissions: updates.permissions,
+      },
+      req.ip,
+    );
+
+    res.json({ success: true, key: formatKey(updated) });
+  } catch (err) {
+    console.error("[api-keys] Update key error:", err);
+    res.status(500).json({ error: "Failed to update API key" });
+  }
+});
+
+/**
+ * POST /api/api-keys/:id/rotate
+ * Replace a key's secret. The old secret stops working immediately and
+ * the new raw key is returned once.
+ */
+router.post("/:id/rotate", ...manageKeys, async (req, res) => {
+  try {
+    const key = await loadTenantKey(req, res);
+    if (!key) {
+      return;
+    }
+
+    if (rejectBroaderKey(req, res, key)) {
+      return;
+    }
+
+    if (getKeyStatus(key) !== "active") {
+      return res.status(409).json({
+        error: "Only active API keys can be rotated",
+        code: "API_KEY_INACTIVE",
+      });
+    }
+
+    const result = await apiKeys.rotate(key.id);
+    if (!result) {
+      return res.status(409).json({
+        error: "Only active API keys can be rotated",
+        code: "API_KEY_INACTIVE",
+      });
+    }
+
+    await audit.log(
+      req.user.id,
+      "api_key.rotated",
+      {
+        tenantId: req.tenant.id,
+        keyId: key.id,
+        previousKeyPrefix: key.key_prefix,
+        keyPrefix: result.key.key_prefix,
+      },
+      req.ip,
+    );
+    await logFromRequest(req, SECURITY_EVENT_TYPES.API_KEY_ROTATED, {
+      tenantId: req.tenant.id,
+      keyId: key.id,
+      previousKeyPrefix: key.key_prefix,
+      keyPrefix: result.key.key_prefix,
+    });
+
+    res.json({
+      success: true,
+      key: formatKey({ ...key, ...result.key }),
+      rawKey: result.rawKey,
+      warning: "Store this key securely. It will not be shown again.",
+    });
+  } catch (err) {
+    console.error("[api-keys] Rotate key error:", err);
+    res.status(500).json({ error: "Failed to rotate API key" });
+  }
+});
+
+/**
+ * DELETE /api/api-keys/:id
+ * Revoke an API key (soft delete - kept for audit history)
+ */
+router.delete("/:id", ...manageKeys, async (req, res) => {
+  try {
+    const key = await loadTenantKey(req, res);
+    if (!key) {
+      return;
+    }
+
+    if (key.revoked_at) {
+      return res.status(409).json({
+        error: "API key is already revoked",
+        code: "API_KEY_REVOKED",
+      });
+    }
+
+    if (rejectBroaderKey(req, res, key)) {
+      return;
+    }
+
+    const revoked = await apiKeys.revoke(key.id, req.user.id);
+
+    await audit.log(
+      req.user.id,
+      "api_key.revoked",
+      {
+        tenantId: req.tenant.id,
+        keyId: key.id,
+        keyPrefix: key.key_prefix,
+        name: key.name,
+      },
+      req.ip,
+    );
+    await logFromRequest(req, SECURITY_EVENT_TYPES.API_KEY_REVOKED, {
+      tenantId: req.tenant.id,
+      keyId: key.id,
+      keyPrefix: key.key_prefix,
+    });
+
+    res.json({
+      success: true,
+      key: formatKey(revoked || { ...key, revoked_at: new Date() }),
+      message: `API key "${key.name}" has been revoked`,
+    });
+  } catch (err) {
+    console.error("[api-keys] Revoke key error:", err);
+    res.status(500).json({ error: "Failed to revoke API key" });
+  }
+});
+
+export default router;
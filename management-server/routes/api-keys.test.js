@@ -0,0 +1,157 @@
+// Tests for API key management routes
+import express from "express";
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from "vitest";
+
+// The authenticated caller for the next request
+const caller = vi.hoisted(() => ({ current: null }));
+
+vi.mock("../db/index.js", async () => {
+  const actual = await vi.importActual("../db/api-keys.js");
+  return {
+    apiKeys: {
+      findByIdForTenant: vi.fn(),
+      revoke: vi.fn(),
+      checkScope: actual.apiKeys.checkScope,
+    },
+    audit: { log: vi.fn() },
+    API_KEY_SCOPES: actual.API_KEY_SCOPES,
+  };
+});
+
+vi.mock("../lib/rate-limit.js", () => ({
+  createRateLimiter: () => (req, res, next) => next(),
+}));
+
+vi.mock("../lib/security-events.js", () => ({
+  logFromRequest: vi.fn(),
+  SECURITY_EVENT_TYPES: { API_KEY_REVOKED: "api_key.revoked" },
+}));
+
+vi.mock("../lib/rbac.js", async () => {
+  const actual = await vi.importActual("../lib/rbac.js");
+  return {
+    ...actual,
+    requirePermission: () => (req, res, next) => next(),
+    requireAnyPermission: () => (req, res, next) => next(),
+  };
+});
+
+vi.mock("../middleware/auth.js", () => ({
+  requireUserOrApiKey: (req, res, next) => {
+    Object.assign(req, caller.current);
+    next();
+  },
+}));
+
+vi.mock("../middleware/api-key-auth.js", () => ({
+  requireScope: () => (req, res, next) => next(),
+}));
+
+vi.mock("../middleware/tenant-context.js", () => ({
+  detectTenant: (req, res, next) => {
+    req.tenant = { id: "tenant-1" };
+    next();
+  },
+  requireTenant: (req, res, next) => next(),
+}));
+
+const { apiKeys, audit } = await import("../db/index.js");
+const { default: apiKeysRouter } = await import("./api-keys.js");
+
+const KEY_ID = "6f1c2d3e-4a5b-4c6d-8e9f-0a1b2c3d4e5f";
+
+const admin = { id: "user-1", tenant_role: "admin" };
+
+// Restricted automation key that may only manage keys
+const restrictedKeyCaller = {
+  authMethod: "api_key",
+  apiKey: { scopes: ["admin"] },
+  user: { ...admin, api_key_permissions: ["api_keys.view", "api_keys.manage"] },
+};
+
+function storedKey(overrides = {}) {
+  return {
+    id: KEY_ID,
+    name: "Deploy bot",
+    key_prefix: "opw_live_abc",
+    user_id: "owner-1",
+    scopes: ["admin"],
+    permissions: null,
+    revoked_at: null,
+    ...overrides,
+  };
+}
+
+describe("API key routes", () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use("/api/api-keys", apiKeysRouter);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/api-keys`;
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    apiKeys.revoke.mockImplementation(async () => ({ ...storedKey(), revoked_at: new Date() }));
+  });
+
+  describe("DELETE /:id", () => {
+    it("should let a session user revoke any tenant key", async () => {
+      caller.current = { authMethod: "session", user: admin };
+      apiKeys.findByIdForTenant.mockResolvedValue(storedKey());
+
+      const response = await fetch(`${baseUrl}/${KEY_ID}`, { method: "DELETE" });
+
+      expect(response.status).toBe(200);
+      expect(apiKeys.revoke).toHaveBeenCalledWith(KEY_ID, "user-1");
+      expect(audit.log).toHaveBeenCalledWith(
+        "user-1",
+        "api_key.revoked",
+        expect.objectContaining({ keyId: KEY_ID }),
+        expect.anything(),
+      );
+    });
+
+    it("should let a restricted key revoke a key no broader than itself", async () => {
+      caller.current = restrictedKeyCaller;
+      apiKeys.findByIdForTenant.mockResolvedValue(storedKey({ permissions: ["api_keys.manage"] }));
+
+      const response = await fetch(`${baseUrl}/${KEY_ID}`, { method: "DELETE" });
+
+      expect(response.status).toBe(200);
+      expect(apiKeys.revoke).toHaveBeenCalled();
+    });
+
+    it("should not let a restricted key revoke a broader key", async () => {
+      caller.current = restrictedKeyCaller;
+      apiKeys.findByIdForTenant.mockResolvedValue(storedKey());
+
+      const response = await fetch(`${baseUrl}/${KEY_ID}`, { method: "DELETE" });
+
+      expect(response.status).toBe(403);
+      expect((await response.json()).code).toBe("PERMISSION_ESCALATION");
+      expect(apiKeys.revoke).not.toHaveBeenCalled();
+    });
+
+    it("should not let a key revoke a key with wider scopes", async () => {
+      caller.current = restrictedKeyCaller;
+      apiKeys.findByIdForTenant.mockResolvedValue(
+        storedKey({ scopes: ["*"], permissions: ["api_keys.view"] }),
+      );
+
+      const response = await fetch(`${baseUrl}/${KEY_ID}`, { method: "DELETE" });
+
+      expect(response.status).toBe(403);
+      expect(apiKeys.revoke).not.toHaveBeenCalled();
+    });
+  });
+});
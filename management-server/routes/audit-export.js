@@ -16,8 +16,9 @@ import { z } from "zod";
 import { meshAuditLogs, MESH_AUDIT_EVENTS, query, tenants } from "../db/index.js";
 import { isAtLeastPlan } from "../lib/quotas.js";
 import { getClientIp } from "../lib/rate-limit.js";
+import { requireApiKeyPermission } from "../lib/rbac.js";
 import { validate, uuidSchema } from "../lib/schemas.js";
-import { requireUser, requireAdmin } from "../middleware/auth.js";
+import { requireUserOrApiKey, requireAdmin } from "../middleware/auth.js";
 import { requireUserSSE } from "../middleware/sse-auth.js";
 import { detectTenant, requireTenant, requireActiveTenant } from "../middleware/tenant-context.js";
 
@@ -526,6 +527,13 @@ async function checkEnterpriseAccess(req) {
   return false;
 }
 
+// Authenticated tenant user; API keys with explicit permissions must carry audit.export
+const auditExportAuth = [
+  requireUserOrApiKey,
+  detectTenant,
+  requireApiKeyPermission("audit.export"),
+];
+
 // ============================================================
 // ROUTES
 // ============================================================
@@ -534,7 +542,7 @@ async function checkEnterpriseAccess(req) {
  * GET /api/audit/export
  * Download audit logs in specified format
  */
-router.get("/export", requireUser, detectTenant, async (req, res) => {
+router.get("/export", ...auditExportAuth, async (req, res) => {
   try {
     // Parse and validate query params
     const parseResult = exportQuerySchema.safeParse(req.query);
@@ -740,7 +748,7 @@ router.get("/stream", requireUserSSE, detectTenant, async (req, res) => {
  * POST /api/audit/webhook
  * Configure webhook destination for audit events
  */
-router.post("/webhook", requireUser, detectTenant, requireActiveTenant, async (req, res) => {
+router.post("/webhook", ...auditExportAuth, requireActiveTenant, async (req, res) => {
   try {
     // Check enterprise access
     const hasAccess = await checkEnterpriseAccess(req);
@@ -826,7 +834,7 @@ router.post("/webhook", requireUser, detectTenant, requireActiveTenant, async (r
  * POST /api/audit/webhook/test
  * Send test event to webhook
  */
-router.post("/webhook/test", requireUser, detectTenant, requireActiveTenant, async (req, res) => {
+router.post("/webhook/test", ...auditExportAuth, requireActiveTenant, async (req, res) => {
   try {
     // Check enterprise access
     const hasAccess = await checkEnterpriseAccess(req);
@@ -911,7 +919,7 @@ router.post("/webhook/test", requireUser, detectTenant, requireActiveTenant, asy
  * GET /api/audit/webhook/status
  * Get webhook delivery statistics
  */
-router.get("/webhook/status", requireUser, detectTenant, async (req, res) => {
+router.get("/webhook/status", ...auditExportAuth, async (req, res) => {
   try {
     // Check enterprise access
     const hasAccess = await checkEnterpriseAccess(req);
@@ -991,7 +999,7 @@ router.get("/webhook/status", requireUser, detectTenant, async (req, res) => {
  * DELETE /api/audit/webhook
  * Remove webhook configuration
  */
-router.delete("/webhook", requireUser, detectTenant, requireActiveTenant, async (req, res) => {
+router.delete("/webhook", ...auditExportAuth, requireActiveTenant, async (req, res) => {
   try {
     // Check enterprise access
     const hasAccess = await checkEnterpriseAccess(req);
@@ -1042,7 +1050,7 @@ router.delete("/webhook", requireUser, detectTenant, requireActiveTenant, async
  * POST /api/audit/batch-export
  * Start background batch export for large date ranges
  */
-router.post("/batch-export", requireUser, detectTenant, requireActiveTenant, async (req, res) => {
+router.post("/batch-export", ...auditExportAuth, requireActiveTenant, async (req, res) => {
   try {
     // Check enterprise access
     const hasAccess = await checkEnterpriseAccess(req);
@@ -1134,7 +1142,7 @@ router.post("/batch-export", requireUser, detectTenant, requireActiveTenant, asy
  * GET /api/audit/batch-export/:jobId
  * Get status of batch export job
  */
-router.get("/batch-export/:jobId", requireUser, detectTenant, async (req, res) => {
+router.get("/batch-export/:jobId", ...auditExportAuth, async (req, res) => {
   try {
     const { jobId } = req.params;
     const tenantId = req.tenantId;
@@ -1177,7 +1185,7 @@ router.get("/batch-export/:jobId", requireUser, detectTenant, async (req, res) =
  * GET /api/audit/formats
  * Get available export formats and their descriptions
  */
-router.get("/formats", requireUser, detectTenant, (req, res) => {
+router.get("/formats", ...auditExportAuth, (req, res) => {
   res.json({
     formats: [
       {
@@ -1230,7 +1238,7 @@ router.get("/formats", requireUser, detectTenant, (req, res) => {
  * GET /api/audit/usage
  * Get export usage statistics for current tenant
  */
-router.get("/usage", requireUser, detectTenant, async (req, res) => {
+router.get("/usage", ...auditExportAuth, async (req, res) => {
   try {
     const tenantId = req.tenantId || req.user.id;
     const usage = exportUsage.get(tenantId) || { count: 0, windowStart: Date.now() };
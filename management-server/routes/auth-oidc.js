@@ -0,0 +1,735 @@
+/**
+ * Generic OIDC SSO authentication routes
+ *
+ * Lets a tenant sign members in through any OpenID Connect provider,
+ * configured per tenant alongside SAML:
+ * - Initiate the authorization code flow (PKCE)
+ * - Handle the provider callback and JIT provisioning
+ * - Admin routes for OIDC configuration and connection testing
+ */
+
+import axios from "axios";
+import crypto from "crypto";
+import { Router } from "express";
+import {
+  tenants,
+  tenantMemberships,
+  users,
+  sessions,
+  audit,
+  meshAuditLogs,
+  MESH_AUDIT_EVENTS,
+} from "../db/index.js";
+import { updateAgentContext, AGENT_SERVER_URL, AGENT_SERVER_TOKEN } from "../lib/context.js";
+import { encrypt } from "../lib/encryption.js";
+import { generatePermanentToken, encryptGatewayToken } from "../lib/gateway-tokens.js";
+import {
+  discoverProvider,
+  generatePkce,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  mapOidcClaims,
+  getOidcRole,
+  getRedirectUri,
+  getScopes,
+  isOidcJitProvisioningEnabled,
+  canOidcAutoJoin,
+  validateOidcConfig,
+  testOidcConfig,
+  storeLoginState,
+  consumeLoginState,
+  DEFAULT_CLAIM_MAPPING,
+} from "../lib/oidc.js";
+import { loginLimiter, strictAuthLimiter } from "../lib/rate-limit.js";
+import { assignUserRole } from "../lib/rbac.js";
+import { setSessionCookie } from "../middleware/auth.js";
+import { requireUser } from "../middleware/auth.js";
+import { loadTenantFromParam, requireTenantOwner } from "../middleware/tenant-context.js";
+
+const router = Router();
+
+const USER_UI_URL = process.env.USER_UI_URL || "http://localhost:5173";
+const BASE_URL = process.env.BASE_URL || "http://localhost:3000";
+const SESSION_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// ============================================================
+// HELPER FUNCTIONS
+// ============================================================
+
+/**
+ * Get effective API key for container provisioning
+ */
+async function getEffectiveApiKey(provider) {
+  if (provider === "anthropic" && process.env.ANTHROPIC_API_KEY) {
+    return { key: process.env.ANTHROPIC_API_KEY, source: "business" };
+  }
+  if (provider === "openai" && process.env.OPENAI_API_KEY) {
+    return { key: process.env.OPENAI_API_KEY, source: "business" };
+  }
+  return null;
+}
+
+/**
+ * Provision container for new user
+ */
+async function provisionContainerForUser(user) {
+  try {
+    console.log(`[oidc] Provisioning container for user ${user.id}...`);
+
+    const anthropicKey = await getEffectiveApiKey("anthropic");
+    const openaiKey = await getEffectiveApiKey("openai");
+
+    const provisionBody = {
+      userId: user.id,
+      userName: user.name,
+    };
+
+    if (anthropicKey?.key) {
+      provisionBody.anthropicApiKey = anthropicKey.key;
+    } else if (process.env.ANTHROPIC_SETUP_TOKEN) {
+      provisionBody.anthropicSetupToken = process.env.ANTHROPIC_SETUP_TOKEN;
+    }
+
+    if (openaiKey?.key) {
+      provisionBody.openaiApiKey = openaiKey.key;
+    }
+
+    const containerRes = await axios.post(`${AGENT_SERVER_URL}/api/provision`, provisionBody, {
+      headers: { "x-auth-token": AGENT_SERVER_TOKEN },
+      timeout: 60000,
+    });
+
+    if (containerRes.data.containerId) {
+      await users.updateContainer(user.id, {
+        containerId: containerRes.data.containerId,
+        containerPort: containerRes.data.port,
+      });
+      if (containerRes.data.gatewayToken) {
+        await users.updateGatewayToken(user.id, containerRes.data.gatewayToken);
+      }
+      console.log(`[oidc] Container provisioned: ${containerRes.data.containerId}`);
+
+      updateAgentContext(user.id).catch((err) => {
+        console.error("[oidc] Failed to initialize agent context:", err.message);
+      });
+
+      return true;
+    }
+  } catch (containerErr) {
+    console.error("[oidc] Failed to provision container:", containerErr.message);
+  }
+  return false;
+}
+
+/**
+ * Create session and set cookie for user
+ */
+async function createSessionForUser(user, req, res) {
+  const sessionToken = crypto.randomBytes(32).toString("hex");
+  const sessionExpiresAt = new Date(Date.now() + SESSION_MAX_AGE);
+
+  await sessions.create(user.id, sessionToken, sessionExpiresAt, {
+    ipAddress: req.ip,
+    userAgent: req.headers["user-agent"],
+  });
+
+  setSessionCookie(res, sessionToken, sessionExpiresAt);
+
+  return { sessionToken, sessionExpiresAt };
+}
+
+/**
+ * Apply the role mapped from the user's OIDC groups
+ * No-op without a role mapping; owners are never changed.
+ */
+async function applyMappedRole(tenant, user, groups, req) {
+  const role = getOidcRole(tenant, groups);
+  const currentRole = user.tenant_role || "member";
+  if (!role || role === currentRole || currentRole === "owner") {
+    return;
+  }
+
+  try {
+    await assignUserRole(tenant.id, user.id, role, null);
+    await audit.log(
+      user.id,
+      "user.role_changed",
+      { method: "oidc", tenantId: tenant.id, from: currentRole, to: role, groups },
+      req.ip,
+      user.id,
+    );
+  } catch (err) {
+    if (err.code !== "INVALID_ROLE") {
+      throw err;
+    }
+    console.warn(`[oidc] Role mapping names unknown role '${role}' in tenant ${tenant.slug}`);
+  }
+}
+
+/**
+ * Record a failed OIDC login and redirect to the login page
+ */
+async function failLogin(req, res, { tenantSlug, error, message, actorId, details = {} }) {
+  await meshAuditLogs.log({
+    eventType: MESH_AUDIT_EVENTS.AUTH_FAILED,
+    actorId,
+    ipAddress: req.ip,
+    success: false,
+    errorMessage: message,
+    details: { method: "oidc", tenantSlug, ...details },
+  });
+  return res.redirect(`${USER_UI_URL}/login?error=${error}`);
+}
+
+/**
+ * Public configuration response (never includes the client secret)
+ */
+function formatConfig(tenant) {
+  const oidcConfig = tenant.settings.oidc;
+  return {
+    configured: true,
+    discoveryUrl: oidcConfig.discoveryUrl,
+    clientId: oidcConfig.clientId,
+    scopes: getScopes(oidcConfig),
+    claimMapping: { ...DEFAULT_CLAIM_MAPPING, ...oidcConfig.claimMapping },
+    roleMapping: oidcConfig.roleMapping,
+    defaultRole: oidcConfig.defaultRole,
+    jitProvisioning: oidcConfig.jitProvisioning !== false,
+    allowAutoJoin: oidcConfig.allowAutoJoin === true,
+    configuredAt: oidcConfig.configuredAt,
+    login_url: `${BASE_URL}/api/auth/oidc/${tenant.slug}`,
+    redirect_uri: getRedirectUri(tenant),
+    hasClientSecret: Boolean(oidcConfig.clientSecret),
+  };
+}
+
+// ============================================================
+// PROVIDER STATUS
+// ============================================================
+
+/**
+ * GET /auth/oidc/providers
+ *
+ * List tenants that have OIDC configured (for login page)
+ * Only returns public information (slug, name)
+ */
+router.get("/providers", async (req, res) => {
+  try {
+    const allTenants = await tenants.list({ status: "active" });
+
+    const oidcTenants = allTenants
+      .filter((t) => t.settings?.oidc?.discoveryUrl)
+      .map((t) => ({
+        slug: t.slug,
+        name: t.name,
+        loginUrl: `${BASE_URL}/api/auth/oidc/${t.slug}`,
+      }));
+
+    res.json({ providers: oidcTenants });
+  } catch (err) {
+    console.error("[oidc] Failed to list OIDC providers:", err);
+    res.status(500).json({
+      error: "Failed to list providers",
+      code: "PROVIDERS_ERROR",
+    });
+  }
+});
+
+// ============================================================
+// OIDC LOGIN FLOW
+// ============================================================
+
+/**
+ * GET /auth/oidc/:tenantSlug
+ *
+ * Initiate OIDC SSO login flow for a tenant
+ *
+ * Query params:
+ * - redirect: URL to redirect after login (optional, must be same origin)
+ */
+router.get("/:tenantSlug", loginLimiter, async (req, res) => {
+  const { tenantSlug } = req.params;
+
+  try {
+    const tenant = await tenants.findBySlug(tenantSlug);
+
+    if (!tenant) {
+      console.warn(`[oidc] Tenant not found: ${tenantSlug}`);
+      return res.redirect(`${USER_UI_URL}/login?error=tenant_not_found`);
+    }
+
+    if (!tenant.settings?.oidc?.discoveryUrl) {
+      console.warn(`[oidc] OIDC not configured for tenant: ${tenantSlug}`);
+      return res.redirect(`${USER_UI_URL}/login?error=oidc_not_configured`);
+    }
+
+    if (tenant.status !== "active") {
+      console.warn(`[oidc] Tenant not active: ${tenantSlug} (status: ${tenant.status})`);
+      return res.redirect(`${USER_UI_URL}/login?error=tenant_inactive`);
+    }
+
+    // Validate redirect URL if provided
+    let redirectUrl = null;
+    const { redirect } = req.query;
+    if (redirect) {
+      try {
+        const url = new URL(redirect, USER_UI_URL);
+        if (url.origin === new URL(USER_UI_URL).origin) {
+          redirectUrl = redirect;
+        }
+      } catch {
+        // Invalid URL, ignore
+      }
+    }
+
+    const metadata = await discoverProvider(tenant.settings.oidc.discoveryUrl);
+
+    const state = crypto.randomBytes(32).toString("hex");
+    const nonce = crypto.randomBytes(16).toString("hex");
+    const { verifier, challenge } = generatePkce();
+
+    await storeLoginState(state, {
+      tenantId: tenant.id,
+      nonce,
+      codeVerifier: verifier,
+      redirectUrl,
+    });
+
+    const authUrl = buildAuthorizationUrl(tenant, metadata, {
+      state,
+      nonce,
+      codeChallenge: challenge,
+    });
+
+    console.log(`[oidc] Initiating OIDC login for tenant: ${tenantSlug}`);
+
+    res.redirect(authUrl);
+  } catch (err) {
+    console.error(`[oidc] Error initiating OIDC login for ${tenantSlug}:`, err);
+    await failLogin(req, res, {
+      tenantSlug,
+      error: "oidc_init_failed",
+      message: `OIDC login initiation failed: ${err.message}`,
+    });
+  }
+});
+
+/**
+ * GET /auth/oidc/:tenantSlug/callback
+ *
+ * Handle the provider redirect after authentication
+ */
+router.get("/:tenantSlug/callback", strictAuthLimiter, async (req, res) => {
+  const { tenantSlug } = req.params;
+  const { code, state, error: providerError } = req.query;
+
+  try {
+    const tenant = await tenants.findBySlug(tenantSlug);
+
+    if (!tenant || !tenant.settings?.oidc?.discoveryUrl) {
+      console.error(`[oidc] Callback for unknown or unconfigured tenant: ${tenantSlug}`);
+      return await failLogin(req, res, {
+        tenantSlug,
+        error: "tenant_not_found",
+        message: "OIDC callback for unknown tenant",
+      });
+    }
+
+    if (providerError) {
+      console.warn(`[oidc] Provider returned error for ${tenantSlug}: ${providerError}`);
+      return await failLogin(req, res, {
+        tenantSlug,
+        error: "oidc_denied",
+        message: `OIDC provider error: ${providerError}`,
+      });
+    }
+
+    // State is single use and binds the callback to the tenant that started it
+    const loginState = state ? await consumeLoginState(String(state)) : null;
+    if (!loginState || loginState.tenantId !== tenant.id || !code) {
+      console.warn(`[oidc] Invalid or expired state in callback for ${tenantSlug}`);
+      return await failLogin(req, res, {
+        tenantSlug,
+        error: "invalid_state",
+        message: "Invalid or expired OIDC state",
+      });
+    }
+
+    const metadata = await discoverProvider(tenant.settings.oidc.discoveryUrl);
+
+    let claims;
+    try {
+      const tokens = await exchangeCode(tenant, metadata, {
+        code: String(code),
+        codeVerifier: loginState.codeVerifier,
+      });
+      if (!tokens.id_token) {
+        throw new Error("Token response did not include an id_token");
+      }
+      claims = await verifyIdToken(tokens.id_token, metadata, {
+        clientId: tenant.settings.oidc.clientId,
+        nonce: loginState.nonce,
+      });
+    } catch (validationErr) {
+      const reason = validationErr.response
+        ? `token endpoint returned HTTP ${validationErr.response.status}`
+        : validationErr.message;
+      console.error(`[oidc] Token validation failed for ${tenantSlug}:`, reason);
+      return await failLogin(req, res, {
+        tenantSlug,
+        error: "oidc_validation_failed",
+        message: `OIDC token validation failed: ${reason}`,
+      });
+    }
+
+    const userAttrs = mapOidcClaims(claims, tenant);
+
+    if (!userAttrs.email) {
+      console.error(`[oidc] No email in ID token for ${tenantSlug}`);
+      return await failLogin(req, res, {
+        tenantSlug,
+        error: "no_email",
+        message: "No email in OIDC ID token",
+        details: { externalId: userAttrs.externalId },
+      });
+    }
+
+    // Linking by email is only safe when the provider vouches for it;
+    // a missing email_verified claim counts as unverified
+    if (userAttrs.emailVerified !== true) {
+      console.warn(`[oidc] Unverified email from provider: ${userAttrs.email} in ${tenantSlug}`);
+      return await failLogin(req, res, {
+        tenantSlug,
+        error: "email_not_verified",
+        message: "OIDC provider did not report the email as verified",
+        details: { email: userAttrs.email },
+      });
+    }
+
+    console.log(`[oidc] OIDC login for ${tenantSlug}: ${userAttrs.email}`);
+
+    let user = await users.findByEmail(userAttrs.email);
+    let isNewUser = false;
+
+    if (!user) {
+      if (!isOidcJitProvisioningEnabled(tenant)) {
+        console.warn(`[oidc] JIT disabled, user not found: ${userAttrs.email} in ${tenantSlug}`);
+        return await failLogin(req, res, {
+          tenantSlug,
+          error: "user_not_found",
+          message: "User not found and JIT provisioning is disabled",
+          details: { email: userAttrs.email },
+        });
+      }
+
+      // Create new user via JIT provisioning
+      isNewUser = true;
+      const rawToken = generatePermanentToken();
+      const encryptedToken = encryptGatewayToken(rawToken);
+
+      user = await users.create({
+        name: userAttrs.name || userAttrs.email.split("@")[0],
+        email: userAttrs.email,
+        gatewayToken: encryptedToken,
+      });
+
+      await users.updateSettings(user.id, {
+        oidc_provider: tenantSlug,
+        oidc_external_id: userAttrs.externalId,
+        oidc_groups: userAttrs.groups,
+        oauth_provider: "oidc",
+      });
+
+      user = await tenantMemberships.addMember(tenant.id, user.id);
+
+      await audit.log(
+        user.id,
+        "user.created",
+        {
+          email: userAttrs.email,
+          method: "oidc_jit",
+          tenantSlug,
+          groups: userAttrs.groups,
+        },
+        req.ip,
+      );
+
+      console.log(`[oidc] JIT provisioned user: ${userAttrs.email} for tenant ${tenantSlug}`);
+    } else if (user.status === "suspended") {
+      // Deactivated by an admin or by SCIM deprovisioning
+      console.warn(`[oidc] Suspended user attempted login: ${userAttrs.email} in ${tenantSlug}`);
+      return await failLogin(req, res, {
+        tenantSlug,
+        error: "account_disabled",
+        message: "User account is suspended",
+        actorId: user.id,
+        details: { email: userAttrs.email },
+      });
+    } else {
+      // Existing user - verify they belong to this tenant
+      const isMember = await tenantMemberships.isMember(tenant.id, user.id);
+
+      if (!isMember) {
+        if (user.tenant_id) {
+          // Never move an account out of another tenant on the word of this tenant's provider
+          console.warn(
+            `[oidc] User ${userAttrs.email} belongs to another tenant, refusing login to ${tenantSlug}`,
+          );
+          return await failLogin(req, res, {
+            tenantSlug,
+            error: "not_tenant_member",
+            message: "User belongs to another tenant",
+            actorId: user.id,
+            details: { email: userAttrs.email },
+          });
+        }
+
+        if (canOidcAutoJoin(tenant, user)) {
+          user = await tenantMemberships.addMember(tenant.id, user.id);
+          console.log(
+            `[oidc] Auto-joined existing user ${userAttrs.email} to tenant ${tenantSlug}`,
+          );
+        } else {
+          console.warn(
+            `[oidc] User ${userAttrs.email} not member of ${tenantSlug}, auto-join disabled`,
+          );
+          return await failLogin(req, res, {
+            tenantSlug,
+            error: "not_tenant_member",
+            message: "User not member of tenant and auto-join is disabled",
+            details: { email: userAttrs.email },
+          });
+        }
+      }
+
+      const currentSettings = await users.getSettings(user.id);
+      await users.updateSettings(user.id, {
+        oidc_provider: currentSettings.oidc_provider || tenantSlug,
+        oidc_external_id: userAttrs.externalId || currentSettings.oidc_external_id,
+        oidc_groups: userAttrs.groups,
+        oidc_last_login: new Date().toISOString(),
+      });
+    }
+
+    await applyMappedRole(tenant, user, userAttrs.groups, req);
+
+    // Provision container if needed
+    if (!user.container_id) {
+      await provisionContainerForUser(user);
+      user = await users.findById(user.id);
+    } else {
+      updateAgentContext(user.id).catch((err) => {
+        console.error("[oidc] Failed to refresh agent context:", err.message);
+      });
+    }
+
+    await createSessionForUser(user, req, res);
+    await audit.log(user.id, "user.login", { method: "oidc", tenantSlug }, req.ip);
+
+    await meshAuditLogs.log({
+      eventType: MESH_AUDIT_EVENTS.AUTH_LOGIN,
+      actorId: user.id,
+      ipAddress: req.ip,
+      success: true,
+      details: {
+        method: "oidc",
+        tenantSlug,
+        isNewUser,
+        oidcEmail: userAttrs.email,
+      },
+    });
+
+    // Redirect to custom URL, onboarding (for new users), or dashboard
+    let redirectTo = loginState.redirectUrl || "/dashboard";
+    if (isNewUser && tenant.settings.oidc.onboardingUrl) {
+      redirectTo = tenant.settings.oidc.onboardingUrl;
+    }
+
+    res.redirect(`${USER_UI_URL}${redirectTo.startsWith("/") ? redirectTo : "/" + redirectTo}`);
+  } catch (err) {
+    console.error(`[oidc] Callback error for ${tenantSlug}:`, err);
+    await failLogin(req, res, {
+      tenantSlug,
+      error: "oidc_callback_failed",
+      message: err.message,
+    });
+  }
+});
+
+// ============================================================
+// ADMIN ROUTES - OIDC CONFIGURATION
+// ============================================================
+
+/**
+ * PUT /auth/oidc/config/:tenantId
+ *
+ * Configure OIDC for a tenant (tenant owner only)
+ * Omit clientSecret to keep the stored secret.
+ */
+router.put("/config/:tenantId", requireUser, requireTenantOwner, async (req, res) => {
+  const tenant = req.tenant;
+  const { oidc } = req.body;
+
+  if (!oidc) {
+    return res.status(400).json({
+      error: "OIDC configuration required",
+      code: "OIDC_CONFIG_REQUIRED",
+    });
+  }
+
+  const existingSecret = tenant.settings?.oidc?.clientSecret;
+  const validation = validateOidcConfig(oidc, { requireSecret: !existingSecret });
+  if (!validation.valid) {
+    return res.status(400).json({
+      error: "Invalid OIDC configuration",
+      code: "INVALID_OIDC_CONFIG",
+      details: validation.errors,
+    });
+  }
+
+  try {
+    const oidcSettings = {
+      ...oidc,
+      clientSecret: oidc.clientSecret ? encrypt(oidc.clientSecret) : existingSecret,
+      configuredAt: new Date().toISOString(),
+      configuredBy: req.user.id,
+    };
+
+    const settings = await tenants.updateSettings(tenant.id, { oidc: oidcSettings });
+
+    await audit.log(
+      req.user.id,
+      "tenant.oidc_configured",
+      {
+        tenantId: tenant.id,
+        tenantSlug: tenant.slug,
+        discoveryUrl: oidc.discoveryUrl,
+        clientId: oidc.clientId,
+        secretRotated: Boolean(oidc.clientSecret),
+      },
+      req.ip,
+    );
+
+    console.log(`[oidc] OIDC configured for tenant: ${tenant.slug}`);
+
+    res.json({
+      success: true,
+      message: "OIDC configuration saved",
+      ...formatConfig({ ...tenant, settings }),
+    });
+  } catch (err) {
+    console.error(`[oidc] Failed to save OIDC config for ${tenant.slug}:`, err);
+    res.status(500).json({
+      error: "Failed to save OIDC configuration",
+      code: "OIDC_SAVE_ERROR",
+    });
+  }
+});
+
+/**
+ * DELETE /auth/oidc/config/:tenantId
+ *
+ * Remove OIDC configuration from a tenant (tenant owner only)
+ */
+router.delete("/config/:tenantId", requireUser, requireTenantOwner, async (req, res) => {
+  const tenant = req.tenant;
+
+  try {
+    const currentSettings = tenant.settings || {};
+    delete currentSettings.oidc;
+
+    await tenants.update(tenant.id, { settings: currentSettings });
+
+    await audit.log(
+      req.user.id,
+      "tenant.oidc_removed",
+      {
+        tenantId: tenant.id,
+        tenantSlug: tenant.slug,
+      },
+      req.ip,
+    );
+
+    console.log(`[oidc] OIDC configuration removed for tenant: ${tenant.slug}`);
+
+    res.json({
+      success: true,
+      message: "OIDC configuration removed",
+    });
+  } catch (err) {
+    console.error(`[oidc] Failed to remove OIDC config for ${tenant.slug}:`, err);
+    res.status(500).json({
+      error: "Failed to remove OIDC configuration",
+      code: "OIDC_REMOVE_ERROR",
+    });
+  }
+});
+
+/**
+ * POST /auth/oidc/config/:tenantId/test
+ *
+ * Test OIDC configuration without saving
+ * Fetches the discovery document and signing keys from the provider.
+ */
+router.post("/config/:tenantId/test", requireUser, requireTenantOwner, async (req, res) => {
+  const tenant = req.tenant;
+  const { oidc } = req.body;
+
+  if (!oidc) {
+    return res.status(400).json({
+      error: "OIDC configuration required",
+      code: "OIDC_CONFIG_REQUIRED",
+    });
+  }
+
+  try {
+    const result = await testOidcConfig(tenant, oidc);
+
+    if (result.success) {
+      res.json({
+        success: true,
+        message: "OIDC configuration is valid",
+        issuer: result.issuer,
+        authorization_endpoint: result.authorizationEndpoint,
+        token_endpoint: result.tokenEndpoint,
+        signing_keys: result.signingKeys,
+        redirect_uri: result.redirectUri,
+        warnings: result.warnings,
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        error: result.error,
+        code: "OIDC_TEST_FAILED",
+      });
+    }
+  } catch (err) {
+    console.error(`[oidc] OIDC test failed for ${tenant.slug}:`, err);
+    res.status(500).json({
+      success: false,
+      error: err.message,
+      code: "OIDC_TEST_ERROR",
+    });
+  }
+});
+
+/**
+ * GET /auth/oidc/config/:tenantId
+ *
+ * Get current OIDC configuration for a tenant (without client secret)
+ */
+router.get("/config/:tenantId", requireUser, loadTenantFromParam, async (req, res) => {
+  const tenant = req.tenant;
+
+  if (!tenant.settings?.oidc) {
+    return res.json({
+      configured: false,
+      message: "OIDC is not configured for this tenant",
+    });
+  }
+
+  res.json(formatConfig(tenant));
+});
+
+export default router;
@@ -6,7 +6,7 @@
  * - Initiate SAML login flow
  * - Handle SAML assertion callback (ACS)
  * - Serve SP metadata
- * - Handle Single Logout (SLO)
+ * - Handle Single Logout (SLO), SP- and IdP-initiated, on Redirect and POST bindings
  * - Admin routes for SAML configuration
  */
 
@@ -36,6 +36,8 @@ import {
   getJitRole,
   generateRelayState,
   parseRelayState,
+  getSamlSessionInfo,
+  validateLogoutMessage,
 } from "../lib/saml.js";
 import { closeUserConnections } from "../lib/ws-proxy.js";
 import { setSessionCookie, clearSessionCookie } from "../middleware/auth.js";
@@ -120,14 +122,16 @@ async function provisionContainerForUser(user) {
 
 /**
  * Create session and set cookie for user
+ * The IdP session (NameID + SessionIndex) is recorded for Single Logout.
  */
-async function createSessionForUser(user, req, res) {
+async function createSessionForUser(user, req, res, samlSession) {
   const sessionToken = crypto.randomBytes(32).toString("hex");
   const sessionExpiresAt = new Date(Date.now() + SESSION_MAX_AGE);
 
   await sessions.create(user.id, sessionToken, sessionExpiresAt, {
     ipAddress: req.ip,
     userAgent: req.headers["user-agent"],
+    saml: samlSession,
   });
 
   setSessionCookie(res, sessionToken, sessionExpiresAt);
@@ -270,7 +274,9 @@ router.post("/:tenantSlug/callback", strictAuthLimiter, async (req, res) => {
     // Validate SAML assertion
     let samlProfile;
     try {
-      samlProfile = await validateSamlAssertion(saml, SAMLResponse);
+      samlProfile = await validateSamlAssertion(saml, SAMLResponse, {
+        requireEncryptedAssertion: tenant.settings.saml.requireEncryptedAssertions === true,
+      });
     } catch (validationErr) {
       console.error(`[saml] Assertion validation failed for ${tenantSlug}:`, validationErr.message);
       await meshAuditLogs.log({
@@ -357,6 +363,18 @@ router.post("/:tenantSlug/callback", strictAuthLimiter, async (req, res) => {
       );
 
       console.log(`[saml] JIT provisioned user: ${userAttrs.email} for tenant ${tenantSlug}`);
+    } else if (user.status === "suspended") {
+      // Deactivated by an admin or by SCIM deprovisioning
+      console.warn(`[saml] Suspended user attempted login: ${userAttrs.email} in ${tenantSlug}`);
+      await meshAuditLogs.log({
+        eventType: MESH_AUDIT_EVENTS.AUTH_FAILED,
+        actorId: user.id,
+        ipAddress: req.ip,
+        success: false,
+        errorMessage: "User account is suspended",
+        details: { method: "saml", tenantSlug, email: userAttrs.email },
+      });
+      return res.redirect(`${USER_UI_URL}/login?error=account_disabled`);
     } else {
       // Existing user - verify they belong to this tenant
       const isMember = await tenantMemberships.isMember(tenant.id, user.id);
@@ -406,7 +424,7 @@ router.post("/:tenantSlug/callback", strictAuthLimiter, async (req, res) => {
     }
 
     // Create session
-    await createSessionForUser(user, req, res);
+    await createSessionForUser(user, req, res, getSamlSessionInfo(tenant, samlProfile));
     await audit.log(user.id, "user.login", { method: "saml", tenantSlug }, req.ip);
 
     // Log successful auth
@@ -484,13 +502,15 @@ router.get("/:tenantSlug/metadata", async (req, res) => {
 // ============================================================
 
 /**
- * POST /auth/saml/:tenantSlug/logout
+ * Handle a logout message from the IdP on either binding
  *
- * Handle SAML Single Logout request from IdP
+ * A LogoutRequest revokes every OCMT session created from the IdP session it
+ * names (all of the subject's sessions when no SessionIndex is given) and is
+ * answered with a LogoutResponse. A LogoutResponse completes SP-initiated logout.
  */
-router.post("/:tenantSlug/logout", async (req, res) => {
+async function handleIdpLogoutMessage(req, res, binding) {
   const { tenantSlug } = req.params;
-  const { SAMLRequest, SAMLResponse, RelayState } = req.body;
+  const params = binding === "redirect" ? req.query : req.body;
 
   try {
     const tenant = await tenants.findBySlug(tenantSlug);
@@ -512,68 +532,69 @@ router.post("/:tenantSlug/logout", async (req, res) => {
 
     const saml = createSamlStrategy(tenant);
 
-    // Handle logout request from IdP
-    if (SAMLRequest) {
-      try {
-        // Validate and process logout request
-        const result = await saml.validateLogoutRequestAsync({
-          SAMLRequest,
-          RelayState,
-        });
-
-        if (result && result.profile) {
-          // Find user by NameID
-          const email = result.profile.nameID;
-          if (email) {
-            const user = await users.findByEmail(email);
-            if (user) {
-              // Close WebSocket connections
-              closeUserConnections(user.id);
-
-              // Delete all sessions for user
-              await sessions.deleteAllForUser(user.id);
-
-              await audit.log(user.id, "user.slo_logout", { tenantSlug }, req.ip);
-
-              console.log(`[saml] SLO completed for user: ${email}`);
-            }
-          }
-        }
-
-        // Generate logout response
-        const logoutResponseUrl = await saml.getLogoutResponseUrlAsync(result, RelayState, {});
-        return res.redirect(logoutResponseUrl);
-      } catch (err) {
-        console.error(`[saml] SLO request validation failed:`, err);
-        return res.status(400).json({
-          error: "Invalid logout request",
-          code: "INVALID_SLO_REQUEST",
-        });
+    let message;
+    try {
+      message = await validateLogoutMessage(saml, {
+        binding,
+        params,
+        originalQuery: req.originalUrl.split("?")[1],
+      });
+    } catch (err) {
+      console.error(`[saml] SLO message validation failed for ${tenantSlug}:`, err.message);
+      await meshAuditLogs.log({
+        eventType: MESH_AUDIT_EVENTS.AUTH_FAILED,
+        ipAddress: req.ip,
+        success: false,
+        errorMessage: `SAML logout validation failed: ${err.message}`,
+        details: { method: "saml_slo", tenantSlug, binding },
+      });
+      if (params.SAMLResponse) {
+        return res.redirect(`${USER_UI_URL}/login?logout=failed`);
       }
+      return res.status(400).json({
+        error: "Invalid logout request",
+        code: "INVALID_SLO_REQUEST",
+      });
     }
 
-    // Handle logout response from IdP (after SP-initiated logout)
-    if (SAMLResponse) {
-      try {
-        await saml.validateLogoutResponseAsync({
-          SAMLResponse,
-          RelayState,
-        });
+    // Logout response from IdP (after SP-initiated logout)
+    if (message.type === "response") {
+      console.log(`[saml] SLO response validated for tenant: ${tenantSlug}`);
+      return res.redirect(`${USER_UI_URL}/login?logout=success`);
+    }
 
-        console.log(`[saml] SLO response validated for tenant: ${tenantSlug}`);
+    // Logout request from IdP: end every session tied to that IdP session
+    const { nameID, sessionIndex } = message.profile;
+    const revoked = await sessions.revokeBySamlSession(tenant.id, nameID, sessionIndex || null);
 
-        // Redirect to login page
-        return res.redirect(`${USER_UI_URL}/login?logout=success`);
-      } catch (err) {
-        console.error(`[saml] SLO response validation failed:`, err);
-        return res.redirect(`${USER_UI_URL}/login?logout=failed`);
-      }
+    const userIds = [...new Set(revoked.map((s) => s.user_id))];
+    for (const userId of userIds) {
+      // Connections are tracked per user, not per session
+      closeUserConnections(userId);
+      await audit.log(
+        userId,
+        "user.slo_logout",
+        {
+          tenantSlug,
+          binding,
+          sessionIndex: sessionIndex || null,
+          sessionsRevoked: revoked.filter((s) => s.user_id === userId).length,
+        },
+        req.ip,
+      );
     }
 
-    return res.status(400).json({
-      error: "Missing SAML logout data",
-      code: "MISSING_SLO_DATA",
-    });
+    console.log(
+      `[saml] SLO completed for ${nameID} in ${tenantSlug}: ${revoked.length} session(s) revoked`,
+    );
+
+    const logoutResponseUrl = await saml.getLogoutResponseUrlAsync(
+      message.profile,
+      params.RelayState,
+      {},
+      true,
+    );
+    res.redirect(logoutResponseUrl);
   } catch (err) {
     console.error(`[saml] SLO error for ${tenantSlug}:`, err);
     res.status(500).json({
@@ -581,6 +602,28 @@ router.post("/:tenantSlug/logout", async (req, res) => {
       code: "SLO_ERROR",
     });
   }
+}
+
+/**
+ * POST /auth/saml/:tenantSlug/logout
+ *
+ * Handle SAML Single Logout request or response from IdP (HTTP-POST binding)
+ */
+router.post("/:tenantSlug/logout", strictAuthLimiter, (req, res) =>
+  handleIdpLogoutMessage(req, res, "post"),
+);
+
+/**
+ * GET /auth/saml/:tenantSlug/logout?SAMLRequest=...|SAMLResponse=...
+ *
+ * Handle SAML Single Logout request or response from IdP (HTTP-Redirect binding)
+ * Requests without SAML parameters fall through to SP-initiated logout.
+ */
+router.get("/:tenantSlug/logout", (req, res, next) => {
+  if (!req.query.SAMLRequest && !req.query.SAMLResponse) {
+    return next();
+  }
+  return strictAuthLimiter(req, res, () => handleIdpLogoutMessage(req, res, "redirect"));
 });
 
 /**
@@ -601,9 +644,12 @@ router.get("/:tenantSlug/logout", requireUser, async (req, res) => {
       });
     }
 
-    // Check if SLO is configured
-    if (!tenant.settings?.saml?.logoutUrl) {
-      // No SLO configured, just do local logout
+    // SLO needs the IdP session this login came from
+    const session = await sessions.findById(req.sessionId);
+    const hasSamlSession = session?.saml_tenant_id === tenant.id && session.saml_name_id;
+
+    if (!tenant.settings?.saml?.logoutUrl || !hasSamlSession) {
+      // No SLO configured (or not a SAML session), just do local logout
       closeUserConnections(req.user.id);
       clearSessionCookie(res);
       await sessions.deleteByToken(req.sessionToken);
@@ -620,20 +666,32 @@ router.get("/:tenantSlug/logout", requireUser, async (req, res) => {
 
     const logoutUrl = await saml.getLogoutUrlAsync(
       {
-        nameID: req.user.email,
-        nameIDFormat: "urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress",
-        sessionIndex: null,
+        nameID: session.saml_name_id,
+        nameIDFormat:
+          session.saml_name_id_format || "urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress",
+        sessionIndex: session.saml_session_index,
       },
       relayState,
       {},
     );
 
-    // Clear local session
+    // Clear every local session from the same IdP session
+    const revoked = await sessions.revokeBySamlSession(
+      tenant.id,
+      session.saml_name_id,
+      session.saml_session_index,
+      "saml_sp_logout",
+    );
     closeUserConnections(req.user.id);
     clearSessionCookie(res);
     await sessions.deleteByToken(req.sessionToken);
 
-    await audit.log(req.user.id, "user.logout", { method: "saml_slo", tenantSlug }, req.ip);
+    await audit.log(
+      req.user.id,
+      "user.logout",
+      { method: "saml_slo", tenantSlug, sessionsRevoked: revoked.length },
+      req.ip,
+    );
 
     // Redirect to IdP for logout
     res.redirect(logoutUrl);
@@ -792,6 +850,8 @@ router.post("/config/:tenantId/test", requireUser, requireTenantOwner, async (re
         message: "SAML configuration is valid",
         issuer: result.issuer,
         acs_url: result.acsUrl,
+        requests_signed: result.requestsSigned,
+        encryption_available: result.encryptionAvailable,
         metadata: result.metadata,
       });
     } else {
@@ -836,6 +896,8 @@ router.get("/config/:tenantId", requireUser, loadTenantFromParam, async (req, re
     jitProvisioning: samlConfig.jitProvisioning !== false,
     attributeMapping: samlConfig.attributeMapping,
     roleMapping: samlConfig.roleMapping,
+    signAuthnRequests: samlConfig.signAuthnRequests === true,
+    requireEncryptedAssertions: samlConfig.requireEncryptedAssertions === true,
     configuredAt: samlConfig.configuredAt,
     metadata_url: `${BASE_URL}/api/auth/saml/${tenant.slug}/metadata`,
     login_url: `${BASE_URL}/api/auth/saml/${tenant.slug}`,
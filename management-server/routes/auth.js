@@ -291,6 +291,7 @@ router.get("/me", requireUser, detectTenant, async (req, res) => {
       status: req.user.status,
     },
     gateway,
+    mfaPolicy: req.mfaPolicy || null,
   });
 });
 
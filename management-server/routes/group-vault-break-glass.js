@@ -0,0 +1,326 @@
+// Group vault break-glass routes
+// Time-boxed emergency vault access with M-of-N admin approval and mandatory review
+import { Router } from "express";
+import {
+  enableBreakGlass,
+  disableBreakGlass,
+  describeBreakGlass,
+  requestBreakGlass,
+  decideBreakGlass,
+  activateBreakGlass,
+  endBreakGlass,
+  cancelBreakGlass,
+  submitBreakGlassReview,
+} from "../lib/break-glass.js";
+import {
+  validate,
+  groupIdParamSchema,
+  breakGlassRequestParamSchema,
+  enableBreakGlassSchema,
+  breakGlassRequestSchema,
+  breakGlassDecisionSchema,
+  breakGlassReviewSchema,
+} from "../lib/schemas.js";
+import { requireUser } from "../middleware/auth.js";
+import { requireGroupMember, requireGroupAdmin } from "../middleware/group-auth.js";
+import { detectTenant } from "../middleware/tenant-context.js";
+
+const router = Router();
+
+// Break-glass error codes and the status they map to
+const ERROR_STATUS = {
+  BREAK_GLASS_NOT_ENABLED: 400,
+  DURATION_TOO_LONG: 400,
+  THRESHOLD_UNREACHABLE: 400,
+  NOT_REQUESTER: 403,
+  SELF_APPROVAL: 403,
+  SELF_REVIEW: 403,
+  REQUEST_NOT_FOUND: 404,
+  VAULT_NOT_ACTIVE: 404,
+  REQUEST_IN_PROGRESS: 409,
+  REQUEST_NOT_PENDING: 409,
+  REQUEST_NOT_APPROVED: 409,
+  REQUEST_NOT_ACTIVE: 409,
+  REQUEST_EXPIRED: 409,
+  ALREADY_DECIDED: 409,
+  ALREADY_REVIEWED: 409,
+  REVIEW_NOT_DUE: 409,
+  STALE_ESCROW: 409,
+  VAULT_LOCKED: 423,
+};
+
+function sendBreakGlassError(res, err, fallback, label) {
+  const status = ERROR_STATUS[err.code];
+  if (status) {
+    return res.status(status).json({ error: err.message, code: err.code });
+  }
+  console.error(`Break-glass ${label} error:`, err);
+  res.status(500).json({ error: fallback });
+}
+
+/**
+ * GET /api/groups/:groupId/vault/break-glass
+ * Break-glass policy and recent requests with approvals and reviews
+ */
+router.get(
+  "/:groupId/vault/break-glass",
+  requireUser,
+  detectTenant,
+  validate({ params: groupIdParamSchema }),
+  requireGroupMember,
+  async (req, res) => {
+    try {
+      res.json(await describeBreakGlass(req.params.groupId));
+    } catch (err) {
+      sendBreakGlassError(res, err, "Failed to get break-glass status", "status");
+    }
+  },
+);
+
+/**
+ * PUT /api/groups/:groupId/vault/break-glass
+ * Enable break-glass (or refresh its escrow and policy). The vault must be unlocked.
+ */
+router.put(
+  "/:groupId/vault/break-glass",
+  requireUser,
+  detectTenant,
+  validate({ params: groupIdParamSchema, body: enableBreakGlassSchema }),
+  requireGroupAdmin,
+  async (req, res) => {
+    try {
+      const { requiredApprovals, maxDurationMinutes } = req.validatedBody;
+      const config = await enableBreakGlass({
+        groupId: req.params.groupId,
+        user: req.user,
+        requiredApprovals,
+        maxDurationMinutes,
+        ipAddress: req.ip,
+      });
+
+      res.json({
+        success: true,
+        requiredApprovals: config.required_approvals,
+        maxDurationMinutes: config.max_duration_minutes,
+      });
+    } catch (err) {
+      sendBreakGlassError(res, err, "Failed to enable break-glass", "enable");
+    }
+  },
+);
+
+/**
+ * DELETE /api/groups/:groupId/vault/break-glass
+ * Disable break-glass and discard the escrow
+ */
+router.delete(
+  "/:groupId/vault/break-glass",
+  requireUser,
+  detectTenant,
+  validate({ params: groupIdParamSchema }),
+  requireGroupAdmin,
+  async (req, res) => {
+    try {
+      const removed = await disableBreakGlass({
+        groupId: req.params.groupId,
+        user: req.user,
+        ipAddress: req.ip,
+      });
+      if (!removed) {
+        return res.status(404).json({ error: "Break-glass is not enabled" });
+      }
+      res.json({ success: true });
+    } catch (err) {
+      sendBreakGlassError(res, err, "Failed to disable break-glass", "disable");
+    }
+  },
+);
+
+/**
+ * POST /api/groups/:groupId/vault/break-glass/requests
+ * Request emergency access (any group member)
+ */
+router.post(
+  "/:groupId/vault/break-glass/requests",
+  requireUser,
+  detectTenant,
+  validate({ params: groupIdParamSchema, body: breakGlassRequestSchema }),
+  requireGroupMember,
+  async (req, res) => {
+    try {
+      const request = await requestBreakGlass({
+        groupId: req.params.groupId,
+        user: req.user,
+        ...req.validatedBody,
+        ipAddress: req.ip,
+      });
+
+      res.status(201).json({
+        requestId: request.id,
+        status: request.status,
+        requiredApprovals: request.required_approvals,
+        expiresAt: request.expires_at,
+      });
+    } catch (err) {
+      sendBreakGlassError(res, err, "Failed to request break-glass access", "request");
+    }
+  },
+);
+
+/**
+ * POST /api/groups/:groupId/vault/break-glass/requests/:requestId/approve
+ * Approve a request (group admins other than the requester)
+ */
+router.post(
+  "/:groupId/vault/break-glass/requests/:requestId/approve",
+  requireUser,
+  detectTenant,
+  validate({ params: breakGlassRequestParamSchema, body: breakGlassDecisionSchema }),
+  requireGroupAdmin,
+  async (req, res) => {
+    try {
+      const result = await decideBreakGlass({
+        requestId: req.params.requestId,
+        groupId: req.params.groupId,
+        admin: req.user,
+        decision: "approve",
+        comment: req.validatedBody.comment,
+        ipAddress: req.ip,
+      });
+      res.json({ success: true, ...result });
+    } catch (err) {
+      sendBreakGlassError(res, err, "Failed to approve break-glass request", "approve");
+    }
+  },
+);
+
+/**
+ * POST /api/groups/:groupId/vault/break-glass/requests/:requestId/deny
+ * Deny a request; a single denial ends it
+ */
+router.post(
+  "/:groupId/vault/break-glass/requests/:requestId/deny",
+  requireUser,
+  detectTenant,
+  validate({ params: breakGlassRequestParamSchema, body: breakGlassDecisionSchema }),
+  requireGroupAdmin,
+  async (req, res) => {
+    try {
+      const result = await decideBreakGlass({
+        requestId: req.params.requestId,
+        groupId: req.params.groupId,
+        admin: req.user,
+        decision: "deny",
+        comment: req.validatedBody.comment,
+        ipAddress: req.ip,
+      });
+      res.json({ success: true, ...result });
+    } catch (err) {
+      sendBreakGlassError(res, err, "Failed to deny break-glass request", "deny");
+    }
+  },
+);
+
+/**
+ * POST /api/groups/:groupId/vault/break-glass/requests/:requestId/activate
+ * Start approved access. The token is returned once and expires with the window.
+ */
+router.post(
+  "/:groupId/vault/break-glass/requests/:requestId/activate",
+  requireUser,
+  detectTenant,
+  validate({ params: breakGlassRequestParamSchema }),
+  requireGroupMember,
+  async (req, res) => {
+    try {
+      const access = await activateBreakGlass({
+        requestId: req.params.requestId,
+        groupId: req.params.groupId,
+        user: req.user,
+        ipAddress: req.ip,
+      });
+      res.json({ success: true, ...access });
+    } catch (err) {
+      sendBreakGlassError(res, err, "Failed to activate break-glass access", "activate");
+    }
+  },
+);
+
+/**
+ * POST /api/groups/:groupId/vault/break-glass/requests/:requestId/end
+ * End active access early (requester or group admin)
+ */
+router.post(
+  "/:groupId/vault/break-glass/requests/:requestId/end",
+  requireUser,
+  detectTenant,
+  validate({ params: breakGlassRequestParamSchema }),
+  requireGroupMember,
+  async (req, res) => {
+    try {
+      const request = await endBreakGlass({
+        requestId: req.params.requestId,
+        groupId: req.params.groupId,
+        user: req.user,
+        isAdmin: req.groupMembership.role === "admin",
+        ipAddress: req.ip,
+      });
+      res.json({ success: true, status: request.status, reviewDueAt: request.review_due_at });
+    } catch (err) {
+      sendBreakGlassError(res, err, "Failed to end break-glass access", "end");
+    }
+  },
+);
+
+/**
+ * POST /api/groups/:groupId/vault/break-glass/requests/:requestId/cancel
+ * Withdraw a request before it is activated (requester only)
+ */
+router.post(
+  "/:groupId/vault/break-glass/requests/:requestId/cancel",
+  requireUser,
+  detectTenant,
+  validate({ params: breakGlassRequestParamSchema }),
+  requireGroupMember,
+  async (req, res) => {
+    try {
+      await cancelBreakGlass({
+        requestId: req.params.requestId,
+        groupId: req.params.groupId,
+        user: req.user,
+        ipAddress: req.ip,
+      });
+      res.json({ success: true });
+    } catch (err) {
+      sendBreakGlassError(res, err, "Failed to cancel break-glass request", "cancel");
+    }
+  },
+);
+
+/**
+ * POST /api/groups/:groupId/vault/break-glass/requests/:requestId/review
+ * Record the post-incident review (group admin other than the requester)
+ */
+router.post(
+  "/:groupId/vault/break-glass/requests/:requestId/review",
+  requireUser,
+  detectTenant,
+  validate({ params: breakGlassRequestParamSchema, body: breakGlassReviewSchema }),
+  requireGroupAdmin,
+  async (req, res) => {
+    try {
+      const review = await submitBreakGlassReview({
+        requestId: req.params.requestId,
+        groupId: req.params.groupId,
+        reviewer: req.user,
+        ...req.validatedBody,
+        ipAddress: req.ip,
+      });
+      res.status(201).json({ success: true, reviewId: review.id });
+    } catch (err) {
+      sendBreakGlassError(res, err, "Failed to record break-glass review", "review");
+    }
+  },
+);
+
+export default router;
@@ -359,7 +359,7 @@ router.post(
   async (req, res) => {
     try {
       const { groupId } = req.params;
-      const { userId, allowedSecrets, permissions, ttlSeconds } = req.body;
+      const { userId, allowedSecrets, permissions, ttlSeconds, maxCalls } = req.body;
 
       if (!userId) {
         return res.status(400).json({ error: "userId required" });
@@ -374,7 +374,7 @@ router.post(
       try {
         const response = await axios.post(
           `http://localhost:${vault.container_port}/tokens`,
-          { userId, allowedSecrets, permissions, ttlSeconds },
+          { userId, allowedSecrets, permissions, ttlSeconds, maxCalls },
           {
             headers: { "x-auth-token": GROUP_VAULT_AUTH_TOKEN },
             timeout: 10000,
@@ -387,8 +387,10 @@ router.post(
           groupId,
           userId,
           tokenHash,
+          tokenId: response.data.tokenId,
           allowedSecrets: allowedSecrets || ["*"],
           permissions: permissions || ["read"],
+          maxCalls: response.data.maxCalls,
           issuedBy: req.user.id,
           expiresAt: new Date(Date.now() + (ttlSeconds || 3600) * 1000),
         });
@@ -399,13 +401,14 @@ router.post(
           action: "token.issued",
           ipAddress: req.ip,
           success: true,
-          metadata: { targetUserId: userId, permissions, allowedSecrets },
+          metadata: { targetUserId: userId, permissions, allowedSecrets, maxCalls },
         });
 
         res.json({
           success: true,
           token: response.data.token,
           expiresIn: response.data.expiresIn,
+          maxCalls: response.data.maxCalls,
         });
       } catch (tokenErr) {
         console.error("Token issue error:", tokenErr.response?.data || tokenErr.message);
@@ -413,6 +416,9 @@ router.post(
         if (tokenErr.response?.status === 423) {
           return res.status(423).json({ error: "Vault is locked. Unlock it first." });
         }
+        if (tokenErr.response?.status === 400) {
+          return res.status(400).json(tokenErr.response.data);
+        }
 
         res.status(503).json({ error: "Failed to issue token" });
       }
@@ -538,6 +544,161 @@ router.delete(
   },
 );
 
+/**
+ * GET /api/groups/:groupId/vault-container/keys
+ * Public keys that verify the container's capability tokens
+ */
+router.get(
+  "/:groupId/vault-container/keys",
+  requireUser,
+  detectTenant,
+  requireGroupMember,
+  async (req, res) => {
+    try {
+      const vault = await groupVaults.findByGroup(req.params.groupId);
+      if (!vault || vault.status !== "active") {
+        return res.status(400).json({ error: "Vault container not provisioned or not active" });
+      }
+
+      try {
+        const response = await axios.get(`http://localhost:${vault.container_port}/keys`, {
+          timeout: 5000,
+        });
+        res.json(response.data);
+      } catch (keysErr) {
+        console.error("Get signing keys error:", keysErr.response?.data || keysErr.message);
+        res.status(503).json({ error: "Failed to get signing keys" });
+      }
+    } catch (err) {
+      console.error("Get signing keys error:", err);
+      res.status(500).json({ error: "Failed to get signing keys" });
+    }
+  },
+);
+
+/**
+ * POST /api/groups/:groupId/vault-container/keys/rotate
+ * Rotate the token signing key (admin only)
+ * With revokePrevious, tokens signed by the old key stop working immediately
+ */
+router.post(
+  "/:groupId/vault-container/keys/rotate",
+  requireUser,
+  detectTenant,
+  requireGroupAdmin,
+  async (req, res) => {
+    try {
+      const revokePrevious = req.body?.revokePrevious === true;
+
+      const vault = await groupVaults.findByGroup(req.params.groupId);
+      if (!vault || vault.status !== "active") {
+        return res.status(400).json({ error: "Vault container not provisioned or not active" });
+      }
+
+      try {
+        const response = await axios.post(
+          `http://localhost:${vault.container_port}/keys/rotate`,
+          { rotatedBy: req.user.id, revokePrevious },
+          {
+            headers: { "x-auth-token": GROUP_VAULT_AUTH_TOKEN },
+            timeout: 10000,
+          },
+        );
+
+        await groupVaultAudit.log({
+          groupId: req.params.groupId,
+          userId: req.user.id,
+          action: "signing_key.rotated",
+          ipAddress: req.ip,
+          success: true,
+          metadata: {
+            kid: response.data.kid,
+            previousKid: response.data.previousKid,
+            revokePrevious,
+          },
+        });
+
+        res.json(response.data);
+      } catch (rotateErr) {
+        console.error("Rotate signing key error:", rotateErr.response?.data || rotateErr.message);
+        res.status(503).json({ error: "Failed to rotate signing key" });
+      }
+    } catch (err) {
+      console.error("Rotate signing key error:", err);
+      res.status(500).json({ error: "Failed to rotate signing key" });
+    }
+  },
+);
+
+/**
+ * POST /api/groups/:groupId/vault-container/import
+ * Bulk import secrets from a .env file or password manager export (admin only)
+ * With dryRun, returns the per-key plan without writing anything
+ */
+router.post(
+  "/:groupId/vault-container/import",
+  requireUser,
+  detectTenant,
+  requireGroupAdmin,
+  async (req, res) => {
+    try {
+      const { format, content, conflict, prefix, dryRun } = req.body || {};
+
+      const vault = await groupVaults.findByGroup(req.params.groupId);
+      if (!vault || vault.status !== "active") {
+        return res.status(400).json({ error: "Vault container not provisioned or not active" });
+      }
+
+      try {
+        const response = await axios.post(
+          `http://localhost:${vault.container_port}/import/secrets`,
+          { format, content, conflict, prefix, dryRun, userId: req.user.id },
+          {
+            headers: { "x-auth-token": GROUP_VAULT_AUTH_TOKEN },
+            timeout: 30000,
+            maxBodyLength: 6 * 1024 * 1024,
+          },
+        );
+
+        await groupVaultAudit.log({
+          groupId: req.params.groupId,
+          userId: req.user.id,
+          action: response.data.dryRun ? "secrets.import_previewed" : "secrets.imported",
+          ipAddress: req.ip,
+          success: true,
+          metadata: { format, conflict, prefix, summary: response.data.summary },
+        });
+
+        res.json(response.data);
+      } catch (importErr) {
+        console.error("Import secrets error:", importErr.response?.data || importErr.message);
+
+        if (importErr.response?.status === 423) {
+          return res.status(423).json({ error: "Vault is locked. Unlock it first." });
+        }
+        if (importErr.response?.status === 400) {
+          return res.status(400).json(importErr.response.data);
+        }
+
+        await groupVaultAudit.log({
+          groupId: req.params.groupId,
+          userId: req.user.id,
+          action: "secrets.imported",
+          ipAddress: req.ip,
+          success: false,
+          metadata: { format },
+          errorMessage: importErr.message,
+        });
+
+        res.status(503).json({ error: "Failed to import secrets" });
+      }
+    } catch (err) {
+      console.error("Import secrets error:", err);
+      res.status(500).json({ error: "Failed to import secrets" });
+    }
+  },
+);
+
 /**
  * GET /api/groups/:groupId/vault-container/audit
  * Get container audit logs (admin only)
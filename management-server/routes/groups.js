@@ -17,6 +17,7 @@ import {
 import { updateAgentContext } from "../lib/context.js";
 import { sendGroupInviteEmail } from "../lib/email.js";
 import { inviteLimiter } from "../lib/rate-limit.js";
+import { requireApiKeyPermission } from "../lib/rbac.js";
 import {
   validate,
   createGroupSchema,
@@ -34,7 +35,7 @@ import {
   inviteIdParamSchema,
   uuidSchema,
 } from "../lib/schemas.js";
-import { requireUser } from "../middleware/auth.js";
+import { requireUser, requireUserOrApiKey } from "../middleware/auth.js";
 import { requireGroupMember, requireGroupAdmin } from "../middleware/group-auth.js";
 import { detectTenant } from "../middleware/tenant-context.js";
 
@@ -84,8 +85,9 @@ router.get("/permission-levels", requireUser, detectTenant, (req, res) => {
 // Create group (any authenticated user can create)
 router.post(
   "/",
-  requireUser,
+  requireUserOrApiKey,
   detectTenant,
+  requireApiKeyPermission("groups.create"),
   validate({ body: createGroupSchema }),
   async (req, res) => {
     try {
@@ -111,8 +113,9 @@ router.post(
 // Get group details
 router.get(
   "/:groupId",
-  requireUser,
+  requireUserOrApiKey,
   detectTenant,
+  requireApiKeyPermission("groups.view"),
   validate({ params: groupIdParamSchema }),
   requireGroupMember,
   async (req, res) => {
@@ -141,8 +144,9 @@ router.get(
 // Update group
 router.put(
   "/:groupId",
-  requireUser,
+  requireUserOrApiKey,
   detectTenant,
+  requireApiKeyPermission("groups.manage"),
   validate({ params: groupIdParamSchema, body: updateGroupSchema }),
   requireGroupAdmin,
   async (req, res) => {
@@ -167,8 +171,9 @@ router.put(
 // Add group resource
 router.post(
   "/:groupId/resources",
-  requireUser,
+  requireUserOrApiKey,
   detectTenant,
+  requireApiKeyPermission("groups.manage"),
   validate({ params: groupIdParamSchema, body: createResourceSchema }),
   requireGroupAdmin,
   async (req, res) => {
@@ -208,8 +213,9 @@ router.post(
 // List group resources
 router.get(
   "/:groupId/resources",
-  requireUser,
+  requireUserOrApiKey,
   detectTenant,
+  requireApiKeyPermission("groups.view"),
   validate({ params: groupIdParamSchema }),
   requireGroupMember,
   async (req, res) => {
@@ -226,8 +232,9 @@ router.get(
 // Update group resource
 router.put(
   "/:groupId/resources/:resourceId",
-  requireUser,
+  requireUserOrApiKey,
   detectTenant,
+  requireApiKeyPermission("groups.manage"),
   validate({ params: groupResourceParamsSchema, body: updateResourceSchema }),
   requireGroupAdmin,
   async (req, res) => {
@@ -265,8 +272,9 @@ router.put(
 // Delete group resource
 router.delete(
   "/:groupId/resources/:resourceId",
-  requireUser,
+  requireUserOrApiKey,
   detectTenant,
+  requireApiKeyPermission("groups.manage"),
   validate({ params: groupResourceParamsSchema }),
   requireGroupAdmin,
   async (req, res) => {
@@ -295,8 +303,9 @@ router.delete(
 // Share resource with user (create share)
 router.post(
   "/:groupId/shares",
-  requireUser,
+  requireUserOrApiKey,
   detectTenant,
+  requireApiKeyPermission("groups.manage"),
   validate({ params: groupIdParamSchema, body: createShareSchema }),
   requireGroupAdmin,
   async (req, res) => {
@@ -351,8 +360,9 @@ router.post(
 // List all shares for group
 router.get(
   "/:groupId/shares",
-  requireUser,
+  requireUserOrApiKey,
   detectTenant,
+  requireApiKeyPermission("groups.view"),
   validate({ params: groupIdParamSchema }),
   requireGroupAdmin,
   async (req, res) => {
@@ -369,8 +379,9 @@ router.get(
 // Update share permissions
 router.put(
   "/:groupId/shares/:shareId",
-  requireUser,
+  requireUserOrApiKey,
   detectTenant,
+  requireApiKeyPermission("groups.manage"),
   validate({ params: groupShareParamsSchema, body: updateShareSchema }),
   requireGroupAdmin,
   async (req, res) => {
@@ -402,8 +413,9 @@ router.put(
 // Revoke share
 router.delete(
   "/:groupId/shares/:shareId",
-  requireUser,
+  requireUserOrApiKey,
   detectTenant,
+  requireApiKeyPermission("groups.manage"),
   validate({ params: groupShareParamsSchema }),
   requireGroupAdmin,
   async (req, res) => {
@@ -449,8 +461,9 @@ router.delete(
 // Add member to group (creates invite, requires user acceptance)
 router.post(
   "/:groupId/members",
-  requireUser,
+  requireUserOrApiKey,
   detectTenant,
+  requireApiKeyPermission("groups.manage"),
   validate({ params: groupIdParamSchema, body: addGroupMemberSchema }),
   requireGroupAdmin,
   async (req, res) => {
@@ -508,8 +521,9 @@ router.post(
 // List group members
 router.get(
   "/:groupId/members",
-  requireUser,
+  requireUserOrApiKey,
   detectTenant,
+  requireApiKeyPermission("groups.view"),
   validate({ params: groupIdParamSchema }),
   requireGroupMember,
   async (req, res) => {
@@ -526,8 +540,9 @@ router.get(
 // Remove member from group
 router.delete(
   "/:groupId/members/:userId",
-  requireUser,
+  requireUserOrApiKey,
   detectTenant,
+  requireApiKeyPermission("groups.manage"),
   validate({ params: groupUserParamsSchema }),
   requireGroupAdmin,
   async (req, res) => {
@@ -586,8 +601,9 @@ router.delete(
 // Invite member by email (creates pending invite)
 router.post(
   "/:groupId/invite",
-  requireUser,
+  requireUserOrApiKey,
   detectTenant,
+  requireApiKeyPermission("groups.manage"),
   validate({ params: groupIdParamSchema, body: inviteToGroupSchema }),
   requireGroupAdmin,
   inviteLimiter,
@@ -653,8 +669,9 @@ router.post(
 // List pending invites for group (admin only)
 router.get(
   "/:groupId/invites",
-  requireUser,
+  requireUserOrApiKey,
   detectTenant,
+  requireApiKeyPermission("groups.view"),
   validate({ params: groupIdParamSchema }),
   requireGroupAdmin,
   async (req, res) => {
@@ -686,8 +703,9 @@ router.get(
 // Cancel a pending invite (admin only)
 router.delete(
   "/:groupId/invites/:inviteId",
-  requireUser,
+  requireUserOrApiKey,
   detectTenant,
+  requireApiKeyPermission("groups.manage"),
   validate({ params: groupInviteParamsSchema }),
   requireGroupAdmin,
   async (req, res) => {
@@ -6,6 +6,7 @@ import { unlockVault } from '../lib/vault.js';
 import { vaultSessions } from '../lib/vault-sessions.js';
 import { getEffectiveApiKey } from '../lib/api-keys.js';
 import { getWakeOnRequestMetrics } from '../lib/wake-on-request.js';
+import { resolveSecretRefs, MAX_SECRET_REFS } from '../lib/secret-refs.js';
 import { AGENT_SERVER_TOKEN } from '../lib/context.js';
 
 const router = Router();
@@ -180,6 +181,35 @@ router.get('/credentials/:userId', requireAgentServerAuth, async (req, res) => {
   }
 });
 
+// Resolve vault:// secret references just-in-time for an agent container
+// Values are returned to the agent server only; each resolution is audited
+router.post('/secret-refs/resolve', requireAgentServerAuth, async (req, res) => {
+  try {
+    const { userId, refs, purpose } = req.body;
+
+    if (!userId || !Array.isArray(refs) || refs.some(ref => typeof ref !== 'string')) {
+      return res.status(400).json({ error: 'userId and refs required' });
+    }
+    if (refs.length > MAX_SECRET_REFS) {
+      return res.status(400).json({ error: `At most ${MAX_SECRET_REFS} refs per request` });
+    }
+
+    const user = await users.findById(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const result = await resolveSecretRefs(userId, refs, {
+      purpose: typeof purpose === 'string' ? purpose.slice(0, 64) : undefined,
+      ipAddress: req.ip
+    });
+    res.json(result);
+  } catch (err) {
+    console.error('Resolve secret refs error:', err);
+    res.status(500).json({ error: 'Failed to resolve secret refs' });
+  }
+});
+
 // Get wake-on-request metrics
 router.get('/metrics/wake', requireAgentServerAuth, async (req, res) => {
   try {
@@ -1,9 +1,19 @@
 // MFA API routes - TOTP setup, verification, and backup codes
 import crypto from "crypto";
 import { Router } from "express";
-import { audit, sessions, users } from "../db/index.js";
+import { z } from "zod";
+import { audit, sessions, tenants, users } from "../db/index.js";
 import { mfaAttempts, mfaBackupCodes, pendingMfaSessions, userMfa } from "../db/mfa.js";
+import {
+  DEFAULT_GRACE_PERIOD_DAYS,
+  MAX_GRACE_PERIOD_DAYS,
+  MFA_POLICY_MODES,
+  evaluateMfaPolicy,
+  normalizeMfaPolicy,
+} from "../lib/mfa-policy.js";
 import { createRateLimiter } from "../lib/rate-limit.js";
+import { requirePermission } from "../lib/rbac.js";
+import { logFromRequest, SECURITY_EVENT_TYPES } from "../lib/security-events.js";
 import {
   generateBackupCodes,
   generateTotpQRCodeUri,
@@ -12,7 +22,7 @@ import {
   verifyTotpCode,
 } from "../lib/totp.js";
 import { requireUser } from "../middleware/auth.js";
-import { detectTenant } from "../middleware/tenant-context.js";
+import { detectTenant, requireTenant } from "../middleware/tenant-context.js";
 
 const router = Router();
 
@@ -35,6 +45,22 @@ const mfaSetupLimiter = createRateLimiter({
   message: "Too many MFA setup attempts. Please try again later.",
 });
 
+const mfaPolicySchema = z
+  .object({
+    mode: z.enum(Object.values(MFA_POLICY_MODES)),
+    roles: z.array(z.string().trim().min(1).max(100)).max(50).default([]),
+    gracePeriodDays: z
+      .number()
+      .int()
+      .min(0)
+      .max(MAX_GRACE_PERIOD_DAYS)
+      .default(DEFAULT_GRACE_PERIOD_DAYS),
+  })
+  .refine((policy) => policy.mode !== MFA_POLICY_MODES.ROLES || policy.roles.length > 0, {
+    message: "At least one role is required when mode is 'roles'",
+    path: ["roles"],
+  });
+
 // ============================================================
 // MFA STATUS
 // ============================================================
@@ -46,7 +72,7 @@ const mfaSetupLimiter = createRateLimiter({
 router.get("/status", requireUser, detectTenant, async (req, res) => {
   try {
     const status = await userMfa.getStatus(req.user.id);
-    res.json(status);
+    res.json({ ...status, policy: req.mfaPolicy || null });
   } catch (err) {
     console.error("MFA status error:", err);
     res.status(500).json({ error: "Failed to get MFA status" });
@@ -138,6 +164,11 @@ router.post("/verify", requireUser, detectTenant, mfaVerifyLimiter, async (req,
     // Enable TOTP
     await userMfa.enableTotp(req.user.id);
 
+    // Enrolling the first factor proves it for this session too
+    if (req.mfaPolicy?.enrolled === false && req.sessionId) {
+      await sessions.markMfaVerified(req.sessionId);
+    }
+
     // Generate backup codes
     const { codes, hashedCodes } = await generateBackupCodes();
     await mfaBackupCodes.replaceAll(req.user.id, hashedCodes);
@@ -178,6 +209,17 @@ router.post("/disable", requireUser, detectTenant, mfaVerifyLimiter, async (req,
       return res.status(400).json({ error: "TOTP is not enabled" });
     }
 
+    // Tenant MFA policy: TOTP can only be removed if a passkey remains
+    if (req.mfaPolicy?.required) {
+      const status = await userMfa.getStatus(req.user.id);
+      if (!status.webauthnEnabled) {
+        return res.status(403).json({
+          error: "Your organization requires MFA. Add a passkey before disabling TOTP.",
+          code: "MFA_REQUIRED_BY_POLICY",
+        });
+      }
+    }
+
     // Verify the code before disabling
     const isValid = verifyTotpCode(mfaConfig.totp_secret_encrypted, code);
 
@@ -328,7 +370,7 @@ router.post("/verify/totp", mfaVerifyLimiter, async (req, res) => {
     const sessionToken = crypto.randomBytes(32).toString("hex");
     const sessionExpiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
 
-    await sessions.create(pending.user_id, sessionToken, sessionExpiresAt);
+    await sessions.create(pending.user_id, sessionToken, sessionExpiresAt, { mfaVerified: true });
 
     // Delete pending MFA session
     await pendingMfaSessions.delete(pending.id);
@@ -407,7 +449,7 @@ router.post("/verify/backup-code", mfaVerifyLimiter, async (req, res) => {
     const sessionToken = crypto.randomBytes(32).toString("hex");
     const sessionExpiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
 
-    await sessions.create(pending.user_id, sessionToken, sessionExpiresAt);
+    await sessions.create(pending.user_id, sessionToken, sessionExpiresAt, { mfaVerified: true });
 
     // Delete pending MFA session
     await pendingMfaSessions.delete(pending.id);
@@ -438,4 +480,194 @@ router.post("/verify/backup-code", mfaVerifyLimiter, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/mfa/session/verify
+ * Complete MFA for the current session with a TOTP or backup code
+ * Needed when the tenant requires MFA and the session was opened without a
+ * second factor (email link or SSO sign-in). Passkey users verify through
+ * POST /api/webauthn/session/verify instead.
+ * Body: { code } or { backupCode }
+ */
+router.post("/session/verify", requireUser, detectTenant, mfaVerifyLimiter, async (req, res) => {
+  try {
+    const { code, backupCode } = req.body;
+
+    if ((!code || typeof code !== "string") && (!backupCode || typeof backupCode !== "string")) {
+      return res.status(400).json({ error: "Verification code or backup code required" });
+    }
+
+    let verified = false;
+    let method = "totp";
+
+    if (code) {
+      const mfaConfig = await userMfa.findByUserId(req.user.id);
+      if (!mfaConfig?.totp_enabled) {
+        return res.status(400).json({ error: "TOTP is not enabled" });
+      }
+      verified = verifyTotpCode(mfaConfig.totp_secret_encrypted, code);
+    } else {
+      method = "backup_code";
+      const backupCodes = await mfaBackupCodes.getUnused(req.user.id);
+      for (const bc of backupCodes) {
+        if (await verifyBackupCode(backupCode, bc.code_hash)) {
+          await mfaBackupCodes.markUsed(bc.id);
+          verified = true;
+          break;
+        }
+      }
+    }
+
+    await mfaAttempts.log({
+      userId: req.user.id,
+      attemptType: `${method}_session`,
+      success: verified,
+      ipAddress: req.ip,
+      userAgent: req.headers["user-agent"],
+    });
+
+    if (!verified) {
+      return res.status(401).json({ error: "Invalid verification code" });
+    }
+
+    await sessions.markMfaVerified(req.sessionId);
+    await users.updateMfaLastVerified(req.user.id);
+    await audit.log(req.user.id, "mfa.session_verified", { method }, req.ip);
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("MFA session verify error:", err);
+    res.status(500).json({ error: "Failed to verify MFA" });
+  }
+});
+
+// ============================================================
+// TENANT MFA POLICY
+// ============================================================
+
+/**
+ * GET /api/mfa/policy
+ * Get the tenant's MFA policy and how it applies to the current user
+ */
+router.get("/policy", requireUser, detectTenant, requireTenant, async (req, res) => {
+  try {
+    res.json({
+      policy: normalizeMfaPolicy(req.tenant.settings?.mfaPolicy),
+      status: req.mfaPolicy || null,
+    });
+  } catch (err) {
+    console.error("MFA policy get error:", err);
+    res.status(500).json({ error: "Failed to get MFA policy" });
+  }
+});
+
+/**
+ * PUT /api/mfa/policy
+ * Set the tenant's MFA policy (tenant admins)
+ * The grace period clock restarts only when enforcement is switched on.
+ */
+router.put(
+  "/policy",
+  requireUser,
+  detectTenant,
+  requireTenant,
+  requirePermission("settings.manage"),
+  async (req, res) => {
+    try {
+      const parseResult = mfaPolicySchema.safeParse(req.body);
+      if (!parseResult.success) {
+        return res.status(400).json({
+          error: "Invalid request body",
+          details: parseResult.error.issues,
+        });
+      }
+
+      const { mode, roles, gracePeriodDays } = parseResult.data;
+      const previous = normalizeMfaPolicy(req.tenant.settings?.mfaPolicy);
+      const wasEnforced = previous.mode !== MFA_POLICY_MODES.OFF;
+      const enforced = mode !== MFA_POLICY_MODES.OFF;
+
+      const policy = {
+        mode,
+        roles: mode === MFA_POLICY_MODES.ROLES ? [...new Set(roles)] : [],
+        gracePeriodDays,
+        enforcedAt: enforced
+          ? (wasEnforced && previous.enforcedAt) || new Date().toISOString()
+          : null,
+        updatedAt: new Date().toISOString(),
+        updatedBy: req.user.id,
+      };
+
+      await tenants.updateSettings(req.tenant.id, { mfaPolicy: policy });
+
+      await audit.log(
+        req.user.id,
+        "tenant.mfa_policy_updated",
+        {
+          tenantId: req.tenant.id,
+          previousMode: previous.mode,
+          mode,
+          roles: policy.roles,
+          gracePeriodDays,
+        },
+        req.ip,
+      );
+
+      await logFromRequest(req, SECURITY_EVENT_TYPES.MFA_POLICY_CHANGED, {
+        tenantId: req.tenant.id,
+        previousMode: previous.mode,
+        mode,
+        roles: policy.roles,
+        gracePeriodDays,
+      });
+
+      res.json({ success: true, policy });
+    } catch (err) {
+      console.error("MFA policy update error:", err);
+      res.status(500).json({ error: "Failed to update MFA policy" });
+    }
+  },
+);
+
+/**
+ * GET /api/mfa/policy/compliance
+ * List tenant members with their MFA enrollment and policy status
+ */
+router.get(
+  "/policy/compliance",
+  requireUser,
+  detectTenant,
+  requireTenant,
+  requirePermission("settings.manage"),
+  async (req, res) => {
+    try {
+      const policy = req.tenant.settings?.mfaPolicy;
+      const members = await userMfa.listTenantEnrollment(req.tenant.id);
+      const now = new Date();
+
+      const report = members.map((member) => {
+        const enrolled = member.totp_enabled || member.webauthn_count > 0;
+        return {
+          id: member.id,
+          email: member.email,
+          name: member.name,
+          role: member.tenant_role,
+          totpEnabled: member.totp_enabled,
+          passkeyCount: member.webauthn_count,
+          ...evaluateMfaPolicy(policy, member, { enrolled }, now),
+        };
+      });
+
+      const summary = report.reduce((acc, user) => {
+        acc[user.status] = (acc[user.status] || 0) + 1;
+        return acc;
+      }, {});
+
+      res.json({ policy: normalizeMfaPolicy(policy), summary, users: report });
+    } catch (err) {
+      console.error("MFA policy compliance error:", err);
+      res.status(500).json({ error: "Failed to get MFA compliance" });
+    }
+  },
+);
+
 export default router;
@@ -6,12 +6,14 @@
  * - Listing available roles and permissions
  * - Assigning roles to users
  * - Managing resource-level permissions
+ * - Explaining access decisions for a user
  * - Custom role management (enterprise)
  */
 
 import { Router } from "express";
 import { z } from "zod";
-import { audit, users, query } from "../db/index.js";
+import { audit, users, tenantMemberships, query } from "../db/index.js";
+import { explainAccess } from "../lib/access-explain.js";
 import {
   ROLES,
   ALL_PERMISSIONS,
@@ -51,19 +53,88 @@ const resourcePermissionsSchema = z.object({
   permissions: z.array(z.string().min(1).max(50)),
 });
 
+// Shape only - values are checked by validateConditions in lib/rbac.js
+const roleConditionsSchema = z
+  .object({
+    timeWindows: z
+      .array(
+        z.object({
+          days: z.array(z.number().int()).optional(),
+          start: z.string(),
+          end: z.string(),
+          timezone: z.string().optional(),
+        }),
+      )
+      .optional(),
+    ipRanges: z.array(z.string()).optional(),
+    mfaMaxAgeMinutes: z.number().int().optional(),
+    regions: z.array(z.string()).optional(),
+  })
+  .strict()
+  .nullable();
+
 const customRoleSchema = z.object({
   name: z.string().regex(/^[a-z][a-z0-9_-]{0,49}$/),
   description: z.string().max(500).optional(),
   permissions: z.array(z.string()),
   inherits: z.array(z.string()).default([]),
+  conditions: roleConditionsSchema.optional(),
 });
 
 const updateCustomRoleSchema = z.object({
   description: z.string().max(500).optional(),
   permissions: z.array(z.string()).optional(),
   inherits: z.array(z.string()).optional(),
+  conditions: roleConditionsSchema.optional(),
 });
 
+const explainSchema = z
+  .object({
+    userId: z.string().uuid(),
+    permission: z.string().min(1).max(50).optional(),
+    resourceId: z.string().uuid().optional(),
+    method: z.enum(["GET", "POST", "PUT", "PATCH", "DELETE"]).default("GET"),
+    context: z
+      .object({
+        ip: z.string().ip().optional(),
+        at: z.string().datetime({ offset: true }).optional(),
+      })
+      .default({}),
+  })
+  .refine((body) => body.permission || body.resourceId, {
+    message: "Provide a permission, a resourceId, or both",
+  });
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+/**
+ * Add the effective permissions of a custom role, split into the role's own
+ * permissions and those it picks up from the built-in roles it inherits
+ */
+function withComputedPermissions(role) {
+  const computedPermissions = getAllPermissions(role.name, { [role.name]: role });
+  const direct = new Set(role.permissions || []);
+
+  return {
+    ...role,
+    computedPermissions,
+    inheritedPermissions: computedPermissions.filter((perm) => !direct.has(perm)),
+  };
+}
+
+/**
+ * Map custom role rows to the shape expected by getAllPermissions/canAssignRole
+ */
+function toCustomRoleMap(roles) {
+  const customRoles = {};
+  for (const role of roles) {
+    customRoles[role.name] = role;
+  }
+  return customRoles;
+}
+
 // ============================================================
 // PUBLIC ROLE/PERMISSION INFO
 // ============================================================
@@ -84,8 +155,7 @@ router.get("/roles", requireUser, requireTenant, async (req, res) => {
         customRoles = await listCustomRoles(req.tenant.id);
         // Add computed permissions to custom roles
         customRoles = customRoles.map((role) => ({
-          ...role,
-          computedPermissions: getAllPermissions(role.name, { [role.name]: role }),
+          ...withComputedPermissions(role),
           isBuiltIn: false,
         }));
       } catch (err) {
@@ -94,9 +164,16 @@ router.get("/roles", requireUser, requireTenant, async (req, res) => {
       }
     }
 
+    // Roles the current user may hand out, used by the role assignment UI
+    const customRoleMap = toCustomRoleMap(customRoles);
+    const assignableRoles = [...builtInRoles, ...customRoles]
+      .map((role) => role.name)
+      .filter((name) => canAssignRole(req.user, name, customRoleMap));
+
     res.json({
       builtInRoles,
       customRoles,
+      assignableRoles,
       roleHierarchy: ["observer", "member", "admin", "owner"],
     });
   } catch (err) {
@@ -181,6 +258,44 @@ router.get("/my-permissions", requireUser, requireTenant, async (req, res) => {
 // USER ROLE MANAGEMENT
 // ============================================================
 
+/**
+ * GET /api/rbac/users
+ * List tenant members with their roles
+ */
+router.get(
+  "/users",
+  requireUser,
+  requireTenant,
+  requirePermission("users.view"),
+  async (req, res) => {
+    try {
+      const members = await tenantMemberships.getMembers(req.tenant.id);
+
+      res.json({
+        users: members.map((member) => {
+          const role = member.tenant_role || "member";
+          const isOwner = req.tenant.owner_id === member.id;
+          return {
+            id: member.id,
+            name: member.name,
+            email: member.email,
+            status: member.status,
+            role,
+            isOwner,
+            canChangeRole:
+              !isOwner &&
+              member.id !== req.user.id &&
+              canAssignRole(req.user, role, req.customRoles || {}),
+          };
+        }),
+      });
+    } catch (err) {
+      console.error("[rbac] List users error:", err);
+      res.status(500).json({ error: "Failed to list users" });
+    }
+  },
+);
+
 /**
  * GET /api/rbac/users/:id/role
  * Get a user's role
@@ -252,15 +367,26 @@ router.put(
         return res.status(404).json({ error: "User not found in tenant" });
       }
 
-      // Check if actor can assign this role
-      if (!canAssignRole(req.user, role)) {
+      // Check if actor can assign this role, and could have assigned the
+      // user's current one (no demoting someone at or above your level)
+      const customRoles = req.customRoles || {};
+      const currentRole = user.tenant_role || "member";
+      if (!canAssignRole(req.user, role, customRoles)) {
         return res.status(403).json({
-          error: "Cannot assign role higher than or equal to your own",
+          error: "Cannot assign a role with access higher than or equal to your own",
           code: "ROLE_ASSIGNMENT_DENIED",
           yourRole: req.user.tenant_role || req.user.role,
           targetRole: role,
         });
       }
+      if (currentRole !== role && !canAssignRole(req.user, currentRole, customRoles)) {
+        return res.status(403).json({
+          error: "Cannot change the role of a user with access equal to or above your own",
+          code: "ROLE_ASSIGNMENT_DENIED",
+          yourRole: req.user.tenant_role || req.user.role,
+          currentRole,
+        });
+      }
 
       // Cannot change tenant owner's role
       if (req.tenant.owner_id === userId && role !== "owner") {
@@ -280,7 +406,7 @@ router.put(
           targetUserId: userId,
           targetUserEmail: user.email,
           newRole: role,
-          previousRole: user.tenant_role || "member",
+          previousRole: currentRole,
         },
         req.ip,
       );
@@ -289,7 +415,7 @@ router.put(
         success: true,
         userId,
         role: result.tenant_role,
-        permissions: getAllPermissions(role, req.customRoles || {}),
+        permissions: getAllPermissions(role, customRoles),
       });
     } catch (err) {
       console.error("[rbac] Assign role error:", err);
@@ -464,6 +590,42 @@ router.delete(
   },
 );
 
+// ============================================================
+// ACCESS EXPLANATION
+// ============================================================
+
+/**
+ * POST /api/rbac/explain
+ * Explain why a user can or cannot use a permission and/or resource
+ */
+router.post(
+  "/explain",
+  requireUser,
+  requireTenant,
+  requirePermission("rbac.view"),
+  async (req, res) => {
+    try {
+      const parseResult = explainSchema.safeParse(req.body);
+      if (!parseResult.success) {
+        return res.status(400).json({
+          error: "Invalid request body",
+          details: parseResult.error.issues,
+        });
+      }
+
+      const trace = await explainAccess({ tenantId: req.tenant.id, ...parseResult.data });
+      if (!trace) {
+        return res.status(404).json({ error: "User not found in tenant" });
+      }
+
+      res.json(trace);
+    } catch (err) {
+      console.error("[rbac] Explain access error:", err);
+      res.status(500).json({ error: "Failed to explain access" });
+    }
+  },
+);
+
 // ============================================================
 // CUSTOM ROLES (ENTERPRISE)
 // ============================================================
@@ -482,10 +644,7 @@ router.get(
       const roles = await listCustomRoles(req.tenant.id);
 
       res.json({
-        roles: roles.map((role) => ({
-          ...role,
-          computedPermissions: getAllPermissions(role.name, { [role.name]: role }),
-        })),
+        roles: roles.map(withComputedPermissions),
       });
     } catch (err) {
       console.error("[rbac] List custom roles error:", err);
@@ -516,10 +675,7 @@ router.get(
         return res.status(404).json({ error: "Custom role not found" });
       }
 
-      res.json({
-        ...role,
-        computedPermissions: getAllPermissions(role.name, { [role.name]: role }),
-      });
+      res.json(withComputedPermissions(role));
     } catch (err) {
       console.error("[rbac] Get custom role error:", err);
       res.status(500).json({ error: "Failed to get custom role" });
@@ -546,9 +702,16 @@ router.post(
         });
       }
 
-      const { name, description, permissions, inherits } = parseResult.data;
+      const { name, description, permissions, inherits, conditions } = parseResult.data;
 
-      const role = await createCustomRole(req.tenant.id, name, permissions, inherits, req.user.id);
+      const role = await createCustomRole(
+        req.tenant.id,
+        name,
+        permissions,
+        inherits,
+        req.user.id,
+        conditions,
+      );
 
       // Update description if provided
       if (description) {
@@ -565,16 +728,14 @@ router.post(
           roleName: name,
           permissions,
           inherits,
+          conditions: role.conditions,
         },
         req.ip,
       );
 
       res.status(201).json({
         success: true,
-        role: {
-          ...role,
-          computedPermissions: getAllPermissions(name, { [name]: role }),
-        },
+        role: withComputedPermissions(role),
       });
     } catch (err) {
       console.error("[rbac] Create custom role error:", err);
@@ -591,7 +752,8 @@ router.post(
       if (
         err.code === "INVALID_ROLE_NAME" ||
         err.code === "INVALID_PERMISSIONS" ||
-        err.code === "INVALID_INHERITANCE"
+        err.code === "INVALID_INHERITANCE" ||
+        err.code === "INVALID_CONDITIONS"
       ) {
         return res.status(400).json({ error: err.message, code: err.code });
       }
@@ -652,10 +814,7 @@ router.put(
 
       res.json({
         success: true,
-        role: {
-          ...role,
-          computedPermissions: getAllPermissions(role.name, { [role.name]: role }),
-        },
+        role: withComputedPermissions(role),
       });
     } catch (err) {
       console.error("[rbac] Update custom role error:", err);
@@ -673,7 +832,11 @@ router.put(
         return res.status(404).json({ error: err.message, code: err.code });
       }
 
-      if (err.code === "INVALID_PERMISSIONS") {
+      if (
+        err.code === "INVALID_PERMISSIONS" ||
+        err.code === "INVALID_INHERITANCE" ||
+        err.code === "INVALID_CONDITIONS"
+      ) {
         return res.status(400).json({ error: err.message, code: err.code });
       }
 
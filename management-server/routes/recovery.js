@@ -11,13 +11,20 @@ import {
   encrypt,
   decrypt,
 } from "../db/index.js";
+import { recoveryLimiter } from "../lib/rate-limit.js";
+import {
+  getRecoveryHealth,
+  startRecoveryDrill,
+  confirmRecoveryDrill,
+} from "../lib/recovery-drill.js";
+import { storeSocialRecovery } from "../lib/recovery-reissue.js";
 import {
-  setupSocialRecovery,
   decryptContactShard,
   recoverSeedFromShards,
   generateHardwareBackupKey,
   setupHardwareRecovery,
   recoverWithHardwareKey,
+  verifyHardwareBackupKey,
   createRecoveryToken,
   hashRecoveryToken,
   RecoveryMethodType,
@@ -83,99 +90,100 @@ router.get("/status", requireUser, detectTenant, async (req, res) => {
   }
 });
 
+// Recovery health: contacts that bounced, were deleted or never confirmed,
+// whether enough usable shards remain, and when methods were last verified
+router.get("/health", requireUser, detectTenant, async (req, res) => {
+  try {
+    res.json(await getRecoveryHealth(req.user.id));
+  } catch (err) {
+    console.error("Recovery health error:", err);
+    res.status(500).json({ error: "Failed to get recovery health" });
+  }
+});
+
 // ============================================================
 // SOCIAL RECOVERY SETUP
 // ============================================================
 
-// Set up social recovery with trusted contacts
-// Requires vault to be unlocked to access the seed
-router.post("/social/setup", requireUser, detectTenant, requireVaultUnlocked, async (req, res) => {
-  try {
-    const { contacts, threshold = 3 } = req.body;
+/**
+ * Validate a trusted contact set and threshold
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateRecoveryContacts(contacts, threshold, ownEmail) {
+  if (!Array.isArray(contacts) || contacts.length < 3) {
+    return "Need at least 3 trusted contacts";
+  }
+  if (contacts.length > 10) {
+    return "Maximum 10 contacts allowed";
+  }
+  if (threshold < 2 || threshold > contacts.length) {
+    return `Threshold must be between 2 and ${contacts.length}`;
+  }
 
-    // Validate contacts
-    if (!Array.isArray(contacts) || contacts.length < 3) {
-      return res.status(400).json({ error: "Need at least 3 trusted contacts" });
+  // Validate each contact
+  for (const contact of contacts) {
+    if (!contact.email || !contact.name) {
+      return "Each contact must have email and name";
     }
-    if (contacts.length > 10) {
-      return res.status(400).json({ error: "Maximum 10 contacts allowed" });
+    // Basic email validation
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(contact.email)) {
+      return `Invalid email: ${contact.email}`;
     }
-    if (threshold < 2 || threshold > contacts.length) {
-      return res.status(400).json({ error: `Threshold must be between 2 and ${contacts.length}` });
-    }
-
-    // Validate each contact
-    for (const contact of contacts) {
-      if (!contact.email || !contact.name) {
-        return res.status(400).json({ error: "Each contact must have email and name" });
-      }
-      // Basic email validation
-      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(contact.email)) {
-        return res.status(400).json({ error: `Invalid email: ${contact.email}` });
-      }
-      // Cannot add self
-      if (contact.email.toLowerCase() === req.user.email?.toLowerCase()) {
-        return res.status(400).json({ error: "Cannot add yourself as a recovery contact" });
-      }
+    // Cannot add self
+    if (contact.email.toLowerCase() === ownEmail?.toLowerCase()) {
+      return "Cannot add yourself as a recovery contact";
     }
+  }
 
-    // Check for duplicate emails
-    const emails = contacts.map((c) => c.email.toLowerCase());
-    if (new Set(emails).size !== emails.length) {
-      return res.status(400).json({ error: "Duplicate contact emails" });
-    }
+  // Check for duplicate emails
+  const emails = contacts.map((c) => c.email.toLowerCase());
+  if (new Set(emails).size !== emails.length) {
+    return "Duplicate contact emails";
+  }
 
-    // Get the vault seed from the session
-    const vaultSessionToken = req.headers["x-vault-session"] || req.cookies?.ocmt_vault_session;
-    const session = await getVaultSession(vaultSessionToken);
-    if (!session || !session.vaultKey) {
-      return res.status(401).json({ error: "Vault session invalid" });
-    }
+  return null;
+}
+
+/**
+ * Decrypt the vault seed with the unlocked vault session key
+ * @returns {Promise<{ seed?: Buffer, status?: number, error?: string }>}
+ */
+async function getSeedFromVaultSession(req) {
+  const vaultSessionToken = req.headers["x-vault-session"] || req.cookies?.ocmt_vault_session;
+  const session = await getVaultSession(vaultSessionToken);
+  if (!session || !session.vaultKey) {
+    return { status: 401, error: "Vault session invalid" };
+  }
 
-    // Get the vault and extract the seed
-    const vault = await users.getVault(req.user.id);
-    if (!vault) {
-      return res.status(400).json({ error: "No vault found" });
-    }
+  const vault = await users.getVault(req.user.id);
+  if (!vault) {
+    return { status: 400, error: "No vault found" };
+  }
 
-    // Decrypt the seed from the vault using the session key
-    const seedNonce = Buffer.from(vault.recovery.nonce, "base64");
-    const seedTag = Buffer.from(vault.recovery.tag, "base64");
-    const seedCiphertext = Buffer.from(vault.recovery.encrypted_seed, "base64");
-    const seed = vaultDecrypt(session.vaultKey, seedNonce, seedTag, seedCiphertext);
+  const seedNonce = Buffer.from(vault.recovery.nonce, "base64");
+  const seedTag = Buffer.from(vault.recovery.tag, "base64");
+  const seedCiphertext = Buffer.from(vault.recovery.encrypted_seed, "base64");
+  return { seed: vaultDecrypt(session.vaultKey, seedNonce, seedTag, seedCiphertext) };
+}
 
-    // Set up social recovery (creates Shamir shares)
-    const socialSetup = setupSocialRecovery(seed, contacts, threshold);
+// Set up social recovery with trusted contacts
+// Requires vault to be unlocked to access the seed
+router.post("/social/setup", requireUser, detectTenant, requireVaultUnlocked, async (req, res) => {
+  try {
+    const { contacts, threshold = 3 } = req.body;
 
-    // Delete existing contacts
-    await recoveryContacts.deleteForUser(req.user.id);
+    const validationError = validateRecoveryContacts(contacts, threshold, req.user.email);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
 
-    // Store each contact's shard
-    for (const contact of socialSetup.contacts) {
-      await recoveryContacts.create({
-        userId: req.user.id,
-        recoveryId: socialSetup.recoveryId,
-        contactEmail: contact.email,
-        contactName: contact.name,
-        shareIndex: contact.shareIndex,
-        shardEncrypted: encrypt(JSON.stringify(contact.encryptedShard)),
-      });
+    const { seed, status, error } = await getSeedFromVaultSession(req);
+    if (!seed) {
+      return res.status(status).json({ error });
     }
 
-    // Store the recovery method config
-    await recoveryMethods.create({
-      userId: req.user.id,
-      methodType: RecoveryMethodType.SOCIAL,
-      configEncrypted: encrypt(
-        JSON.stringify({
-          recoveryId: socialSetup.recoveryId,
-          threshold: socialSetup.threshold,
-          totalShares: socialSetup.totalShares,
-          createdAt: socialSetup.createdAt,
-        }),
-      ),
-      enabled: true,
-    });
+    // Split the seed into Shamir shares and store one per contact
+    const socialSetup = await storeSocialRecovery(req.user.id, seed, contacts, threshold);
 
     await audit.log(
       req.user.id,
@@ -200,6 +208,67 @@ router.post("/social/setup", requireUser, detectTenant, requireVaultUnlocked, as
   }
 });
 
+// Rotate shards to a new contact set and threshold
+// Old shards become useless because the seed is re-split under a new recovery ID
+router.post("/social/rotate", requireUser, detectTenant, requireVaultUnlocked, async (req, res) => {
+  try {
+    const { contacts, threshold = 3 } = req.body;
+
+    const config = await recoveryMethods.getDecryptedConfig(req.user.id, RecoveryMethodType.SOCIAL);
+    if (!config) {
+      return res.status(404).json({ error: "Social recovery not configured" });
+    }
+
+    const validationError = validateRecoveryContacts(contacts, threshold, req.user.email);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { seed, status, error } = await getSeedFromVaultSession(req);
+    if (!seed) {
+      return res.status(status).json({ error });
+    }
+
+    const previousEmails = new Set(
+      (await recoveryContacts.listForUser(req.user.id)).map((c) => c.contact_email),
+    );
+    const newEmails = new Set(contacts.map((c) => c.email.toLowerCase()));
+
+    const socialSetup = await storeSocialRecovery(req.user.id, seed, contacts, threshold);
+
+    // A pending recovery is collecting shards that no longer exist
+    const activeRequest = await recoveryRequests.findActiveForUser(req.user.id);
+    if (activeRequest) {
+      await recoveryRequests.cancel(activeRequest.id);
+    }
+
+    await audit.log(
+      req.user.id,
+      "recovery.social.rotated",
+      {
+        previousRecoveryId: config.recoveryId,
+        recoveryId: socialSetup.recoveryId,
+        previousThreshold: config.threshold,
+        threshold: socialSetup.threshold,
+        added: [...newEmails].filter((email) => !previousEmails.has(email)).length,
+        removed: [...previousEmails].filter((email) => !newEmails.has(email)).length,
+        cancelledRequestId: activeRequest?.id || null,
+      },
+      req.ip,
+    );
+
+    res.json({
+      success: true,
+      recoveryId: socialSetup.recoveryId,
+      threshold: socialSetup.threshold,
+      totalShares: socialSetup.totalShares,
+    });
+  } catch (err) {
+    console.error("Social recovery rotate error:", err);
+    res.status(500).json({ error: "Failed to rotate social recovery" });
+  }
+});
+
 // Disable social recovery
 router.delete("/social", requireUser, detectTenant, requireVaultUnlocked, async (req, res) => {
   try {
@@ -213,6 +282,75 @@ router.delete("/social", requireUser, detectTenant, requireVaultUnlocked, async
   }
 });
 
+// ============================================================
+// RECOVERY DRILLS
+// ============================================================
+
+// Ask every contact to confirm they can still help (no shards are collected)
+router.post("/social/drill", requireUser, detectTenant, async (req, res) => {
+  try {
+    const result = await startRecoveryDrill(req.user);
+
+    await audit.log(
+      req.user.id,
+      "recovery.drill.started",
+      {
+        drillId: result.drillId,
+        sent: result.sent,
+        bounced: result.bounced.length,
+        failed: result.failed.length,
+      },
+      req.ip,
+    );
+
+    res.json({ success: true, ...result });
+  } catch (err) {
+    if (err.code === "SOCIAL_RECOVERY_NOT_CONFIGURED") {
+      return res.status(404).json({ error: err.message });
+    }
+    if (err.code === "DRILL_IN_PROGRESS") {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error("Recovery drill error:", err);
+    res.status(500).json({ error: "Failed to start recovery drill" });
+  }
+});
+
+// Contact confirms a drill from the emailed link (no login required)
+router.post("/social/drill/confirm", async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: "Drill token required" });
+    }
+
+    const result = await confirmRecoveryDrill(token);
+
+    await audit.log(
+      result.userId,
+      "recovery.drill.confirmed",
+      {
+        contactEmail: result.contactEmail,
+        drillCompleted: result.drillCompleted,
+      },
+      req.ip,
+    );
+
+    res.json({
+      success: true,
+      userName: result.userName,
+      drillCompleted: result.drillCompleted,
+    });
+  } catch (err) {
+    if (err.code === "DRILL_NOT_FOUND") {
+      return res.status(404).json({ error: err.message });
+    }
+    console.error("Recovery drill confirm error:", err);
+    res.status(500).json({ error: "Failed to confirm recovery drill" });
+  }
+});
+
 // ============================================================
 // SOCIAL RECOVERY INITIATION
 // ============================================================
@@ -577,6 +715,41 @@ router.delete("/hardware", requireUser, detectTenant, requireVaultUnlocked, asyn
   }
 });
 
+// Check that the user still holds their hardware backup key (nothing is decrypted)
+// Rate limited like other recovery endpoints to prevent guessing
+router.post("/hardware/verify", recoveryLimiter, requireUser, detectTenant, async (req, res) => {
+  try {
+    const { backupKey } = req.body;
+
+    if (!backupKey) {
+      return res.status(400).json({ error: "Backup key required" });
+    }
+
+    const config = await recoveryMethods.getDecryptedConfig(
+      req.user.id,
+      RecoveryMethodType.HARDWARE,
+    );
+    if (!config) {
+      return res.status(404).json({ error: "Hardware backup not configured" });
+    }
+
+    const valid = verifyHardwareBackupKey(backupKey, config.keyHash);
+    if (valid) {
+      await recoveryMethods.markVerified(req.user.id, RecoveryMethodType.HARDWARE);
+    }
+
+    await audit.log(req.user.id, "recovery.hardware.verified", { success: valid }, req.ip);
+
+    if (!valid) {
+      return res.status(401).json({ error: "Backup key does not match" });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Hardware backup verify error:", err);
+    res.status(500).json({ error: "Failed to verify hardware backup" });
+  }
+});
+
 // ============================================================
 // HARDWARE BACKUP RECOVERY
 // ============================================================
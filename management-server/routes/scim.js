@@ -0,0 +1,764 @@
+/**
+ * SCIM 2.0 provisioning routes
+ *
+ * Lets an enterprise tenant's identity provider create, update and
+ * deactivate users, and manage groups whose names map to tenant roles.
+ * Deactivating a user (active=false or DELETE) suspends the account,
+ * revokes their sessions, API keys and group vault capability tokens, and
+ * closes their live connections. Mapped role changes are only applied when
+ * the API key's owner could make them by hand.
+ *
+ * Authentication: a tenant API key with the admin scope, owned by a member
+ * with users.manage, sent as `Authorization: Bearer opw_live_...`.
+ * Mounted at /scim/v2, outside /api, so no CSRF token is involved.
+ */
+
+import axios from "axios";
+import { Router } from "express";
+import {
+  apiKeys,
+  audit,
+  groups,
+  groupMemberships,
+  groupTokenRevocations,
+  groupVaults,
+  groupVaultTokens,
+  scimGroups,
+  scimUsers,
+  sessions,
+  subscriptions,
+  tenantMemberships,
+  users,
+} from "../db/index.js";
+import { generatePermanentToken, encryptGatewayToken } from "../lib/gateway-tokens.js";
+import { isAtLeastPlan } from "../lib/quotas.js";
+import { assignUserRole, canAssignRole, requirePermission } from "../lib/rbac.js";
+import { emailSchema, uuidSchema } from "../lib/schemas.js";
+import {
+  SCIM_CONTENT_TYPE,
+  USER_FILTER_ATTRIBUTES,
+  GROUP_FILTER_ATTRIBUTES,
+  DEACTIVATED_STATUS,
+  scimError,
+  formatError,
+  parseFilter,
+  parsePagination,
+  parseUserResource,
+  parseUserPatch,
+  isUserActive,
+  formatUser,
+  parseGroupResource,
+  parseGroupPatch,
+  formatGroup,
+  generateGroupSlug,
+  getScimRole,
+  formatListResponse,
+  getServiceProviderConfig,
+  getResourceTypes,
+} from "../lib/scim.js";
+import { logSecurityEvent, SECURITY_EVENT_TYPES } from "../lib/security-events.js";
+import { closeUserConnections } from "../lib/ws-proxy.js";
+import { authenticateApiKeyUser, requireScope } from "../middleware/api-key-auth.js";
+
+const router = Router();
+
+const BASE_URL = process.env.BASE_URL || "http://localhost:3000";
+const SCIM_BASE_URL = `${BASE_URL}/scim/v2`;
+
+// Container auth token for group vault containers (see routes/group-vault-container.js)
+const GROUP_VAULT_AUTH_TOKEN = process.env.GROUP_VAULT_AUTH_TOKEN;
+
+// Session/token revocation reason recorded for IdP-driven deactivation
+const DEPROVISION_REASON = "scim_deprovisioned";
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+function sendScim(res, status, body) {
+  return res.status(status).type(SCIM_CONTENT_TYPE).json(body);
+}
+
+/**
+ * Send SCIM errors as-is and map everything else to a 409 or 500
+ */
+function handleError(res, err, action) {
+  if (err.status) {
+    return sendScim(res, err.status, formatError(err.status, err.message, err.scimType));
+  }
+  // Unique violation (email or externalId already in use)
+  if (err.code === "23505") {
+    return sendScim(res, 409, formatError(409, "Resource already exists", "uniqueness"));
+  }
+  console.error(`SCIM ${action} error:`, err);
+  return sendScim(res, 500, formatError(500, `Failed to ${action}`));
+}
+
+function notFound(res, resourceType) {
+  return sendScim(res, 404, formatError(404, `${resourceType} not found`));
+}
+
+function isUuid(value) {
+  return uuidSchema.safeParse(value).success;
+}
+
+/**
+ * Only enterprise tenants can provision over SCIM
+ */
+async function requireEnterprisePlan(req, res, next) {
+  try {
+    const subscription = await subscriptions.findByTenantId(req.tenant.id);
+    if (!isAtLeastPlan(subscription?.plan, "enterprise")) {
+      return sendScim(res, 403, formatError(403, "SCIM provisioning requires the Enterprise plan"));
+    }
+    next();
+  } catch (err) {
+    handleError(res, err, "check plan");
+  }
+}
+
+/**
+ * Revoke a user's group vault capability tokens in one group
+ * The container is told too so cached tokens stop working immediately.
+ *
+ * @returns {Promise<number>} Number of tokens revoked
+ */
+async function revokeGroupVaultTokens(groupId, userId, revokedBy) {
+  // Record revocations first - this reads the tokens that are still active
+  await groupTokenRevocations.revokeAllForUser(groupId, userId, revokedBy, DEPROVISION_REASON);
+  const tokens = await groupVaultTokens.revokeAllForUser(groupId, userId);
+
+  if (tokens.length > 0) {
+    const vault = await groupVaults.findByGroup(groupId);
+    if (vault && vault.status === "active") {
+      try {
+        await axios.delete(`http://localhost:${vault.container_port}/tokens/user/${userId}`, {
+          headers: { "x-auth-token": GROUP_VAULT_AUTH_TOKEN },
+          timeout: 5000,
+        });
+      } catch {
+        // Ignore container errors - tokens are revoked in DB
+      }
+    }
+  }
+
+  return tokens.length;
+}
+
+/**
+ * Suspend a user and cut off every credential they hold
+ */
+async function deactivateUser(req, user, method) {
+  // The IdP must not lock itself out by deactivating the key's own owner
+  if (user.id === req.user.id) {
+    throw scimError(400, "Cannot deactivate the user that owns this API key", "mutability");
+  }
+
+  await users.updateStatus(user.id, DEACTIVATED_STATUS);
+
+  const revokedSessions = await sessions.revokeAllForUser(user.id, null, DEPROVISION_REASON);
+  const revokedApiKeys = (await apiKeys.revokeAllForUser(user.id, req.user.id)).length;
+  closeUserConnections(user.id);
+
+  let revokedTokens = 0;
+  for (const membership of await groupMemberships.listByUser(user.id)) {
+    revokedTokens += await revokeGroupVaultTokens(membership.group_id, user.id, req.user.id);
+  }
+
+  await audit.log(
+    req.user.id,
+    "user.deactivated",
+    {
+      method,
+      tenantId: req.tenant.id,
+      email: user.email,
+      revokedSessions,
+      revokedApiKeys,
+      revokedTokens,
+    },
+    req.ip,
+    user.id,
+  );
+
+  await logSecurityEvent(
+    SECURITY_EVENT_TYPES.SCIM_USER_DEPROVISIONED,
+    user.id,
+    {
+      tenantId: req.tenant.id,
+      apiKeyId: req.apiKey.id,
+      revokedSessions,
+      revokedApiKeys,
+      revokedTokens,
+    },
+    null,
+    { ipAddress: req.ip, userAgent: req.get("user-agent") },
+  );
+}
+
+/**
+ * Re-derive a user's tenant role from their group names
+ * No-op when the tenant has no role mapping; owners are never changed. The key's
+ * owner must be able to assign both the mapped role and the user's current one.
+ */
+async function syncUserRole(req, userId) {
+  const memberOf = await scimGroups.listForUser(req.tenant.id, userId);
+  const role = getScimRole(
+    req.tenant,
+    memberOf.map((g) => g.name),
+  );
+  if (!role) {
+    return;
+  }
+
+  const user = await scimUsers.findById(req.tenant.id, userId);
+  const currentRole = user?.tenant_role || "member";
+  if (!user || currentRole === role || currentRole === "owner") {
+    return;
+  }
+
+  const customRoles = req.customRoles || {};
+  if (
+    !canAssignRole(req.user, role, customRoles) ||
+    !canAssignRole(req.user, currentRole, customRoles)
+  ) {
+    console.warn(
+      `[scim] Key owner cannot change ${userId} from '${currentRole}' to '${role}' in tenant ${req.tenant.id}`,
+    );
+    await audit.log(
+      req.user.id,
+      "user.role_change_denied",
+      { method: "scim", tenantId: req.tenant.id, from: currentRole, to: role },
+      req.ip,
+      userId,
+    );
+    return;
+  }
+
+  try {
+    await assignUserRole(req.tenant.id, userId, role, req.user.id);
+    await audit.log(
+      req.user.id,
+      "user.role_changed",
+      { method: "scim", tenantId: req.tenant.id, from: currentRole, to: role },
+      req.ip,
+      userId,
+    );
+  } catch (err) {
+    if (err.code !== "INVALID_ROLE") {
+      throw err;
+    }
+    console.warn(`[scim] Role mapping names unknown role '${role}' in tenant ${req.tenant.id}`);
+  }
+}
+
+/**
+ * Apply parsed user changes (PUT or PATCH)
+ * @returns {Promise<object>} Updated user row
+ */
+async function applyUserChanges(req, user, changes) {
+  if (changes.email && changes.email !== user.email) {
+    if (!emailSchema.safeParse(changes.email).success) {
+      throw scimError(400, "userName must be an email address", "invalidValue");
+    }
+    if (await users.findByEmail(changes.email)) {
+      throw scimError(409, "userName is already in use", "uniqueness");
+    }
+  }
+
+  // Status first, so a refused deactivation leaves the profile untouched
+  if (changes.active === false && isUserActive(user)) {
+    await deactivateUser(req, user, "scim");
+  } else if (changes.active === true && !isUserActive(user)) {
+    await users.updateStatus(user.id, "active");
+    await audit.log(
+      req.user.id,
+      "user.reactivated",
+      { method: "scim", tenantId: req.tenant.id },
+      req.ip,
+      user.id,
+    );
+  }
+
+  return scimUsers.update(user.id, {
+    name: changes.name,
+    email: changes.email,
+    externalId: changes.externalId,
+  });
+}
+
+async function formatUserWithGroups(req, user) {
+  const memberOf = await scimGroups.listForUser(req.tenant.id, user.id);
+  return formatUser(user, memberOf, SCIM_BASE_URL);
+}
+
+/**
+ * Add users to a group, revoke removed members' vault tokens, and resync roles
+ */
+async function updateGroupMembers(req, group, { add = [], remove = [] }) {
+  const affected = new Set();
+
+  for (const userId of add) {
+    const user = isUuid(userId) ? await scimUsers.findById(req.tenant.id, userId) : null;
+    if (!user) {
+      throw scimError(400, `User ${userId} not found`, "invalidValue");
+    }
+    if (await scimGroups.addMember(req.tenant.id, group.id, userId)) {
+      affected.add(userId);
+    }
+  }
+
+  for (const userId of remove) {
+    if (!isUuid(userId) || !(await groupMemberships.isMember(userId, group.id))) {
+      continue;
+    }
+    await groupMemberships.remove(userId, group.id);
+    await revokeGroupVaultTokens(group.id, userId, req.user.id);
+    affected.add(userId);
+  }
+
+  for (const userId of affected) {
+    await syncUserRole(req, userId);
+  }
+}
+
+/**
+ * Replace a group's full member list
+ */
+async function replaceGroupMembers(req, group, memberIdList) {
+  const current = (await scimGroups.listMembers(group.id)).map((m) => m.id);
+  const wanted = new Set(memberIdList);
+
+  await updateGroupMembers(req, group, {
+    add: [...wanted].filter((id) => !current.includes(id)),
+    remove: current.filter((id) => !wanted.has(id)),
+  });
+}
+
+async function formatGroupWithMembers(req, group) {
+  const excluded = String(req.query.excludedAttributes || "").toLowerCase();
+  const members = excluded.split(",").includes("members")
+    ? []
+    : await scimGroups.listMembers(group.id);
+  return formatGroup(group, members, SCIM_BASE_URL);
+}
+
+// ============================================================
+// AUTHENTICATION
+// ============================================================
+
+router.use(
+  authenticateApiKeyUser,
+  requireScope("admin"),
+  requirePermission("users.manage"),
+  requireEnterprisePlan,
+);
+
+// ============================================================
+// DISCOVERY
+// ============================================================
+
+/**
+ * GET /scim/v2/ServiceProviderConfig
+ * Supported SCIM features
+ */
+router.get("/ServiceProviderConfig", (req, res) => {
+  sendScim(res, 200, getServiceProviderConfig(SCIM_BASE_URL));
+});
+
+/**
+ * GET /scim/v2/ResourceTypes
+ * Supported resource types (User, Group)
+ */
+router.get("/ResourceTypes", (req, res) => {
+  const types = getResourceTypes(SCIM_BASE_URL);
+  sendScim(res, 200, formatListResponse(types, types.length, 1));
+});
+
+// ============================================================
+// USERS
+// ============================================================
+
+/**
+ * GET /scim/v2/Users
+ * List tenant users (supports filter, startIndex, count)
+ */
+router.get("/Users", async (req, res) => {
+  try {
+    const filter = parseFilter(req.query.filter, USER_FILTER_ATTRIBUTES);
+    const { startIndex, offset, limit } = parsePagination(req.query);
+    const { users: rows, total } = await scimUsers.list(req.tenant.id, { filter, offset, limit });
+
+    const resources = [];
+    for (const user of rows) {
+      resources.push(await formatUserWithGroups(req, user));
+    }
+
+    sendScim(res, 200, formatListResponse(resources, total, startIndex));
+  } catch (err) {
+    handleError(res, err, "list users");
+  }
+});
+
+/**
+ * GET /scim/v2/Users/:id
+ * Get a single user
+ */
+router.get("/Users/:id", async (req, res) => {
+  try {
+    const user = isUuid(req.params.id)
+      ? await scimUsers.findById(req.tenant.id, req.params.id)
+      : null;
+    if (!user) {
+      return notFound(res, "User");
+    }
+
+    sendScim(res, 200, await formatUserWithGroups(req, user));
+  } catch (err) {
+    handleError(res, err, "get user");
+  }
+});
+
+/**
+ * POST /scim/v2/Users
+ * Provision a user. An existing account that belongs to no tenant is adopted.
+ */
+router.post("/Users", async (req, res) => {
+  try {
+    const fields = parseUserResource(req.body);
+    if (!fields.email || !emailSchema.safeParse(fields.email).success) {
+      throw scimError(400, "userName must be an email address", "invalidValue");
+    }
+
+    let user = await users.findByEmail(fields.email);
+    if (user && user.tenant_id) {
+      throw scimError(409, "userName is already in use", "uniqueness");
+    }
+
+    if (!user) {
+      user = await users.create({
+        name: fields.name || fields.email.split("@")[0],
+        email: fields.email,
+        gatewayToken: encryptGatewayToken(generatePermanentToken()),
+      });
+    }
+
+    await tenantMemberships.addMember(req.tenant.id, user.id);
+    user = await scimUsers.update(user.id, { name: fields.name, externalId: fields.externalId });
+
+    await audit.log(
+      req.user.id,
+      "user.created",
+      { method: "scim", tenantId: req.tenant.id, email: fields.email },
+      req.ip,
+      user.id,
+    );
+    await logSecurityEvent(
+      SECURITY_EVENT_TYPES.SCIM_USER_PROVISIONED,
+      user.id,
+      { tenantId: req.tenant.id, apiKeyId: req.apiKey.id },
+      null,
+      { ipAddress: req.ip, userAgent: req.get("user-agent") },
+    );
+
+    if (fields.active === false) {
+      await deactivateUser(req, user, "scim");
+    }
+    await syncUserRole(req, user.id);
+
+    user = await users.findById(user.id);
+    res.location(`${SCIM_BASE_URL}/Users/${user.id}`);
+    sendScim(res, 201, await formatUserWithGroups(req, user));
+  } catch (err) {
+    handleError(res, err, "create user");
+  }
+});
+
+/**
+ * PUT /scim/v2/Users/:id
+ * Replace a user's attributes
+ */
+router.put("/Users/:id", async (req, res) => {
+  try {
+    const user = isUuid(req.params.id)
+      ? await scimUsers.findById(req.tenant.id, req.params.id)
+      : null;
+    if (!user) {
+      return notFound(res, "User");
+    }
+
+    const fields = parseUserResource(req.body);
+    const updated = await applyUserChanges(req, user, {
+      ...fields,
+      externalId: fields.externalId ?? null,
+    });
+
+    sendScim(res, 200, await formatUserWithGroups(req, updated));
+  } catch (err) {
+    handleError(res, err, "update user");
+  }
+});
+
+/**
+ * PATCH /scim/v2/Users/:id
+ * Partially update a user (active=false deactivates)
+ */
+router.patch("/Users/:id", async (req, res) => {
+  try {
+    const user = isUuid(req.params.id)
+      ? await scimUsers.findById(req.tenant.id, req.params.id)
+      : null;
+    if (!user) {
+      return notFound(res, "User");
+    }
+
+    const changes = parseUserPatch(req.body?.Operations);
+    const updated = await applyUserChanges(req, user, changes);
+
+    sendScim(res, 200, await formatUserWithGroups(req, updated));
+  } catch (err) {
+    handleError(res, err, "update user");
+  }
+});
+
+/**
+ * DELETE /scim/v2/Users/:id
+ * Deprovision a user: deactivate, drop tenant group memberships and remove
+ * them from the tenant. The account itself is kept for audit history.
+ */
+router.delete("/Users/:id", async (req, res) => {
+  try {
+    const user = isUuid(req.params.id)
+      ? await scimUsers.findById(req.tenant.id, req.params.id)
+      : null;
+    if (!user) {
+      return notFound(res, "User");
+    }
+
+    if (isUserActive(user)) {
+      await deactivateUser(req, user, "scim_delete");
+    }
+
+    for (const group of await scimGroups.listForUser(req.tenant.id, user.id)) {
+      await groupMemberships.remove(user.id, group.id);
+    }
+    await tenantMemberships.removeMember(req.tenant.id, user.id);
+
+    await audit.log(
+      req.user.id,
+      "user.removed_from_tenant",
+      { method: "scim", tenantId: req.tenant.id, email: user.email },
+      req.ip,
+      user.id,
+    );
+
+    res.status(204).end();
+  } catch (err) {
+    handleError(res, err, "delete user");
+  }
+});
+
+// ============================================================
+// GROUPS
+// ============================================================
+
+/**
+ * GET /scim/v2/Groups
+ * List tenant groups (supports filter, startIndex, count, excludedAttributes=members)
+ */
+router.get("/Groups", async (req, res) => {
+  try {
+    const filter = parseFilter(req.query.filter, GROUP_FILTER_ATTRIBUTES);
+    const { startIndex, offset, limit } = parsePagination(req.query);
+    const { groups: rows, total } = await scimGroups.list(req.tenant.id, {
+      filter,
+      offset,
+      limit,
+    });
+
+    const resources = [];
+    for (const group of rows) {
+      resources.push(await formatGroupWithMembers(req, group));
+    }
+
+    sendScim(res, 200, formatListResponse(resources, total, startIndex));
+  } catch (err) {
+    handleError(res, err, "list groups");
+  }
+});
+
+/**
+ * GET /scim/v2/Groups/:id
+ * Get a single group with its members
+ */
+router.get("/Groups/:id", async (req, res) => {
+  try {
+    const group = isUuid(req.params.id)
+      ? await scimGroups.findById(req.tenant.id, req.params.id)
+      : null;
+    if (!group) {
+      return notFound(res, "Group");
+    }
+
+    sendScim(res, 200, await formatGroupWithMembers(req, group));
+  } catch (err) {
+    handleError(res, err, "get group");
+  }
+});
+
+/**
+ * POST /scim/v2/Groups
+ * Create a tenant group, optionally with members
+ */
+router.post("/Groups", async (req, res) => {
+  try {
+    const fields = parseGroupResource(req.body);
+    if (!fields.name) {
+      throw scimError(400, "displayName is required", "invalidValue");
+    }
+
+    const existing = await scimGroups.list(req.tenant.id, {
+      filter: { attribute: "displayName", value: fields.name },
+      limit: 1,
+    });
+    if (existing.total > 0) {
+      throw scimError(409, "A group with this displayName already exists", "uniqueness");
+    }
+
+    const group = await scimGroups.create(req.tenant.id, {
+      name: fields.name,
+      slug: generateGroupSlug(fields.name),
+      externalId: fields.externalId,
+    });
+
+    await audit.log(
+      req.user.id,
+      "group.created",
+      { method: "scim", tenantId: req.tenant.id, groupId: group.id, name: group.name },
+      req.ip,
+    );
+
+    if (fields.members?.length) {
+      await updateGroupMembers(req, group, { add: fields.members });
+    }
+
+    res.location(`${SCIM_BASE_URL}/Groups/${group.id}`);
+    sendScim(res, 201, await formatGroupWithMembers(req, group));
+  } catch (err) {
+    handleError(res, err, "create group");
+  }
+});
+
+/**
+ * PUT /scim/v2/Groups/:id
+ * Replace a group's name and (when given) its member list
+ */
+router.put("/Groups/:id", async (req, res) => {
+  try {
+    let group = isUuid(req.params.id)
+      ? await scimGroups.findById(req.tenant.id, req.params.id)
+      : null;
+    if (!group) {
+      return notFound(res, "Group");
+    }
+
+    const fields = parseGroupResource(req.body);
+    group = await scimGroups.update(group.id, {
+      name: fields.name,
+      externalId: fields.externalId ?? null,
+    });
+
+    if (fields.members) {
+      await replaceGroupMembers(req, group, fields.members);
+    } else if (fields.name) {
+      // A rename can change which role the group maps to
+      for (const member of await scimGroups.listMembers(group.id)) {
+        await syncUserRole(req, member.id);
+      }
+    }
+
+    sendScim(res, 200, await formatGroupWithMembers(req, group));
+  } catch (err) {
+    handleError(res, err, "update group");
+  }
+});
+
+/**
+ * PATCH /scim/v2/Groups/:id
+ * Rename a group or add/remove members
+ */
+router.patch("/Groups/:id", async (req, res) => {
+  try {
+    let group = isUuid(req.params.id)
+      ? await scimGroups.findById(req.tenant.id, req.params.id)
+      : null;
+    if (!group) {
+      return notFound(res, "Group");
+    }
+
+    const changes = parseGroupPatch(req.body?.Operations);
+
+    if (changes.name !== undefined || changes.externalId !== undefined) {
+      group = await scimGroups.update(group.id, {
+        name: changes.name,
+        externalId: changes.externalId,
+      });
+    }
+
+    if (changes.replaceMembers) {
+      await replaceGroupMembers(req, group, changes.replaceMembers);
+    }
+    await updateGroupMembers(req, group, {
+      add: changes.addMembers,
+      remove: changes.removeMembers,
+    });
+
+    if (changes.name) {
+      for (const member of await scimGroups.listMembers(group.id)) {
+        await syncUserRole(req, member.id);
+      }
+    }
+
+    sendScim(res, 200, await formatGroupWithMembers(req, group));
+  } catch (err) {
+    handleError(res, err, "update group");
+  }
+});
+
+/**
+ * DELETE /scim/v2/Groups/:id
+ * Delete a group; former members lose its vault tokens and have roles resynced
+ */
+router.delete("/Groups/:id", async (req, res) => {
+  try {
+    const group = isUuid(req.params.id)
+      ? await scimGroups.findById(req.tenant.id, req.params.id)
+      : null;
+    if (!group) {
+      return notFound(res, "Group");
+    }
+
+    const members = await scimGroups.listMembers(group.id);
+    for (const member of members) {
+      await revokeGroupVaultTokens(group.id, member.id, req.user.id);
+    }
+
+    await groups.delete(group.id);
+
+    for (const member of members) {
+      await syncUserRole(req, member.id);
+    }
+
+    await audit.log(
+      req.user.id,
+      "group.deleted",
+      { method: "scim", tenantId: req.tenant.id, groupId: group.id, name: group.name },
+      req.ip,
+    );
+
+    res.status(204).end();
+  } catch (err) {
+    handleError(res, err, "delete group");
+  }
+});
+
+export default router;
@@ -13,6 +13,7 @@ import {
 import { logActivity, ACTION_TYPES, isVaultLockedByAnomaly } from "../lib/anomaly-detection.js";
 import { syncCredentialsFromVaultData } from "../lib/context.js";
 import { vaultUnlockLimiter, recoveryLimiter } from "../lib/rate-limit.js";
+import { reissueRecoveryMaterial } from "../lib/recovery-reissue.js";
 import {
   validate,
   validateBody,
@@ -30,6 +31,7 @@ import {
   getVaultSession,
   extendVaultSession,
   deleteVaultSession,
+  deleteUserVaultSessions,
   VAULT_SESSION_TIMEOUT_MS,
   VAULT_SESSION_TIMEOUT_SEC,
 } from "../lib/vault-sessions.js";
@@ -348,24 +350,46 @@ router.post(
   validate({ body: vaultChangePasswordSchema }),
   async (req, res) => {
     try {
-      const { currentPassword, newPassword } = req.validatedBody;
+      const { currentPassword, newPassword, rotateRecovery } = req.validatedBody;
 
       const vault = await users.getVault(req.user.id);
       if (!vault) {
         return res.status(400).json({ error: "No vault found" });
       }
 
-      const { vault: newVault } = await changeVaultPassword(vault, currentPassword, newPassword);
+      // Re-derive the Argon2 key and re-wrap the vault (optionally under a new seed)
+      const {
+        vault: newVault,
+        seed,
+        recoveryPhrase,
+      } = await changeVaultPassword(vault, currentPassword, newPassword, { rotateRecovery });
+
+      // Re-issue recovery material before saving the new-seed vault: if this fails the
+      // old vault, password and recovery phrase stay valid and the change can be retried
+      const recovery = rotateRecovery
+        ? await reissueRecoveryMaterial(req.user.id, seed)
+        : { social: null, hardwareBackupKey: null, cancelledRequestId: null };
+
       await users.setVault(req.user.id, newVault);
 
-      const vaultSessionToken = req.headers["x-vault-session"];
-      if (vaultSessionToken) {
-        await deleteVaultSession(vaultSessionToken);
-      }
+      // Every unlocked session holds a key derived from the old password
+      const revokedSessions = await deleteUserVaultSessions(req.user.id);
+      res.clearCookie("ocmt_vault_session");
 
       await users.setBiometricsEnabled(req.user.id, false);
       await deviceKeys.deleteAllForUser(req.user.id);
-      await audit.log(req.user.id, "vault.password_changed", null, req.ip);
+
+      await audit.log(
+        req.user.id,
+        "vault.password_changed",
+        {
+          revokedSessions,
+          recoveryRotated: rotateRecovery,
+          socialRecoveryReissued: Boolean(recovery.social),
+          hardwareRecoveryReissued: Boolean(recovery.hardwareBackupKey),
+        },
+        req.ip,
+      );
 
       // Log to mesh audit
       await meshAuditLogs.log({
@@ -373,8 +397,20 @@ router.post(
         actorId: req.user.id,
         ipAddress: req.ip,
         success: true,
+        details: { revokedSessions, recoveryRotated: rotateRecovery },
       });
 
+      if (rotateRecovery) {
+        // New recovery material is only ever shown here
+        return res.json({
+          success: true,
+          message: "Password changed. Save your new recovery material now.",
+          recoveryPhrase,
+          socialRecovery: recovery.social,
+          hardwareBackupKey: recovery.hardwareBackupKey,
+        });
+      }
+
       res.json({ success: true, message: "Password changed successfully." });
     } catch (err) {
       if (err.message === "Invalid password") {
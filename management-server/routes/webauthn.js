@@ -0,0 +1,733 @@
+// WebAuthn routes - passkey registration, MFA verification and passwordless login
+import crypto from "crypto";
+import { Router } from "express";
+import { z } from "zod";
+import {
+  audit,
+  meshAuditLogs,
+  MESH_AUDIT_EVENTS,
+  sessions,
+  users,
+  webauthnChallenges,
+  webauthnCredentials,
+} from "../db/index.js";
+import { mfaAttempts, pendingMfaSessions, userMfa } from "../db/mfa.js";
+import { createRateLimiter } from "../lib/rate-limit.js";
+import {
+  getRequestContext,
+  logSecurityEvent,
+  SECURITY_EVENT_TYPES,
+  SEVERITY,
+} from "../lib/security-events.js";
+import {
+  WEBAUTHN_CONFIG,
+  extractChallenge,
+  generateAuthenticationOptions,
+  generateChallenge,
+  generateRegistrationOptions,
+  verifyAuthenticationResponse,
+  verifyRegistrationResponse,
+} from "../lib/webauthn.js";
+import { requireUser, setSessionCookie } from "../middleware/auth.js";
+import { detectTenant } from "../middleware/tenant-context.js";
+
+const router = Router();
+
+// Session lifetime for passkey logins (matches magic link sessions)
+const SESSION_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Maximum passkeys per user
+const MAX_CREDENTIALS_PER_USER = 10;
+
+// Assertion rate limiter - 10 attempts per 15 minutes
+const webauthnVerifyLimiter = createRateLimiter({
+  name: "webauthn-verify",
+  windowMs: 15 * 60 * 1000,
+  maxRequests: 10,
+  message: "Too many passkey verification attempts. Please try again in 15 minutes.",
+  onLimitReached: async (req, key) => {
+    console.warn(`[security] WebAuthn verification rate limit reached for: ${key}`);
+  },
+});
+
+// Registration rate limiter - 10 attempts per hour
+const webauthnSetupLimiter = createRateLimiter({
+  name: "webauthn-setup",
+  windowMs: 60 * 60 * 1000,
+  maxRequests: 10,
+  message: "Too many passkey setup attempts. Please try again later.",
+});
+
+// ============================================================
+// VALIDATION SCHEMAS
+// ============================================================
+
+const base64UrlSchema = z
+  .string()
+  .min(1)
+  .max(16384)
+  .regex(/^[A-Za-z0-9_-]+$/, "Must be base64url");
+
+const registrationCredentialSchema = z.object({
+  id: base64UrlSchema,
+  rawId: base64UrlSchema.optional(),
+  type: z.literal("public-key"),
+  response: z.object({
+    clientDataJSON: base64UrlSchema,
+    attestationObject: base64UrlSchema,
+    transports: z.array(z.string().max(32)).max(10).optional(),
+  }),
+});
+
+const authenticationCredentialSchema = z.object({
+  id: base64UrlSchema,
+  rawId: base64UrlSchema.optional(),
+  type: z.literal("public-key"),
+  response: z.object({
+    clientDataJSON: base64UrlSchema,
+    authenticatorData: base64UrlSchema,
+    signature: base64UrlSchema,
+    userHandle: base64UrlSchema.nullable().optional(),
+  }),
+});
+
+const registerVerifySchema = z.object({
+  credential: registrationCredentialSchema,
+  deviceName: z.string().trim().min(1).max(255).optional(),
+});
+
+const authenticateOptionsSchema = z.object({
+  pendingToken: z.string().min(1).max(256).optional(),
+});
+
+const authenticateVerifySchema = z.object({
+  credential: authenticationCredentialSchema,
+  pendingToken: z.string().min(1).max(256).optional(),
+});
+
+const sessionVerifySchema = z.object({
+  credential: authenticationCredentialSchema,
+});
+
+const renameSchema = z.object({
+  deviceName: z.string().trim().min(1).max(255),
+});
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+/**
+ * Format a credential row for API responses
+ */
+function formatCredential(credential) {
+  return {
+    id: credential.id,
+    deviceName: credential.device_name || "Passkey",
+    transports: credential.transports || [],
+    attestationFormat: credential.attestation_format,
+    attestationVerified: credential.attestation_verified,
+    backupEligible: credential.backup_eligible,
+    backedUp: credential.backed_up,
+    createdAt: credential.created_at,
+    lastUsedAt: credential.last_used_at,
+  };
+}
+
+/**
+ * Issue and persist a challenge for a ceremony
+ */
+async function issueChallenge(userId, ceremony) {
+  const challenge = generateChallenge();
+  await webauthnChallenges.create({
+    userId,
+    challenge,
+    ceremony,
+    expiresAt: new Date(Date.now() + WEBAUTHN_CONFIG.challengeTtlMs),
+  });
+  return challenge;
+}
+
+/**
+ * Create a full session for a user after a successful assertion
+ */
+async function createLoginSession(req, res, userId) {
+  const sessionToken = crypto.randomBytes(32).toString("hex");
+  const sessionExpiresAt = new Date(Date.now() + SESSION_MAX_AGE);
+
+  await sessions.create(userId, sessionToken, sessionExpiresAt, {
+    ipAddress: req.ip,
+    userAgent: req.headers["user-agent"],
+    mfaVerified: true,
+  });
+  setSessionCookie(res, sessionToken, sessionExpiresAt);
+
+  return sessionToken;
+}
+
+// ============================================================
+// CREDENTIAL MANAGEMENT
+// ============================================================
+
+/**
+ * GET /api/webauthn/credentials
+ * List the current user's passkeys
+ */
+router.get("/credentials", requireUser, detectTenant, async (req, res) => {
+  try {
+    const credentials = await webauthnCredentials.listForUser(req.user.id);
+    res.json({ credentials: credentials.map(formatCredential) });
+  } catch (err) {
+    console.error("WebAuthn list error:", err);
+    res.status(500).json({ error: "Failed to list passkeys" });
+  }
+});
+
+/**
+ * PATCH /api/webauthn/credentials/:id
+ * Rename a passkey
+ */
+router.patch("/credentials/:id", requireUser, detectTenant, async (req, res) => {
+  try {
+    const parseResult = renameSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return res.status(400).json({
+        error: "Invalid request body",
+        details: parseResult.error.issues,
+      });
+    }
+    if (!z.string().uuid().safeParse(req.params.id).success) {
+      return res.status(400).json({ error: "Invalid passkey ID" });
+    }
+
+    const credential = await webauthnCredentials.rename(
+      req.params.id,
+      req.user.id,
+      parseResult.data.deviceName,
+    );
+    if (!credential) {
+      return res.status(404).json({ error: "Passkey not found" });
+    }
+
+    res.json({ success: true, credential: formatCredential(credential) });
+  } catch (err) {
+    console.error("WebAuthn rename error:", err);
+    res.status(500).json({ error: "Failed to rename passkey" });
+  }
+});
+
+/**
+ * DELETE /api/webauthn/credentials/:id
+ * Remove a passkey
+ */
+router.delete("/credentials/:id", requireUser, detectTenant, async (req, res) => {
+  try {
+    if (!z.string().uuid().safeParse(req.params.id).success) {
+      return res.status(400).json({ error: "Invalid passkey ID" });
+    }
+
+    // Tenant MFA policy: don't let users remove their last factor
+    if (req.mfaPolicy?.required) {
+      const current = await userMfa.getStatus(req.user.id);
+      if (!current.totpEnabled && current.webauthnCredentialCount <= 1) {
+        return res.status(403).json({
+          error: "Your organization requires MFA. Add another method before removing this one.",
+          code: "MFA_REQUIRED_BY_POLICY",
+        });
+      }
+    }
+
+    const credential = await webauthnCredentials.delete(req.params.id, req.user.id);
+    if (!credential) {
+      return res.status(404).json({ error: "Passkey not found" });
+    }
+
+    await audit.log(
+      req.user.id,
+      "mfa.webauthn_removed",
+      { credentialId: credential.id, deviceName: credential.device_name },
+      req.ip,
+    );
+
+    // Removing the last second factor disables MFA
+    const status = await userMfa.getStatus(req.user.id);
+    if (!status.webauthnEnabled && !status.totpEnabled) {
+      await logSecurityEvent(
+        SECURITY_EVENT_TYPES.MFA_DISABLED,
+        req.user.id,
+        { method: "webauthn" },
+        null,
+        getRequestContext(req),
+      );
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("WebAuthn delete error:", err);
+    res.status(500).json({ error: "Failed to remove passkey" });
+  }
+});
+
+// ============================================================
+// REGISTRATION CEREMONY
+// ============================================================
+
+/**
+ * POST /api/webauthn/register/options
+ * Begin passkey registration - returns PublicKeyCredentialCreationOptions
+ */
+router.post(
+  "/register/options",
+  requireUser,
+  detectTenant,
+  webauthnSetupLimiter,
+  async (req, res) => {
+    try {
+      const existing = await webauthnCredentials.listForUser(req.user.id);
+      if (existing.length >= MAX_CREDENTIALS_PER_USER) {
+        return res.status(409).json({
+          error: `You can register at most ${MAX_CREDENTIALS_PER_USER} passkeys`,
+          code: "WEBAUTHN_LIMIT_REACHED",
+        });
+      }
+
+      const challenge = await issueChallenge(req.user.id, "registration");
+      const options = generateRegistrationOptions({
+        user: req.user,
+        challenge,
+        excludeCredentialIds: existing.map((c) => c.credential_id),
+      });
+
+      res.json({ options });
+    } catch (err) {
+      console.error("WebAuthn register options error:", err);
+      res.status(500).json({ error: "Failed to start passkey registration" });
+    }
+  },
+);
+
+/**
+ * POST /api/webauthn/register/verify
+ * Complete passkey registration - verifies attestation and stores the credential
+ */
+router.post(
+  "/register/verify",
+  requireUser,
+  detectTenant,
+  webauthnSetupLimiter,
+  async (req, res) => {
+    try {
+      const parseResult = registerVerifySchema.safeParse(req.body);
+      if (!parseResult.success) {
+        return res.status(400).json({
+          error: "Invalid request body",
+          details: parseResult.error.issues,
+        });
+      }
+
+      const { credential, deviceName } = parseResult.data;
+
+      const challenge = extractChallenge(credential);
+      const issued = challenge ? await webauthnChallenges.consume(challenge, "registration") : null;
+      if (!issued || issued.user_id !== req.user.id) {
+        return res.status(400).json({
+          error: "Registration challenge expired or invalid",
+          code: "WEBAUTHN_CHALLENGE_INVALID",
+        });
+      }
+
+      let verified;
+      try {
+        verified = verifyRegistrationResponse({
+          response: credential,
+          expectedChallenge: issued.challenge,
+        });
+      } catch (err) {
+        await audit.log(
+          req.user.id,
+          "mfa.webauthn_registration_failed",
+          { reason: err.message },
+          req.ip,
+        );
+        return res.status(400).json({ error: err.message, code: err.code });
+      }
+
+      if (await webauthnCredentials.findByCredentialId(verified.credentialId)) {
+        return res.status(409).json({
+          error: "This passkey is already registered",
+          code: "WEBAUTHN_DUPLICATE",
+        });
+      }
+
+      const hadMfa = (await userMfa.getStatus(req.user.id)).webauthnEnabled;
+      const stored = await webauthnCredentials.create(req.user.id, { ...verified, deviceName });
+
+      // Enrolling the first factor proves it for this session too
+      if (req.mfaPolicy?.enrolled === false && req.sessionId) {
+        await sessions.markMfaVerified(req.sessionId);
+      }
+
+      await audit.log(
+        req.user.id,
+        "mfa.webauthn_registered",
+        {
+          credentialId: stored.id,
+          deviceName: stored.device_name,
+          attestationFormat: verified.attestationFormat,
+          attestationVerified: verified.attestationVerified,
+        },
+        req.ip,
+      );
+      if (!hadMfa) {
+        await logSecurityEvent(
+          SECURITY_EVENT_TYPES.MFA_ENABLED,
+          req.user.id,
+          { method: "webauthn" },
+          null,
+          getRequestContext(req),
+        );
+      }
+
+      res.status(201).json({ success: true, credential: formatCredential(stored) });
+    } catch (err) {
+      console.error("WebAuthn register verify error:", err);
+      res.status(500).json({ error: "Failed to register passkey" });
+    }
+  },
+);
+
+// ============================================================
+// AUTHENTICATION CEREMONY (MFA + PASSWORDLESS)
+// ============================================================
+
+/**
+ * POST /api/webauthn/authenticate/options
+ * Begin an assertion.
+ * - With pendingToken: second factor after magic link (user's passkeys only)
+ * - Without: passwordless sign-in with a discoverable passkey
+ */
+router.post("/authenticate/options", webauthnVerifyLimiter, async (req, res) => {
+  try {
+    const parseResult = authenticateOptionsSchema.safeParse(req.body || {});
+    if (!parseResult.success) {
+      return res.status(400).json({
+        error: "Invalid request body",
+        details: parseResult.error.issues,
+      });
+    }
+
+    const { pendingToken } = parseResult.data;
+
+    if (pendingToken) {
+      const pending = await pendingMfaSessions.findValidByToken(pendingToken);
+      if (!pending) {
+        return res.status(401).json({ error: "Session expired or invalid" });
+      }
+
+      const credentials = await webauthnCredentials.listForUser(pending.user_id);
+      if (credentials.length === 0) {
+        return res.status(400).json({ error: "No passkeys registered", code: "WEBAUTHN_NONE" });
+      }
+
+      const challenge = await issueChallenge(pending.user_id, "authentication");
+      return res.json({
+        options: generateAuthenticationOptions({
+          challenge,
+          allowCredentials: credentials.map((c) => ({
+            credentialId: c.credential_id,
+            transports: c.transports,
+          })),
+        }),
+      });
+    }
+
+    const challenge = await issueChallenge(null, "authentication");
+    res.json({
+      options: generateAuthenticationOptions({ challenge, userVerification: "required" }),
+    });
+  } catch (err) {
+    console.error("WebAuthn authenticate options error:", err);
+    res.status(500).json({ error: "Failed to start passkey sign-in" });
+  }
+});
+
+/**
+ * POST /api/webauthn/authenticate/verify
+ * Verify an assertion and create a session
+ */
+router.post("/authenticate/verify", webauthnVerifyLimiter, async (req, res) => {
+  try {
+    const parseResult = authenticateVerifySchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return res.status(400).json({
+        error: "Invalid request body",
+        details: parseResult.error.issues,
+      });
+    }
+
+    const { credential, pendingToken } = parseResult.data;
+    const { ipAddress, userAgent } = getRequestContext(req);
+
+    let pending = null;
+    if (pendingToken) {
+      pending = await pendingMfaSessions.findValidByToken(pendingToken);
+      if (!pending) {
+        return res.status(401).json({ error: "Session expired or invalid" });
+      }
+    }
+
+    const challenge = extractChallenge(credential);
+    const issued = challenge ? await webauthnChallenges.consume(challenge, "authentication") : null;
+    if (!issued || (issued.user_id || null) !== (pending?.user_id || null)) {
+      return res.status(400).json({
+        error: "Sign-in challenge expired or invalid",
+        code: "WEBAUTHN_CHALLENGE_INVALID",
+      });
+    }
+
+    const stored = await webauthnCredentials.findByCredentialId(credential.id);
+    if (!stored || (pending && stored.user_id !== pending.user_id)) {
+      await meshAuditLogs.log({
+        eventType: MESH_AUDIT_EVENTS.AUTH_FAILED,
+        ipAddress: req.ip,
+        success: false,
+        errorMessage: "Unknown passkey",
+        details: { method: "webauthn" },
+      });
+      return res.status(401).json({ error: "Passkey not recognized" });
+    }
+
+    let result;
+    try {
+      result = verifyAuthenticationResponse({
+        response: credential,
+        expectedChallenge: issued.challenge,
+        credential: {
+          publicKey: stored.public_key,
+          algorithm: stored.algorithm,
+          signCount: stored.sign_count,
+        },
+        // Passwordless sign-in must prove both possession and user verification
+        requireUserVerification: !pending,
+      });
+    } catch (err) {
+      await mfaAttempts.log({
+        userId: stored.user_id,
+        attemptType: pending ? "webauthn_login" : "passkey_login",
+        success: false,
+        ipAddress: req.ip,
+        userAgent: req.headers["user-agent"],
+      });
+      await logSecurityEvent(
+        pending ? SECURITY_EVENT_TYPES.MFA_FAILED : SECURITY_EVENT_TYPES.LOGIN_FAILED,
+        stored.user_id,
+        { method: "webauthn", reason: err.code || err.message },
+        err.code === "WEBAUTHN_CLONED_AUTHENTICATOR" ? SEVERITY.CRITICAL : null,
+        { ipAddress, userAgent },
+      );
+      return res.status(401).json({ error: "Passkey verification failed", code: err.code });
+    }
+
+    const user = await users.findById(stored.user_id);
+    if (!user || user.status === "disabled" || user.status === "suspended") {
+      return res.status(403).json({ error: "Account disabled", code: "ACCOUNT_DISABLED" });
+    }
+
+    await webauthnCredentials.recordUse(stored.id, result.signCount, result.backedUp);
+    await mfaAttempts.log({
+      userId: user.id,
+      attemptType: pending ? "webauthn_login" : "passkey_login",
+      success: true,
+      ipAddress: req.ip,
+      userAgent: req.headers["user-agent"],
+    });
+
+    const sessionToken = await createLoginSession(req, res, user.id);
+
+    if (pending) {
+      await pendingMfaSessions.delete(pending.id);
+    }
+
+    // A user-verified passkey is itself multi-factor
+    if (pending || result.userVerified) {
+      await users.updateMfaLastVerified(user.id);
+    }
+
+    if (pending) {
+      await audit.log(user.id, "mfa.login_verified", { method: "webauthn" }, req.ip);
+      await logSecurityEvent(
+        SECURITY_EVENT_TYPES.MFA_VERIFIED,
+        user.id,
+        { method: "webauthn" },
+        null,
+        { ipAddress, userAgent },
+      );
+    } else {
+      await audit.log(user.id, "user.login", { method: "passkey" }, req.ip);
+      await logSecurityEvent(
+        SECURITY_EVENT_TYPES.LOGIN_SUCCESS,
+        user.id,
+        { method: "passkey" },
+        null,
+        { ipAddress, userAgent },
+      );
+    }
+    await meshAuditLogs.log({
+      eventType: MESH_AUDIT_EVENTS.AUTH_LOGIN,
+      actorId: user.id,
+      ipAddress: req.ip,
+      success: true,
+      details: { method: pending ? "magic_link+webauthn" : "passkey" },
+    });
+
+    res.json({
+      success: true,
+      sessionToken,
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        status: user.status,
+      },
+    });
+  } catch (err) {
+    console.error("WebAuthn authenticate verify error:", err);
+    res.status(500).json({ error: "Failed to verify passkey" });
+  }
+});
+
+// ============================================================
+// SESSION VERIFICATION
+// ============================================================
+
+/**
+ * POST /api/webauthn/session/options
+ * Begin an assertion to complete MFA for the current session
+ * Passkey counterpart of POST /api/mfa/session/verify.
+ */
+router.post(
+  "/session/options",
+  requireUser,
+  detectTenant,
+  webauthnVerifyLimiter,
+  async (req, res) => {
+    try {
+      const credentials = await webauthnCredentials.listForUser(req.user.id);
+      if (credentials.length === 0) {
+        return res.status(400).json({ error: "No passkeys registered", code: "WEBAUTHN_NONE" });
+      }
+
+      const challenge = await issueChallenge(req.user.id, "authentication");
+      res.json({
+        options: generateAuthenticationOptions({
+          challenge,
+          allowCredentials: credentials.map((c) => ({
+            credentialId: c.credential_id,
+            transports: c.transports,
+          })),
+        }),
+      });
+    } catch (err) {
+      console.error("WebAuthn session options error:", err);
+      res.status(500).json({ error: "Failed to start passkey verification" });
+    }
+  },
+);
+
+/**
+ * POST /api/webauthn/session/verify
+ * Verify an assertion and mark the current session as MFA verified
+ */
+router.post(
+  "/session/verify",
+  requireUser,
+  detectTenant,
+  webauthnVerifyLimiter,
+  async (req, res) => {
+    try {
+      const parseResult = sessionVerifySchema.safeParse(req.body);
+      if (!parseResult.success) {
+        return res.status(400).json({
+          error: "Invalid request body",
+          details: parseResult.error.issues,
+        });
+      }
+
+      const { credential } = parseResult.data;
+      const { ipAddress, userAgent } = getRequestContext(req);
+
+      const challenge = extractChallenge(credential);
+      const issued = challenge
+        ? await webauthnChallenges.consume(challenge, "authentication")
+        : null;
+      if (!issued || issued.user_id !== req.user.id) {
+        return res.status(400).json({
+          error: "Verification challenge expired or invalid",
+          code: "WEBAUTHN_CHALLENGE_INVALID",
+        });
+      }
+
+      const stored = await webauthnCredentials.findByCredentialId(credential.id);
+      if (!stored || stored.user_id !== req.user.id) {
+        return res.status(401).json({ error: "Passkey not recognized" });
+      }
+
+      let result;
+      try {
+        result = verifyAuthenticationResponse({
+          response: credential,
+          expectedChallenge: issued.challenge,
+          credential: {
+            publicKey: stored.public_key,
+            algorithm: stored.algorithm,
+            signCount: stored.sign_count,
+          },
+          requireUserVerification: false,
+        });
+      } catch (err) {
+        await mfaAttempts.log({
+          userId: req.user.id,
+          attemptType: "webauthn_session",
+          success: false,
+          ipAddress: req.ip,
+          userAgent: req.headers["user-agent"],
+        });
+        await logSecurityEvent(
+          SECURITY_EVENT_TYPES.MFA_FAILED,
+          req.user.id,
+          { method: "webauthn", reason: err.code || err.message },
+          err.code === "WEBAUTHN_CLONED_AUTHENTICATOR" ? SEVERITY.CRITICAL : null,
+          { ipAddress, userAgent },
+        );
+        return res.status(401).json({ error: "Passkey verification failed", code: err.code });
+      }
+
+      await webauthnCredentials.recordUse(stored.id, result.signCount, result.backedUp);
+      await mfaAttempts.log({
+        userId: req.user.id,
+        attemptType: "webauthn_session",
+        success: true,
+        ipAddress: req.ip,
+        userAgent: req.headers["user-agent"],
+      });
+
+      await sessions.markMfaVerified(req.sessionId);
+      await users.updateMfaLastVerified(req.user.id);
+      await audit.log(req.user.id, "mfa.session_verified", { method: "webauthn" }, req.ip);
+      await logSecurityEvent(
+        SECURITY_EVENT_TYPES.MFA_VERIFIED,
+        req.user.id,
+        { method: "webauthn" },
+        null,
+        { ipAddress, userAgent },
+      );
+
+      res.json({ success: true });
+    } catch (err) {
+      console.error("WebAuthn session verify error:", err);
+      res.status(500).json({ error: "Failed to verify passkey" });
+    }
+  },
+);
+
+export default router;
@@ -5,8 +5,10 @@ import express from "express";
 import { createServer } from "http";
 import { Resend } from "resend";
 // Error handling and security
+import { startBreakGlassExpiry } from "./lib/break-glass.js";
 import { AppError, serializeError } from "./lib/errors.js";
 import { generalApiLimiter } from "./lib/rate-limit.js";
+import { startRecoveryDrillReminders } from "./lib/recovery-drill.js";
 import { getRelayStatus } from "./lib/relay.js";
 import { setupWebSocketProxy } from "./lib/ws-proxy.js";
 // Security middleware
@@ -22,10 +24,12 @@ import adminUserAllowlistRouter from "./routes/admin-user-allowlist.js";
 // Route imports
 import adminRouter from "./routes/admin.js";
 import agentRouter from "./routes/agent.js";
+import apiKeysRouter from "./routes/api-keys.js";
 import approvalsRouter from "./routes/approvals.js";
 import auditExportRouter from "./routes/audit-export.js";
 import auditRouter from "./routes/audit.js";
 import authOAuthRouter from "./routes/auth-oauth.js";
+import authOidcRouter from "./routes/auth-oidc.js";
 import authSamlRouter from "./routes/auth-saml.js";
 import authRouter, { setResend } from "./routes/auth.js";
 // Billing routes (subscription management, Stripe integration)
@@ -35,6 +39,7 @@ import channelsRouter from "./routes/channels.js";
 import chatRouter from "./routes/chat.js";
 import containerRouter from "./routes/container.js";
 import groupInvitesRouter from "./routes/group-invites.js";
+import groupVaultBreakGlassRouter from "./routes/group-vault-break-glass.js";
 import groupVaultContainerRouter from "./routes/group-vault-container.js";
 // Group vault routes (threshold unlock, container management)
 import groupVaultRouter from "./routes/group-vault.js";
@@ -53,6 +58,7 @@ import rbacRouter from "./routes/rbac.js";
 import recoveryRouter from "./routes/recovery.js";
 import relayRouter from "./routes/relay.js";
 import resourceSharesRouter from "./routes/resource-shares.js";
+import scimRouter from "./routes/scim.js";
 import securityEventsRouter from "./routes/security-events.js";
 import sessionsRouter from "./routes/sessions.js";
 import settingsRouter from "./routes/settings.js";
@@ -66,6 +72,7 @@ import tenantBrandingRouter from "./routes/tenant-branding.js";
 import unlockRouter from "./routes/unlock.js";
 import userGroupsRouter from "./routes/user-groups.js";
 import vaultRouter from "./routes/vault.js";
+import webauthnRouter from "./routes/webauthn.js";
 
 dotenv.config();
 
@@ -158,6 +165,10 @@ app.use("/api/mcp", express.raw({ type: "application/json", limit: "10mb" }), (r
   next();
 });
 
+// For group vault bulk import: exports can be far larger than the default limit
+// Must come before general body parsers
+app.use("/api/groups/:groupId/vault-container/import", express.json({ limit: "5mb" }));
+
 // General body parsers with size limits
 app.use(express.json(bodyLimits.json));
 app.use(express.urlencoded(bodyLimits.urlencoded));
@@ -199,6 +210,18 @@ app.get("/health", (req, res) => {
 // Unlock page handler (from agent-generated magic links)
 app.use("/unlock", unlockRouter);
 
+// ============================================================
+// SCIM PROVISIONING (Identity provider user/group sync)
+// ============================================================
+
+// Bearer API key auth, so it lives outside /api and its CSRF protection
+app.use(
+  "/scim/v2",
+  generalApiLimiter,
+  express.json({ ...bodyLimits.json, type: "application/scim+json" }),
+  scimRouter,
+);
+
 // ============================================================
 // API ROUTES
 // ============================================================
@@ -220,6 +243,7 @@ app.use("/api", csrfProtection);
 app.use("/api/auth", authRouter);
 app.use("/api/auth", authOAuthRouter);
 app.use("/api/auth/saml", authSamlRouter);
+app.use("/api/auth/oidc", authOidcRouter);
 
 // Session management (list, revoke, sign out everywhere)
 app.use("/api/auth/sessions", sessionsRouter);
@@ -227,6 +251,9 @@ app.use("/api/auth/sessions", sessionsRouter);
 // MFA routes (TOTP setup, verification, backup codes)
 app.use("/api/mfa", mfaRouter);
 
+// WebAuthn passkeys (registration, MFA verification, passwordless login)
+app.use("/api/webauthn", webauthnRouter);
+
 // Vault management
 app.use("/api/vault", vaultRouter);
 app.use("/api/vault/biometrics", biometricsRouter);
@@ -269,6 +296,9 @@ app.use("/api/groups", groupVaultRouter);
 // Group vault container management
 app.use("/api/groups", groupVaultContainerRouter);
 
+// Group vault break-glass emergency access (M-of-N approval, time-boxed)
+app.use("/api/groups", groupVaultBreakGlassRouter);
+
 // User's groups and resources (must be before group-invites /:id route)
 app.use("/api", userGroupsRouter);
 
@@ -341,6 +371,13 @@ app.use("/api/admin", platformAdminRouter);
 // Tenant branding management and public branding endpoint
 app.use("/api", tenantBrandingRouter);
 
+// ============================================================
+// API KEYS (Tenant programmatic access)
+// ============================================================
+
+// API key management (create, list, label, rotate, revoke)
+app.use("/api/api-keys", apiKeysRouter);
+
 // ============================================================
 // RBAC API (Role-Based Access Control)
 // ============================================================
@@ -446,4 +483,6 @@ setupWebSocketProxy(server);
 // Use server.listen instead of app.listen for WebSocket support
 server.listen(PORT, "0.0.0.0", () => {
   console.log(`OCMT Management Server running on http://0.0.0.0:${PORT}`);
+  startRecoveryDrillReminders();
+  startBreakGlassExpiry();
 });
@@ -13,6 +13,12 @@ const pool = new Pool({
 // (shared database connection allows us to log to the same audit table)
 export { meshAuditLogs, MESH_AUDIT_EVENTS } from "../../management-server/db/index.js";
 
+// Group memberships are owned by the management server; group channels copy them
+export { groupMemberships } from "../../management-server/db/index.js";
+
+// Key revocations are stored with capability revocations
+export { capabilityRevocations } from "../../management-server/db/index.js";
+
 // Rate limit configuration
 const RATE_LIMIT_MESSAGES = parseInt(process.env.RATE_LIMIT_MESSAGES_PER_HOUR || "100", 10);
 const RATE_LIMIT_WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS || "3600000", 10); // 1 hour
@@ -28,31 +34,48 @@ export async function query(text, params) {
   return res;
 }
 
+// Default time a message waits for delivery before it expires
+export const DEFAULT_MESSAGE_TTL_SECONDS = parseInt(
+  process.env.RELAY_MESSAGE_TTL_SECONDS || "86400",
+  10,
+);
+
 // Relay message operations
+// status: pending (queued) -> delivered (handed to the container) -> acked,
+// or expired / dead_lettered once expires_at passes
 export const messages = {
   /**
    * Store a new encrypted message for delivery
    * NOTE: The relay NEVER decrypts payloads - zero-knowledge relay
    */
-  async create({ fromContainerId, toContainerId, payloadEncrypted }) {
+  async create({
+    fromContainerId,
+    toContainerId,
+    payloadEncrypted,
+    ttlSeconds = DEFAULT_MESSAGE_TTL_SECONDS,
+    broadcastId = null,
+  }) {
     const payloadSize = Buffer.byteLength(payloadEncrypted, "utf8");
     const res = await query(
-      `INSERT INTO relay_messages (from_container_id, to_container_id, payload_encrypted, payload_size)
-       VALUES ($1, $2, $3, $4)
+      `INSERT INTO relay_messages
+         (from_container_id, to_container_id, payload_encrypted, payload_size, expires_at, broadcast_id)
+       VALUES ($1, $2, $3, $4, NOW() + ($5 * INTERVAL '1 second'), $6)
        RETURNING *`,
-      [fromContainerId, toContainerId, payloadEncrypted, payloadSize],
+      [fromContainerId, toContainerId, payloadEncrypted, payloadSize, ttlSeconds, broadcastId],
     );
     return res.rows[0];
   },
 
   /**
-   * Get pending messages for a container
+   * Get unacknowledged, unexpired messages for a container
+   * Messages already handed over but not acked are returned again (at-least-once).
    */
   async getPending(containerId, limit = 50) {
     const res = await query(
-      `SELECT id, from_container_id, payload_encrypted, payload_size, created_at
+      `SELECT id, from_container_id, payload_encrypted, payload_size, created_at, expires_at
        FROM relay_messages
-       WHERE to_container_id = $1 AND status = 'pending'
+       WHERE to_container_id = $1 AND status IN ('pending', 'delivered')
+         AND (expires_at IS NULL OR expires_at > NOW())
        ORDER BY created_at ASC
        LIMIT $2`,
       [containerId, limit],
@@ -61,36 +84,70 @@ export const messages = {
   },
 
   /**
-   * Mark a message as delivered
+   * Mark messages as handed to the recipient (WebSocket send), awaiting ack
    */
-  async markDelivered(messageId) {
+  async markManyDelivered(messageIds) {
+    if (!messageIds || messageIds.length === 0) {
+      return [];
+    }
     const res = await query(
       `UPDATE relay_messages
-       SET status = 'delivered', delivered_at = NOW()
-       WHERE id = $1
-       RETURNING *`,
-      [messageId],
+       SET status = 'delivered', delivered_at = NOW(), delivery_attempts = delivery_attempts + 1
+       WHERE id = ANY($1) AND status = 'pending'
+       RETURNING id, from_container_id, to_container_id`,
+      [messageIds],
     );
-    return res.rows[0];
+    return res.rows;
   },
 
   /**
-   * Mark multiple messages as delivered (batch)
+   * Mark messages as acknowledged by their recipient
+   * Only the recipient can ack, and only messages not yet acked, expired or dead-lettered.
    */
-  async markManyDelivered(messageIds) {
+  async markManyAcked(messageIds, containerId) {
     if (!messageIds || messageIds.length === 0) {
       return [];
     }
     const res = await query(
       `UPDATE relay_messages
-       SET status = 'delivered', delivered_at = NOW()
-       WHERE id = ANY($1)
-       RETURNING id`,
-      [messageIds],
+       SET status = 'acked', acked_at = NOW(), delivered_at = COALESCE(delivered_at, NOW())
+       WHERE id = ANY($1) AND to_container_id = $2 AND status IN ('pending', 'delivered')
+       RETURNING id, from_container_id, to_container_id`,
+      [messageIds, containerId],
     );
     return res.rows;
   },
 
+  /**
+   * Record a failed delivery attempt (e.g. callback retries exhausted)
+   * The message stays queued; the error decides expired vs dead-lettered at TTL.
+   */
+  async recordFailedAttempt(messageId, error) {
+    const res = await query(
+      `UPDATE relay_messages
+       SET delivery_attempts = delivery_attempts + 1, last_error = $2
+       WHERE id = $1
+       RETURNING *`,
+      [messageId, error],
+    );
+    return res.rows[0];
+  },
+
+  /**
+   * Put a dead-lettered message back in the queue with a fresh TTL
+   */
+  async requeue(messageId, ttlSeconds = DEFAULT_MESSAGE_TTL_SECONDS) {
+    const res = await query(
+      `UPDATE relay_messages
+       SET status = 'pending', expires_at = NOW() + ($2 * INTERVAL '1 second'),
+           expired_at = NULL, delivered_at = NULL, last_error = NULL
+       WHERE id = $1 AND status = 'dead_lettered'
+       RETURNING *`,
+      [messageId, ttlSeconds],
+    );
+    return res.rows[0];
+  },
+
   /**
    * Get message by ID
    */
@@ -100,35 +157,460 @@ export const messages = {
   },
 
   /**
-   * Expire old undelivered messages (cleanup job)
+   * List messages a container sent, newest first (no payloads)
    */
-  async expireOldMessages(maxAgeHours = 24) {
-    if (typeof maxAgeHours !== "number" || !Number.isFinite(maxAgeHours) || maxAgeHours < 0) {
-      throw new Error("maxAgeHours must be a non-negative number");
-    }
+  async listSent(fromContainerId, { status, limit = 50 } = {}) {
+    const res = await query(
+      `SELECT id, to_container_id, payload_size, status, created_at, delivered_at, acked_at,
+              expires_at, expired_at, delivery_attempts, last_error
+       FROM relay_messages
+       WHERE from_container_id = $1 AND ($2::text IS NULL OR status = $2)
+       ORDER BY created_at DESC
+       LIMIT $3`,
+      [fromContainerId, status || null, limit],
+    );
+    return res.rows;
+  },
+
+  /**
+   * Per-recipient delivery state of a broadcast (no payloads)
+   */
+  async listByBroadcast(broadcastId) {
+    const res = await query(
+      `SELECT id, to_container_id, payload_size, status, created_at, delivered_at, acked_at,
+              expires_at, expired_at, delivery_attempts, last_error
+       FROM relay_messages
+       WHERE broadcast_id = $1
+       ORDER BY created_at ASC`,
+      [broadcastId],
+    );
+    return res.rows;
+  },
+
+  /**
+   * Close out messages whose TTL has passed (cleanup job)
+   * Messages with a recorded delivery error are dead-lettered, the rest expire.
+   */
+  async expireDue() {
     const res = await query(
       `UPDATE relay_messages
-       SET status = 'expired', expired_at = NOW()
-       WHERE status = 'pending'
-         AND created_at < NOW() - ($1 * INTERVAL '1 hour')
-       RETURNING id`,
-      [maxAgeHours],
+       SET status = CASE WHEN last_error IS NULL THEN 'expired' ELSE 'dead_lettered' END,
+           expired_at = NOW()
+       WHERE status IN ('pending', 'delivered')
+         AND COALESCE(expires_at, created_at + INTERVAL '24 hours') < NOW()
+       RETURNING id, from_container_id, to_container_id, status, last_error, delivery_attempts`,
     );
     return res.rows;
   },
 
   /**
-   * Count pending messages for a container
+   * Count unacknowledged messages for a container
    */
   async countPending(containerId) {
     const res = await query(
-      `SELECT COUNT(*) FROM relay_messages WHERE to_container_id = $1 AND status = 'pending'`,
+      `SELECT COUNT(*) FROM relay_messages
+       WHERE to_container_id = $1 AND status IN ('pending', 'delivered')
+         AND (expires_at IS NULL OR expires_at > NOW())`,
       [containerId],
     );
     return parseInt(res.rows[0].count, 10);
   },
 };
 
+// Dead-letter operations - undeliverable messages kept for inspection and replay
+export const deadLetters = {
+  /**
+   * Record a dead-lettered message (re-recording after a failed replay resets it)
+   */
+  async add({ messageId, fromContainerId, toContainerId, reason, deliveryAttempts = 0 }) {
+    const res = await query(
+      `INSERT INTO relay_dead_letters (message_id, from_container_id, to_container_id, reason, delivery_attempts)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (message_id) DO UPDATE
+         SET reason = $4, delivery_attempts = $5, dead_lettered_at = NOW(), replayed_at = NULL
+       RETURNING *`,
+      [messageId, fromContainerId, toContainerId, reason, deliveryAttempts],
+    );
+    return res.rows[0];
+  },
+
+  /**
+   * List a sender's dead letters, newest first
+   * Replayed entries are left out unless includeReplayed is set.
+   */
+  async listBySender(fromContainerId, { limit = 50, includeReplayed = false } = {}) {
+    const res = await query(
+      `SELECT d.*, m.payload_size, m.created_at
+       FROM relay_dead_letters d
+       JOIN relay_messages m ON m.id = d.message_id
+       WHERE d.from_container_id = $1 AND ($2 OR d.replayed_at IS NULL)
+       ORDER BY d.dead_lettered_at DESC
+       LIMIT $3`,
+      [fromContainerId, includeReplayed, limit],
+    );
+    return res.rows;
+  },
+
+  /**
+   * Get a dead letter by message ID
+   */
+  async findByMessageId(messageId) {
+    const res = await query(
+      `SELECT d.*, m.payload_size, m.created_at, m.status
+       FROM relay_dead_letters d
+       JOIN relay_messages m ON m.id = d.message_id
+       WHERE d.message_id = $1`,
+      [messageId],
+    );
+    return res.rows[0];
+  },
+
+  /**
+   * Mark a dead letter as replayed
+   */
+  async markReplayed(messageId) {
+    const res = await query(
+      `UPDATE relay_dead_letters
+       SET replayed_at = NOW(), replay_count = replay_count + 1
+       WHERE message_id = $1
+       RETURNING *`,
+      [messageId],
+    );
+    return res.rows[0];
+  },
+};
+
+// Chunked transfer operations
+// Chunks are encrypted by the sender; the relay only checks their SHA-256
+export const transfers = {
+  /**
+   * Start a transfer from its manifest
+   */
+  async create({
+    fromContainerId,
+    toContainerId,
+    capabilityId,
+    totalSize,
+    chunkSize,
+    chunkHashes,
+    contentHash,
+    metadataEncrypted,
+    ttlSeconds,
+  }) {
+    const res = await query(
+      `INSERT INTO relay_transfers
+         (from_container_id, to_container_id, capability_id, total_size, chunk_size,
+          chunk_hashes, content_hash, metadata_encrypted, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW() + ($9 * INTERVAL '1 second'))
+       RETURNING *`,
+      [
+        fromContainerId,
+        toContainerId,
+        capabilityId,
+        totalSize,
+        chunkSize,
+        chunkHashes,
+        contentHash,
+        metadataEncrypted || null,
+        ttlSeconds,
+      ],
+    );
+    return res.rows[0];
+  },
+
+  /**
+   * Get a transfer by ID
+   */
+  async findById(id) {
+    const res = await query("SELECT * FROM relay_transfers WHERE id = $1", [id]);
+    return res.rows[0];
+  },
+
+  /**
+   * Attach the notification message sent to the recipient
+   */
+  async setMessageId(id, messageId) {
+    await query("UPDATE relay_transfers SET message_id = $2 WHERE id = $1", [id, messageId]);
+  },
+
+  /**
+   * Count a sender's transfers that still hold chunks
+   */
+  async countActiveBySender(fromContainerId) {
+    const res = await query(
+      `SELECT COUNT(*) FROM relay_transfers
+       WHERE from_container_id = $1 AND status IN ('uploading', 'complete') AND expires_at > NOW()`,
+      [fromContainerId],
+    );
+    return parseInt(res.rows[0].count, 10);
+  },
+
+  /**
+   * Store a chunk (no-op if this hash is already stored for the transfer)
+   * @returns {Promise<boolean>} True if newly stored
+   */
+  async storeChunk(transferId, hash, data) {
+    const res = await query(
+      `INSERT INTO relay_transfer_chunks (transfer_id, hash, size, data)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (transfer_id, hash) DO NOTHING
+       RETURNING hash`,
+      [transferId, hash, data.length, data],
+    );
+    return res.rowCount > 0;
+  },
+
+  /**
+   * Get a stored chunk
+   */
+  async getChunk(transferId, hash) {
+    const res = await query(
+      "SELECT hash, size, data FROM relay_transfer_chunks WHERE transfer_id = $1 AND hash = $2",
+      [transferId, hash],
+    );
+    return res.rows[0];
+  },
+
+  /**
+   * List the chunk hashes stored so far
+   */
+  async listStoredHashes(transferId) {
+    const res = await query("SELECT hash FROM relay_transfer_chunks WHERE transfer_id = $1", [
+      transferId,
+    ]);
+    return res.rows.map((row) => row.hash);
+  },
+
+  /**
+   * Move a transfer between statuses
+   * Leaving 'uploading'/'complete' for a final status drops the stored chunks.
+   * @returns {Promise<Object|undefined>} Updated transfer, or undefined if not in a fromStatus
+   */
+  async transition(id, fromStatuses, toStatus) {
+    const res = await query(
+      `UPDATE relay_transfers
+       SET status = $3, completed_at = CASE WHEN $3 = 'complete' THEN NOW() ELSE completed_at END
+       WHERE id = $1 AND status = ANY($2)
+       RETURNING *`,
+      [id, fromStatuses, toStatus],
+    );
+    const transfer = res.rows[0];
+    if (transfer && !["uploading", "complete"].includes(toStatus)) {
+      await query("DELETE FROM relay_transfer_chunks WHERE transfer_id = $1", [id]);
+    }
+    return transfer;
+  },
+
+  /**
+   * Expire transfers past their TTL and drop their chunks (cleanup job)
+   */
+  async expireDue() {
+    const res = await query(
+      `UPDATE relay_transfers
+       SET status = 'expired'
+       WHERE status IN ('uploading', 'complete') AND expires_at < NOW()
+       RETURNING id, from_container_id, to_container_id`,
+    );
+    if (res.rows.length > 0) {
+      await query("DELETE FROM relay_transfer_chunks WHERE transfer_id = ANY($1)", [
+        res.rows.map((row) => row.id),
+      ]);
+    }
+    return res.rows;
+  },
+};
+
+// Container key history - rotated keys stay resolvable for lookups
+export const containerKeys = {
+  /**
+   * Record a newly registered key as the container's active key
+   */
+  async record({
+    containerId,
+    publicKey,
+    publicKeyHash,
+    previousPublicKeyHash = null,
+    handoverStatement = null,
+    handoverSignature = null,
+  }) {
+    const res = await query(
+      `INSERT INTO relay_container_keys
+         (container_id, public_key, public_key_hash, previous_public_key_hash,
+          handover_statement, handover_signature)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [
+        containerId,
+        publicKey,
+        publicKeyHash,
+        previousPublicKeyHash,
+        handoverStatement,
+        handoverSignature,
+      ],
+    );
+    return res.rows[0];
+  },
+
+  /**
+   * Retire a container's active key; it stays valid for overlapSeconds (0 ends it now)
+   */
+  async retire(containerId, publicKeyHash, overlapSeconds) {
+    const res = await query(
+      `UPDATE relay_container_keys
+       SET status = 'rotated', rotated_at = NOW(), valid_until = NOW() + ($3 * INTERVAL '1 second')
+       WHERE container_id = $1 AND public_key_hash = $2 AND status = 'active'
+       RETURNING *`,
+      [containerId, publicKeyHash, overlapSeconds],
+    );
+    return res.rows[0];
+  },
+
+  /**
+   * Find a key (current or past) by its hash
+   */
+  async findByHash(publicKeyHash) {
+    const res = await query("SELECT * FROM relay_container_keys WHERE public_key_hash = $1", [
+      publicKeyHash,
+    ]);
+    return res.rows[0];
+  },
+
+  /**
+   * A container's key history, newest first
+   */
+  async listByContainer(containerId) {
+    const res = await query(
+      `SELECT * FROM relay_container_keys
+       WHERE container_id = $1
+       ORDER BY created_at DESC`,
+      [containerId],
+    );
+    return res.rows;
+  },
+
+  /**
+   * Drop a container's key history (unregister)
+   */
+  async deleteByContainer(containerId) {
+    await query("DELETE FROM relay_container_keys WHERE container_id = $1", [containerId]);
+  },
+};
+
+// Group channel operations
+// Members are containers (one per user) copied from group_memberships
+export const groupChannels = {
+  /**
+   * Replace a channel's members with the current group memberships
+   * @param {string} groupId - OCMT group ID
+   * @param {Array<{ containerId: string, role: string }>} members
+   * @returns {Promise<{ added: string[], removed: string[] }>} Containers that joined or left
+   */
+  async sync(groupId, members) {
+    const containerIds = members.map((member) => member.containerId);
+    const roles = members.map((member) => member.role);
+
+    await query(
+      `INSERT INTO relay_group_channels (group_id, member_count, synced_at)
+       VALUES ($1, $2, NOW())
+       ON CONFLICT (group_id) DO UPDATE SET member_count = $2, synced_at = NOW()`,
+      [groupId, members.length],
+    );
+
+    const removed = await query(
+      `DELETE FROM relay_group_channel_members
+       WHERE group_id = $1 AND NOT (container_id = ANY($2::uuid[]))
+       RETURNING container_id`,
+      [groupId, containerIds],
+    );
+
+    // xmax = 0 only for freshly inserted rows
+    const upserted = await query(
+      `INSERT INTO relay_group_channel_members (group_id, container_id, role)
+       SELECT $1, unnest($2::uuid[]), unnest($3::text[])
+       ON CONFLICT (group_id, container_id) DO UPDATE SET role = EXCLUDED.role
+       RETURNING container_id, (xmax = 0) AS inserted`,
+      [groupId, containerIds, roles],
+    );
+
+    return {
+      added: upserted.rows.filter((row) => row.inserted).map((row) => row.container_id),
+      removed: removed.rows.map((row) => row.container_id),
+    };
+  },
+
+  /**
+   * Get a channel by group ID
+   */
+  async findByGroupId(groupId) {
+    const res = await query("SELECT * FROM relay_group_channels WHERE group_id = $1", [groupId]);
+    return res.rows[0];
+  },
+
+  /**
+   * List a channel's members with their registered keys (null if not registered)
+   * public_keys also holds rotated keys still inside their overlap window.
+   */
+  async listMembers(groupId) {
+    const res = await query(
+      `SELECT m.container_id, m.role, m.joined_at, r.public_key, r.encryption_public_key,
+         ARRAY(
+           SELECT k.public_key FROM relay_container_keys k
+           WHERE k.container_id = m.container_id
+             AND (k.status = 'active' OR k.valid_until > NOW())
+         ) AS public_keys
+       FROM relay_group_channel_members m
+       LEFT JOIN relay_container_registry r ON r.container_id = m.container_id
+       WHERE m.group_id = $1
+       ORDER BY m.joined_at ASC`,
+      [groupId],
+    );
+    return res.rows;
+  },
+};
+
+// Broadcast operations - one row per group broadcast, fanned out as relay messages
+export const broadcasts = {
+  /**
+   * Record a broadcast before its per-recipient messages are stored
+   */
+  async create({ groupId, fromContainerId, capabilityId, recipientCount, ttlSeconds }) {
+    const res = await query(
+      `INSERT INTO relay_broadcasts (group_id, from_container_id, capability_id, recipient_count, expires_at)
+       VALUES ($1, $2, $3, $4, NOW() + ($5 * INTERVAL '1 second'))
+       RETURNING *`,
+      [groupId, fromContainerId, capabilityId, recipientCount, ttlSeconds],
+    );
+    return res.rows[0];
+  },
+
+  /**
+   * Get a broadcast by ID
+   */
+  async findById(id) {
+    const res = await query("SELECT * FROM relay_broadcasts WHERE id = $1", [id]);
+    return res.rows[0];
+  },
+
+  /**
+   * List a sender's broadcasts to a group, newest first, with delivery counts
+   */
+  async listBySender(groupId, fromContainerId, limit = 50) {
+    const res = await query(
+      `SELECT b.*,
+         COUNT(m.id) FILTER (WHERE m.status = 'delivered') AS delivered_count,
+         COUNT(m.id) FILTER (WHERE m.status = 'acked') AS acked_count
+       FROM relay_broadcasts b
+       LEFT JOIN relay_messages m ON m.broadcast_id = b.id
+       WHERE b.group_id = $1 AND b.from_container_id = $2
+       GROUP BY b.id
+       ORDER BY b.created_at DESC
+       LIMIT $3`,
+      [groupId, fromContainerId, limit],
+    );
+    return res.rows;
+  },
+};
+
 // Rate limiting operations
 export const rateLimits = {
   /**
@@ -282,11 +764,12 @@ export const cachedSnapshots = {
     tag,
     signature,
     expiresAt,
+    maxCalls,
   }) {
     const res = await query(
       `INSERT INTO relay_cached_snapshots
-       (capability_id, recipient_public_key, issuer_public_key, encrypted_data, ephemeral_public_key, nonce, tag, signature, expires_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       (capability_id, recipient_public_key, issuer_public_key, encrypted_data, ephemeral_public_key, nonce, tag, signature, expires_at, max_calls)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
        ON CONFLICT (capability_id)
        DO UPDATE SET
          encrypted_data = $4,
@@ -295,7 +778,8 @@ export const cachedSnapshots = {
          tag = $7,
          signature = $8,
          created_at = NOW(),
-         expires_at = $9
+         expires_at = $9,
+         max_calls = $10
        RETURNING *`,
       [
         capabilityId,
@@ -307,6 +791,7 @@ export const cachedSnapshots = {
         tag,
         signature,
         expiresAt,
+        maxCalls || null,
       ],
     );
     return res.rows[0];
@@ -73,6 +73,9 @@ const migrations = [
   `CREATE INDEX IF NOT EXISTS idx_snapshots_expires ON relay_cached_snapshots(expires_at)`,
   `CREATE INDEX IF NOT EXISTS idx_snapshots_recipient_active ON relay_cached_snapshots(recipient_public_key, expires_at) WHERE expires_at > NOW()`,
 
+  // Call budget of the capability a snapshot belongs to (NULL for unlimited)
+  `ALTER TABLE relay_cached_snapshots ADD COLUMN IF NOT EXISTS max_calls INTEGER`,
+
   // Container registry - callback URLs and public keys for message forwarding
   `CREATE TABLE IF NOT EXISTS relay_container_registry (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -89,6 +92,115 @@ const migrations = [
   `CREATE INDEX IF NOT EXISTS idx_registry_container ON relay_container_registry(container_id)`,
   `CREATE INDEX IF NOT EXISTS idx_registry_pubkey_hash ON relay_container_registry(public_key_hash)`,
   `CREATE INDEX IF NOT EXISTS idx_registry_updated ON relay_container_registry(updated_at)`,
+
+  // Delivery tracking: per-message TTL, ack time and failed delivery attempts
+  // status: pending (queued) -> delivered (handed to the container) -> acked,
+  // or expired / dead_lettered when the TTL runs out
+  `ALTER TABLE relay_messages ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP`,
+  `ALTER TABLE relay_messages ADD COLUMN IF NOT EXISTS acked_at TIMESTAMP`,
+  `ALTER TABLE relay_messages ADD COLUMN IF NOT EXISTS delivery_attempts INTEGER DEFAULT 0`,
+  `ALTER TABLE relay_messages ADD COLUMN IF NOT EXISTS last_error TEXT`,
+  `UPDATE relay_messages SET expires_at = created_at + INTERVAL '24 hours' WHERE expires_at IS NULL`,
+  `CREATE INDEX IF NOT EXISTS idx_relay_messages_expires ON relay_messages(expires_at) WHERE status IN ('pending', 'delivered')`,
+  `CREATE INDEX IF NOT EXISTS idx_relay_messages_from ON relay_messages(from_container_id, created_at)`,
+
+  // Dead letters - messages that could not be delivered, kept for inspection and replay
+  // The payload stays in relay_messages (still encrypted)
+  `CREATE TABLE IF NOT EXISTS relay_dead_letters (
+    message_id UUID PRIMARY KEY REFERENCES relay_messages(id) ON DELETE CASCADE,
+    from_container_id UUID NOT NULL,
+    to_container_id UUID NOT NULL,
+    reason TEXT NOT NULL,
+    delivery_attempts INTEGER DEFAULT 0,
+    dead_lettered_at TIMESTAMP DEFAULT NOW(),
+    replayed_at TIMESTAMP,
+    replay_count INTEGER DEFAULT 0
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_dead_letters_from ON relay_dead_letters(from_container_id, dead_lettered_at)`,
+
+  // Chunked transfers - large end-to-end encrypted blobs split into content-addressed chunks
+  // chunk_hashes is the ordered manifest (SHA-256 of each encrypted chunk)
+  // status: uploading -> complete -> received, or cancelled / expired
+  `CREATE TABLE IF NOT EXISTS relay_transfers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    from_container_id UUID NOT NULL,
+    to_container_id UUID NOT NULL,
+    capability_id VARCHAR(256) NOT NULL,
+    total_size BIGINT NOT NULL,
+    chunk_size INTEGER NOT NULL,
+    chunk_hashes TEXT[] NOT NULL,
+    content_hash VARCHAR(64) NOT NULL,
+    metadata_encrypted TEXT,
+    message_id UUID,
+    status VARCHAR(20) DEFAULT 'uploading',
+    created_at TIMESTAMP DEFAULT NOW(),
+    completed_at TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS relay_transfer_chunks (
+    transfer_id UUID NOT NULL REFERENCES relay_transfers(id) ON DELETE CASCADE,
+    hash VARCHAR(64) NOT NULL,
+    size INTEGER NOT NULL,
+    data BYTEA NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (transfer_id, hash)
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_transfers_from ON relay_transfers(from_container_id, status)`,
+  `CREATE INDEX IF NOT EXISTS idx_transfers_to ON relay_transfers(to_container_id, status)`,
+  `CREATE INDEX IF NOT EXISTS idx_transfers_expires ON relay_transfers(expires_at) WHERE status IN ('uploading', 'complete')`,
+
+  // Group channels - broadcast to every member of an OCMT group
+  // Membership is a copy of group_memberships, refreshed by the relay before it fans out
+  `CREATE TABLE IF NOT EXISTS relay_group_channels (
+    group_id UUID PRIMARY KEY,
+    member_count INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT NOW(),
+    synced_at TIMESTAMP DEFAULT NOW()
+  )`,
+  `CREATE TABLE IF NOT EXISTS relay_group_channel_members (
+    group_id UUID NOT NULL REFERENCES relay_group_channels(group_id) ON DELETE CASCADE,
+    container_id UUID NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'member',
+    joined_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (group_id, container_id)
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_group_channel_members_container ON relay_group_channel_members(container_id)`,
+
+  // One row per broadcast; each recipient gets its own relay_messages row (own envelope and delivery state)
+  `CREATE TABLE IF NOT EXISTS relay_broadcasts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    group_id UUID NOT NULL,
+    from_container_id UUID NOT NULL,
+    capability_id VARCHAR(256) NOT NULL,
+    recipient_count INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    expires_at TIMESTAMP NOT NULL
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_broadcasts_group ON relay_broadcasts(group_id, created_at)`,
+  `CREATE INDEX IF NOT EXISTS idx_broadcasts_from ON relay_broadcasts(from_container_id, created_at)`,
+  `ALTER TABLE relay_messages ADD COLUMN IF NOT EXISTS broadcast_id UUID REFERENCES relay_broadcasts(id) ON DELETE SET NULL`,
+  `CREATE INDEX IF NOT EXISTS idx_relay_messages_broadcast ON relay_messages(broadcast_id) WHERE broadcast_id IS NOT NULL`,
+
+  // Key history - every Ed25519 key a container has registered
+  // status: active (current key) -> rotated (valid until valid_until, then expired)
+  // Revoked keys are recorded in capability_revocations as 'key:<public_key_hash>'
+  `CREATE TABLE IF NOT EXISTS relay_container_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    container_id UUID NOT NULL,
+    public_key TEXT NOT NULL,
+    public_key_hash VARCHAR(32) NOT NULL UNIQUE,
+    status VARCHAR(20) DEFAULT 'active',
+    previous_public_key_hash VARCHAR(32),
+    handover_statement TEXT,
+    handover_signature TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    rotated_at TIMESTAMP,
+    valid_until TIMESTAMP
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_container_keys_container ON relay_container_keys(container_id, created_at)`,
+  `INSERT INTO relay_container_keys (container_id, public_key, public_key_hash, created_at)
+   SELECT container_id, public_key, public_key_hash, created_at FROM relay_container_registry
+   ON CONFLICT (public_key_hash) DO NOTHING`,
 ];
 
 async function migrate() {
@@ -0,0 +1,72 @@
+// Capability token decoding for relay routes
+// The relay checks format, signature and expiry; the target container makes the
+// actual authorization decision.
+import { createPublicKey, verify } from "crypto";
+
+// Ed25519 SPKI prefix for DER-encoded public keys
+const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+
+/**
+ * Verify an Ed25519 signature
+ */
+function verifySignature(payload, signatureBase64, publicKeyBase64) {
+  try {
+    const rawKey = Buffer.from(publicKeyBase64, "base64");
+    if (rawKey.length !== 32) {
+      return false;
+    }
+
+    const spkiDer = Buffer.concat([ED25519_SPKI_PREFIX, rawKey]);
+    const publicKey = createPublicKey({ key: spkiDer, type: "spki", format: "der" });
+
+    const signatureBuffer = Buffer.from(signatureBase64, "base64");
+    if (signatureBuffer.length !== 64) {
+      return false;
+    }
+
+    // Ed25519 signs the message itself, so there is no digest to pick (createVerify needs one)
+    return verify(null, Buffer.from(payload), publicKey, signatureBuffer);
+  } catch (err) {
+    console.error("[capability-token] Signature verification failed:", err.message);
+    return false;
+  }
+}
+
+/**
+ * Decode and validate a capability token
+ * @param {string} token - Base64url encoded capability token
+ * @returns {Object|null} Decoded token or null if invalid
+ */
+export function decodeCapabilityToken(token) {
+  try {
+    const decoded = JSON.parse(Buffer.from(token, "base64url").toString());
+    const { id, iss, sub, resource, scope, exp, sig } = decoded;
+
+    // Check required fields
+    if (!id || !iss || !sub || !resource || !scope || !exp || !sig) {
+      return null;
+    }
+
+    // Verify signature
+    const claims = { ...decoded };
+    delete claims.sig;
+    if (!verifySignature(JSON.stringify(claims), sig, iss)) {
+      return null;
+    }
+
+    // Check expiry
+    const now = Math.floor(Date.now() / 1000);
+    if (exp < now) {
+      return null;
+    }
+
+    return decoded;
+  } catch (err) {
+    console.error("[capability-token] Failed to decode capability token:", err.message);
+    return null;
+  }
+}
+
+export default {
+  decodeCapabilityToken,
+};
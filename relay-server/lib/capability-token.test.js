@@ -0,0 +1,72 @@
+// Tests for capability token decoding
+import { generateKeyPairSync, sign } from "crypto";
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { decodeCapabilityToken } from "./capability-token.js";
+
+function makeIssuer() {
+  const { publicKey, privateKey } = generateKeyPairSync("ed25519");
+  const raw = publicKey.export({ type: "spki", format: "der" }).subarray(12);
+  return { publicKey: raw.toString("base64"), privateKey };
+}
+
+function makeToken(issuer, overrides = {}) {
+  const claims = {
+    id: "cap-1",
+    iss: issuer.publicKey,
+    sub: "recipient-key",
+    resource: "container-1",
+    scope: ["message"],
+    exp: Math.floor(Date.now() / 1000) + 3600,
+    ...overrides,
+  };
+  const sig = sign(null, Buffer.from(JSON.stringify(claims)), issuer.privateKey).toString("base64");
+  return { claims, token: Buffer.from(JSON.stringify({ ...claims, sig })).toString("base64url") };
+}
+
+describe("decodeCapabilityToken", () => {
+  const issuer = makeIssuer();
+
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  it("should return the claims of a validly signed token", () => {
+    const { claims, token } = makeToken(issuer);
+
+    expect(decodeCapabilityToken(token)).toMatchObject(claims);
+  });
+
+  it("should reject a token signed by another key", () => {
+    const { claims } = makeToken(issuer);
+    const { token } = makeToken(makeIssuer(), claims);
+
+    expect(decodeCapabilityToken(token)).toBeNull();
+  });
+
+  it("should reject tampered claims", () => {
+    const { token } = makeToken(issuer);
+    const decoded = JSON.parse(Buffer.from(token, "base64url").toString());
+    const tampered = Buffer.from(JSON.stringify({ ...decoded, scope: ["admin"] })).toString(
+      "base64url",
+    );
+
+    expect(decodeCapabilityToken(tampered)).toBeNull();
+  });
+
+  it("should reject expired tokens", () => {
+    const { token } = makeToken(issuer, { exp: Math.floor(Date.now() / 1000) - 1 });
+
+    expect(decodeCapabilityToken(token)).toBeNull();
+  });
+
+  it("should reject tokens missing required fields", () => {
+    const { token } = makeToken(issuer, { resource: undefined });
+
+    expect(decodeCapabilityToken(token)).toBeNull();
+  });
+
+  it("should reject malformed tokens", () => {
+    expect(decodeCapabilityToken("not-a-token")).toBeNull();
+  });
+});
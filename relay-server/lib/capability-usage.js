@@ -0,0 +1,69 @@
+// Call counting for usage-limited capabilities (constraints.maxCalls)
+// Uses Redis so every relay instance shares a budget, falls back to in-memory when unavailable
+import { getRedisClient, isRedisConnected } from "./redis.js";
+
+// In-memory fallback when Redis is unavailable
+const memoryStore = new Map();
+
+/**
+ * Redis key format:
+ * ocmt:capability:uses:{capabilityId}
+ */
+function buildRedisKey(capabilityId) {
+  return `ocmt:capability:uses:${capabilityId}`;
+}
+
+// Clean up expired counters from memory store periodically
+setInterval(() => {
+  const now = Date.now();
+  for (const [capabilityId, entry] of memoryStore) {
+    if (entry.expiresAt < now) {
+      memoryStore.delete(capabilityId);
+    }
+  }
+}, 60000).unref();
+
+function usage(used, maxCalls) {
+  return { maxCalls, used, remaining: Math.max(0, maxCalls - used) };
+}
+
+/**
+ * Count one call against a capability's budget
+ * Calls beyond the budget are rejected and not counted.
+ * @param {string} capabilityId - Capability ID
+ * @param {number} maxCalls - Calls allowed over the capability's lifetime
+ * @param {number} expiresAt - Capability expiry (ms timestamp), when the counter is dropped
+ * @returns {Promise<{ allowed: boolean, maxCalls: number, used: number, remaining: number }>}
+ */
+export async function consumeCapabilityCall(capabilityId, maxCalls, expiresAt) {
+  const redis = getRedisClient();
+  if (redis && isRedisConnected()) {
+    try {
+      const key = buildRedisKey(capabilityId);
+      const used = await redis.incr(key);
+      if (used === 1) {
+        await redis.pexpireat(key, expiresAt);
+      }
+      if (used > maxCalls) {
+        await redis.decr(key);
+        return { allowed: false, ...usage(maxCalls, maxCalls) };
+      }
+      return { allowed: true, ...usage(used, maxCalls) };
+    } catch (err) {
+      console.warn("[capability-usage] Redis write failed, using memory:", err.message);
+    }
+  }
+
+  // Fallback to memory
+  const entry = memoryStore.get(capabilityId) || { used: 0, expiresAt };
+  if (entry.used >= maxCalls) {
+    return { allowed: false, ...usage(entry.used, maxCalls) };
+  }
+  entry.used++;
+  memoryStore.set(capabilityId, entry);
+  return { allowed: true, ...usage(entry.used, maxCalls) };
+}
+
+export default {
+  consumeCapabilityCall,
+};
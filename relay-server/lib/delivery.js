@@ -0,0 +1,366 @@
+/**
+ * Message Delivery and Receipts
+ *
+ * Drives a relay message through its lifecycle and tells the sender about it:
+ *
+ *   queued -> delivered (handed over a WebSocket) -> acked (recipient confirmed)
+ *   queued/delivered -> expired        (TTL passed, nobody picked it up)
+ *   queued/delivered -> dead_lettered  (TTL passed after failed delivery attempts)
+ *   dead_lettered -> queued            (sender replays it)
+ *
+ * Each transition is written to the mesh audit log and pushed to the sender as a
+ * `receipt` frame when the sender is connected. Only metadata is involved; payloads
+ * stay encrypted.
+ */
+import {
+  messages,
+  deadLetters,
+  containerRegistry,
+  rateLimits,
+  meshAuditLogs,
+  MESH_AUDIT_EVENTS,
+} from "../db/index.js";
+import { isCapabilityRevoked, isTokenRevoked } from "../routes/revocation.js";
+import { decodeCapabilityToken } from "./capability-token.js";
+import { consumeCapabilityCall } from "./capability-usage.js";
+import { forwardToCallback } from "./forward.js";
+import { wakeContainer, getContainerStatus } from "./wake.js";
+import { sendToContainer, notifyContainer } from "./websocket.js";
+
+// Sender-visible status for each stored status
+export const RECEIPT_STATUS = {
+  pending: "queued",
+  delivered: "delivered",
+  acked: "acked",
+  expired: "expired",
+  dead_lettered: "dead_lettered",
+};
+
+const TRANSITION_EVENTS = {
+  queued: MESH_AUDIT_EVENTS.RELAY_MESSAGE_QUEUED,
+  delivered: MESH_AUDIT_EVENTS.RELAY_MESSAGE_DELIVERED,
+  acked: MESH_AUDIT_EVENTS.RELAY_MESSAGE_ACKED,
+  expired: MESH_AUDIT_EVENTS.RELAY_MESSAGE_EXPIRED,
+  dead_lettered: MESH_AUDIT_EVENTS.RELAY_MESSAGE_DEAD_LETTERED,
+};
+
+function deliveryError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Audit a batch of transitions and push receipts to the senders
+ * @param {Array<{ id: string, from_container_id: string, to_container_id: string }>} rows
+ * @param {string} status - Receipt status the messages moved to
+ * @param {Object} [options]
+ * @param {string} [options.actorId] - Who caused the transition (defaults to the relay)
+ * @param {string} [options.ipAddress] - Request IP
+ * @param {(row: Object) => Object} [options.details] - Extra audit details per message
+ */
+async function recordTransitions(rows, status, { actorId, ipAddress, details } = {}) {
+  if (rows.length === 0) {
+    return;
+  }
+
+  await meshAuditLogs.logBatch(
+    rows.map((row) => ({
+      eventType: TRANSITION_EVENTS[status],
+      actorId: actorId || row.from_container_id,
+      targetId: row.to_container_id,
+      ipAddress,
+      success: status !== "expired" && status !== "dead_lettered",
+      source: "relay-server",
+      details: { messageId: row.id, ...(details ? details(row) : {}) },
+    })),
+  );
+
+  for (const row of rows) {
+    // Best effort: senders that are offline can poll GET /relay/messages/:id/status
+    notifyContainer(row.from_container_id, {
+      type: "receipt",
+      messageId: row.id,
+      to: row.to_container_id,
+      status,
+      timestamp: Date.now(),
+    }).catch((err) => {
+      console.warn(`[delivery] Receipt for ${row.id.slice(0, 8)} not sent: ${err.message}`);
+    });
+  }
+}
+
+/**
+ * Try to deliver a stored message: WebSocket (any relay instance), then the
+ * recipient's callback URL, otherwise leave it queued and wake the recipient.
+ * A callback that fails after retries is recorded on the message; if the TTL then
+ * runs out the message is dead-lettered rather than silently expired.
+ *
+ * @param {Object} message - Row from relay_messages
+ * @param {Object} [options]
+ * @param {string} [options.ipAddress] - Sender IP (audit)
+ * @returns {Promise<{ status: string, deliveryMethod: string,
+ *   deliveredViaWebSocket: boolean, deliveredViaCallback: boolean, wakeTriggered: boolean }>}
+ */
+export async function deliverMessage(message, { ipAddress } = {}) {
+  const toContainerId = message.to_container_id;
+  const result = {
+    status: "queued",
+    deliveryMethod: "pending",
+    deliveredViaWebSocket: false,
+    deliveredViaCallback: false,
+    wakeTriggered: false,
+  };
+
+  // On this relay instance or, through Redis, on the instance holding the connection
+  if (await sendToContainer(toContainerId, message)) {
+    const rows = await messages.markManyDelivered([message.id]);
+    await recordTransitions(rows, "delivered", {
+      ipAddress,
+      details: () => ({ method: "websocket" }),
+    });
+    console.log(`[delivery] Message ${message.id.slice(0, 8)} delivered via WebSocket`);
+    return {
+      ...result,
+      status: "delivered",
+      deliveryMethod: "websocket",
+      deliveredViaWebSocket: true,
+    };
+  }
+
+  // A callback that accepts the message counts as the recipient's ack
+  const registration = await containerRegistry.findByContainerId(toContainerId);
+  let lastError = null;
+  if (registration?.callback_url) {
+    const forwardResult = await forwardToCallback(registration.callback_url, {
+      messageId: message.id,
+      fromContainerId: message.from_container_id,
+      payload: message.payload_encrypted,
+      timestamp: message.created_at,
+    });
+
+    if (forwardResult.success) {
+      const rows = await messages.markManyAcked([message.id], toContainerId);
+      await recordTransitions(rows, "acked", {
+        ipAddress,
+        details: () => ({ method: "callback" }),
+      });
+      console.log(`[delivery] Message ${message.id.slice(0, 8)} delivered via callback`);
+      return {
+        ...result,
+        status: "acked",
+        deliveryMethod: "callback",
+        deliveredViaCallback: true,
+      };
+    }
+
+    lastError = `Callback failed: ${forwardResult.error}`;
+    await messages.recordFailedAttempt(message.id, lastError);
+  }
+
+  // Not reachable right now: wake a hibernated recipient so it polls the queue
+  const containerStatus = await getContainerStatus(toContainerId);
+  if (containerStatus.status === "hibernated" || containerStatus.status === "stopped") {
+    console.log(
+      `[delivery] Destination ${toContainerId.slice(0, 8)} is hibernated, triggering wake`,
+    );
+    const wakeResult = await wakeContainer(toContainerId);
+    result.wakeTriggered = wakeResult.success;
+  }
+
+  await recordTransitions([message], "queued", {
+    ipAddress,
+    details: () => ({
+      expiresAt: message.expires_at,
+      wakeTriggered: result.wakeTriggered,
+      ...(lastError ? { lastError } : {}),
+    }),
+  });
+
+  return result;
+}
+
+/**
+ * Record that messages were handed to their recipient over a WebSocket
+ * Used when queued messages are flushed to a container that just connected.
+ * @param {string[]} messageIds - Message IDs
+ */
+export async function recordDelivered(messageIds) {
+  const rows = await messages.markManyDelivered(messageIds);
+  await recordTransitions(rows, "delivered", { details: () => ({ method: "websocket" }) });
+  return rows;
+}
+
+/**
+ * Acknowledge messages on behalf of their recipient
+ * IDs the container did not receive, or already acked, are ignored.
+ * @param {string} containerId - Recipient container
+ * @param {string[]} messageIds - Message IDs
+ * @param {Object} [options]
+ * @param {string} [options.ipAddress] - Request IP
+ * @returns {Promise<Array<{ id: string }>>} Messages acknowledged
+ */
+export async function recordAcks(containerId, messageIds, { ipAddress } = {}) {
+  const rows = await messages.markManyAcked(messageIds, containerId);
+  await recordTransitions(rows, "acked", { actorId: containerId, ipAddress });
+  return rows;
+}
+
+/**
+ * Close out messages whose TTL has passed (cleanup job)
+ * Messages with a failed delivery attempt go to the dead-letter queue.
+ * @returns {Promise<{ expired: number, deadLettered: number }>}
+ */
+export async function expireMessages() {
+  const rows = await messages.expireDue();
+  const expired = rows.filter((row) => row.status === "expired");
+  const deadLettered = rows.filter((row) => row.status === "dead_lettered");
+
+  for (const row of deadLettered) {
+    await deadLetters.add({
+      messageId: row.id,
+      fromContainerId: row.from_container_id,
+      toContainerId: row.to_container_id,
+      reason: row.last_error,
+      deliveryAttempts: row.delivery_attempts,
+    });
+  }
+
+  await recordTransitions(expired, "expired");
+  await recordTransitions(deadLettered, "dead_lettered", {
+    details: (row) => ({ reason: row.last_error, deliveryAttempts: row.delivery_attempts }),
+  });
+
+  return { expired: expired.length, deadLettered: deadLettered.length };
+}
+
+/**
+ * Capability a stored message was sent under, read from its relay envelope
+ * @returns {{ token?: string, capabilityId?: string }|null} Null for plain /send messages
+ */
+function envelopeCapability(message) {
+  let envelope;
+  try {
+    envelope = JSON.parse(message.payload_encrypted);
+  } catch {
+    return null;
+  }
+  if (envelope?.type === "capability_execution" && envelope.capabilityToken) {
+    return { token: envelope.capabilityToken };
+  }
+  if (envelope?.capabilityId) {
+    return { capabilityId: envelope.capabilityId };
+  }
+  return null;
+}
+
+/**
+ * Put a dead-lettered message back in the queue and try to deliver it again
+ * A replay is a new send: the capability must still be valid and unrevoked, and
+ * the replay counts against the sender's rate limit and the capability's call
+ * budget, exactly like POST /relay/send and /relay/forward.
+ * @param {string} messageId - Message ID
+ * @param {string} fromContainerId - Caller; must be the original sender
+ * @param {Object} [options]
+ * @param {number} [options.ttlSeconds] - New TTL (defaults to the relay default)
+ * @param {string} [options.ipAddress] - Request IP
+ * @returns {Promise<{ message: Object, delivery: Object, rateLimit: Object, usage: Object|null }>}
+ * @throws {Error} code NOT_FOUND, NOT_DEAD_LETTERED, INVALID_CAPABILITY, CAPABILITY_REVOKED,
+ *   RATE_LIMITED (error.resetAt) or CALL_LIMIT_EXCEEDED (error.usage)
+ */
+export async function replayDeadLetter(messageId, fromContainerId, { ttlSeconds, ipAddress } = {}) {
+  const deadLetter = await deadLetters.findByMessageId(messageId);
+  if (!deadLetter || deadLetter.from_container_id !== fromContainerId) {
+    throw deliveryError("Dead letter not found", "NOT_FOUND");
+  }
+
+  const stored = await messages.findById(messageId);
+  if (!stored || stored.status !== "dead_lettered") {
+    throw deliveryError("Message is not dead-lettered", "NOT_DEAD_LETTERED");
+  }
+
+  const source = envelopeCapability(stored);
+  let capability = null;
+  if (source?.token) {
+    capability = decodeCapabilityToken(source.token);
+    if (!capability) {
+      throw deliveryError("Invalid or expired capability token", "INVALID_CAPABILITY");
+    }
+    if (await isTokenRevoked(capability)) {
+      throw deliveryError("Capability has been revoked", "CAPABILITY_REVOKED");
+    }
+  } else if (source?.capabilityId && (await isCapabilityRevoked(source.capabilityId))) {
+    throw deliveryError("Capability has been revoked", "CAPABILITY_REVOKED");
+  }
+
+  const rateLimit = await rateLimits.checkAndIncrement(fromContainerId);
+  if (!rateLimit.allowed) {
+    const error = deliveryError("Rate limit exceeded", "RATE_LIMITED");
+    error.resetAt = rateLimit.resetAt;
+    throw error;
+  }
+
+  let usage = null;
+  if (capability?.constraints?.maxCalls) {
+    const { allowed, ...counts } = await consumeCapabilityCall(
+      capability.id,
+      capability.constraints.maxCalls,
+      capability.exp * 1000,
+    );
+    usage = counts;
+    if (!allowed) {
+      const error = deliveryError("Capability call limit exceeded", "CALL_LIMIT_EXCEEDED");
+      error.usage = usage;
+      throw error;
+    }
+  }
+
+  const message = await messages.requeue(messageId, ttlSeconds);
+  if (!message) {
+    throw deliveryError("Message is not dead-lettered", "NOT_DEAD_LETTERED");
+  }
+  await deadLetters.markReplayed(messageId);
+
+  await meshAuditLogs.log({
+    eventType: MESH_AUDIT_EVENTS.RELAY_MESSAGE_REPLAYED,
+    actorId: fromContainerId,
+    targetId: message.to_container_id,
+    ipAddress,
+    success: true,
+    source: "relay-server",
+    details: { messageId, replayCount: deadLetter.replay_count + 1 },
+  });
+
+  const delivery = await deliverMessage(message, { ipAddress });
+  return { message, delivery, rateLimit, usage };
+}
+
+/**
+ * Sender-visible view of a message (no payload)
+ * @param {Object} row - Row from relay_messages
+ */
+export function describeMessage(row) {
+  return {
+    messageId: row.id,
+    to: row.to_container_id,
+    status: RECEIPT_STATUS[row.status] || row.status,
+    size: row.payload_size,
+    createdAt: row.created_at,
+    deliveredAt: row.delivered_at || null,
+    ackedAt: row.acked_at || null,
+    expiresAt: row.expires_at || null,
+    expiredAt: row.expired_at || null,
+    deliveryAttempts: row.delivery_attempts || 0,
+    lastError: row.last_error || null,
+  };
+}
+
+export default {
+  RECEIPT_STATUS,
+  deliverMessage,
+  recordDelivered,
+  recordAcks,
+  expireMessages,
+  replayDeadLetter,
+  describeMessage,
+};
@@ -0,0 +1,375 @@
+// Tests for relay message delivery states and dead-letter replay
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("../db/index.js", () => ({
+  messages: {
+    markManyDelivered: vi.fn(),
+    markManyAcked: vi.fn(),
+    recordFailedAttempt: vi.fn(),
+    expireDue: vi.fn(),
+    findById: vi.fn(),
+    requeue: vi.fn(),
+  },
+  deadLetters: {
+    add: vi.fn(),
+    findByMessageId: vi.fn(),
+    markReplayed: vi.fn(),
+  },
+  containerRegistry: {
+    findByContainerId: vi.fn(),
+  },
+  rateLimits: {
+    checkAndIncrement: vi.fn(),
+  },
+  meshAuditLogs: {
+    log: vi.fn(),
+    logBatch: vi.fn(),
+  },
+  MESH_AUDIT_EVENTS: {
+    RELAY_MESSAGE_QUEUED: "relay.message.queued",
+    RELAY_MESSAGE_DELIVERED: "relay.message.delivered",
+    RELAY_MESSAGE_ACKED: "relay.message.acked",
+    RELAY_MESSAGE_EXPIRED: "relay.message.expired",
+    RELAY_MESSAGE_DEAD_LETTERED: "relay.message.dead_lettered",
+    RELAY_MESSAGE_REPLAYED: "relay.message.replayed",
+  },
+}));
+
+vi.mock("../routes/revocation.js", () => ({
+  isTokenRevoked: vi.fn(),
+  isCapabilityRevoked: vi.fn(),
+}));
+
+vi.mock("./capability-usage.js", () => ({
+  consumeCapabilityCall: vi.fn(),
+}));
+
+vi.mock("./capability-token.js", () => ({
+  decodeCapabilityToken: vi.fn(),
+}));
+
+vi.mock("./forward.js", () => ({
+  forwardToCallback: vi.fn(),
+}));
+
+vi.mock("./wake.js", () => ({
+  wakeContainer: vi.fn(),
+  getContainerStatus: vi.fn(),
+}));
+
+vi.mock("./websocket.js", () => ({
+  sendToContainer: vi.fn(),
+  notifyContainer: vi.fn(),
+}));
+
+const { messages, deadLetters, containerRegistry, rateLimits, meshAuditLogs } =
+  await import("../db/index.js");
+const { isTokenRevoked, isCapabilityRevoked } = await import("../routes/revocation.js");
+const { consumeCapabilityCall } = await import("./capability-usage.js");
+const { decodeCapabilityToken } = await import("./capability-token.js");
+const { forwardToCallback } = await import("./forward.js");
+const { wakeContainer, getContainerStatus } = await import("./wake.js");
+const { sendToContainer, notifyContainer } = await import("./websocket.js");
+const { deliverMessage, recordAcks, expireMessages, replayDeadLetter, describeMessage } =
+  await import("./delivery.js");
+
+const sender = "11111111-1111-1111-1111-111111111111";
+const recipient = "22222222-2222-2222-2222-222222222222";
+
+function storedMessage(overrides = {}) {
+  return {
+    id: "msg-00000001",
+    from_container_id: sender,
+    to_container_id: recipient,
+    payload_encrypted: "opaque",
+    status: "pending",
+    created_at: "2026-01-01T00:00:00.000Z",
+    expires_at: "2026-01-02T00:00:00.000Z",
+    ...overrides,
+  };
+}
+
+describe("delivery", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    notifyContainer.mockResolvedValue(true);
+    meshAuditLogs.logBatch.mockResolvedValue();
+    getContainerStatus.mockResolvedValue({ status: "running" });
+  });
+
+  describe("deliverMessage", () => {
+    it("should mark a message delivered over a WebSocket and send a receipt", async () => {
+      const message = storedMessage();
+      sendToContainer.mockResolvedValue(true);
+      messages.markManyDelivered.mockResolvedValue([message]);
+
+      const result = await deliverMessage(message);
+
+      expect(result).toMatchObject({ status: "delivered", deliveryMethod: "websocket" });
+      expect(messages.markManyDelivered).toHaveBeenCalledWith([message.id]);
+      expect(meshAuditLogs.logBatch).toHaveBeenCalledWith([
+        expect.objectContaining({ eventType: "relay.message.delivered", success: true }),
+      ]);
+      expect(notifyContainer).toHaveBeenCalledWith(
+        sender,
+        expect.objectContaining({ type: "receipt", messageId: message.id, status: "delivered" }),
+      );
+    });
+
+    it("should treat an accepted callback as an ack", async () => {
+      const message = storedMessage();
+      sendToContainer.mockResolvedValue(false);
+      containerRegistry.findByContainerId.mockResolvedValue({ callback_url: "https://cb" });
+      forwardToCallback.mockResolvedValue({ success: true });
+      messages.markManyAcked.mockResolvedValue([message]);
+
+      const result = await deliverMessage(message);
+
+      expect(result).toMatchObject({ status: "acked", deliveryMethod: "callback" });
+      expect(messages.markManyAcked).toHaveBeenCalledWith([message.id], recipient);
+    });
+
+    it("should record a failed callback and leave the message queued", async () => {
+      const message = storedMessage();
+      sendToContainer.mockResolvedValue(false);
+      containerRegistry.findByContainerId.mockResolvedValue({ callback_url: "https://cb" });
+      forwardToCallback.mockResolvedValue({ success: false, error: "timeout" });
+
+      const result = await deliverMessage(message);
+
+      expect(result.status).toBe("queued");
+      expect(messages.recordFailedAttempt).toHaveBeenCalledWith(
+        message.id,
+        "Callback failed: timeout",
+      );
+      expect(meshAuditLogs.logBatch).toHaveBeenCalledWith([
+        expect.objectContaining({
+          eventType: "relay.message.queued",
+          details: expect.objectContaining({ lastError: "Callback failed: timeout" }),
+        }),
+      ]);
+    });
+
+    it("should wake a hibernated recipient", async () => {
+      sendToContainer.mockResolvedValue(false);
+      containerRegistry.findByContainerId.mockResolvedValue(null);
+      getContainerStatus.mockResolvedValue({ status: "hibernated" });
+      wakeContainer.mockResolvedValue({ success: true });
+
+      const result = await deliverMessage(storedMessage());
+
+      expect(result).toMatchObject({ status: "queued", wakeTriggered: true });
+      expect(wakeContainer).toHaveBeenCalledWith(recipient);
+    });
+  });
+
+  describe("recordAcks", () => {
+    it("should audit acks as the recipient", async () => {
+      const message = storedMessage({ status: "acked" });
+      messages.markManyAcked.mockResolvedValue([message]);
+
+      const rows = await recordAcks(recipient, [message.id, "unknown"]);
+
+      expect(rows).toEqual([message]);
+      expect(meshAuditLogs.logBatch).toHaveBeenCalledWith([
+        expect.objectContaining({ eventType: "relay.message.acked", actorId: recipient }),
+      ]);
+    });
+
+    it("should not audit anything when no message was acked", async () => {
+      messages.markManyAcked.mockResolvedValue([]);
+
+      await recordAcks(recipient, ["unknown"]);
+
+      expect(meshAuditLogs.logBatch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("expireMessages", () => {
+    it("should dead-letter messages with failed attempts and expire the rest", async () => {
+      messages.expireDue.mockResolvedValue([
+        storedMessage({ id: "msg-expired", status: "expired" }),
+        storedMessage({
+          id: "msg-dead",
+          status: "dead_lettered",
+          last_error: "Callback failed: timeout",
+          delivery_attempts: 3,
+        }),
+      ]);
+
+      const result = await expireMessages();
+
+      expect(result).toEqual({ expired: 1, deadLettered: 1 });
+      expect(deadLetters.add).toHaveBeenCalledTimes(1);
+      expect(deadLetters.add).toHaveBeenCalledWith(
+        expect.objectContaining({ messageId: "msg-dead", deliveryAttempts: 3 }),
+      );
+      expect(meshAuditLogs.logBatch).toHaveBeenCalledWith([
+        expect.objectContaining({ eventType: "relay.message.expired", success: false }),
+      ]);
+      expect(meshAuditLogs.logBatch).toHaveBeenCalledWith([
+        expect.objectContaining({ eventType: "relay.message.dead_lettered", success: false }),
+      ]);
+    });
+  });
+
+  describe("replayDeadLetter", () => {
+    const capability = {
+      id: "cap-1",
+      iss: "issuer-key",
+      sub: "subject-key",
+      exp: Math.floor(Date.now() / 1000) + 3600,
+      constraints: { maxCalls: 5 },
+    };
+    const capabilityMessage = () =>
+      storedMessage({
+        status: "dead_lettered",
+        payload_encrypted: JSON.stringify({
+          type: "capability_execution",
+          capabilityId: "cap-1",
+          capabilityToken: "token",
+        }),
+      });
+
+    beforeEach(() => {
+      deadLetters.findByMessageId.mockResolvedValue({
+        message_id: "msg-00000001",
+        from_container_id: sender,
+        replay_count: 0,
+      });
+      messages.findById.mockResolvedValue(capabilityMessage());
+      decodeCapabilityToken.mockReturnValue(capability);
+      isTokenRevoked.mockResolvedValue(false);
+      isCapabilityRevoked.mockResolvedValue(false);
+      rateLimits.checkAndIncrement.mockResolvedValue({
+        allowed: true,
+        remaining: 99,
+        resetAt: "2026-01-01T01:00:00.000Z",
+      });
+      consumeCapabilityCall.mockResolvedValue({
+        allowed: true,
+        used: 1,
+        remaining: 4,
+        maxCalls: 5,
+      });
+      messages.requeue.mockResolvedValue(storedMessage());
+      sendToContainer.mockResolvedValue(true);
+      messages.markManyDelivered.mockResolvedValue([storedMessage()]);
+    });
+
+    it("should requeue and deliver after the send checks pass", async () => {
+      const result = await replayDeadLetter("msg-00000001", sender, { ttlSeconds: 60 });
+
+      expect(isTokenRevoked).toHaveBeenCalledWith(capability);
+      expect(rateLimits.checkAndIncrement).toHaveBeenCalledWith(sender);
+      expect(consumeCapabilityCall).toHaveBeenCalledWith("cap-1", 5, capability.exp * 1000);
+      expect(messages.requeue).toHaveBeenCalledWith("msg-00000001", 60);
+      expect(deadLetters.markReplayed).toHaveBeenCalledWith("msg-00000001");
+      expect(result.delivery.status).toBe("delivered");
+      expect(result.usage).toEqual({ used: 1, remaining: 4, maxCalls: 5 });
+    });
+
+    it("should only let the original sender replay", async () => {
+      await expect(replayDeadLetter("msg-00000001", recipient)).rejects.toMatchObject({
+        code: "NOT_FOUND",
+      });
+      expect(messages.requeue).not.toHaveBeenCalled();
+    });
+
+    it("should refuse a message that is no longer dead-lettered without charging", async () => {
+      messages.findById.mockResolvedValue(storedMessage({ status: "pending" }));
+
+      await expect(replayDeadLetter("msg-00000001", sender)).rejects.toMatchObject({
+        code: "NOT_DEAD_LETTERED",
+      });
+      expect(rateLimits.checkAndIncrement).not.toHaveBeenCalled();
+    });
+
+    it("should refuse an expired or invalid capability", async () => {
+      decodeCapabilityToken.mockReturnValue(null);
+
+      await expect(replayDeadLetter("msg-00000001", sender)).rejects.toMatchObject({
+        code: "INVALID_CAPABILITY",
+      });
+      expect(messages.requeue).not.toHaveBeenCalled();
+    });
+
+    it("should refuse a revoked capability", async () => {
+      isTokenRevoked.mockResolvedValue(true);
+
+      await expect(replayDeadLetter("msg-00000001", sender)).rejects.toMatchObject({
+        code: "CAPABILITY_REVOKED",
+      });
+      expect(rateLimits.checkAndIncrement).not.toHaveBeenCalled();
+      expect(messages.requeue).not.toHaveBeenCalled();
+    });
+
+    it("should refuse a broadcast copy whose capability was revoked", async () => {
+      messages.findById.mockResolvedValue(
+        storedMessage({
+          status: "dead_lettered",
+          payload_encrypted: JSON.stringify({ type: "group_broadcast", capabilityId: "cap-2" }),
+        }),
+      );
+      isCapabilityRevoked.mockResolvedValue(true);
+
+      await expect(replayDeadLetter("msg-00000001", sender)).rejects.toMatchObject({
+        code: "CAPABILITY_REVOKED",
+      });
+      expect(isCapabilityRevoked).toHaveBeenCalledWith("cap-2");
+    });
+
+    it("should count against the sender's rate limit", async () => {
+      rateLimits.checkAndIncrement.mockResolvedValue({
+        allowed: false,
+        remaining: 0,
+        resetAt: "2026-01-01T01:00:00.000Z",
+      });
+
+      await expect(replayDeadLetter("msg-00000001", sender)).rejects.toMatchObject({
+        code: "RATE_LIMITED",
+        resetAt: "2026-01-01T01:00:00.000Z",
+      });
+      expect(consumeCapabilityCall).not.toHaveBeenCalled();
+      expect(messages.requeue).not.toHaveBeenCalled();
+    });
+
+    it("should count against the capability's call budget", async () => {
+      consumeCapabilityCall.mockResolvedValue({
+        allowed: false,
+        used: 5,
+        remaining: 0,
+        maxCalls: 5,
+      });
+
+      await expect(replayDeadLetter("msg-00000001", sender)).rejects.toMatchObject({
+        code: "CALL_LIMIT_EXCEEDED",
+        usage: { used: 5, remaining: 0, maxCalls: 5 },
+      });
+      expect(messages.requeue).not.toHaveBeenCalled();
+    });
+
+    it("should only rate limit plain messages", async () => {
+      messages.findById.mockResolvedValue(storedMessage({ status: "dead_lettered" }));
+
+      await replayDeadLetter("msg-00000001", sender);
+
+      expect(decodeCapabilityToken).not.toHaveBeenCalled();
+      expect(rateLimits.checkAndIncrement).toHaveBeenCalledWith(sender);
+      expect(consumeCapabilityCall).not.toHaveBeenCalled();
+      expect(messages.requeue).toHaveBeenCalled();
+    });
+  });
+
+  describe("describeMessage", () => {
+    it("should report the sender-visible status", () => {
+      expect(describeMessage(storedMessage())).toMatchObject({
+        messageId: "msg-00000001",
+        to: recipient,
+        status: "queued",
+        deliveryAttempts: 0,
+        lastError: null,
+      });
+    });
+  });
+});
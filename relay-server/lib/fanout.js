@@ -0,0 +1,261 @@
+// Cross-instance WebSocket fan-out over Redis pub/sub
+// Each relay instance records which containers are connected to it (presence) and
+// subscribes to its own channel. A message for a container connected elsewhere is
+// published to the owning instance, which delivers it over its local socket.
+// Without Redis every instance only sees its own connections, and undelivered
+// messages stay in the pending queue until the container reconnects.
+import crypto from "crypto";
+import os from "os";
+import { getRedisClient, isRedisConnected } from "./redis.js";
+
+// Identifies this relay instance in presence records and channel names
+export const INSTANCE_ID =
+  process.env.RELAY_INSTANCE_ID || `${os.hostname()}-${crypto.randomBytes(4).toString("hex")}`;
+
+// Presence entries expire unless refreshed, so a crashed instance stops owning containers
+const PRESENCE_TTL_MS = 90 * 1000;
+const PRESENCE_HEARTBEAT_MS = 30 * 1000;
+
+const BROADCAST_CHANNEL = "ocmt:relay:broadcast";
+
+let subscriber = null;
+let heartbeatInterval = null;
+let handlers = null;
+
+/**
+ * Redis key formats:
+ * ocmt:relay:presence:{userId}  - sorted set of instanceId scored by expiry (ms)
+ * ocmt:relay:instance:{instanceId} - pub/sub channel for one instance
+ */
+function presenceKey(userId) {
+  return `ocmt:relay:presence:${userId}`;
+}
+
+function instanceChannel(instanceId) {
+  return `ocmt:relay:instance:${instanceId}`;
+}
+
+function connectedClient() {
+  const redis = getRedisClient();
+  return redis && isRedisConnected() ? redis : null;
+}
+
+function handleChannelMessage(channel, raw) {
+  let event;
+  try {
+    event = JSON.parse(raw);
+  } catch {
+    console.warn(`[fanout] Ignoring malformed message on ${channel}`);
+    return;
+  }
+
+  if (channel === BROADCAST_CHANNEL) {
+    // The publishing instance already delivered to its own connections
+    if (event.origin !== INSTANCE_ID) {
+      handlers.broadcastLocal(event.frame);
+    }
+    return;
+  }
+
+  if (!handlers.deliverLocal(event.userId, event.frame)) {
+    // Left the pending queue to catch it; the container gets it on reconnect
+    console.log(`[fanout] ${event.userId.slice(0, 8)} no longer connected here, left pending`);
+  }
+}
+
+/**
+ * Start cross-instance delivery
+ * Subscribes to this instance's channel and the broadcast channel, and refreshes
+ * presence for locally connected containers. No-op when Redis is not configured.
+ * @param {Object} localHandlers
+ * @param {(userId: string, frame: string) => boolean} localHandlers.deliverLocal
+ * @param {(frame: string) => number} localHandlers.broadcastLocal
+ * @param {() => string[]} localHandlers.getLocalUserIds
+ */
+export function initFanout(localHandlers) {
+  handlers = localHandlers;
+
+  const redis = getRedisClient();
+  if (!redis) {
+    console.log("[fanout] Redis not configured, delivery limited to this instance");
+    return;
+  }
+
+  // A subscribed connection cannot run other commands, so use a dedicated one
+  subscriber = redis.duplicate();
+  subscriber.on("message", handleChannelMessage);
+  subscriber.on("error", (err) => {
+    console.error("[fanout] Subscriber error:", err.message);
+  });
+  subscriber.subscribe(instanceChannel(INSTANCE_ID), BROADCAST_CHANNEL).catch((err) => {
+    console.error("[fanout] Failed to subscribe:", err.message);
+  });
+
+  heartbeatInterval = setInterval(() => {
+    for (const userId of handlers.getLocalUserIds()) {
+      markPresent(userId);
+    }
+  }, PRESENCE_HEARTBEAT_MS);
+  heartbeatInterval.unref(); // Don't prevent process exit
+
+  console.log(`[fanout] Cross-instance delivery enabled (instance ${INSTANCE_ID})`);
+}
+
+/**
+ * Record that a container is connected to this instance
+ * @param {string} userId - Container ID
+ */
+export async function markPresent(userId) {
+  const redis = connectedClient();
+  if (!redis) {
+    return;
+  }
+
+  try {
+    const key = presenceKey(userId);
+    const now = Date.now();
+    await redis
+      .multi()
+      .zadd(key, now + PRESENCE_TTL_MS, INSTANCE_ID)
+      .zremrangebyscore(key, "-inf", now)
+      .pexpire(key, PRESENCE_TTL_MS)
+      .exec();
+  } catch (err) {
+    console.warn(`[fanout] Failed to record presence: ${err.message}`);
+  }
+}
+
+/**
+ * Record that a container has no more connections on this instance
+ * @param {string} userId - Container ID
+ */
+export async function markAbsent(userId) {
+  const redis = connectedClient();
+  if (!redis) {
+    return;
+  }
+
+  try {
+    await redis.zrem(presenceKey(userId), INSTANCE_ID);
+  } catch (err) {
+    console.warn(`[fanout] Failed to clear presence: ${err.message}`);
+  }
+}
+
+/**
+ * List other instances a container is currently connected to
+ * @param {string} userId - Container ID
+ * @returns {Promise<string[]>} Instance IDs (empty when Redis is unavailable)
+ */
+export async function findRemoteInstances(userId) {
+  const redis = connectedClient();
+  if (!redis) {
+    return [];
+  }
+
+  try {
+    const instances = await redis.zrangebyscore(presenceKey(userId), Date.now(), "+inf");
+    return instances.filter((instanceId) => instanceId !== INSTANCE_ID);
+  } catch (err) {
+    console.warn(`[fanout] Presence lookup failed: ${err.message}`);
+    return [];
+  }
+}
+
+/**
+ * Hand a WebSocket frame to the instances a container is connected to
+ * Instances that no longer listen on their channel are dropped from presence.
+ * @param {string} userId - Container ID
+ * @param {string} frame - Serialized WebSocket frame
+ * @returns {Promise<boolean>} True if at least one instance received it
+ */
+export async function publishToContainer(userId, frame) {
+  const instances = await findRemoteInstances(userId);
+  const redis = connectedClient();
+  if (!redis || instances.length === 0) {
+    return false;
+  }
+
+  let published = false;
+  for (const instanceId of instances) {
+    try {
+      const receivers = await redis.publish(
+        instanceChannel(instanceId),
+        JSON.stringify({ userId, frame }),
+      );
+      if (receivers > 0) {
+        published = true;
+      } else {
+        await redis.zrem(presenceKey(userId), instanceId);
+        console.warn(`[fanout] Instance ${instanceId} is gone, removed stale presence`);
+      }
+    } catch (err) {
+      console.warn(`[fanout] Publish to ${instanceId} failed: ${err.message}`);
+    }
+  }
+
+  return published;
+}
+
+/**
+ * Hand a frame to every other instance for delivery to all their connections
+ * @param {string} frame - Serialized WebSocket frame
+ */
+export async function publishBroadcast(frame) {
+  const redis = connectedClient();
+  if (!redis) {
+    return;
+  }
+
+  try {
+    await redis.publish(BROADCAST_CHANNEL, JSON.stringify({ origin: INSTANCE_ID, frame }));
+  } catch (err) {
+    console.warn(`[fanout] Broadcast publish failed: ${err.message}`);
+  }
+}
+
+/**
+ * Stop cross-instance delivery and give up presence for local connections
+ * Call during shutdown so other instances stop routing here.
+ */
+export async function closeFanout() {
+  if (heartbeatInterval) {
+    clearInterval(heartbeatInterval);
+    heartbeatInterval = null;
+  }
+
+  if (handlers) {
+    await Promise.all(handlers.getLocalUserIds().map((userId) => markAbsent(userId)));
+  }
+
+  if (subscriber) {
+    try {
+      await subscriber.quit();
+    } catch {
+      subscriber.disconnect();
+    }
+    subscriber = null;
+  }
+}
+
+/**
+ * Get fan-out status for health checks
+ */
+export function getFanoutStatus() {
+  return {
+    instanceId: INSTANCE_ID,
+    enabled: subscriber?.status === "ready" && isRedisConnected(),
+  };
+}
+
+export default {
+  INSTANCE_ID,
+  initFanout,
+  markPresent,
+  markAbsent,
+  findRemoteInstances,
+  publishToContainer,
+  publishBroadcast,
+  closeFanout,
+  getFanoutStatus,
+};
@@ -0,0 +1,182 @@
+// Tests for cross-instance presence and publish fallback
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("./redis.js", () => ({
+  getRedisClient: vi.fn(),
+  isRedisConnected: vi.fn(),
+}));
+
+const { getRedisClient, isRedisConnected } = await import("./redis.js");
+const {
+  INSTANCE_ID,
+  markPresent,
+  markAbsent,
+  findRemoteInstances,
+  publishToContainer,
+  publishBroadcast,
+} = await import("./fanout.js");
+
+const userId = "0b7c6d1e-2f3a-4b5c-8d9e-0f1a2b3c4d5e";
+const presenceKey = `ocmt:relay:presence:${userId}`;
+
+function mockRedis() {
+  const transaction = {
+    zadd: vi.fn().mockReturnThis(),
+    zremrangebyscore: vi.fn().mockReturnThis(),
+    pexpire: vi.fn().mockReturnThis(),
+    exec: vi.fn().mockResolvedValue([]),
+  };
+  return {
+    transaction,
+    multi: vi.fn(() => transaction),
+    zrem: vi.fn().mockResolvedValue(1),
+    zrangebyscore: vi.fn().mockResolvedValue([]),
+    publish: vi.fn().mockResolvedValue(1),
+  };
+}
+
+describe("fanout", () => {
+  let redis;
+
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    redis = mockRedis();
+    getRedisClient.mockReturnValue(redis);
+    isRedisConnected.mockReturnValue(true);
+  });
+
+  describe("presence", () => {
+    it("should record this instance with an expiry", async () => {
+      const before = Date.now();
+
+      await markPresent(userId);
+
+      const [key, score, member] = redis.transaction.zadd.mock.calls[0];
+      expect(key).toBe(presenceKey);
+      expect(member).toBe(INSTANCE_ID);
+      expect(score).toBeGreaterThan(before);
+      expect(redis.transaction.zremrangebyscore).toHaveBeenCalledWith(
+        presenceKey,
+        "-inf",
+        expect.any(Number),
+      );
+      expect(redis.transaction.pexpire).toHaveBeenCalledWith(presenceKey, expect.any(Number));
+      expect(redis.transaction.exec).toHaveBeenCalled();
+    });
+
+    it("should remove this instance on disconnect", async () => {
+      await markAbsent(userId);
+
+      expect(redis.zrem).toHaveBeenCalledWith(presenceKey, INSTANCE_ID);
+    });
+
+    it("should not throw when Redis fails", async () => {
+      redis.transaction.exec.mockRejectedValue(new Error("READONLY"));
+      redis.zrem.mockRejectedValue(new Error("READONLY"));
+
+      await expect(markPresent(userId)).resolves.toBeUndefined();
+      await expect(markAbsent(userId)).resolves.toBeUndefined();
+      expect(console.warn).toHaveBeenCalledTimes(2);
+    });
+
+    it("should do nothing while Redis is disconnected", async () => {
+      isRedisConnected.mockReturnValue(false);
+
+      await markPresent(userId);
+      await markAbsent(userId);
+
+      expect(redis.multi).not.toHaveBeenCalled();
+      expect(redis.zrem).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("findRemoteInstances", () => {
+    it("should list unexpired instances other than this one", async () => {
+      redis.zrangebyscore.mockResolvedValue([INSTANCE_ID, "relay-b", "relay-c"]);
+
+      expect(await findRemoteInstances(userId)).toEqual(["relay-b", "relay-c"]);
+
+      const [key, min, max] = redis.zrangebyscore.mock.calls[0];
+      expect(key).toBe(presenceKey);
+      expect(min).toBeLessThanOrEqual(Date.now());
+      expect(max).toBe("+inf");
+    });
+
+    it("should return nothing without Redis", async () => {
+      getRedisClient.mockReturnValue(null);
+
+      expect(await findRemoteInstances(userId)).toEqual([]);
+    });
+
+    it("should return nothing when the lookup fails", async () => {
+      redis.zrangebyscore.mockRejectedValue(new Error("ECONNRESET"));
+
+      expect(await findRemoteInstances(userId)).toEqual([]);
+      expect(console.warn).toHaveBeenCalled();
+    });
+  });
+
+  describe("publishToContainer", () => {
+    it("should publish to each owning instance", async () => {
+      redis.zrangebyscore.mockResolvedValue(["relay-b"]);
+
+      expect(await publishToContainer(userId, '{"type":"message"}')).toBe(true);
+
+      expect(redis.publish).toHaveBeenCalledWith(
+        "ocmt:relay:instance:relay-b",
+        JSON.stringify({ userId, frame: '{"type":"message"}' }),
+      );
+    });
+
+    it("should fall back to the pending queue when no instance owns the container", async () => {
+      redis.zrangebyscore.mockResolvedValue([INSTANCE_ID]);
+
+      expect(await publishToContainer(userId, "{}")).toBe(false);
+      expect(redis.publish).not.toHaveBeenCalled();
+    });
+
+    it("should fall back to the pending queue without Redis", async () => {
+      isRedisConnected.mockReturnValue(false);
+
+      expect(await publishToContainer(userId, "{}")).toBe(false);
+      expect(redis.publish).not.toHaveBeenCalled();
+    });
+
+    it("should drop presence for instances nobody listens for", async () => {
+      redis.zrangebyscore.mockResolvedValue(["relay-gone", "relay-b"]);
+      redis.publish.mockResolvedValueOnce(0).mockResolvedValueOnce(1);
+
+      expect(await publishToContainer(userId, "{}")).toBe(true);
+
+      expect(redis.zrem).toHaveBeenCalledTimes(1);
+      expect(redis.zrem).toHaveBeenCalledWith(presenceKey, "relay-gone");
+    });
+
+    it("should report undelivered when every publish fails or is unheard", async () => {
+      redis.zrangebyscore.mockResolvedValue(["relay-gone", "relay-b"]);
+      redis.publish.mockResolvedValueOnce(0).mockRejectedValueOnce(new Error("ECONNRESET"));
+
+      expect(await publishToContainer(userId, "{}")).toBe(false);
+      expect(redis.zrem).toHaveBeenCalledWith(presenceKey, "relay-gone");
+    });
+  });
+
+  describe("publishBroadcast", () => {
+    it("should tag the broadcast with this instance", async () => {
+      await publishBroadcast('{"type":"announcement"}');
+
+      expect(redis.publish).toHaveBeenCalledWith(
+        "ocmt:relay:broadcast",
+        JSON.stringify({ origin: INSTANCE_ID, frame: '{"type":"announcement"}' }),
+      );
+    });
+
+    it("should not throw when the publish fails", async () => {
+      redis.publish.mockRejectedValue(new Error("ECONNRESET"));
+
+      await expect(publishBroadcast("{}")).resolves.toBeUndefined();
+      expect(console.warn).toHaveBeenCalled();
+    });
+  });
+});
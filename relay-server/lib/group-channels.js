@@ -0,0 +1,263 @@
+/**
+ * Group Channels
+ *
+ * Lets a container post one message to every member of an OCMT group. The relay
+ * keeps a channel per group whose members are copied from group_memberships
+ * (management server) and refreshed before every broadcast, so someone removed
+ * from a group stops receiving immediately.
+ *
+ * The relay stays zero-knowledge: the sender encrypts the message separately for
+ * each recipient (using the keys from GET /relay/groups/:groupId/members) and the
+ * relay fans out one envelope per recipient as a regular relay message. Each
+ * recipient's copy has its own delivery state, TTL and receipts.
+ *
+ * Posting needs a capability for the group channel:
+ *   resource: "relay:group:<groupId>", scope including "broadcast",
+ *   sub: the sender's registered public key, issued (iss) by a group admin's container.
+ * Rotated keys are accepted while inside their overlap window.
+ */
+import { groupChannels, groupMemberships, messages } from "../db/index.js";
+import { deliverMessage, describeMessage } from "./delivery.js";
+
+// How long a channel's copy of the membership is trusted for reads
+export const GROUP_SYNC_MAX_AGE_SECONDS = parseInt(
+  process.env.RELAY_GROUP_SYNC_SECONDS || "60",
+  10,
+);
+
+// Capability resource prefix and scope for posting to a group channel
+export const GROUP_RESOURCE_PREFIX = "relay:group:";
+export const BROADCAST_SCOPE = "broadcast";
+
+// Recipients delivered to at once while fanning out
+const FANOUT_CONCURRENCY = 10;
+
+function channelError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Copy the group's current memberships into its channel
+ * @param {string} groupId - OCMT group ID
+ * @returns {Promise<{ added: string[], removed: string[] }>}
+ */
+export async function syncChannel(groupId) {
+  const memberships = await groupMemberships.listByGroup(groupId);
+  const changes = await groupChannels.sync(
+    groupId,
+    memberships.map((membership) => ({ containerId: membership.user_id, role: membership.role })),
+  );
+
+  if (changes.added.length > 0 || changes.removed.length > 0) {
+    console.log(
+      `[group-channels] Channel ${groupId.slice(0, 8)} synced: +${changes.added.length} -${changes.removed.length}`,
+    );
+  }
+  return changes;
+}
+
+/**
+ * Get a channel's members, syncing from group_memberships when the copy is stale
+ * @param {string} groupId - OCMT group ID
+ * @param {Object} [options]
+ * @param {number} [options.maxAgeSeconds] - Sync if the last sync is older (0 always syncs)
+ * @returns {Promise<Object[]>} Member rows with registered keys
+ */
+export async function loadChannelMembers(
+  groupId,
+  { maxAgeSeconds = GROUP_SYNC_MAX_AGE_SECONDS } = {},
+) {
+  const channel = await groupChannels.findByGroupId(groupId);
+  const age = channel ? (Date.now() - new Date(channel.synced_at).getTime()) / 1000 : Infinity;
+  if (age >= maxAgeSeconds) {
+    await syncChannel(groupId);
+  }
+  return groupChannels.listMembers(groupId);
+}
+
+/**
+ * Check that a capability lets the sender post to the group channel
+ * @param {Object} capability - Decoded capability token
+ * @param {string} groupId - OCMT group ID
+ * @param {string} senderId - Sending container
+ * @param {Object[]} members - Current channel members
+ * @throws {Error} code NOT_A_MEMBER, SENDER_NOT_REGISTERED, WRONG_RESOURCE, MISSING_SCOPE,
+ *   WRONG_SUBJECT or UNTRUSTED_ISSUER
+ */
+export function checkBroadcastCapability(capability, groupId, senderId, members) {
+  const sender = members.find((member) => member.container_id === senderId);
+  if (!sender) {
+    throw channelError("Sender is not a member of this group", "NOT_A_MEMBER");
+  }
+  if (sender.public_keys.length === 0) {
+    throw channelError("Sender is not registered with the relay", "SENDER_NOT_REGISTERED");
+  }
+
+  if (capability.resource !== `${GROUP_RESOURCE_PREFIX}${groupId}`) {
+    throw channelError("Capability was not issued for this group channel", "WRONG_RESOURCE");
+  }
+  const scope = Array.isArray(capability.scope) ? capability.scope : [capability.scope];
+  if (!scope.includes(BROADCAST_SCOPE)) {
+    throw channelError(`Capability does not grant "${BROADCAST_SCOPE}"`, "MISSING_SCOPE");
+  }
+  if (!sender.public_keys.includes(capability.sub)) {
+    throw channelError("Capability was issued to a different container", "WRONG_SUBJECT");
+  }
+
+  // Only a group admin's container can hand out posting rights
+  const issuer = members.find((member) => member.public_keys.includes(capability.iss));
+  if (!issuer || issuer.role !== "admin") {
+    throw channelError("Capability was not issued by a group admin", "UNTRUSTED_ISSUER");
+  }
+}
+
+/**
+ * Match the sender's per-recipient envelopes to the channel members
+ * Members the sender has no envelope for (e.g. not registered yet) are skipped.
+ * @param {Object[]} members - Current channel members
+ * @param {string} senderId - Sending container (never a recipient)
+ * @param {Array<{ toContainerId: string }>} envelopes
+ * @returns {{ recipients: Object[], skipped: string[] }}
+ * @throws {Error} code NOT_A_RECIPIENT, DUPLICATE_RECIPIENT or NO_RECIPIENTS
+ */
+export function planBroadcast(members, senderId, envelopes) {
+  const memberIds = new Set(
+    members.map((member) => member.container_id).filter((containerId) => containerId !== senderId),
+  );
+  const seen = new Set();
+
+  for (const envelope of envelopes) {
+    if (!memberIds.has(envelope.toContainerId)) {
+      throw channelError(
+        `${envelope.toContainerId} is not a member of this group`,
+        "NOT_A_RECIPIENT",
+      );
+    }
+    if (seen.has(envelope.toContainerId)) {
+      throw channelError(
+        `More than one envelope for ${envelope.toContainerId}`,
+        "DUPLICATE_RECIPIENT",
+      );
+    }
+    seen.add(envelope.toContainerId);
+  }
+
+  if (envelopes.length === 0) {
+    throw channelError("No recipients", "NO_RECIPIENTS");
+  }
+
+  return {
+    recipients: envelopes,
+    skipped: [...memberIds].filter((containerId) => !seen.has(containerId)),
+  };
+}
+
+/**
+ * Store one relay message per recipient for a broadcast
+ * @param {Object} broadcast - Row from relay_broadcasts
+ * @param {Object[]} recipients - Envelopes from planBroadcast
+ * @param {Object} options
+ * @param {string} [options.signature] - Sender's signature over the broadcast
+ * @param {number} options.ttlSeconds - TTL of every copy
+ * @returns {Promise<Object[]>} Stored messages
+ */
+export async function storeBroadcastMessages(broadcast, recipients, { signature, ttlSeconds }) {
+  const stored = [];
+  for (const recipient of recipients) {
+    const envelope = JSON.stringify({
+      type: "group_broadcast",
+      broadcastId: broadcast.id,
+      groupId: broadcast.group_id,
+      capabilityId: broadcast.capability_id,
+      fromContainerId: broadcast.from_container_id,
+      encryptedPayload: recipient.encryptedPayload,
+      nonce: recipient.nonce,
+      senderSignature: signature,
+      timestamp: new Date().toISOString(),
+    });
+
+    stored.push(
+      await messages.create({
+        fromContainerId: broadcast.from_container_id,
+        toContainerId: recipient.toContainerId,
+        payloadEncrypted: envelope,
+        ttlSeconds,
+        broadcastId: broadcast.id,
+      }),
+    );
+  }
+  return stored;
+}
+
+/**
+ * Deliver a broadcast's messages a few recipients at a time
+ * Failures leave the message queued; the sender follows progress through receipts.
+ * @param {Object[]} stored - Messages from storeBroadcastMessages
+ * @param {Object} [options]
+ * @param {string} [options.ipAddress] - Sender IP (audit)
+ * @returns {Promise<{ delivered: number, queued: number }>}
+ */
+export async function fanOutBroadcast(stored, { ipAddress } = {}) {
+  const counts = { delivered: 0, queued: 0 };
+  let next = 0;
+
+  async function worker() {
+    while (next < stored.length) {
+      const message = stored[next++];
+      try {
+        const delivery = await deliverMessage(message, { ipAddress });
+        counts[delivery.status === "queued" ? "queued" : "delivered"]++;
+      } catch (err) {
+        counts.queued++;
+        console.error(
+          `[group-channels] Delivery of ${message.id.slice(0, 8)} failed:`,
+          err.message,
+        );
+      }
+    }
+  }
+
+  await Promise.all(
+    Array.from({ length: Math.min(FANOUT_CONCURRENCY, stored.length) }, () => worker()),
+  );
+  return counts;
+}
+
+/**
+ * Sender-visible view of a broadcast and each recipient's delivery state
+ * @param {Object} broadcast - Row from relay_broadcasts
+ * @param {Object[]} rows - Rows from messages.listByBroadcast
+ */
+export function describeBroadcast(broadcast, rows) {
+  const recipients = rows.map(describeMessage);
+  const summary = {};
+  for (const recipient of recipients) {
+    summary[recipient.status] = (summary[recipient.status] || 0) + 1;
+  }
+
+  return {
+    broadcastId: broadcast.id,
+    groupId: broadcast.group_id,
+    capabilityId: broadcast.capability_id,
+    recipientCount: broadcast.recipient_count,
+    createdAt: broadcast.created_at,
+    expiresAt: broadcast.expires_at,
+    summary,
+    recipients,
+  };
+}
+
+export default {
+  GROUP_SYNC_MAX_AGE_SECONDS,
+  GROUP_RESOURCE_PREFIX,
+  BROADCAST_SCOPE,
+  syncChannel,
+  loadChannelMembers,
+  checkBroadcastCapability,
+  planBroadcast,
+  storeBroadcastMessages,
+  fanOutBroadcast,
+  describeBroadcast,
+};
@@ -0,0 +1,125 @@
+// Tests for group channel posting rights and broadcast planning
+import { describe, it, expect, vi } from "vitest";
+
+vi.mock("../db/index.js", () => ({
+  groupChannels: {},
+  groupMemberships: {},
+  messages: {},
+}));
+
+vi.mock("./delivery.js", () => ({
+  deliverMessage: vi.fn(),
+  describeMessage: vi.fn(),
+}));
+
+const { GROUP_RESOURCE_PREFIX, BROADCAST_SCOPE, checkBroadcastCapability, planBroadcast } =
+  await import("./group-channels.js");
+
+const groupId = "11111111-2222-4333-8444-555555555555";
+
+const members = [
+  { container_id: "admin", role: "admin", public_keys: ["admin-key"] },
+  { container_id: "sender", role: "member", public_keys: ["sender-key", "sender-old-key"] },
+  { container_id: "member", role: "member", public_keys: ["member-key"] },
+  { container_id: "unregistered", role: "member", public_keys: [] },
+];
+
+function capability(overrides = {}) {
+  return {
+    iss: "admin-key",
+    sub: "sender-key",
+    resource: `${GROUP_RESOURCE_PREFIX}${groupId}`,
+    scope: [BROADCAST_SCOPE],
+    ...overrides,
+  };
+}
+
+function expectCode(fn, code) {
+  expect(fn).toThrow(expect.objectContaining({ code }));
+}
+
+describe("checkBroadcastCapability", () => {
+  it("should accept an admin-issued broadcast capability for the sender", () => {
+    expect(() => checkBroadcastCapability(capability(), groupId, "sender", members)).not.toThrow();
+  });
+
+  it("should accept a string scope and a rotated sender key", () => {
+    const rotated = capability({ sub: "sender-old-key", scope: BROADCAST_SCOPE });
+
+    expect(() => checkBroadcastCapability(rotated, groupId, "sender", members)).not.toThrow();
+  });
+
+  it("should reject senders outside the group", () => {
+    expectCode(
+      () => checkBroadcastCapability(capability(), groupId, "outsider", members),
+      "NOT_A_MEMBER",
+    );
+  });
+
+  it("should reject senders without a registered key", () => {
+    expectCode(
+      () => checkBroadcastCapability(capability(), groupId, "unregistered", members),
+      "SENDER_NOT_REGISTERED",
+    );
+  });
+
+  it("should reject capabilities for another resource", () => {
+    const other = capability({ resource: `${GROUP_RESOURCE_PREFIX}another-group` });
+
+    expectCode(() => checkBroadcastCapability(other, groupId, "sender", members), "WRONG_RESOURCE");
+  });
+
+  it("should reject capabilities without the broadcast scope", () => {
+    const readOnly = capability({ scope: ["read"] });
+
+    expectCode(
+      () => checkBroadcastCapability(readOnly, groupId, "sender", members),
+      "MISSING_SCOPE",
+    );
+  });
+
+  it("should reject capabilities issued to another container", () => {
+    const forMember = capability({ sub: "member-key" });
+
+    expectCode(
+      () => checkBroadcastCapability(forMember, groupId, "sender", members),
+      "WRONG_SUBJECT",
+    );
+  });
+
+  it("should reject capabilities not issued by a group admin", () => {
+    for (const iss of ["member-key", "stranger-key"]) {
+      expectCode(
+        () => checkBroadcastCapability(capability({ iss }), groupId, "sender", members),
+        "UNTRUSTED_ISSUER",
+      );
+    }
+  });
+});
+
+describe("planBroadcast", () => {
+  it("should skip members without an envelope and never include the sender", () => {
+    const envelopes = [{ toContainerId: "admin" }, { toContainerId: "member" }];
+
+    expect(planBroadcast(members, "sender", envelopes)).toEqual({
+      recipients: envelopes,
+      skipped: ["unregistered"],
+    });
+  });
+
+  it("should reject envelopes for non-members or the sender", () => {
+    for (const toContainerId of ["outsider", "sender"]) {
+      expectCode(() => planBroadcast(members, "sender", [{ toContainerId }]), "NOT_A_RECIPIENT");
+    }
+  });
+
+  it("should reject more than one envelope per recipient", () => {
+    const envelopes = [{ toContainerId: "member" }, { toContainerId: "member" }];
+
+    expectCode(() => planBroadcast(members, "sender", envelopes), "DUPLICATE_RECIPIENT");
+  });
+
+  it("should reject a broadcast without envelopes", () => {
+    expectCode(() => planBroadcast(members, "sender", []), "NO_RECIPIENTS");
+  });
+});
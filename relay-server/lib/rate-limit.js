@@ -325,6 +325,17 @@ export const messageSendLimiter = createRateLimiter({
   message: "Message rate limit exceeded. Please slow down.",
 });
 
+// Transfer limiter: 600 requests per minute per container
+// Chunked transfers make one request per chunk, so they are kept out of the
+// general API budget and limited per container instead
+export const transferLimiter = createRateLimiter({
+  name: "transfer",
+  windowMs: 60 * 1000,
+  maxRequests: 600,
+  keyGenerator: (req) => req.container?.userId || getClientIp(req),
+  message: "Transfer rate limit exceeded. Please slow down.",
+});
+
 // Revocation check limiter: 500 requests per minute per IP
 // (used for checking if tokens are revoked)
 export const revocationCheckLimiter = createRateLimiter({
@@ -339,6 +350,7 @@ export default {
   getClientIp,
   generalApiLimiter,
   messageSendLimiter,
+  transferLimiter,
   revocationCheckLimiter,
   getRateLimitStatus,
   resetRateLimit,
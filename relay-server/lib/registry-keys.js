@@ -0,0 +1,193 @@
+/**
+ * Registry Key History
+ *
+ * A container's Ed25519 identity key can be rotated without breaking peers that
+ * cached the old key or its hash:
+ *
+ * - The old key signs a handover statement naming the new key, and the new key
+ *   signs the same statement to prove possession. Peers can verify the chain
+ *   themselves from the lookup response; they don't have to trust the relay.
+ * - The old key stays valid for an overlap window, then expires.
+ * - A compromised key is revoked through capability_revocations under the ID
+ *   "key:<publicKeyHash>", which takes effect immediately, overlap or not.
+ */
+import { createPublicKey, createHash, verify } from "crypto";
+import { capabilityRevocations } from "../db/index.js";
+
+// Ed25519 SPKI prefix for DER-encoded public keys
+const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+
+// Revocation ID prefix for keys in capability_revocations
+export const KEY_REVOCATION_PREFIX = "key:";
+
+// How long a rotated-out key stays valid by default
+export const DEFAULT_KEY_OVERLAP_SECONDS = parseInt(
+  process.env.RELAY_KEY_OVERLAP_SECONDS || String(7 * 24 * 60 * 60),
+  10,
+);
+
+/**
+ * Hash a public key to create a lookup key.
+ * Uses first 32 characters of SHA-256 hash for efficient indexing.
+ */
+export function hashPublicKey(publicKeyBase64) {
+  return createHash("sha256")
+    .update(Buffer.from(publicKeyBase64, "base64"))
+    .digest("hex")
+    .slice(0, 32);
+}
+
+/**
+ * Verify a public key is valid Ed25519 format
+ */
+export function isValidPublicKey(publicKeyBase64) {
+  try {
+    const rawKey = Buffer.from(publicKeyBase64, "base64");
+    if (rawKey.length !== 32) {
+      return false;
+    }
+    // Try to create a KeyObject to validate the key
+    const spkiDer = Buffer.concat([ED25519_SPKI_PREFIX, rawKey]);
+    createPublicKey({ key: spkiDer, type: "spki", format: "der" });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Verify a signature to prove public key ownership
+ */
+export function verifyOwnership(publicKeyBase64, challenge, signatureBase64) {
+  try {
+    const rawKey = Buffer.from(publicKeyBase64, "base64");
+    if (rawKey.length !== 32) {
+      return false;
+    }
+
+    const spkiDer = Buffer.concat([ED25519_SPKI_PREFIX, rawKey]);
+    const publicKey = createPublicKey({ key: spkiDer, type: "spki", format: "der" });
+
+    const signatureBuffer = Buffer.from(signatureBase64, "base64");
+    if (signatureBuffer.length !== 64) {
+      return false;
+    }
+
+    // Ed25519 signs the message itself, so there is no digest to pick (createVerify needs one)
+    return verify(null, Buffer.from(challenge), publicKey, signatureBuffer);
+  } catch (err) {
+    console.error("[registry-keys] Ownership verification failed:", err.message);
+    return false;
+  }
+}
+
+/**
+ * Revocation ID of a key in capability_revocations
+ * @param {string} publicKeyHash - Hash from hashPublicKey
+ */
+export function keyRevocationId(publicKeyHash) {
+  return `${KEY_REVOCATION_PREFIX}${publicKeyHash}`;
+}
+
+/**
+ * The statement both keys sign when a key is rotated
+ * @returns {string} Canonical JSON
+ */
+export function buildHandoverStatement({
+  containerId,
+  previousPublicKey,
+  newPublicKey,
+  timestamp,
+}) {
+  return JSON.stringify({
+    action: "rotate_key",
+    containerId,
+    previousPublicKey,
+    newPublicKey,
+    timestamp,
+  });
+}
+
+/**
+ * Current state of a key from its history row and revocation
+ * @returns {"active"|"rotated"|"expired"|"revoked"}
+ */
+function keyStatus(row, revocation) {
+  if (revocation?.revoked) {
+    return "revoked";
+  }
+  if (row.status === "rotated" && (!row.valid_until || new Date(row.valid_until) <= new Date())) {
+    return "expired";
+  }
+  return row.status;
+}
+
+/**
+ * Key history of a container as returned by lookups, newest first
+ * Revocations are read straight from capability_revocations so they apply at once.
+ * @param {Object[]} rows - Rows from containerKeys.listByContainer
+ */
+export async function describeKeyHistory(rows) {
+  const revocations = await capabilityRevocations.batchCheckRevoked(
+    rows.map((row) => keyRevocationId(row.public_key_hash)),
+  );
+
+  return rows.map((row) => {
+    const revocation = revocations[keyRevocationId(row.public_key_hash)];
+    const status = keyStatus(row, revocation);
+    return {
+      publicKey: row.public_key,
+      publicKeyHash: row.public_key_hash,
+      status,
+      valid: status === "active" || status === "rotated",
+      createdAt: row.created_at,
+      rotatedAt: row.rotated_at || null,
+      validUntil: row.valid_until || null,
+      revokedAt: revocation?.revokedAt || null,
+      previousPublicKeyHash: row.previous_public_key_hash || null,
+      handover: row.handover_statement
+        ? { statement: row.handover_statement, signature: row.handover_signature }
+        : null,
+    };
+  });
+}
+
+/**
+ * Whether a public key is currently valid for a container: its active key, or a
+ * rotated key still inside its overlap window, and not revoked
+ * @param {Object[]} rows - Rows from containerKeys.listByContainer
+ * @param {string} publicKey - Base64 public key
+ */
+export async function isValidKeyOf(rows, publicKey) {
+  const history = await describeKeyHistory(rows.filter((row) => row.public_key === publicKey));
+  return history.some((key) => key.valid);
+}
+
+/**
+ * Whether a public key may revoke one of its container's keys
+ * The active key may revoke any key of the container; a rotated key still inside
+ * its overlap window may only revoke itself, so a superseded key cannot take down
+ * its successor.
+ * @param {Object[]} rows - Rows from containerKeys.listByContainer
+ * @param {string} publicKeyHash - Hash of the key being revoked
+ * @param {string} publicKey - Base64 public key that signed the revocation
+ */
+export async function canRevokeKey(rows, publicKeyHash, publicKey) {
+  const history = await describeKeyHistory(rows.filter((row) => row.public_key === publicKey));
+  return history.some(
+    (key) => key.status === "active" || (key.valid && key.publicKeyHash === publicKeyHash),
+  );
+}
+
+export default {
+  KEY_REVOCATION_PREFIX,
+  DEFAULT_KEY_OVERLAP_SECONDS,
+  hashPublicKey,
+  isValidPublicKey,
+  verifyOwnership,
+  keyRevocationId,
+  buildHandoverStatement,
+  describeKeyHistory,
+  isValidKeyOf,
+  canRevokeKey,
+};
@@ -0,0 +1,256 @@
+// Tests for registry key handovers and key history
+import { generateKeyPairSync, sign } from "crypto";
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("../db/index.js", () => ({
+  capabilityRevocations: {
+    batchCheckRevoked: vi.fn(),
+  },
+}));
+
+const { capabilityRevocations } = await import("../db/index.js");
+const {
+  buildHandoverStatement,
+  canRevokeKey,
+  describeKeyHistory,
+  hashPublicKey,
+  isValidKeyOf,
+  keyRevocationId,
+  verifyOwnership,
+} = await import("./registry-keys.js");
+
+function makeKey() {
+  const { publicKey, privateKey } = generateKeyPairSync("ed25519");
+  const raw = publicKey.export({ type: "spki", format: "der" }).subarray(12);
+  return {
+    publicKey: raw.toString("base64"),
+    sign: (statement) => sign(null, Buffer.from(statement), privateKey).toString("base64"),
+  };
+}
+
+function keyRow(key, overrides = {}) {
+  return {
+    public_key: key.publicKey,
+    public_key_hash: hashPublicKey(key.publicKey),
+    status: "active",
+    created_at: "2026-01-01T00:00:00.000Z",
+    ...overrides,
+  };
+}
+
+describe("handover statements", () => {
+  const oldKey = makeKey();
+  const newKey = makeKey();
+  const statement = buildHandoverStatement({
+    containerId: "container-1",
+    previousPublicKey: oldKey.publicKey,
+    newPublicKey: newKey.publicKey,
+    timestamp: "2026-01-01T00:00:00.000Z",
+  });
+
+  it("should build the same statement for the same handover", () => {
+    expect(JSON.parse(statement)).toEqual({
+      action: "rotate_key",
+      containerId: "container-1",
+      previousPublicKey: oldKey.publicKey,
+      newPublicKey: newKey.publicKey,
+      timestamp: "2026-01-01T00:00:00.000Z",
+    });
+    expect(
+      buildHandoverStatement({
+        timestamp: "2026-01-01T00:00:00.000Z",
+        newPublicKey: newKey.publicKey,
+        previousPublicKey: oldKey.publicKey,
+        containerId: "container-1",
+      }),
+    ).toBe(statement);
+  });
+
+  it("should verify a statement signed by both keys", () => {
+    expect(verifyOwnership(oldKey.publicKey, statement, oldKey.sign(statement))).toBe(true);
+    expect(verifyOwnership(newKey.publicKey, statement, newKey.sign(statement))).toBe(true);
+  });
+
+  it("should reject a signature from the other key", () => {
+    expect(verifyOwnership(oldKey.publicKey, statement, newKey.sign(statement))).toBe(false);
+    expect(verifyOwnership(newKey.publicKey, statement, oldKey.sign(statement))).toBe(false);
+  });
+
+  it("should reject a signature over a different statement", () => {
+    const other = buildHandoverStatement({
+      containerId: "container-2",
+      previousPublicKey: oldKey.publicKey,
+      newPublicKey: newKey.publicKey,
+      timestamp: "2026-01-01T00:00:00.000Z",
+    });
+    expect(verifyOwnership(oldKey.publicKey, other, oldKey.sign(statement))).toBe(false);
+  });
+
+  it("should reject malformed keys and signatures", () => {
+    expect(verifyOwnership("bm90LWEta2V5", statement, oldKey.sign(statement))).toBe(false);
+    expect(verifyOwnership(oldKey.publicKey, statement, "c2hvcnQ=")).toBe(false);
+  });
+});
+
+describe("describeKeyHistory", () => {
+  const activeKey = makeKey();
+  const rotatedKey = makeKey();
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    capabilityRevocations.batchCheckRevoked.mockResolvedValue({});
+  });
+
+  it("should mark the active key and a rotated key inside its overlap as valid", async () => {
+    const history = await describeKeyHistory([
+      keyRow(activeKey, { previous_public_key_hash: hashPublicKey(rotatedKey.publicKey) }),
+      keyRow(rotatedKey, {
+        status: "rotated",
+        rotated_at: "2026-01-01T00:00:00.000Z",
+        valid_until: new Date(Date.now() + 60_000).toISOString(),
+      }),
+    ]);
+
+    expect(history.map((key) => [key.status, key.valid])).toEqual([
+      ["active", true],
+      ["rotated", true],
+    ]);
+    expect(history[0].previousPublicKeyHash).toBe(hashPublicKey(rotatedKey.publicKey));
+    expect(capabilityRevocations.batchCheckRevoked).toHaveBeenCalledWith([
+      keyRevocationId(hashPublicKey(activeKey.publicKey)),
+      keyRevocationId(hashPublicKey(rotatedKey.publicKey)),
+    ]);
+  });
+
+  it("should expire a rotated key once its overlap has passed", async () => {
+    const [key] = await describeKeyHistory([
+      keyRow(rotatedKey, {
+        status: "rotated",
+        valid_until: new Date(Date.now() - 1000).toISOString(),
+      }),
+    ]);
+
+    expect(key.status).toBe("expired");
+    expect(key.valid).toBe(false);
+  });
+
+  it("should report a revoked key as invalid even inside its overlap", async () => {
+    capabilityRevocations.batchCheckRevoked.mockResolvedValue({
+      [keyRevocationId(hashPublicKey(activeKey.publicKey))]: {
+        revoked: true,
+        revokedAt: "2026-02-01T00:00:00.000Z",
+      },
+    });
+
+    const [key] = await describeKeyHistory([keyRow(activeKey)]);
+
+    expect(key.status).toBe("revoked");
+    expect(key.valid).toBe(false);
+    expect(key.revokedAt).toBe("2026-02-01T00:00:00.000Z");
+  });
+
+  it("should include the handover a key was introduced with", async () => {
+    const [key] = await describeKeyHistory([
+      keyRow(activeKey, { handover_statement: "{}", handover_signature: "sig" }),
+    ]);
+
+    expect(key.handover).toEqual({ statement: "{}", signature: "sig" });
+  });
+});
+
+describe("isValidKeyOf", () => {
+  const activeKey = makeKey();
+  const rotatedKey = makeKey();
+  const strangerKey = makeKey();
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    capabilityRevocations.batchCheckRevoked.mockResolvedValue({});
+  });
+
+  it("should accept the active key and a rotated key inside its overlap", async () => {
+    const rows = [
+      keyRow(activeKey),
+      keyRow(rotatedKey, {
+        status: "rotated",
+        valid_until: new Date(Date.now() + 60_000).toISOString(),
+      }),
+    ];
+
+    expect(await isValidKeyOf(rows, activeKey.publicKey)).toBe(true);
+    expect(await isValidKeyOf(rows, rotatedKey.publicKey)).toBe(true);
+  });
+
+  it("should refuse an expired rotated key", async () => {
+    const rows = [
+      keyRow(activeKey),
+      keyRow(rotatedKey, {
+        status: "rotated",
+        valid_until: new Date(Date.now() - 1000).toISOString(),
+      }),
+    ];
+
+    expect(await isValidKeyOf(rows, rotatedKey.publicKey)).toBe(false);
+  });
+
+  it("should refuse a revoked key", async () => {
+    capabilityRevocations.batchCheckRevoked.mockResolvedValue({
+      [keyRevocationId(hashPublicKey(activeKey.publicKey))]: { revoked: true },
+    });
+
+    expect(await isValidKeyOf([keyRow(activeKey)], activeKey.publicKey)).toBe(false);
+  });
+
+  it("should refuse a key the container never had", async () => {
+    expect(await isValidKeyOf([keyRow(activeKey)], strangerKey.publicKey)).toBe(false);
+  });
+});
+
+describe("canRevokeKey", () => {
+  const activeKey = makeKey();
+  const rotatedKey = makeKey();
+  const rows = [
+    keyRow(activeKey),
+    keyRow(rotatedKey, {
+      status: "rotated",
+      valid_until: new Date(Date.now() + 60_000).toISOString(),
+    }),
+  ];
+  const activeHash = hashPublicKey(activeKey.publicKey);
+  const rotatedHash = hashPublicKey(rotatedKey.publicKey);
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    capabilityRevocations.batchCheckRevoked.mockResolvedValue({});
+  });
+
+  it("should let the active key revoke itself or a rotated key", async () => {
+    expect(await canRevokeKey(rows, activeHash, activeKey.publicKey)).toBe(true);
+    expect(await canRevokeKey(rows, rotatedHash, activeKey.publicKey)).toBe(true);
+  });
+
+  it("should let a rotated key inside its overlap revoke only itself", async () => {
+    expect(await canRevokeKey(rows, rotatedHash, rotatedKey.publicKey)).toBe(true);
+    expect(await canRevokeKey(rows, activeHash, rotatedKey.publicKey)).toBe(false);
+  });
+
+  it("should refuse a revoked active key", async () => {
+    capabilityRevocations.batchCheckRevoked.mockResolvedValue({
+      [keyRevocationId(activeHash)]: { revoked: true },
+    });
+
+    expect(await canRevokeKey(rows, rotatedHash, activeKey.publicKey)).toBe(false);
+  });
+
+  it("should refuse an expired rotated key revoking itself", async () => {
+    const expired = [
+      keyRow(activeKey),
+      keyRow(rotatedKey, {
+        status: "rotated",
+        valid_until: new Date(Date.now() - 1000).toISOString(),
+      }),
+    ];
+
+    expect(await canRevokeKey(expired, rotatedHash, rotatedKey.publicKey)).toBe(false);
+  });
+});
@@ -65,6 +65,7 @@ export const snapshotSchema = z.object({
   signature: base64Schema,
   createdAt: isoDateSchema.optional(),
   expiresAt: isoDateSchema,
+  maxCalls: z.number().int().min(1).optional(),
 });
 
 /** Snapshot list request */
@@ -86,10 +87,22 @@ export const recipientParamSchema = z.object({
 /** UUID validation */
 export const uuidSchema = z.string().uuid("Invalid UUID format");
 
+/** Bounds for a message's time to live */
+export const MIN_MESSAGE_TTL_SECONDS = 10;
+export const MAX_MESSAGE_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/** How long a message may wait for delivery before it expires */
+export const messageTtlSchema = z
+  .number()
+  .int("TTL must be a whole number of seconds")
+  .min(MIN_MESSAGE_TTL_SECONDS, `TTL must be at least ${MIN_MESSAGE_TTL_SECONDS} seconds`)
+  .max(MAX_MESSAGE_TTL_SECONDS, `TTL must be at most ${MAX_MESSAGE_TTL_SECONDS} seconds`);
+
 /** Send message request (simple mode) */
 export const sendMessageSchema = z.object({
   toContainerId: uuidSchema,
   payload: z.string().min(1, "Payload is required"),
+  ttlSeconds: messageTtlSchema.optional(),
 });
 
 /** Capability envelope for message forwarding */
@@ -99,6 +112,84 @@ export const capabilityEnvelopeSchema = z.object({
   encryptedPayload: z.string().min(1, "Encrypted payload is required"),
   nonce: base64Schema.optional(),
   signature: base64Schema.optional(),
+  ttlSeconds: messageTtlSchema.optional(),
+});
+
+/** Message ID URL parameter */
+export const messageIdParamSchema = z.object({
+  messageId: uuidSchema,
+});
+
+/** Replay a dead-lettered message */
+export const replayDeadLetterSchema = z.object({
+  ttlSeconds: messageTtlSchema.optional(),
+});
+
+// ============================================================
+// TRANSFER SCHEMAS
+// ============================================================
+
+/** SHA-256 hex digest of an encrypted chunk */
+export const chunkHashSchema = z
+  .string()
+  .regex(/^[0-9a-f]{64}$/, "Chunk hash must be a lowercase hex SHA-256 digest");
+
+/** Start a chunked transfer - the manifest lists every chunk hash in order */
+export const createTransferSchema = z.object({
+  toContainerId: uuidSchema,
+  capabilityToken: z.string().min(1, "Capability token is required"),
+  totalSize: z.number().int().positive("Total size must be positive"),
+  chunkSize: z.number().int().positive("Chunk size must be positive"),
+  chunks: z.array(chunkHashSchema).min(1, "At least one chunk is required").max(16384),
+  metadata: z.string().max(8192).optional(),
+  ttlSeconds: messageTtlSchema.optional(),
+});
+
+/** Transfer ID URL parameter */
+export const transferIdParamSchema = z.object({
+  transferId: uuidSchema,
+});
+
+/** Transfer chunk URL parameters */
+export const transferChunkParamSchema = z.object({
+  transferId: uuidSchema,
+  hash: chunkHashSchema,
+});
+
+// ============================================================
+// GROUP CHANNEL SCHEMAS
+// ============================================================
+
+/** Most recipients a single broadcast can address */
+export const MAX_BROADCAST_RECIPIENTS = 500;
+
+/** Message encrypted for one member of the group */
+export const broadcastEnvelopeSchema = z.object({
+  toContainerId: uuidSchema,
+  encryptedPayload: z.string().min(1, "Encrypted payload is required"),
+  nonce: base64Schema.optional(),
+});
+
+/** Post to a group channel - one envelope per recipient */
+export const groupBroadcastSchema = z.object({
+  capabilityToken: z.string().min(1, "Capability token is required"),
+  envelopes: z
+    .array(broadcastEnvelopeSchema)
+    .min(1, "At least one envelope is required")
+    .max(MAX_BROADCAST_RECIPIENTS, `At most ${MAX_BROADCAST_RECIPIENTS} recipients`),
+  signature: base64Schema.optional(),
+  ttlSeconds: messageTtlSchema.optional(),
+});
+
+/** Group ID URL parameter */
+export const groupIdParamSchema = z.object({
+  groupId: uuidSchema,
+});
+
+/** Broadcast URL parameters */
+export const broadcastIdParamSchema = z.object({
+  groupId: uuidSchema,
+  broadcastId: uuidSchema,
 });
 
 // ============================================================
@@ -159,6 +250,24 @@ export const publicKeyLookupSchema = z.object({
   publicKeyHash: z.string().length(32, "Public key hash must be 32 characters"),
 });
 
+/** Longest a rotated-out key may stay valid */
+export const MAX_KEY_OVERLAP_SECONDS = 30 * 24 * 60 * 60;
+
+/** Key rotation - the current key hands over to the new one */
+export const rotateKeySchema = z.object({
+  newPublicKey: base64Schema,
+  encryptionPublicKey: base64Schema.optional(),
+  timestamp: isoDateSchema,
+  handoverSignature: base64Schema,
+  newKeySignature: base64Schema,
+  overlapSeconds: z
+    .number()
+    .int("Overlap must be a whole number of seconds")
+    .min(0)
+    .max(MAX_KEY_OVERLAP_SECONDS, `Overlap must be at most ${MAX_KEY_OVERLAP_SECONDS} seconds`)
+    .optional(),
+});
+
 // ============================================================
 // VALIDATION HELPERS
 // ============================================================
@@ -257,8 +366,23 @@ export default {
   recipientParamSchema,
 
   // Messages
+  messageTtlSchema,
   sendMessageSchema,
   capabilityEnvelopeSchema,
+  messageIdParamSchema,
+  replayDeadLetterSchema,
+
+  // Transfers
+  chunkHashSchema,
+  createTransferSchema,
+  transferIdParamSchema,
+  transferChunkParamSchema,
+
+  // Group channels
+  broadcastEnvelopeSchema,
+  groupBroadcastSchema,
+  groupIdParamSchema,
+  broadcastIdParamSchema,
 
   // WebSocket
   wsAckMessageSchema,
@@ -270,6 +394,7 @@ export default {
   registerContainerSchema,
   updateRegistrationSchema,
   publicKeyLookupSchema,
+  rotateKeySchema,
 
   // Helpers
   formatZodError,
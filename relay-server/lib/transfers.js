@@ -0,0 +1,263 @@
+/**
+ * Chunked Transfers
+ *
+ * Large end-to-end encrypted blobs travel through the relay as content-addressed
+ * chunks. The sender encrypts and splits the blob, then declares a manifest: the
+ * ordered SHA-256 of every encrypted chunk. Chunks are uploaded by hash in any
+ * order (re-uploading is a no-op, so a sender resumes by sending whatever is still
+ * missing), and the receiver downloads them by hash as soon as they land, checks
+ * each hash and reassembles them in manifest order.
+ *
+ * The relay stays zero-knowledge: it only sees ciphertext, sizes and hashes. The
+ * optional metadata (file name, content key...) is encrypted for the receiver.
+ */
+import { createHash } from "crypto";
+import { messages, transfers } from "../db/index.js";
+import { deliverMessage } from "./delivery.js";
+import { notifyContainer } from "./websocket.js";
+
+// Chunk bounds; only the last chunk may be smaller than chunkSize
+export const MAX_CHUNK_SIZE = 1024 * 1024;
+export const MIN_CHUNK_SIZE = 64 * 1024;
+
+// Largest blob accepted in one transfer
+export const MAX_TRANSFER_SIZE = parseInt(
+  process.env.RELAY_MAX_TRANSFER_SIZE || String(256 * 1024 * 1024),
+  10,
+);
+
+// Transfers a sender may have holding chunks at once
+export const MAX_ACTIVE_TRANSFERS = parseInt(process.env.RELAY_MAX_ACTIVE_TRANSFERS || "5", 10);
+
+function transferError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * SHA-256 of a chunk as lowercase hex
+ * @param {Buffer} data - Encrypted chunk
+ */
+export function hashChunk(data) {
+  return createHash("sha256").update(data).digest("hex");
+}
+
+/**
+ * Hash identifying the whole transfer: SHA-256 over the concatenated chunk hashes
+ * @param {string[]} chunkHashes - Manifest in order
+ */
+export function contentHashOf(chunkHashes) {
+  return createHash("sha256").update(chunkHashes.join("")).digest("hex");
+}
+
+/**
+ * Size of the chunk at a manifest position
+ */
+export function chunkSizeAt(totalSize, chunkSize, index) {
+  return Math.min(chunkSize, totalSize - index * chunkSize);
+}
+
+/**
+ * Check a manifest before a transfer starts
+ * @param {Object} manifest
+ * @param {number} manifest.totalSize - Size of the encrypted blob in bytes
+ * @param {number} manifest.chunkSize - Size of every chunk but the last
+ * @param {string[]} manifest.chunks - SHA-256 of each encrypted chunk, in order
+ * @returns {{ contentHash: string }}
+ * @throws {Error} code INVALID_MANIFEST or TRANSFER_TOO_LARGE
+ */
+export function validateManifest({ totalSize, chunkSize, chunks }) {
+  if (totalSize > MAX_TRANSFER_SIZE) {
+    throw transferError(
+      `Transfer of ${totalSize} bytes exceeds the ${MAX_TRANSFER_SIZE} byte limit`,
+      "TRANSFER_TOO_LARGE",
+    );
+  }
+  if (chunkSize < MIN_CHUNK_SIZE || chunkSize > MAX_CHUNK_SIZE) {
+    throw transferError(
+      `chunkSize must be between ${MIN_CHUNK_SIZE} and ${MAX_CHUNK_SIZE} bytes`,
+      "INVALID_MANIFEST",
+    );
+  }
+
+  const expectedChunks = Math.ceil(totalSize / chunkSize);
+  if (chunks.length !== expectedChunks) {
+    throw transferError(
+      `Manifest lists ${chunks.length} chunks, ${totalSize} bytes in ${chunkSize} byte chunks needs ${expectedChunks}`,
+      "INVALID_MANIFEST",
+    );
+  }
+
+  // The same content always has the same size, so a repeated hash must repeat its size
+  const sizes = new Map();
+  chunks.forEach((hash, index) => {
+    const size = chunkSizeAt(totalSize, chunkSize, index);
+    if (sizes.has(hash) && sizes.get(hash) !== size) {
+      throw transferError(`Chunk ${hash} is listed with different sizes`, "INVALID_MANIFEST");
+    }
+    sizes.set(hash, size);
+  });
+
+  return { contentHash: contentHashOf(chunks) };
+}
+
+/**
+ * Expected size of a chunk in a stored transfer, or null if the hash is not in its manifest
+ * @param {Object} transfer - Row from relay_transfers
+ * @param {string} hash - Chunk hash
+ */
+export function expectedChunkSize(transfer, hash) {
+  const index = transfer.chunk_hashes.indexOf(hash);
+  if (index === -1) {
+    return null;
+  }
+  return chunkSizeAt(Number(transfer.total_size), transfer.chunk_size, index);
+}
+
+/**
+ * Transfer view for the sender and receiver (no chunk data)
+ * @param {Object} transfer - Row from relay_transfers
+ * @param {string[]} storedHashes - Hashes stored so far
+ */
+export function describeTransfer(transfer, storedHashes) {
+  const stored = new Set(storedHashes);
+  const unique = [...new Set(transfer.chunk_hashes)];
+
+  return {
+    transferId: transfer.id,
+    from: transfer.from_container_id,
+    to: transfer.to_container_id,
+    capabilityId: transfer.capability_id,
+    status: transfer.status,
+    totalSize: Number(transfer.total_size),
+    chunkSize: transfer.chunk_size,
+    chunks: transfer.chunk_hashes,
+    contentHash: transfer.content_hash,
+    metadata: transfer.metadata_encrypted,
+    received: unique.filter((hash) => stored.has(hash)).length,
+    total: unique.length,
+    missing: unique.filter((hash) => !stored.has(hash)),
+    messageId: transfer.message_id,
+    createdAt: transfer.created_at,
+    completedAt: transfer.completed_at,
+    expiresAt: transfer.expires_at,
+  };
+}
+
+/**
+ * Tell the receiver about a new transfer through the regular message queue,
+ * so an offline receiver learns about it when it comes back.
+ * @param {Object} transfer - Row from relay_transfers
+ * @param {Object} [options]
+ * @param {string} [options.ipAddress] - Sender IP (audit)
+ * @returns {Promise<{ message: Object, delivery: Object }>} The offer message and its delivery result
+ */
+export async function offerTransfer(transfer, { ipAddress } = {}) {
+  const envelope = JSON.stringify({
+    type: "transfer_offer",
+    transferId: transfer.id,
+    capabilityId: transfer.capability_id,
+    fromContainerId: transfer.from_container_id,
+    totalSize: Number(transfer.total_size),
+    chunkSize: transfer.chunk_size,
+    chunks: transfer.chunk_hashes,
+    contentHash: transfer.content_hash,
+    metadata: transfer.metadata_encrypted,
+    expiresAt: transfer.expires_at,
+    timestamp: new Date().toISOString(),
+  });
+
+  const message = await messages.create({
+    fromContainerId: transfer.from_container_id,
+    toContainerId: transfer.to_container_id,
+    payloadEncrypted: envelope,
+    ttlSeconds: Math.max(1, Math.ceil((new Date(transfer.expires_at) - Date.now()) / 1000)),
+  });
+  await transfers.setMessageId(transfer.id, message.id);
+
+  const delivery = await deliverMessage(message, { ipAddress });
+  return { message, delivery };
+}
+
+/**
+ * Store one uploaded chunk and complete the transfer once every chunk is in
+ * @param {Object} transfer - Row from relay_transfers (status 'uploading')
+ * @param {string} hash - Chunk hash from the URL
+ * @param {Buffer} data - Encrypted chunk
+ * @returns {Promise<{ stored: boolean, received: number, total: number, status: string,
+ *   completed: boolean }>} completed is true for the upload that finished the transfer
+ * @throws {Error} code NOT_IN_MANIFEST, SIZE_MISMATCH or HASH_MISMATCH
+ */
+export async function storeChunk(transfer, hash, data) {
+  const expectedSize = expectedChunkSize(transfer, hash);
+  if (expectedSize === null) {
+    throw transferError("Chunk is not in the transfer manifest", "NOT_IN_MANIFEST");
+  }
+  if (data.length !== expectedSize) {
+    throw transferError(
+      `Chunk is ${data.length} bytes, the manifest expects ${expectedSize}`,
+      "SIZE_MISMATCH",
+    );
+  }
+  if (hashChunk(data) !== hash) {
+    throw transferError("Chunk content does not match its hash", "HASH_MISMATCH");
+  }
+
+  const stored = await transfers.storeChunk(transfer.id, hash, data);
+  const storedHashes = await transfers.listStoredHashes(transfer.id);
+  const total = new Set(transfer.chunk_hashes).size;
+
+  let status = transfer.status;
+  let completed = false;
+  if (storedHashes.length >= total) {
+    // Concurrent final uploads race here; only one of them moves the transfer
+    completed = Boolean(await transfers.transition(transfer.id, ["uploading"], "complete"));
+    status = "complete";
+    if (completed) {
+      console.log(`[transfers] Transfer ${transfer.id.slice(0, 8)} complete (${total} chunks)`);
+      notifyContainer(transfer.to_container_id, {
+        type: "transfer_complete",
+        transferId: transfer.id,
+        contentHash: transfer.content_hash,
+        timestamp: Date.now(),
+      }).catch((err) => {
+        console.warn(`[transfers] Completion notice not sent: ${err.message}`);
+      });
+    }
+  }
+
+  return { stored, received: storedHashes.length, total, status, completed };
+}
+
+/**
+ * Expire transfers past their TTL and drop their chunks (cleanup job)
+ * @returns {Promise<number>} Transfers expired
+ */
+export async function expireTransfers() {
+  const expired = await transfers.expireDue();
+  for (const transfer of expired) {
+    notifyContainer(transfer.from_container_id, {
+      type: "transfer_expired",
+      transferId: transfer.id,
+      timestamp: Date.now(),
+    }).catch(() => {});
+  }
+  return expired.length;
+}
+
+export default {
+  MAX_CHUNK_SIZE,
+  MIN_CHUNK_SIZE,
+  MAX_TRANSFER_SIZE,
+  MAX_ACTIVE_TRANSFERS,
+  hashChunk,
+  contentHashOf,
+  chunkSizeAt,
+  validateManifest,
+  expectedChunkSize,
+  describeTransfer,
+  offerTransfer,
+  storeChunk,
+  expireTransfers,
+};
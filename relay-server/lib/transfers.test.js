@@ -0,0 +1,176 @@
+// Tests for transfer manifests and chunk checks
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("../db/index.js", () => ({
+  messages: { create: vi.fn() },
+  transfers: {
+    storeChunk: vi.fn(),
+    listStoredHashes: vi.fn(),
+    transition: vi.fn(),
+    setMessageId: vi.fn(),
+    expireDue: vi.fn(),
+  },
+}));
+
+vi.mock("./delivery.js", () => ({
+  deliverMessage: vi.fn(),
+}));
+
+vi.mock("./websocket.js", () => ({
+  notifyContainer: vi.fn(),
+}));
+
+const { transfers } = await import("../db/index.js");
+const { notifyContainer } = await import("./websocket.js");
+const {
+  MIN_CHUNK_SIZE,
+  MAX_CHUNK_SIZE,
+  MAX_TRANSFER_SIZE,
+  hashChunk,
+  contentHashOf,
+  validateManifest,
+  storeChunk,
+} = await import("./transfers.js");
+
+const chunkSize = MIN_CHUNK_SIZE;
+
+function chunkOf(size, fill) {
+  return Buffer.alloc(size, fill);
+}
+
+describe("validateManifest", () => {
+  const first = hashChunk(chunkOf(chunkSize, 1));
+  const last = hashChunk(chunkOf(100, 2));
+
+  it("should accept a manifest and return its content hash", () => {
+    const manifest = { totalSize: chunkSize + 100, chunkSize, chunks: [first, last] };
+
+    expect(validateManifest(manifest)).toEqual({ contentHash: contentHashOf([first, last]) });
+  });
+
+  it("should reject transfers over the size limit", () => {
+    const manifest = { totalSize: MAX_TRANSFER_SIZE + 1, chunkSize, chunks: [] };
+
+    expect(() => validateManifest(manifest)).toThrow(
+      expect.objectContaining({ code: "TRANSFER_TOO_LARGE" }),
+    );
+  });
+
+  it("should reject chunk sizes out of bounds", () => {
+    for (const size of [MIN_CHUNK_SIZE - 1, MAX_CHUNK_SIZE + 1]) {
+      expect(() => validateManifest({ totalSize: 100, chunkSize: size, chunks: [last] })).toThrow(
+        expect.objectContaining({ code: "INVALID_MANIFEST" }),
+      );
+    }
+  });
+
+  it("should reject a chunk count that does not match the size", () => {
+    const manifest = { totalSize: chunkSize + 100, chunkSize, chunks: [first] };
+
+    expect(() => validateManifest(manifest)).toThrow(
+      expect.objectContaining({ code: "INVALID_MANIFEST" }),
+    );
+  });
+
+  it("should reject a repeated hash listed with a different size", () => {
+    const manifest = { totalSize: chunkSize + 100, chunkSize, chunks: [first, first] };
+
+    expect(() => validateManifest(manifest)).toThrow(
+      expect.objectContaining({ code: "INVALID_MANIFEST" }),
+    );
+  });
+
+  it("should accept a repeated hash of the same size", () => {
+    const manifest = { totalSize: chunkSize * 2, chunkSize, chunks: [first, first] };
+
+    expect(validateManifest(manifest).contentHash).toBe(contentHashOf([first, first]));
+  });
+});
+
+describe("storeChunk", () => {
+  const firstChunk = chunkOf(chunkSize, 1);
+  const lastChunk = chunkOf(100, 2);
+  const transfer = {
+    id: "7f1c2d3e-4a5b-4c6d-8e9f-0a1b2c3d4e5f",
+    to_container_id: "receiver",
+    status: "uploading",
+    total_size: String(chunkSize + 100),
+    chunk_size: chunkSize,
+    chunk_hashes: [hashChunk(firstChunk), hashChunk(lastChunk)],
+    content_hash: "content",
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    transfers.storeChunk.mockResolvedValue(true);
+    notifyContainer.mockResolvedValue(true);
+  });
+
+  it("should store a chunk that matches its hash and size", async () => {
+    transfers.listStoredHashes.mockResolvedValue([transfer.chunk_hashes[0]]);
+
+    const result = await storeChunk(transfer, transfer.chunk_hashes[0], firstChunk);
+
+    expect(result).toEqual({
+      stored: true,
+      received: 1,
+      total: 2,
+      status: "uploading",
+      completed: false,
+    });
+    expect(transfers.storeChunk).toHaveBeenCalledWith(
+      transfer.id,
+      transfer.chunk_hashes[0],
+      firstChunk,
+    );
+    expect(transfers.transition).not.toHaveBeenCalled();
+  });
+
+  it("should reject a chunk that is not in the manifest", async () => {
+    const other = chunkOf(100, 3);
+
+    await expect(storeChunk(transfer, hashChunk(other), other)).rejects.toMatchObject({
+      code: "NOT_IN_MANIFEST",
+    });
+    expect(transfers.storeChunk).not.toHaveBeenCalled();
+  });
+
+  it("should reject a chunk of the wrong size", async () => {
+    await expect(
+      storeChunk(transfer, transfer.chunk_hashes[1], chunkOf(99, 2)),
+    ).rejects.toMatchObject({ code: "SIZE_MISMATCH" });
+    expect(transfers.storeChunk).not.toHaveBeenCalled();
+  });
+
+  it("should reject a chunk whose content does not match its hash", async () => {
+    await expect(
+      storeChunk(transfer, transfer.chunk_hashes[1], chunkOf(100, 9)),
+    ).rejects.toMatchObject({ code: "HASH_MISMATCH" });
+    expect(transfers.storeChunk).not.toHaveBeenCalled();
+  });
+
+  it("should complete the transfer and notify the receiver on the last chunk", async () => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    transfers.listStoredHashes.mockResolvedValue(transfer.chunk_hashes);
+    transfers.transition.mockResolvedValue({ ...transfer, status: "complete" });
+
+    const result = await storeChunk(transfer, transfer.chunk_hashes[1], lastChunk);
+
+    expect(result).toMatchObject({ received: 2, total: 2, status: "complete", completed: true });
+    expect(transfers.transition).toHaveBeenCalledWith(transfer.id, ["uploading"], "complete");
+    expect(notifyContainer).toHaveBeenCalledWith(
+      "receiver",
+      expect.objectContaining({ type: "transfer_complete", transferId: transfer.id }),
+    );
+  });
+
+  it("should not notify twice when another upload completed the transfer", async () => {
+    transfers.listStoredHashes.mockResolvedValue(transfer.chunk_hashes);
+    transfers.transition.mockResolvedValue(null);
+
+    const result = await storeChunk(transfer, transfer.chunk_hashes[1], lastChunk);
+
+    expect(result).toMatchObject({ status: "complete", completed: false });
+    expect(notifyContainer).not.toHaveBeenCalled();
+  });
+});
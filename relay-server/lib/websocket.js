@@ -1,11 +1,61 @@
 import { WebSocketServer } from "ws";
 import { messages } from "../db/index.js";
 import { authenticateWebSocket } from "../middleware/auth.js";
+import { recordDelivered, recordAcks } from "./delivery.js";
+import {
+  initFanout,
+  markPresent,
+  markAbsent,
+  findRemoteInstances,
+  publishToContainer,
+  publishBroadcast,
+} from "./fanout.js";
 import { wsMessageSchema, formatZodError } from "./schemas.js";
 
-// Map of userId -> Set of WebSocket connections
+// Map of userId -> Set of WebSocket connections on this instance
 const connections = new Map();
 
+function messageFrame(message) {
+  return JSON.stringify({
+    type: "message",
+    id: message.id,
+    from: message.from_container_id,
+    payload: message.payload_encrypted,
+    timestamp: message.created_at,
+  });
+}
+
+// Send a frame to this instance's connections for a container
+function deliverLocal(userId, frame) {
+  const userConnections = connections.get(userId);
+  if (!userConnections) {
+    return false;
+  }
+
+  let delivered = false;
+  for (const ws of userConnections) {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(frame);
+      delivered = true;
+    }
+  }
+  return delivered;
+}
+
+// Send a frame to every connection on this instance
+function broadcastLocal(frame) {
+  let count = 0;
+  for (const [, conns] of connections) {
+    for (const ws of conns) {
+      if (ws.readyState === ws.OPEN) {
+        ws.send(frame);
+        count++;
+      }
+    }
+  }
+  return count;
+}
+
 /**
  * Initialize WebSocket server
  *
@@ -18,6 +68,13 @@ export function initWebSocket(server) {
     noServer: true, // Handle upgrade manually to support protocol negotiation
   });
 
+  // Deliver messages for containers connected to other relay instances
+  initFanout({
+    deliverLocal,
+    broadcastLocal,
+    getLocalUserIds: () => [...connections.keys()],
+  });
+
   // Handle HTTP upgrade requests for WebSocket
   server.on("upgrade", async (request, socket, head) => {
     // Check if this is for our path
@@ -66,9 +123,10 @@ export function initWebSocket(server) {
       console.log(`[ws] Container ${userId.slice(0, 8)} connected`);
     }
 
-    // Add to connections map
+    // Add to connections map and announce that this instance owns the container
     if (!connections.has(userId)) {
       connections.set(userId, new Set());
+      markPresent(userId);
     }
     connections.get(userId).add(ws);
 
@@ -77,16 +135,9 @@ export function initWebSocket(server) {
       const pending = await messages.getPending(userId);
       if (pending.length > 0) {
         for (const msg of pending) {
-          ws.send(
-            JSON.stringify({
-              type: "message",
-              id: msg.id,
-              from: msg.from_container_id,
-              payload: msg.payload_encrypted,
-              timestamp: msg.created_at,
-            }),
-          );
+          ws.send(messageFrame(msg));
         }
+        await recordDelivered(pending.map((msg) => msg.id));
       }
     } catch (err) {
       console.error(`[ws] Failed to send pending messages: ${err.message}`);
@@ -116,12 +167,12 @@ export function initWebSocket(server) {
         const msg = result.data;
 
         if (msg.type === "ack") {
-          // Mark message as delivered
-          await messages.markDelivered(msg.messageId);
+          // Mark message as acknowledged (sends the sender a receipt)
+          await recordAcks(userId, [msg.messageId]);
           console.log(`[ws] Message ${msg.messageId.slice(0, 8)} acknowledged`);
         } else if (msg.type === "ack_batch") {
           // Batch acknowledge
-          await messages.markManyDelivered(msg.messageIds);
+          await recordAcks(userId, msg.messageIds);
           console.log(`[ws] ${msg.messageIds.length} messages acknowledged`);
         } else if (msg.type === "ping") {
           // Respond to ping with pong
@@ -150,6 +201,7 @@ export function initWebSocket(server) {
         userConnections.delete(ws);
         if (userConnections.size === 0) {
           connections.delete(userId);
+          markAbsent(userId);
         }
       }
     });
@@ -184,53 +236,49 @@ export function initWebSocket(server) {
 
 /**
  * Send a message to a connected container via WebSocket
- * Returns true if delivered, false if not connected
+ * Containers connected to another relay instance are reached through Redis pub/sub.
+ * Returns true if handed to a connection, false if the container is not connected
+ * anywhere (the message then stays in the pending queue)
  */
-export function sendToContainer(userId, message) {
-  const userConnections = connections.get(userId);
-
-  if (!userConnections || userConnections.size === 0) {
-    return false;
+export async function sendToContainer(userId, message) {
+  const frame = messageFrame(message);
+  if (deliverLocal(userId, frame)) {
+    return true;
   }
+  return publishToContainer(userId, frame);
+}
 
-  const payload = JSON.stringify({
-    type: "message",
-    id: message.id,
-    from: message.from_container_id,
-    payload: message.payload_encrypted,
-    timestamp: message.created_at,
-  });
-
-  let delivered = false;
-  for (const ws of userConnections) {
-    if (ws.readyState === ws.OPEN) {
-      ws.send(payload);
-      delivered = true;
-    }
+/**
+ * Send a control frame (e.g. a delivery receipt) to a container on any relay instance
+ * Returns true if handed to a connection; nothing is queued when it is offline
+ */
+export async function notifyContainer(userId, data) {
+  const frame = JSON.stringify(data);
+  if (deliverLocal(userId, frame)) {
+    return true;
   }
-
-  return delivered;
+  return publishToContainer(userId, frame);
 }
 
 /**
- * Check if a container is currently connected via WebSocket
+ * Check if a container is currently connected via WebSocket, to any relay instance
  */
-export function isContainerConnected(userId) {
+export async function isContainerConnected(userId) {
   const userConnections = connections.get(userId);
-  if (!userConnections) {
-    return false;
-  }
-
-  for (const ws of userConnections) {
-    if (ws.readyState === ws.OPEN) {
-      return true;
+  if (userConnections) {
+    for (const ws of userConnections) {
+      if (ws.readyState === ws.OPEN) {
+        return true;
+      }
     }
   }
-  return false;
+
+  const remote = await findRemoteInstances(userId);
+  return remote.length > 0;
 }
 
 /**
- * Get count of connected containers
+ * Get count of containers connected to this instance
  */
 export function getConnectionCount() {
   let count = 0;
@@ -245,28 +293,20 @@ export function getConnectionCount() {
 }
 
 /**
- * Broadcast a message to all connected containers
+ * Broadcast a message to all connected containers on every relay instance
  * Used for system announcements
+ * Returns the number of connections reached on this instance
  */
 export function broadcast(message) {
   const payload = JSON.stringify(message);
-  let count = 0;
-
-  for (const [, conns] of connections) {
-    for (const ws of conns) {
-      if (ws.readyState === ws.OPEN) {
-        ws.send(payload);
-        count++;
-      }
-    }
-  }
-
-  return count;
+  publishBroadcast(payload);
+  return broadcastLocal(payload);
 }
 
 export default {
   initWebSocket,
   sendToContainer,
+  notifyContainer,
   isContainerConnected,
   getConnectionCount,
   broadcast,
@@ -0,0 +1,323 @@
+/**
+ * Group Channel Routes
+ *
+ * Broadcast an encrypted message to every member of an OCMT group in one call.
+ *
+ * SECURITY: The relay stays ZERO-KNOWLEDGE
+ * - The sender encrypts the message once per recipient; the relay only routes envelopes
+ * - Membership comes from the management server's group memberships, re-read before
+ *   every broadcast
+ * - Posting requires a capability for the group channel issued by a group admin
+ */
+import { Router } from "express";
+import {
+  rateLimits,
+  broadcasts,
+  messages,
+  meshAuditLogs,
+  MESH_AUDIT_EVENTS,
+  DEFAULT_MESSAGE_TTL_SECONDS,
+} from "../db/index.js";
+import { decodeCapabilityToken } from "../lib/capability-token.js";
+import { consumeCapabilityCall } from "../lib/capability-usage.js";
+import {
+  loadChannelMembers,
+  checkBroadcastCapability,
+  planBroadcast,
+  storeBroadcastMessages,
+  fanOutBroadcast,
+  describeBroadcast,
+} from "../lib/group-channels.js";
+import { messageSendLimiter } from "../lib/rate-limit.js";
+import {
+  validate,
+  groupBroadcastSchema,
+  groupIdParamSchema,
+  broadcastIdParamSchema,
+} from "../lib/schemas.js";
+import { requireContainer } from "../middleware/auth.js";
+import { isTokenRevoked } from "./revocation.js";
+
+const router = Router();
+
+// Same limit per recipient envelope as a single relay message (1MB encrypted blob)
+const MAX_PAYLOAD_SIZE = 1024 * 1024;
+
+/**
+ * Log a refused broadcast to the mesh audit log
+ */
+async function logDenied(req, groupId, errorMessage, details) {
+  await meshAuditLogs.log({
+    eventType: MESH_AUDIT_EVENTS.RELAY_GROUP_BROADCAST_DENIED,
+    actorId: req.container.userId,
+    groupId,
+    ipAddress: req.ip,
+    success: false,
+    source: "relay-server",
+    errorMessage,
+    details,
+  });
+}
+
+/**
+ * GET /relay/groups/:groupId/members
+ * Channel members and their registered keys, for encrypting one envelope per member.
+ * Only members of the group can list it.
+ */
+router.get(
+  "/:groupId/members",
+  requireContainer,
+  validate({ params: groupIdParamSchema }),
+  async (req, res) => {
+    const { groupId } = req.validatedParams;
+
+    try {
+      const members = await loadChannelMembers(groupId);
+      if (!members.some((member) => member.container_id === req.container.userId)) {
+        return res.status(403).json({ error: "Not a member of this group" });
+      }
+
+      res.json({
+        groupId,
+        members: members.map((member) => ({
+          containerId: member.container_id,
+          role: member.role,
+          publicKey: member.public_key || null,
+          encryptionPublicKey: member.encryption_public_key || null,
+          joinedAt: member.joined_at,
+        })),
+      });
+    } catch (err) {
+      console.error("[group-channels] List members error:", err);
+      res.status(500).json({ error: "Failed to list group members" });
+    }
+  },
+);
+
+/**
+ * POST /relay/groups/:groupId/broadcast
+ * Post an encrypted message to the members of a group.
+ *
+ * Body: {
+ *   capabilityToken: string (resource "relay:group:<groupId>", scope ["broadcast"]),
+ *   envelopes: [{ toContainerId: UUID, encryptedPayload: string, nonce?: string }],
+ *   signature?: string (sender signs the broadcast),
+ *   ttlSeconds?: number (how long each copy may wait for delivery, default 24h)
+ * }
+ *
+ * Every envelope must address a current member other than the sender. Members
+ * without an envelope are returned as `skipped`. Copies are stored before the
+ * response and delivered in the background; the sender gets a receipt per recipient.
+ */
+router.post(
+  "/:groupId/broadcast",
+  messageSendLimiter,
+  requireContainer,
+  validate({ params: groupIdParamSchema, body: groupBroadcastSchema }),
+  async (req, res) => {
+    const { groupId } = req.validatedParams;
+    const { capabilityToken, envelopes, signature, ttlSeconds } = req.validatedBody;
+    const fromContainerId = req.container.userId;
+
+    const oversized = envelopes.find(
+      (envelope) => Buffer.byteLength(envelope.encryptedPayload, "utf8") > MAX_PAYLOAD_SIZE,
+    );
+    if (oversized) {
+      return res.status(413).json({
+        error: "Payload too large",
+        maxSize: MAX_PAYLOAD_SIZE,
+        toContainerId: oversized.toContainerId,
+      });
+    }
+
+    try {
+      const capability = decodeCapabilityToken(capabilityToken);
+      if (!capability) {
+        await logDenied(req, groupId, "Invalid or expired capability token");
+        return res.status(403).json({ error: "Invalid or expired capability token" });
+      }
+
+      if (await isTokenRevoked(capability)) {
+        await logDenied(req, groupId, "Capability has been revoked", {
+          capabilityId: capability.id,
+        });
+        return res.status(403).json({ error: "Capability has been revoked" });
+      }
+
+      // Always re-read membership: removed members must not receive this broadcast
+      const members = await loadChannelMembers(groupId, { maxAgeSeconds: 0 });
+
+      try {
+        checkBroadcastCapability(capability, groupId, fromContainerId, members);
+      } catch (err) {
+        await logDenied(req, groupId, err.message, { capabilityId: capability.id, code: err.code });
+        return res.status(403).json({ error: err.message, code: err.code });
+      }
+
+      let plan;
+      try {
+        plan = planBroadcast(members, fromContainerId, envelopes);
+      } catch (err) {
+        return res.status(400).json({ error: err.message, code: err.code });
+      }
+
+      const rateLimit = await rateLimits.checkAndIncrement(fromContainerId);
+      if (!rateLimit.allowed) {
+        return res.status(429).json({
+          error: "Rate limit exceeded",
+          remaining: 0,
+          resetAt: rateLimit.resetAt,
+        });
+      }
+
+      // One broadcast counts as one call, whatever the number of recipients
+      let usage = null;
+      if (capability.constraints?.maxCalls) {
+        const { allowed, ...counts } = await consumeCapabilityCall(
+          capability.id,
+          capability.constraints.maxCalls,
+          capability.exp * 1000,
+        );
+        usage = counts;
+        if (!allowed) {
+          await logDenied(req, groupId, "Capability call limit exceeded", {
+            capabilityId: capability.id,
+            maxCalls: usage.maxCalls,
+          });
+          return res.status(429).json({
+            error: "Capability call limit exceeded",
+            usage,
+          });
+        }
+      }
+
+      const ttl = ttlSeconds || DEFAULT_MESSAGE_TTL_SECONDS;
+      const broadcast = await broadcasts.create({
+        groupId,
+        fromContainerId,
+        capabilityId: capability.id,
+        recipientCount: plan.recipients.length,
+        ttlSeconds: ttl,
+      });
+      const stored = await storeBroadcastMessages(broadcast, plan.recipients, {
+        signature,
+        ttlSeconds: ttl,
+      });
+
+      await meshAuditLogs.log({
+        eventType: MESH_AUDIT_EVENTS.RELAY_GROUP_BROADCAST,
+        actorId: fromContainerId,
+        groupId,
+        ipAddress: req.ip,
+        success: true,
+        source: "relay-server",
+        details: {
+          broadcastId: broadcast.id,
+          capabilityId: capability.id,
+          recipientCount: stored.length,
+          skippedCount: plan.skipped.length,
+        },
+      });
+
+      res.status(202).json({
+        broadcastId: broadcast.id,
+        groupId,
+        capabilityId: capability.id,
+        status: "queued",
+        recipients: stored.map((message) => ({
+          containerId: message.to_container_id,
+          messageId: message.id,
+        })),
+        skipped: plan.skipped,
+        expiresAt: broadcast.expires_at,
+        rateLimit: {
+          remaining: rateLimit.remaining,
+          resetAt: rateLimit.resetAt,
+        },
+        usage: usage || undefined,
+      });
+
+      // Deliver after responding: large groups would otherwise hold the request open
+      fanOutBroadcast(stored, { ipAddress: req.ip })
+        .then(({ delivered, queued }) => {
+          console.log(
+            `[group-channels] Broadcast ${broadcast.id.slice(0, 8)} to ${groupId.slice(0, 8)}: ${delivered} delivered, ${queued} queued`,
+          );
+        })
+        .catch((err) => {
+          console.error(
+            `[group-channels] Broadcast ${broadcast.id.slice(0, 8)} fan-out failed:`,
+            err,
+          );
+        });
+    } catch (err) {
+      console.error("[group-channels] Broadcast error:", err);
+      res.status(500).json({ error: "Failed to broadcast message" });
+    }
+  },
+);
+
+/**
+ * GET /relay/groups/:groupId/broadcasts
+ * Broadcasts the caller sent to a group, newest first.
+ */
+router.get(
+  "/:groupId/broadcasts",
+  requireContainer,
+  validate({ params: groupIdParamSchema }),
+  async (req, res) => {
+    const { groupId } = req.validatedParams;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+
+    try {
+      const rows = await broadcasts.listBySender(groupId, req.container.userId, limit);
+      res.json({
+        groupId,
+        broadcasts: rows.map((row) => ({
+          broadcastId: row.id,
+          capabilityId: row.capability_id,
+          recipientCount: row.recipient_count,
+          deliveredCount: parseInt(row.delivered_count, 10),
+          ackedCount: parseInt(row.acked_count, 10),
+          createdAt: row.created_at,
+          expiresAt: row.expires_at,
+        })),
+      });
+    } catch (err) {
+      console.error("[group-channels] List broadcasts error:", err);
+      res.status(500).json({ error: "Failed to list broadcasts" });
+    }
+  },
+);
+
+/**
+ * GET /relay/groups/:groupId/broadcasts/:broadcastId
+ * Per-recipient delivery state of a broadcast (sender only).
+ */
+router.get(
+  "/:groupId/broadcasts/:broadcastId",
+  requireContainer,
+  validate({ params: broadcastIdParamSchema }),
+  async (req, res) => {
+    const { groupId, broadcastId } = req.validatedParams;
+
+    try {
+      const broadcast = await broadcasts.findById(broadcastId);
+      if (
+        !broadcast ||
+        broadcast.group_id !== groupId ||
+        broadcast.from_container_id !== req.container.userId
+      ) {
+        return res.status(404).json({ error: "Broadcast not found" });
+      }
+
+      const rows = await messages.listByBroadcast(broadcastId);
+      res.json(describeBroadcast(broadcast, rows));
+    } catch (err) {
+      console.error("[group-channels] Get broadcast error:", err);
+      res.status(500).json({ error: "Failed to get broadcast" });
+    }
+  },
+);
+
+export default router;
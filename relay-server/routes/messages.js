@@ -10,87 +10,55 @@
  * - Capability tokens are verified before forwarding
  */
 import { Router } from 'express';
-import { createVerify, createPublicKey, createHash } from 'crypto';
 import { requireContainer } from '../middleware/auth.js';
-import { messages, rateLimits, auditLog, containerRegistry, meshAuditLogs, MESH_AUDIT_EVENTS } from '../db/index.js';
-import { sendToContainer, isContainerConnected } from '../lib/websocket.js';
-import { wakeContainer, getContainerStatus } from '../lib/wake.js';
+import { messages, rateLimits, auditLog, deadLetters, meshAuditLogs, MESH_AUDIT_EVENTS } from '../db/index.js';
 import {
   validate,
   sendMessageSchema,
   capabilityEnvelopeSchema,
+  messageIdParamSchema,
+  replayDeadLetterSchema,
 } from '../lib/schemas.js';
 import { messageSendLimiter } from '../lib/rate-limit.js';
-import { forwardToCallback } from '../lib/forward.js';
+import { consumeCapabilityCall } from '../lib/capability-usage.js';
+import { decodeCapabilityToken } from '../lib/capability-token.js';
+import {
+  RECEIPT_STATUS,
+  deliverMessage,
+  recordAcks,
+  replayDeadLetter,
+  describeMessage,
+} from '../lib/delivery.js';
+import { isTokenRevoked } from './revocation.js';
 
 const router = Router();
 
 // Maximum payload size (1MB encrypted blob limit)
 const MAX_PAYLOAD_SIZE = 1024 * 1024;
 
-// Ed25519 SPKI prefix for DER-encoded public keys
-const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
-
-/**
- * Verify an Ed25519 signature
- */
-function verifySignature(payload, signatureBase64, publicKeyBase64) {
-  try {
-    const rawKey = Buffer.from(publicKeyBase64, 'base64');
-    if (rawKey.length !== 32) {
-      return false;
-    }
-
-    const spkiDer = Buffer.concat([ED25519_SPKI_PREFIX, rawKey]);
-    const publicKey = createPublicKey({ key: spkiDer, type: 'spki', format: 'der' });
+// Message IDs are UUIDs; anything else can't match and would fail the query cast
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
-    const signatureBuffer = Buffer.from(signatureBase64, 'base64');
-    if (signatureBuffer.length !== 64) {
-      return false;
-    }
-
-    const verify = createVerify(null);
-    verify.update(payload);
-    return verify.verify(publicKey, signatureBuffer);
-  } catch (err) {
-    console.error('[messages] Signature verification failed:', err.message);
-    return false;
-  }
-}
+// Sender-visible status -> stored status, for filtering
+const STORED_STATUS = Object.fromEntries(
+  Object.entries(RECEIPT_STATUS).map(([stored, visible]) => [visible, stored])
+);
 
 /**
- * Decode and validate a capability token
- * @param {string} token - Base64url encoded capability token
- * @returns {Object|null} Decoded token or null if invalid
+ * Sender-visible view of a dead letter
  */
-function decodeCapabilityToken(token) {
-  try {
-    const decoded = JSON.parse(Buffer.from(token, 'base64url').toString());
-    const { id, iss, sub, resource, scope, exp, sig } = decoded;
-
-    // Check required fields
-    if (!id || !iss || !sub || !resource || !scope || !exp || !sig) {
-      return null;
-    }
-
-    // Verify signature
-    const claims = { ...decoded };
-    delete claims.sig;
-    if (!verifySignature(JSON.stringify(claims), sig, iss)) {
-      return null;
-    }
-
-    // Check expiry
-    const now = Math.floor(Date.now() / 1000);
-    if (exp < now) {
-      return null;
-    }
-
-    return decoded;
-  } catch (err) {
-    console.error('[messages] Failed to decode capability token:', err.message);
-    return null;
-  }
+function formatDeadLetter(entry) {
+  return {
+    messageId: entry.message_id,
+    to: entry.to_container_id,
+    reason: entry.reason,
+    deliveryAttempts: entry.delivery_attempts,
+    size: entry.payload_size,
+    createdAt: entry.created_at,
+    deadLetteredAt: entry.dead_lettered_at,
+    replayedAt: entry.replayed_at,
+    replayCount: entry.replay_count
+  };
 }
 
 /**
@@ -105,7 +73,8 @@ function decodeCapabilityToken(token) {
  *   capabilityToken: string (signed capability token),
  *   encryptedPayload: string (encrypted message, relay cannot read),
  *   nonce: string (for encryption),
- *   signature: string (sender signs the envelope)
+ *   signature: string (sender signs the envelope),
+ *   ttlSeconds?: number (how long it may wait for delivery, default 24h)
  * }
  *
  * Flow:
@@ -123,6 +92,7 @@ router.post('/forward', messageSendLimiter, requireContainer, validate({ body: c
     encryptedPayload,
     nonce,
     signature,
+    ttlSeconds,
   } = req.validatedBody;
   const fromContainerId = req.container.userId;
 
@@ -163,6 +133,32 @@ router.post('/forward', messageSendLimiter, requireContainer, validate({ body: c
       });
     }
 
+    // A revoked capability, or one issued by or to a revoked registry key, is refused
+    if (await isTokenRevoked(capability)) {
+      await auditLog.log({
+        fromContainerId,
+        toContainerId,
+        payloadSize,
+        status: 'revoked_capability',
+        errorMessage: 'Capability or its key has been revoked'
+      });
+
+      await meshAuditLogs.log({
+        eventType: MESH_AUDIT_EVENTS.CAPABILITY_DENIED,
+        actorId: fromContainerId,
+        targetId: toContainerId,
+        ipAddress: req.ip,
+        success: false,
+        source: 'relay-server',
+        errorMessage: 'Capability or its key has been revoked',
+        details: { capabilityId: capability.id }
+      });
+
+      return res.status(403).json({
+        error: 'Capability has been revoked'
+      });
+    }
+
     // Verify the capability was issued for the target container
     // The capability issuer should match the target container
     // (We're forwarding a request to execute on their behalf)
@@ -187,6 +183,42 @@ router.post('/forward', messageSendLimiter, requireContainer, validate({ body: c
       });
     }
 
+    // Enforce the capability's call budget across every relay instance
+    let usage = null;
+    if (capability.constraints?.maxCalls) {
+      const { allowed, ...counts } = await consumeCapabilityCall(
+        capability.id,
+        capability.constraints.maxCalls,
+        capability.exp * 1000
+      );
+      usage = counts;
+      if (!allowed) {
+        await auditLog.log({
+          fromContainerId,
+          toContainerId,
+          payloadSize,
+          status: 'call_limit_exceeded',
+          errorMessage: `Capability ${capability.id} exhausted ${usage.maxCalls} calls`
+        });
+
+        await meshAuditLogs.log({
+          eventType: MESH_AUDIT_EVENTS.CAPABILITY_DENIED,
+          actorId: fromContainerId,
+          targetId: toContainerId,
+          ipAddress: req.ip,
+          success: false,
+          source: 'relay-server',
+          errorMessage: 'Capability call limit exceeded',
+          details: { capabilityId: capability.id, maxCalls: usage.maxCalls }
+        });
+
+        return res.status(429).json({
+          error: 'Capability call limit exceeded',
+          usage
+        });
+      }
+    }
+
     // Build the message envelope (relay stores but cannot decrypt)
     const messageEnvelope = JSON.stringify({
       type: 'capability_execution',
@@ -203,49 +235,13 @@ router.post('/forward', messageSendLimiter, requireContainer, validate({ body: c
     const message = await messages.create({
       fromContainerId,
       toContainerId,
-      payloadEncrypted: messageEnvelope
+      payloadEncrypted: messageEnvelope,
+      ttlSeconds
     });
 
-    // Try to deliver immediately via WebSocket if connected
-    let deliveredViaWebSocket = false;
-    if (isContainerConnected(toContainerId)) {
-      deliveredViaWebSocket = sendToContainer(toContainerId, message);
-      if (deliveredViaWebSocket) {
-        console.log(`[messages] Message ${message.id.slice(0, 8)} delivered via WebSocket`);
-      }
-    }
-
-    // Try callback URL if not connected via WebSocket
-    let deliveredViaCallback = false;
-    if (!deliveredViaWebSocket) {
-      const registration = await containerRegistry.findByContainerId(toContainerId);
-      if (registration?.callback_url) {
-        const forwardResult = await forwardToCallback(registration.callback_url, {
-          messageId: message.id,
-          fromContainerId,
-          envelope: messageEnvelope,
-          timestamp: message.created_at,
-        });
-
-        if (forwardResult.success) {
-          deliveredViaCallback = true;
-          await messages.markDelivered(message.id);
-          console.log(`[messages] Message ${message.id.slice(0, 8)} delivered via callback`);
-        }
-      }
-    }
-
-    // If not connected and no callback, check if hibernated and trigger wake
-    let wakeTriggered = false;
-    if (!deliveredViaWebSocket && !deliveredViaCallback) {
-      const containerStatus = await getContainerStatus(toContainerId);
-
-      if (containerStatus.status === 'hibernated' || containerStatus.status === 'stopped') {
-        console.log(`[messages] Destination ${toContainerId.slice(0, 8)} is hibernated, triggering wake`);
-        const wakeResult = await wakeContainer(toContainerId);
-        wakeTriggered = wakeResult.success;
-      }
-    }
+    // Deliver now if the recipient is reachable (WebSocket, then callback), else queue
+    const delivery = await deliverMessage(message, { ipAddress: req.ip });
+    const { deliveredViaWebSocket, deliveredViaCallback, wakeTriggered } = delivery;
 
     // Log successful relay
     await auditLog.log({
@@ -296,10 +292,12 @@ router.post('/forward', messageSendLimiter, requireContainer, validate({ body: c
       deliveryMethod: deliveredViaWebSocket ? 'websocket' :
                       deliveredViaCallback ? 'callback' : 'pending',
       wakeTriggered,
+      expiresAt: message.expires_at,
       rateLimit: {
         remaining: rateLimit.remaining,
         resetAt: rateLimit.resetAt
-      }
+      },
+      usage: usage || undefined
     });
 
   } catch (err) {
@@ -328,11 +326,12 @@ router.post('/forward', messageSendLimiter, requireContainer, validate({ body: c
  *
  * Body: {
  *   toContainerId: UUID,
- *   payload: string (encrypted blob - we NEVER decrypt this)
+ *   payload: string (encrypted blob - we NEVER decrypt this),
+ *   ttlSeconds?: number (how long it may wait for delivery, default 24h)
  * }
  */
 router.post('/send', messageSendLimiter, requireContainer, validate({ body: sendMessageSchema }), async (req, res) => {
-  const { toContainerId, payload } = req.validatedBody;
+  const { toContainerId, payload, ttlSeconds } = req.validatedBody;
   const fromContainerId = req.container.userId;
 
   const payloadSize = Buffer.byteLength(payload, 'utf8');
@@ -372,49 +371,13 @@ router.post('/send', messageSendLimiter, requireContainer, validate({ body: send
     const message = await messages.create({
       fromContainerId,
       toContainerId,
-      payloadEncrypted: payload
+      payloadEncrypted: payload,
+      ttlSeconds
     });
 
-    // Try to deliver immediately via WebSocket if connected
-    let deliveredViaWebSocket = false;
-    if (isContainerConnected(toContainerId)) {
-      deliveredViaWebSocket = sendToContainer(toContainerId, message);
-      if (deliveredViaWebSocket) {
-        console.log(`[messages] Message ${message.id.slice(0, 8)} delivered via WebSocket`);
-      }
-    }
-
-    // Try callback URL if not connected via WebSocket
-    let deliveredViaCallback = false;
-    if (!deliveredViaWebSocket) {
-      const registration = await containerRegistry.findByContainerId(toContainerId);
-      if (registration?.callback_url) {
-        const forwardResult = await forwardToCallback(registration.callback_url, {
-          messageId: message.id,
-          fromContainerId,
-          payload,
-          timestamp: message.created_at,
-        });
-
-        if (forwardResult.success) {
-          deliveredViaCallback = true;
-          await messages.markDelivered(message.id);
-          console.log(`[messages] Message ${message.id.slice(0, 8)} delivered via callback`);
-        }
-      }
-    }
-
-    // If not connected, check if hibernated and trigger wake
-    let wakeTriggered = false;
-    if (!deliveredViaWebSocket && !deliveredViaCallback) {
-      const containerStatus = await getContainerStatus(toContainerId);
-
-      if (containerStatus.status === 'hibernated' || containerStatus.status === 'stopped') {
-        console.log(`[messages] Destination ${toContainerId.slice(0, 8)} is hibernated, triggering wake`);
-        const wakeResult = await wakeContainer(toContainerId);
-        wakeTriggered = wakeResult.success;
-      }
-    }
+    // Deliver now if the recipient is reachable (WebSocket, then callback), else queue
+    const delivery = await deliverMessage(message, { ipAddress: req.ip });
+    const { deliveredViaWebSocket, deliveredViaCallback, wakeTriggered } = delivery;
 
     // Log successful relay
     await auditLog.log({
@@ -432,6 +395,7 @@ router.post('/send', messageSendLimiter, requireContainer, validate({ body: send
       deliveryMethod: deliveredViaWebSocket ? 'websocket' :
                       deliveredViaCallback ? 'callback' : 'pending',
       wakeTriggered,
+      expiresAt: message.expires_at,
       rateLimit: {
         remaining: rateLimit.remaining,
         resetAt: rateLimit.resetAt
@@ -468,9 +432,9 @@ router.get('/messages/pending', requireContainer, async (req, res) => {
   try {
     // Acknowledge messages if provided
     if (req.query.ack) {
-      const ackIds = req.query.ack.split(',').filter(id => id.trim());
+      const ackIds = req.query.ack.split(',').map(id => id.trim()).filter(id => UUID_PATTERN.test(id));
       if (ackIds.length > 0) {
-        await messages.markManyDelivered(ackIds);
+        await recordAcks(containerId, ackIds, { ipAddress: req.ip });
         console.log(`[messages] Acknowledged ${ackIds.length} messages for ${containerId.slice(0, 8)}`);
       }
     }
@@ -504,6 +468,7 @@ router.get('/messages/pending', requireContainer, async (req, res) => {
  * }
  */
 router.post('/messages/ack', requireContainer, async (req, res) => {
+  const containerId = req.container.userId;
   const { messageIds } = req.body;
 
   if (!Array.isArray(messageIds) || messageIds.length === 0) {
@@ -515,7 +480,9 @@ router.post('/messages/ack', requireContainer, async (req, res) => {
   }
 
   try {
-    const acknowledged = await messages.markManyDelivered(messageIds);
+    const acknowledged = await recordAcks(containerId, messageIds.filter(id => UUID_PATTERN.test(id)), {
+      ipAddress: req.ip
+    });
 
     res.json({
       acknowledged: acknowledged.length,
@@ -528,4 +495,177 @@ router.post('/messages/ack', requireContainer, async (req, res) => {
   }
 });
 
+/**
+ * GET /relay/messages/sent
+ * Delivery status of messages the authenticated container sent (no payloads)
+ *
+ * Query params:
+ *   - status: queued, delivered, acked, expired or dead_lettered
+ *   - limit: max messages to return (default 50, max 100)
+ */
+router.get('/messages/sent', requireContainer, async (req, res) => {
+  const containerId = req.container.userId;
+  const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 100);
+
+  if (req.query.status && !STORED_STATUS[req.query.status]) {
+    return res.status(400).json({
+      error: 'Invalid status',
+      validStatuses: Object.keys(STORED_STATUS)
+    });
+  }
+
+  try {
+    const sent = await messages.listSent(containerId, {
+      status: STORED_STATUS[req.query.status],
+      limit
+    });
+
+    res.json({
+      count: sent.length,
+      messages: sent.map(describeMessage)
+    });
+
+  } catch (err) {
+    console.error('[messages] List sent error:', err);
+    res.status(500).json({ error: 'Failed to list sent messages' });
+  }
+});
+
+/**
+ * GET /relay/messages/:messageId/status
+ * Delivery receipt for one message (sender or recipient only)
+ */
+router.get('/messages/:messageId/status', requireContainer, validate({ params: messageIdParamSchema }), async (req, res) => {
+  const containerId = req.container.userId;
+
+  try {
+    const message = await messages.findById(req.validatedParams.messageId);
+    if (!message || (message.from_container_id !== containerId && message.to_container_id !== containerId)) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    res.json(describeMessage(message));
+
+  } catch (err) {
+    console.error('[messages] Get status error:', err);
+    res.status(500).json({ error: 'Failed to get message status' });
+  }
+});
+
+/**
+ * GET /relay/dead-letters
+ * Messages the authenticated container sent that could not be delivered
+ *
+ * Query params:
+ *   - limit: max entries to return (default 50, max 100)
+ *   - includeReplayed: "true" to include entries already replayed
+ */
+router.get('/dead-letters', requireContainer, async (req, res) => {
+  const containerId = req.container.userId;
+  const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 100);
+
+  try {
+    const entries = await deadLetters.listBySender(containerId, {
+      limit,
+      includeReplayed: req.query.includeReplayed === 'true'
+    });
+
+    res.json({
+      count: entries.length,
+      deadLetters: entries.map(formatDeadLetter)
+    });
+
+  } catch (err) {
+    console.error('[messages] List dead letters error:', err);
+    res.status(500).json({ error: 'Failed to list dead letters' });
+  }
+});
+
+/**
+ * GET /relay/dead-letters/:messageId
+ * Inspect one dead letter (sender only)
+ */
+router.get('/dead-letters/:messageId', requireContainer, validate({ params: messageIdParamSchema }), async (req, res) => {
+  const containerId = req.container.userId;
+
+  try {
+    const entry = await deadLetters.findByMessageId(req.validatedParams.messageId);
+    if (!entry || entry.from_container_id !== containerId) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+
+    res.json({
+      ...formatDeadLetter(entry),
+      status: RECEIPT_STATUS[entry.status] || entry.status
+    });
+
+  } catch (err) {
+    console.error('[messages] Get dead letter error:', err);
+    res.status(500).json({ error: 'Failed to get dead letter' });
+  }
+});
+
+/**
+ * POST /relay/dead-letters/:messageId/replay
+ * Re-queue a dead-lettered message and try to deliver it again (sender only)
+ * Checked like a new send: capability validity and revocation, the sender's
+ * rate limit and the capability's call budget.
+ *
+ * Body: {
+ *   ttlSeconds?: number (new time to live, defaults to the relay default)
+ * }
+ */
+router.post(
+  '/dead-letters/:messageId/replay',
+  messageSendLimiter,
+  requireContainer,
+  validate({ params: messageIdParamSchema, body: replayDeadLetterSchema }),
+  async (req, res) => {
+    const containerId = req.container.userId;
+
+    try {
+      const { message, delivery, rateLimit, usage } = await replayDeadLetter(
+        req.validatedParams.messageId,
+        containerId,
+        {
+          ttlSeconds: req.validatedBody.ttlSeconds,
+          ipAddress: req.ip
+        }
+      );
+
+      res.json({
+        messageId: message.id,
+        status: delivery.status,
+        deliveryMethod: delivery.deliveryMethod,
+        wakeTriggered: delivery.wakeTriggered,
+        expiresAt: message.expires_at,
+        rateLimit: {
+          remaining: rateLimit.remaining,
+          resetAt: rateLimit.resetAt
+        },
+        usage: usage || undefined
+      });
+
+    } catch (err) {
+      if (err.code === 'NOT_FOUND') {
+        return res.status(404).json({ error: err.message });
+      }
+      if (err.code === 'NOT_DEAD_LETTERED') {
+        return res.status(409).json({ error: err.message });
+      }
+      if (err.code === 'INVALID_CAPABILITY' || err.code === 'CAPABILITY_REVOKED') {
+        return res.status(403).json({ error: err.message });
+      }
+      if (err.code === 'RATE_LIMITED') {
+        return res.status(429).json({ error: err.message, remaining: 0, resetAt: err.resetAt });
+      }
+      if (err.code === 'CALL_LIMIT_EXCEEDED') {
+        return res.status(429).json({ error: err.message, usage: err.usage });
+      }
+      console.error('[messages] Replay error:', err);
+      res.status(500).json({ error: 'Failed to replay message' });
+    }
+  }
+);
+
 export default router;
@@ -9,77 +9,58 @@
  * - Registration requires valid gateway authentication
  * - Callback URLs are validated and rate-limited
  * - Public keys are verified to match container identity
+ * - Keys are replaced through a signed handover; old keys stay resolvable
  */
 import { Router } from 'express';
-import { createVerify, createPublicKey, createHash } from 'crypto';
 import { requireContainer } from '../middleware/auth.js';
-import { containerRegistry } from '../db/index.js';
+import { containerRegistry, containerKeys, meshAuditLogs, MESH_AUDIT_EVENTS } from '../db/index.js';
 import {
   validate,
   registerContainerSchema,
   updateRegistrationSchema,
   publicKeyLookupSchema,
+  rotateKeySchema,
 } from '../lib/schemas.js';
+import {
+  DEFAULT_KEY_OVERLAP_SECONDS,
+  hashPublicKey,
+  isValidPublicKey,
+  verifyOwnership,
+  keyRevocationId,
+  buildHandoverStatement,
+  describeKeyHistory,
+} from '../lib/registry-keys.js';
+import { isCapabilityRevoked } from './revocation.js';
 
 const router = Router();
 
-// Ed25519 SPKI prefix for DER-encoded public keys
-const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+// Rotation statements must be signed within this window
+const MAX_HANDOVER_AGE_MS = 5 * 60 * 1000;
 
 /**
- * Hash a public key to create a lookup key.
- * Uses first 32 characters of SHA-256 hash for efficient indexing.
+ * Registration as returned by lookups: the current key plus the key history,
+ * so peers holding an old key or hash can follow the handover to the new one.
+ * The callback URL is NOT exposed to prevent probing attacks.
  */
-function hashPublicKey(publicKeyBase64) {
-  return createHash('sha256')
-    .update(Buffer.from(publicKeyBase64, 'base64'))
-    .digest('hex')
-    .slice(0, 32);
+async function describeRegistration(registration, matchedHash) {
+  const keys = await describeKeyHistory(await containerKeys.listByContainer(registration.container_id));
+  return {
+    containerId: registration.container_id,
+    publicKey: registration.public_key,
+    publicKeyHash: registration.public_key_hash,
+    encryptionPublicKey: registration.encryption_public_key,
+    registeredAt: registration.created_at,
+    matchedKey: keys.find((key) => key.publicKeyHash === matchedHash) || null,
+    keys
+  };
 }
 
 /**
- * Verify a public key is valid Ed25519 format
+ * Find the registration a current or past key belongs to
  */
-function isValidPublicKey(publicKeyBase64) {
-  try {
-    const rawKey = Buffer.from(publicKeyBase64, 'base64');
-    if (rawKey.length !== 32) {
-      return false;
-    }
-    // Try to create a KeyObject to validate the key
-    const spkiDer = Buffer.concat([ED25519_SPKI_PREFIX, rawKey]);
-    createPublicKey({ key: spkiDer, type: 'spki', format: 'der' });
-    return true;
-  } catch {
-    return false;
-  }
-}
-
-/**
- * Verify a signature to prove public key ownership
- */
-function verifyOwnership(publicKeyBase64, challenge, signatureBase64) {
-  try {
-    const rawKey = Buffer.from(publicKeyBase64, 'base64');
-    if (rawKey.length !== 32) {
-      return false;
-    }
-
-    const spkiDer = Buffer.concat([ED25519_SPKI_PREFIX, rawKey]);
-    const publicKey = createPublicKey({ key: spkiDer, type: 'spki', format: 'der' });
-
-    const signatureBuffer = Buffer.from(signatureBase64, 'base64');
-    if (signatureBuffer.length !== 64) {
-      return false;
-    }
-
-    const verify = createVerify(null);
-    verify.update(challenge);
-    return verify.verify(publicKey, signatureBuffer);
-  } catch (err) {
-    console.error('[registry] Ownership verification failed:', err.message);
-    return false;
-  }
+async function findRegistrationByKeyHash(publicKeyHash) {
+  const key = await containerKeys.findByHash(publicKeyHash);
+  return key ? containerRegistry.findByContainerId(key.container_id) : null;
 }
 
 /**
@@ -171,10 +152,47 @@ router.post('/register', requireContainer, validate({ body: registerContainerSch
     // Hash public key for lookup
     const publicKeyHash = hashPublicKey(publicKey);
 
+    // A key belongs to one container for good, even after it is rotated out
+    const knownKey = await containerKeys.findByHash(publicKeyHash);
+    if (knownKey && knownKey.container_id !== containerId) {
+      return res.status(409).json({
+        error: 'Public key is registered to another container'
+      });
+    }
+    if (await isCapabilityRevoked(keyRevocationId(publicKeyHash))) {
+      return res.status(403).json({
+        error: 'Public key has been revoked'
+      });
+    }
+
     // Check if already registered
     const existing = await containerRegistry.findByContainerId(containerId);
 
     if (existing) {
+      // Replacing the key without a handover would strand peers that cached it;
+      // only allowed once the current key is revoked (it can no longer sign one)
+      if (existing.public_key_hash !== publicKeyHash) {
+        const currentRevoked = await isCapabilityRevoked(keyRevocationId(existing.public_key_hash));
+        if (!currentRevoked) {
+          return res.status(409).json({
+            error: 'Container already has a public key - rotate it with POST /relay/registry/rotate'
+          });
+        }
+        if (knownKey) {
+          return res.status(409).json({
+            error: 'Public key was already used by this container'
+          });
+        }
+
+        await containerKeys.retire(containerId, existing.public_key_hash, 0);
+        await containerKeys.record({
+          containerId,
+          publicKey,
+          publicKeyHash,
+          previousPublicKeyHash: existing.public_key_hash
+        });
+      }
+
       // Update existing registration
       await containerRegistry.update(containerId, {
         publicKey,
@@ -193,6 +211,9 @@ router.post('/register', requireContainer, validate({ body: registerContainerSch
         encryptionPublicKey: encryptionPublicKey || null,
         callbackUrl: callbackUrl || null,
       });
+      if (!knownKey) {
+        await containerKeys.record({ containerId, publicKey, publicKeyHash });
+      }
 
       console.log(`[registry] New registration for container ${containerId.slice(0, 8)}`);
     }
@@ -267,6 +288,132 @@ router.patch('/update', requireContainer, validate({ body: updateRegistrationSch
   }
 });
 
+/**
+ * POST /relay/registry/rotate
+ * Rotate the container's public key with a signed handover.
+ *
+ * Both keys sign the handover statement
+ *   JSON.stringify({ action: 'rotate_key', containerId, previousPublicKey, newPublicKey, timestamp })
+ * - the current key to vouch for the new one, the new key to prove possession.
+ * The previous key stays valid for overlapSeconds so peers can switch over.
+ *
+ * Body: {
+ *   newPublicKey: string (base64 Ed25519 public key),
+ *   encryptionPublicKey?: string (base64 X25519 public key, replaces the current one),
+ *   timestamp: string (ISO date, within 5 minutes),
+ *   handoverSignature: string (statement signed by the current key),
+ *   newKeySignature: string (statement signed by the new key),
+ *   overlapSeconds?: number (how long the previous key stays valid, default 7 days)
+ * }
+ */
+router.post('/rotate', requireContainer, validate({ body: rotateKeySchema }), async (req, res) => {
+  const {
+    newPublicKey,
+    encryptionPublicKey,
+    timestamp,
+    handoverSignature,
+    newKeySignature,
+    overlapSeconds = DEFAULT_KEY_OVERLAP_SECONDS,
+  } = req.validatedBody;
+  const containerId = req.container.userId;
+
+  if (Math.abs(Date.now() - new Date(timestamp).getTime()) > MAX_HANDOVER_AGE_MS) {
+    return res.status(400).json({
+      error: 'Handover timestamp is too old or in the future'
+    });
+  }
+
+  if (!isValidPublicKey(newPublicKey)) {
+    return res.status(400).json({
+      error: 'Invalid public key format'
+    });
+  }
+
+  try {
+    const existing = await containerRegistry.findByContainerId(containerId);
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Container not registered'
+      });
+    }
+
+    // A revoked key can't vouch for anything; re-register instead
+    if (await isCapabilityRevoked(keyRevocationId(existing.public_key_hash))) {
+      return res.status(403).json({
+        error: 'Current key has been revoked - register a new key with POST /relay/registry/register'
+      });
+    }
+
+    const newPublicKeyHash = hashPublicKey(newPublicKey);
+    if (await containerKeys.findByHash(newPublicKeyHash)) {
+      return res.status(409).json({
+        error: 'Public key has already been registered'
+      });
+    }
+
+    const statement = buildHandoverStatement({
+      containerId,
+      previousPublicKey: existing.public_key,
+      newPublicKey,
+      timestamp
+    });
+    if (!verifyOwnership(existing.public_key, statement, handoverSignature)) {
+      return res.status(403).json({
+        error: 'Handover must be signed by the current key'
+      });
+    }
+    if (!verifyOwnership(newPublicKey, statement, newKeySignature)) {
+      return res.status(403).json({
+        error: 'Public key ownership verification failed'
+      });
+    }
+
+    await containerKeys.record({
+      containerId,
+      publicKey: newPublicKey,
+      publicKeyHash: newPublicKeyHash,
+      previousPublicKeyHash: existing.public_key_hash,
+      handoverStatement: statement,
+      handoverSignature
+    });
+    const retired = await containerKeys.retire(containerId, existing.public_key_hash, overlapSeconds);
+
+    const updates = { publicKey: newPublicKey, publicKeyHash: newPublicKeyHash };
+    if (encryptionPublicKey !== undefined) {
+      updates.encryptionPublicKey = encryptionPublicKey;
+    }
+    await containerRegistry.update(containerId, updates);
+
+    await meshAuditLogs.log({
+      eventType: MESH_AUDIT_EVENTS.RELAY_KEY_ROTATED,
+      actorId: containerId,
+      targetId: containerId,
+      ipAddress: req.ip,
+      success: true,
+      source: 'relay-server',
+      details: {
+        previousPublicKeyHash: existing.public_key_hash,
+        publicKeyHash: newPublicKeyHash,
+        previousKeyValidUntil: retired?.valid_until
+      }
+    });
+
+    console.log(`[registry] Rotated key for container ${containerId.slice(0, 8)}: ${existing.public_key_hash.slice(0, 8)} -> ${newPublicKeyHash.slice(0, 8)}`);
+
+    res.json({
+      success: true,
+      containerId,
+      publicKeyHash: newPublicKeyHash,
+      previousPublicKeyHash: existing.public_key_hash,
+      previousKeyValidUntil: retired?.valid_until || null,
+    });
+
+  } catch (err) {
+    console.error('[registry] Rotation error:', err);
+    res.status(500).json({ error: 'Failed to rotate key' });
+  }
+});
+
 /**
  * DELETE /relay/registry
  * Unregister a container.
@@ -276,6 +423,7 @@ router.delete('/', requireContainer, async (req, res) => {
 
   try {
     await containerRegistry.delete(containerId);
+    await containerKeys.deleteByContainer(containerId);
 
     console.log(`[registry] Unregistered container ${containerId.slice(0, 8)}`);
 
@@ -306,6 +454,8 @@ router.get('/', requireContainer, async (req, res) => {
       });
     }
 
+    const keys = await describeKeyHistory(await containerKeys.listByContainer(containerId));
+
     res.json({
       containerId: registration.container_id,
       publicKey: registration.public_key,
@@ -314,6 +464,7 @@ router.get('/', requireContainer, async (req, res) => {
       hasCallback: !!registration.callback_url,
       registeredAt: registration.created_at,
       updatedAt: registration.updated_at,
+      keys,
     });
 
   } catch (err) {
@@ -327,13 +478,15 @@ router.get('/', requireContainer, async (req, res) => {
  * Look up a container by public key hash.
  *
  * This enables discovery of container IDs from public keys.
+ * Hashes of rotated or revoked keys still resolve: the response carries the
+ * current key, the key history with handover signatures, and the matched key's status.
  * The callback URL is NOT exposed to prevent probing attacks.
  */
 router.get('/lookup/:publicKeyHash', validate({ params: publicKeyLookupSchema }), async (req, res) => {
   const { publicKeyHash } = req.validatedParams;
 
   try {
-    const registration = await containerRegistry.findByPublicKeyHash(publicKeyHash);
+    const registration = await findRegistrationByKeyHash(publicKeyHash);
 
     if (!registration) {
       return res.status(404).json({
@@ -341,13 +494,7 @@ router.get('/lookup/:publicKeyHash', validate({ params: publicKeyLookupSchema })
       });
     }
 
-    // Only expose limited information (not callback URL)
-    res.json({
-      containerId: registration.container_id,
-      publicKey: registration.public_key,
-      encryptionPublicKey: registration.encryption_public_key,
-      registeredAt: registration.created_at,
-    });
+    res.json(await describeRegistration(registration, publicKeyHash));
 
   } catch (err) {
     console.error('[registry] Lookup error:', err);
@@ -380,7 +527,7 @@ router.post('/lookup', async (req, res) => {
     }
 
     const publicKeyHash = hashPublicKey(publicKey);
-    const registration = await containerRegistry.findByPublicKeyHash(publicKeyHash);
+    const registration = await findRegistrationByKeyHash(publicKeyHash);
 
     if (!registration) {
       return res.status(404).json({
@@ -388,13 +535,7 @@ router.post('/lookup', async (req, res) => {
       });
     }
 
-    // Only expose limited information (not callback URL)
-    res.json({
-      containerId: registration.container_id,
-      publicKey: registration.public_key,
-      encryptionPublicKey: registration.encryption_public_key,
-      registeredAt: registration.created_at,
-    });
+    res.json(await describeRegistration(registration, publicKeyHash));
 
   } catch (err) {
     console.error('[registry] Lookup by key error:', err);
@@ -1,22 +1,31 @@
 import { Router } from 'express';
 import { requireContainer } from '../middleware/auth.js';
 import { messages, rateLimits, auditLog, containers } from '../db/index.js';
-import { sendToContainer, isContainerConnected } from '../lib/websocket.js';
-import { wakeContainer, getContainerStatus } from '../lib/wake.js';
+import { isContainerConnected } from '../lib/websocket.js';
 import { messageSendLimiter } from '../lib/rate-limit.js';
+import { deliverMessage, recordAcks } from '../lib/delivery.js';
+import {
+  messageTtlSchema,
+  MIN_MESSAGE_TTL_SECONDS,
+  MAX_MESSAGE_TTL_SECONDS,
+} from '../lib/schemas.js';
 
 const router = Router();
 
 // Maximum payload size (1MB encrypted blob limit)
 const MAX_PAYLOAD_SIZE = 1024 * 1024;
 
+// Message IDs are UUIDs; anything else can't match and would fail the query cast
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
 /**
  * POST /relay/send
  * Send an encrypted message to another container
  *
  * Body: {
  *   toContainerId: UUID,
- *   payload: string (encrypted blob - we NEVER decrypt this)
+ *   payload: string (encrypted blob - we NEVER decrypt this),
+ *   ttlSeconds?: number (how long it may wait for delivery, default 24h)
  * }
  *
  * SECURITY: This relay is ZERO-KNOWLEDGE
@@ -27,7 +36,7 @@ const MAX_PAYLOAD_SIZE = 1024 * 1024;
  * Rate limited: 100 messages per minute per container
  */
 router.post('/send', messageSendLimiter, requireContainer, async (req, res) => {
-  const { toContainerId, payload } = req.body;
+  const { toContainerId, payload, ttlSeconds } = req.body;
   const fromContainerId = req.container.userId;
 
   // Validate request
@@ -39,6 +48,12 @@ router.post('/send', messageSendLimiter, requireContainer, async (req, res) => {
     return res.status(400).json({ error: 'Missing or invalid payload' });
   }
 
+  if (ttlSeconds !== undefined && !messageTtlSchema.safeParse(ttlSeconds).success) {
+    return res.status(400).json({
+      error: `ttlSeconds must be an integer between ${MIN_MESSAGE_TTL_SECONDS} and ${MAX_MESSAGE_TTL_SECONDS}`
+    });
+  }
+
   const payloadSize = Buffer.byteLength(payload, 'utf8');
   if (payloadSize > MAX_PAYLOAD_SIZE) {
     return res.status(413).json({
@@ -90,43 +105,29 @@ router.post('/send', messageSendLimiter, requireContainer, async (req, res) => {
     const message = await messages.create({
       fromContainerId,
       toContainerId,
-      payloadEncrypted: payload
+      payloadEncrypted: payload,
+      ttlSeconds
     });
 
-    // Try to deliver immediately via WebSocket if connected
-    let deliveredViaWebSocket = false;
-    if (isContainerConnected(toContainerId)) {
-      deliveredViaWebSocket = sendToContainer(toContainerId, message);
-      if (deliveredViaWebSocket) {
-        console.log(`[relay] Message ${message.id.slice(0, 8)} delivered via WebSocket`);
-      }
-    }
-
-    // If not connected, check if hibernated and trigger wake
-    let wakeTriggered = false;
-    if (!deliveredViaWebSocket) {
-      const containerStatus = await getContainerStatus(toContainerId);
-
-      if (containerStatus.status === 'hibernated' || containerStatus.status === 'stopped') {
-        console.log(`[relay] Destination ${toContainerId.slice(0, 8)} is hibernated, triggering wake`);
-        const wakeResult = await wakeContainer(toContainerId);
-        wakeTriggered = wakeResult.success;
-      }
-    }
+    // Deliver now if the recipient is reachable (WebSocket, then callback), else queue
+    const delivery = await deliverMessage(message, { ipAddress: req.ip });
+    const delivered = delivery.deliveredViaWebSocket || delivery.deliveredViaCallback;
 
     // Log successful relay
     await auditLog.log({
       fromContainerId,
       toContainerId,
       payloadSize,
-      status: deliveredViaWebSocket ? 'delivered' : 'queued',
+      status: delivered ? 'delivered' : 'queued',
       errorMessage: null
     });
 
     res.status(201).json({
       messageId: message.id,
-      status: deliveredViaWebSocket ? 'delivered' : 'queued',
-      wakeTriggered,
+      status: delivered ? 'delivered' : 'queued',
+      deliveryMethod: delivery.deliveryMethod,
+      wakeTriggered: delivery.wakeTriggered,
+      expiresAt: message.expires_at,
       rateLimit: {
         remaining: rateLimit.remaining,
         resetAt: rateLimit.resetAt
@@ -163,9 +164,9 @@ router.get('/pending', requireContainer, async (req, res) => {
   try {
     // Acknowledge messages if provided
     if (req.query.ack) {
-      const ackIds = req.query.ack.split(',').filter(id => id.trim());
+      const ackIds = req.query.ack.split(',').map(id => id.trim()).filter(id => UUID_PATTERN.test(id));
       if (ackIds.length > 0) {
-        await messages.markManyDelivered(ackIds);
+        await recordAcks(containerId, ackIds, { ipAddress: req.ip });
         console.log(`[relay] Acknowledged ${ackIds.length} messages for ${containerId.slice(0, 8)}`);
       }
     }
@@ -199,6 +200,7 @@ router.get('/pending', requireContainer, async (req, res) => {
  * }
  */
 router.post('/ack', requireContainer, async (req, res) => {
+  const containerId = req.container.userId;
   const { messageIds } = req.body;
 
   if (!Array.isArray(messageIds) || messageIds.length === 0) {
@@ -210,7 +212,9 @@ router.post('/ack', requireContainer, async (req, res) => {
   }
 
   try {
-    const acknowledged = await messages.markManyDelivered(messageIds);
+    const acknowledged = await recordAcks(containerId, messageIds.filter(id => UUID_PATTERN.test(id)), {
+      ipAddress: req.ip
+    });
 
     res.json({
       acknowledged: acknowledged.length,
@@ -240,7 +244,7 @@ router.get('/status', requireContainer, async (req, res) => {
       containerId,
       pendingMessages: pendingCount,
       rateLimit: rateStatus,
-      connected: isContainerConnected(containerId)
+      connected: await isContainerConnected(containerId)
     });
 
   } catch (err) {
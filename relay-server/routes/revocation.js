@@ -8,9 +8,12 @@
  * A Bloom filter is used for fast rejection of non-revoked capabilities.
  */
 import { Router } from 'express';
-import { createVerify, createPublicKey, createHash } from 'crypto';
+import { createPublicKey, createHash, verify } from 'crypto';
 import { capabilityRevocations, meshAuditLogs, MESH_AUDIT_EVENTS } from '../../management-server/db/index.js';
-import { cachedSnapshots } from '../db/index.js';
+import { cachedSnapshots, containerKeys, containerRegistry } from '../db/index.js';
+import { requireContainer } from '../middleware/auth.js';
+import { consumeCapabilityCall } from '../lib/capability-usage.js';
+import { KEY_REVOCATION_PREFIX, canRevokeKey, hashPublicKey, keyRevocationId } from '../lib/registry-keys.js';
 import {
   validate,
   revocationRequestSchema,
@@ -146,9 +149,7 @@ function verifySignature(payload, signatureBase64, publicKeyBase64) {
       return false;
     }
 
-    const verify = createVerify(null);
-    verify.update(payload);
-    return verify.verify(publicKey, signatureBuffer);
+    return verify(null, Buffer.from(payload), publicKey, signatureBuffer);
   } catch (err) {
     console.error('[revocation] Signature verification failed:', err.message);
     return false;
@@ -159,6 +160,11 @@ function verifySignature(payload, signatureBase64, publicKeyBase64) {
  * POST /relay/revoke
  * Submit a capability revocation
  *
+ * A compromised registry key is revoked with capabilityId "key:<publicKeyHash>",
+ * signed by the container's active key, which may revoke any of its keys, or by a
+ * rotated key still inside its overlap window, which may only revoke itself. Expired
+ * and revoked keys cannot revoke.
+ *
  * Body: {
  *   capabilityId: string,
  *   revokedBy: string (base64 public key),
@@ -200,12 +206,33 @@ router.post('/revoke', validate({ body: revocationRequestSchema }), async (req,
   }
 
   try {
+    // Registry keys (key:<publicKeyHash>) can only be revoked by the container's active
+    // key, or by a rotated key inside its overlap window revoking itself
+    const isKeyRevocation = capabilityId.startsWith(KEY_REVOCATION_PREFIX);
+    if (isKeyRevocation) {
+      const key = await containerKeys.findByHash(capabilityId.slice(KEY_REVOCATION_PREFIX.length));
+      if (!key) {
+        return res.status(404).json({
+          success: false,
+          error: 'Unknown registry key'
+        });
+      }
+      const ownerKeys = await containerKeys.listByContainer(key.container_id);
+      if (!(await canRevokeKey(ownerKeys, key.public_key_hash, revokedBy))) {
+        return res.status(403).json({
+          success: false,
+          error: 'Key revocations must be signed by the active key of the same container, or by the key itself'
+        });
+      }
+    }
+
     // Persist revocation to database
     const record = await capabilityRevocations.create({
       capabilityId,
       issuerPublicKey: revokedBy,
       reason,
-      originalExpiry,
+      // Keys don't expire, so their revocations are never cleaned up
+      originalExpiry: isKeyRevocation ? null : originalExpiry,
       signature,
       metadata: { timestamp }
     });
@@ -228,7 +255,7 @@ router.post('/revoke', validate({ body: revocationRequestSchema }), async (req,
 
     // Log to mesh audit
     await meshAuditLogs.log({
-      eventType: MESH_AUDIT_EVENTS.CAPABILITY_REVOKED,
+      eventType: isKeyRevocation ? MESH_AUDIT_EVENTS.RELAY_KEY_REVOKED : MESH_AUDIT_EVENTS.CAPABILITY_REVOKED,
       actorId: revokedBy,
       targetId: capabilityId,
       ipAddress: req.ip,
@@ -433,8 +460,11 @@ router.post('/snapshots', validate({ body: snapshotSchema }), async (req, res) =
     }
   }
 
-  // Verify snapshot signature
-  const signatureData = `${snapshot.capabilityId}:${snapshot.encryptedData}:${snapshot.ephemeralPublicKey}`;
+  // Verify snapshot signature (a call budget, when set, is signed too)
+  let signatureData = `${snapshot.capabilityId}:${snapshot.encryptedData}:${snapshot.ephemeralPublicKey}`;
+  if (snapshot.maxCalls) {
+    signatureData += `:${snapshot.maxCalls}`;
+  }
   if (!verifySignature(signatureData, snapshot.signature, snapshot.issuerPublicKey)) {
     return res.status(400).json({
       success: false,
@@ -461,7 +491,8 @@ router.post('/snapshots', validate({ body: snapshotSchema }), async (req, res) =
       nonce: snapshot.nonce,
       tag: snapshot.tag,
       signature: snapshot.signature,
-      expiresAt: new Date(snapshot.expiresAt)
+      expiresAt: new Date(snapshot.expiresAt),
+      maxCalls: snapshot.maxCalls
     });
 
     console.log(`[snapshots] Stored snapshot for ${snapshot.capabilityId.slice(0, 8)} (persisted)`);
@@ -476,9 +507,62 @@ router.post('/snapshots', validate({ body: snapshotSchema }), async (req, res) =
   }
 });
 
+/**
+ * Convert a snapshot DB row to the response format
+ */
+function formatSnapshot(row, usage) {
+  return {
+    capabilityId: row.capability_id,
+    encryptedData: row.encrypted_data,
+    ephemeralPublicKey: row.ephemeral_public_key,
+    nonce: row.nonce,
+    tag: row.tag,
+    signature: row.signature,
+    issuerPublicKey: row.issuer_public_key,
+    recipientPublicKey: row.recipient_public_key,
+    createdAt: row.created_at.toISOString(),
+    expiresAt: row.expires_at.toISOString(),
+    maxCalls: row.max_calls || undefined,
+    usage: usage || undefined
+  };
+}
+
+/**
+ * Count a call and send a usage-limited snapshot to its recipient
+ * Runs after requireContainer: the caller's registered encryption key must be the
+ * snapshot's recipient key.
+ */
+async function sendLimitedSnapshot(req, res, row) {
+  try {
+    const registration = await containerRegistry.findByContainerId(req.container.userId);
+    if (!registration || registration.encryption_public_key !== row.recipient_public_key) {
+      return res.status(403).json({ error: 'Only the snapshot recipient can retrieve it' });
+    }
+
+    const { allowed, ...usage } = await consumeCapabilityCall(
+      row.capability_id,
+      row.max_calls,
+      row.expires_at.getTime()
+    );
+    if (!allowed) {
+      return res.status(429).json({ error: 'Capability call limit exceeded', usage });
+    }
+
+    res.json(formatSnapshot(row, usage));
+  } catch (err) {
+    console.error('[snapshots] Failed to retrieve snapshot:', err);
+    res.status(500).json({ error: 'Failed to retrieve snapshot' });
+  }
+}
+
 /**
  * GET /relay/snapshots/:capabilityId
  * Retrieve a cached snapshot
+ *
+ * For usage-limited capabilities each retrieval counts as one call, so only the
+ * recipient's container may retrieve them (container auth headers required);
+ * the response includes the remaining calls and exhausted capabilities get a 429.
+ * Snapshots without a call limit can be retrieved without authentication.
  */
 router.get('/snapshots/:capabilityId', validate({ params: capabilityIdParamSchema }), async (req, res) => {
   const { capabilityId } = req.validatedParams;
@@ -506,21 +590,12 @@ router.get('/snapshots/:capabilityId', validate({ params: capabilityIdParamSchem
       return res.status(404).json({ error: 'Snapshot not found' });
     }
 
-    // Convert DB row to snapshot format
-    const snapshot = {
-      capabilityId: row.capability_id,
-      encryptedData: row.encrypted_data,
-      ephemeralPublicKey: row.ephemeral_public_key,
-      nonce: row.nonce,
-      tag: row.tag,
-      signature: row.signature,
-      issuerPublicKey: row.issuer_public_key,
-      recipientPublicKey: row.recipient_public_key,
-      createdAt: row.created_at.toISOString(),
-      expiresAt: row.expires_at.toISOString()
-    };
+    // Anyone who knows the capability ID could otherwise use up its calls
+    if (row.max_calls) {
+      return requireContainer(req, res, () => sendLimitedSnapshot(req, res, row));
+    }
 
-    res.json(snapshot);
+    res.json(formatSnapshot(row));
   } catch (err) {
     console.error('[snapshots] Failed to retrieve snapshot:', err);
     res.status(500).json({ error: 'Failed to retrieve snapshot' });
@@ -650,6 +725,37 @@ export function isBloomInitialized() {
   return bloomInitialized;
 }
 
+/**
+ * Check whether a capability has been revoked (Bloom filter, then database).
+ * Until the Bloom filter is loaded every check goes to the database.
+ * Throws if the database check fails so callers can fail closed.
+ */
+export async function isCapabilityRevoked(capabilityId) {
+  if (bloomInitialized && !bloomMightContain(capabilityId)) {
+    return false;
+  }
+  return capabilityRevocations.isRevoked(capabilityId);
+}
+
+/**
+ * Check whether a decoded capability token can no longer be used: the capability
+ * itself, or the registry key that issued it or that it was issued to, is revoked.
+ * Throws if the database check fails so callers can fail closed.
+ */
+export async function isTokenRevoked(capability) {
+  const revocationIds = [capability.id, keyRevocationId(hashPublicKey(capability.iss))];
+  if (capability.sub) {
+    revocationIds.push(keyRevocationId(hashPublicKey(capability.sub)));
+  }
+
+  for (const revocationId of revocationIds) {
+    if (await isCapabilityRevoked(revocationId)) {
+      return true;
+    }
+  }
+  return false;
+}
+
 /**
  * Cleanup expired revocations from database and rebuild Bloom filter.
  * Run this periodically (e.g., daily cron job).
@@ -0,0 +1,584 @@
+/**
+ * Chunked Transfer Routes
+ *
+ * Resumable transfers of large end-to-end encrypted blobs (files, datasets) that
+ * don't fit in a single relay message.
+ *
+ * SECURITY: The relay stays ZERO-KNOWLEDGE
+ * - Chunks are encrypted by the sender before upload; the relay stores ciphertext
+ * - The relay only checks chunk sizes and SHA-256 hashes against the manifest
+ * - Every chunk upload carries the capability token, so revoking the capability
+ *   stops (and cancels) a transfer mid-flight
+ *
+ * Flow:
+ * 1. Sender POSTs the manifest; the receiver is sent a `transfer_offer` message
+ * 2. Sender PUTs chunks by hash, in any order; after a disconnect it GETs the
+ *    transfer and uploads whatever is listed as missing
+ * 3. Receiver GETs chunks by hash as they land, verifies and reassembles them
+ * 4. Receiver acks the transfer and the relay drops the chunks
+ */
+import express, { Router } from "express";
+import {
+  transfers,
+  rateLimits,
+  auditLog,
+  meshAuditLogs,
+  MESH_AUDIT_EVENTS,
+  DEFAULT_MESSAGE_TTL_SECONDS,
+} from "../db/index.js";
+import { decodeCapabilityToken } from "../lib/capability-token.js";
+import { consumeCapabilityCall } from "../lib/capability-usage.js";
+import { transferLimiter } from "../lib/rate-limit.js";
+import {
+  validate,
+  createTransferSchema,
+  transferIdParamSchema,
+  transferChunkParamSchema,
+} from "../lib/schemas.js";
+import {
+  MAX_CHUNK_SIZE,
+  MAX_ACTIVE_TRANSFERS,
+  validateManifest,
+  describeTransfer,
+  offerTransfer,
+  storeChunk,
+} from "../lib/transfers.js";
+import { notifyContainer } from "../lib/websocket.js";
+import { requireContainer } from "../middleware/auth.js";
+import { isTokenRevoked } from "./revocation.js";
+
+const router = Router();
+
+// Statuses in which the relay still holds chunks
+const OPEN_STATUSES = ["uploading", "complete"];
+
+// Error code from lib/transfers.js -> HTTP status
+const CHUNK_ERROR_STATUS = {
+  NOT_IN_MANIFEST: 400,
+  SIZE_MISMATCH: 400,
+  HASH_MISMATCH: 422,
+};
+
+/**
+ * Load a transfer the caller takes part in
+ * Other containers get a 404 so transfer IDs can't be probed.
+ */
+async function loadTransfer(req, res, { senderOnly = false, receiverOnly = false } = {}) {
+  const transfer = await transfers.findById(req.validatedParams.transferId);
+  const containerId = req.container.userId;
+  const isSender = transfer?.from_container_id === containerId;
+  const isReceiver = transfer?.to_container_id === containerId;
+
+  if (
+    !transfer ||
+    (senderOnly && !isSender) ||
+    (receiverOnly && !isReceiver) ||
+    (!isSender && !isReceiver)
+  ) {
+    res.status(404).json({ error: "Transfer not found" });
+    return null;
+  }
+  return transfer;
+}
+
+/**
+ * Reject requests against transfers that no longer hold chunks
+ */
+function rejectClosed(res, transfer) {
+  // The cleanup job may not have caught up with the TTL yet
+  const status =
+    OPEN_STATUSES.includes(transfer.status) && new Date(transfer.expires_at) < new Date()
+      ? "expired"
+      : transfer.status;
+
+  if (status === "cancelled" || status === "expired") {
+    res.status(410).json({ error: `Transfer is ${status}` });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Check the capability token sent with a chunk
+ * A revoked capability cancels the transfer and drops its chunks.
+ * @returns {Promise<{ status: number, error: string }|null>} Rejection, or null if allowed
+ */
+async function verifyChunkCapability(req, transfer) {
+  const token = req.get("X-Capability-Token");
+  if (!token) {
+    return { status: 401, error: "Missing X-Capability-Token header" };
+  }
+
+  const capability = decodeCapabilityToken(token);
+  if (!capability) {
+    return { status: 403, error: "Invalid or expired capability token" };
+  }
+  if (capability.id !== transfer.capability_id) {
+    return { status: 403, error: "Capability token does not match this transfer" };
+  }
+
+  // Fail closed: if revocation status can't be checked, the chunk is refused
+  let revoked;
+  try {
+    revoked = await isTokenRevoked(capability);
+  } catch (err) {
+    console.error("[transfers] Revocation check failed:", err.message);
+    return { status: 503, error: "Unable to verify capability status" };
+  }
+  if (!revoked) {
+    return null;
+  }
+
+  const cancelled = await transfers.transition(transfer.id, OPEN_STATUSES, "cancelled");
+  if (cancelled) {
+    console.log(`[transfers] Transfer ${transfer.id.slice(0, 8)} cancelled, capability revoked`);
+    notifyContainer(transfer.to_container_id, {
+      type: "transfer_cancelled",
+      transferId: transfer.id,
+      reason: "capability_revoked",
+      timestamp: Date.now(),
+    }).catch(() => {});
+  }
+
+  await meshAuditLogs.log({
+    eventType: MESH_AUDIT_EVENTS.CAPABILITY_DENIED,
+    actorId: transfer.from_container_id,
+    targetId: transfer.to_container_id,
+    ipAddress: req.ip,
+    success: false,
+    source: "relay-server",
+    errorMessage: "Capability revoked during transfer",
+    details: { capabilityId: capability.id, transferId: transfer.id },
+  });
+
+  return { status: 403, error: "Capability has been revoked" };
+}
+
+/**
+ * POST /relay/transfers
+ * Start a chunked transfer to another container.
+ *
+ * Body: {
+ *   toContainerId: UUID,
+ *   capabilityToken: string (signed capability token),
+ *   totalSize: number (bytes of the encrypted blob),
+ *   chunkSize: number (bytes per chunk, 64KB-1MB; the last chunk may be smaller),
+ *   chunks: string[] (SHA-256 hex of each encrypted chunk, in order),
+ *   metadata?: string (encrypted for the receiver, e.g. file name and content key),
+ *   ttlSeconds?: number (how long chunks are kept, default 24h, capped at capability expiry)
+ * }
+ *
+ * The capability is counted once against its call budget for the whole transfer.
+ */
+router.post(
+  "/",
+  requireContainer,
+  transferLimiter,
+  validate({ body: createTransferSchema }),
+  async (req, res) => {
+    const { toContainerId, capabilityToken, totalSize, chunkSize, chunks, metadata, ttlSeconds } =
+      req.validatedBody;
+    const fromContainerId = req.container.userId;
+
+    if (toContainerId === fromContainerId) {
+      return res.status(400).json({ error: "Cannot transfer to yourself" });
+    }
+
+    let contentHash;
+    try {
+      ({ contentHash } = validateManifest({ totalSize, chunkSize, chunks }));
+    } catch (err) {
+      return res.status(err.code === "TRANSFER_TOO_LARGE" ? 413 : 400).json({ error: err.message });
+    }
+
+    try {
+      const capability = decodeCapabilityToken(capabilityToken);
+      if (!capability) {
+        await auditLog.log({
+          fromContainerId,
+          toContainerId,
+          payloadSize: totalSize,
+          status: "invalid_capability",
+          errorMessage: "Invalid or expired capability token",
+        });
+
+        await meshAuditLogs.log({
+          eventType: MESH_AUDIT_EVENTS.CAPABILITY_DENIED,
+          actorId: fromContainerId,
+          targetId: toContainerId,
+          ipAddress: req.ip,
+          success: false,
+          source: "relay-server",
+          errorMessage: "Invalid or expired capability token",
+        });
+
+        return res.status(403).json({ error: "Invalid or expired capability token" });
+      }
+
+      if (await isTokenRevoked(capability)) {
+        await meshAuditLogs.log({
+          eventType: MESH_AUDIT_EVENTS.CAPABILITY_DENIED,
+          actorId: fromContainerId,
+          targetId: toContainerId,
+          ipAddress: req.ip,
+          success: false,
+          source: "relay-server",
+          errorMessage: "Capability has been revoked",
+          details: { capabilityId: capability.id },
+        });
+
+        return res.status(403).json({ error: "Capability has been revoked" });
+      }
+
+      const activeTransfers = await transfers.countActiveBySender(fromContainerId);
+      if (activeTransfers >= MAX_ACTIVE_TRANSFERS) {
+        return res.status(429).json({
+          error: "Too many active transfers",
+          maxActive: MAX_ACTIVE_TRANSFERS,
+        });
+      }
+
+      const rateLimit = await rateLimits.checkAndIncrement(fromContainerId);
+      if (!rateLimit.allowed) {
+        await auditLog.log({
+          fromContainerId,
+          toContainerId,
+          payloadSize: totalSize,
+          status: "rate_limited",
+          errorMessage: null,
+        });
+
+        return res.status(429).json({
+          error: "Rate limit exceeded",
+          remaining: 0,
+          resetAt: rateLimit.resetAt,
+        });
+      }
+
+      let usage = null;
+      if (capability.constraints?.maxCalls) {
+        const { allowed, ...counts } = await consumeCapabilityCall(
+          capability.id,
+          capability.constraints.maxCalls,
+          capability.exp * 1000,
+        );
+        usage = counts;
+        if (!allowed) {
+          await auditLog.log({
+            fromContainerId,
+            toContainerId,
+            payloadSize: totalSize,
+            status: "call_limit_exceeded",
+            errorMessage: `Capability ${capability.id} exhausted ${usage.maxCalls} calls`,
+          });
+
+          return res.status(429).json({
+            error: "Capability call limit exceeded",
+            usage,
+          });
+        }
+      }
+
+      // Chunks are useless once the capability expires, so don't keep them longer
+      const secondsLeft = capability.exp - Math.floor(Date.now() / 1000);
+      const transfer = await transfers.create({
+        fromContainerId,
+        toContainerId,
+        capabilityId: capability.id,
+        totalSize,
+        chunkSize,
+        chunkHashes: chunks,
+        contentHash,
+        metadataEncrypted: metadata,
+        ttlSeconds: Math.max(1, Math.min(ttlSeconds || DEFAULT_MESSAGE_TTL_SECONDS, secondsLeft)),
+      });
+
+      const { message, delivery } = await offerTransfer(transfer, { ipAddress: req.ip });
+
+      await auditLog.log({
+        fromContainerId,
+        toContainerId,
+        payloadSize: totalSize,
+        status: "transfer_started",
+        errorMessage: null,
+      });
+
+      await meshAuditLogs.log({
+        eventType: MESH_AUDIT_EVENTS.CAPABILITY_USED,
+        actorId: fromContainerId,
+        targetId: toContainerId,
+        ipAddress: req.ip,
+        success: true,
+        source: "relay-server",
+        details: {
+          capabilityId: capability.id,
+          transferId: transfer.id,
+          totalSize,
+          chunkCount: chunks.length,
+        },
+      });
+
+      console.log(
+        `[transfers] Transfer ${transfer.id.slice(0, 8)} started: ${fromContainerId.slice(0, 8)} -> ${toContainerId.slice(0, 8)} (${totalSize} bytes)`,
+      );
+
+      res.status(201).json({
+        ...describeTransfer({ ...transfer, message_id: message.id }, []),
+        offer: {
+          messageId: message.id,
+          status: delivery.status,
+          deliveryMethod: delivery.deliveryMethod,
+          wakeTriggered: delivery.wakeTriggered,
+        },
+        rateLimit: {
+          remaining: rateLimit.remaining,
+          resetAt: rateLimit.resetAt,
+        },
+        usage: usage || undefined,
+      });
+    } catch (err) {
+      console.error("[transfers] Create error:", err);
+
+      await auditLog.log({
+        fromContainerId,
+        toContainerId,
+        payloadSize: totalSize,
+        status: "error",
+        errorMessage: err.message,
+      });
+
+      res.status(500).json({ error: "Failed to start transfer" });
+    }
+  },
+);
+
+/**
+ * PUT /relay/transfers/:transferId/chunks/:hash
+ * Upload one encrypted chunk (sender only). Re-uploading a stored chunk is a no-op.
+ *
+ * Headers: X-Capability-Token (the transfer's capability, checked on every chunk)
+ * Body: raw chunk bytes (Content-Type: application/octet-stream)
+ */
+router.put(
+  "/:transferId/chunks/:hash",
+  requireContainer,
+  transferLimiter,
+  validate({ params: transferChunkParamSchema }),
+  express.raw({ type: "application/octet-stream", limit: MAX_CHUNK_SIZE }),
+  async (req, res) => {
+    const { hash } = req.validatedParams;
+
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(415).json({ error: "Chunk must be sent as application/octet-stream" });
+    }
+
+    try {
+      const transfer = await loadTransfer(req, res, { senderOnly: true });
+      if (!transfer || rejectClosed(res, transfer)) {
+        return;
+      }
+      if (transfer.status !== "uploading") {
+        return res.status(409).json({ error: `Transfer is ${transfer.status}` });
+      }
+
+      const rejection = await verifyChunkCapability(req, transfer);
+      if (rejection) {
+        return res.status(rejection.status).json({ error: rejection.error });
+      }
+
+      let result;
+      try {
+        result = await storeChunk(transfer, hash, req.body);
+      } catch (err) {
+        if (CHUNK_ERROR_STATUS[err.code]) {
+          return res
+            .status(CHUNK_ERROR_STATUS[err.code])
+            .json({ error: err.message, code: err.code });
+        }
+        throw err;
+      }
+
+      if (result.completed) {
+        await auditLog.log({
+          fromContainerId: transfer.from_container_id,
+          toContainerId: transfer.to_container_id,
+          payloadSize: Number(transfer.total_size),
+          status: "transfer_complete",
+          errorMessage: null,
+        });
+      }
+
+      res.status(result.stored ? 201 : 200).json({
+        transferId: transfer.id,
+        hash,
+        stored: result.stored,
+        received: result.received,
+        total: result.total,
+        status: result.status,
+      });
+    } catch (err) {
+      console.error("[transfers] Chunk upload error:", err);
+      res.status(500).json({ error: "Failed to store chunk" });
+    }
+  },
+);
+
+/**
+ * GET /relay/transfers/:transferId
+ * Transfer manifest and progress (sender or receiver).
+ * `missing` lists the chunks still to upload - a resuming sender uploads those.
+ */
+router.get(
+  "/:transferId",
+  requireContainer,
+  transferLimiter,
+  validate({ params: transferIdParamSchema }),
+  async (req, res) => {
+    try {
+      const transfer = await loadTransfer(req, res);
+      if (!transfer) {
+        return;
+      }
+
+      const storedHashes = OPEN_STATUSES.includes(transfer.status)
+        ? await transfers.listStoredHashes(transfer.id)
+        : [];
+      res.json(describeTransfer(transfer, storedHashes));
+    } catch (err) {
+      console.error("[transfers] Get transfer error:", err);
+      res.status(500).json({ error: "Failed to get transfer" });
+    }
+  },
+);
+
+/**
+ * GET /relay/transfers/:transferId/chunks/:hash
+ * Download one encrypted chunk (receiver only). Chunks can be fetched while the
+ * sender is still uploading; the receiver checks each hash before reassembly.
+ */
+router.get(
+  "/:transferId/chunks/:hash",
+  requireContainer,
+  transferLimiter,
+  validate({ params: transferChunkParamSchema }),
+  async (req, res) => {
+    const { hash } = req.validatedParams;
+
+    try {
+      const transfer = await loadTransfer(req, res, { receiverOnly: true });
+      if (!transfer || rejectClosed(res, transfer)) {
+        return;
+      }
+      if (transfer.status === "received") {
+        return res.status(410).json({ error: "Transfer already received" });
+      }
+
+      const chunk = await transfers.getChunk(transfer.id, hash);
+      if (!chunk) {
+        return res.status(404).json({ error: "Chunk not uploaded yet" });
+      }
+
+      res.set("Content-Type", "application/octet-stream");
+      res.set("X-Chunk-Hash", chunk.hash);
+      res.send(chunk.data);
+    } catch (err) {
+      console.error("[transfers] Chunk download error:", err);
+      res.status(500).json({ error: "Failed to get chunk" });
+    }
+  },
+);
+
+/**
+ * POST /relay/transfers/:transferId/ack
+ * Receiver confirms it reassembled the blob; the relay drops the chunks.
+ */
+router.post(
+  "/:transferId/ack",
+  requireContainer,
+  transferLimiter,
+  validate({ params: transferIdParamSchema }),
+  async (req, res) => {
+    try {
+      const transfer = await loadTransfer(req, res, { receiverOnly: true });
+      if (!transfer) {
+        return;
+      }
+
+      const received = await transfers.transition(transfer.id, ["complete"], "received");
+      if (!received) {
+        return res.status(409).json({ error: `Transfer is ${transfer.status}` });
+      }
+
+      await auditLog.log({
+        fromContainerId: transfer.from_container_id,
+        toContainerId: transfer.to_container_id,
+        payloadSize: Number(transfer.total_size),
+        status: "transfer_received",
+        errorMessage: null,
+      });
+
+      notifyContainer(transfer.from_container_id, {
+        type: "transfer_received",
+        transferId: transfer.id,
+        timestamp: Date.now(),
+      }).catch(() => {});
+
+      res.json({ transferId: transfer.id, status: received.status });
+    } catch (err) {
+      console.error("[transfers] Ack error:", err);
+      res.status(500).json({ error: "Failed to acknowledge transfer" });
+    }
+  },
+);
+
+/**
+ * DELETE /relay/transfers/:transferId
+ * Cancel a transfer (sender or receiver); stored chunks are dropped.
+ */
+router.delete(
+  "/:transferId",
+  requireContainer,
+  transferLimiter,
+  validate({ params: transferIdParamSchema }),
+  async (req, res) => {
+    try {
+      const transfer = await loadTransfer(req, res);
+      if (!transfer) {
+        return;
+      }
+
+      const cancelled = await transfers.transition(transfer.id, OPEN_STATUSES, "cancelled");
+      if (!cancelled) {
+        return res.status(409).json({ error: `Transfer is ${transfer.status}` });
+      }
+
+      const containerId = req.container.userId;
+      const otherParty =
+        containerId === transfer.from_container_id
+          ? transfer.to_container_id
+          : transfer.from_container_id;
+      notifyContainer(otherParty, {
+        type: "transfer_cancelled",
+        transferId: transfer.id,
+        reason: "cancelled",
+        cancelledBy: containerId,
+        timestamp: Date.now(),
+      }).catch(() => {});
+
+      await auditLog.log({
+        fromContainerId: transfer.from_container_id,
+        toContainerId: transfer.to_container_id,
+        payloadSize: Number(transfer.total_size),
+        status: "transfer_cancelled",
+        errorMessage: null,
+      });
+
+      res.json({ transferId: transfer.id, status: cancelled.status });
+    } catch (err) {
+      console.error("[transfers] Cancel error:", err);
+      res.status(500).json({ error: "Failed to cancel transfer" });
+    }
+  },
+);
+
+export default router;
@@ -3,9 +3,14 @@ import dotenv from "dotenv";
 // Zero-knowledge relay for container-to-container communication
 import express from "express";
 import http from "http";
-import { messages, containerRegistry, cachedSnapshots } from "./db/index.js";
+import { containerRegistry, cachedSnapshots } from "./db/index.js";
+import { expireMessages } from "./lib/delivery.js";
+import { closeFanout, getFanoutStatus } from "./lib/fanout.js";
 import { generalApiLimiter } from "./lib/rate-limit.js";
+import { closeRedis } from "./lib/redis.js";
+import { expireTransfers } from "./lib/transfers.js";
 import { initWebSocket, getConnectionCount } from "./lib/websocket.js";
+import groupChannelsRouter from "./routes/group-channels.js";
 import messagesRouter from "./routes/messages.js";
 import registryRouter from "./routes/registry.js";
 import relayRouter from "./routes/relay.js";
@@ -16,6 +21,7 @@ import revocationRouter, {
   cleanupExpiredRevocations,
   isBloomInitialized,
 } from "./routes/revocation.js";
+import transfersRouter from "./routes/transfers.js";
 
 dotenv.config();
 
@@ -37,7 +43,7 @@ app.use((req, res, next) => {
     res.header("Access-Control-Allow-Origin", origin);
   }
   // No wildcard fallback - explicit origins only
-  res.header("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
+  res.header("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
   res.header("Access-Control-Allow-Headers", "Content-Type, Authorization, X-Container-Id");
   if (req.method === "OPTIONS") {
     return res.sendStatus(200);
@@ -60,6 +66,7 @@ app.get("/health", async (req, res) => {
     status: "ok",
     service: "ocmt-relay",
     connections: getConnectionCount(),
+    fanout: getFanoutStatus(),
     revocations: getRevocationCount(),
     snapshots: snapshotCount || getSnapshotCount(),
     registrations: registryCount,
@@ -67,6 +74,10 @@ app.get("/health", async (req, res) => {
   });
 });
 
+// Chunked transfers make one request per chunk; they have their own per-container
+// limit instead of the general per-IP budget
+app.use("/relay/transfers", transfersRouter);
+
 // Apply general rate limiting to all relay routes
 app.use("/relay", generalApiLimiter);
 
@@ -76,6 +87,9 @@ app.use("/relay", relayRouter);
 // Message forwarding with capability verification
 app.use("/relay", messagesRouter);
 
+// Group channels: broadcast to every member of an OCMT group
+app.use("/relay/groups", groupChannelsRouter);
+
 // Container registry for callback URLs and discovery
 app.use("/relay/registry", registryRouter);
 
@@ -99,17 +113,26 @@ initWebSocket(server);
   }
 })();
 
-// Periodic cleanup of expired messages
-const CLEANUP_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+// Periodic expiry of messages and transfers past their TTL (undeliverable messages are dead-lettered)
+const CLEANUP_INTERVAL_MS = 60 * 1000; // 1 minute
 setInterval(async () => {
   try {
-    const expired = await messages.expireOldMessages(24);
-    if (expired.length > 0) {
-      console.log(`[cleanup] Expired ${expired.length} old messages`);
+    const { expired, deadLettered } = await expireMessages();
+    if (expired > 0 || deadLettered > 0) {
+      console.log(`[cleanup] Expired ${expired} messages, dead-lettered ${deadLettered}`);
     }
   } catch (err) {
     console.error("[cleanup] Failed to expire messages:", err.message);
   }
+
+  try {
+    const expiredTransfers = await expireTransfers();
+    if (expiredTransfers > 0) {
+      console.log(`[cleanup] Expired ${expiredTransfers} transfers`);
+    }
+  } catch (err) {
+    console.error("[cleanup] Failed to expire transfers:", err.message);
+  }
 }, CLEANUP_INTERVAL_MS);
 
 // Periodic cleanup of expired revocations (daily)
@@ -136,3 +159,16 @@ server.listen(PORT, "0.0.0.0", () => {
   console.log("- The relay CANNOT read message content");
   console.log("- Only metadata is logged: who->whom, timestamp, size");
 });
+
+// Graceful shutdown: stop routing messages here before the instance goes away
+// Containers reconnect to another instance and pick up their pending messages
+async function shutdown(signal) {
+  console.log(`[shutdown] ${signal} received, closing relay instance`);
+  await closeFanout();
+  await closeRedis();
+  server.close(() => process.exit(0));
+  setTimeout(() => process.exit(0), 10000).unref();
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
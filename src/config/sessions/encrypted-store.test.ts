@@ -257,6 +257,75 @@ describe("SecureSessionStore", () => {
     });
   });
 
+  describe("rekey", () => {
+    it("should re-encrypt sessions under the new key", async () => {
+      await store.unlock(testKey);
+      await store.writeSession("a", { messages: [{ role: "user", content: "first" }] });
+      await store.writeSession("b", { messages: [{ role: "user", content: "second" }] });
+
+      const newKey = crypto.randomBytes(32);
+      const result = await store.rekey(newKey);
+      expect(result.rekeyed).toBe(2);
+      expect(Buffer.from(store.getUnlockKey()!).equals(newKey)).toBe(true);
+
+      store.lock();
+      await store.unlock(newKey);
+      const session = await store.readSession("b");
+      expect(session.messages[0].content).toBe("second");
+
+      store.lock();
+      await store.unlock(testKey);
+      await expect(store.readSession("a")).rejects.toThrow();
+    });
+
+    it("should leave sessions untouched when one cannot be decrypted", async () => {
+      await store.unlock(testKey);
+      await store.writeSession("good", { messages: [{ role: "user", content: "ok" }] });
+      await fs.promises.writeFile(path.join(sessionDir, "bad.jsonl.enc"), crypto.randomBytes(64));
+
+      await expect(store.rekey(crypto.randomBytes(32))).rejects.toThrow();
+
+      const session = await store.readSession("good");
+      expect(session.messages[0].content).toBe("ok");
+      const files = await fs.promises.readdir(sessionDir);
+      expect(files.filter((f) => f.includes(".tmp"))).toHaveLength(0);
+    });
+
+    it("should move staged files into place with the sessions", async () => {
+      await store.unlock(testKey);
+      await store.writeSession("a", { messages: [{ role: "user", content: "first" }] });
+      const targetPath = path.join(sessionDir, ".vault-salt");
+      const tempPath = `${targetPath}.tmp`;
+      await fs.promises.writeFile(targetPath, "old-salt");
+      await fs.promises.writeFile(tempPath, "new-salt");
+
+      await store.rekey(crypto.randomBytes(32), [{ tempPath, targetPath }]);
+
+      expect(await fs.promises.readFile(targetPath, "utf8")).toBe("new-salt");
+      expect(fs.existsSync(tempPath)).toBe(false);
+    });
+
+    it("should discard staged files when the rekey fails", async () => {
+      await store.unlock(testKey);
+      await fs.promises.writeFile(path.join(sessionDir, "bad.jsonl.enc"), crypto.randomBytes(64));
+      const targetPath = path.join(sessionDir, ".vault-salt");
+      const tempPath = `${targetPath}.tmp`;
+      await fs.promises.writeFile(targetPath, "old-salt");
+      await fs.promises.writeFile(tempPath, "new-salt");
+
+      await expect(
+        store.rekey(crypto.randomBytes(32), [{ tempPath, targetPath }]),
+      ).rejects.toThrow();
+
+      expect(await fs.promises.readFile(targetPath, "utf8")).toBe("old-salt");
+      expect(fs.existsSync(tempPath)).toBe(false);
+    });
+
+    it("should require unlock", async () => {
+      await expect(store.rekey(crypto.randomBytes(32))).rejects.toThrow("locked");
+    });
+  });
+
   describe("atomic writes", () => {
     it("should not leave temp files after successful write", async () => {
       await store.unlock(testKey);
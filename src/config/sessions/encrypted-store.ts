@@ -325,6 +325,79 @@ export class SecureSessionStore implements EncryptedSessionStoreInterface {
     return { migrated, failed };
   }
 
+  /**
+   * Re-encrypt every encrypted session under a new key (vault password change).
+   * All sessions are decrypted and re-encrypted to temp files first; files are only
+   * replaced once every session succeeded, so a failure leaves the old key valid.
+   * @param newKey - 32-byte key derived from the new password
+   * @param staged - Temp files written by the caller (e.g. the new salt), moved into place
+   *   together with the sessions and removed if the rekey fails
+   * @returns Number of sessions re-encrypted
+   */
+  async rekey(
+    newKey: Buffer,
+    staged: Array<{ tempPath: string; targetPath: string }> = [],
+  ): Promise<{ rekeyed: number }> {
+    if (!this.isUnlocked()) {
+      throw new Error("Session store is locked");
+    }
+    if (newKey.length !== SecureSessionStore.KEY_SIZE) {
+      throw new Error(
+        `Invalid key length: expected ${SecureSessionStore.KEY_SIZE} bytes, got ${newKey.length}`,
+      );
+    }
+
+    const files = fs.existsSync(this.sessionDir) ? await fs.promises.readdir(this.sessionDir) : [];
+    const pending: Array<{ tempPath: string; encryptedPath: string }> = [];
+    const oldKey = this.key;
+    const nextKey = new Uint8Array(newKey);
+
+    try {
+      for (const file of files) {
+        if (!file.endsWith(`.jsonl${SecureSessionStore.ENCRYPTED_SUFFIX}`)) {
+          continue;
+        }
+
+        const encryptedPath = `${this.sessionDir}/${file}`;
+        const encrypted = await fs.promises.readFile(encryptedPath);
+        const plaintext = this.decrypt(new Uint8Array(encrypted));
+
+        this.key = nextKey;
+        const reencrypted = this.encrypt(plaintext);
+        this.key = oldKey;
+
+        const tempPath = `${encryptedPath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+        pending.push({ tempPath, encryptedPath });
+        await fs.promises.writeFile(tempPath, Buffer.from(reencrypted), { mode: 0o600 });
+      }
+
+      for (const { tempPath, targetPath } of staged) {
+        await fs.promises.rename(tempPath, targetPath);
+      }
+      for (const { tempPath, encryptedPath } of pending) {
+        await fs.promises.rename(tempPath, encryptedPath);
+      }
+    } catch (err) {
+      this.key = oldKey;
+      crypto.randomFillSync(nextKey);
+      throw err;
+    } finally {
+      for (const { tempPath } of [...staged, ...pending]) {
+        await fs.promises.rm(tempPath, { force: true }).catch(() => {
+          // ignore cleanup errors
+        });
+      }
+    }
+
+    // Continue the current unlock window with the new key
+    if (oldKey) {
+      crypto.randomFillSync(oldKey);
+    }
+    this.key = nextKey;
+
+    return { rekeyed: pending.length };
+  }
+
   /**
    * Check if a session exists (either encrypted or plaintext).
    */
@@ -1082,6 +1082,53 @@ export function getSessionVaultStatus(): {
   return { success: true, status: sessionVaultService.getStatus() };
 }
 
+/**
+ * Change the session vault password.
+ * Both keys are derived in the browser; sessions are re-encrypted under the new key,
+ * biometric devices are revoked and the vault is locked.
+ */
+export async function changeSessionVaultPassword(params: {
+  currentKey: string;
+  newKey: string;
+  newSalt: string;
+  sessionDir?: string;
+}): Promise<{
+  success: boolean;
+  rekeyed?: number;
+  salt?: string;
+  error?: string;
+}> {
+  if (!sessionVaultService) {
+    return { success: false, error: "Session vault not initialized" };
+  }
+
+  const status = sessionVaultService.getStatus();
+  if (status.locked) {
+    return { success: false, error: "Vault must be unlocked to change password" };
+  }
+
+  try {
+    const currentKey = Buffer.from(params.currentKey, "base64");
+    const result = await sessionVaultService.changePassword(
+      currentKey,
+      Buffer.from(params.newKey, "base64"),
+      Buffer.from(params.newSalt, "base64"),
+    );
+
+    // Device keys wrap the old vault key, so none of them can unlock the vault anymore
+    const store = ensureBiometricKeyStore(params.sessionDir);
+    if (store) {
+      store.unlock(currentKey);
+      store.removeAllDevices();
+      store.lock();
+    }
+
+    return { success: true, rekeyed: result.rekeyed, salt: result.salt };
+  } catch (err) {
+    return { success: false, error: (err as Error).message };
+  }
+}
+
 /**
  * Migrate unencrypted sessions to encrypted format.
  */
@@ -1378,6 +1425,16 @@ export async function handleVaultWebSocketMessage(
         break;
       }
 
+      case "session:password": {
+        const result = await changeSessionVaultPassword({
+          currentKey: message.currentKey as string,
+          newKey: message.newKey as string,
+          newSalt: message.newSalt as string,
+        });
+        respond(result);
+        break;
+      }
+
       // API key operations (zero-knowledge)
       case "apikey:set": {
         const result = await setApiKey(
@@ -1576,6 +1633,21 @@ export function createSecretRouter() {
     res.json(await migrateSessionsToEncrypted());
   });
 
+  // Change session vault password (re-encrypts sessions under the new key)
+  router.post(
+    "/session/password",
+    async (
+      req: { body: { currentKey: string; newKey: string; newSalt: string } },
+      res: { json: (data: unknown) => void },
+    ) => {
+      if (!req.body?.currentKey || !req.body?.newKey || !req.body?.newSalt) {
+        return res.json({ success: false, error: "currentKey, newKey and newSalt required" });
+      }
+      const { currentKey, newKey, newSalt } = req.body;
+      res.json(await changeSessionVaultPassword({ currentKey, newKey, newSalt }));
+    },
+  );
+
   // ─────────────────────────────────────────────────────────────────────────────
   // API Key Routes (Zero-Knowledge)
   // These enable MCP to retrieve API keys without management server decryption
@@ -171,7 +171,7 @@ export interface CachedSnapshot {
   nonce: string;
   /** Auth tag for AES-256-GCM */
   tag: string;
-  /** Signature of (capabilityId + encryptedData + ephemeralPublicKey) by issuer */
+  /** Signature of (capabilityId + encryptedData + ephemeralPublicKey [+ maxCalls]) by issuer */
   signature: string;
   /** Issuer's Ed25519 public key for verification */
   issuerPublicKey: string;
@@ -181,6 +181,10 @@ export interface CachedSnapshot {
   createdAt: string;
   /** When this snapshot expires (same as capability expiry) */
   expiresAt: string;
+  /** Call budget of the capability, enforced by the relay on each retrieval */
+  maxCalls?: number;
+  /** Calls used and remaining, returned by the relay for usage-limited capabilities */
+  usage?: { maxCalls: number; used: number; remaining: number };
 }
 
 export interface ReceivedCapability {
@@ -1827,8 +1831,11 @@ export class SecretStore {
       grant.subjectEncryptionKey,
     );
 
-    // Create snapshot with signature
-    const signatureData = `${capabilityId}:${encryptedPayload.ciphertext}:${encryptedPayload.ephemeralPublicKey}`;
+    // Create snapshot with signature (covering the call budget so the relay can trust it)
+    let signatureData = `${capabilityId}:${encryptedPayload.ciphertext}:${encryptedPayload.ephemeralPublicKey}`;
+    if (grant.maxCalls) {
+      signatureData += `:${grant.maxCalls}`;
+    }
     const signature = this.sign(signatureData);
 
     const snapshot: CachedSnapshot = {
@@ -1842,6 +1849,7 @@ export class SecretStore {
       recipientPublicKey: grant.subjectEncryptionKey,
       createdAt: new Date().toISOString(),
       expiresAt: grant.expires,
+      maxCalls: grant.maxCalls,
     };
 
     // Update grant with last snapshot time
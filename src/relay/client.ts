@@ -19,6 +19,8 @@ interface CachedSnapshot {
   recipientPublicKey: string;
   createdAt: string;
   expiresAt: string;
+  maxCalls?: number;
+  usage?: { maxCalls: number; used: number; remaining: number };
 }
 
 export interface RelayClientConfig {
@@ -367,8 +369,15 @@ export class RelayClient {
 
   /**
    * Retrieve a cached snapshot from the relay.
+   *
+   * @param capabilityId - Capability the snapshot belongs to
+   * @param authHeaders - Authentication headers (Authorization and X-Container-Id);
+   *   required for usage-limited snapshots, which only their recipient may retrieve
    */
-  async getSnapshot(capabilityId: string): Promise<{
+  async getSnapshot(
+    capabilityId: string,
+    authHeaders?: { authorization: string; containerId: string },
+  ): Promise<{
     success: boolean;
     snapshot?: CachedSnapshot;
     error?: string;
@@ -377,7 +386,15 @@ export class RelayClient {
     try {
       const response = await this.fetchWithTimeout(
         `${this.config.relayUrl}/relay/snapshots/${encodeURIComponent(capabilityId)}`,
-        { method: "GET" },
+        {
+          method: "GET",
+          headers: authHeaders
+            ? {
+                Authorization: authHeaders.authorization,
+                "X-Container-Id": authHeaders.containerId,
+              }
+            : undefined,
+        },
         this.config.timeout,
       );
 
@@ -385,6 +402,20 @@ export class RelayClient {
         if (response.status === 404) {
           return { success: false, error: "Snapshot not found", relayReachable: true };
         }
+        if (response.status === 401 || response.status === 403) {
+          return {
+            success: false,
+            error: "Not authorized to retrieve this snapshot",
+            relayReachable: true,
+          };
+        }
+        if (response.status === 429) {
+          return {
+            success: false,
+            error: "Capability call limit exceeded",
+            relayReachable: true,
+          };
+        }
         return {
           success: false,
           error: `HTTP ${response.status}`,
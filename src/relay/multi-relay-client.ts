@@ -852,7 +852,10 @@ export class MultiRelayClient {
   /**
    * Get a cached snapshot from the relay
    */
-  async getSnapshot(capabilityId: string): Promise<
+  async getSnapshot(
+    capabilityId: string,
+    authHeaders?: { authorization: string; containerId: string },
+  ): Promise<
     MultiRelayResult<{
       snapshot?: {
         capabilityId: string;
@@ -869,7 +872,7 @@ export class MultiRelayClient {
     }>
   > {
     return this.executeWithFailover(
-      async (client) => client.getSnapshot(capabilityId),
+      async (client) => client.getSnapshot(capabilityId, authHeaders),
       "getSnapshot",
       (result) => result.success,
     );
@@ -24,11 +24,20 @@ const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
  */
 function verifySnapshotSignature(snapshot: CachedSnapshot): boolean {
   try {
-    const { capabilityId, encryptedData, ephemeralPublicKey, signature, issuerPublicKey } =
-      snapshot;
-
-    // Reconstruct the signed payload
-    const payload = `${capabilityId}:${encryptedData}:${ephemeralPublicKey}`;
+    const {
+      capabilityId,
+      encryptedData,
+      ephemeralPublicKey,
+      signature,
+      issuerPublicKey,
+      maxCalls,
+    } = snapshot;
+
+    // Reconstruct the signed payload (a call budget, when set, is signed too)
+    let payload = `${capabilityId}:${encryptedData}:${ephemeralPublicKey}`;
+    if (maxCalls) {
+      payload += `:${maxCalls}`;
+    }
 
     // Reconstruct SPKI-encoded DER format for Ed25519 public key
     const rawKey = Buffer.from(issuerPublicKey, "base64");
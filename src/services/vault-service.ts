@@ -52,6 +52,7 @@ export class ContainerVaultService {
 
   private static readonly SALT_FILE = ".vault-salt";
   private static readonly SALT_SIZE = 16; // 128-bit salt
+  private static readonly KEY_SIZE = 32; // 256-bit key
   private static readonly DEFAULT_CONFIG = {
     kdfMemory: 65536, // 64 MB
     kdfIterations: 3,
@@ -180,6 +181,54 @@ export class ContainerVaultService {
     return this.sessionStore.getUnlockKey();
   }
 
+  /**
+   * Change the vault password by re-wrapping all sessions under a new key.
+   * The browser derives both keys; the new key uses a fresh salt it generated.
+   * The vault is locked afterwards so every client has to unlock with the new password.
+   * @param currentKey - Key derived from the current password (must match the unlock key)
+   * @param newKey - 32-byte key derived from the new password
+   * @param newSalt - Salt used to derive newKey
+   */
+  async changePassword(
+    currentKey: Buffer,
+    newKey: Buffer,
+    newSalt: Buffer,
+  ): Promise<{ rekeyed: number; salt: string }> {
+    const unlockKey = this.sessionStore.getUnlockKey();
+    if (!unlockKey) {
+      throw new Error("Vault must be unlocked to change password");
+    }
+    if (currentKey.length !== unlockKey.length || !crypto.timingSafeEqual(currentKey, unlockKey)) {
+      throw new Error("Current key is incorrect");
+    }
+    if (newKey.length !== ContainerVaultService.KEY_SIZE) {
+      throw new Error(`Invalid key length: expected ${ContainerVaultService.KEY_SIZE} bytes`);
+    }
+    if (newSalt.length !== ContainerVaultService.SALT_SIZE) {
+      throw new Error(`Invalid salt length: expected ${ContainerVaultService.SALT_SIZE} bytes`);
+    }
+
+    // Stage the new salt before touching any session; the rekey swaps it in together
+    // with the sessions, so a failure never leaves a salt that does not match them
+    const saltPath = this.getSaltPath();
+    const tmp = `${saltPath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    let rekeyed: number;
+    try {
+      await fs.promises.writeFile(tmp, newSalt, { mode: 0o600 });
+      ({ rekeyed } = await this.sessionStore.rekey(newKey, [
+        { tempPath: tmp, targetPath: saltPath },
+      ]));
+    } finally {
+      await fs.promises.rm(tmp, { force: true }).catch(() => {
+        // ignore cleanup errors
+      });
+    }
+    this.salt = new Uint8Array(newSalt);
+
+    this.lock();
+    return { rekeyed, salt: newSalt.toString("base64") };
+  }
+
   /**
    * Migrate existing unencrypted sessions to encrypted format.
    * Vault must be unlocked.
@@ -199,6 +199,15 @@ interface VaultStatus {
   };
 }
 
+interface VaultPasswordChangeResult {
+  success: boolean;
+  message: string;
+  // Present when recovery material was rotated; shown only once
+  recoveryPhrase?: string;
+  socialRecovery?: { recoveryId: string; threshold: number; totalShares: number } | null;
+  hardwareBackupKey?: string | null;
+}
+
 // Session security interfaces
 interface SessionInfo {
   id: string;
@@ -231,8 +240,45 @@ interface MfaVerifyResponse {
 
 interface MfaStatusResponse {
   totpEnabled: boolean;
+  webauthnEnabled: boolean;
+  webauthnCredentialCount: number;
   backupCodesRemaining: number;
   lastVerifiedAt?: string;
+  policy?: MfaPolicyStatus | null;
+}
+
+// Tenant MFA policy interfaces
+type MfaPolicyMode = "off" | "all" | "admins" | "roles";
+
+interface MfaPolicy {
+  mode: MfaPolicyMode;
+  roles: string[];
+  gracePeriodDays: number;
+  enforcedAt: string | null;
+  updatedAt?: string;
+  updatedBy?: string;
+}
+
+interface MfaPolicyStatus {
+  status: "not_required" | "enrolled" | "grace" | "blocked" | "verification_required";
+  required: boolean;
+  enrolled: boolean;
+  graceEndsAt: string | null;
+}
+
+interface MfaComplianceUser extends MfaPolicyStatus {
+  id: string;
+  email: string;
+  name: string;
+  role: string | null;
+  totpEnabled: boolean;
+  passkeyCount: number;
+}
+
+interface MfaComplianceResponse {
+  policy: MfaPolicy;
+  summary: Partial<Record<MfaPolicyStatus["status"], number>>;
+  users: MfaComplianceUser[];
 }
 
 interface MfaBackupCodesResponse {
@@ -240,6 +286,64 @@ interface MfaBackupCodesResponse {
   backupCodes: string[];
 }
 
+// WebAuthn (passkey) interfaces
+interface PasskeyInfo {
+  id: string;
+  deviceName: string;
+  transports: string[];
+  attestationFormat: string | null;
+  attestationVerified: boolean;
+  backupEligible: boolean;
+  backedUp: boolean;
+  createdAt: string;
+  lastUsedAt: string | null;
+}
+
+// WebAuthn options and credentials as exchanged with the server (binary fields base64url)
+interface PasskeyDescriptorJSON {
+  type: "public-key";
+  id: string;
+  transports?: string[];
+}
+
+interface PasskeyCreationOptionsJSON {
+  challenge: string;
+  rp: { name: string; id: string };
+  user: { id: string; name: string; displayName: string };
+  pubKeyCredParams: { type: "public-key"; alg: number }[];
+  timeout: number;
+  attestation: AttestationConveyancePreference;
+  excludeCredentials: PasskeyDescriptorJSON[];
+  authenticatorSelection: AuthenticatorSelectionCriteria;
+}
+
+interface PasskeyRequestOptionsJSON {
+  challenge: string;
+  rpId: string;
+  timeout: number;
+  userVerification: UserVerificationRequirement;
+  allowCredentials: PasskeyDescriptorJSON[];
+}
+
+interface PasskeyCredentialJSON {
+  id: string;
+  type: string;
+  response: {
+    clientDataJSON: string;
+    attestationObject?: string;
+    transports?: string[];
+    authenticatorData?: string;
+    signature?: string;
+    userHandle?: string | null;
+  };
+}
+
+interface PasskeyLoginResponse {
+  success: boolean;
+  sessionToken: string;
+  user: User;
+}
+
 interface BiometricsStatus {
   biometricsEnabled: boolean;
   canUseBiometrics: boolean;
@@ -374,6 +478,16 @@ class ApiClient {
         return this.request<T>(path, options, false);
       }
 
+      // Tenant MFA policy blocks everything but enrollment or verifying this
+      // session - let the app redirect
+      if (error.code === "MFA_ENROLLMENT_REQUIRED" || error.code === "MFA_VERIFICATION_REQUIRED") {
+        window.dispatchEvent(
+          new CustomEvent("mfa-enrollment-required", {
+            detail: { code: error.code, graceEndsAt: error.graceEndsAt },
+          }),
+        );
+      }
+
       // Ensure error message is always a string
       const errorMessage =
         typeof error.error === "string" ? error.error : error.message || `HTTP ${response.status}`;
@@ -417,8 +531,16 @@ class ApiClient {
     return result;
   }
 
-  async getMe(): Promise<{ user: User; gateway?: GatewayInfo }> {
-    const result = await this.request<{ user: User; gateway?: GatewayInfo }>("/api/auth/me");
+  async getMe(): Promise<{
+    user: User;
+    gateway?: GatewayInfo;
+    mfaPolicy?: MfaPolicyStatus | null;
+  }> {
+    const result = await this.request<{
+      user: User;
+      gateway?: GatewayInfo;
+      mfaPolicy?: MfaPolicyStatus | null;
+    }>("/api/auth/me");
 
     // Update gateway info if provided
     if (result.gateway) {
@@ -488,6 +610,18 @@ class ApiClient {
     });
   }
 
+  /**
+   * Complete MFA for the current session with a TOTP or backup code
+   */
+  async verifyMfaSession(
+    input: { code: string } | { backupCode: string },
+  ): Promise<{ success: boolean }> {
+    return this.request("/api/mfa/session/verify", {
+      method: "POST",
+      body: JSON.stringify(input),
+    });
+  }
+
   /**
    * Disable MFA (requires TOTP code for verification)
    */
@@ -571,6 +705,142 @@ class ApiClient {
     return result;
   }
 
+  // Tenant MFA Policy
+
+  /**
+   * Get the tenant MFA policy and how it applies to the current user
+   */
+  async getMfaPolicy(): Promise<{ policy: MfaPolicy; status: MfaPolicyStatus | null }> {
+    return this.request("/api/mfa/policy");
+  }
+
+  /**
+   * Update the tenant MFA policy (tenant admins)
+   */
+  async updateMfaPolicy(policy: {
+    mode: MfaPolicyMode;
+    roles?: string[];
+    gracePeriodDays?: number;
+  }): Promise<{ success: boolean; policy: MfaPolicy }> {
+    return this.request("/api/mfa/policy", {
+      method: "PUT",
+      body: JSON.stringify(policy),
+    });
+  }
+
+  /**
+   * List tenant members with their MFA enrollment status (tenant admins)
+   */
+  async getMfaCompliance(): Promise<MfaComplianceResponse> {
+    return this.request("/api/mfa/policy/compliance");
+  }
+
+  // WebAuthn Passkeys
+
+  /**
+   * List the current user's registered passkeys
+   */
+  async listPasskeys(): Promise<{ credentials: PasskeyInfo[] }> {
+    return this.request("/api/webauthn/credentials");
+  }
+
+  /**
+   * Begin passkey registration - returns PublicKeyCredentialCreationOptions as JSON
+   */
+  async getPasskeyRegistrationOptions(): Promise<{ options: PasskeyCreationOptionsJSON }> {
+    return this.request("/api/webauthn/register/options", {
+      method: "POST",
+    });
+  }
+
+  /**
+   * Complete passkey registration with the authenticator's attestation
+   */
+  async registerPasskey(
+    credential: PasskeyCredentialJSON,
+    deviceName?: string,
+  ): Promise<{ success: boolean; credential: PasskeyInfo }> {
+    return this.request("/api/webauthn/register/verify", {
+      method: "POST",
+      body: JSON.stringify({ credential, deviceName }),
+    });
+  }
+
+  /**
+   * Rename a passkey
+   */
+  async renamePasskey(
+    id: string,
+    deviceName: string,
+  ): Promise<{ success: boolean; credential: PasskeyInfo }> {
+    return this.request(`/api/webauthn/credentials/${id}`, {
+      method: "PATCH",
+      body: JSON.stringify({ deviceName }),
+    });
+  }
+
+  /**
+   * Remove a passkey
+   */
+  async deletePasskey(id: string): Promise<{ success: boolean }> {
+    return this.request(`/api/webauthn/credentials/${id}`, {
+      method: "DELETE",
+    });
+  }
+
+  /**
+   * Get passkey authentication options.
+   * With a pendingToken this is the MFA step after a magic link;
+   * without one it starts a passwordless sign-in.
+   */
+  async getPasskeyAuthenticationOptions(
+    pendingToken?: string,
+  ): Promise<{ options: PasskeyRequestOptionsJSON }> {
+    return this.request("/api/webauthn/authenticate/options", {
+      method: "POST",
+      body: JSON.stringify(pendingToken ? { pendingToken } : {}),
+    });
+  }
+
+  /**
+   * Verify a passkey assertion and start a session
+   */
+  async verifyPasskeyLogin(
+    credential: PasskeyCredentialJSON,
+    pendingToken?: string,
+  ): Promise<PasskeyLoginResponse> {
+    const result = await this.request<PasskeyLoginResponse>("/api/webauthn/authenticate/verify", {
+      method: "POST",
+      body: JSON.stringify(pendingToken ? { credential, pendingToken } : { credential }),
+    });
+
+    if (result.sessionToken) {
+      this.sessionToken = result.sessionToken;
+      localStorage.setItem("ocmt_session", result.sessionToken);
+    }
+
+    return result;
+  }
+
+  /**
+   * Get passkey options to complete MFA for the current session
+   */
+  async getPasskeySessionOptions(): Promise<{ options: PasskeyRequestOptionsJSON }> {
+    return this.request("/api/webauthn/session/options", {
+      method: "POST",
+    });
+  }
+
+  /**
+   * Complete MFA for the current session with a passkey assertion
+   */
+  async verifyPasskeySession(credential: PasskeyCredentialJSON): Promise<{ success: boolean }> {
+    return this.request("/api/webauthn/session/verify", {
+      method: "POST",
+      body: JSON.stringify({ credential }),
+    });
+  }
+
   // Clear session locally (for when session is already invalid)
   clearSession(): void {
     this.sessionToken = null;
@@ -883,14 +1153,12 @@ class ApiClient {
   async changeVaultPassword(
     currentPassword: string,
     newPassword: string,
-  ): Promise<{ success: boolean; message: string }> {
-    const result = await this.request<{ success: boolean; message: string }>(
-      "/api/vault/change-password",
-      {
-        method: "POST",
-        body: JSON.stringify({ currentPassword, newPassword }),
-      },
-    );
+    rotateRecovery = true,
+  ): Promise<VaultPasswordChangeResult> {
+    const result = await this.request<VaultPasswordChangeResult>("/api/vault/change-password", {
+      method: "POST",
+      body: JSON.stringify({ currentPassword, newPassword, rotateRecovery }),
+    });
 
     // Clear vault session after password change
     this.vaultSessionToken = null;
@@ -1712,6 +1980,179 @@ class ApiClient {
     }
   }
 
+  // ============================================================
+  // API KEY MANAGEMENT
+  // ============================================================
+
+  /**
+   * List tenant API keys (metadata only - raw keys are never returned)
+   */
+  async listApiKeys(includeRevoked = false): Promise<ApiKeyListResponse> {
+    const params = includeRevoked ? "?includeRevoked=true" : "";
+    return this.request(`/api/api-keys${params}`);
+  }
+
+  /**
+   * Create a tenant API key. The raw key is only returned in this response.
+   */
+  async createApiKey(config: {
+    name: string;
+    description?: string;
+    scopes: string[];
+    permissions?: string[] | null;
+    expiresInDays?: number | null;
+  }): Promise<ApiKeySecretResponse> {
+    return this.request("/api/api-keys", {
+      method: "POST",
+      body: JSON.stringify(config),
+    });
+  }
+
+  /**
+   * Update an API key's label, description, scopes or permissions.
+   * Passing permissions: null removes the restriction (key inherits the owner's role).
+   */
+  async updateApiKey(
+    id: string,
+    updates: {
+      name?: string;
+      description?: string | null;
+      scopes?: string[];
+      permissions?: string[] | null;
+    },
+  ): Promise<{ success: boolean; key: ApiKeyInfo }> {
+    return this.request(`/api/api-keys/${id}`, {
+      method: "PATCH",
+      body: JSON.stringify(updates),
+    });
+  }
+
+  /**
+   * Rotate an API key. The old secret stops working immediately.
+   */
+  async rotateApiKey(id: string): Promise<ApiKeySecretResponse> {
+    return this.request(`/api/api-keys/${id}/rotate`, {
+      method: "POST",
+    });
+  }
+
+  /**
+   * Revoke an API key
+   */
+  async revokeApiKey(id: string): Promise<{ success: boolean; key: ApiKeyInfo; message: string }> {
+    return this.request(`/api/api-keys/${id}`, {
+      method: "DELETE",
+    });
+  }
+
+  // ============================================================
+  // ROLES & PERMISSIONS (RBAC)
+  // ============================================================
+
+  /**
+   * List built-in and custom roles, and the roles the current user may assign
+   */
+  async getRoles(): Promise<RolesResponse> {
+    return this.request("/api/rbac/roles");
+  }
+
+  /**
+   * List all permissions, grouped by category
+   */
+  async getPermissionCatalog(): Promise<PermissionCatalogResponse> {
+    return this.request("/api/rbac/permissions");
+  }
+
+  /**
+   * Get the current user's role and effective permissions
+   */
+  async getMyPermissions(): Promise<{
+    role: string;
+    permissions: string[];
+    isPlatformAdmin: boolean;
+  }> {
+    return this.request("/api/rbac/my-permissions");
+  }
+
+  /**
+   * Create a custom role (enterprise plan)
+   */
+  async createCustomRole(role: {
+    name: string;
+    description?: string;
+    permissions: string[];
+    inherits: string[];
+    conditions?: RoleConditions | null;
+  }): Promise<{ success: boolean; role: CustomRoleInfo }> {
+    return this.request("/api/rbac/custom-roles", {
+      method: "POST",
+      body: JSON.stringify(role),
+    });
+  }
+
+  /**
+   * Update a custom role's description, permissions or inherited roles
+   */
+  async updateCustomRole(
+    id: string,
+    updates: {
+      description?: string;
+      permissions?: string[];
+      inherits?: string[];
+      conditions?: RoleConditions | null;
+    },
+  ): Promise<{ success: boolean; role: CustomRoleInfo }> {
+    return this.request(`/api/rbac/custom-roles/${id}`, {
+      method: "PUT",
+      body: JSON.stringify(updates),
+    });
+  }
+
+  /**
+   * Delete a custom role. Fails while the role is assigned to users.
+   */
+  async deleteCustomRole(id: string): Promise<{ success: boolean; message: string }> {
+    return this.request(`/api/rbac/custom-roles/${id}`, {
+      method: "DELETE",
+    });
+  }
+
+  /**
+   * List tenant members with their roles
+   */
+  async listRoleMembers(): Promise<{ users: RoleMemberInfo[] }> {
+    return this.request("/api/rbac/users");
+  }
+
+  /**
+   * Explain why a member can or cannot use a permission and/or resource
+   */
+  async explainAccess(request: {
+    userId: string;
+    permission?: string;
+    resourceId?: string;
+    method?: "GET" | "POST" | "PUT" | "PATCH" | "DELETE";
+    context?: { ip?: string; at?: string };
+  }): Promise<AccessExplanation> {
+    return this.request("/api/rbac/explain", {
+      method: "POST",
+      body: JSON.stringify(request),
+    });
+  }
+
+  /**
+   * Assign a built-in or custom role to a tenant member
+   */
+  async assignUserRole(
+    userId: string,
+    role: string,
+  ): Promise<{ success: boolean; userId: string; role: string; permissions: string[] }> {
+    return this.request(`/api/rbac/users/${userId}/role`, {
+      method: "PUT",
+      body: JSON.stringify({ role }),
+    });
+  }
+
   // ============================================================
   // PLATFORM ADMIN API METHODS
   // ============================================================
@@ -2026,6 +2467,120 @@ interface AdminSessionInfo {
   };
 }
 
+// API Key Types
+interface ApiKeyInfo {
+  id: string;
+  name: string;
+  description: string | null;
+  keyPrefix: string;
+  scopes: string[];
+  permissions: string[] | null;
+  status: "active" | "expired" | "revoked";
+  createdBy: string | null;
+  createdAt: string;
+  expiresAt: string | null;
+  lastUsedAt: string | null;
+  lastUsedIp: string | null;
+  rotatedAt: string | null;
+  revokedAt: string | null;
+}
+
+interface ApiKeyListResponse {
+  keys: ApiKeyInfo[];
+  availableScopes: string[];
+  availablePermissions: string[];
+  limits: {
+    maxActiveKeys: number;
+    maxExpiryDays: number;
+  };
+}
+
+interface ApiKeySecretResponse {
+  success: boolean;
+  key: ApiKeyInfo;
+  rawKey: string;
+  warning: string;
+}
+
+// RBAC Types
+interface BuiltInRoleInfo {
+  name: string;
+  permissions: string[];
+  directPermissions: string[];
+  inherits: string[];
+  isBuiltIn: true;
+}
+
+interface RoleConditions {
+  timeWindows?: Array<{ days?: number[]; start: string; end: string; timezone: string }>;
+  ipRanges?: string[];
+  mfaMaxAgeMinutes?: number;
+  regions?: string[];
+}
+
+interface CustomRoleInfo {
+  id: string;
+  name: string;
+  description: string | null;
+  permissions: string[];
+  inherits: string[];
+  conditions: RoleConditions | null;
+  computedPermissions: string[];
+  inheritedPermissions: string[];
+  created_at: string;
+  updated_at: string;
+}
+
+interface RolesResponse {
+  builtInRoles: BuiltInRoleInfo[];
+  customRoles: CustomRoleInfo[];
+  assignableRoles: string[];
+  roleHierarchy: string[];
+}
+
+interface PermissionCatalogResponse {
+  permissions: string[];
+  grouped: Record<string, Array<{ permission: string; action: string }>>;
+}
+
+interface AccessTraceStep {
+  check: string;
+  result: "allow" | "pass" | "deny" | "skip" | "info";
+  detail: string;
+  [key: string]: unknown;
+}
+
+interface AccessDecision {
+  allowed: boolean;
+  decidedBy: string;
+  steps: AccessTraceStep[];
+}
+
+interface AccessExplanation {
+  allowed: boolean;
+  user: { id: string; email: string; name: string; role: string; isPlatformAdmin: boolean };
+  context: { at: string; ip: string | null; mfaVerifiedAt: string | null; region: string };
+  permission: (AccessDecision & { permission: string }) | null;
+  resource:
+    | (AccessDecision & {
+        type: "group_resource" | "integration_share" | "unknown";
+        resourceId: string;
+        resourceName?: string;
+        requiredPermission?: string;
+      })
+    | null;
+}
+
+interface RoleMemberInfo {
+  id: string;
+  name: string;
+  email: string;
+  status: string;
+  role: string;
+  isOwner: boolean;
+  canChangeRole: boolean;
+}
+
 // Platform Admin Types
 interface PlatformStats {
   totalTenants: number;
@@ -2203,6 +2758,7 @@ export type {
   PeerGrant,
   AuditLogEntry,
   VaultStatus,
+  VaultPasswordChangeResult,
   BiometricsStatus,
   DeviceInfo,
   UserSettings,
@@ -2228,6 +2784,17 @@ export type {
   MfaVerifyResponse,
   MfaBackupCodesResponse,
   MfaStatusResponse,
+  MfaPolicyMode,
+  MfaPolicy,
+  MfaPolicyStatus,
+  MfaComplianceUser,
+  MfaComplianceResponse,
+  // Passkey types
+  PasskeyInfo,
+  PasskeyLoginResponse,
+  PasskeyCreationOptionsJSON,
+  PasskeyRequestOptionsJSON,
+  PasskeyCredentialJSON,
   // Admin Security types
   IpAllowlistEntry,
   IpAllowlistResponse,
@@ -2235,6 +2802,20 @@ export type {
   EmergencyToken,
   EmergencyTokenCreateResponse,
   AdminSessionInfo,
+  // API Key types
+  ApiKeyInfo,
+  ApiKeyListResponse,
+  ApiKeySecretResponse,
+  // RBAC types
+  BuiltInRoleInfo,
+  RoleConditions,
+  CustomRoleInfo,
+  RolesResponse,
+  PermissionCatalogResponse,
+  RoleMemberInfo,
+  AccessTraceStep,
+  AccessDecision,
+  AccessExplanation,
   // Platform Admin types
   PlatformStats,
   TenantInfo,
@@ -0,0 +1,189 @@
+/**
+ * Browser-side passkey ceremonies.
+ *
+ * Converts the JSON options issued by /api/webauthn into the binary form
+ * navigator.credentials expects, and serializes the resulting credential
+ * back to base64url JSON for verification on the server.
+ */
+
+import {
+  api,
+  type PasskeyCreationOptionsJSON,
+  type PasskeyCredentialJSON,
+  type PasskeyInfo,
+  type PasskeyLoginResponse,
+  type PasskeyRequestOptionsJSON,
+} from "./api.js";
+
+// ============================================================================
+// Encoding Helpers
+// ============================================================================
+
+function base64UrlToBuffer(value: string): ArrayBuffer {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = base64 + "=".repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
+function bufferToBase64Url(buffer: ArrayBuffer): string {
+  const bytes = new Uint8Array(buffer);
+  let binary = "";
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function toDescriptors(
+  list: PasskeyCreationOptionsJSON["excludeCredentials"],
+): PublicKeyCredentialDescriptor[] {
+  return list.map((c) => ({
+    type: c.type,
+    id: base64UrlToBuffer(c.id),
+    transports: c.transports as AuthenticatorTransport[] | undefined,
+  }));
+}
+
+function toCreationOptions(
+  options: PasskeyCreationOptionsJSON,
+): PublicKeyCredentialCreationOptions {
+  return {
+    ...options,
+    challenge: base64UrlToBuffer(options.challenge),
+    user: { ...options.user, id: base64UrlToBuffer(options.user.id) },
+    excludeCredentials: toDescriptors(options.excludeCredentials),
+  };
+}
+
+function toRequestOptions(options: PasskeyRequestOptionsJSON): PublicKeyCredentialRequestOptions {
+  return {
+    ...options,
+    challenge: base64UrlToBuffer(options.challenge),
+    allowCredentials: toDescriptors(options.allowCredentials),
+  };
+}
+
+function serializeCredential(credential: PublicKeyCredential): PasskeyCredentialJSON {
+  const response = credential.response;
+
+  if (response instanceof AuthenticatorAttestationResponse) {
+    return {
+      id: credential.id,
+      type: credential.type,
+      response: {
+        clientDataJSON: bufferToBase64Url(response.clientDataJSON),
+        attestationObject: bufferToBase64Url(response.attestationObject),
+        transports: response.getTransports?.() ?? [],
+      },
+    };
+  }
+
+  const assertion = response as AuthenticatorAssertionResponse;
+  return {
+    id: credential.id,
+    type: credential.type,
+    response: {
+      clientDataJSON: bufferToBase64Url(assertion.clientDataJSON),
+      authenticatorData: bufferToBase64Url(assertion.authenticatorData),
+      signature: bufferToBase64Url(assertion.signature),
+      userHandle: assertion.userHandle ? bufferToBase64Url(assertion.userHandle) : null,
+    },
+  };
+}
+
+/**
+ * Map browser ceremony errors to user-facing messages
+ */
+function describeError(err: unknown): string {
+  if (err instanceof DOMException) {
+    if (err.name === "NotAllowedError") {
+      return "Passkey request was cancelled or timed out";
+    }
+    if (err.name === "InvalidStateError") {
+      return "This passkey is already registered";
+    }
+  }
+  return err instanceof Error ? err.message : "Passkey operation failed";
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Check whether this browser supports passkeys
+ */
+export function isPasskeySupported(): boolean {
+  return typeof window !== "undefined" && typeof window.PublicKeyCredential === "function";
+}
+
+/**
+ * Register a new passkey for the signed-in user
+ */
+export async function registerPasskey(deviceName?: string): Promise<PasskeyInfo> {
+  const { options } = await api.getPasskeyRegistrationOptions();
+
+  let credential: Credential | null;
+  try {
+    credential = await navigator.credentials.create({ publicKey: toCreationOptions(options) });
+  } catch (err) {
+    throw new Error(describeError(err), { cause: err });
+  }
+  if (!credential) {
+    throw new Error("No passkey was created");
+  }
+
+  const result = await api.registerPasskey(
+    serializeCredential(credential as PublicKeyCredential),
+    deviceName,
+  );
+  return result.credential;
+}
+
+/**
+ * Sign in with a passkey.
+ * Pass the pending MFA token to use the passkey as a second factor after a
+ * magic link; omit it for passwordless sign-in with a discoverable credential.
+ */
+export async function signInWithPasskey(pendingToken?: string): Promise<PasskeyLoginResponse> {
+  const { options } = await api.getPasskeyAuthenticationOptions(pendingToken);
+
+  let credential: Credential | null;
+  try {
+    credential = await navigator.credentials.get({ publicKey: toRequestOptions(options) });
+  } catch (err) {
+    throw new Error(describeError(err), { cause: err });
+  }
+  if (!credential) {
+    throw new Error("No passkey was selected");
+  }
+
+  return api.verifyPasskeyLogin(
+    serializeCredential(credential as PublicKeyCredential),
+    pendingToken,
+  );
+}
+
+/**
+ * Complete MFA for the current session with one of the user's passkeys
+ */
+export async function verifySessionWithPasskey(): Promise<void> {
+  const { options } = await api.getPasskeySessionOptions();
+
+  let credential: Credential | null;
+  try {
+    credential = await navigator.credentials.get({ publicKey: toRequestOptions(options) });
+  } catch (err) {
+    throw new Error(describeError(err), { cause: err });
+  }
+  if (!credential) {
+    throw new Error("No passkey was selected");
+  }
+
+  await api.verifyPasskeySession(serializeCredential(credential as PublicKeyCredential));
+}
@@ -1,9 +1,9 @@
 import "./styles/global.css";
 import { LitElement, html, css } from "lit";
 import { customElement, state } from "lit/decorators.js";
-import { api, User, VaultStatus } from "./lib/api.js";
+import { toast } from "./components/toast.js";
+import { api, MfaPolicyStatus, User, VaultStatus } from "./lib/api.js";
 // Import components
-import "./components/toast.js";
 import "./components/onboarding.js";
 import "./components/vault-unlock-modal.js";
 import "./components/share-resource-modal.js";
@@ -30,6 +30,7 @@ import "./pages/group-resources.js";
 import "./pages/billing.js";
 // Security
 import "./pages/sessions.js";
+import "./pages/api-keys.js";
 import "./pages/admin-security.js";
 // Platform Admin
 import "./pages/platform-admin.js";
@@ -37,6 +38,9 @@ import "./pages/platform-admin.js";
 import "./components/mfa-code-input.js";
 import "./pages/mfa-setup.js";
 import "./pages/mfa-verify.js";
+import "./pages/mfa-policy.js";
+import "./pages/roles.js";
+import "./pages/access-checker.js";
 // Onboarding
 import "./pages/onboarding-welcome.js";
 import "./pages/onboarding-group.js";
@@ -60,8 +64,12 @@ type Page =
   | "groups"
   | "group-invites"
   | "sessions"
+  | "api-keys"
   | "mfa-setup"
   | "mfa-verify"
+  | "mfa-policy"
+  | "roles"
+  | "access-checker"
   | "admin-security"
   | "billing"
   | "platform-admin"
@@ -286,6 +294,9 @@ export class OcmtApp extends LitElement {
   // Flag to prevent double magic link verification (race condition fix)
   private verifyingMagicLink = false;
 
+  // Only warn once per page load about an MFA enrollment deadline
+  private mfaGraceWarningShown = false;
+
   async connectedCallback() {
     super.connectedCallback();
 
@@ -321,10 +332,21 @@ export class OcmtApp extends LitElement {
       this.pendingApprovalCount = e.detail.count || 0;
     }) as EventListener);
 
+    // Tenant MFA policy rejected a request - send the user to enrollment
+    window.addEventListener("mfa-enrollment-required", ((e: CustomEvent) => {
+      const verify = e.detail?.code === "MFA_VERIFICATION_REQUIRED";
+      this.applyMfaPolicy({
+        status: verify ? "verification_required" : "blocked",
+        required: true,
+        enrolled: verify,
+        graceEndsAt: null,
+      });
+    }) as EventListener);
+
     // Check if user is authenticated
     if (api.isAuthenticated()) {
       try {
-        const { user } = await api.getMe();
+        const { user, mfaPolicy } = await api.getMe();
         this.user = user;
 
         // Check vault status
@@ -339,6 +361,8 @@ export class OcmtApp extends LitElement {
         if (this.currentPage === "login") {
           this.navigateTo("dashboard");
         }
+
+        this.applyMfaPolicy(mfaPolicy);
       } catch {
         // Session invalid, clear stale data and go to login
         console.log("Session invalid, clearing stale data");
@@ -435,9 +459,7 @@ export class OcmtApp extends LitElement {
           this.pendingApprovalCount++;
 
           // Show toast notification
-          import("./components/toast.js").then(({ toast }) => {
-            toast.info(`New approval request for ${data.resource}`, 5000);
-          });
+          toast.info(`New approval request for ${data.resource}`, 5000);
 
           // Dispatch global event for other components
           window.dispatchEvent(new CustomEvent("capability_approval_requested", { detail: data }));
@@ -560,10 +582,18 @@ export class OcmtApp extends LitElement {
       this.currentPage = "vault-unlock";
     } else if (path === "/sessions") {
       this.currentPage = "sessions";
+    } else if (path === "/api-keys") {
+      this.currentPage = "api-keys";
     } else if (path === "/mfa/setup" || path === "/mfa-setup") {
       this.currentPage = "mfa-setup";
     } else if (path === "/mfa/verify" || path === "/mfa-verify") {
       this.currentPage = "mfa-verify";
+    } else if (path === "/mfa/policy" || path === "/mfa-policy") {
+      this.currentPage = "mfa-policy";
+    } else if (path === "/roles" || path === "/admin/roles") {
+      this.currentPage = "roles";
+    } else if (path === "/access-checker" || path === "/admin/access") {
+      this.currentPage = "access-checker";
     } else if (path === "/admin/security" || path === "/admin-security") {
       this.currentPage = "admin-security";
     } else if (path === "/billing") {
@@ -628,6 +658,44 @@ export class OcmtApp extends LitElement {
     this.navigateTo("login");
   }
 
+  /**
+   * Enforce the tenant MFA policy in the UI: force enrollment once the grace
+   * period is over, ask enrolled users to verify a session that skipped MFA,
+   * and remind the user while the grace period is still running.
+   */
+  private applyMfaPolicy(policy?: MfaPolicyStatus | null) {
+    if (!policy || !this.user) {
+      return;
+    }
+
+    if (policy.status === "blocked") {
+      if (this.currentPage !== "mfa-setup") {
+        toast.warning(
+          "Your organization requires two-factor authentication. Set it up to continue.",
+        );
+        this.navigateTo("mfa-setup");
+      }
+      return;
+    }
+
+    if (policy.status === "verification_required") {
+      if (this.currentPage !== "mfa-setup") {
+        toast.warning("Your organization requires two-factor authentication. Verify to continue.");
+        this.navigateTo("mfa-setup");
+      }
+      return;
+    }
+
+    if (policy.status === "grace" && policy.graceEndsAt && !this.mfaGraceWarningShown) {
+      this.mfaGraceWarningShown = true;
+      const deadline = new Date(policy.graceEndsAt).toLocaleDateString();
+      toast.warning(
+        `Your organization requires two-factor authentication. Set it up by ${deadline}.`,
+        10000,
+      );
+    }
+  }
+
   private async handleLogin(e: CustomEvent<User>) {
     this.user = e.detail;
 
@@ -943,6 +1011,8 @@ export class OcmtApp extends LitElement {
         return html`<ocmt-group-invites .user=${this.user}></ocmt-group-invites>`;
       case "sessions":
         return html`<ocmt-sessions .user=${this.user}></ocmt-sessions>`;
+      case "api-keys":
+        return html`<ocmt-api-keys .user=${this.user}></ocmt-api-keys>`;
       case "mfa-setup":
         return html`<ocmt-mfa-setup .user=${this.user}></ocmt-mfa-setup>`;
       case "mfa-verify":
@@ -951,6 +1021,12 @@ export class OcmtApp extends LitElement {
           .onSuccess=${(user: User) => this.handleMfaVerified(user)}
           .onCancel=${() => this.navigateTo("login")}
         ></ocmt-mfa-verify>`;
+      case "mfa-policy":
+        return html`<ocmt-mfa-policy .user=${this.user}></ocmt-mfa-policy>`;
+      case "roles":
+        return html`<ocmt-roles .user=${this.user}></ocmt-roles>`;
+      case "access-checker":
+        return html`<ocmt-access-checker .user=${this.user}></ocmt-access-checker>`;
       case "admin-security":
         return html`<ocmt-admin-security .user=${this.user}></ocmt-admin-security>`;
       case "billing":
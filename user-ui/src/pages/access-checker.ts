@@ -0,0 +1,462 @@
+import { LitElement, html, css } from "lit";
+import { customElement, property, state } from "lit/decorators.js";
+import { toast } from "../components/toast.js";
+import {
+  api,
+  User,
+  AccessDecision,
+  AccessExplanation,
+  PermissionCatalogResponse,
+  RoleMemberInfo,
+} from "../lib/api.js";
+
+type HttpMethod = "GET" | "POST" | "PUT" | "PATCH" | "DELETE";
+
+const METHODS: HttpMethod[] = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+
+const CHECK_LABELS: Record<string, string> = {
+  api_key: "API key",
+  platform_admin: "Platform admin",
+  role: "Role",
+  conditions: "Access conditions",
+  resource_permissions: "Resource-level grant",
+  group_membership: "Group membership",
+  share: "Group share",
+  connection: "Connection",
+  share_permissions: "Share permissions",
+  resource_status: "Resource status",
+  integration_share: "Integration share",
+  resource: "Resource",
+  none: "No matching grant",
+  not_found: "Unknown resource",
+};
+
+@customElement("ocmt-access-checker")
+export class AccessCheckerPage extends LitElement {
+  static styles = css`
+    :host {
+      display: block;
+      max-width: 800px;
+      margin: 0 auto;
+    }
+
+    h1 {
+      font-size: 1.8rem;
+      margin-bottom: 8px;
+    }
+
+    .subtitle {
+      color: #888;
+      margin-bottom: 32px;
+    }
+
+    .section {
+      background: rgba(255, 255, 255, 0.05);
+      border: 1px solid rgba(255, 255, 255, 0.1);
+      border-radius: 16px;
+      padding: 24px;
+      margin-bottom: 24px;
+    }
+
+    .section h2 {
+      font-size: 1.2rem;
+      margin-bottom: 16px;
+    }
+
+    .form-row {
+      display: grid;
+      grid-template-columns: 1fr 1fr;
+      gap: 16px;
+    }
+
+    .form-group {
+      margin-bottom: 16px;
+    }
+
+    .form-group label {
+      display: block;
+      font-size: 0.9rem;
+      color: #ccc;
+      margin-bottom: 6px;
+    }
+
+    .form-group input,
+    .form-group select {
+      width: 100%;
+      padding: 10px 12px;
+      background: rgba(255, 255, 255, 0.05);
+      border: 1px solid rgba(255, 255, 255, 0.15);
+      border-radius: 8px;
+      color: white;
+      font-size: 0.95rem;
+      box-sizing: border-box;
+    }
+
+    .form-group small {
+      color: #888;
+    }
+
+    .verdict {
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      font-size: 1.1rem;
+      font-weight: 600;
+      margin-bottom: 16px;
+    }
+
+    .verdict.allowed {
+      color: #22c55e;
+    }
+
+    .verdict.denied {
+      color: #ef4444;
+    }
+
+    .context {
+      color: #888;
+      font-size: 0.85rem;
+      margin-bottom: 16px;
+    }
+
+    .trace h3 {
+      font-size: 0.95rem;
+      margin: 16px 0 8px;
+    }
+
+    .step {
+      display: flex;
+      gap: 12px;
+      align-items: flex-start;
+      padding: 8px 12px;
+      border-left: 3px solid rgba(255, 255, 255, 0.15);
+      margin-bottom: 6px;
+      font-size: 0.9rem;
+    }
+
+    .step.allow,
+    .step.pass {
+      border-left-color: #22c55e;
+    }
+
+    .step.deny {
+      border-left-color: #ef4444;
+    }
+
+    .step-label {
+      min-width: 160px;
+      color: #ccc;
+      font-weight: 500;
+    }
+
+    .step-detail {
+      color: #aaa;
+    }
+
+    .badge {
+      padding: 2px 8px;
+      border-radius: 10px;
+      font-size: 0.75rem;
+      font-weight: 500;
+      background: rgba(255, 255, 255, 0.1);
+      color: #ccc;
+    }
+
+    .badge.allowed {
+      background: rgba(34, 197, 94, 0.2);
+      color: #22c55e;
+    }
+
+    .badge.denied {
+      background: rgba(239, 68, 68, 0.2);
+      color: #ef4444;
+    }
+
+    .btn {
+      padding: 10px 16px;
+      border-radius: 8px;
+      border: none;
+      font-size: 0.9rem;
+      font-weight: 500;
+      cursor: pointer;
+      transition: all 0.2s;
+    }
+
+    .btn-primary {
+      background: #4f46e5;
+      color: white;
+    }
+
+    .btn-primary:hover:not(:disabled) {
+      background: #4338ca;
+    }
+
+    .btn:disabled {
+      opacity: 0.5;
+      cursor: not-allowed;
+    }
+
+    .loading {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 60px;
+    }
+
+    .spinner {
+      width: 32px;
+      height: 32px;
+      border: 3px solid rgba(255, 255, 255, 0.1);
+      border-top-color: #4f46e5;
+      border-radius: 50%;
+      animation: spin 0.8s linear infinite;
+    }
+
+    @keyframes spin {
+      to {
+        transform: rotate(360deg);
+      }
+    }
+
+    .error-banner {
+      background: rgba(239, 68, 68, 0.2);
+      border: 1px solid rgba(239, 68, 68, 0.3);
+      padding: 12px 16px;
+      border-radius: 8px;
+      color: #ef4444;
+      margin-bottom: 24px;
+    }
+  `;
+
+  @property({ type: Object })
+  user: User | null = null;
+
+  @state() private loading = true;
+  @state() private checking = false;
+  @state() private error = "";
+  @state() private members: RoleMemberInfo[] = [];
+  @state() private catalog: PermissionCatalogResponse | null = null;
+  @state() private userId = "";
+  @state() private permission = "";
+  @state() private resourceId = "";
+  @state() private method: HttpMethod = "GET";
+  @state() private ip = "";
+  @state() private result: AccessExplanation | null = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.load();
+  }
+
+  private async load() {
+    this.loading = true;
+    this.error = "";
+
+    try {
+      const [{ users }, catalog] = await Promise.all([
+        api.listRoleMembers(),
+        api.getPermissionCatalog(),
+      ]);
+      this.members = users;
+      this.catalog = catalog;
+      this.userId = users[0]?.id || "";
+    } catch (err) {
+      this.error = err instanceof Error ? err.message : "Failed to load members";
+    }
+
+    this.loading = false;
+  }
+
+  private async check() {
+    const resourceId = this.resourceId.trim();
+
+    if (!this.userId) {
+      toast.error("Choose a member");
+      return;
+    }
+    if (!this.permission && !resourceId) {
+      toast.error("Choose a permission or enter a resource ID");
+      return;
+    }
+
+    this.checking = true;
+
+    try {
+      this.result = await api.explainAccess({
+        userId: this.userId,
+        permission: this.permission || undefined,
+        resourceId: resourceId || undefined,
+        method: this.method,
+        context: this.ip.trim() ? { ip: this.ip.trim() } : undefined,
+      });
+    } catch (err) {
+      this.result = null;
+      toast.error(err instanceof Error ? err.message : "Failed to check access");
+    }
+
+    this.checking = false;
+  }
+
+  render() {
+    return html`
+      <h1>Access Checker</h1>
+      <p class="subtitle">See exactly why a member can or can't do something</p>
+
+      ${this.error ? html`<div class="error-banner">${this.error}</div>` : ""}
+      ${
+        this.loading
+          ? html`
+              <div class="loading"><div class="spinner"></div></div>
+            `
+          : html`${this.renderForm()} ${this.renderResult()}`
+      }
+    `;
+  }
+
+  private renderForm() {
+    return html`
+      <div class="section">
+        <h2>Check Access</h2>
+
+        <div class="form-group">
+          <label>Member</label>
+          <select
+            @change=${(e: Event) => (this.userId = (e.target as HTMLSelectElement).value)}
+          >
+            ${this.members.map(
+              (member) => html`
+                <option value=${member.id} ?selected=${member.id === this.userId}>
+                  ${member.name || member.email} (${member.role})
+                </option>
+              `,
+            )}
+          </select>
+        </div>
+
+        <div class="form-group">
+          <label>Permission</label>
+          <select
+            @change=${(e: Event) => (this.permission = (e.target as HTMLSelectElement).value)}
+          >
+            <option value="">None</option>
+            ${(this.catalog?.permissions || []).map(
+              (perm) => html`<option value=${perm} ?selected=${perm === this.permission}>
+                ${perm}
+              </option>`,
+            )}
+          </select>
+        </div>
+
+        <div class="form-row">
+          <div class="form-group">
+            <label>Resource ID</label>
+            <input
+              type="text"
+              placeholder="Group resource or shared integration"
+              .value=${this.resourceId}
+              @input=${(e: Event) => (this.resourceId = (e.target as HTMLInputElement).value)}
+            />
+          </div>
+          <div class="form-group">
+            <label>Request method</label>
+            <select
+              @change=${(e: Event) =>
+                (this.method = (e.target as HTMLSelectElement).value as HttpMethod)}
+            >
+              ${METHODS.map(
+                (method) => html`<option value=${method} ?selected=${method === this.method}>
+                  ${method}
+                </option>`,
+              )}
+            </select>
+          </div>
+        </div>
+
+        <div class="form-group">
+          <label>Source IP (optional)</label>
+          <input
+            type="text"
+            placeholder="203.0.113.5"
+            .value=${this.ip}
+            @input=${(e: Event) => (this.ip = (e.target as HTMLInputElement).value)}
+          />
+          <small>Used to evaluate IP range conditions on custom roles</small>
+        </div>
+
+        <button class="btn btn-primary" ?disabled=${this.checking} @click=${this.check}>
+          ${this.checking ? "Checking..." : "Check Access"}
+        </button>
+      </div>
+    `;
+  }
+
+  private renderResult() {
+    const result = this.result;
+    if (!result) {
+      return "";
+    }
+
+    return html`
+      <div class="section">
+        <div class="verdict ${result.allowed ? "allowed" : "denied"}">
+          ${result.allowed ? "Allowed" : "Denied"}
+        </div>
+        <div class="context">
+          ${result.user.name || result.user.email} · role ${result.user.role} · region
+          ${result.context.region}
+          ${result.context.ip ? html`· from ${result.context.ip}` : ""}
+          · MFA
+          ${
+            result.context.mfaVerifiedAt
+              ? `verified ${new Date(result.context.mfaVerifiedAt).toLocaleString()}`
+              : "never verified"
+          }
+        </div>
+
+        <div class="trace">
+          ${
+            result.permission
+              ? this.renderDecision(`Permission ${result.permission.permission}`, result.permission)
+              : ""
+          }
+          ${
+            result.resource
+              ? this.renderDecision(
+                  result.resource.resourceName
+                    ? `Resource ${result.resource.resourceName}`
+                    : `Resource ${result.resource.resourceId}`,
+                  result.resource,
+                )
+              : ""
+          }
+        </div>
+      </div>
+    `;
+  }
+
+  private renderDecision(title: string, decision: AccessDecision) {
+    const status = decision.allowed ? "allowed" : "denied";
+    const decidedBy = CHECK_LABELS[decision.decidedBy] || decision.decidedBy;
+
+    return html`
+      <h3>
+        ${title}
+        <span class="badge ${status}">${status}: ${decidedBy}</span>
+      </h3>
+      ${decision.steps.map(
+        (step) => html`
+          <div class="step ${step.result}">
+            <span class="step-label">${CHECK_LABELS[step.check] || step.check}</span>
+            <span class="step-detail">${step.detail}</span>
+          </div>
+        `,
+      )}
+    `;
+  }
+}
+
+declare global {
+  interface HTMLElementTagNameMap {
+    "ocmt-access-checker": AccessCheckerPage;
+  }
+}
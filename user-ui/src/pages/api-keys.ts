@@ -0,0 +1,960 @@
+import { LitElement, html, css } from "lit";
+import { customElement, property, state } from "lit/decorators.js";
+import { toast } from "../components/toast.js";
+import { api, User, ApiKeyInfo } from "../lib/api.js";
+
+const SCOPE_DESCRIPTIONS: Record<string, string> = {
+  read: "Read-only access (GET requests)",
+  write: "Read and modify data",
+  admin: "Read, write and manage API keys",
+  "*": "Full access",
+};
+
+const EXPIRY_OPTIONS: Array<{ label: string; days: number | null }> = [
+  { label: "30 days", days: 30 },
+  { label: "90 days", days: 90 },
+  { label: "1 year", days: 365 },
+  { label: "Never", days: null },
+];
+
+@customElement("ocmt-api-keys")
+export class ApiKeysPage extends LitElement {
+  static styles = css`
+    :host {
+      display: block;
+      max-width: 800px;
+      margin: 0 auto;
+    }
+
+    h1 {
+      font-size: 1.8rem;
+      margin-bottom: 8px;
+    }
+
+    .subtitle {
+      color: #888;
+      margin-bottom: 32px;
+    }
+
+    .section {
+      background: rgba(255, 255, 255, 0.05);
+      border: 1px solid rgba(255, 255, 255, 0.1);
+      border-radius: 16px;
+      padding: 24px;
+      margin-bottom: 24px;
+    }
+
+    .section h2 {
+      font-size: 1.2rem;
+      margin-bottom: 16px;
+      display: flex;
+      align-items: center;
+      gap: 8px;
+    }
+
+    .key-count {
+      background: rgba(79, 70, 229, 0.2);
+      color: #818cf8;
+      padding: 2px 8px;
+      border-radius: 10px;
+      font-size: 0.8rem;
+      font-weight: normal;
+    }
+
+    .key-list {
+      display: flex;
+      flex-direction: column;
+      gap: 12px;
+    }
+
+    .key-card {
+      display: flex;
+      align-items: flex-start;
+      gap: 16px;
+      padding: 16px;
+      background: rgba(255, 255, 255, 0.03);
+      border: 1px solid rgba(255, 255, 255, 0.08);
+      border-radius: 12px;
+    }
+
+    .key-card.inactive {
+      opacity: 0.6;
+    }
+
+    .key-info {
+      flex: 1;
+      min-width: 0;
+    }
+
+    .key-header {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      margin-bottom: 4px;
+      flex-wrap: wrap;
+    }
+
+    .key-name {
+      font-weight: 600;
+      color: white;
+    }
+
+    .key-prefix {
+      font-family: monospace;
+      font-size: 0.85rem;
+      color: #a5b4fc;
+    }
+
+    .badge {
+      padding: 2px 8px;
+      border-radius: 10px;
+      font-size: 0.75rem;
+      font-weight: 500;
+      background: rgba(255, 255, 255, 0.1);
+      color: #ccc;
+    }
+
+    .badge.active {
+      background: rgba(34, 197, 94, 0.2);
+      color: #22c55e;
+    }
+
+    .badge.expired,
+    .badge.revoked {
+      background: rgba(239, 68, 68, 0.2);
+      color: #ef4444;
+    }
+
+    .key-description {
+      color: #aaa;
+      font-size: 0.9rem;
+      margin-bottom: 4px;
+    }
+
+    .key-details {
+      display: flex;
+      flex-direction: column;
+      gap: 4px;
+      margin-top: 8px;
+      font-size: 0.85rem;
+      color: #888;
+    }
+
+    .key-actions {
+      display: flex;
+      gap: 8px;
+      flex-shrink: 0;
+    }
+
+    .form-group {
+      margin-bottom: 16px;
+    }
+
+    .form-group label {
+      display: block;
+      font-size: 0.9rem;
+      color: #ccc;
+      margin-bottom: 6px;
+    }
+
+    .form-group input[type="text"],
+    .form-group select {
+      width: 100%;
+      padding: 10px 12px;
+      background: rgba(255, 255, 255, 0.05);
+      border: 1px solid rgba(255, 255, 255, 0.15);
+      border-radius: 8px;
+      color: white;
+      font-size: 0.95rem;
+      box-sizing: border-box;
+    }
+
+    .scope-options {
+      display: flex;
+      flex-direction: column;
+      gap: 8px;
+    }
+
+    .scope-option {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      font-size: 0.9rem;
+      color: #ccc;
+    }
+
+    .scope-option small {
+      color: #888;
+    }
+
+    .permission-groups {
+      display: grid;
+      grid-template-columns: repeat(auto-fill, minmax(180px, 1fr));
+      gap: 12px;
+      margin-top: 12px;
+    }
+
+    .permission-group-title {
+      font-size: 0.8rem;
+      text-transform: uppercase;
+      color: #888;
+      margin-bottom: 4px;
+    }
+
+    .badge.permission {
+      background: rgba(79, 70, 229, 0.2);
+      color: #a5b4fc;
+      font-family: monospace;
+    }
+
+    .btn {
+      padding: 10px 16px;
+      border-radius: 8px;
+      border: none;
+      font-size: 0.9rem;
+      font-weight: 500;
+      cursor: pointer;
+      transition: all 0.2s;
+      display: inline-flex;
+      align-items: center;
+      gap: 6px;
+    }
+
+    .btn-primary {
+      background: #4f46e5;
+      color: white;
+    }
+
+    .btn-primary:hover:not(:disabled) {
+      background: #4338ca;
+    }
+
+    .btn-danger {
+      background: rgba(239, 68, 68, 0.2);
+      color: #ef4444;
+    }
+
+    .btn-danger:hover:not(:disabled) {
+      background: rgba(239, 68, 68, 0.3);
+    }
+
+    .btn-secondary {
+      background: rgba(255, 255, 255, 0.1);
+      color: #ccc;
+    }
+
+    .btn-secondary:hover:not(:disabled) {
+      background: rgba(255, 255, 255, 0.15);
+    }
+
+    .btn:disabled {
+      opacity: 0.5;
+      cursor: not-allowed;
+    }
+
+    .loading {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 60px;
+    }
+
+    .spinner {
+      width: 32px;
+      height: 32px;
+      border: 3px solid rgba(255, 255, 255, 0.1);
+      border-top-color: #4f46e5;
+      border-radius: 50%;
+      animation: spin 0.8s linear infinite;
+    }
+
+    @keyframes spin {
+      to {
+        transform: rotate(360deg);
+      }
+    }
+
+    .empty-state {
+      text-align: center;
+      padding: 40px 20px;
+      color: #888;
+    }
+
+    .error-banner {
+      background: rgba(239, 68, 68, 0.2);
+      border: 1px solid rgba(239, 68, 68, 0.3);
+      padding: 12px 16px;
+      border-radius: 8px;
+      color: #ef4444;
+      margin-bottom: 24px;
+    }
+
+    .secret-box {
+      background: rgba(251, 191, 36, 0.1);
+      border: 1px solid rgba(251, 191, 36, 0.3);
+      border-radius: 12px;
+      padding: 16px;
+      margin-bottom: 24px;
+      color: #fbbf24;
+    }
+
+    .secret-value {
+      display: flex;
+      gap: 8px;
+      align-items: center;
+      margin-top: 12px;
+    }
+
+    .secret-value code {
+      flex: 1;
+      padding: 10px 12px;
+      background: rgba(0, 0, 0, 0.3);
+      border-radius: 8px;
+      color: white;
+      font-size: 0.9rem;
+      word-break: break-all;
+    }
+
+    .toggle-row {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      font-size: 0.85rem;
+      color: #888;
+      margin-bottom: 12px;
+    }
+
+    .dialog-overlay {
+      position: fixed;
+      top: 0;
+      left: 0;
+      right: 0;
+      bottom: 0;
+      background: rgba(0, 0, 0, 0.7);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      z-index: 1000;
+      padding: 20px;
+    }
+
+    .dialog {
+      background: #1a1a2e;
+      border: 1px solid rgba(255, 255, 255, 0.1);
+      border-radius: 16px;
+      padding: 24px;
+      max-width: 440px;
+      width: 100%;
+      max-height: 90vh;
+      overflow-y: auto;
+    }
+
+    .dialog h3 {
+      margin-bottom: 12px;
+      font-size: 1.2rem;
+    }
+
+    .dialog p {
+      color: #888;
+      margin-bottom: 20px;
+      line-height: 1.5;
+    }
+
+    .dialog-actions {
+      display: flex;
+      gap: 12px;
+      justify-content: flex-end;
+    }
+
+    @media (max-width: 768px) {
+      h1 {
+        font-size: 1.5rem;
+      }
+
+      .key-card {
+        flex-direction: column;
+      }
+
+      .key-actions {
+        width: 100%;
+        justify-content: flex-end;
+        flex-wrap: wrap;
+      }
+    }
+  `;
+
+  @property({ type: Object })
+  user: User | null = null;
+
+  @state()
+  private keys: ApiKeyInfo[] = [];
+
+  @state()
+  private availableScopes: string[] = ["read", "write", "admin"];
+
+  @state()
+  private availablePermissions: string[] = [];
+
+  @state()
+  private loading = true;
+
+  @state()
+  private error = "";
+
+  @state()
+  private showRevoked = false;
+
+  @state()
+  private actionLoading: string | null = null;
+
+  // Create form
+  @state()
+  private newName = "";
+
+  @state()
+  private newDescription = "";
+
+  @state()
+  private newScopes: string[] = ["read"];
+
+  @state()
+  private newExpiryDays: number | null = 90;
+
+  // null = key inherits the owner's role permissions
+  @state()
+  private newPermissions: string[] | null = null;
+
+  // One-time secret display
+  @state()
+  private revealedKey: { name: string; rawKey: string } | null = null;
+
+  // Dialogs
+  @state()
+  private confirmAction: { type: "rotate" | "revoke"; key: ApiKeyInfo } | null = null;
+
+  @state()
+  private editingKey: ApiKeyInfo | null = null;
+
+  @state()
+  private editName = "";
+
+  @state()
+  private editDescription = "";
+
+  @state()
+  private editPermissions: string[] | null = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.loadKeys();
+  }
+
+  private async loadKeys() {
+    this.loading = true;
+    this.error = "";
+
+    try {
+      const result = await api.listApiKeys(this.showRevoked);
+      this.keys = result.keys || [];
+      if (result.availableScopes?.length) {
+        this.availableScopes = result.availableScopes;
+      }
+      this.availablePermissions = (result.availablePermissions || []).filter((p) => p !== "*");
+    } catch (err) {
+      console.error("Failed to load API keys:", err);
+      this.error = err instanceof Error ? err.message : "Failed to load API keys";
+    }
+
+    this.loading = false;
+  }
+
+  private formatDate(dateStr: string | null): string {
+    if (!dateStr) {
+      return "Never";
+    }
+    return new Date(dateStr).toLocaleString(undefined, {
+      month: "short",
+      day: "numeric",
+      year: "numeric",
+      hour: "numeric",
+      minute: "2-digit",
+    });
+  }
+
+  private toggleScope(scope: string, checked: boolean) {
+    this.newScopes = checked
+      ? [...this.newScopes, scope]
+      : this.newScopes.filter((s) => s !== scope);
+  }
+
+  private togglePermission(
+    current: string[] | null,
+    permission: string,
+    checked: boolean,
+  ): string[] {
+    const selected = current || [];
+    return checked ? [...selected, permission] : selected.filter((p) => p !== permission);
+  }
+
+  private async createKey(e: Event) {
+    e.preventDefault();
+    if (!this.newName.trim() || this.newScopes.length === 0) {
+      toast.error("Name and at least one scope are required");
+      return;
+    }
+    if (this.newPermissions && this.newPermissions.length === 0) {
+      toast.error("Select at least one permission or remove the restriction");
+      return;
+    }
+
+    this.actionLoading = "create";
+
+    try {
+      const result = await api.createApiKey({
+        name: this.newName.trim(),
+        description: this.newDescription.trim() || undefined,
+        scopes: this.newScopes,
+        permissions: this.newPermissions,
+        expiresInDays: this.newExpiryDays,
+      });
+      this.revealedKey = { name: result.key.name, rawKey: result.rawKey };
+      this.newName = "";
+      this.newDescription = "";
+      this.newScopes = ["read"];
+      this.newPermissions = null;
+      toast.success("API key created");
+      await this.loadKeys();
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : "Failed to create API key");
+    }
+
+    this.actionLoading = null;
+  }
+
+  private async copyRevealedKey() {
+    if (!this.revealedKey) {
+      return;
+    }
+    try {
+      await navigator.clipboard.writeText(this.revealedKey.rawKey);
+      toast.success("Copied to clipboard");
+    } catch {
+      toast.error("Failed to copy - please copy the key manually");
+    }
+  }
+
+  private openEdit(key: ApiKeyInfo) {
+    this.editingKey = key;
+    this.editName = key.name;
+    this.editDescription = key.description || "";
+    this.editPermissions = key.permissions ? [...key.permissions] : null;
+  }
+
+  private async saveEdit() {
+    if (!this.editingKey || !this.editName.trim()) {
+      return;
+    }
+    if (this.editPermissions && this.editPermissions.length === 0) {
+      toast.error("Select at least one permission or remove the restriction");
+      return;
+    }
+
+    this.actionLoading = this.editingKey.id;
+
+    try {
+      await api.updateApiKey(this.editingKey.id, {
+        name: this.editName.trim(),
+        description: this.editDescription.trim() || null,
+        permissions: this.editPermissions,
+      });
+      toast.success("API key updated");
+      this.editingKey = null;
+      await this.loadKeys();
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : "Failed to update API key");
+    }
+
+    this.actionLoading = null;
+  }
+
+  private async handleConfirm() {
+    if (!this.confirmAction) {
+      return;
+    }
+
+    const { type, key } = this.confirmAction;
+    this.actionLoading = key.id;
+
+    try {
+      if (type === "rotate") {
+        const result = await api.rotateApiKey(key.id);
+        this.revealedKey = { name: result.key.name, rawKey: result.rawKey };
+        toast.success("API key rotated");
+      } else {
+        await api.revokeApiKey(key.id);
+        toast.success("API key revoked");
+      }
+      await this.loadKeys();
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : `Failed to ${type} API key`);
+    }
+
+    this.actionLoading = null;
+    this.confirmAction = null;
+  }
+
+  render() {
+    if (this.loading && this.keys.length === 0) {
+      return html`
+        <div class="loading">
+          <div class="spinner"></div>
+        </div>
+      `;
+    }
+
+    return html`
+      <h1>API Keys</h1>
+      <p class="subtitle">Programmatic access to the management API for CI jobs and scripts</p>
+
+      ${this.error ? html`<div class="error-banner">${this.error}</div>` : ""}
+      ${this.revealedKey ? this.renderRevealedKey() : ""} ${this.renderCreateForm()}
+      ${this.renderKeyList()} ${this.confirmAction ? this.renderConfirmDialog() : ""}
+      ${this.editingKey ? this.renderEditDialog() : ""}
+    `;
+  }
+
+  private renderPermissionPicker(
+    selected: string[] | null,
+    onChange: (permissions: string[] | null) => void,
+  ) {
+    const groups = new Map<string, string[]>();
+    for (const permission of this.availablePermissions) {
+      const [category] = permission.split(".");
+      groups.set(category, [...(groups.get(category) || []), permission]);
+    }
+
+    return html`
+      <label class="scope-option">
+        <input
+          type="checkbox"
+          .checked=${selected !== null}
+          @change=${(e: Event) => onChange((e.target as HTMLInputElement).checked ? [] : null)}
+        />
+        <span>Restrict to specific permissions</span>
+        <small>Otherwise the key can do anything your role allows</small>
+      </label>
+      ${
+        selected !== null
+          ? html`
+            <div class="permission-groups">
+              ${Array.from(groups.entries()).map(
+                ([category, permissions]) => html`
+                  <div>
+                    <div class="permission-group-title">${category}</div>
+                    ${permissions.map(
+                      (permission) => html`
+                        <label class="scope-option">
+                          <input
+                            type="checkbox"
+                            .checked=${selected.includes(permission)}
+                            @change=${(e: Event) =>
+                              onChange(
+                                this.togglePermission(
+                                  selected,
+                                  permission,
+                                  (e.target as HTMLInputElement).checked,
+                                ),
+                              )}
+                          />
+                          <span>${permission.split(".")[1]}</span>
+                        </label>
+                      `,
+                    )}
+                  </div>
+                `,
+              )}
+            </div>
+          `
+          : ""
+      }
+    `;
+  }
+
+  private renderRevealedKey() {
+    return html`
+      <div class="secret-box">
+        <strong>Copy your new key for "${this.revealedKey!.name}" now.</strong>
+        It will not be shown again. Send it as the <code>x-api-key</code> header.
+        <div class="secret-value">
+          <code>${this.revealedKey!.rawKey}</code>
+          <button class="btn btn-secondary" @click=${this.copyRevealedKey}>Copy</button>
+          <button class="btn btn-secondary" @click=${() => (this.revealedKey = null)}>Done</button>
+        </div>
+      </div>
+    `;
+  }
+
+  private renderCreateForm() {
+    return html`
+      <div class="section">
+        <h2>Create API Key</h2>
+        <form @submit=${this.createKey}>
+          <div class="form-group">
+            <label for="key-name">Name</label>
+            <input
+              id="key-name"
+              type="text"
+              placeholder="e.g. GitHub Actions deploy"
+              maxlength="255"
+              .value=${this.newName}
+              @input=${(e: Event) => (this.newName = (e.target as HTMLInputElement).value)}
+            />
+          </div>
+          <div class="form-group">
+            <label for="key-description">Description (optional)</label>
+            <input
+              id="key-description"
+              type="text"
+              maxlength="1000"
+              .value=${this.newDescription}
+              @input=${(e: Event) => (this.newDescription = (e.target as HTMLInputElement).value)}
+            />
+          </div>
+          <div class="form-group">
+            <label>Scopes</label>
+            <div class="scope-options">
+              ${this.availableScopes.map(
+                (scope) => html`
+                  <label class="scope-option">
+                    <input
+                      type="checkbox"
+                      .checked=${this.newScopes.includes(scope)}
+                      @change=${(e: Event) =>
+                        this.toggleScope(scope, (e.target as HTMLInputElement).checked)}
+                    />
+                    <span>${scope}</span>
+                    <small>${SCOPE_DESCRIPTIONS[scope] || ""}</small>
+                  </label>
+                `,
+              )}
+            </div>
+          </div>
+          <div class="form-group">
+            <label>Permissions</label>
+            ${this.renderPermissionPicker(this.newPermissions, (permissions) => {
+              this.newPermissions = permissions;
+            })}
+          </div>
+          <div class="form-group">
+            <label for="key-expiry">Expires after</label>
+            <select
+              id="key-expiry"
+              @change=${(e: Event) => {
+                const value = (e.target as HTMLSelectElement).value;
+                this.newExpiryDays = value === "never" ? null : Number(value);
+              }}
+            >
+              ${EXPIRY_OPTIONS.map(
+                (option) => html`
+                  <option
+                    value=${option.days === null ? "never" : String(option.days)}
+                    ?selected=${option.days === this.newExpiryDays}
+                  >
+                    ${option.label}
+                  </option>
+                `,
+              )}
+            </select>
+          </div>
+          <button class="btn btn-primary" type="submit" ?disabled=${this.actionLoading === "create"}>
+            ${this.actionLoading === "create" ? "Creating..." : "Create key"}
+          </button>
+        </form>
+      </div>
+    `;
+  }
+
+  private renderKeyList() {
+    return html`
+      <div class="section">
+        <h2>
+          Keys
+          ${this.keys.length > 0 ? html`<span class="key-count">${this.keys.length}</span>` : ""}
+        </h2>
+        <label class="toggle-row">
+          <input
+            type="checkbox"
+            .checked=${this.showRevoked}
+            @change=${(e: Event) => {
+              this.showRevoked = (e.target as HTMLInputElement).checked;
+              this.loadKeys();
+            }}
+          />
+          Show revoked keys
+        </label>
+        ${
+          this.keys.length === 0
+            ? html`
+                <div class="empty-state">No API keys yet</div>
+              `
+            : html`<div class="key-list">${this.keys.map((key) => this.renderKeyCard(key))}</div>`
+        }
+      </div>
+    `;
+  }
+
+  private renderKeyCard(key: ApiKeyInfo) {
+    const isActive = key.status === "active";
+    const isLoading = this.actionLoading === key.id;
+
+    return html`
+      <div class="key-card ${isActive ? "" : "inactive"}">
+        <div class="key-info">
+          <div class="key-header">
+            <span class="key-name">${key.name}</span>
+            <span class="key-prefix">${key.keyPrefix}…</span>
+            <span class="badge ${key.status}">${key.status}</span>
+            ${key.scopes.map((scope) => html`<span class="badge">${scope}</span>`)}
+          </div>
+          ${
+            key.permissions
+              ? html`<div class="key-header">
+                  ${key.permissions.map(
+                    (permission) => html`<span class="badge permission">${permission}</span>`,
+                  )}
+                </div>`
+              : ""
+          }
+          ${key.description ? html`<div class="key-description">${key.description}</div>` : ""}
+          <div class="key-details">
+            <span>Created: ${this.formatDate(key.createdAt)}</span>
+            <span>
+              Last used: ${this.formatDate(key.lastUsedAt)}
+              ${key.lastUsedIp ? html`from ${key.lastUsedIp}` : ""}
+            </span>
+            <span>Expires: ${key.expiresAt ? this.formatDate(key.expiresAt) : "Never"}</span>
+            ${key.rotatedAt ? html`<span>Rotated: ${this.formatDate(key.rotatedAt)}</span>` : ""}
+            ${key.revokedAt ? html`<span>Revoked: ${this.formatDate(key.revokedAt)}</span>` : ""}
+          </div>
+        </div>
+        ${
+          isActive
+            ? html`
+              <div class="key-actions">
+                <button
+                  class="btn btn-secondary"
+                  ?disabled=${isLoading}
+                  @click=${() => this.openEdit(key)}
+                >
+                  Edit
+                </button>
+                <button
+                  class="btn btn-secondary"
+                  ?disabled=${isLoading}
+                  @click=${() => (this.confirmAction = { type: "rotate", key })}
+                >
+                  Rotate
+                </button>
+                <button
+                  class="btn btn-danger"
+                  ?disabled=${isLoading}
+                  @click=${() => (this.confirmAction = { type: "revoke", key })}
+                >
+                  Revoke
+                </button>
+              </div>
+            `
+            : ""
+        }
+      </div>
+    `;
+  }
+
+  private renderConfirmDialog() {
+    const { type, key } = this.confirmAction!;
+    const isRotate = type === "rotate";
+
+    return html`
+      <div class="dialog-overlay" @click=${() => (this.confirmAction = null)}>
+        <div class="dialog" @click=${(e: Event) => e.stopPropagation()}>
+          <h3>${isRotate ? "Rotate API key?" : "Revoke API key?"}</h3>
+          <p>
+            ${
+              isRotate
+                ? html`A new secret will be generated for <strong>${key.name}</strong>. The current
+                  secret stops working immediately, so update your CI configuration right away.`
+                : html`<strong>${key.name}</strong> will stop working immediately. This cannot be
+                  undone.`
+            }
+          </p>
+          <div class="dialog-actions">
+            <button class="btn btn-secondary" @click=${() => (this.confirmAction = null)}>
+              Cancel
+            </button>
+            <button
+              class="btn ${isRotate ? "btn-primary" : "btn-danger"}"
+              ?disabled=${this.actionLoading !== null}
+              @click=${this.handleConfirm}
+            >
+              ${isRotate ? "Rotate" : "Revoke"}
+            </button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  private renderEditDialog() {
+    return html`
+      <div class="dialog-overlay" @click=${() => (this.editingKey = null)}>
+        <div class="dialog" @click=${(e: Event) => e.stopPropagation()}>
+          <h3>Edit API key</h3>
+          <div class="form-group">
+            <label for="edit-name">Name</label>
+            <input
+              id="edit-name"
+              type="text"
+              maxlength="255"
+              .value=${this.editName}
+              @input=${(e: Event) => (this.editName = (e.target as HTMLInputElement).value)}
+            />
+          </div>
+          <div class="form-group">
+            <label for="edit-description">Description</label>
+            <input
+              id="edit-description"
+              type="text"
+              maxlength="1000"
+              .value=${this.editDescription}
+              @input=${(e: Event) => (this.editDescription = (e.target as HTMLInputElement).value)}
+            />
+          </div>
+          <div class="form-group">
+            <label>Permissions</label>
+            ${this.renderPermissionPicker(this.editPermissions, (permissions) => {
+              this.editPermissions = permissions;
+            })}
+          </div>
+          <div class="dialog-actions">
+            <button class="btn btn-secondary" @click=${() => (this.editingKey = null)}>
+              Cancel
+            </button>
+            <button
+              class="btn btn-primary"
+              ?disabled=${this.actionLoading !== null || !this.editName.trim()}
+              @click=${this.saveEdit}
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+}
+
+declare global {
+  interface HTMLElementTagNameMap {
+    "ocmt-api-keys": ApiKeysPage;
+  }
+}
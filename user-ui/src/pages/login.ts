@@ -1,6 +1,7 @@
 import { LitElement, html, css } from "lit";
 import { customElement, state } from "lit/decorators.js";
 import { api } from "../lib/api.js";
+import { isPasskeySupported, signInWithPasskey } from "../lib/webauthn.js";
 
 @customElement("ocmt-login")
 export class LoginPage extends LitElement {
@@ -254,6 +255,12 @@ export class LoginPage extends LitElement {
       color: #666;
       font-size: 0.8rem;
     }
+
+    .btn-passkey {
+      margin-top: 12px;
+      background: transparent;
+      border: 1px solid rgba(255, 255, 255, 0.2);
+    }
   `;
 
   @state()
@@ -265,6 +272,9 @@ export class LoginPage extends LitElement {
   @state()
   private oauthLoading: "google" | "github" | "microsoft" | null = null;
 
+  @state()
+  private passkeyLoading = false;
+
   @state()
   private sent = false;
 
@@ -331,6 +341,25 @@ export class LoginPage extends LitElement {
     this.loading = false;
   }
 
+  private async handlePasskeyLogin() {
+    this.passkeyLoading = true;
+    this.error = "";
+
+    try {
+      const result = await signInWithPasskey();
+
+      if (result.success) {
+        this.dispatchEvent(
+          new CustomEvent("login", { detail: result.user, bubbles: true, composed: true }),
+        );
+      }
+    } catch (err) {
+      this.error = err instanceof Error ? err.message : "Passkey sign-in failed";
+    }
+
+    this.passkeyLoading = false;
+  }
+
   render() {
     return html`
       <div class="login-container">
@@ -369,7 +398,7 @@ export class LoginPage extends LitElement {
   }
 
   private renderForm() {
-    const isAnyLoading = this.loading || this.oauthLoading !== null;
+    const isAnyLoading = this.loading || this.passkeyLoading || this.oauthLoading !== null;
 
     return html`
       ${this.error ? html`<div class="error-message">${this.error}</div>` : ""}
@@ -482,6 +511,27 @@ export class LoginPage extends LitElement {
           ${this.loading ? "Sending..." : "Continue with Email"}
         </button>
       </form>
+
+      ${
+        isPasskeySupported()
+          ? html`
+              <button
+                class="btn btn-passkey"
+                @click=${this.handlePasskeyLogin}
+                ?disabled=${isAnyLoading}
+              >
+                ${
+                  this.passkeyLoading
+                    ? html`
+                        <div class="spinner"></div>
+                      `
+                    : ""
+                }
+                ${this.passkeyLoading ? "Waiting for passkey..." : "Sign in with a passkey"}
+              </button>
+            `
+          : ""
+      }
     `;
   }
 
@@ -0,0 +1,452 @@
+import { LitElement, html, css } from "lit";
+import { customElement, property, state } from "lit/decorators.js";
+import { toast } from "../components/toast.js";
+import { api, User, MfaPolicy, MfaPolicyMode, MfaComplianceResponse } from "../lib/api.js";
+
+const MODE_OPTIONS: Array<{ value: MfaPolicyMode; label: string; description: string }> = [
+  { value: "off", label: "Optional", description: "Members choose whether to use MFA" },
+  { value: "all", label: "Everyone", description: "All members must enroll" },
+  { value: "admins", label: "Admins only", description: "Owners and admins must enroll" },
+  { value: "roles", label: "Specific roles", description: "Members with the listed roles" },
+];
+
+const STATUS_LABELS: Record<string, string> = {
+  not_required: "Not required",
+  enrolled: "Enrolled",
+  grace: "Grace period",
+  blocked: "Blocked",
+  verification_required: "Verification required",
+};
+
+function formatDate(value: string): string {
+  return new Date(value).toLocaleDateString();
+}
+
+@customElement("ocmt-mfa-policy")
+export class MfaPolicyPage extends LitElement {
+  static styles = css`
+    :host {
+      display: block;
+      max-width: 800px;
+      margin: 0 auto;
+    }
+
+    h1 {
+      font-size: 1.8rem;
+      margin-bottom: 8px;
+    }
+
+    .subtitle {
+      color: #888;
+      margin-bottom: 32px;
+    }
+
+    .section {
+      background: rgba(255, 255, 255, 0.05);
+      border: 1px solid rgba(255, 255, 255, 0.1);
+      border-radius: 16px;
+      padding: 24px;
+      margin-bottom: 24px;
+    }
+
+    .section h2 {
+      font-size: 1.2rem;
+      margin-bottom: 16px;
+    }
+
+    .form-group {
+      margin-bottom: 16px;
+    }
+
+    .form-group label {
+      display: block;
+      font-size: 0.9rem;
+      color: #ccc;
+      margin-bottom: 6px;
+    }
+
+    .form-group input[type="text"],
+    .form-group input[type="number"] {
+      width: 100%;
+      padding: 10px 12px;
+      background: rgba(255, 255, 255, 0.05);
+      border: 1px solid rgba(255, 255, 255, 0.15);
+      border-radius: 8px;
+      color: white;
+      font-size: 0.95rem;
+      box-sizing: border-box;
+    }
+
+    .form-group small {
+      color: #888;
+    }
+
+    .mode-options {
+      display: flex;
+      flex-direction: column;
+      gap: 8px;
+    }
+
+    .mode-option {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      font-size: 0.9rem;
+      color: #ccc;
+    }
+
+    .mode-option small {
+      color: #888;
+    }
+
+    .summary {
+      display: flex;
+      gap: 12px;
+      flex-wrap: wrap;
+      margin-bottom: 16px;
+    }
+
+    .badge {
+      padding: 2px 8px;
+      border-radius: 10px;
+      font-size: 0.75rem;
+      font-weight: 500;
+      background: rgba(255, 255, 255, 0.1);
+      color: #ccc;
+    }
+
+    .badge.enrolled {
+      background: rgba(34, 197, 94, 0.2);
+      color: #22c55e;
+    }
+
+    .badge.grace {
+      background: rgba(251, 191, 36, 0.2);
+      color: #fbbf24;
+    }
+
+    .badge.blocked {
+      background: rgba(239, 68, 68, 0.2);
+      color: #ef4444;
+    }
+
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 0.9rem;
+    }
+
+    th {
+      text-align: left;
+      color: #888;
+      font-weight: 500;
+      padding: 8px;
+      border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+    }
+
+    td {
+      padding: 8px;
+      border-bottom: 1px solid rgba(255, 255, 255, 0.05);
+      color: #ccc;
+    }
+
+    .btn {
+      padding: 10px 16px;
+      border-radius: 8px;
+      border: none;
+      font-size: 0.9rem;
+      font-weight: 500;
+      cursor: pointer;
+      transition: all 0.2s;
+    }
+
+    .btn-primary {
+      background: #4f46e5;
+      color: white;
+    }
+
+    .btn-primary:hover:not(:disabled) {
+      background: #4338ca;
+    }
+
+    .btn:disabled {
+      opacity: 0.5;
+      cursor: not-allowed;
+    }
+
+    .loading {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 60px;
+    }
+
+    .spinner {
+      width: 32px;
+      height: 32px;
+      border: 3px solid rgba(255, 255, 255, 0.1);
+      border-top-color: #4f46e5;
+      border-radius: 50%;
+      animation: spin 0.8s linear infinite;
+    }
+
+    @keyframes spin {
+      to {
+        transform: rotate(360deg);
+      }
+    }
+
+    .error-banner {
+      background: rgba(239, 68, 68, 0.2);
+      border: 1px solid rgba(239, 68, 68, 0.3);
+      padding: 12px 16px;
+      border-radius: 8px;
+      color: #ef4444;
+      margin-bottom: 24px;
+    }
+  `;
+
+  @property({ type: Object })
+  user: User | null = null;
+
+  @state() private loading = true;
+  @state() private saving = false;
+  @state() private error = "";
+  @state() private policy: MfaPolicy | null = null;
+  @state() private mode: MfaPolicyMode = "off";
+  @state() private roles = "";
+  @state() private gracePeriodDays = 7;
+  @state() private compliance: MfaComplianceResponse | null = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.load();
+  }
+
+  private async load() {
+    this.loading = true;
+    this.error = "";
+
+    try {
+      const { policy } = await api.getMfaPolicy();
+      this.setPolicy(policy);
+    } catch (err) {
+      this.error = err instanceof Error ? err.message : "Failed to load MFA policy";
+    }
+
+    // Compliance is admin-only; members just see the policy
+    try {
+      this.compliance = await api.getMfaCompliance();
+    } catch {
+      this.compliance = null;
+    }
+
+    this.loading = false;
+  }
+
+  private setPolicy(policy: MfaPolicy) {
+    this.policy = policy;
+    this.mode = policy.mode;
+    this.roles = policy.roles.join(", ");
+    this.gracePeriodDays = policy.gracePeriodDays;
+  }
+
+  private handleGraceInput(e: Event) {
+    this.gracePeriodDays = parseInt((e.target as HTMLInputElement).value, 10) || 0;
+  }
+
+  private async savePolicy() {
+    const roles = this.roles
+      .split(",")
+      .map((r) => r.trim())
+      .filter(Boolean);
+
+    if (this.mode === "roles" && roles.length === 0) {
+      toast.error("Enter at least one role");
+      return;
+    }
+
+    this.saving = true;
+
+    try {
+      const result = await api.updateMfaPolicy({
+        mode: this.mode,
+        roles,
+        gracePeriodDays: this.gracePeriodDays,
+      });
+      this.setPolicy(result.policy);
+      toast.success("MFA policy saved");
+      this.compliance = await api.getMfaCompliance().catch(() => null);
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : "Failed to save MFA policy");
+    }
+
+    this.saving = false;
+  }
+
+  render() {
+    return html`
+      <h1>MFA Policy</h1>
+      <p class="subtitle">Require two-factor authentication across your organization</p>
+
+      ${this.error ? html`<div class="error-banner">${this.error}</div>` : ""}
+      ${
+        this.loading
+          ? html`
+              <div class="loading"><div class="spinner"></div></div>
+            `
+          : html`${this.renderPolicyForm()} ${this.renderCompliance()}`
+      }
+    `;
+  }
+
+  private renderPolicyForm() {
+    const canEdit = this.compliance !== null;
+
+    return html`
+      <div class="section">
+        <h2>Requirement</h2>
+
+        <div class="form-group">
+          <div class="mode-options">
+            ${MODE_OPTIONS.map(
+              (option) => html`
+                <label class="mode-option">
+                  <input
+                    type="radio"
+                    name="mode"
+                    .checked=${this.mode === option.value}
+                    ?disabled=${!canEdit}
+                    @change=${() => (this.mode = option.value)}
+                  />
+                  ${option.label} <small>${option.description}</small>
+                </label>
+              `,
+            )}
+          </div>
+        </div>
+
+        ${
+          this.mode === "roles"
+            ? html`
+                <div class="form-group">
+                  <label>Roles</label>
+                  <input
+                    type="text"
+                    placeholder="admin, finance"
+                    .value=${this.roles}
+                    ?disabled=${!canEdit}
+                    @input=${(e: Event) => (this.roles = (e.target as HTMLInputElement).value)}
+                  />
+                  <small>Comma-separated role names</small>
+                </div>
+              `
+            : ""
+        }
+
+        ${
+          this.mode !== "off"
+            ? html`
+                <div class="form-group">
+                  <label>Grace period (days)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="90"
+                    .value=${String(this.gracePeriodDays)}
+                    ?disabled=${!canEdit}
+                    @input=${this.handleGraceInput}
+                  />
+                  <small>
+                    Members who haven't enrolled are blocked after this many days
+                    ${
+                      this.policy?.enforcedAt
+                        ? html`(enforced since ${formatDate(this.policy.enforcedAt)})`
+                        : ""
+                    }
+                  </small>
+                </div>
+              `
+            : ""
+        }
+
+        ${
+          canEdit
+            ? html`
+                <button class="btn btn-primary" ?disabled=${this.saving} @click=${this.savePolicy}>
+                  ${this.saving ? "Saving..." : "Save Policy"}
+                </button>
+              `
+            : ""
+        }
+      </div>
+    `;
+  }
+
+  private renderCompliance() {
+    if (!this.compliance) {
+      return "";
+    }
+
+    const { summary, users } = this.compliance;
+
+    return html`
+      <div class="section">
+        <h2>Member Enrollment</h2>
+
+        <div class="summary">
+          ${Object.entries(summary).map(
+            ([status, count]) => html`
+              <span class="badge ${status}">${STATUS_LABELS[status] || status}: ${count}</span>
+            `,
+          )}
+        </div>
+
+        <table>
+          <thead>
+            <tr>
+              <th>Member</th>
+              <th>Role</th>
+              <th>Methods</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${users.map(
+              (member) => html`
+                <tr>
+                  <td>${member.name || member.email}<br /><small>${member.email}</small></td>
+                  <td>${member.role || "member"}</td>
+                  <td>
+                    ${
+                      [
+                        member.totpEnabled ? "Authenticator app" : "",
+                        member.passkeyCount > 0 ? `${member.passkeyCount} passkey(s)` : "",
+                      ]
+                        .filter(Boolean)
+                        .join(", ") || "None"
+                    }
+                  </td>
+                  <td>
+                    <span class="badge ${member.status}">${STATUS_LABELS[member.status]}</span>
+                    ${
+                      member.status === "grace" && member.graceEndsAt
+                        ? html`<br /><small>until ${formatDate(member.graceEndsAt)}</small>`
+                        : ""
+                    }
+                  </td>
+                </tr>
+              `,
+            )}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+}
+
+declare global {
+  interface HTMLElementTagNameMap {
+    "ocmt-mfa-policy": MfaPolicyPage;
+  }
+}
@@ -4,7 +4,8 @@ import QRCode from "qrcode";
 import type { MfaCodeInput } from "../components/mfa-code-input.js";
 import { toast } from "../components/toast.js";
 import "../components/mfa-code-input.js";
-import { api, User, MfaStatusResponse } from "../lib/api.js";
+import { api, User, MfaStatusResponse, PasskeyInfo } from "../lib/api.js";
+import { isPasskeySupported, registerPasskey, verifySessionWithPasskey } from "../lib/webauthn.js";
 
 type SetupStep =
   | "loading"
@@ -321,6 +322,54 @@ export class MfaSetupPage extends LitElement {
       font-size: 3rem;
       margin-bottom: 16px;
     }
+
+    .passkey-list {
+      list-style: none;
+      margin: 0 0 20px;
+      padding: 0;
+    }
+
+    .passkey-item {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 12px;
+      padding: 12px 0;
+      border-bottom: 1px solid rgba(255, 255, 255, 0.05);
+    }
+
+    .passkey-name {
+      font-weight: 500;
+    }
+
+    .passkey-meta {
+      font-size: 0.8rem;
+      color: #888;
+    }
+
+    .passkey-actions {
+      display: flex;
+      gap: 8px;
+    }
+
+    .btn-small {
+      padding: 6px 12px;
+      font-size: 0.85rem;
+    }
+
+    .passkey-add {
+      display: flex;
+      gap: 12px;
+    }
+
+    .passkey-add input {
+      flex: 1;
+      padding: 10px 12px;
+      border-radius: 8px;
+      border: 1px solid rgba(255, 255, 255, 0.1);
+      background: rgba(0, 0, 0, 0.2);
+      color: white;
+    }
   `;
 
   @property({ type: Object })
@@ -334,6 +383,9 @@ export class MfaSetupPage extends LitElement {
   @state() private savedCodes = false;
   @state() private loading = false;
   @state() private error = "";
+  @state() private passkeys: PasskeyInfo[] = [];
+  @state() private passkeyName = "";
+  @state() private passkeyLoading = false;
 
   @query("mfa-code-input")
   private codeInput!: MfaCodeInput;
@@ -341,6 +393,60 @@ export class MfaSetupPage extends LitElement {
   connectedCallback() {
     super.connectedCallback();
     this.checkMfaStatus();
+    this.loadPasskeys();
+  }
+
+  private async loadPasskeys() {
+    try {
+      const result = await api.listPasskeys();
+      this.passkeys = result.credentials;
+    } catch {
+      this.passkeys = [];
+    }
+  }
+
+  private async addPasskey() {
+    this.passkeyLoading = true;
+
+    try {
+      const credential = await registerPasskey(this.passkeyName.trim() || undefined);
+      this.passkeys = [...this.passkeys, credential];
+      this.passkeyName = "";
+      toast.success("Passkey added");
+      await this.checkMfaStatus();
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : "Failed to add passkey");
+    }
+
+    this.passkeyLoading = false;
+  }
+
+  private async renamePasskey(passkey: PasskeyInfo) {
+    const deviceName = prompt("Passkey name", passkey.deviceName)?.trim();
+    if (!deviceName || deviceName === passkey.deviceName) {
+      return;
+    }
+
+    try {
+      const result = await api.renamePasskey(passkey.id, deviceName);
+      this.passkeys = this.passkeys.map((p) => (p.id === passkey.id ? result.credential : p));
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : "Failed to rename passkey");
+    }
+  }
+
+  private async removePasskey(passkey: PasskeyInfo) {
+    if (!confirm(`Remove passkey "${passkey.deviceName}"? You won't be able to sign in with it.`)) {
+      return;
+    }
+
+    try {
+      await api.deletePasskey(passkey.id);
+      this.passkeys = this.passkeys.filter((p) => p.id !== passkey.id);
+      toast.success("Passkey removed");
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : "Failed to remove passkey");
+    }
   }
 
   private async checkMfaStatus() {
@@ -448,6 +554,44 @@ export class MfaSetupPage extends LitElement {
     this.loading = false;
   }
 
+  private async handleSessionCodeComplete(e: CustomEvent<{ code: string }>) {
+    this.loading = true;
+    this.error = "";
+
+    try {
+      await api.verifyMfaSession({ code: e.detail.code });
+      toast.success("Sign-in verified");
+      this.mfaStatus = await api.getMfaStatus();
+      this.navigateToSettings();
+    } catch (err) {
+      this.error = err instanceof Error ? err.message : "Invalid verification code";
+      if (this.codeInput) {
+        this.codeInput.error = true;
+        setTimeout(() => {
+          this.codeInput.clear();
+        }, 500);
+      }
+    }
+
+    this.loading = false;
+  }
+
+  private async verifySessionPasskey() {
+    this.passkeyLoading = true;
+    this.error = "";
+
+    try {
+      await verifySessionWithPasskey();
+      toast.success("Sign-in verified");
+      this.mfaStatus = await api.getMfaStatus();
+      this.navigateToSettings();
+    } catch (err) {
+      this.error = err instanceof Error ? err.message : "Passkey verification failed";
+    }
+
+    this.passkeyLoading = false;
+  }
+
   private copySecret() {
     navigator.clipboard.writeText(this.secret);
     toast.success("Secret key copied to clipboard");
@@ -503,7 +647,163 @@ export class MfaSetupPage extends LitElement {
       <h1>Two-Factor Authentication</h1>
       <p class="subtitle">Add an extra layer of security to your account</p>
 
+      ${this.renderPolicyNotice()}
       ${this.renderStep()}
+      ${this.step === "start" || this.step === "already-enabled" ? this.renderPasskeys() : ""}
+    `;
+  }
+
+  private renderPolicyNotice() {
+    const policy = this.mfaStatus?.policy;
+    if (policy?.status === "verification_required") {
+      return this.renderSessionVerify();
+    }
+    if (!policy || (policy.status !== "grace" && policy.status !== "blocked")) {
+      return "";
+    }
+
+    const deadline = policy.graceEndsAt ? new Date(policy.graceEndsAt).toLocaleDateString() : "";
+    const when = policy.status === "blocked" ? "to continue using your account" : `by ${deadline}`;
+
+    return html`
+      <div class="warning-box">
+        <h4>Required by your organization</h4>
+        <p style="margin: 0; color: #ccc;">
+          Your organization requires two-factor authentication. Set up an authenticator app or a
+          passkey ${when}.
+        </p>
+      </div>
+    `;
+  }
+
+  private renderSessionVerify() {
+    const totpEnabled = this.mfaStatus?.totpEnabled;
+    const passkeyEnabled = this.mfaStatus?.webauthnEnabled && isPasskeySupported();
+
+    return html`
+      <div class="warning-box">
+        <h4>Verify this sign-in</h4>
+        <p style="margin: 0; color: #ccc;">
+          Your organization requires two-factor authentication for every sign-in.
+          ${
+            totpEnabled
+              ? "Enter the code from your authenticator app to continue."
+              : passkeyEnabled
+                ? "Use your passkey to continue."
+                : "Open this page in a browser that supports passkeys to continue."
+          }
+        </p>
+        ${this.error ? html`<div class="error-message">${this.error}</div>` : ""}
+        ${
+          totpEnabled
+            ? html`
+                <div class="verify-section">
+                  <mfa-code-input
+                    ?disabled=${this.loading}
+                    @code-complete=${this.handleSessionCodeComplete}
+                  ></mfa-code-input>
+                </div>
+              `
+            : ""
+        }
+        ${
+          passkeyEnabled
+            ? html`
+                <button
+                  class="btn btn-secondary"
+                  @click=${this.verifySessionPasskey}
+                  ?disabled=${this.passkeyLoading}
+                >
+                  ${this.passkeyLoading ? "Waiting..." : "Verify with Passkey"}
+                </button>
+              `
+            : ""
+        }
+      </div>
+    `;
+  }
+
+  private renderPasskeys() {
+    if (!isPasskeySupported()) {
+      return "";
+    }
+
+    return html`
+      <div class="card">
+        <div class="step-header">
+          <div class="step-title">Passkeys</div>
+        </div>
+        <p style="color: #888; margin-bottom: 20px;">
+          Use your device's screen lock or a security key to verify sign-ins, or to sign in
+          without an email link.
+        </p>
+
+        ${
+          this.passkeys.length > 0
+            ? html`
+                <ul class="passkey-list">
+                  ${this.passkeys.map(
+                    (passkey) => html`
+                      <li class="passkey-item">
+                        <div>
+                          <div class="passkey-name">${passkey.deviceName}</div>
+                          <div class="passkey-meta">
+                            Added ${new Date(passkey.createdAt).toLocaleDateString()}
+                            ${
+                              passkey.lastUsedAt
+                                ? html` &middot; Last used
+                                    ${new Date(passkey.lastUsedAt).toLocaleDateString()}`
+                                : ""
+                            }
+                            ${
+                              passkey.backedUp
+                                ? html`
+                                    &middot; Synced
+                                  `
+                                : ""
+                            }
+                          </div>
+                        </div>
+                        <div class="passkey-actions">
+                          <button
+                            class="btn btn-secondary btn-small"
+                            @click=${() => this.renamePasskey(passkey)}
+                          >
+                            Rename
+                          </button>
+                          <button
+                            class="btn btn-secondary btn-small"
+                            @click=${() => this.removePasskey(passkey)}
+                          >
+                            Remove
+                          </button>
+                        </div>
+                      </li>
+                    `,
+                  )}
+                </ul>
+              `
+            : ""
+        }
+
+        <div class="passkey-add">
+          <input
+            type="text"
+            placeholder="Name (e.g. MacBook Touch ID)"
+            maxlength="255"
+            .value=${this.passkeyName}
+            @input=${(e: Event) => (this.passkeyName = (e.target as HTMLInputElement).value)}
+            ?disabled=${this.passkeyLoading}
+          />
+          <button
+            class="btn btn-primary"
+            @click=${this.addPasskey}
+            ?disabled=${this.passkeyLoading}
+          >
+            ${this.passkeyLoading ? "Waiting..." : "Add Passkey"}
+          </button>
+        </div>
+      </div>
     `;
   }
 
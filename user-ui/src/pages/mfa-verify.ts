@@ -4,12 +4,13 @@ import type { MfaCodeInput } from "../components/mfa-code-input.js";
 import { toast } from "../components/toast.js";
 import "../components/mfa-code-input.js";
 import { api, User } from "../lib/api.js";
+import { isPasskeySupported, signInWithPasskey } from "../lib/webauthn.js";
 
-type VerifyMode = "totp" | "backup";
+type VerifyMode = "totp" | "backup" | "passkey";
 
 /**
  * MFA verification page shown during login when user has MFA enabled.
- * Supports both TOTP codes and backup codes.
+ * Supports TOTP codes, passkeys and backup codes.
  */
 @customElement("ocmt-mfa-verify")
 export class MfaVerifyPage extends LitElement {
@@ -64,6 +65,10 @@ export class MfaVerifyPage extends LitElement {
       text-decoration: underline;
     }
 
+    .mode-toggle .mode-link + .mode-link {
+      margin-left: 16px;
+    }
+
     .verify-label {
       margin-bottom: 20px;
       color: #ccc;
@@ -350,6 +355,29 @@ export class MfaVerifyPage extends LitElement {
     this.loading = false;
   }
 
+  private async verifyPasskey() {
+    if (!this.pendingToken) {
+      this.error = "Session expired. Please try logging in again.";
+      return;
+    }
+
+    this.loading = true;
+    this.error = "";
+
+    try {
+      const result = await signInWithPasskey(this.pendingToken);
+
+      if (result.success) {
+        toast.success("Verification successful!");
+        this.onSuccess?.(result.user);
+      }
+    } catch (err) {
+      this.error = err instanceof Error ? err.message : "Passkey verification failed";
+    }
+
+    this.loading = false;
+  }
+
   private handleBackupCodeInput(e: Event) {
     const input = e.target as HTMLInputElement;
     // Allow alphanumeric and dashes, uppercase everything
@@ -374,7 +402,13 @@ export class MfaVerifyPage extends LitElement {
         <p class="subtitle">Enter your verification code to continue</p>
 
         <div class="card">
-          ${this.mode === "totp" ? this.renderTotpMode() : this.renderBackupMode()}
+          ${
+            this.mode === "totp"
+              ? this.renderTotpMode()
+              : this.mode === "passkey"
+                ? this.renderPasskeyMode()
+                : this.renderBackupMode()
+          }
         </div>
 
         <a class="back-link" @click=${this.handleCancel}>
@@ -390,6 +424,13 @@ export class MfaVerifyPage extends LitElement {
         <a class="mode-link" @click=${() => this.switchMode("backup")}>
           Use a backup code instead
         </a>
+        ${
+          isPasskeySupported()
+            ? html`<a class="mode-link" @click=${() => this.switchMode("passkey")}>
+                Use a passkey
+              </a>`
+            : ""
+        }
       </div>
 
       ${this.error ? html`<div class="error-message">${this.error}</div>` : ""}
@@ -411,6 +452,37 @@ export class MfaVerifyPage extends LitElement {
     `;
   }
 
+  private renderPasskeyMode() {
+    return html`
+      <div class="mode-toggle">
+        <a class="mode-link" @click=${() => this.switchMode("totp")}>
+          Use authenticator app instead
+        </a>
+      </div>
+
+      ${this.error ? html`<div class="error-message">${this.error}</div>` : ""}
+
+      <p class="verify-label">
+        Confirm it's you with a passkey or security key registered to your account.
+      </p>
+
+      <button class="btn btn-primary" ?disabled=${this.loading} @click=${this.verifyPasskey}>
+        ${
+          this.loading
+            ? html`
+                <div class="spinner"></div>
+              `
+            : ""
+        }
+        ${this.loading ? "Waiting for passkey..." : "Use Passkey"}
+      </button>
+
+      <p class="help-text">
+        Your browser will ask you to touch your security key or use your device's screen lock.
+      </p>
+    `;
+  }
+
   private renderBackupMode() {
     const canSubmit = this.backupCode.replace(/-/g, "").length >= 8;
 
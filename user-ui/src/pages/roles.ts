@@ -0,0 +1,756 @@
+import { LitElement, html, css } from "lit";
+import { customElement, property, state } from "lit/decorators.js";
+import { toast } from "../components/toast.js";
+import {
+  api,
+  User,
+  BuiltInRoleInfo,
+  CustomRoleInfo,
+  PermissionCatalogResponse,
+  RoleMemberInfo,
+} from "../lib/api.js";
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{0,49}$/;
+
+interface RoleDraft {
+  id: string | null;
+  name: string;
+  description: string;
+  permissions: Set<string>;
+  inherits: Set<string>;
+}
+
+function grants(permissions: string[], permission: string): boolean {
+  const [category] = permission.split(".");
+  return (
+    permissions.includes("*") ||
+    permissions.includes(permission) ||
+    permissions.includes(`${category}.*`)
+  );
+}
+
+@customElement("ocmt-roles")
+export class RolesPage extends LitElement {
+  static styles = css`
+    :host {
+      display: block;
+      max-width: 900px;
+      margin: 0 auto;
+    }
+
+    h1 {
+      font-size: 1.8rem;
+      margin-bottom: 8px;
+    }
+
+    .subtitle {
+      color: #888;
+      margin-bottom: 32px;
+    }
+
+    .section {
+      background: rgba(255, 255, 255, 0.05);
+      border: 1px solid rgba(255, 255, 255, 0.1);
+      border-radius: 16px;
+      padding: 24px;
+      margin-bottom: 24px;
+    }
+
+    .section-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      margin-bottom: 16px;
+    }
+
+    .section h2 {
+      font-size: 1.2rem;
+      margin: 0;
+    }
+
+    .role-list {
+      display: flex;
+      flex-direction: column;
+      gap: 12px;
+    }
+
+    .role-item {
+      display: flex;
+      justify-content: space-between;
+      align-items: flex-start;
+      gap: 16px;
+      padding: 12px 16px;
+      background: rgba(255, 255, 255, 0.03);
+      border-radius: 8px;
+    }
+
+    .role-name {
+      font-weight: 600;
+      margin-bottom: 4px;
+    }
+
+    .role-meta {
+      color: #888;
+      font-size: 0.85rem;
+    }
+
+    .role-actions {
+      display: flex;
+      gap: 8px;
+      flex-shrink: 0;
+    }
+
+    .form-group {
+      margin-bottom: 16px;
+    }
+
+    .form-group label {
+      display: block;
+      font-size: 0.9rem;
+      color: #ccc;
+      margin-bottom: 6px;
+    }
+
+    .form-group input[type="text"] {
+      width: 100%;
+      padding: 10px 12px;
+      background: rgba(255, 255, 255, 0.05);
+      border: 1px solid rgba(255, 255, 255, 0.15);
+      border-radius: 8px;
+      color: white;
+      font-size: 0.95rem;
+      box-sizing: border-box;
+    }
+
+    .form-group small {
+      color: #888;
+    }
+
+    .checkbox-row {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 12px;
+    }
+
+    .permission-groups {
+      display: grid;
+      grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));
+      gap: 16px;
+    }
+
+    .permission-group h3 {
+      font-size: 0.85rem;
+      text-transform: uppercase;
+      letter-spacing: 0.05em;
+      color: #888;
+      margin: 0 0 8px;
+    }
+
+    .check {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      font-size: 0.9rem;
+      color: #ccc;
+      margin-bottom: 4px;
+    }
+
+    .check.inherited {
+      color: #888;
+    }
+
+    .badge {
+      padding: 2px 8px;
+      border-radius: 10px;
+      font-size: 0.75rem;
+      font-weight: 500;
+      background: rgba(255, 255, 255, 0.1);
+      color: #ccc;
+    }
+
+    .badge.inherited {
+      background: rgba(79, 70, 229, 0.2);
+      color: #a5b4fc;
+    }
+
+    .badge.builtin {
+      background: rgba(34, 197, 94, 0.2);
+      color: #22c55e;
+    }
+
+    .effective {
+      color: #888;
+      font-size: 0.85rem;
+      margin: 16px 0;
+    }
+
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 0.9rem;
+    }
+
+    th {
+      text-align: left;
+      color: #888;
+      font-weight: 500;
+      padding: 8px;
+      border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+    }
+
+    td {
+      padding: 8px;
+      border-bottom: 1px solid rgba(255, 255, 255, 0.05);
+      color: #ccc;
+    }
+
+    select {
+      padding: 6px 10px;
+      background: rgba(255, 255, 255, 0.05);
+      border: 1px solid rgba(255, 255, 255, 0.15);
+      border-radius: 8px;
+      color: white;
+    }
+
+    .btn {
+      padding: 10px 16px;
+      border-radius: 8px;
+      border: none;
+      font-size: 0.9rem;
+      font-weight: 500;
+      cursor: pointer;
+      transition: all 0.2s;
+    }
+
+    .btn-sm {
+      padding: 6px 12px;
+      font-size: 0.8rem;
+    }
+
+    .btn-primary {
+      background: #4f46e5;
+      color: white;
+    }
+
+    .btn-primary:hover:not(:disabled) {
+      background: #4338ca;
+    }
+
+    .btn-secondary {
+      background: rgba(255, 255, 255, 0.1);
+      color: white;
+    }
+
+    .btn-danger {
+      background: rgba(239, 68, 68, 0.2);
+      color: #ef4444;
+    }
+
+    .btn:disabled {
+      opacity: 0.5;
+      cursor: not-allowed;
+    }
+
+    .form-actions {
+      display: flex;
+      gap: 8px;
+    }
+
+    .loading {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 60px;
+    }
+
+    .spinner {
+      width: 32px;
+      height: 32px;
+      border: 3px solid rgba(255, 255, 255, 0.1);
+      border-top-color: #4f46e5;
+      border-radius: 50%;
+      animation: spin 0.8s linear infinite;
+    }
+
+    @keyframes spin {
+      to {
+        transform: rotate(360deg);
+      }
+    }
+
+    .error-banner {
+      background: rgba(239, 68, 68, 0.2);
+      border: 1px solid rgba(239, 68, 68, 0.3);
+      padding: 12px 16px;
+      border-radius: 8px;
+      color: #ef4444;
+      margin-bottom: 24px;
+    }
+
+    .empty {
+      color: #888;
+      font-size: 0.9rem;
+    }
+  `;
+
+  @property({ type: Object })
+  user: User | null = null;
+
+  @state() private loading = true;
+  @state() private saving = false;
+  @state() private error = "";
+  @state() private builtInRoles: BuiltInRoleInfo[] = [];
+  @state() private customRoles: CustomRoleInfo[] = [];
+  @state() private assignableRoles: string[] = [];
+  @state() private catalog: PermissionCatalogResponse | null = null;
+  @state() private members: RoleMemberInfo[] | null = null;
+  @state() private canManage = false;
+  @state() private draft: RoleDraft | null = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.load();
+  }
+
+  private async load() {
+    this.loading = true;
+    this.error = "";
+
+    try {
+      const [roles, catalog, mine] = await Promise.all([
+        api.getRoles(),
+        api.getPermissionCatalog(),
+        api.getMyPermissions(),
+      ]);
+      this.builtInRoles = roles.builtInRoles;
+      this.customRoles = roles.customRoles;
+      this.assignableRoles = roles.assignableRoles;
+      this.catalog = catalog;
+      this.canManage = mine.isPlatformAdmin || grants(mine.permissions, "rbac.manage");
+    } catch (err) {
+      this.error = err instanceof Error ? err.message : "Failed to load roles";
+    }
+
+    // Member list needs users.view; everyone else just sees the role catalog
+    try {
+      const { users } = await api.listRoleMembers();
+      this.members = users;
+    } catch {
+      this.members = null;
+    }
+
+    this.loading = false;
+  }
+
+  private async reloadRoles() {
+    const roles = await api.getRoles();
+    this.builtInRoles = roles.builtInRoles;
+    this.customRoles = roles.customRoles;
+    this.assignableRoles = roles.assignableRoles;
+  }
+
+  /**
+   * Permissions the draft picks up from the built-in roles it inherits
+   */
+  private inheritedPermissions(draft: RoleDraft): Set<string> {
+    const inherited = new Set<string>();
+    for (const role of this.builtInRoles) {
+      if (draft.inherits.has(role.name)) {
+        role.permissions.forEach((perm) => inherited.add(perm));
+      }
+    }
+    return inherited;
+  }
+
+  private startCreate() {
+    this.draft = {
+      id: null,
+      name: "",
+      description: "",
+      permissions: new Set(),
+      inherits: new Set(),
+    };
+  }
+
+  private startEdit(role: CustomRoleInfo) {
+    this.draft = {
+      id: role.id,
+      name: role.name,
+      description: role.description || "",
+      permissions: new Set(role.permissions),
+      inherits: new Set(role.inherits),
+    };
+  }
+
+  private toggle(set: "permissions" | "inherits", value: string) {
+    if (!this.draft) {
+      return;
+    }
+    const next = new Set(this.draft[set]);
+    if (next.has(value)) {
+      next.delete(value);
+    } else {
+      next.add(value);
+    }
+    this.draft = { ...this.draft, [set]: next };
+  }
+
+  private async saveDraft() {
+    const draft = this.draft;
+    if (!draft) {
+      return;
+    }
+
+    if (!draft.id && !ROLE_NAME_PATTERN.test(draft.name)) {
+      toast.error("Role name must start with a letter and use lowercase letters, digits, - or _");
+      return;
+    }
+
+    // Inherited permissions don't need to be stored on the role itself
+    const inherited = this.inheritedPermissions(draft);
+    const permissions = [...draft.permissions].filter((perm) => !inherited.has(perm));
+    const inherits = [...draft.inherits];
+
+    this.saving = true;
+
+    try {
+      if (draft.id) {
+        await api.updateCustomRole(draft.id, {
+          description: draft.description,
+          permissions,
+          inherits,
+        });
+        toast.success(`Role "${draft.name}" updated`);
+      } else {
+        await api.createCustomRole({
+          name: draft.name,
+          description: draft.description || undefined,
+          permissions,
+          inherits,
+        });
+        toast.success(`Role "${draft.name}" created`);
+      }
+      this.draft = null;
+      await this.reloadRoles();
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : "Failed to save role");
+    }
+
+    this.saving = false;
+  }
+
+  private async deleteRole(role: CustomRoleInfo) {
+    if (!confirm(`Delete the "${role.name}" role?`)) {
+      return;
+    }
+
+    try {
+      await api.deleteCustomRole(role.id);
+      toast.success(`Role "${role.name}" deleted`);
+      if (this.draft?.id === role.id) {
+        this.draft = null;
+      }
+      await this.reloadRoles();
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : "Failed to delete role");
+    }
+  }
+
+  private async changeMemberRole(member: RoleMemberInfo, select: HTMLSelectElement) {
+    const role = select.value;
+    if (role === member.role) {
+      return;
+    }
+
+    try {
+      await api.assignUserRole(member.id, role);
+      toast.success(`${member.name || member.email} is now ${role}`);
+      const { users } = await api.listRoleMembers();
+      this.members = users;
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : "Failed to assign role");
+      select.value = member.role;
+    }
+  }
+
+  render() {
+    return html`
+      <h1>Roles & Permissions</h1>
+      <p class="subtitle">Define custom roles and control what each member can do</p>
+
+      ${this.error ? html`<div class="error-banner">${this.error}</div>` : ""}
+      ${
+        this.loading
+          ? html`
+              <div class="loading"><div class="spinner"></div></div>
+            `
+          : html`${this.renderRoles()} ${this.renderEditor()} ${this.renderMembers()}`
+      }
+    `;
+  }
+
+  private renderRoles() {
+    return html`
+      <div class="section">
+        <div class="section-header">
+          <h2>Roles</h2>
+          ${
+            this.canManage && !this.draft
+              ? html`<button class="btn btn-primary btn-sm" @click=${this.startCreate}>
+                  New Custom Role
+                </button>`
+              : ""
+          }
+        </div>
+
+        <div class="role-list">
+          ${this.builtInRoles.map(
+            (role) => html`
+              <div class="role-item">
+                <div>
+                  <div class="role-name">
+                    ${role.name} <span class="badge builtin">Built-in</span>
+                  </div>
+                  <div class="role-meta">
+                    ${role.permissions.length} permissions
+                    ${role.inherits.length ? html`· inherits ${role.inherits.join(", ")}` : ""}
+                  </div>
+                </div>
+              </div>
+            `,
+          )}
+          ${this.customRoles.map(
+            (role) => html`
+              <div class="role-item">
+                <div>
+                  <div class="role-name">
+                    ${role.name}
+                    ${
+                      role.conditions
+                        ? html`
+                            <span class="badge">Conditional</span>
+                          `
+                        : ""
+                    }
+                  </div>
+                  <div class="role-meta">
+                    ${role.description ? html`${role.description}<br />` : ""}
+                    ${role.permissions.length} direct,
+                    ${role.inheritedPermissions.length} inherited
+                    ${role.inherits.length ? html`from ${role.inherits.join(", ")}` : ""}
+                  </div>
+                </div>
+                ${
+                  this.canManage
+                    ? html`
+                        <div class="role-actions">
+                          <button
+                            class="btn btn-secondary btn-sm"
+                            @click=${() => this.startEdit(role)}
+                          >
+                            Edit
+                          </button>
+                          <button
+                            class="btn btn-danger btn-sm"
+                            @click=${() => this.deleteRole(role)}
+                          >
+                            Delete
+                          </button>
+                        </div>
+                      `
+                    : ""
+                }
+              </div>
+            `,
+          )}
+        </div>
+      </div>
+    `;
+  }
+
+  private renderEditor() {
+    const draft = this.draft;
+    if (!draft || !this.catalog) {
+      return "";
+    }
+
+    const inherited = this.inheritedPermissions(draft);
+    const effective = new Set([...inherited, ...draft.permissions]);
+
+    return html`
+      <div class="section">
+        <div class="section-header">
+          <h2>${draft.id ? `Edit "${draft.name}"` : "New Custom Role"}</h2>
+        </div>
+
+        ${
+          draft.id
+            ? ""
+            : html`
+                <div class="form-group">
+                  <label>Name</label>
+                  <input
+                    type="text"
+                    placeholder="auditor"
+                    .value=${draft.name}
+                    @input=${(e: Event) =>
+                      (this.draft = { ...draft, name: (e.target as HTMLInputElement).value })}
+                  />
+                  <small>Lowercase letters, digits, - and _</small>
+                </div>
+              `
+        }
+
+        <div class="form-group">
+          <label>Description</label>
+          <input
+            type="text"
+            .value=${draft.description}
+            @input=${(e: Event) =>
+              (this.draft = { ...draft, description: (e.target as HTMLInputElement).value })}
+          />
+        </div>
+
+        <div class="form-group">
+          <label>Inherits from</label>
+          <div class="checkbox-row">
+            ${this.builtInRoles.map(
+              (role) => html`
+                <label class="check">
+                  <input
+                    type="checkbox"
+                    .checked=${draft.inherits.has(role.name)}
+                    @change=${() => this.toggle("inherits", role.name)}
+                  />
+                  ${role.name}
+                </label>
+              `,
+            )}
+          </div>
+        </div>
+
+        <div class="form-group">
+          <label>Permissions</label>
+          <div class="permission-groups">
+            ${Object.entries(this.catalog.grouped).map(
+              ([category, perms]) => html`
+                <div class="permission-group">
+                  <h3>${category}</h3>
+                  ${perms.map(({ permission, action }) => {
+                    const isInherited = inherited.has(permission);
+                    return html`
+                      <label class="check ${isInherited ? "inherited" : ""}">
+                        <input
+                          type="checkbox"
+                          .checked=${isInherited || draft.permissions.has(permission)}
+                          ?disabled=${isInherited}
+                          @change=${() => this.toggle("permissions", permission)}
+                        />
+                        ${action}
+                        ${
+                          isInherited
+                            ? html`
+                                <span class="badge inherited">inherited</span>
+                              `
+                            : ""
+                        }
+                      </label>
+                    `;
+                  })}
+                </div>
+              `,
+            )}
+          </div>
+        </div>
+
+        <p class="effective">
+          ${effective.size} effective permissions (${inherited.size} inherited)
+        </p>
+
+        <div class="form-actions">
+          <button class="btn btn-primary" ?disabled=${this.saving} @click=${this.saveDraft}>
+            ${this.saving ? "Saving..." : draft.id ? "Save Role" : "Create Role"}
+          </button>
+          <button class="btn btn-secondary" @click=${() => (this.draft = null)}>Cancel</button>
+        </div>
+      </div>
+    `;
+  }
+
+  private renderMembers() {
+    if (!this.members) {
+      return "";
+    }
+
+    return html`
+      <div class="section">
+        <div class="section-header">
+          <h2>Members</h2>
+        </div>
+
+        ${
+          this.members.length === 0
+            ? html`
+                <p class="empty">No members yet</p>
+              `
+            : html`
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Member</th>
+                      <th>Role</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    ${this.members.map((member) => this.renderMemberRow(member))}
+                  </tbody>
+                </table>
+              `
+        }
+      </div>
+    `;
+  }
+
+  private renderMemberRow(member: RoleMemberInfo) {
+    const options = this.assignableRoles.includes(member.role)
+      ? this.assignableRoles
+      : [member.role, ...this.assignableRoles];
+
+    return html`
+      <tr>
+        <td>${member.name || member.email}<br /><small>${member.email}</small></td>
+        <td>
+          ${
+            member.canChangeRole
+              ? html`
+                  <select
+                    @change=${(e: Event) =>
+                      this.changeMemberRole(member, e.target as HTMLSelectElement)}
+                  >
+                    ${options.map(
+                      (role) =>
+                        html`<option value=${role} ?selected=${role === member.role}>
+                          ${role}
+                        </option>`,
+                    )}
+                  </select>
+                `
+              : html`${member.role} ${
+                  member.isOwner
+                    ? html`
+                        <span class="badge">Owner</span>
+                      `
+                    : ""
+                }`
+          }
+        </td>
+      </tr>
+    `;
+  }
+}
+
+declare global {
+  interface HTMLElementTagNameMap {
+    "ocmt-roles": RolesPage;
+  }
+}
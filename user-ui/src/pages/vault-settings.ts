@@ -1,7 +1,13 @@
 import { LitElement, html, css } from "lit";
 import { customElement, state } from "lit/decorators.js";
 import { toast } from "../components/toast.js";
-import { api, VaultStatus, BiometricsStatus, DeviceInfo } from "../lib/api.js";
+import {
+  api,
+  VaultStatus,
+  VaultPasswordChangeResult,
+  BiometricsStatus,
+  DeviceInfo,
+} from "../lib/api.js";
 
 @customElement("ocmt-vault-settings")
 export class VaultSettingsPage extends LitElement {
@@ -158,6 +164,19 @@ export class VaultSettingsPage extends LitElement {
       margin-bottom: 16px;
     }
 
+    .recovery-material {
+      background: #1a1a2e;
+      border: 2px dashed rgba(79, 70, 229, 0.5);
+      border-radius: 12px;
+      padding: 16px;
+      margin-bottom: 16px;
+      font-family: monospace;
+      font-size: 1rem;
+      line-height: 1.8;
+      word-spacing: 6px;
+      user-select: all;
+    }
+
     .form-group {
       margin-bottom: 16px;
     }
@@ -254,6 +273,7 @@ export class VaultSettingsPage extends LitElement {
   @state() private newPassword = "";
   @state() private confirmPassword = "";
   @state() private changingPassword = false;
+  @state() private newRecovery: VaultPasswordChangeResult | null = null;
   @state() private error = "";
   @state() private autoLock = false;
   @state() private enablingBiometrics = false;
@@ -438,8 +458,9 @@ export class VaultSettingsPage extends LitElement {
     this.error = "";
 
     try {
-      await api.changeVaultPassword(this.currentPassword, this.newPassword);
+      const result = await api.changeVaultPassword(this.currentPassword, this.newPassword);
       toast.success("Password changed successfully");
+      this.newRecovery = result.recoveryPhrase ? result : null;
       this.showChangePassword = false;
       this.currentPassword = "";
       this.newPassword = "";
@@ -659,6 +680,7 @@ export class VaultSettingsPage extends LitElement {
           </div>
         </div>
 
+        ${this.newRecovery ? this.renderNewRecoveryMaterial(this.newRecovery) : ""}
         ${
           this.showChangePassword
             ? this.renderChangePasswordForm()
@@ -677,11 +699,52 @@ export class VaultSettingsPage extends LitElement {
     `;
   }
 
+  private renderNewRecoveryMaterial(result: VaultPasswordChangeResult) {
+    return html`
+      <div class="warning-box" style="margin-top: 16px;">
+        Your recovery material was replaced. The old recovery phrase and hardware backup key no
+        longer work. Save the new ones now - they are shown only once.
+      </div>
+
+      <div class="form-group">
+        <label>New Recovery Phrase</label>
+        <div class="recovery-material">${result.recoveryPhrase}</div>
+      </div>
+
+      ${
+        result.hardwareBackupKey
+          ? html`
+        <div class="form-group">
+          <label>New Hardware Backup Key</label>
+          <div class="recovery-material">${result.hardwareBackupKey}</div>
+        </div>
+      `
+          : ""
+      }
+      ${
+        result.socialRecovery
+          ? html`
+        <div class="info-box">
+          Social recovery shards were re-issued to your ${result.socialRecovery.totalShares} trusted
+          contacts. ${result.socialRecovery.threshold} of them are still needed to recover.
+        </div>
+      `
+          : ""
+      }
+
+      <div class="btn-row">
+        <button class="btn btn-primary" @click=${() => (this.newRecovery = null)}>
+          I've saved my recovery material
+        </button>
+      </div>
+    `;
+  }
+
   private renderChangePasswordForm() {
     return html`
       <div class="warning-box">
-        Changing your password will invalidate any existing vault sessions and disable biometrics.
-        You'll need to re-enable biometrics after changing your password.
+        Changing your password will sign out every vault session, disable biometrics and replace
+        your recovery phrase, hardware backup key and social recovery shards.
       </div>
 
       ${
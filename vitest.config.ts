@@ -27,6 +27,7 @@ export default defineConfig({
       "management-server/**/*.test.js",
       "group-vault/**/*.test.js",
       "relay-server/**/*.test.js",
+      "agent-server/lib/**/*.test.js",
     ],
     setupFiles: ["test/setup.ts"],
     exclude: [